@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { AuthManager, createAuthRouter } from '../auth-server.js';
+import { FileAuthStore } from '../auth-store.js';
+import express from 'express';
+
+const PASSWORD = 'senha-segura-123';
+
+describe('AuthManager', () => {
+  let store;
+  let clock;
+  let auth;
+
+  beforeEach(() => {
+    // Armazenamento só em memória (sem arquivo)
+    store = new FileAuthStore(null);
+    clock = Date.UTC(2024, 0, 1);
+    auth = new AuthManager({ store, jwtSecret: 'segredo-de-teste', bcryptRounds: 4, now: () => clock });
+  });
+
+  it('cadastra sempre com o papel padrão, inclusive o primeiro usuário', async () => {
+    const session = await auth.register({ name: 'Admin', email: 'admin@example.com', password: PASSWORD });
+
+    expect(session.user.role).toBe('viewer');
+    expect(auth.verifyAccessToken(session.accessToken).role).toBe('viewer');
+  });
+
+  it('revoga a família inteira quando um refresh token já trocado é reutilizado', async () => {
+    const { refreshToken } = await auth.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD });
+
+    const rotated = await auth.refresh(refreshToken);
+    await expect(auth.refresh(refreshToken)).rejects.toMatchObject({ status: 401 });
+
+    // O token emitido na rotação também deixa de valer
+    await expect(auth.refresh(rotated.refreshToken)).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('aceita só uma de duas trocas simultâneas do mesmo refresh token', async () => {
+    const { refreshToken } = await auth.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD });
+
+    const results = await Promise.allSettled([auth.refresh(refreshToken), auth.refresh(refreshToken)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const issued = results.find(result => result.status === 'fulfilled').value;
+    await expect(auth.refresh(issued.refreshToken)).rejects.toMatchObject({ status: 401 });
+    expect(store.data.refreshTokens.every(record => record.revokedAt)).toBe(true);
+  });
+
+  it('bloqueia o login depois de falhas seguidas no mesmo email, mesmo com a senha correta', async () => {
+    await auth.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD });
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await expect(auth.login('ana@example.com', 'errada', { ip: '10.0.0.1' })).rejects.toMatchObject({ status: 401 });
+    }
+    await expect(auth.login('ana@example.com', PASSWORD, { ip: '10.0.0.2' })).rejects.toMatchObject({ status: 429 });
+    // O IP das falhas também fica bloqueado para outros emails
+    await expect(auth.login('outro@example.com', PASSWORD, { ip: '10.0.0.1' })).rejects.toMatchObject({ status: 429 });
+
+    clock += 15 * 60 * 1000;
+    const session = await auth.login('ana@example.com', PASSWORD, { ip: '10.0.0.1' });
+    expect(session.accessToken).toBeTruthy();
+  });
+
+  it('zera as falhas do email depois de um login correto', async () => {
+    await auth.register({ name: 'Ana', email: 'ana@example.com', password: PASSWORD });
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await expect(auth.login('ana@example.com', 'errada')).rejects.toMatchObject({ status: 401 });
+    }
+    await auth.login('ana@example.com', PASSWORD);
+    await expect(auth.login('ana@example.com', 'errada')).rejects.toMatchObject({ status: 401 });
+    await expect(auth.login('ana@example.com', PASSWORD)).resolves.toHaveProperty('accessToken');
+  });
+});
+
+describe('rotas de administração de usuários', () => {
+  let auth;
+  let server;
+  let baseUrl;
+
+  const request = (method, route, token, body) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  beforeEach(async () => {
+    auth = new AuthManager({ store: new FileAuthStore(null), jwtSecret: 'segredo-de-teste', bcryptRounds: 4 });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', createAuthRouter(auth, { logMessage: () => {} }));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('só administradores alteram papéis; o novo papel vale a partir do refresh', async () => {
+    const admin = await (await request('POST', '/register', null, { name: 'Admin', email: 'admin@example.com', password: PASSWORD })).json();
+    const user = await (await request('POST', '/register', null, { name: 'Ana', email: 'ana@example.com', password: PASSWORD })).json();
+
+    expect((await request('GET', '/users')).status).toBe(401);
+    expect((await request('GET', '/users', admin.accessToken)).status).toBe(403);
+    const escalation = await request('PUT', `/users/${user.user.id}/access`, user.accessToken, { role: 'admin' });
+    expect(escalation.status).toBe(403);
+
+    // Promoção pelo operador do servidor (admin-cli.js)
+    await auth.store.updateUser(admin.user.id, { role: 'admin' });
+    expect((await request('GET', '/users', admin.accessToken)).status).toBe(403);
+    const refreshed = await (await request('POST', '/refresh', null, { refreshToken: admin.refreshToken })).json();
+
+    const users = await request('GET', '/users', refreshed.accessToken);
+    expect(users.status).toBe(200);
+    expect((await users.json()).users).toHaveLength(2);
+    const promoted = await request('PUT', `/users/${user.user.id}/access`, refreshed.accessToken, { role: 'trader' });
+    expect((await promoted.json()).user.role).toBe('trader');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import { RECEIVERS, compileContracts, formatAbi, deployReceiver } from '../deploy-flash-loan-contracts.cjs';
+import { FLASH_LOAN_RECEIVER_ABIS } from '../src/contracts/flashLoanReceiverAbis.js';
+
+// Nó local com contas desbloqueadas (ex.: anvil); sem ele, os testes de deploy são pulados
+const DEVNET_RPC_URL = process.env.DEVNET_RPC_URL;
+
+// Getter do endereço do credor em cada recebedor
+const LENDER_GETTERS = { aaveV3: 'pool', balancer: 'vault' };
+
+describe('recebedores de flash loan', () => {
+  let artifacts;
+
+  beforeAll(() => {
+    artifacts = compileContracts();
+  }, 120000);
+
+  it('mantém as ABIs dos bindings iguais às dos contratos compilados', () => {
+    for (const { contract } of Object.values(RECEIVERS)) {
+      expect(formatAbi(artifacts[contract].abi)).toEqual(FLASH_LOAN_RECEIVER_ABIS[contract]);
+    }
+  });
+
+  describe.skipIf(!DEVNET_RPC_URL)('na devnet (DEVNET_RPC_URL)', () => {
+    let provider;
+
+    beforeAll(() => {
+      provider = new ethers.providers.JsonRpcProvider(DEVNET_RPC_URL);
+    });
+
+    it.each(Object.keys(RECEIVERS))('implanta o recebedor %s com a carteira como dona', async (lender) => {
+      const owner = provider.getSigner(0);
+      const lenderAddress = ethers.Wallet.createRandom().address;
+
+      const { contract, receipt } = await deployReceiver(artifacts[RECEIVERS[lender].contract], lenderAddress, owner);
+
+      expect(receipt.status).toBe(1);
+      expect(await provider.getCode(contract.address)).not.toBe('0x');
+      expect(await contract.owner()).toBe(await owner.getAddress());
+      expect(await contract[LENDER_GETTERS[lender]]()).toBe(lenderAddress);
+      // Só a dona pede empréstimos
+      await expect(contract.connect(provider.getSigner(1)).callStatic.flashLoan([lenderAddress], [1], '0x'))
+        .rejects.toThrow();
+    }, 60000);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { Ledger, FileLedgerStore } from '../ledger.cjs';
+
+const run = promisify(execFile);
+const fileLockPath = path.resolve(__dirname, '..', 'file-lock.cjs');
+
+describe('FileLedgerStore', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    file = path.join(dir, 'ledger.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('mantém os lançamentos de dois processos que gravam no mesmo arquivo', async () => {
+    const serviceLedger = new Ledger({ store: new FileLedgerStore(file) });
+    const workerLedger = new Ledger({ store: new FileLedgerStore(file) });
+
+    await serviceLedger.recordTradePnl({ asset: 'ETH', amount: '1', source: 'service' });
+    await workerLedger.recordTradePnl({ asset: 'ETH', amount: '2', source: 'worker' });
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries;
+    expect(entries.map(entry => entry.source)).toEqual(['service', 'worker']);
+    expect(await serviceLedger.getBalance({ account: 'income:trading', asset: 'ETH' })).toBe('3');
+  });
+
+  it('não grava duas vezes a mesma chave vinda de outro processo', async () => {
+    const serviceStore = new FileLedgerStore(file);
+    const workerStore = new FileLedgerStore(file);
+    const entry = { entryKey: 'op-1', type: 'trade', source: 'service', lines: [] };
+
+    await serviceStore.appendEntry({ ...entry, id: 'a' });
+    const duplicate = await workerStore.appendEntry({ ...entry, id: 'b', source: 'worker' });
+
+    expect(duplicate.id).toBe('a');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).entries).toHaveLength(1);
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  it('serializa as gravações de processos concorrentes', async () => {
+    // Cada processo incrementa o contador 50 vezes; sem a trava, incrementos se perderiam
+    const counterFile = path.join(dir, 'counter.json');
+    const script = `
+      const fs = require('fs');
+      const { withFileLock, writeFileAtomic } = require(${JSON.stringify(fileLockPath)});
+      const file = ${JSON.stringify(counterFile)};
+      for (let i = 0; i < 50; i++) {
+        withFileLock(file, () => {
+          const state = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { count: 0 };
+          state.count++;
+          writeFileAtomic(file, JSON.stringify(state));
+        });
+      }
+    `;
+    await Promise.all([1, 2, 3].map(() => run(process.execPath, ['-e', script], { timeout: 30000 })));
+
+    expect(JSON.parse(fs.readFileSync(counterFile, 'utf8')).count).toBe(150);
+  }, 60000);
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LotTracker } from '../lot-tracker.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Compra 1 ETH a 100 e vende a 110 no dia informado: 10 de resultado por dia
+const tradeOnDay = (tracker, day) => {
+  const timestamp = day * DAY;
+  tracker.recordFill({ asset: 'ETH', side: 'buy', amount: '1', price: '100', timestamp });
+  tracker.recordFill({ asset: 'ETH', side: 'sell', amount: '1', price: '110', timestamp });
+};
+
+describe('LotTracker', () => {
+  let dir;
+  let stateFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lots-'));
+    stateFile = path.join(dir, 'lots.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('mantém o resultado realizado total depois de arquivar os resultados antigos', () => {
+    const tracker = new LotTracker({ stateFile, maxRealized: 3 });
+    for (let day = 1; day <= 10; day++) tradeOnDay(tracker, day);
+
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    expect(state.realized).toHaveLength(3);
+    expect(state.archived.count).toBe(7);
+
+    // Outro processo lendo o mesmo arquivo vê o mesmo total
+    const reader = new LotTracker({ stateFile, maxRealized: 3 });
+    expect(reader.getPnl().totals.realized).toBeCloseTo(100);
+    expect(reader.getPnl({}, { since: 5 * DAY }).assets.ETH.realized).toBeCloseTo(60);
+    expect(reader.getPnl({}, { since: 9 * DAY }).assets.ETH.realized).toBeCloseTo(20);
+    expect(reader.getRealized({ asset: 'ETH' })).toHaveLength(10);
+    expect(fs.existsSync(`${stateFile}.lock`)).toBe(false);
+  });
+
+  it('arquiva em memória sem arquivo de estado', () => {
+    const tracker = new LotTracker({ maxRealized: 2 });
+    for (let day = 1; day <= 4; day++) tradeOnDay(tracker, day);
+
+    expect(tracker.realized).toHaveLength(2);
+    expect(tracker.getPnl().totals.realized).toBeCloseTo(40);
+    expect(tracker.getRealized({ since: 2 * DAY })).toHaveLength(3);
+  });
+});
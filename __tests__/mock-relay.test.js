@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { ethers } from 'ethers';
+import { createMockRelay } from '../mock-relay.cjs';
+import { PrivateRelay } from '../src/services/privateRelay.js';
+
+// Nó local com automine e contas desbloqueadas (ex.: anvil); sem ele, os testes são pulados
+const DEVNET_RPC_URL = process.env.DEVNET_RPC_URL;
+
+// Código de implantação de um contrato que reverte em qualquer chamada
+const REVERTING_INIT_CODE = '0x6005600c60003960056000f360006000fd';
+
+describe.skipIf(!DEVNET_RPC_URL)('relay de bundles de teste na devnet (DEVNET_RPC_URL)', () => {
+  let provider;
+  let server;
+  let app;
+  let relay;
+  let wallet;
+
+  beforeAll(async () => {
+    provider = new ethers.providers.JsonRpcProvider(DEVNET_RPC_URL);
+    app = createMockRelay({ upstreamRpcUrl: DEVNET_RPC_URL, log: () => {} });
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    relay = new PrivateRelay({ relays: { devnet: `http://127.0.0.1:${server.address().port}` }, maxBlocks: 2 });
+
+    // Carteira nova (o relay assina as transações localmente), com fundos da conta desbloqueada
+    wallet = ethers.Wallet.createRandom().connect(provider);
+    const funding = await provider.getSigner(0).sendTransaction({ to: wallet.address, value: ethers.utils.parseEther('1') });
+    await funding.wait();
+  }, 60000);
+
+  afterAll(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+  });
+
+  it('simula e inclui o bundle no próximo bloco', async () => {
+    const to = ethers.Wallet.createRandom().address;
+    const value = ethers.utils.parseEther('0.01');
+
+    const submission = await relay.sendTransaction(wallet, { to, value, gasLimit: 21000 }, { network: 'devnet' });
+
+    expect(submission.status).toBe('included');
+    expect(submission.simulation.success).toBe(true);
+    expect(submission.receipts).toHaveLength(1);
+    expect(submission.receipts[0].status).toBe(1);
+    expect((await provider.getBalance(to)).eq(value)).toBe(true);
+    expect(app.locals.bundles.at(-1)).toMatchObject({ status: 'sent', target: submission.blockNumber });
+  }, 60000);
+
+  it('recusa o bundle que reverte na simulação sem publicá-lo', async () => {
+    const deployment = await provider.getSigner(0).sendTransaction({ data: REVERTING_INIT_CODE });
+    const { contractAddress } = await deployment.wait();
+    const nonce = await provider.getTransactionCount(wallet.address);
+    const sent = app.locals.bundles.length;
+
+    const error = await relay.sendTransaction(wallet, { to: contractAddress, data: '0x', gasLimit: 50000 }, { network: 'devnet' })
+      .catch(failure => failure);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.relay.status).toBe('simulation_failed');
+    expect(error.relay.simulation.results[0].revert).toBe('execution reverted');
+    // O snapshot do relay foi revertido e nenhum bundle foi enviado
+    expect(await provider.getTransactionCount(wallet.address)).toBe(nonce);
+    expect(app.locals.bundles).toHaveLength(sent);
+  }, 60000);
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { OrderManager, ORDER_STATES } from '../order-manager.js';
+
+// Envio sem resposta da exchange: a ordem fica em new, sem o ID da exchange
+const timeout = async () => {
+  throw new Error('timeout of 10000ms exceeded');
+};
+
+describe('OrderManager', () => {
+  let dir;
+  let stateFile;
+  let clock;
+  let lookup;
+
+  const createManager = () => new OrderManager({
+    stateFile,
+    events: new EventEmitter(),
+    resolveExchange: async () => ({ fetchOrderByClientId: (...args) => lookup(...args) }),
+    ackTimeoutMs: 60000,
+    now: () => clock
+  });
+
+  const submitUnanswered = (manager, clientOrderId) => manager.submitOrder({
+    exchange: 'binance', symbol: 'ETH/USDT', side: 'buy', type: 'limit', amount: 2, price: 3000, clientOrderId
+  }, { submit: timeout });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    stateFile = path.join(dir, 'orders.json');
+    clock = 1000000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('concilia pelo clientOrderId a ordem que chegou à exchange sem resposta', async () => {
+    const manager = createManager();
+    await submitUnanswered(manager, 'qfh-1');
+    lookup = async (clientOrderId, symbol, since) => ({
+      id: '12345', clientOrderId, symbol, status: 'filled', filled: 2, averagePrice: 2990, timestamp: since
+    });
+
+    clock += 61000;
+    const result = await manager.reconcile();
+
+    const order = manager.getOrder('qfh-1');
+    expect(result).toMatchObject({ checked: 1, updated: 1, expired: 0 });
+    expect(order).toMatchObject({ status: ORDER_STATES.FILLED, exchangeOrderId: '12345', filled: 2, averagePrice: 2990 });
+  });
+
+  it('expira a ordem só quando a exchange não a conhece', async () => {
+    const manager = createManager();
+    await submitUnanswered(manager, 'qfh-2');
+    lookup = async () => null;
+
+    clock += 30000;
+    expect((await manager.reconcile()).expired).toBe(0);
+
+    clock += 31000;
+    expect((await manager.reconcile()).expired).toBe(1);
+    expect(manager.getOrder('qfh-2')).toMatchObject({ status: ORDER_STATES.EXPIRED, reason: 'Ordem não encontrada na exchange' });
+  });
+
+  it('mantém a ordem aberta quando a consulta à exchange falha', async () => {
+    const manager = createManager();
+    await submitUnanswered(manager, 'qfh-3');
+    lookup = timeout;
+
+    clock += 61000;
+    const result = await manager.reconcile();
+
+    expect(result.expired).toBe(0);
+    expect(result.errors).toEqual([{ clientOrderId: 'qfh-3', error: 'timeout of 10000ms exceeded' }]);
+    expect(manager.getOrder('qfh-3').status).toBe(ORDER_STATES.NEW);
+  });
+
+  it('mantém as ordens de dois processos que gravam no mesmo arquivo', async () => {
+    const service = createManager();
+    const worker = createManager();
+    await submitUnanswered(service, 'qfh-service');
+    await submitUnanswered(worker, 'qfh-worker');
+
+    expect(Object.keys(JSON.parse(fs.readFileSync(stateFile, 'utf8')).orders)).toEqual(['qfh-service', 'qfh-worker']);
+    expect(fs.existsSync(`${stateFile}.lock`)).toBe(false);
+  });
+});
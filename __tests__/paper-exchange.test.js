@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SimulatedExchange } from '../paper-exchange.js';
+
+// Book gravado: no segundo snapshot a venda mais barata cai de 101 para 99, no terceiro volta a 101
+// e no quarto cai para 98
+const snapshots = [
+  { timestamp: 0, bids: [[99, 1], [98, 2]], asks: [[101, 0.5], [102, 2]] },
+  { timestamp: 1000, bids: [[100, 1], [97, 2]], asks: [[99, 0.3], [103, 2]] },
+  { timestamp: 2000, bids: [[99, 1], [98, 2]], asks: [[101, 0.5], [102, 2]] },
+  { timestamp: 3000, bids: [[97, 1], [96, 2]], asks: [[98, 1], [102, 2]] }
+];
+
+describe('SimulatedExchange', () => {
+  let dir;
+  let stateFile;
+  let clock;
+  let fills;
+
+  const createExchange = (options = {}) => new SimulatedExchange({
+    initialBalances: { USDT: 1000, BTC: 1 },
+    feeRate: 0.001,
+    orderBooksDir: path.join(dir, 'books'),
+    stateFile,
+    onFill: (order, fill) => fills.push({ orderId: order.id, ...fill }),
+    now: () => clock,
+    ...options
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+    stateFile = path.join(dir, 'paper-exchange.json');
+    fs.mkdirSync(path.join(dir, 'books'));
+    fs.writeFileSync(path.join(dir, 'books', 'BTC-USDT.json'), JSON.stringify({ symbol: 'BTC/USDT', snapshots }));
+    clock = 0;
+    fills = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('executa a ordem a mercado contra o book e cancela o restante sem liquidez', () => {
+    const exchange = createExchange();
+
+    const order = exchange.createOrder({ symbol: 'BTC/USDT', side: 'sell', type: 'market', amount: 4 });
+
+    // Só 1 BTC em saldo: vende 1 a 99
+    expect(order.status).toBe('cancelled');
+    expect(order.filled).toBeCloseTo(1);
+    expect(order.averagePrice).toBeCloseTo(99);
+    expect(exchange.fetchBalances().BTC).toBeCloseTo(0);
+    expect(exchange.fetchBalances().USDT).toBeCloseTo(1000 + 99 - 0.099);
+    expect(fills).toHaveLength(1);
+  });
+
+  it('deixa aberta a ordem limitada sem liquidez e a executa quando o book cruza o preço', () => {
+    const exchange = createExchange();
+
+    const order = exchange.createOrder({ symbol: 'BTC/USDT', side: 'buy', type: 'limit', amount: 0.5, price: 100, clientOrderId: 'mm-1' });
+
+    expect(order.status).toBe('new');
+    expect(exchange.fetchOpenOrders()).toHaveLength(1);
+    // O saldo da ordem fica reservado: 0,5 x 100 + taxa
+    expect(exchange.getSummary('USDT').reserved.USDT).toBeCloseTo(50.05);
+    expect(exchange.available('USDT')).toBeCloseTo(949.95);
+    // Sem novo snapshot, nada a executar
+    expect(exchange.matchOpenOrders()).toEqual([]);
+
+    clock = 1000;
+    const [partial] = exchange.matchOpenOrders();
+    expect(partial).toMatchObject({ id: order.id, clientOrderId: 'mm-1', status: 'partially_filled' });
+    expect(partial.filled).toBeCloseTo(0.3);
+    expect(partial.averagePrice).toBeCloseTo(99);
+    expect(exchange.fetchBalances().BTC).toBeCloseTo(1.3);
+    expect(exchange.fetchBalances().USDT).toBeCloseTo(1000 - 0.3 * 99 * 1.001);
+    // Continua reservado só o restante, no preço limite
+    expect(exchange.getSummary('USDT').reserved.USDT).toBeCloseTo(0.2 * 100 * 1.001);
+    expect(fills).toEqual([expect.objectContaining({ orderId: order.id, price: 99, timestamp: 1000 })]);
+    expect(exchange.fetchMyTrades('BTC/USDT')).toEqual([
+      expect.objectContaining({ orderId: order.id, price: 99, feeAsset: 'USDT' })
+    ]);
+
+    // Snapshot sem venda até 100: a ordem continua aberta
+    clock = 2000;
+    expect(exchange.matchOpenOrders()).toEqual([]);
+    clock = 3000;
+    const [filled] = exchange.matchOpenOrders();
+    expect(filled.status).toBe('filled');
+    expect(filled.filled).toBeCloseTo(0.5);
+    expect(filled.averagePrice).toBeCloseTo((0.3 * 99 + 0.2 * 98) / 0.5);
+    expect(exchange.fetchOpenOrders()).toEqual([]);
+    expect(exchange.getSummary('USDT').reserved).toEqual({});
+    expect(exchange.fetchOrder(order.id).status).toBe('filled');
+  });
+
+  it('cancela a ordem limitada aberta e libera o saldo reservado', () => {
+    const exchange = createExchange();
+    const order = exchange.createOrder({ symbol: 'BTC/USDT', side: 'sell', type: 'limit', amount: 0.8, price: 105 });
+    expect(exchange.available('BTC')).toBeCloseTo(0.2);
+
+    // O saldo reservado não pode ser usado por outra ordem
+    const rejected = exchange.createOrder({ symbol: 'BTC/USDT', side: 'sell', type: 'limit', amount: 0.5, price: 105 });
+    expect(rejected).toMatchObject({ status: 'rejected', reason: 'Saldo insuficiente de BTC' });
+
+    const cancelled = exchange.cancelOrder(order.id);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(exchange.available('BTC')).toBeCloseTo(1);
+    expect(exchange.fetchOpenOrders()).toEqual([]);
+  });
+
+  it('mantém as ordens abertas ao reiniciar e arquiva as encerradas mais antigas', () => {
+    const exchange = createExchange({ maxRecentOrders: 2 });
+    const open = exchange.createOrder({ symbol: 'BTC/USDT', side: 'buy', type: 'limit', amount: 0.1, price: 90 });
+    for (let i = 0; i < 5; i++) {
+      exchange.createOrder({ symbol: 'BTC/USDT', side: 'buy', type: 'market', amount: 0.01 });
+    }
+
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    expect(state.recentOrders).toHaveLength(2);
+    expect(state.openOrders.map(order => order.id)).toEqual([open.id]);
+    const archived = fs.readFileSync(`${stateFile}.orders.jsonl`, 'utf8').trim().split('\n');
+    expect(archived).toHaveLength(3);
+
+    const restarted = createExchange({ maxRecentOrders: 2 });
+    expect(restarted.getSummary('USDT').orders).toBe(6);
+    expect(restarted.getSummary('USDT').openOrders).toBe(1);
+    expect(restarted.available('USDT')).toBeCloseTo(exchange.available('USDT'));
+    expect(restarted.getOrders()).toHaveLength(3);
+  });
+
+  it('converte o estado gravado com a lista única de ordens', () => {
+    const orders = Array.from({ length: 3 }, (_, i) => ({ id: `paper-${i}`, status: 'filled', timestamp: i }));
+    fs.writeFileSync(stateFile, JSON.stringify({ balances: { USDT: 10 }, initialBalances: { USDT: 10 }, orders, totalFees: {} }));
+
+    const exchange = createExchange({ maxRecentOrders: 2 });
+
+    expect(exchange.getOrders().map(order => order.id)).toEqual(['paper-1', 'paper-2']);
+    expect(exchange.getSummary('USDT').orders).toBe(3);
+    expect(exchange.fetchOpenOrders()).toEqual([]);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PixPayoutService, MockPixProvider, PAYOUT_STATUS, PIX_KEY_TYPES } from '../pix-payouts.cjs';
+import { FileAuthStore } from '../auth-store.js';
+
+// Erro de rede sem resposta do provedor (como o do axios)
+const timeoutError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+describe('PixPayoutService', () => {
+  let store;
+  let provider;
+  let service;
+  let pixKey;
+
+  const payout = (params = {}) => service.createPayout({
+    userId: 'user-1',
+    amount: '0.01',
+    asset: 'ETH',
+    idempotencyKey: 'operation-1',
+    ...params
+  });
+
+  beforeEach(async () => {
+    // Armazenamento só em memória (sem arquivo); confirmação só quando o teste chamar settle
+    store = new FileAuthStore(null);
+    provider = new MockPixProvider({ settleMs: 60 * 60 * 1000, webhookSecret: 'segredo-de-teste' });
+    service = new PixPayoutService({ store, provider, rateProvider: async () => 20000, minPayoutBrl: 1 });
+    pixKey = await service.addPixKey('user-1', { type: PIX_KEY_TYPES.EMAIL, key: 'Ana@Example.com', label: 'Ana' });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('envia o pagamento convertido para BRL e confirma pelo webhook assinado', async () => {
+    const created = await payout();
+
+    expect(created).toMatchObject({ status: PAYOUT_STATUS.PROCESSING, amountBrl: 200, pixKeyId: pixKey.id, key: 'an***@example.com' });
+    expect(await payout()).toMatchObject({ id: created.id });
+
+    provider.settle(created.providerPayoutId);
+    await vi.waitFor(async () => expect((await store.findPixPayout(created.id)).status).toBe(PAYOUT_STATUS.CONFIRMED));
+    await expect(service.handleWebhook({ headers: { 'x-pix-signature': 'forjada' }, rawBody: Buffer.from('{}') }))
+      .rejects.toMatchObject({ status: 401 });
+  });
+
+  it('mantém pendente o pagamento sem resposta do provedor e o recupera pela chave de idempotência', async () => {
+    // O provedor recebe o pedido, mas a resposta se perde
+    const createPayout = provider.createPayout.bind(provider);
+    vi.spyOn(provider, 'createPayout').mockImplementationOnce(async (request) => {
+      await createPayout(request);
+      throw timeoutError();
+    });
+
+    await expect(payout()).rejects.toThrow('timeout');
+    const [pending] = await store.listPixPayouts('user-1');
+    expect(pending).toMatchObject({ status: PAYOUT_STATUS.PENDING, providerPayoutId: null });
+
+    const retried = await payout();
+
+    expect(retried).toMatchObject({ id: pending.id, status: PAYOUT_STATUS.PROCESSING });
+    expect(provider.payouts.size).toBe(1);
+    expect(provider.createPayout).toHaveBeenCalledTimes(1);
+  });
+
+  it('reenvia com a mesma chave quando o provedor não recebeu o pedido', async () => {
+    vi.spyOn(provider, 'createPayout').mockRejectedValueOnce(timeoutError());
+
+    await expect(payout()).rejects.toThrow('timeout');
+    const retried = await payout();
+
+    expect(retried.status).toBe(PAYOUT_STATUS.PROCESSING);
+    expect(provider.createPayout).toHaveBeenCalledTimes(2);
+    expect(provider.createPayout.mock.calls[1][0]).toMatchObject({ idempotencyKey: 'operation-1', amountBrl: 200 });
+  });
+
+  it('confirma pelo webhook o pagamento que ficou sem o ID do provedor', async () => {
+    const createPayout = provider.createPayout.bind(provider);
+    vi.spyOn(provider, 'createPayout').mockImplementationOnce(async (request) => {
+      await createPayout(request);
+      throw timeoutError();
+    });
+    await expect(payout()).rejects.toThrow('timeout');
+
+    const [providerPayout] = provider.payouts.values();
+    provider.settle(providerPayout.id);
+
+    await vi.waitFor(async () => {
+      expect((await store.listPixPayouts('user-1'))[0]).toMatchObject({
+        status: PAYOUT_STATUS.CONFIRMED,
+        providerPayoutId: providerPayout.id
+      });
+    });
+    // A repetição devolve o pagamento confirmado sem reenviar
+    expect(await payout()).toMatchObject({ status: PAYOUT_STATUS.CONFIRMED });
+    expect(provider.payouts.size).toBe(1);
+  });
+
+  it('marca como falho o pagamento recusado pelo provedor', async () => {
+    vi.spyOn(provider, 'createPayout').mockRejectedValueOnce(Object.assign(new Error('Chave PIX inexistente no DICT'), { status: 422 }));
+
+    await expect(payout()).rejects.toThrow('Chave PIX inexistente no DICT');
+
+    expect(await payout()).toMatchObject({ status: PAYOUT_STATUS.FAILED, failureReason: 'Chave PIX inexistente no DICT' });
+    expect(provider.createPayout).toHaveBeenCalledTimes(1);
+  });
+});
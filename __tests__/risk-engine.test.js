@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RiskEngine } from '../risk-engine.js';
+
+const LIMITS = {
+  maxOrderNotional: 10000,
+  maxAssetExposure: 20000,
+  assetLimits: { BTC: 15000 },
+  maxStrategyExposure: 25000,
+  strategyLimits: {},
+  dailyLossLimit: 1000,
+  maxLeverage: 3
+};
+
+describe('RiskEngine', () => {
+  let dir;
+  let stateFile;
+  let clock;
+
+  const createEngine = () => new RiskEngine({ limits: LIMITS, stateFile, now: () => clock });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-'));
+    stateFile = path.join(dir, 'risk-state.json');
+    clock = Date.UTC(2024, 0, 1, 12);
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejeita a ordem acima do valor máximo, da alavancagem ou sem preço válido', () => {
+    const engine = createEngine();
+
+    expect(engine.assertOrder({ strategy: 'arb', asset: 'ETH', side: 'buy', amount: 2, price: 3000 })).toMatchObject({ approved: true, notional: 6000 });
+    expect(() => engine.assertOrder({ strategy: 'arb', asset: 'ETH', side: 'buy', amount: 4, price: 3000 }))
+      .toThrow(expect.objectContaining({ status: 403, code: 'RISK_REJECTED' }));
+    expect(() => engine.assertOrder({ strategy: 'arb', asset: 'ETH', side: 'buy', amount: 1, price: 1000, leverage: 5 })).toThrow(/Alavancagem 5x/);
+    expect(() => engine.assertOrder({ strategy: 'arb', asset: 'ETH', side: 'buy', amount: 1, price: NaN })).toThrow(/sem quantidade ou preço/);
+
+    expect(engine.getStatus().stats).toEqual({ checked: 4, approved: 1, rejected: 3 });
+    expect(engine.getStatus().recentRejections).toHaveLength(3);
+  });
+
+  it('soma as execuções na exposição por ativo e por estratégia', () => {
+    const engine = createEngine();
+    engine.recordFill({ strategy: 'arb', asset: 'BTC', side: 'buy', amount: 0.2, price: 50000 });
+    engine.recordFill({ strategy: 'arb', asset: 'BTC', side: 'buy', amount: 0.05, price: 50000 });
+
+    expect(engine.exposures).toEqual({ byAsset: { BTC: 12500 }, byStrategy: { arb: 12500 } });
+    // Limite específico do BTC (15000)
+    expect(() => engine.assertOrder({ strategy: 'arb', asset: 'BTC', side: 'buy', amount: 0.1, price: 50000 })).toThrow(/Exposição em BTC/);
+    // A venda reduz a exposição
+    expect(engine.assertOrder({ strategy: 'arb', asset: 'BTC', side: 'sell', amount: 0.1, price: 50000 }).approved).toBe(true);
+
+    engine.recordFill({ strategy: 'arb', asset: 'BTC', side: 'sell', amount: 0.25, price: 50000 });
+    expect(engine.exposures.byAsset.BTC).toBe(0);
+  });
+
+  it('mantém as exposições abertas depois de reiniciar, inclusive no dia seguinte', () => {
+    const engine = createEngine();
+    engine.recordFill({ strategy: 'arb', asset: 'BTC', side: 'buy', amount: 0.25, price: 50000 });
+    engine.recordPnl({ strategy: 'arb', amount: -200 });
+
+    const restarted = createEngine();
+    expect(restarted.exposures).toEqual({ byAsset: { BTC: 12500 }, byStrategy: { arb: 12500 } });
+    expect(restarted.dailyPnl.realized).toBe(-200);
+    expect(() => restarted.assertOrder({ strategy: 'arb', asset: 'BTC', side: 'buy', amount: 0.1, price: 50000 })).toThrow(/Exposição em BTC/);
+
+    clock += 24 * 60 * 60 * 1000;
+    const nextDay = createEngine();
+    expect(nextDay.dailyPnl.realized).toBe(0);
+    expect(nextDay.exposures.byAsset.BTC).toBe(12500);
+  });
+
+  it('ativa o kill switch ao atingir a perda diária e rejeita as ordens seguintes', () => {
+    const engine = createEngine();
+    engine.recordPnl({ strategy: 'arb', amount: -600 });
+    engine.recordPnl({ strategy: 'arb', amount: -400 });
+
+    expect(engine.isKillSwitchActive()).toBe(true);
+    expect(createEngine().isKillSwitchActive()).toBe(true);
+    expect(() => engine.assertOrder({ strategy: 'arb', asset: 'ETH', side: 'buy', amount: 1, price: 100 })).toThrow(/Kill switch ativo/);
+  });
+});
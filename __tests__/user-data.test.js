@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+import { MemoryRepository, setRepository } from '../src/repositories';
+import subscriptionService from '../src/services/subscriptionService';
+import { createUserDataRouter } from '../user-data.js';
+
+// Serviços de lucro falsos: as rotas só repassam o usuário autenticado
+const userProfitService = {
+  getUserProfitHistory: async (userId) => ({ userId, totalProfit: '0', totalFee: '0', operations: [] }),
+  getUserProfitStats: async (userId) => ({ userId, operationsCount: 0 }),
+  generateProfitReport: async (userId, start, end) => ({ userId, period: { start: start.toISOString(), end: end.toISOString() } })
+};
+
+describe('rotas dos dados do usuário', () => {
+  let server;
+  let baseUrl;
+  let repository;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = { userId: req.get('x-user-id') };
+      next();
+    });
+    app.use('/api/user', createUserDataRouter({
+      loadServices: async () => ({ userProfitService, subscriptionService, transactionImporter: null }),
+      logMessage: () => {}
+    }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/user`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    repository = new MemoryRepository();
+    setRepository(repository);
+  });
+
+  const request = (path, userId, options = {}) => fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'x-user-id': userId, 'Content-Type': 'application/json' }
+  });
+
+  it('lê os lucros do usuário autenticado', async () => {
+    const response = await request('/profits/stats', 'user-1');
+    expect(await response.json()).toEqual({ userId: 'user-1', operationsCount: 0 });
+  });
+
+  it('valida o período do relatório', async () => {
+    const invalid = await request('/profits/report?start=ontem&end=2025-01-31', 'user-1');
+    expect(invalid.status).toBe(400);
+
+    const report = await request('/profits/report?start=2025-01-01&end=2025-01-31', 'user-1');
+    expect((await report.json()).period.start).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('lista e cancela somente as assinaturas do próprio usuário', async () => {
+    await repository.createSubscription({ id: 'sub-1', userId: 'user-1', planId: 'basic', isActive: true, endDate: '2999-01-01' });
+
+    expect((await (await request('/subscriptions', 'user-2')).json()).subscriptions).toEqual([]);
+
+    const denied = await request('/subscriptions/sub-1/cancel', 'user-2', { method: 'POST' });
+    expect(denied.status).toBe(404);
+    expect((await repository.findSubscriptionsByUserId('user-1'))[0].isActive).toBe(true);
+
+    const canceled = await request('/subscriptions/sub-1/cancel', 'user-1', { method: 'POST' });
+    expect(canceled.status).toBe(200);
+    expect((await canceled.json()).subscription.isActive).toBe(false);
+  });
+
+  it('exige exchange e conteúdo na importação de CSV', async () => {
+    const response = await request('/imports/csv', 'user-1', { method: 'POST', body: JSON.stringify({ exchange: 'binance' }) });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WithdrawalAllowlist, AUDIT_ACTIONS } from '../withdrawal-allowlist.js';
+import { FileAuthStore } from '../auth-store.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+const ADDRESS = '0xAbCdEf0000000000000000000000000000000001';
+
+describe('WithdrawalAllowlist', () => {
+  let store;
+  let allowlist;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(START);
+    // Armazenamento só em memória (sem arquivo)
+    store = new FileAuthStore(null);
+    allowlist = new WithdrawalAllowlist({ store, coolingOffHours: 24, validateAddress: async () => true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('só libera o endereço novo depois do período de carência', async () => {
+    const entry = await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'Ethereum', label: 'Carteira' });
+
+    expect(entry).toMatchObject({ chain: 'ethereum', status: 'pending', activatesAt: new Date(START + 24 * HOUR).toISOString() });
+    await expect(allowlist.assertWithdrawalAllowed('user-1', ADDRESS, 'ethereum')).rejects.toMatchObject({ status: 403 });
+
+    vi.setSystemTime(START + 24 * HOUR - 1);
+    await expect(allowlist.assertWithdrawalAllowed('user-1', ADDRESS, 'ethereum')).rejects.toMatchObject({ status: 403 });
+
+    vi.setSystemTime(START + 24 * HOUR);
+    // Endereços EVM são comparados sem diferenciar maiúsculas
+    await expect(allowlist.assertWithdrawalAllowed('user-1', ADDRESS.toLowerCase(), 'ethereum')).resolves.toMatchObject({ id: entry.id, status: 'active' });
+    expect((await allowlist.listAddresses('user-1'))[0].status).toBe('active');
+  });
+
+  it('recusa o endereço de outro usuário, de outra rede ou removido', async () => {
+    const entry = await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: 'Carteira' });
+    vi.setSystemTime(START + 48 * HOUR);
+
+    await expect(allowlist.assertWithdrawalAllowed('user-2', ADDRESS, 'ethereum')).rejects.toMatchObject({ status: 403 });
+    await expect(allowlist.assertWithdrawalAllowed('user-1', ADDRESS, 'polygon')).rejects.toMatchObject({ status: 403 });
+
+    await allowlist.removeAddress('user-1', entry.id);
+    await expect(allowlist.assertWithdrawalAllowed('user-1', ADDRESS, 'ethereum')).rejects.toMatchObject({ status: 403 });
+    expect(await allowlist.listAddresses('user-1')).toEqual([]);
+
+    // Cadastrado de novo, o endereço volta a cumprir a carência
+    const again = await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: 'Carteira' });
+    expect(again.status).toBe('pending');
+  });
+
+  it('valida rede, rótulo, endereço e duplicidade', async () => {
+    const invalid = new WithdrawalAllowlist({ store, coolingOffHours: 24, validateAddress: async () => false });
+
+    await expect(allowlist.addAddress('user-1', { address: ADDRESS, chain: 'dogecoin', label: 'X' })).rejects.toMatchObject({ status: 400 });
+    await expect(allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: ' ' })).rejects.toMatchObject({ status: 400 });
+    await expect(invalid.addAddress('user-1', { address: 'abc', chain: 'ethereum', label: 'X' })).rejects.toMatchObject({ status: 400 });
+
+    await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: 'Carteira' });
+    await expect(allowlist.addAddress('user-1', { address: ADDRESS.toLowerCase(), chain: 'ethereum', label: 'Outra' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('registra cadastros, remoções e saques bloqueados na trilha de auditoria', async () => {
+    const entry = await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: 'Carteira' }, { ip: '10.0.0.1' });
+    vi.setSystemTime(START + HOUR);
+    await allowlist.assertWithdrawalAllowed('user-1', ADDRESS, 'ethereum').catch(() => {});
+    vi.setSystemTime(START + 2 * HOUR);
+    await allowlist.assertWithdrawalAllowed('user-1', '0x9999999999999999999999999999999999999999', 'ethereum').catch(() => {});
+    vi.setSystemTime(START + 3 * HOUR);
+    await allowlist.removeAddress('user-1', entry.id, { ip: '10.0.0.2' });
+    await allowlist.addAddress('user-2', { address: ADDRESS, chain: 'ethereum', label: 'Outro usuário' });
+
+    const audit = await allowlist.getAuditTrail('user-1');
+
+    // Mais recentes primeiro e só os registros do usuário
+    expect(audit.map(record => [record.action, record.details])).toEqual([
+      [AUDIT_ACTIONS.ADDRESS_REMOVED, null],
+      [AUDIT_ACTIONS.WITHDRAWAL_BLOCKED, 'Endereço não cadastrado'],
+      [AUDIT_ACTIONS.WITHDRAWAL_BLOCKED, 'Período de carência'],
+      [AUDIT_ACTIONS.ADDRESS_ADDED, null]
+    ]);
+    expect(audit[0]).toMatchObject({ addressId: entry.id, ip: '10.0.0.2', label: 'Carteira' });
+    expect(audit[1]).toMatchObject({ addressId: null, address: '0x9999999999999999999999999999999999999999', chain: 'ethereum' });
+    expect(audit[3]).toMatchObject({ addressId: entry.id, address: ADDRESS, ip: '10.0.0.1', createdAt: new Date(START).toISOString() });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { WithdrawalService, WITHDRAWAL_STATUS } from '../withdrawals.js';
+import { WithdrawalAllowlist } from '../withdrawal-allowlist.js';
+import { FileAuthStore } from '../auth-store.js';
+import { Ledger, FileLedgerStore } from '../ledger.cjs';
+
+// Mesma instância de two-factor.cjs carregada por withdrawals.js (com o armazenamento dos tokens)
+const { issueStepUpToken, setStepUpTokenStore, STEP_UP_ACTIONS } = createRequire(import.meta.url)('../two-factor.cjs');
+
+const SECRET = 'segredo-de-teste';
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const HOUR = 60 * 60 * 1000;
+
+describe('WithdrawalService', () => {
+  let dir;
+  let store;
+  let ledger;
+  let allowlist;
+  let send;
+  let service;
+  let destination;
+  let previousSecret;
+
+  const confirm = (userId = 'user-1', action = STEP_UP_ACTIONS.WITHDRAWAL) => issueStepUpToken({ userId, action, secret: SECRET });
+  const withdraw = (params = {}) => service.requestWithdrawal({
+    userId: 'user-1',
+    addressId: destination.id,
+    asset: 'ETH',
+    amount: '0.4',
+    stepUpToken: confirm(),
+    ...params
+  });
+
+  beforeEach(async () => {
+    previousSecret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = SECRET;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'withdrawals-'));
+    // Os tokens de confirmação consumidos ficam no armazenamento da autenticação
+    store = new FileAuthStore(path.join(dir, 'auth.json'));
+    setStepUpTokenStore(store);
+    ledger = new Ledger({ store: new FileLedgerStore(path.join(dir, 'ledger.json')) });
+    await ledger.recordTradePnl({ userId: 'user-1', asset: 'ETH', amount: '1', source: 'test' });
+
+    allowlist = new WithdrawalAllowlist({ store, coolingOffHours: 24, validateAddress: async () => true });
+    send = vi.fn(async () => ({ txHash: '0xabc' }));
+    service = new WithdrawalService({ store, allowlist, ledger, send, logMessage: () => {} });
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.UTC(2024, 0, 1));
+    destination = await allowlist.addAddress('user-1', { address: ADDRESS, chain: 'ethereum', label: 'Carteira' });
+    vi.setSystemTime(Date.UTC(2024, 0, 1) + 25 * HOUR);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    process.env.JWT_SECRET = previousSecret;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('envia o saque, lança no livro-razão e consome o token de confirmação', async () => {
+    const stepUpToken = confirm();
+
+    const withdrawal = await withdraw({ stepUpToken });
+
+    expect(withdrawal).toMatchObject({ status: WITHDRAWAL_STATUS.COMPLETED, txHash: '0xabc', amount: '0.4' });
+    expect(send).toHaveBeenCalledWith({ asset: 'ETH', amount: '0.4', address: ADDRESS, chain: 'ethereum' });
+    expect(await ledger.getBalance({ account: 'assets:wallet', userId: 'user-1', asset: 'ETH' })).toBe('0.6');
+    await expect(withdraw({ stepUpToken })).rejects.toMatchObject({ status: 403, message: 'Confirmação em dois fatores já utilizada' });
+  });
+
+  it('recusa a confirmação de outro usuário ou de outra ação', async () => {
+    await expect(withdraw({ stepUpToken: confirm('user-2') })).rejects.toMatchObject({ status: 403 });
+    await expect(withdraw({ stepUpToken: confirm('user-1', STEP_UP_ACTIONS.PAYOUT_DESTINATION) })).rejects.toMatchObject({ status: 403 });
+    await expect(withdraw({ stepUpToken: null })).rejects.toMatchObject({ status: 403 });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('recusa o endereço fora da lista ou em período de carência', async () => {
+    await expect(withdraw({ addressId: 'desconhecido' })).rejects.toMatchObject({ status: 404 });
+
+    const recent = await allowlist.addAddress('user-1', { address: '0x2222222222222222222222222222222222222222', chain: 'ethereum', label: 'Nova' });
+    await expect(withdraw({ addressId: recent.id })).rejects.toMatchObject({ status: 403 });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('recusa o saque acima do saldo do livro-razão', async () => {
+    await withdraw({ amount: '0.7' });
+
+    await expect(withdraw({ amount: '0.4' })).rejects.toMatchObject({ status: 400, message: 'Saldo insuficiente: 0.3 ETH disponível para saque.' });
+    await expect(withdraw({ amount: '0' })).rejects.toMatchObject({ status: 400 });
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('marca como falho o saque que não foi enviado', async () => {
+    send.mockRejectedValueOnce(new Error('Saldo insuficiente na carteira de saques.'));
+
+    await expect(withdraw()).rejects.toThrow('Saldo insuficiente na carteira de saques.');
+
+    const [withdrawal] = await service.listWithdrawals('user-1');
+    expect(withdrawal).toMatchObject({ status: WITHDRAWAL_STATUS.FAILED, txHash: null });
+    expect(await ledger.getBalance({ account: 'assets:wallet', userId: 'user-1', asset: 'ETH' })).toBe('1');
+  });
+
+  it('grava o hash do saque enviado quando o livro-razão falha e conclui o lançamento depois', async () => {
+    const recordPayout = vi.spyOn(ledger, 'recordPayout').mockRejectedValueOnce(new Error('trava ocupada'));
+
+    const withdrawal = await withdraw({ amount: '0.7' });
+
+    expect(withdrawal).toMatchObject({ status: WITHDRAWAL_STATUS.PENDING, txHash: '0xabc' });
+    // O saque enviado continua comprometendo o saldo
+    await expect(withdraw({ amount: '0.4' })).rejects.toMatchObject({ status: 400 });
+
+    const result = await service.completeSentWithdrawals();
+
+    expect(result).toEqual({ completed: 1, errors: [] });
+    expect(recordPayout).toHaveBeenCalledTimes(2);
+    expect((await service.listWithdrawals('user-1'))[0]).toMatchObject({ status: WITHDRAWAL_STATUS.COMPLETED, txHash: '0xabc' });
+    expect(await ledger.getBalance({ account: 'assets:wallet', userId: 'user-1', asset: 'ETH' })).toBe('0.3');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('exige o envio injetado', () => {
+    expect(() => new WithdrawalService({ store, allowlist, ledger })).toThrow('Envio dos saques não configurado');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Controle de acesso por papéis (RBAC) do QuickFundHub
+ * Compartilhado pelas rotas do serviço em segundo plano e pelos serviços
+ * de mercado tradicional. Cada usuário tem um papel (admin, trader, viewer)
+ * e, opcionalmente, permissões extras gravadas junto ao seu registro
+ */
+
+// Permissões por serviço/capacidade
+const PERMISSIONS = {
+  BTG_PACTUAL_MONITOR: 'btgPactual:monitor',
+  TRADITIONAL_MARKET_MONITOR: 'traditionalMarket:monitor',
+  TRADITIONAL_MARKET_ANALYZE: 'traditionalMarket:analyze',
+  MARKET_NOTIFICATIONS_READ: 'marketNotifications:read',
+  MARKET_NOTIFICATIONS_MANAGE: 'marketNotifications:manage',
+  SERVICE_STATUS: 'service:status',
+  SERVICE_CONTROL: 'service:control',
+  PAPER_ORDERS_READ: 'paper:read',
+  PROFITS_WRITE: 'profits:write',
+  LEDGER_READ: 'ledger:read',
+  USERS_MANAGE: 'users:manage'
+};
+
+// Papéis disponíveis e as permissões de cada um ('*' concede todas)
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  trader: [
+    PERMISSIONS.BTG_PACTUAL_MONITOR,
+    PERMISSIONS.TRADITIONAL_MARKET_MONITOR,
+    PERMISSIONS.TRADITIONAL_MARKET_ANALYZE,
+    PERMISSIONS.MARKET_NOTIFICATIONS_READ,
+    PERMISSIONS.MARKET_NOTIFICATIONS_MANAGE,
+    PERMISSIONS.SERVICE_STATUS,
+    PERMISSIONS.SERVICE_CONTROL,
+    PERMISSIONS.PAPER_ORDERS_READ
+  ],
+  viewer: [
+    PERMISSIONS.MARKET_NOTIFICATIONS_READ,
+    PERMISSIONS.SERVICE_STATUS,
+    PERMISSIONS.PAPER_ORDERS_READ
+  ]
+};
+
+const DEFAULT_ROLE = 'viewer';
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+function isValidPermission(permission) {
+  return Object.values(PERMISSIONS).includes(permission);
+}
+
+/**
+ * Lista as permissões efetivas de um usuário (papel + permissões extras)
+ * @param {Object} user - Usuário com role e permissions
+ * @returns {Array<string>} - Permissões efetivas
+ */
+function getPermissions(user) {
+  if (!user) return [];
+  const rolePermissions = ROLE_PERMISSIONS[user.role] || [];
+  return [...new Set([...rolePermissions, ...(user.permissions || [])])];
+}
+
+/**
+ * Verifica se o usuário possui a permissão
+ * @param {Object} user - Usuário com role e permissions
+ * @param {string} permission - Permissão exigida
+ * @returns {boolean} - true se o acesso for permitido
+ */
+function hasPermission(user, permission) {
+  const permissions = getPermissions(user);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Exige a permissão, lançando um erro com status 403 quando negada
+ * @param {Object} user - Usuário com role e permissions
+ * @param {string} permission - Permissão exigida
+ */
+function assertPermission(user, permission) {
+  if (!hasPermission(user, permission)) {
+    const error = new Error(`Acesso não autorizado (${permission})`);
+    error.status = 403;
+    throw error;
+  }
+}
+
+/**
+ * Middleware do Express que exige a permissão do usuário autenticado (req.auth)
+ * @param {string} permission - Permissão exigida
+ */
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Autenticação necessária' });
+    }
+    if (!hasPermission(req.auth, permission)) {
+      return res.status(403).json({ error: 'Acesso não autorizado' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  DEFAULT_ROLE,
+  isValidRole,
+  isValidPermission,
+  getPermissions,
+  hasPermission,
+  assertPermission,
+  authorize
+};
@@ -0,0 +1,55 @@
+/**
+ * Utilitário de linha de comando para conceder papéis pelo servidor
+ * O cadastro nunca concede papéis: o primeiro administrador é promovido aqui, por quem
+ * tem acesso ao servidor; os demais são promovidos por ele em PUT /api/auth/users/:id/access
+ *
+ * Com o armazenamento em arquivo (data/auth.json), execute com o serviço parado: o serviço
+ * mantém o arquivo em memória e regravaria a versão anterior
+ *
+ * Uso:
+ *   node admin-cli.js list
+ *   node admin-cli.js grant-role <email> <papel>
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const { createAuthStore } = require('./auth-store');
+const { isValidRole } = require('./access-control.cjs');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+async function main() {
+  const [command, email, role] = process.argv.slice(2);
+  const store = createAuthStore({
+    driver: process.env.REPOSITORY_DRIVER,
+    file: path.join(__dirname, 'data', 'auth.json')
+  });
+
+  switch (command) {
+    case 'list': {
+      const users = await store.listUsers();
+      console.table(users.map(user => ({ id: user.id, email: user.email, role: user.role })));
+      break;
+    }
+    case 'grant-role': {
+      if (!email || !isValidRole(role)) throw new Error('Informe o email e um papel válido (admin, trader ou viewer)');
+      const user = await store.findUserByEmail(email);
+      if (!user) throw new Error(`Usuário não encontrado: ${email}`);
+
+      await store.updateUser(user.id, { role });
+      // As sessões abertas recebem o novo papel no próximo refresh
+      console.log(`Papel ${role} concedido a ${email}`);
+      break;
+    }
+    default:
+      console.log('Comandos: list, grant-role <email> <papel>');
+  }
+
+  if (store.pool) await store.pool.end();
+}
+
+main().catch(error => {
+  console.error('Erro ao conceder o papel:', error.message);
+  process.exit(1);
+});
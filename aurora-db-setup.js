@@ -79,12 +79,201 @@ async function createTables(connection) {
         id VARCHAR(36) PRIMARY KEY,
         email VARCHAR(255) NOT NULL UNIQUE,
         name VARCHAR(255) NOT NULL,
+        cpf CHAR(11) NULL,
         password VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+        permissions JSON,
+        totp_enabled BOOLEAN DEFAULT FALSE,
+        totp_secret VARCHAR(64) NULL,
+        totp_pending_secret VARCHAR(64) NULL,
+        totp_last_counter BIGINT DEFAULT 0,
+        totp_backup_codes JSON,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
     `);
     
+    // Tabela de assinaturas
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        plan_id VARCHAR(20) NOT NULL,
+        start_date DATETIME NOT NULL,
+        end_date DATETIME NOT NULL,
+        payment_details JSON,
+        profit_fee_percentage DECIMAL(5, 2) DEFAULT 5,
+        is_active BOOLEAN DEFAULT TRUE,
+        canceled_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    
+    // Tabela de refresh tokens (apenas o hash SHA-256 do token é armazenado)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        family_id VARCHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by CHAR(64) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_refresh_tokens_family (family_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+    
+    // Tabela de tokens de redefinição de senha
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        token_hash CHAR(64) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Tabela dos tokens de confirmação em dois fatores já utilizados (uso único)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS used_step_up_tokens (
+        jti VARCHAR(36) PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NOT NULL,
+        INDEX idx_used_step_up_tokens_expires (expires_at)
+      )
+    `);
+
+    // Tabela de endereços de saque autorizados (activates_at marca o fim do período de carência)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        address VARCHAR(128) NOT NULL,
+        activates_at DATETIME NOT NULL,
+        removed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_withdrawal_addresses_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Trilha de auditoria da lista de endereços de saque
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS withdrawal_address_audit (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        action VARCHAR(30) NOT NULL,
+        address_id VARCHAR(36) NULL,
+        label VARCHAR(100) NULL,
+        chain VARCHAR(20) NULL,
+        address VARCHAR(128) NULL,
+        ip VARCHAR(45) NULL,
+        details VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_withdrawal_address_audit_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Chaves PIX de destino dos pagamentos (pix_key já normalizada)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS pix_keys (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        key_type VARCHAR(10) NOT NULL,
+        pix_key VARCHAR(77) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        removed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_pix_keys_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Pagamentos PIX (idempotency_key impede pagamentos duplicados)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS pix_payouts (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        pix_key_id VARCHAR(36) NOT NULL,
+        key_type VARCHAR(10) NOT NULL,
+        pix_key VARCHAR(77) NOT NULL,
+        amount VARCHAR(78) NOT NULL,
+        asset VARCHAR(20) NOT NULL,
+        rate DECIMAL(20, 8) NOT NULL,
+        amount_brl DECIMAL(20, 2) NOT NULL,
+        idempotency_key VARCHAR(128) NOT NULL UNIQUE,
+        provider VARCHAR(30) NOT NULL,
+        provider_payout_id VARCHAR(128) NULL,
+        status VARCHAR(20) NOT NULL,
+        end_to_end_id VARCHAR(64) NULL,
+        failure_reason VARCHAR(255) NULL,
+        confirmed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL,
+        INDEX idx_pix_payouts_user (user_id),
+        INDEX idx_pix_payouts_provider (provider, provider_payout_id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (pix_key_id) REFERENCES pix_keys(id)
+      )
+    `);
+
+    // Saques para os endereços autorizados (id = jti da confirmação em dois fatores)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        address_id VARCHAR(36) NOT NULL,
+        chain VARCHAR(20) NOT NULL,
+        address VARCHAR(128) NOT NULL,
+        asset VARCHAR(20) NOT NULL,
+        amount VARCHAR(78) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        tx_hash VARCHAR(128) NULL,
+        failure_reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME NOT NULL,
+        INDEX idx_withdrawals_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (address_id) REFERENCES withdrawal_addresses(id)
+      )
+    `);
+
+    // Livro-razão de partidas dobradas (lucros, taxas e saques)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        id VARCHAR(36) PRIMARY KEY,
+        entry_key VARCHAR(191) NULL UNIQUE,
+        type VARCHAR(30) NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        reference VARCHAR(128) NULL,
+        description VARCHAR(255) NULL,
+        created_at DATETIME(3) NOT NULL,
+        INDEX idx_ledger_entries_source (source, created_at)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_lines (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        entry_id VARCHAR(36) NOT NULL,
+        account VARCHAR(50) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        asset VARCHAR(20) NOT NULL,
+        strategy VARCHAR(50) NULL,
+        debit DECIMAL(36, 18) NOT NULL DEFAULT 0,
+        credit DECIMAL(36, 18) NOT NULL DEFAULT 0,
+        INDEX idx_ledger_lines_account (account, user_id, asset),
+        FOREIGN KEY (entry_id) REFERENCES ledger_entries(id)
+      )
+    `);
+
     // Tabela de operações
     await connection.query(`
       CREATE TABLE IF NOT EXISTS operations (
@@ -92,9 +281,14 @@ async function createTables(connection) {
         user_id VARCHAR(36) NOT NULL,
         type VARCHAR(50) NOT NULL,
         exchange VARCHAR(50) NOT NULL,
-        amount DECIMAL(20, 8) NOT NULL,
-        profit DECIMAL(20, 8) NOT NULL,
+        asset VARCHAR(20),
+        amount DECIMAL(36, 18) NOT NULL,
+        buy_price DECIMAL(36, 18) DEFAULT 0,
+        sell_price DECIMAL(36, 18) DEFAULT 0,
+        profit DECIMAL(36, 18) NOT NULL,
+        fee DECIMAL(36, 18) DEFAULT 0,
         status VARCHAR(20) NOT NULL,
+        details JSON,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id)
@@ -107,7 +301,7 @@ async function createTables(connection) {
         id VARCHAR(36) PRIMARY KEY,
         user_id VARCHAR(36) NOT NULL,
         operation_id VARCHAR(36) NOT NULL,
-        amount DECIMAL(20, 8) NOT NULL,
+        amount DECIMAL(36, 18) NOT NULL,
         currency VARCHAR(10) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id),
@@ -135,6 +329,65 @@ async function createTables(connection) {
   }
 }
 
+/**
+ * Função para migrar tabelas criadas por versões anteriores do script
+ * Adiciona as colunas usadas pela camada de repositório e amplia a precisão
+ * dos valores para comportar lucros convertidos de wei
+ */
+async function migrateTables(connection) {
+  try {
+    console.log('Verificando migrações pendentes...');
+    
+    const [columns] = await connection.query(
+      `SELECT TABLE_NAME, COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = ? AND TABLE_NAME IN ('users', 'operations', 'profits')`,
+      [dbConfig.database]
+    );
+    const existing = new Set(columns.map(column => `${column.TABLE_NAME}.${column.COLUMN_NAME}`));
+    
+    const newUserColumns = [
+      ['cpf', 'CHAR(11) NULL AFTER name'],
+      ['role', "VARCHAR(20) NOT NULL DEFAULT 'viewer' AFTER password"],
+      ['permissions', 'JSON AFTER role'],
+      ['totp_enabled', 'BOOLEAN DEFAULT FALSE AFTER permissions'],
+      ['totp_secret', 'VARCHAR(64) NULL AFTER totp_enabled'],
+      ['totp_pending_secret', 'VARCHAR(64) NULL AFTER totp_secret'],
+      ['totp_last_counter', 'BIGINT DEFAULT 0 AFTER totp_pending_secret'],
+      ['totp_backup_codes', 'JSON AFTER totp_last_counter']
+    ];
+    
+    for (const [name, definition] of newUserColumns) {
+      if (!existing.has(`users.${name}`)) {
+        await connection.query(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+        console.log(`Coluna users.${name} adicionada.`);
+      }
+    }
+    
+    const newColumns = [
+      ['asset', 'VARCHAR(20) AFTER exchange'],
+      ['buy_price', 'DECIMAL(36, 18) DEFAULT 0 AFTER amount'],
+      ['sell_price', 'DECIMAL(36, 18) DEFAULT 0 AFTER buy_price'],
+      ['fee', 'DECIMAL(36, 18) DEFAULT 0 AFTER profit'],
+      ['details', 'JSON AFTER status']
+    ];
+    
+    for (const [name, definition] of newColumns) {
+      if (!existing.has(`operations.${name}`)) {
+        await connection.query(`ALTER TABLE operations ADD COLUMN ${name} ${definition}`);
+        console.log(`Coluna operations.${name} adicionada.`);
+      }
+    }
+    
+    await connection.query('ALTER TABLE operations MODIFY amount DECIMAL(36, 18) NOT NULL, MODIFY profit DECIMAL(36, 18) NOT NULL');
+    await connection.query('ALTER TABLE profits MODIFY amount DECIMAL(36, 18) NOT NULL');
+    
+    console.log('Migrações aplicadas com sucesso!');
+  } catch (error) {
+    console.error('Erro ao migrar tabelas:', error);
+    throw error;
+  }
+}
+
 /**
  * Função principal para configurar o banco de dados
  */
@@ -151,6 +404,9 @@ async function setupDatabase() {
     // Criar tabelas
     await createTables(connection);
     
+    // Migrar tabelas existentes
+    await migrateTables(connection);
+    
     console.log('Configuração do banco de dados Aurora concluída com sucesso!');
     return true;
   } catch (error) {
@@ -0,0 +1,775 @@
+/**
+ * Autenticação do servidor para o QuickFundHub
+ * Senhas com bcrypt, access tokens JWT de curta duração e refresh tokens
+ * rotativos (um token usado duas vezes revoga toda a sessão)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { PERMISSIONS, DEFAULT_ROLE, isValidRole, isValidPermission, authorize } = require('./access-control.cjs');
+const {
+  STEP_UP_ACTIONS,
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode,
+  issueStepUpToken
+} = require('./two-factor.cjs');
+const { isValidCpf } = require('./pix-payouts.cjs');
+
+const MIN_PASSWORD_LENGTH = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Falhas de login por email (e por IP) antes do bloqueio temporário
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Audiência de cada tipo de JWT: um token de login (mfa) ou de confirmação
+// (step-up) não é aceito como access token, e vice-versa
+const ACCESS_TOKEN_AUDIENCE = 'quickfundhub:access';
+const MFA_TOKEN_AUDIENCE = 'quickfundhub:mfa';
+
+/**
+ * Cria um erro com o status HTTP a ser devolvido pela API
+ * @param {string} message - Mensagem exibida ao cliente
+ * @param {number} status - Status HTTP
+ * @returns {Error} - Erro com a propriedade status
+ */
+function authError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Gera um token aleatório e o hash SHA-256 que será armazenado
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function generateOpaqueToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Verifica hashes PBKDF2 (pbkdf2$iterações$salt$hash) gravados pelo cliente antes
+ * da autenticação no servidor; no próximo login a senha é regravada com bcrypt
+ */
+function verifyLegacyHash(password, storedHash) {
+  const [, iterations, salt, hash] = storedHash.split('$');
+  const derived = crypto.pbkdf2Sync(password, Buffer.from(salt, 'hex'), parseInt(iterations, 10), 32, 'sha256');
+  return crypto.timingSafeEqual(derived, Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Classe para gerenciar cadastro, login e sessões
+ */
+class AuthManager {
+  /**
+   * @param {Object} options - Configuração da autenticação
+   * @param {Object} options.store - Armazenamento (FileAuthStore ou MysqlAuthStore)
+   * @param {string} options.jwtSecret - Segredo para assinar os access tokens
+   * @param {string} options.accessTokenTtl - Validade do access token (formato do jsonwebtoken, ex: '15m')
+   * @param {number} options.refreshTokenTtlDays - Validade do refresh token em dias
+   * @param {number} options.bcryptRounds - Custo do bcrypt
+   * @param {Function} options.sendPasswordResetEmail - Envia o token de redefinição (user, token)
+   * @param {number} options.maxLoginFailures - Falhas seguidas de login antes do bloqueio
+   * @param {number} options.loginLockoutMs - Janela das falhas e duração do bloqueio
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    store,
+    jwtSecret,
+    accessTokenTtl = '15m',
+    refreshTokenTtlDays = 30,
+    bcryptRounds = 12,
+    sendPasswordResetEmail = async () => {},
+    maxLoginFailures = MAX_LOGIN_FAILURES,
+    loginLockoutMs = LOGIN_LOCKOUT_MS,
+    now = () => Date.now()
+  }) {
+    if (!jwtSecret) {
+      throw new Error('JWT_SECRET não configurado');
+    }
+    this.store = store;
+    this.jwtSecret = jwtSecret;
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtlDays = refreshTokenTtlDays;
+    this.bcryptRounds = bcryptRounds;
+    this.sendPasswordResetEmail = sendPasswordResetEmail;
+    this.maxLoginFailures = maxLoginFailures;
+    this.loginLockoutMs = loginLockoutMs;
+    this.now = now;
+    // Falhas de login em memória: chave (email: ou ip:) -> { count, firstAt, lockedUntil }
+    this.loginFailures = new Map();
+  }
+
+  validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw authError(`A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.`);
+    }
+  }
+
+  async verifyPassword(user, password) {
+    const storedHash = user.passwordHash || '';
+
+    if (storedHash.startsWith('pbkdf2$')) {
+      if (!verifyLegacyHash(password, storedHash)) return false;
+      await this.store.updateUser(user.id, { passwordHash: await bcrypt.hash(password, this.bcryptRounds) });
+      return true;
+    }
+
+    return bcrypt.compare(password, storedHash);
+  }
+
+  /**
+   * Monta o usuário público (sem hash de senha) com a assinatura ativa
+   */
+  async toPublicUser(user) {
+    const subscription = await this.store.findActiveSubscription(user.id);
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      cpf: user.cpf || null,
+      role: user.role || DEFAULT_ROLE,
+      permissions: user.permissions || [],
+      totpEnabled: !!user.totpEnabled,
+      createdAt: user.createdAt,
+      subscription: subscription ? {
+        planId: subscription.planId,
+        startDate: subscription.startDate,
+        endDate: subscription.endDate,
+        isActive: subscription.isActive
+      } : null
+    };
+  }
+
+  /**
+   * Emite um access token e um refresh token
+   * @param {Object} user - Usuário autenticado
+   * @param {string} familyId - Família de refresh tokens (mantida entre rotações)
+   * @returns {Promise<Object>} - Tokens e validade
+   */
+  async issueTokens(user, familyId = crypto.randomUUID(), { token: refreshToken, tokenHash } = generateOpaqueToken()) {
+    // Papel e permissões vão no token; alterações passam a valer no próximo refresh
+    const accessToken = jwt.sign({
+      email: user.email,
+      role: user.role || DEFAULT_ROLE,
+      permissions: user.permissions || []
+    }, this.jwtSecret, {
+      subject: user.id,
+      audience: ACCESS_TOKEN_AUDIENCE,
+      expiresIn: this.accessTokenTtl
+    });
+    const now = Date.now();
+
+    await this.store.saveRefreshToken({
+      tokenHash,
+      userId: user.id,
+      familyId,
+      expiresAt: new Date(now + this.refreshTokenTtlDays * DAY_MS).toISOString(),
+      revokedAt: null,
+      replacedBy: null,
+      createdAt: new Date(now).toISOString()
+    });
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(now / 1000),
+      tokenHash
+    };
+  }
+
+  async createSession(user) {
+    const { tokenHash, ...tokens } = await this.issueTokens(user);
+    return { user: await this.toPublicUser(user), ...tokens };
+  }
+
+  /**
+   * Registra um novo usuário com plano gratuito e abre a sessão
+   * O cadastro sempre recebe o papel padrão: papéis são concedidos por um administrador
+   * (updateUserAccess) ou pelo operador do servidor (admin-cli.js)
+   */
+  async register({ name, email, password }) {
+    if (!name || !email) {
+      throw authError('Nome e email são obrigatórios.');
+    }
+    this.validatePassword(password);
+
+    if (await this.store.findUserByEmail(email)) {
+      throw authError('Este email já está em uso.', 409);
+    }
+
+    const now = new Date();
+    const user = await this.store.createUser({
+      id: crypto.randomUUID(),
+      name,
+      email,
+      passwordHash: await bcrypt.hash(password, this.bcryptRounds),
+      role: DEFAULT_ROLE,
+      permissions: [],
+      createdAt: now.toISOString()
+    });
+
+    await this.store.createSubscription({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      planId: 'free',
+      startDate: now.toISOString(),
+      endDate: new Date(now.getTime() + DAY_MS).toISOString(), // 1 dia
+      profitFeePercentage: 5,
+      isActive: true,
+      createdAt: now.toISOString()
+    });
+
+    return this.createSession(user);
+  }
+
+  /**
+   * Valida email e senha; com 2FA ativo devolve um token temporário
+   * ({ mfaRequired, mfaToken }) a ser trocado em completeLogin com o código TOTP
+   * Depois de maxLoginFailures falhas seguidas no mesmo email ou IP, o login fica bloqueado
+   * por loginLockoutMs (mesmo com a senha correta)
+   * @param {string} email - Email
+   * @param {string} password - Senha
+   * @param {Object} options - { ip: endereço do cliente }
+   */
+  async login(email, password, { ip = null } = {}) {
+    const keys = [`email:${String(email || '').trim().toLowerCase()}`];
+    if (ip) keys.push(`ip:${ip}`);
+    this.assertLoginAllowed(keys);
+
+    const user = email ? await this.store.findUserByEmail(email) : null;
+
+    if (!user || !(await this.verifyPassword(user, password || ''))) {
+      this.recordLoginFailure(keys);
+      throw authError('Email ou senha inválidos.', 401);
+    }
+    this.loginFailures.delete(keys[0]);
+
+    if (user.totpEnabled) {
+      const mfaToken = jwt.sign({ purpose: 'mfa' }, this.jwtSecret, {
+        subject: user.id,
+        audience: MFA_TOKEN_AUDIENCE,
+        expiresIn: '5m'
+      });
+      return { mfaRequired: true, mfaToken };
+    }
+
+    return this.createSession(user);
+  }
+
+  assertLoginAllowed(keys) {
+    const now = this.now();
+    for (const key of keys) {
+      const failures = this.loginFailures.get(key);
+      if (failures && failures.lockedUntil > now) {
+        const minutes = Math.ceil((failures.lockedUntil - now) / 60000);
+        throw authError(`Muitas tentativas de login. Tente novamente em ${minutes} minuto(s).`, 429);
+      }
+    }
+  }
+
+  recordLoginFailure(keys) {
+    const now = this.now();
+    for (const key of keys) {
+      let failures = this.loginFailures.get(key);
+      // Falhas fora da janela não contam
+      if (!failures || now - failures.firstAt > this.loginLockoutMs) {
+        failures = { count: 0, firstAt: now, lockedUntil: 0 };
+      }
+      failures.count++;
+      if (failures.count >= this.maxLoginFailures) {
+        failures.lockedUntil = now + this.loginLockoutMs;
+        failures.count = 0;
+        failures.firstAt = now;
+      }
+      this.loginFailures.set(key, failures);
+    }
+
+    // Remove as entradas antigas para o mapa não crescer sem limite
+    if (this.loginFailures.size > 10000) {
+      for (const [key, failures] of this.loginFailures) {
+        if (failures.lockedUntil <= now && now - failures.firstAt > this.loginLockoutMs) this.loginFailures.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Conclui o login de um usuário com 2FA ativo
+   * @param {string} mfaToken - Token devolvido por login
+   * @param {string} code - Código TOTP ou código de backup
+   */
+  async completeLogin(mfaToken, code) {
+    let payload;
+    try {
+      payload = jwt.verify(mfaToken, this.jwtSecret, { audience: MFA_TOKEN_AUDIENCE });
+    } catch (error) {
+      throw authError('Login expirado. Informe email e senha novamente.', 401);
+    }
+    if (payload.purpose !== 'mfa') {
+      throw authError('Token de login inválido.', 401);
+    }
+
+    const user = await this.store.findUserById(payload.sub);
+    if (!user) {
+      throw authError('Token de login inválido.', 401);
+    }
+
+    await this.verifySecondFactor(user, code);
+    return this.createSession(user);
+  }
+
+  /**
+   * Valida um código TOTP (sem reutilizar a mesma janela) ou consome um código de backup
+   * @param {Object} user - Usuário com 2FA ativo
+   * @param {string} code - Código informado
+   */
+  async verifySecondFactor(user, code) {
+    if (!user.totpEnabled) {
+      throw authError('Autenticação em dois fatores não está ativada.');
+    }
+
+    const counter = verifyTotp(user.totpSecret, code);
+    if (counter !== null && counter > (user.totpLastCounter || 0)) {
+      await this.store.updateUser(user.id, { totpLastCounter: counter });
+      return;
+    }
+
+    const backupHash = hashBackupCode(code || '');
+    const backupCodes = user.totpBackupCodes || [];
+    if (counter === null && backupCodes.includes(backupHash)) {
+      await this.store.updateUser(user.id, { totpBackupCodes: backupCodes.filter(hash => hash !== backupHash) });
+      return;
+    }
+
+    throw authError('Código de autenticação inválido.', 401);
+  }
+
+  /**
+   * Inicia o cadastro do 2FA: gera o segredo e a URI para o QR code
+   * O segredo só passa a valer depois de confirmado em enableTotp
+   */
+  async setupTotp(userId) {
+    const user = await this.store.findUserById(userId);
+    if (!user) throw authError('Usuário não encontrado.', 404);
+    if (user.totpEnabled) throw authError('Autenticação em dois fatores já está ativada.', 409);
+
+    const secret = generateSecret();
+    await this.store.updateUser(userId, { totpPendingSecret: secret });
+
+    return { secret, otpauthUri: buildOtpauthUri({ secret, label: user.email }) };
+  }
+
+  /**
+   * Confirma o cadastro do 2FA com o primeiro código do aplicativo autenticador
+   * @returns {Promise<Object>} - { backupCodes } exibidos uma única vez
+   */
+  async enableTotp(userId, code) {
+    const user = await this.store.findUserById(userId);
+    if (!user) throw authError('Usuário não encontrado.', 404);
+    if (!user.totpPendingSecret) throw authError('Inicie o cadastro da autenticação em dois fatores.');
+
+    const counter = verifyTotp(user.totpPendingSecret, code);
+    if (counter === null) throw authError('Código de autenticação inválido.', 401);
+
+    const { codes, hashes } = generateBackupCodes();
+    await this.store.updateUser(userId, {
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpEnabled: true,
+      totpLastCounter: counter,
+      totpBackupCodes: hashes
+    });
+
+    return { backupCodes: codes };
+  }
+
+  async disableTotp(userId, code) {
+    const user = await this.store.findUserById(userId);
+    if (!user) throw authError('Usuário não encontrado.', 404);
+
+    await this.verifySecondFactor(user, code);
+    await this.store.updateUser(userId, {
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastCounter: 0,
+      totpBackupCodes: []
+    });
+  }
+
+  async regenerateBackupCodes(userId, code) {
+    const user = await this.store.findUserById(userId);
+    if (!user) throw authError('Usuário não encontrado.', 404);
+
+    await this.verifySecondFactor(user, code);
+    const { codes, hashes } = generateBackupCodes();
+    await this.store.updateUser(userId, { totpBackupCodes: hashes });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Confirma uma ação sensível (saque ou alteração do destino) com o código TOTP
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código TOTP ou código de backup
+   * @param {string} action - Ação de STEP_UP_ACTIONS
+   * @returns {Promise<Object>} - { stepUpToken } de uso único, válido por 5 minutos
+   */
+  async confirmAction(userId, code, action) {
+    if (!Object.values(STEP_UP_ACTIONS).includes(action)) {
+      throw authError('Ação inválida.');
+    }
+
+    const user = await this.store.findUserById(userId);
+    if (!user) throw authError('Usuário não encontrado.', 404);
+    if (!user.totpEnabled) {
+      throw authError('Ative a autenticação em dois fatores para realizar esta operação.', 403);
+    }
+
+    await this.verifySecondFactor(user, code);
+    return { stepUpToken: issueStepUpToken({ userId, action, secret: this.jwtSecret }) };
+  }
+
+  /**
+   * Troca um refresh token válido por um novo par de tokens
+   * O token apresentado é revogado; se um token já revogado for reutilizado,
+   * todos os tokens da mesma família são revogados
+   * A revogação é feita antes de emitir o novo par e só vale para uma chamada: duas trocas
+   * simultâneas do mesmo token contam como reutilização
+   */
+  async refresh(refreshToken) {
+    const record = refreshToken ? await this.store.findRefreshToken(hashToken(refreshToken)) : null;
+
+    if (!record) {
+      throw authError('Sessão inválida.', 401);
+    }
+    if (record.revokedAt) {
+      await this.store.revokeTokenFamily(record.familyId);
+      throw authError('Sessão inválida.', 401);
+    }
+    if (new Date(record.expiresAt) <= new Date()) {
+      throw authError('Sessão expirada.', 401);
+    }
+
+    const user = await this.store.findUserById(record.userId);
+    if (!user) {
+      throw authError('Sessão inválida.', 401);
+    }
+
+    const next = generateOpaqueToken();
+    if (!(await this.store.revokeRefreshToken(record.tokenHash, next.tokenHash))) {
+      await this.store.revokeTokenFamily(record.familyId);
+      throw authError('Sessão inválida.', 401);
+    }
+
+    const { tokenHash, ...tokens } = await this.issueTokens(user, record.familyId, next);
+    return { user: await this.toPublicUser(user), ...tokens };
+  }
+
+  async logout(refreshToken) {
+    if (refreshToken) {
+      await this.store.revokeRefreshToken(hashToken(refreshToken));
+    }
+  }
+
+  /**
+   * Valida um access token
+   * @param {string} accessToken - Token JWT
+   * @returns {Object} - { userId, email, role, permissions }
+   */
+  verifyAccessToken(accessToken) {
+    try {
+      const payload = jwt.verify(accessToken, this.jwtSecret, { audience: ACCESS_TOKEN_AUDIENCE });
+      if (payload.purpose) {
+        throw new Error(`Token de ${payload.purpose} usado como access token`);
+      }
+      return {
+        userId: payload.sub,
+        email: payload.email,
+        role: payload.role || DEFAULT_ROLE,
+        permissions: payload.permissions || []
+      };
+    } catch (error) {
+      throw authError('Token de acesso inválido ou expirado.', 401);
+    }
+  }
+
+  async getProfile(userId) {
+    const user = await this.store.findUserById(userId);
+    if (!user) {
+      throw authError('Usuário não encontrado.', 404);
+    }
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Cadastra o CPF do usuário, declarante dos arquivos fiscais (IN RFB 1888)
+   * @param {string} userId - ID do usuário
+   * @param {string} cpf - CPF com ou sem pontuação
+   * @returns {Promise<Object>} - Usuário atualizado
+   */
+  async updateCpf(userId, cpf) {
+    const digits = String(cpf || '').replace(/\D/g, '');
+    if (!isValidCpf(digits)) {
+      throw authError('CPF inválido.');
+    }
+
+    await this.getProfile(userId);
+    const user = await this.store.updateUser(userId, { cpf: digits });
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Declarante dos arquivos fiscais: CPF e nome do cadastro do usuário
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Object>} - { cpf, name }
+   */
+  async getTaxDeclarant(userId) {
+    const user = await this.store.findUserById(userId);
+    if (!user) {
+      throw authError('Usuário não encontrado.', 404);
+    }
+    if (!user.cpf) {
+      throw authError('Cadastre o CPF no perfil antes de gerar o arquivo da IN 1888.', 409);
+    }
+    return { cpf: user.cpf, name: user.name };
+  }
+
+  async listUsers() {
+    const users = await this.store.listUsers();
+    return Promise.all(users.map(user => this.toPublicUser(user)));
+  }
+
+  /**
+   * Altera o papel e as permissões extras de um usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} access - { role, permissions }
+   * @returns {Promise<Object>} - Usuário atualizado
+   */
+  async updateUserAccess(userId, { role, permissions = [] }) {
+    if (!isValidRole(role)) {
+      throw authError('Papel inválido.');
+    }
+    const invalid = permissions.filter(permission => !isValidPermission(permission));
+    if (invalid.length > 0) {
+      throw authError(`Permissões inválidas: ${invalid.join(', ')}`);
+    }
+
+    await this.getProfile(userId);
+    const user = await this.store.updateUser(userId, { role, permissions });
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Gera um token de redefinição de senha válido por 1 hora
+   * Não informa ao cliente se o email existe
+   */
+  async requestPasswordReset(email) {
+    const user = email ? await this.store.findUserByEmail(email) : null;
+    if (!user) return;
+
+    const { token, tokenHash } = generateOpaqueToken();
+    await this.store.savePasswordReset({
+      tokenHash,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      usedAt: null,
+      createdAt: new Date().toISOString()
+    });
+
+    await this.sendPasswordResetEmail(user, token);
+  }
+
+  /**
+   * Define uma nova senha a partir do token de redefinição e encerra todas as sessões
+   */
+  async resetPassword(token, password) {
+    const record = token ? await this.store.findPasswordReset(hashToken(token)) : null;
+
+    if (!record || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+      throw authError('Token de redefinição inválido ou expirado.');
+    }
+    this.validatePassword(password);
+
+    await this.store.updateUser(record.userId, { passwordHash: await bcrypt.hash(password, this.bcryptRounds) });
+    await this.store.markPasswordResetUsed(record.tokenHash);
+    await this.store.revokeUserTokens(record.userId);
+  }
+
+  /**
+   * Substitui a assinatura ativa do usuário (concedida por um administrador)
+   * @param {string} userId - ID do usuário
+   * @param {string} planId - Plano contratado
+   * @param {number} durationDays - Duração em dias (0 = ilimitado)
+   */
+  async updateSubscription(userId, planId, durationDays) {
+    if (!planId || !Number.isInteger(durationDays) || durationDays < 0) {
+      throw authError('Plano inválido.');
+    }
+    if (!(await this.store.findUserById(userId))) {
+      throw authError('Usuário não encontrado.', 404);
+    }
+
+    const startDate = new Date();
+    const endDate = durationDays === 0
+      ? new Date(9999, 11, 31) // Plano ilimitado
+      : new Date(startDate.getTime() + durationDays * DAY_MS);
+
+    await this.store.deactivateSubscriptions(userId);
+    await this.store.createSubscription({
+      id: crypto.randomUUID(),
+      userId,
+      planId,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      profitFeePercentage: 5,
+      isActive: true,
+      createdAt: startDate.toISOString()
+    });
+
+    return (await this.getProfile(userId)).subscription;
+  }
+}
+
+/**
+ * Middleware que exige um access token válido (Authorization: Bearer <token>)
+ * e disponibiliza { userId, email, role, permissions } em req.auth
+ * @param {AuthManager} authManager - Gerenciador de autenticação
+ */
+function authenticate(authManager) {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Autenticação necessária' });
+    }
+
+    try {
+      req.auth = authManager.verifyAccessToken(token);
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Cria as rotas de autenticação (montadas em /api/auth)
+ * @param {AuthManager} authManager - Gerenciador de autenticação
+ * @param {Object} options - Opções
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Rotas de autenticação
+ */
+function createAuthRouter(authManager, { logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro na autenticação: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  router.post('/register', handle(async (req, res) => {
+    res.status(201).json(await authManager.register(req.body || {}));
+  }));
+
+  router.post('/login', handle(async (req, res) => {
+    const { email, password } = req.body || {};
+    res.json(await authManager.login(email, password, { ip: req.ip }));
+  }));
+
+  router.post('/login/2fa', handle(async (req, res) => {
+    const { mfaToken, code } = req.body || {};
+    res.json(await authManager.completeLogin(mfaToken, code));
+  }));
+
+  router.post('/refresh', handle(async (req, res) => {
+    res.json(await authManager.refresh((req.body || {}).refreshToken));
+  }));
+
+  router.post('/logout', handle(async (req, res) => {
+    await authManager.logout((req.body || {}).refreshToken);
+    res.json({ success: true });
+  }));
+
+  router.post('/password-reset/request', handle(async (req, res) => {
+    await authManager.requestPasswordReset((req.body || {}).email);
+    res.json({ success: true, message: 'Se o email estiver cadastrado, você receberá as instruções de redefinição.' });
+  }));
+
+  router.post('/password-reset/confirm', handle(async (req, res) => {
+    const { token, password } = req.body || {};
+    await authManager.resetPassword(token, password);
+    res.json({ success: true });
+  }));
+
+  router.get('/me', authenticate(authManager), handle(async (req, res) => {
+    res.json({ user: await authManager.getProfile(req.auth.userId) });
+  }));
+
+  // CPF do usuário (declarante dos relatórios fiscais)
+  router.put('/me/cpf', authenticate(authManager), handle(async (req, res) => {
+    res.json({ user: await authManager.updateCpf(req.auth.userId, (req.body || {}).cpf) });
+  }));
+
+  // Autenticação em dois fatores (TOTP)
+  router.post('/2fa/setup', authenticate(authManager), handle(async (req, res) => {
+    res.json(await authManager.setupTotp(req.auth.userId));
+  }));
+
+  router.post('/2fa/enable', authenticate(authManager), handle(async (req, res) => {
+    res.json(await authManager.enableTotp(req.auth.userId, (req.body || {}).code));
+  }));
+
+  router.post('/2fa/disable', authenticate(authManager), handle(async (req, res) => {
+    await authManager.disableTotp(req.auth.userId, (req.body || {}).code);
+    res.json({ success: true });
+  }));
+
+  router.post('/2fa/backup-codes', authenticate(authManager), handle(async (req, res) => {
+    res.json(await authManager.regenerateBackupCodes(req.auth.userId, (req.body || {}).code));
+  }));
+
+  router.post('/2fa/confirm', authenticate(authManager), handle(async (req, res) => {
+    const { code, action } = req.body || {};
+    res.json(await authManager.confirmAction(req.auth.userId, code, action));
+  }));
+
+  // Administração de papéis e permissões
+  router.get('/users', authenticate(authManager), authorize(PERMISSIONS.USERS_MANAGE), handle(async (req, res) => {
+    res.json({ users: await authManager.listUsers() });
+  }));
+
+  router.put('/users/:id/access', authenticate(authManager), authorize(PERMISSIONS.USERS_MANAGE), handle(async (req, res) => {
+    const { role, permissions } = req.body || {};
+    res.json({ user: await authManager.updateUserAccess(req.params.id, { role, permissions }) });
+  }));
+
+  // Assinaturas só são concedidas ou alteradas por administradores (inclusive o plano ilimitado)
+  router.put('/users/:id/subscription', authenticate(authManager), authorize(PERMISSIONS.USERS_MANAGE), handle(async (req, res) => {
+    const { planId, durationDays } = req.body || {};
+    const subscription = await authManager.updateSubscription(req.params.id, planId, durationDays);
+    logMessage(`Assinatura ${planId} concedida ao usuário ${req.params.id} por ${req.auth.userId}`);
+    res.json({ subscription });
+  }));
+
+  return router;
+}
+
+module.exports = { AuthManager, authenticate, createAuthRouter };
@@ -0,0 +1,813 @@
+/**
+ * Armazenamento de usuários, assinaturas, sessões, endereços de saque, saques e pagamentos PIX para a autenticação do servidor
+ * FileAuthStore grava um snapshot JSON em disco (desenvolvimento e execução local);
+ * MysqlAuthStore usa as tabelas criadas por aurora-db-setup.js
+ */
+
+const fs = require('fs');
+const mysql = require('mysql2/promise');
+
+/**
+ * Armazenamento em arquivo JSON
+ */
+class FileAuthStore {
+  /**
+   * @param {string} file - Arquivo onde o snapshot é persistido
+   */
+  constructor(file) {
+    this.file = file;
+    this.data = {
+      users: [],
+      subscriptions: [],
+      refreshTokens: [],
+      passwordResets: [],
+      withdrawalAddresses: [],
+      withdrawalAudit: [],
+      pixKeys: [],
+      pixPayouts: [],
+      withdrawals: [],
+      usedStepUpTokens: []
+    };
+
+    if (this.file && fs.existsSync(this.file)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+    }
+  }
+
+  save() {
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+  }
+
+  // Usuários
+
+  async findUserById(id) {
+    return this.data.users.find(user => user.id === id) || null;
+  }
+
+  async findUserByEmail(email) {
+    return this.data.users.find(user => user.email === email) || null;
+  }
+
+  async listUsers() {
+    return this.data.users.map(user => ({ ...user }));
+  }
+
+  async createUser(user) {
+    if (this.data.users.some(existing => existing.email === user.email)) {
+      throw new Error('Este email já está em uso.');
+    }
+    this.data.users.push({ ...user });
+    this.save();
+    return { ...user };
+  }
+
+  async updateUser(id, changes) {
+    const user = this.data.users.find(existing => existing.id === id);
+    if (!user) throw new Error('Usuário não encontrado');
+
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return { ...user };
+  }
+
+  // Assinaturas
+
+  async findActiveSubscription(userId) {
+    return this.data.subscriptions
+      .filter(subscription => subscription.userId === userId && subscription.isActive)
+      .pop() || null;
+  }
+
+  async createSubscription(subscription) {
+    this.data.subscriptions.push({ ...subscription });
+    this.save();
+    return { ...subscription };
+  }
+
+  async deactivateSubscriptions(userId) {
+    this.data.subscriptions
+      .filter(subscription => subscription.userId === userId && subscription.isActive)
+      .forEach(subscription => { subscription.isActive = false; });
+    this.save();
+  }
+
+  // Refresh tokens (apenas o hash do token é armazenado)
+
+  async saveRefreshToken(record) {
+    this.data.refreshTokens.push({ ...record });
+    this.save();
+  }
+
+  async findRefreshToken(tokenHash) {
+    return this.data.refreshTokens.find(record => record.tokenHash === tokenHash) || null;
+  }
+
+  // Retorna false se o token já estava revogado (outra chamada o usou antes)
+  async revokeRefreshToken(tokenHash, replacedBy = null) {
+    const record = this.data.refreshTokens.find(existing => existing.tokenHash === tokenHash);
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = new Date().toISOString();
+    record.replacedBy = replacedBy;
+    this.save();
+    return true;
+  }
+
+  async revokeTokenFamily(familyId) {
+    const now = new Date().toISOString();
+    this.data.refreshTokens
+      .filter(record => record.familyId === familyId && !record.revokedAt)
+      .forEach(record => { record.revokedAt = now; });
+    this.save();
+  }
+
+  async revokeUserTokens(userId) {
+    const now = new Date().toISOString();
+    this.data.refreshTokens
+      .filter(record => record.userId === userId && !record.revokedAt)
+      .forEach(record => { record.revokedAt = now; });
+    this.save();
+  }
+
+  // Redefinição de senha
+
+  async savePasswordReset(record) {
+    this.data.passwordResets.push({ ...record });
+    this.save();
+  }
+
+  async findPasswordReset(tokenHash) {
+    return this.data.passwordResets.find(record => record.tokenHash === tokenHash) || null;
+  }
+
+  async markPasswordResetUsed(tokenHash) {
+    const record = this.data.passwordResets.find(existing => existing.tokenHash === tokenHash);
+    if (record) {
+      record.usedAt = new Date().toISOString();
+      this.save();
+    }
+  }
+
+  // Tokens de confirmação (step-up) já utilizados
+
+  async consumeStepUpToken(jti, expiresAt) {
+    const now = new Date().toISOString();
+    this.data.usedStepUpTokens = this.data.usedStepUpTokens.filter(record => record.expiresAt > now);
+    if (this.data.usedStepUpTokens.some(record => record.jti === jti)) {
+      return false;
+    }
+    this.data.usedStepUpTokens.push({ jti, expiresAt, usedAt: now });
+    this.save();
+    return true;
+  }
+
+  // Endereços de saque autorizados
+
+  async listWithdrawalAddresses(userId) {
+    return this.data.withdrawalAddresses
+      .filter(entry => entry.userId === userId)
+      .map(entry => ({ ...entry }));
+  }
+
+  async createWithdrawalAddress(entry) {
+    this.data.withdrawalAddresses.push({ ...entry });
+    this.save();
+    return { ...entry };
+  }
+
+  async updateWithdrawalAddress(id, changes) {
+    const entry = this.data.withdrawalAddresses.find(existing => existing.id === id);
+    if (!entry) throw new Error('Endereço de saque não encontrado');
+
+    Object.assign(entry, changes);
+    this.save();
+    return { ...entry };
+  }
+
+  async appendWithdrawalAudit(record) {
+    this.data.withdrawalAudit.push({ ...record });
+    this.save();
+  }
+
+  async listWithdrawalAudit(userId) {
+    return this.data.withdrawalAudit
+      .filter(record => record.userId === userId)
+      .map(record => ({ ...record }));
+  }
+
+  // Chaves e pagamentos PIX
+
+  async listPixKeys(userId) {
+    return this.data.pixKeys
+      .filter(entry => entry.userId === userId)
+      .map(entry => ({ ...entry }));
+  }
+
+  async createPixKey(entry) {
+    this.data.pixKeys.push({ ...entry });
+    this.save();
+    return { ...entry };
+  }
+
+  async updatePixKey(id, changes) {
+    const entry = this.data.pixKeys.find(existing => existing.id === id);
+    if (!entry) throw new Error('Chave PIX não encontrada');
+
+    Object.assign(entry, changes);
+    this.save();
+    return { ...entry };
+  }
+
+  async findPixPayout(id) {
+    const payout = this.data.pixPayouts.find(existing => existing.id === id);
+    return payout ? { ...payout } : null;
+  }
+
+  async findPixPayoutByIdempotencyKey(idempotencyKey) {
+    const payout = this.data.pixPayouts.find(existing => existing.idempotencyKey === idempotencyKey);
+    return payout ? { ...payout } : null;
+  }
+
+  async findPixPayoutByProviderId(provider, providerPayoutId) {
+    const payout = this.data.pixPayouts.find(existing =>
+      existing.provider === provider && existing.providerPayoutId === providerPayoutId
+    );
+    return payout ? { ...payout } : null;
+  }
+
+  async listPixPayouts(userId) {
+    return this.data.pixPayouts
+      .filter(payout => payout.userId === userId)
+      .map(payout => ({ ...payout }));
+  }
+
+  async createPixPayout(payout) {
+    this.data.pixPayouts.push({ ...payout });
+    this.save();
+    return { ...payout };
+  }
+
+  async updatePixPayout(id, changes) {
+    const payout = this.data.pixPayouts.find(existing => existing.id === id);
+    if (!payout) throw new Error('Pagamento PIX não encontrado');
+
+    Object.assign(payout, changes);
+    this.save();
+    return { ...payout };
+  }
+
+  // Saques para os endereços autorizados
+
+  async listWithdrawals(userId) {
+    return this.data.withdrawals
+      .filter(withdrawal => withdrawal.userId === userId)
+      .map(withdrawal => ({ ...withdrawal }));
+  }
+
+  async listWithdrawalsByStatus(status) {
+    return this.data.withdrawals
+      .filter(withdrawal => withdrawal.status === status)
+      .map(withdrawal => ({ ...withdrawal }));
+  }
+
+  async createWithdrawal(withdrawal) {
+    this.data.withdrawals.push({ ...withdrawal });
+    this.save();
+    return { ...withdrawal };
+  }
+
+  async updateWithdrawal(id, changes) {
+    const withdrawal = this.data.withdrawals.find(existing => existing.id === id);
+    if (!withdrawal) throw new Error('Saque não encontrado');
+
+    Object.assign(withdrawal, changes);
+    this.save();
+    return { ...withdrawal };
+  }
+}
+
+/**
+ * Armazenamento MySQL/Aurora
+ */
+class MysqlAuthStore {
+  /**
+   * @param {Object} config - Configuração da conexão (host, port, database, user, password)
+   */
+  constructor(config = {}) {
+    this.pool = mysql.createPool({
+      host: config.host || process.env.DB_HOST,
+      port: config.port || process.env.DB_PORT || 3306,
+      database: config.database || process.env.DB_NAME || 'quickfundhub_production',
+      user: config.user || process.env.DB_USERNAME || 'admin',
+      password: config.password || process.env.DB_PASSWORD || '',
+      waitForConnections: true,
+      connectionLimit: config.connectionLimit || 10
+    });
+  }
+
+  async query(sql, params = []) {
+    const [rows] = await this.pool.execute(sql, params);
+    return rows;
+  }
+
+  toDate(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  // Usuários
+
+  toUser(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      cpf: row.cpf || null,
+      passwordHash: row.password,
+      role: row.role,
+      permissions: typeof row.permissions === 'string' ? JSON.parse(row.permissions) : (row.permissions || []),
+      totpEnabled: !!row.totp_enabled,
+      totpSecret: row.totp_secret,
+      totpPendingSecret: row.totp_pending_secret,
+      totpLastCounter: Number(row.totp_last_counter || 0),
+      totpBackupCodes: typeof row.totp_backup_codes === 'string' ? JSON.parse(row.totp_backup_codes) : (row.totp_backup_codes || []),
+      createdAt: this.toDate(row.created_at),
+      updatedAt: this.toDate(row.updated_at)
+    };
+  }
+
+  async findUserById(id) {
+    const [row] = await this.query('SELECT * FROM users WHERE id = ?', [id]);
+    return this.toUser(row);
+  }
+
+  async findUserByEmail(email) {
+    const [row] = await this.query('SELECT * FROM users WHERE email = ?', [email]);
+    return this.toUser(row);
+  }
+
+  async listUsers() {
+    const rows = await this.query('SELECT * FROM users ORDER BY created_at');
+    return rows.map(row => this.toUser(row));
+  }
+
+  async createUser(user) {
+    if (await this.findUserByEmail(user.email)) {
+      throw new Error('Este email já está em uso.');
+    }
+    await this.query(
+      'INSERT INTO users (id, email, name, password, role, permissions, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [user.id, user.email, user.name, user.passwordHash, user.role, JSON.stringify(user.permissions || []), new Date(user.createdAt)]
+    );
+    return this.findUserById(user.id);
+  }
+
+  async updateUser(id, changes) {
+    const columns = {
+      name: 'name',
+      email: 'email',
+      cpf: 'cpf',
+      passwordHash: 'password',
+      role: 'role',
+      permissions: 'permissions',
+      totpEnabled: 'totp_enabled',
+      totpSecret: 'totp_secret',
+      totpPendingSecret: 'totp_pending_secret',
+      totpLastCounter: 'totp_last_counter',
+      totpBackupCodes: 'totp_backup_codes'
+    };
+    const jsonColumns = ['permissions', 'totpBackupCodes'];
+    const fields = Object.keys(changes).filter(key => columns[key]);
+    const value = (key) => {
+      if (jsonColumns.includes(key)) return JSON.stringify(changes[key] || []);
+      if (key === 'totpEnabled') return changes[key] ? 1 : 0;
+      return changes[key];
+    };
+
+    if (fields.length > 0) {
+      await this.query(
+        `UPDATE users SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(value), id]
+      );
+    }
+    return this.findUserById(id);
+  }
+
+  // Assinaturas
+
+  async findActiveSubscription(userId) {
+    const [row] = await this.query(
+      'SELECT * FROM subscriptions WHERE user_id = ? AND is_active = 1 ORDER BY created_at DESC LIMIT 1',
+      [userId]
+    );
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      planId: row.plan_id,
+      startDate: this.toDate(row.start_date),
+      endDate: this.toDate(row.end_date),
+      profitFeePercentage: parseFloat(row.profit_fee_percentage),
+      isActive: !!row.is_active,
+      createdAt: this.toDate(row.created_at)
+    };
+  }
+
+  async createSubscription(subscription) {
+    await this.query(
+      `INSERT INTO subscriptions
+        (id, user_id, plan_id, start_date, end_date, payment_details, profit_fee_percentage, is_active, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        subscription.id,
+        subscription.userId,
+        subscription.planId,
+        new Date(subscription.startDate),
+        new Date(subscription.endDate),
+        JSON.stringify(subscription.paymentDetails || null),
+        subscription.profitFeePercentage || 5,
+        subscription.isActive ? 1 : 0,
+        new Date(subscription.createdAt)
+      ]
+    );
+    return subscription;
+  }
+
+  async deactivateSubscriptions(userId) {
+    await this.query('UPDATE subscriptions SET is_active = 0 WHERE user_id = ? AND is_active = 1', [userId]);
+  }
+
+  // Refresh tokens (apenas o hash do token é armazenado)
+
+  async saveRefreshToken(record) {
+    await this.query(
+      `INSERT INTO refresh_tokens (token_hash, user_id, family_id, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [record.tokenHash, record.userId, record.familyId, new Date(record.expiresAt), new Date(record.createdAt)]
+    );
+  }
+
+  async findRefreshToken(tokenHash) {
+    const [row] = await this.query('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    if (!row) return null;
+    return {
+      tokenHash: row.token_hash,
+      userId: row.user_id,
+      familyId: row.family_id,
+      expiresAt: this.toDate(row.expires_at),
+      revokedAt: this.toDate(row.revoked_at),
+      replacedBy: row.replaced_by,
+      createdAt: this.toDate(row.created_at)
+    };
+  }
+
+  async revokeRefreshToken(tokenHash, replacedBy = null) {
+    const result = await this.query(
+      'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE token_hash = ? AND revoked_at IS NULL',
+      [new Date(), replacedBy, tokenHash]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async revokeTokenFamily(familyId) {
+    await this.query(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+      [new Date(), familyId]
+    );
+  }
+
+  async revokeUserTokens(userId) {
+    await this.query(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [new Date(), userId]
+    );
+  }
+
+  // Redefinição de senha
+
+  async savePasswordReset(record) {
+    await this.query(
+      'INSERT INTO password_resets (token_hash, user_id, expires_at, created_at) VALUES (?, ?, ?, ?)',
+      [record.tokenHash, record.userId, new Date(record.expiresAt), new Date(record.createdAt)]
+    );
+  }
+
+  async findPasswordReset(tokenHash) {
+    const [row] = await this.query('SELECT * FROM password_resets WHERE token_hash = ?', [tokenHash]);
+    if (!row) return null;
+    return {
+      tokenHash: row.token_hash,
+      userId: row.user_id,
+      expiresAt: this.toDate(row.expires_at),
+      usedAt: this.toDate(row.used_at)
+    };
+  }
+
+  async markPasswordResetUsed(tokenHash) {
+    await this.query('UPDATE password_resets SET used_at = ? WHERE token_hash = ?', [new Date(), tokenHash]);
+  }
+
+  // Tokens de confirmação (step-up) já utilizados
+
+  async consumeStepUpToken(jti, expiresAt) {
+    await this.query('DELETE FROM used_step_up_tokens WHERE expires_at < ?', [new Date()]);
+    try {
+      await this.query(
+        'INSERT INTO used_step_up_tokens (jti, expires_at, used_at) VALUES (?, ?, ?)',
+        [jti, new Date(expiresAt), new Date()]
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return false;
+      throw error;
+    }
+  }
+
+  // Endereços de saque autorizados
+
+  toWithdrawalAddress(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      label: row.label,
+      chain: row.chain,
+      address: row.address,
+      activatesAt: this.toDate(row.activates_at),
+      removedAt: this.toDate(row.removed_at),
+      createdAt: this.toDate(row.created_at)
+    };
+  }
+
+  async listWithdrawalAddresses(userId) {
+    const rows = await this.query('SELECT * FROM withdrawal_addresses WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.toWithdrawalAddress(row));
+  }
+
+  async createWithdrawalAddress(entry) {
+    await this.query(
+      `INSERT INTO withdrawal_addresses (id, user_id, label, chain, address, activates_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [entry.id, entry.userId, entry.label, entry.chain, entry.address, new Date(entry.activatesAt), new Date(entry.createdAt)]
+    );
+    return entry;
+  }
+
+  async updateWithdrawalAddress(id, changes) {
+    const columns = { label: 'label', removedAt: 'removed_at' };
+    const fields = Object.keys(changes).filter(key => columns[key]);
+    if (fields.length === 0) return;
+
+    await this.query(
+      `UPDATE withdrawal_addresses SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(key => (key === 'removedAt' && changes[key] ? new Date(changes[key]) : changes[key])), id]
+    );
+  }
+
+  async appendWithdrawalAudit(record) {
+    await this.query(
+      `INSERT INTO withdrawal_address_audit (id, user_id, action, address_id, label, chain, address, ip, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        record.id,
+        record.userId,
+        record.action,
+        record.addressId,
+        record.label,
+        record.chain,
+        record.address,
+        record.ip,
+        record.details,
+        new Date(record.createdAt)
+      ]
+    );
+  }
+
+  async listWithdrawalAudit(userId) {
+    const rows = await this.query('SELECT * FROM withdrawal_address_audit WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => ({
+      id: row.id,
+      userId: row.user_id,
+      action: row.action,
+      addressId: row.address_id,
+      label: row.label,
+      chain: row.chain,
+      address: row.address,
+      ip: row.ip,
+      details: row.details,
+      createdAt: this.toDate(row.created_at)
+    }));
+  }
+
+  // Chaves e pagamentos PIX
+
+  toPixKey(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      type: row.key_type,
+      key: row.pix_key,
+      label: row.label,
+      removedAt: this.toDate(row.removed_at),
+      createdAt: this.toDate(row.created_at)
+    };
+  }
+
+  async listPixKeys(userId) {
+    const rows = await this.query('SELECT * FROM pix_keys WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.toPixKey(row));
+  }
+
+  async createPixKey(entry) {
+    await this.query(
+      'INSERT INTO pix_keys (id, user_id, key_type, pix_key, label, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [entry.id, entry.userId, entry.type, entry.key, entry.label, new Date(entry.createdAt)]
+    );
+    return entry;
+  }
+
+  async updatePixKey(id, changes) {
+    const columns = { label: 'label', removedAt: 'removed_at' };
+    const fields = Object.keys(changes).filter(key => columns[key]);
+    if (fields.length === 0) return;
+
+    await this.query(
+      `UPDATE pix_keys SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(key => (key === 'removedAt' && changes[key] ? new Date(changes[key]) : changes[key])), id]
+    );
+  }
+
+  toPixPayout(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      pixKeyId: row.pix_key_id,
+      keyType: row.key_type,
+      key: row.pix_key,
+      amount: row.amount,
+      asset: row.asset,
+      rate: parseFloat(row.rate),
+      amountBrl: parseFloat(row.amount_brl),
+      idempotencyKey: row.idempotency_key,
+      provider: row.provider,
+      providerPayoutId: row.provider_payout_id,
+      status: row.status,
+      endToEndId: row.end_to_end_id,
+      failureReason: row.failure_reason,
+      confirmedAt: this.toDate(row.confirmed_at),
+      createdAt: this.toDate(row.created_at),
+      updatedAt: this.toDate(row.updated_at)
+    };
+  }
+
+  async findPixPayoutWhere(condition, params) {
+    const rows = await this.query(`SELECT * FROM pix_payouts WHERE ${condition} LIMIT 1`, params);
+    return rows[0] ? this.toPixPayout(rows[0]) : null;
+  }
+
+  async findPixPayout(id) {
+    return this.findPixPayoutWhere('id = ?', [id]);
+  }
+
+  async findPixPayoutByIdempotencyKey(idempotencyKey) {
+    return this.findPixPayoutWhere('idempotency_key = ?', [idempotencyKey]);
+  }
+
+  async findPixPayoutByProviderId(provider, providerPayoutId) {
+    return this.findPixPayoutWhere('provider = ? AND provider_payout_id = ?', [provider, providerPayoutId]);
+  }
+
+  async listPixPayouts(userId) {
+    const rows = await this.query('SELECT * FROM pix_payouts WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.toPixPayout(row));
+  }
+
+  async createPixPayout(payout) {
+    await this.query(
+      `INSERT INTO pix_payouts
+         (id, user_id, pix_key_id, key_type, pix_key, amount, asset, rate, amount_brl, idempotency_key,
+          provider, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payout.id,
+        payout.userId,
+        payout.pixKeyId,
+        payout.keyType,
+        payout.key,
+        payout.amount,
+        payout.asset,
+        payout.rate,
+        payout.amountBrl,
+        payout.idempotencyKey,
+        payout.provider,
+        payout.status,
+        new Date(payout.createdAt),
+        new Date(payout.updatedAt)
+      ]
+    );
+    return payout;
+  }
+
+  async updatePixPayout(id, changes) {
+    const columns = {
+      providerPayoutId: 'provider_payout_id',
+      status: 'status',
+      endToEndId: 'end_to_end_id',
+      failureReason: 'failure_reason',
+      confirmedAt: 'confirmed_at',
+      updatedAt: 'updated_at'
+    };
+    const dateFields = ['confirmedAt', 'updatedAt'];
+    const fields = Object.keys(changes).filter(key => columns[key]);
+
+    if (fields.length > 0) {
+      await this.query(
+        `UPDATE pix_payouts SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(key => (dateFields.includes(key) && changes[key] ? new Date(changes[key]) : changes[key])), id]
+      );
+    }
+    return this.findPixPayout(id);
+  }
+
+  // Saques para os endereços autorizados
+
+  toWithdrawal(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      addressId: row.address_id,
+      chain: row.chain,
+      address: row.address,
+      asset: row.asset,
+      amount: row.amount,
+      status: row.status,
+      txHash: row.tx_hash,
+      failureReason: row.failure_reason,
+      createdAt: this.toDate(row.created_at),
+      updatedAt: this.toDate(row.updated_at)
+    };
+  }
+
+  async listWithdrawals(userId) {
+    const rows = await this.query('SELECT * FROM withdrawals WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this.toWithdrawal(row));
+  }
+
+  async listWithdrawalsByStatus(status) {
+    const rows = await this.query('SELECT * FROM withdrawals WHERE status = ? ORDER BY created_at', [status]);
+    return rows.map(row => this.toWithdrawal(row));
+  }
+
+  async createWithdrawal(withdrawal) {
+    await this.query(
+      `INSERT INTO withdrawals
+         (id, user_id, address_id, chain, address, asset, amount, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        withdrawal.id,
+        withdrawal.userId,
+        withdrawal.addressId,
+        withdrawal.chain,
+        withdrawal.address,
+        withdrawal.asset,
+        withdrawal.amount,
+        withdrawal.status,
+        new Date(withdrawal.createdAt),
+        new Date(withdrawal.updatedAt)
+      ]
+    );
+    return withdrawal;
+  }
+
+  async updateWithdrawal(id, changes) {
+    const columns = {
+      status: 'status',
+      txHash: 'tx_hash',
+      failureReason: 'failure_reason',
+      updatedAt: 'updated_at'
+    };
+    const fields = Object.keys(changes).filter(key => columns[key]);
+
+    if (fields.length > 0) {
+      await this.query(
+        `UPDATE withdrawals SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(key => (key === 'updatedAt' ? new Date(changes[key]) : changes[key])), id]
+      );
+    }
+    const [row] = await this.query('SELECT * FROM withdrawals WHERE id = ?', [id]);
+    return row ? this.toWithdrawal(row) : null;
+  }
+}
+
+/**
+ * Cria o armazenamento de acordo com REPOSITORY_DRIVER
+ * @param {Object} options - Opções do armazenamento
+ * @param {string} options.driver - 'mysql' para usar o Aurora, qualquer outro valor usa arquivo
+ * @param {string} options.file - Arquivo JSON usado pelo armazenamento local
+ * @returns {FileAuthStore|MysqlAuthStore} - Armazenamento configurado
+ */
+function createAuthStore({ driver, file }) {
+  return driver === 'mysql' ? new MysqlAuthStore() : new FileAuthStore(file);
+}
+
+module.exports = { FileAuthStore, MysqlAuthStore, createAuthStore };
@@ -7,6 +7,7 @@
 const dotenv = require('dotenv');
 const express = require('express');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
@@ -16,6 +17,26 @@ const { fork } = require('child_process');
 // Importar funções auxiliares
 const { sendWhatsAppNotification, sendDailyReport, sendWeeklyReport } = require('./notebook-functions');
 const { sendEmail } = require('./notebook-email');
+const { SimulatedExchange, parseBalances } = require('./paper-exchange');
+const { AuthManager, authenticate, createAuthRouter } = require('./auth-server');
+const { setStepUpTokenStore } = require('./two-factor.cjs');
+const { PERMISSIONS, authorize } = require('./access-control.cjs');
+const { createAuthStore } = require('./auth-store');
+const { WithdrawalAllowlist, setWithdrawalAllowlist, createWithdrawalAddressRouter } = require('./withdrawal-allowlist');
+const { WithdrawalService, createOnChainSender, createWithdrawalRouter } = require('./withdrawals');
+const { RiskEngine, setRiskEngine } = require('./risk-engine');
+const { PixPayoutService, setPixPayoutService, createPixRouter, createPixWebhookHandler } = require('./pix-payouts.cjs');
+const { Ledger, createLedgerStore, setLedger } = require('./ledger.cjs');
+const { createTaxReportRouter } = require('./tax-reports');
+const { createUserDataRouter } = require('./user-data');
+const { LotTracker, setLotTracker } = require('./lot-tracker');
+const {
+  OrderManager,
+  setOrderManager,
+  setPaperOrderManager,
+  paperOrderEvents,
+  attachLedger
+} = require('./order-manager');
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -48,6 +69,15 @@ if (!fs.existsSync(usersDbFile)) {
 // Arquivo para registrar logs do serviço em segundo plano
 const logFile = path.join(dataDir, 'background-service.log');
 
+// Modo de operação: 'live' executa as estratégias normalmente, 'paper' usa a exchange simulada
+const tradingMode = process.env.TRADING_MODE === 'paper' ? 'paper' : 'live';
+
+// Arquivo com saldos e ordens da exchange simulada
+const paperStateFile = path.join(dataDir, 'paper-exchange.json');
+
+// Arquivo com usuários, assinaturas e sessões quando REPOSITORY_DRIVER não é mysql
+const authDbFile = path.join(dataDir, 'auth.json');
+
 /**
  * Função para registrar logs
  * @param {string} message - Mensagem a ser registrada
@@ -75,18 +105,118 @@ class BackgroundService {
     this.profitStats = {
       totalProfits: 0,
       profitsByStrategy: {},
+      profitsByAsset: {},
       lastProfitTimestamp: null
     };
+    this.startedAt = new Date().toISOString();
+    // Livro-razão de partidas dobradas compartilhado com os serviços (mesmo arquivo dos workers)
+    this.ledger = new Ledger({
+      store: createLedgerStore({ driver: process.env.REPOSITORY_DRIVER, file: process.env.LEDGER_FILE || path.join(dataDir, 'ledger.json') })
+    });
+    setLedger(this.ledger);
+    this.registerLedgerReconciliation();
+    this.tradingMode = tradingMode;
+    this.paperExchange = null;
+    this.paperStats = {
+      ordersByStrategy: {},
+      lastOrderTimestamp: null
+    };
+    if (this.tradingMode === 'paper') {
+      this.paperExchange = new SimulatedExchange({
+        initialBalances: parseBalances(process.env.PAPER_INITIAL_BALANCES || 'USDT:10000'),
+        feeRate: parseFloat(process.env.PAPER_FEE_RATE || '0.001'),
+        orderBooksDir: process.env.PAPER_ORDER_BOOKS_DIR || path.join(dataDir, 'order-books'),
+        stateFile: paperStateFile,
+        // Também as execuções das ordens limitadas abertas, nas atualizações seguintes do book
+        onFill: (order, fill) => this.recordPaperFill(order, fill)
+      });
+    }
+    this.authManager = this.createAuthManager();
+    // Tokens de confirmação em dois fatores consumidos ficam no armazenamento da autenticação
+    setStepUpTokenStore(this.authManager.store);
+    // Os saques dos serviços só aceitam destinos cadastrados na lista do usuário
+    this.withdrawalAllowlist = new WithdrawalAllowlist({ store: this.authManager.store });
+    setWithdrawalAllowlist(this.withdrawalAllowlist);
+    // Saques dos lucros confirmados em dois fatores (saldo no livro-razão)
+    this.withdrawals = new WithdrawalService({
+      store: this.authManager.store,
+      allowlist: this.withdrawalAllowlist,
+      ledger: this.ledger,
+      send: createOnChainSender(),
+      logMessage
+    });
+    // Pagamentos PIX para as chaves cadastradas pelos usuários (provedor em PIX_PROVIDER)
+    this.pixPayouts = new PixPayoutService({ store: this.authManager.store });
+    setPixPayoutService(this.pixPayouts);
+    // Motor de risco central: todas as ordens das estratégias passam por ele
+    this.riskEngine = new RiskEngine({ stateFile: path.join(dataDir, 'risk-state.json') });
+    setRiskEngine(this.riskEngine);
+    // Lotes de aquisição alimentados pelas execuções das estratégias (mesmo arquivo dos workers);
+    // as ordens simuladas ficam em lotes separados para não misturar custo real e simulado
+    this.lotTracker = new LotTracker({ stateFile: process.env.LOT_TRACKER_FILE || path.join(dataDir, 'lots.json') });
+    setLotTracker(this.lotTracker);
+    this.paperLotTracker = new LotTracker({ stateFile: path.join(dataDir, 'paper-lots.json') });
+    // Ciclo de vida das ordens (mesmo arquivo dos workers); as taxas das execuções vão para o livro-razão
+    this.orderManager = new OrderManager({ stateFile: process.env.ORDER_MANAGER_FILE || path.join(dataDir, 'orders.json') });
+    setOrderManager(this.orderManager);
+    attachLedger(this.ledger);
+    // Ordens simuladas (modo paper e simulações das estratégias) em arquivo e canal de eventos próprios
+    this.paperOrderManager = new OrderManager({
+      stateFile: process.env.PAPER_ORDER_MANAGER_FILE || path.join(dataDir, 'paper-orders.json'),
+      events: paperOrderEvents
+    });
+    setPaperOrderManager(this.paperOrderManager);
+    if (this.paperExchange) {
+      // A conciliação consulta e cancela as ordens limitadas abertas na exchange simulada
+      this.paperOrderManager.registerExchange('paper', {
+        fetchOrder: (id) => this.paperExchange.fetchOrder(id),
+        cancelOrder: (id) => this.paperExchange.cancelOrder(id),
+        fetchMyTrades: (symbol, since) => this.paperExchange.fetchMyTrades(symbol, since)
+      });
+    }
     this.app = express();
     this.setupExpress();
     this.setupCronJobs();
   }
   
+  /**
+   * Criar o gerenciador de autenticação (usuários, senhas e sessões)
+   */
+  createAuthManager() {
+    let jwtSecret = process.env.JWT_SECRET;
+    if (!jwtSecret) {
+      // Sem segredo configurado as sessões deixam de valer quando o serviço reinicia
+      jwtSecret = crypto.randomBytes(32).toString('hex');
+      // Os workers herdam o segredo para validar as confirmações em dois fatores
+      process.env.JWT_SECRET = jwtSecret;
+      logMessage('JWT_SECRET não configurado; usando segredo temporário', 'warn');
+    }
+
+    return new AuthManager({
+      store: createAuthStore({ driver: process.env.REPOSITORY_DRIVER, file: authDbFile }),
+      jwtSecret,
+      accessTokenTtl: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
+      refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+      sendPasswordResetEmail: async (user, token) => {
+        const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+        await sendEmail(
+          user.email,
+          'QuickFundHub - Redefinição de senha',
+          `<p>Olá, ${user.name}.</p>
+           <p>Para definir uma nova senha, acesse o link abaixo (válido por 1 hora):</p>
+           <p><a href="${resetUrl}">${resetUrl}</a></p>
+           <p>Se você não solicitou a redefinição, ignore este email.</p>`
+        );
+      }
+    });
+  }
+  
   /**
    * Configurar o servidor Express
    */
   setupExpress() {
-    this.app.use(bodyParser.json());
+    // O corpo original fica em req.rawBody para a verificação da assinatura dos webhooks
+    this.app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
     
     // Middleware para logging
     this.app.use((req, res, next) => {
@@ -94,8 +224,35 @@ class BackgroundService {
       next();
     });
     
+    // Rotas de autenticação (cadastro, login, refresh, logout e redefinição de senha)
+    this.app.use('/api/auth', createAuthRouter(this.authManager, { logMessage }));
+    
+    // Webhook de confirmação do provedor PIX (autenticado pela assinatura do provedor)
+    this.app.post('/api/pix/webhook', createPixWebhookHandler(this.pixPayouts, { logMessage }));
+    
+    // As demais rotas exigem um usuário autenticado com a permissão correspondente
+    const requireAuth = authenticate(this.authManager);
+    
+    // Lista de endereços de saque do usuário autenticado (cadastro e remoção exigem 2FA)
+    this.app.use('/api/withdrawal-addresses', requireAuth, createWithdrawalAddressRouter(this.withdrawalAllowlist, { logMessage }));
+    
+    // Saques do usuário autenticado (cada saque exige uma confirmação em dois fatores)
+    this.app.use('/api/withdrawals', requireAuth, createWithdrawalRouter(this.withdrawals, { logMessage }));
+    
+    // Chaves PIX (cadastro e remoção exigem 2FA) e pagamentos PIX do usuário autenticado
+    this.app.use('/api/pix', requireAuth, createPixRouter(this.pixPayouts, { logMessage }));
+    
+    // Ganho de capital, arquivo da IN 1888 e CSV para o GCAP do usuário autenticado
+    this.app.use('/api/tax', requireAuth, createTaxReportRouter({
+      loadDeclarant: (userId) => this.authManager.getTaxDeclarant(userId),
+      logMessage
+    }));
+    
+    // Lucros, assinaturas e importação de histórico do usuário autenticado (repositório do servidor)
+    this.app.use('/api/user', requireAuth, createUserDataRouter({ logMessage }));
+    
     // Rota para verificar status do serviço
-    this.app.get('/api/status', (req, res) => {
+    this.app.get('/api/status', requireAuth, authorize(PERMISSIONS.SERVICE_STATUS), (req, res) => {
       res.json({
         status: this.isRunning ? 'running' : 'stopped',
         uptime: process.uptime(),
@@ -106,12 +263,129 @@ class BackgroundService {
           profits: this.profitStats.profitsByStrategy[s.name] || 0
         })),
         totalProfits: this.profitStats.totalProfits,
-        lastProfit: this.profitStats.lastProfitTimestamp
+        lastProfit: this.profitStats.lastProfitTimestamp,
+        mode: this.tradingMode,
+        balances: {
+          live: {
+            profitsByAsset: this.profitStats.profitsByAsset,
+            totalProfits: this.profitStats.totalProfits
+          },
+          paper: this.paperExchange ? {
+            ...this.paperExchange.getSummary(process.env.PAPER_VALUATION_ASSET || 'USDT'),
+            ordersByStrategy: this.paperStats.ordersByStrategy,
+            lastOrder: this.paperStats.lastOrderTimestamp
+          } : null
+        },
+        risk: this.riskEngine.getStatus()
+      });
+    });
+
+    // Saldos do livro-razão (filtros opcionais: userId, asset, account, source)
+    this.app.get('/api/ledger/balances', requireAuth, authorize(PERMISSIONS.LEDGER_READ), async (req, res) => {
+      try {
+        const { userId, asset, account, source } = req.query;
+        res.json({ balances: await this.ledger.getBalances({ userId, asset, account, source }) });
+      } catch (error) {
+        logMessage(`Erro ao consultar o livro-razão: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Verificação de consistência entre o livro-razão e os totais mantidos pelos serviços
+    this.app.get('/api/ledger/consistency', requireAuth, authorize(PERMISSIONS.LEDGER_READ), async (req, res) => {
+      try {
+        res.json(await this.checkLedgerConsistency());
+      } catch (error) {
+        logMessage(`Erro ao verificar o livro-razão: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Posições por lote de aquisição (filtros opcionais: asset, location)
+    this.app.get('/api/lots', requireAuth, authorize(PERMISSIONS.SERVICE_STATUS), (req, res) => {
+      const { asset, location } = req.query;
+      res.json({
+        method: this.lotTracker.method,
+        live: this.lotTracker.getPositions({ asset, location }),
+        paper: this.tradingMode === 'paper' ? this.paperLotTracker.getPositions({ asset, location }) : null
       });
     });
+
+    // Resultado realizado e não realizado por ativo (preços atuais do serviço de avaliação)
+    this.app.get('/api/lots/pnl', requireAuth, authorize(PERMISSIONS.SERVICE_STATUS), async (req, res) => {
+      try {
+        const since = req.query.since ? new Date(req.query.since).getTime() : null;
+        const trackers = { live: this.lotTracker };
+        if (this.tradingMode === 'paper') trackers.paper = this.paperLotTracker;
+
+        const assets = new Set();
+        Object.values(trackers).forEach(tracker => tracker.getLots().forEach(lot => assets.add(lot.asset)));
+        const prices = await this.getCurrentPrices([...assets]);
+
+        const pnl = {};
+        for (const [mode, tracker] of Object.entries(trackers)) {
+          pnl[mode] = tracker.getPnl(prices, { since });
+        }
+        res.json({ prices, ...pnl });
+      } catch (error) {
+        logMessage(`Erro ao calcular o resultado por lote: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Rota para ativar ou desativar o kill switch do motor de risco
+    this.app.post('/api/risk/kill-switch', requireAuth, authorize(PERMISSIONS.SERVICE_CONTROL), (req, res) => {
+      const { active, reason } = req.body;
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({ error: 'Informe active (true ou false)' });
+      }
+
+      if (active) {
+        this.riskEngine.activateKillSwitch(reason || `Ativado por ${req.auth.email || req.auth.userId}`);
+      } else {
+        this.riskEngine.deactivateKillSwitch();
+      }
+      logMessage(`Kill switch ${active ? 'ativado' : 'desativado'} por ${req.auth.userId}`, 'warn');
+      res.json({ success: true, killSwitch: this.riskEngine.getStatus().killSwitch });
+    });
+
+    // Ordens gerenciadas (filtros opcionais: status, strategy, exchange, open; paper=true lista as simuladas)
+    this.app.get('/api/orders', requireAuth, authorize(PERMISSIONS.SERVICE_STATUS), (req, res) => {
+      const { status, strategy, exchange } = req.query;
+      const manager = req.query.paper === 'true' ? this.paperOrderManager : this.orderManager;
+      res.json(manager.getOrders({
+        status,
+        strategy,
+        exchange,
+        open: req.query.open === undefined ? undefined : req.query.open === 'true',
+        limit: parseInt(req.query.limit, 10) || 50
+      }));
+    });
+
+    // Cancelar uma ordem aberta pelo clientOrderId
+    this.app.post('/api/orders/:clientOrderId/cancel', requireAuth, authorize(PERMISSIONS.SERVICE_CONTROL), async (req, res) => {
+      try {
+        const order = await this.orderManager.cancelOrder(req.params.clientOrderId, req.body.reason || `Cancelada por ${req.auth.userId}`);
+        res.json({ order });
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        logMessage(`Erro ao cancelar a ordem ${req.params.clientOrderId}: ${error.message}`, 'error');
+        res.status(500).json({ error: 'Erro interno do servidor' });
+      }
+    });
+
+    // Rota para consultar as ordens da exchange simulada
+    this.app.get('/api/paper/orders', requireAuth, authorize(PERMISSIONS.PAPER_ORDERS_READ), (req, res) => {
+      if (!this.paperExchange) {
+        return res.status(404).json({ error: 'Modo paper trading desativado' });
+      }
+      res.json(this.paperExchange.getOrders(parseInt(req.query.limit, 10) || 50));
+    });
     
     // Rota para iniciar o serviço
-    this.app.post('/api/start', (req, res) => {
+    this.app.post('/api/start', requireAuth, authorize(PERMISSIONS.SERVICE_CONTROL), (req, res) => {
       if (!this.isRunning) {
         this.start();
         res.json({ success: true, message: 'Serviço iniciado com sucesso' });
@@ -121,7 +395,7 @@ class BackgroundService {
     });
     
     // Rota para parar o serviço
-    this.app.post('/api/stop', (req, res) => {
+    this.app.post('/api/stop', requireAuth, authorize(PERMISSIONS.SERVICE_CONTROL), (req, res) => {
       if (this.isRunning) {
         this.stop();
         res.json({ success: true, message: 'Serviço parado com sucesso' });
@@ -131,7 +405,7 @@ class BackgroundService {
     });
     
     // Rota para registrar lucros manualmente
-    this.app.post('/api/profits', async (req, res) => {
+    this.app.post('/api/profits', requireAuth, authorize(PERMISSIONS.PROFITS_WRITE), async (req, res) => {
       try {
         const { userId, profit } = req.body;
         
@@ -193,6 +467,100 @@ class BackgroundService {
     cron.schedule('0 0 * * *', () => {
       this.cleanupOldLogs();
     });
+    
+    // Executar as ordens limitadas simuladas abertas contra as atualizações do book
+    if (this.paperExchange) {
+      cron.schedule('*/10 * * * * *', () => {
+        this.matchPaperOrders();
+      });
+    }
+    
+    // Conciliar as ordens abertas com as exchanges e expirar as vencidas a cada minuto
+    cron.schedule('* * * * *', () => {
+      this.reconcileOrders();
+    });
+    
+    // Lançar no livro-razão os saques enviados que ficaram sem lançamento
+    cron.schedule('*/5 * * * *', () => {
+      this.completeWithdrawals();
+    });
+    
+    // Verificar a consistência do livro-razão a cada hora
+    cron.schedule('0 * * * *', () => {
+      this.checkLedgerConsistency().catch(error => {
+        logMessage(`Erro ao verificar o livro-razão: ${error.message}`, 'error');
+      });
+    });
+  }
+  
+  /**
+   * Registrar as verificações dos totais do serviço (profits.json e estatísticas em memória)
+   */
+  registerLedgerReconciliation() {
+    this.ledger.registerReconciliation('background-service', async (ledger) => {
+      const profits = JSON.parse(fs.readFileSync(profitsDbFile));
+      const fileTotals = profits.reduce((totals, record) => {
+        totals[record.asset] = (totals[record.asset] || 0) + parseFloat(record.profit);
+        return totals;
+      }, {});
+      const assets = [...new Set([...Object.keys(fileTotals), ...Object.keys(this.profitStats.profitsByAsset)])];
+      const checks = [];
+
+      for (const asset of assets) {
+        const filter = { account: 'income:trading', source: 'background-service', asset };
+        checks.push(
+          {
+            description: `profits.json x livro-razão (${asset})`,
+            ledger: await ledger.getBalance(filter),
+            actual: fileTotals[asset] || 0
+          },
+          {
+            description: `profitStats desde o início do serviço x livro-razão (${asset})`,
+            ledger: await ledger.getBalance({ ...filter, since: this.startedAt }),
+            actual: this.profitStats.profitsByAsset[asset] || 0
+          }
+        );
+      }
+      return checks;
+    });
+  }
+  
+  /**
+   * Lançar no livro-razão os lucros de profits.json ainda não lançados
+   * (lucros registrados antes do livro-razão existir)
+   */
+  async syncProfitsToLedger() {
+    const profits = JSON.parse(fs.readFileSync(profitsDbFile));
+    for (const record of profits) {
+      await this.postProfitToLedger(record);
+    }
+  }
+  
+  async postProfitToLedger(record) {
+    return this.ledger.recordTradePnl({
+      userId: record.userId,
+      strategy: record.operation,
+      asset: record.asset,
+      amount: record.profit,
+      source: 'background-service',
+      reference: record.timestamp,
+      entryKey: `background-service:${record.userId}:${record.timestamp}:${record.asset}`
+    });
+  }
+  
+  /**
+   * Verificar a consistência do livro-razão e registrar as divergências no log
+   * @returns {Promise<Object>} - Resultado da verificação
+   */
+  async checkLedgerConsistency() {
+    const result = await this.ledger.checkConsistency();
+    if (!result.consistent) {
+      logMessage(`Livro-razão inconsistente: ${result.unbalancedAssets.length} ativo(s) desbalanceado(s), ${result.drift.length} divergência(s)`, 'warn');
+      result.drift.forEach(item => {
+        logMessage(`Divergência em ${item.source}: ${item.description} (livro-razão ${item.ledger}, serviço ${item.actual})`, 'warn');
+      });
+    }
+    return result;
   }
   
   /**
@@ -205,7 +573,16 @@ class BackgroundService {
     }
     
     this.isRunning = true;
-    logMessage('Iniciando serviço em segundo plano...');
+    logMessage(`Iniciando serviço em segundo plano (modo ${this.tradingMode})...`);
+    
+    // Lançar no livro-razão os lucros registrados antes dele
+    this.syncProfitsToLedger().catch(error => {
+      logMessage(`Erro ao sincronizar o livro-razão: ${error.message}`, 'error');
+    });
+    
+    // Conciliar as ordens que ficaram abertas com as execuções ocorridas com o serviço parado
+    this.reconcileOrders();
+    this.completeWithdrawals();
     
     // Carregar estratégias disponíveis
     this.loadStrategies();
@@ -216,6 +593,45 @@ class BackgroundService {
     logMessage('Serviço em segundo plano iniciado com sucesso');
   }
   
+  /**
+   * Conciliar as ordens abertas com as exchanges e registrar o resultado no log
+   * @returns {Promise<Object>} - Resultado da conciliação
+   */
+  async reconcileOrders() {
+    try {
+      const result = await this.orderManager.reconcile();
+      // As simuladas sem resposta da simulação (processo encerrado no envio) expiram
+      await this.paperOrderManager.reconcile();
+      if (result.updated > 0 || result.expired > 0) {
+        logMessage(`Ordens conciliadas: ${result.checked} abertas, ${result.updated} atualizadas, ${result.expired} expiradas`);
+      }
+      result.errors.forEach(({ clientOrderId, error }) => {
+        logMessage(`Erro ao conciliar a ordem ${clientOrderId}: ${error}`, 'warn');
+      });
+      return result;
+    } catch (error) {
+      logMessage(`Erro ao conciliar as ordens: ${error.message}`, 'error');
+      return null;
+    }
+  }
+  
+  /**
+   * Concluir os saques enviados sem lançamento no livro-razão e registrar o resultado no log
+   */
+  async completeWithdrawals() {
+    try {
+      const result = await this.withdrawals.completeSentWithdrawals();
+      if (result.completed > 0) {
+        logMessage(`Saques enviados lançados no livro-razão: ${result.completed}`);
+      }
+      result.errors.forEach(({ id, error }) => {
+        logMessage(`Erro ao lançar o saque ${id} no livro-razão: ${error}`, 'warn');
+      });
+    } catch (error) {
+      logMessage(`Erro ao concluir os saques enviados: ${error.message}`, 'error');
+    }
+  }
+  
   /**
    * Parar o serviço em segundo plano
    */
@@ -267,6 +683,11 @@ class BackgroundService {
       return;
     }
     
+    if (this.riskEngine.isKillSwitchActive()) {
+      logMessage('Kill switch ativo; estratégias não executadas', 'warn');
+      return;
+    }
+    
     logMessage('Executando estratégias...');
     
     this.strategies.forEach(strategy => {
@@ -293,10 +714,27 @@ class BackgroundService {
       this.workers[strategy.name] = worker;
       
       // Enviar dados para o worker
-      worker.send({ strategy: strategy.name, file: strategy.file });
+      worker.send({
+        strategy: strategy.name,
+        file: strategy.file,
+        mode: this.tradingMode,
+        riskState: this.riskEngine.exportState()
+      });
       
       // Receber resultados do worker
       worker.on('message', async (data) => {
+        if (data.paperRequest) {
+          // Chamada do worker para a exchange simulada; o worker continua em execução
+          this.handlePaperRequest(worker, data.paperRequest);
+          return;
+        }
+
+        if (data.riskEvent) {
+          // Rejeições e resultados do motor de risco do worker entram no motor central
+          this.handleRiskEvent(strategy.name, data.riskEvent);
+          return;
+        }
+
         if (data.error) {
           logMessage(`Erro na estratégia ${strategy.name}: ${data.error}`, 'error');
           strategy.status = 'error';
@@ -306,6 +744,9 @@ class BackgroundService {
           
           // Registrar o lucro
           await this.registerProfit('user1', data.profit);
+        } else if (data.paperResult) {
+          this.registerPaperOrders(strategy.name, data.paperResult.orders);
+          strategy.status = 'completed';
         } else {
           strategy.status = 'completed';
         }
@@ -336,6 +777,178 @@ class BackgroundService {
     }
   }
   
+  /**
+   * Responder a uma chamada de um worker para a exchange simulada
+   * @param {ChildProcess} worker - Worker que fez a chamada
+   * @param {Object} request - { requestId, method, args }
+   */
+  async handlePaperRequest(worker, { requestId, method, args }) {
+    const allowedMethods = ['createOrder', 'fetchBalances', 'fetchTicker', 'fetchOrderBook', 'listVenues'];
+    try {
+      if (!this.paperExchange) {
+        throw new Error('Modo paper trading desativado');
+      }
+      if (!allowedMethods.includes(method)) {
+        throw new Error(`Método não suportado pela exchange simulada: ${method}`);
+      }
+      const result = method === 'createOrder'
+        ? await this.submitPaperOrder(args[0])
+        : this.paperExchange[method](...(args || []));
+      worker.send({ paperResponse: { requestId, result } });
+    } catch (error) {
+      worker.send({ paperResponse: { requestId, error: error.message } });
+    }
+  }
+
+  /**
+   * Enviar uma ordem para a exchange simulada pelo gerenciador de ordens
+   * O restante de uma ordem limitada fica aberto na exchange simulada até ser executado ou
+   * vencer a validade de PAPER_ORDER_TTL_MS (cancelado na conciliação); o de uma ordem a mercado
+   * é cancelado na hora
+   * @param {Object} params - Parâmetros da ordem (mesmos de SimulatedExchange.createOrder)
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async submitPaperOrder(params) {
+    // As execuções das ordens abertas entram antes da nova ordem disputar o mesmo book
+    await this.matchPaperOrders();
+    const ttlMs = parseInt(process.env.PAPER_ORDER_TTL_MS || '300000', 10);
+    return this.paperOrderManager.submitOrder({ ttlMs, ...params, exchange: 'paper' }, {
+      submit: (order) => this.createPaperOrder({ ...params, clientOrderId: order.clientOrderId })
+    });
+  }
+
+  /**
+   * Executar as ordens limitadas simuladas abertas e aplicar as execuções no gerenciador de ordens
+   * @returns {Promise<number>} - Ordens com novas execuções
+   */
+  async matchPaperOrders() {
+    try {
+      const updated = this.paperExchange.matchOpenOrders();
+      for (const order of updated.filter(item => item.clientOrderId)) {
+        await this.paperOrderManager.applyExchangeOrder(order.clientOrderId, order);
+        logMessage(`[PAPER] ${order.strategy}: ${order.side} ${order.amount} ${order.symbol} -> ${order.status} (${order.filled} executado)`);
+      }
+      return updated.length;
+    } catch (error) {
+      logMessage(`Erro ao executar as ordens simuladas abertas: ${error.message}`, 'error');
+      return 0;
+    }
+  }
+
+  /**
+   * Registrar no motor de risco e nos lotes simulados uma execução da exchange simulada
+   * @param {Object} order - Ordem simulada
+   * @param {Object} fill - { id, price, amount, fee, timestamp }
+   */
+  recordPaperFill(order, fill) {
+    const [asset] = order.symbol.split('/');
+    const riskOrder = { strategy: order.strategy, asset, side: order.side, amount: fill.amount, price: fill.price };
+    this.riskEngine.recordFill(riskOrder);
+    this.paperLotTracker.recordFill({
+      ...riskOrder,
+      fee: fill.fee,
+      location: 'paper',
+      timestamp: fill.timestamp,
+      id: fill.id
+    });
+  }
+
+  /**
+   * Enviar uma ordem para a exchange simulada depois das verificações do motor de risco
+   * @param {Object} params - Parâmetros da ordem (mesmos de SimulatedExchange.createOrder)
+   * @returns {Object} - Ordem criada ou rejeitada pelo motor de risco
+   */
+  createPaperOrder(params) {
+    const [asset] = params.symbol.split('/');
+    const price = params.price || this.paperExchange.fetchTicker(params.symbol, params.venue).last;
+    const riskOrder = { strategy: params.strategy, asset, side: params.side, amount: params.amount, price };
+    const check = this.riskEngine.checkOrder(riskOrder);
+
+    if (!check.approved) {
+      return {
+        id: null,
+        symbol: params.symbol,
+        side: params.side,
+        type: params.type || 'market',
+        amount: params.amount,
+        price: params.price || null,
+        strategy: params.strategy || 'manual',
+        filled: 0,
+        remaining: params.amount,
+        status: 'rejected',
+        reason: check.reasons.join('; '),
+        timestamp: Date.now()
+      };
+    }
+
+    // As execuções chegam ao motor de risco e aos lotes por recordPaperFill
+    return this.paperExchange.createOrder(params);
+  }
+
+  /**
+   * Cotação atual em USD de cada ativo; ativos sem cotação ficam de fora (sem resultado não realizado)
+   * @param {string[]} assets - Ativos
+   * @returns {Promise<Object>} - { ativo: preço }
+   */
+  async getCurrentPrices(assets) {
+    const { valuationService } = await import('./src/services/valuationService.js');
+    const prices = {};
+    for (const asset of assets) {
+      try {
+        prices[asset] = await valuationService.getUsdPrice(asset);
+      } catch (error) {
+        logMessage(`Cotação de ${asset} indisponível: ${error.message}`, 'warn');
+      }
+    }
+    return prices;
+  }
+
+  /**
+   * Registrar no motor central um evento do motor de risco de um worker
+   * @param {string} strategyName - Estratégia executada pelo worker
+   * @param {Object} event - { type: rejection|fill|pnl, data }
+   */
+  handleRiskEvent(strategyName, { type, data }) {
+    if (type === 'rejection') {
+      this.riskEngine.recordRejection({ strategy: strategyName, ...data }, { notify: false });
+    } else if (type === 'fill') {
+      // A exposição criada pelo worker passa a valer para as próximas ordens de todos os workers
+      this.riskEngine.recordFill(data, { notify: false });
+    } else if (type === 'pnl') {
+      this.riskEngine.recordPnl(data, { notify: false });
+    }
+  }
+
+  /**
+   * Registrar as ordens simuladas de uma estratégia (sem afetar os lucros reais)
+   * @param {string} strategyName - Nome da estratégia
+   * @param {Array} orders - Ordens executadas na exchange simulada
+   */
+  registerPaperOrders(strategyName, orders = []) {
+    const stats = this.paperStats.ordersByStrategy[strategyName] || {
+      orders: 0,
+      filled: 0,
+      partiallyFilled: 0,
+      open: 0,
+      rejected: 0
+    };
+
+    for (const order of orders) {
+      stats.orders++;
+      if (order.status === 'filled') stats.filled++;
+      if (order.status === 'partially_filled' || (order.status === 'cancelled' && order.filled > 0)) stats.partiallyFilled++;
+      if (order.status === 'rejected') stats.rejected++;
+      // Ordens limitadas abertas na exchange simulada, à espera do book
+      if (order.status === 'acknowledged') stats.open = (stats.open || 0) + 1;
+      logMessage(`[PAPER] ${strategyName}: ${order.side} ${order.amount} ${order.symbol} -> ${order.status}${order.reason ? ` (${order.reason})` : ''}`);
+    }
+
+    this.paperStats.ordersByStrategy[strategyName] = stats;
+    if (orders.length > 0) {
+      this.paperStats.lastOrderTimestamp = Date.now();
+    }
+  }
+
   /**
    * Registrar um lucro gerado
    * @param {string} userId - ID do usuário
@@ -358,6 +971,7 @@ class BackgroundService {
       const profits = JSON.parse(fs.readFileSync(profitsDbFile));
       profits.push(profitRecord);
       fs.writeFileSync(profitsDbFile, JSON.stringify(profits, null, 2));
+      await this.postProfitToLedger(profitRecord);
       
       // Atualizar estatísticas
       this.profitStats.totalProfits += parseFloat(profit.amount);
@@ -367,6 +981,7 @@ class BackgroundService {
         this.profitStats.profitsByStrategy[profit.operation] = 0;
       }
       this.profitStats.profitsByStrategy[profit.operation] += parseFloat(profit.amount);
+      this.profitStats.profitsByAsset[profit.asset] = (this.profitStats.profitsByAsset[profit.asset] || 0) + parseFloat(profit.amount);
       
       // Verificar se deve enviar notificação
       if (profit.amount >= parseFloat(process.env.PROFIT_NOTIFICATION_THRESHOLD)) {
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FlashLoanRouteExecutor.sol";
+import "./interfaces/IAaveV3Pool.sol";
+
+/// @title Recebedor de flash loans do Pool da Aave V3 (flashLoanSimple)
+/// @notice O Pool retira amount + premium deste contrato ao final do callback
+contract AaveV3FlashLoanReceiver is FlashLoanRouteExecutor, IFlashLoanSimpleReceiver {
+    IAaveV3Pool public immutable pool;
+
+    constructor(address pool_) {
+        pool = IAaveV3Pool(pool_);
+    }
+
+    function _requestFlashLoan(address asset, uint256 amount, bytes calldata params) internal override {
+        pool.flashLoanSimple(address(this), asset, amount, params, 0);
+    }
+
+    function executeOperation(
+        address asset,
+        uint256 amount,
+        uint256 premium,
+        address initiator,
+        bytes calldata params
+    ) external override returns (bool) {
+        if (msg.sender != address(pool) || initiator != address(this)) revert UnauthorizedCallback();
+        _checkCallback();
+
+        _executeRoute(asset, amount, premium, params);
+        _safeApprove(asset, address(pool), amount + premium);
+        return true;
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./FlashLoanRouteExecutor.sol";
+import "./interfaces/IBalancerVault.sol";
+
+/// @title Recebedor de flash loans do Vault da Balancer V2
+/// @notice O Vault não retira os fundos: amount + fee é transferido de volta ao final do callback
+contract BalancerFlashLoanReceiver is FlashLoanRouteExecutor, IFlashLoanRecipient {
+    IBalancerVault public immutable vault;
+
+    constructor(address vault_) {
+        vault = IBalancerVault(vault_);
+    }
+
+    function _requestFlashLoan(address asset, uint256 amount, bytes calldata params) internal override {
+        address[] memory tokens = new address[](1);
+        uint256[] memory amounts = new uint256[](1);
+        tokens[0] = asset;
+        amounts[0] = amount;
+        vault.flashLoan(this, tokens, amounts, params);
+    }
+
+    function receiveFlashLoan(
+        address[] calldata tokens,
+        uint256[] calldata amounts,
+        uint256[] calldata feeAmounts,
+        bytes calldata userData
+    ) external override {
+        if (msg.sender != address(vault)) revert UnauthorizedCallback();
+        _checkCallback();
+
+        _executeRoute(tokens[0], amounts[0], feeAmounts[0], userData);
+        _safeTransfer(tokens[0], address(vault), amounts[0] + feeAmounts[0]);
+    }
+}
@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/IERC20.sol";
+import "./interfaces/ISwapRouters.sol";
+
+/// @title Base dos recebedores de flash loan
+/// @notice Executa a rota de swaps codificada em params com os fundos emprestados e só
+/// devolve o empréstimo se sobrar o lucro mínimo; caso contrário a transação inteira reverte.
+/// params = abi.encode(SwapStep[] steps, uint256 minProfit), gerado por encodeSwapRoute
+/// em src/contracts/flashLoanReceivers.js
+abstract contract FlashLoanRouteExecutor {
+    uint8 internal constant KIND_UNISWAP_V2 = 0;
+    uint8 internal constant KIND_UNISWAP_V3 = 1;
+
+    struct SwapStep {
+        uint8 kind; // 0: router Uniswap V2, 1: SwapRouter02 da Uniswap V3
+        address router;
+        address tokenIn;
+        address tokenOut;
+        uint24 fee; // Faixa de taxa do pool V3 (ignorada no V2)
+        uint256 minAmountOut;
+    }
+
+    address public immutable owner;
+
+    // Só aceita o callback durante um empréstimo pedido por este contrato
+    bool private executing;
+
+    event FlashLoanExecuted(address indexed asset, uint256 amount, uint256 fee, uint256 profit);
+
+    error NotOwner();
+    error UnauthorizedCallback();
+    error UnsupportedAssets();
+    error InvalidRoute();
+    error UnsupportedSwapKind(uint8 kind);
+    error InsufficientProfit(uint256 balance, uint256 required);
+    error TransferFailed(address token);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner();
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    /// @notice Ponto de entrada único, com a mesma assinatura usada por src/services/flashLoan.js
+    /// @param assets Ativo emprestado (apenas um)
+    /// @param amounts Valor emprestado, em unidades do token
+    /// @param params Rota de swaps e lucro mínimo
+    function flashLoan(address[] calldata assets, uint256[] calldata amounts, bytes calldata params) external onlyOwner {
+        if (assets.length != 1 || amounts.length != 1) revert UnsupportedAssets();
+        executing = true;
+        _requestFlashLoan(assets[0], amounts[0], params);
+        executing = false;
+    }
+
+    /// @notice Retira o saldo de um token (lucro acumulado) para o endereço informado
+    function withdraw(address token, address to) external onlyOwner {
+        _safeTransfer(token, to, IERC20(token).balanceOf(address(this)));
+    }
+
+    function _requestFlashLoan(address asset, uint256 amount, bytes calldata params) internal virtual;
+
+    function _checkCallback() internal view {
+        if (!executing) revert UnauthorizedCallback();
+    }
+
+    /// @dev Executa a rota com os fundos já recebidos e confere o saldo para quitar amount + fee + minProfit
+    function _executeRoute(address asset, uint256 amount, uint256 fee, bytes memory params) internal returns (uint256 profit) {
+        (SwapStep[] memory steps, uint256 minProfit) = abi.decode(params, (SwapStep[], uint256));
+        if (steps.length == 0 || steps[0].tokenIn != asset || steps[steps.length - 1].tokenOut != asset) {
+            revert InvalidRoute();
+        }
+
+        uint256 initialBalance = IERC20(asset).balanceOf(address(this)) - amount;
+        uint256 amountIn = amount;
+        for (uint256 i = 0; i < steps.length; i++) {
+            if (i > 0 && steps[i].tokenIn != steps[i - 1].tokenOut) revert InvalidRoute();
+            amountIn = _swap(steps[i], amountIn);
+        }
+
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        uint256 required = initialBalance + amount + fee + minProfit;
+        if (balance < required) revert InsufficientProfit(balance, required);
+
+        profit = balance - initialBalance - amount - fee;
+        emit FlashLoanExecuted(asset, amount, fee, profit);
+    }
+
+    function _swap(SwapStep memory step, uint256 amountIn) private returns (uint256 amountOut) {
+        _safeApprove(step.tokenIn, step.router, amountIn);
+
+        if (step.kind == KIND_UNISWAP_V2) {
+            address[] memory path = new address[](2);
+            path[0] = step.tokenIn;
+            path[1] = step.tokenOut;
+            uint256[] memory amounts = IUniswapV2Router(step.router).swapExactTokensForTokens(
+                amountIn,
+                step.minAmountOut,
+                path,
+                address(this),
+                block.timestamp
+            );
+            return amounts[amounts.length - 1];
+        }
+
+        if (step.kind == KIND_UNISWAP_V3) {
+            return IUniswapV3SwapRouter(step.router).exactInputSingle(
+                IUniswapV3SwapRouter.ExactInputSingleParams({
+                    tokenIn: step.tokenIn,
+                    tokenOut: step.tokenOut,
+                    fee: step.fee,
+                    recipient: address(this),
+                    amountIn: amountIn,
+                    amountOutMinimum: step.minAmountOut,
+                    sqrtPriceLimitX96: 0
+                })
+            );
+        }
+
+        revert UnsupportedSwapKind(step.kind);
+    }
+
+    // Chamadas de baixo nível: tokens como o USDT não retornam bool em transfer/approve
+    function _safeTransfer(address token, address to, uint256 amount) internal {
+        (bool success, bytes memory data) = token.call(abi.encodeWithSelector(IERC20.transfer.selector, to, amount));
+        if (!success || (data.length > 0 && !abi.decode(data, (bool)))) revert TransferFailed(token);
+    }
+
+    function _safeApprove(address token, address spender, uint256 amount) internal {
+        (bool success, bytes memory data) = token.call(abi.encodeWithSelector(IERC20.approve.selector, spender, amount));
+        if (!success || (data.length > 0 && !abi.decode(data, (bool)))) revert TransferFailed(token);
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * Compilação e deploy dos contratos recebedores de flash loan (contracts/*.sol)
+ *
+ * compile: compila com o solc, grava os artefatos em contracts/artifacts e regenera as ABIs
+ *          usadas pelos bindings (src/contracts/flashLoanReceiverAbis.js)
+ * deploy:  compila e implanta o recebedor do credor (aaveV3 ou balancer) numa rede de LAYER2_CONFIG,
+ *          assinado pela carteira do cofre de chaves; o endereço é registrado em
+ *          FLASH_LOAN_DEPLOYMENTS_FILE (padrão: deployments/flash-loan-receivers.json)
+ *
+ * Uso:
+ *   node deploy-flash-loan-contracts.cjs compile
+ *   node deploy-flash-loan-contracts.cjs deploy <rede> [aaveV3|balancer] [--wallet <nome>] [--rpc <url>]
+ *   node deploy-flash-loan-contracts.cjs list
+ *
+ * Com --rpc (ex.: anvil --fork-url <rpc da rede>) o deploy vai para o nó informado, e não é registrado
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const dotenv = require('dotenv');
+const solc = require('solc');
+const { ethers } = require('ethers');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+const CONTRACTS_DIR = path.join(__dirname, 'contracts');
+const ARTIFACTS_DIR = path.join(CONTRACTS_DIR, 'artifacts');
+const ABIS_FILE = path.join(__dirname, 'src', 'contracts', 'flashLoanReceiverAbis.js');
+const DEPLOYMENTS_FILE = process.env.FLASH_LOAN_DEPLOYMENTS_FILE || path.join(__dirname, 'deployments', 'flash-loan-receivers.json');
+
+// Mesmos credores de FLASH_LOAN_LENDERS em src/contracts/flashLoanReceivers.js
+const RECEIVERS = {
+  aaveV3: { contract: 'AaveV3FlashLoanReceiver', lenderField: 'aaveV3Pool' },
+  balancer: { contract: 'BalancerFlashLoanReceiver', lenderField: 'balancerVault' }
+};
+
+// evmVersion paris: PUSH0 (shanghai) ainda não é suportado em todas as redes Layer 2
+const COMPILER_SETTINGS = {
+  optimizer: { enabled: true, runs: 200 },
+  evmVersion: 'paris',
+  outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+};
+
+// Pergunta no terminal; com hidden o texto digitado não é exibido
+function ask(question, { hidden = false } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) rl.output.write(text);
+      };
+    }
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : null;
+}
+
+// Argumentos posicionais, sem as opções --nome valor
+function positional(args) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      i++;
+      continue;
+    }
+    result.push(args[i]);
+  }
+  return result;
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Compila os recebedores; os imports relativos são resolvidos a partir da raiz do projeto
+function compileContracts() {
+  const sources = {};
+  for (const { contract } of Object.values(RECEIVERS)) {
+    const source = `contracts/${contract}.sol`;
+    sources[source] = { content: fs.readFileSync(path.join(__dirname, source), 'utf8') };
+  }
+
+  const findImports = (importPath) => {
+    const file = path.join(__dirname, importPath);
+    return fs.existsSync(file)
+      ? { contents: fs.readFileSync(file, 'utf8') }
+      : { error: `Arquivo não encontrado: ${importPath}` };
+  };
+
+  const output = JSON.parse(solc.compile(
+    JSON.stringify({ language: 'Solidity', sources, settings: COMPILER_SETTINGS }),
+    { import: findImports }
+  ));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  for (const warning of (output.errors || []).filter(error => error.severity !== 'error')) {
+    console.warn(warning.formattedMessage);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Falha na compilação:\n${errors.map(error => error.formattedMessage).join('\n')}`);
+  }
+
+  const artifacts = {};
+  for (const { contract } of Object.values(RECEIVERS)) {
+    const compiled = output.contracts[`contracts/${contract}.sol`][contract];
+    artifacts[contract] = {
+      contractName: contract,
+      compiler: solc.version(),
+      abi: compiled.abi,
+      bytecode: `0x${compiled.evm.bytecode.object}`
+    };
+  }
+  return artifacts;
+}
+
+// Compila e grava os artefatos e as ABIs dos bindings
+function compile() {
+  const artifacts = compileContracts();
+  for (const artifact of Object.values(artifacts)) {
+    writeJson(path.join(ARTIFACTS_DIR, `${artifact.contractName}.json`), artifact);
+  }
+
+  writeAbis(artifacts);
+  console.log(`Contratos compilados com solc ${solc.version()}: ${Object.keys(artifacts).join(', ')}`);
+  return artifacts;
+}
+
+// Ordem estável: construtor, erros, eventos e funções, cada grupo em ordem alfabética
+const FRAGMENT_ORDER = ['constructor', 'error', 'event', 'function'];
+
+function formatAbi(abi) {
+  return new ethers.utils.Interface(abi).format(ethers.utils.FormatTypes.full)
+    .sort((a, b) => {
+      const typeA = FRAGMENT_ORDER.indexOf(a.split(/[ (]/)[0]);
+      const typeB = FRAGMENT_ORDER.indexOf(b.split(/[ (]/)[0]);
+      return typeA - typeB || a.localeCompare(b);
+    });
+}
+
+function writeAbis(artifacts) {
+  const entries = Object.values(artifacts).map(({ contractName, abi }) => {
+    const fragments = formatAbi(abi).map(fragment => `    '${fragment}'`).join(',\n');
+    return `  ${contractName}: [\n${fragments}\n  ]`;
+  });
+
+  const content = [
+    '// Gerado por deploy-flash-loan-contracts.cjs a partir de contracts/*.sol - não editar à mão',
+    '// Para regenerar: node deploy-flash-loan-contracts.cjs compile',
+    '',
+    'export const FLASH_LOAN_RECEIVER_ABIS = {',
+    entries.join(',\n'),
+    '};',
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(ABIS_FILE, content);
+}
+
+/**
+ * Implanta um recebedor compilado
+ * @param {Object} artifact - Artefato de compileContracts
+ * @param {string} lenderAddress - Pool da Aave ou Vault da Balancer
+ * @param {ethers.Signer} signer - Carteira que implanta e passa a ser a dona do contrato
+ * @returns {Promise<Object>} - { contract, receipt }
+ */
+async function deployReceiver(artifact, lenderAddress, signer) {
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+  const contract = await factory.deploy(lenderAddress);
+  const receipt = await contract.deployTransaction.wait();
+  return { contract, receipt };
+}
+
+async function deploy(network, lender, args) {
+  const receiver = RECEIVERS[lender];
+  if (!receiver) {
+    throw new Error(`Credor desconhecido: ${lender} (use ${Object.keys(RECEIVERS).join(' ou ')})`);
+  }
+
+  const { LAYER2_CONFIG } = await import('./src/config/layer2.js');
+  const config = LAYER2_CONFIG[network];
+  if (!config) {
+    throw new Error(`Rede desconhecida: ${network} (redes: ${Object.keys(LAYER2_CONFIG).join(', ')})`);
+  }
+  const lenderAddress = config[receiver.lenderField];
+  if (!lenderAddress) {
+    throw new Error(`${receiver.contract} não disponível em ${network}: ${receiver.lenderField} não configurado`);
+  }
+
+  const artifact = compile()[receiver.contract];
+
+  const rpcUrl = option(args, 'rpc');
+  const provider = new ethers.providers.JsonRpcProvider(rpcUrl || config.rpc);
+  const { chainId } = await provider.getNetwork();
+  if (!rpcUrl && chainId !== config.chainId) {
+    throw new Error(`RPC de ${network} respondeu com chainId ${chainId}, esperado ${config.chainId}`);
+  }
+
+  const { KeyVault } = await import('./src/services/keyVault.js');
+  const vault = new KeyVault({ file: process.env.KEYSTORE_FILE || path.join(__dirname, 'data', 'keystore.json') });
+  const passphrase = process.env.KEYSTORE_PASSPHRASE || await ask('Senha do cofre de chaves: ', { hidden: true });
+  await vault.unlock(passphrase);
+
+  try {
+    const signer = vault.getSigner(option(args, 'wallet') || undefined, provider);
+    const deployer = await signer.getAddress();
+    console.log(`Implantando ${receiver.contract} em ${network} (chainId ${chainId}) com ${deployer}...`);
+
+    const { contract, receipt } = await deployReceiver(artifact, lenderAddress, signer);
+    console.log(`${receiver.contract} implantado em ${contract.address} (tx ${receipt.transactionHash})`);
+
+    // Deploys em nó local (--rpc) não entram no registro usado pelos bindings
+    if (rpcUrl) return;
+
+    const deployments = readJson(DEPLOYMENTS_FILE, {});
+    deployments[network] = {
+      ...deployments[network],
+      [lender]: {
+        address: contract.address,
+        lenderAddress,
+        deployer,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        compiler: artifact.compiler,
+        deployedAt: new Date().toISOString()
+      }
+    };
+    writeJson(DEPLOYMENTS_FILE, deployments);
+    console.log(`Implantação registrada em ${path.relative(__dirname, DEPLOYMENTS_FILE)}`);
+  } finally {
+    vault.lock();
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'compile':
+      compile();
+      break;
+    case 'deploy': {
+      const [network, lender = 'aaveV3'] = positional(args);
+      if (!network) throw new Error('Informe a rede');
+      await deploy(network, lender, args);
+      break;
+    }
+    case 'list': {
+      const rows = [];
+      for (const [network, receivers] of Object.entries(readJson(DEPLOYMENTS_FILE, {}))) {
+        for (const [lender, deployment] of Object.entries(receivers)) {
+          rows.push({ network, lender, address: deployment.address, deployedAt: deployment.deployedAt });
+        }
+      }
+      console.table(rows);
+      break;
+    }
+    default:
+      console.log('Uso: node deploy-flash-loan-contracts.cjs <compile|deploy|list> [rede] [aaveV3|balancer] [--wallet nome] [--rpc url]');
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Erro:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  RECEIVERS,
+  compileContracts,
+  compile,
+  formatAbi,
+  deployReceiver
+};
@@ -0,0 +1,81 @@
+/**
+ * Gravação de arquivos de estado compartilhados entre processos do QuickFundHub
+ * O serviço em segundo plano e os workers das estratégias gravam nos mesmos arquivos
+ * (livro-razão, lotes, ordens); cada leitura-alteração-gravação acontece com a trava
+ * <arquivo>.lock, e a gravação troca o arquivo inteiro (rename) para nenhum leitor ver
+ * um arquivo pela metade (extensão .cjs porque o package.json declara "type": "module")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 10000;
+// Trava mais antiga que isso ficou para trás de um processo encerrado no meio da gravação
+const STALE_LOCK_MS = 30000;
+
+const pause = new Int32Array(new SharedArrayBuffer(4));
+const sleep = (ms) => Atomics.wait(pause, 0, 0, ms);
+
+/**
+ * Executa uma alteração síncrona com acesso exclusivo ao arquivo
+ * @param {string} file - Arquivo de estado
+ * @param {Function} action - Leitura, alteração e gravação do arquivo
+ * @param {Object} options - { timeoutMs }
+ * @returns {*} - Retorno de action
+ */
+function withFileLock(file, action, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + timeoutMs;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let fd = null;
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      let age;
+      try {
+        age = Date.now() - fs.statSync(lockFile).mtimeMs;
+      } catch (statError) {
+        if (statError.code === 'ENOENT') continue; // liberada entre o open e o stat
+        throw statError;
+      }
+      if (age > STALE_LOCK_MS) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Tempo esgotado aguardando a trava de ${file}`);
+      }
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return action();
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(lockFile, { force: true });
+  }
+}
+
+/**
+ * Grava o arquivo inteiro de uma vez (arquivo temporário + rename)
+ * @param {string} file - Arquivo de destino
+ * @param {string} content - Conteúdo
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tempFile, content);
+  fs.renameSync(tempFile, file);
+}
+
+module.exports = {
+  withFileLock,
+  writeFileAtomic
+};
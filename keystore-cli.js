@@ -0,0 +1,105 @@
+/**
+ * Utilitário de linha de comando do cofre de chaves (src/services/keyVault.js)
+ * Cadastra chaves privadas de carteiras e credenciais de API das exchanges no
+ * keystore cifrado, para que elas não precisem ficar em texto puro no .env
+ *
+ * Uso:
+ *   node keystore-cli.js list
+ *   node keystore-cli.js add-wallet <nome>
+ *   node keystore-cli.js add-api <exchange>
+ *   node keystore-cli.js import-env
+ *   node keystore-cli.js remove <nome>
+ */
+
+const path = require('path');
+const readline = require('readline');
+const dotenv = require('dotenv');
+
+// Carregar variáveis de ambiente
+dotenv.config();
+
+// Exchanges cujas credenciais podem ser importadas do .env (mesmos nomes de src/config/api.js)
+const ENV_EXCHANGES = ['binance', 'coinbase', 'kucoin', 'kraken', 'mexc', 'gateio', 'bybit', 'bitget'];
+
+// Pergunta no terminal; com hidden o texto digitado não é exibido
+function ask(question, { hidden = false } = {}) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (hidden) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) rl.output.write(text);
+      };
+    }
+    rl.question(question, answer => {
+      rl.close();
+      if (hidden) process.stdout.write('\n');
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function main() {
+  const [command, name] = process.argv.slice(2);
+  const { KeyVault } = await import('./src/services/keyVault.js');
+  const vault = new KeyVault({ file: process.env.KEYSTORE_FILE || path.join(__dirname, 'data', 'keystore.json') });
+
+  if (command === 'list') {
+    console.table(vault.listEntries());
+    return;
+  }
+
+  const passphrase = process.env.KEYSTORE_PASSPHRASE || await ask('Senha do cofre de chaves: ', { hidden: true });
+  await vault.unlock(passphrase);
+
+  try {
+    switch (command) {
+      case 'add-wallet': {
+        if (!name) throw new Error('Informe o nome da carteira');
+        const privateKey = await ask('Chave privada: ', { hidden: true });
+        const { address } = vault.addWallet(name, privateKey);
+        console.log(`Carteira ${name} (${address}) gravada no cofre`);
+        break;
+      }
+      case 'add-api': {
+        if (!name) throw new Error('Informe o nome da exchange');
+        const apiKey = await ask('API key: ');
+        const apiSecret = await ask('API secret: ', { hidden: true });
+        const apiPassphrase = await ask('Passphrase (opcional): ', { hidden: true });
+        vault.addApiCredentials(name, { apiKey, apiSecret, passphrase: apiPassphrase });
+        console.log(`Credenciais de ${name} gravadas no cofre`);
+        break;
+      }
+      case 'import-env': {
+        for (const exchange of ENV_EXCHANGES) {
+          const prefix = exchange.toUpperCase();
+          const apiKey = process.env[`${prefix}_API_KEY`];
+          const apiSecret = process.env[`${prefix}_API_SECRET`];
+          if (!apiKey || !apiSecret) continue;
+
+          vault.addApiCredentials(exchange, {
+            apiKey,
+            apiSecret,
+            passphrase: process.env[`${prefix}_API_PASSPHRASE`]
+          });
+          console.log(`Credenciais de ${exchange} importadas; remova ${prefix}_API_* do .env`);
+        }
+        break;
+      }
+      case 'remove': {
+        if (!name) throw new Error('Informe o nome da entrada');
+        vault.removeEntry(name);
+        console.log(`Entrada ${name} removida do cofre`);
+        break;
+      }
+      default:
+        console.log('Comandos: list, add-wallet <nome>, add-api <exchange>, import-env, remove <nome>');
+    }
+  } finally {
+    vault.lock();
+  }
+}
+
+main().catch(error => {
+  console.error('Erro no cofre de chaves:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,536 @@
+/**
+ * Livro-razão de partidas dobradas do QuickFundHub
+ * Lucros e prejuízos das operações, gás, taxas das exchanges, taxa de 5% da plataforma e pagamentos
+ * (saques e PIX) são lançados aqui por todos os serviços que mantêm totais próprios
+ * (profitTracker, userProfitService, quickAIService, o gerenciador de ordens e o serviço em segundo plano).
+ * Cada lançamento tem débitos e créditos iguais por ativo; a verificação de
+ * consistência compara os totais de cada serviço com o livro-razão e aponta divergências
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('./file-lock.cjs');
+
+// Contas do plano de contas (as dimensões usuário/ativo/estratégia ficam em cada linha)
+const ACCOUNTS = {
+  WALLET: 'assets:wallet',
+  TRADING: 'income:trading',
+  PLATFORM_FEE_INCOME: 'income:platform-fee',
+  GAS: 'expenses:gas',
+  TRADING_FEE: 'expenses:trading-fee',
+  PLATFORM_FEE: 'expenses:platform-fee',
+  PAYOUTS: 'equity:payouts'
+};
+
+const ENTRY_TYPES = {
+  TRADE_PNL: 'trade_pnl',
+  GAS: 'gas',
+  TRADING_FEE: 'trading_fee',
+  PLATFORM_FEE: 'platform_fee',
+  PAYOUT: 'payout'
+};
+
+// Usuário das contas da própria plataforma e dos serviços sem usuário associado
+const PLATFORM_USER = 'platform';
+const SYSTEM_USER = 'system';
+
+// Valores gravados como texto decimal e somados em inteiros com 18 casas
+const DECIMALS = 18;
+const SCALE = 10n ** BigInt(DECIMALS);
+
+let defaultLedger = null;
+
+function toUnits(amount) {
+  // String(0.1) preserva o valor digitado; toFixed só para notação exponencial (ex: 1e-7)
+  const text = typeof amount === 'number' && /e/i.test(String(amount)) ? amount.toFixed(DECIMALS) : String(amount).trim();
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`Valor inválido para o livro-razão: ${amount}`);
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const units = BigInt(whole || '0') * SCALE + BigInt(fraction.slice(0, DECIMALS).padEnd(DECIMALS, '0'));
+  return sign ? -units : units;
+}
+
+function fromUnits(units) {
+  const negative = units < 0n;
+  const absolute = negative ? -units : units;
+  const fraction = (absolute % SCALE).toString().padStart(DECIMALS, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${absolute / SCALE}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Contas de ativo, despesa e retiradas (equity:payouts) aumentam com débitos; as receitas com créditos
+const isDebitNormal = (account) => account.startsWith('assets:') || account.startsWith('expenses:') || account.startsWith('equity:');
+
+const matchesFilter = (entry, line, filter) =>
+  (!filter.account || line.account === filter.account) &&
+  (!filter.userId || line.userId === filter.userId) &&
+  (!filter.asset || line.asset === filter.asset) &&
+  (!filter.strategy || line.strategy === filter.strategy) &&
+  (!filter.source || entry.source === filter.source) &&
+  (!filter.references || filter.references.includes(entry.reference)) &&
+  (!filter.since || new Date(entry.timestamp).getTime() >= new Date(filter.since).getTime());
+
+/**
+ * Armazenamento em arquivo JSON (relido a cada gravação, pois workers e o serviço
+ * em segundo plano lançam no mesmo arquivo; cada gravação acontece com a trava do arquivo)
+ */
+class FileLedgerStore {
+  /**
+   * @param {string} file - Arquivo onde os lançamentos são persistidos
+   */
+  constructor(file) {
+    this.file = file;
+    this.entries = this.read();
+  }
+
+  read() {
+    if (this.file && fs.existsSync(this.file)) {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).entries || [];
+    }
+    return this.entries || [];
+  }
+
+  async appendEntry(entry) {
+    if (!this.file) {
+      this.entries.push(entry);
+      return entry;
+    }
+    return withFileLock(this.file, () => {
+      this.entries = this.read();
+      // Outro processo pode ter gravado a mesma chave depois da verificação de Ledger.post
+      const existing = entry.entryKey && this.entries.find(current => current.entryKey === entry.entryKey);
+      if (existing) return existing;
+
+      this.entries.push(entry);
+      writeFileAtomic(this.file, JSON.stringify({ entries: this.entries }, null, 2));
+      return entry;
+    });
+  }
+
+  async findEntryByKey(entryKey) {
+    this.entries = this.read();
+    return this.entries.find(entry => entry.entryKey === entryKey) || null;
+  }
+
+  async listEntries() {
+    this.entries = this.read();
+    return this.entries;
+  }
+}
+
+/**
+ * Armazenamento MySQL/Aurora (tabelas ledger_entries e ledger_lines de aurora-db-setup.js)
+ */
+class MysqlLedgerStore {
+  /**
+   * @param {Object} config - Configuração da conexão (host, port, database, user, password)
+   */
+  constructor(config = {}) {
+    // Carregado sob demanda para não exigir o driver MySQL no armazenamento em arquivo
+    const mysql = require('mysql2/promise');
+    this.pool = mysql.createPool({
+      host: config.host || process.env.DB_HOST,
+      port: config.port || process.env.DB_PORT || 3306,
+      database: config.database || process.env.DB_NAME || 'quickfundhub_production',
+      user: config.user || process.env.DB_USERNAME || 'admin',
+      password: config.password || process.env.DB_PASSWORD || '',
+      waitForConnections: true,
+      connectionLimit: config.connectionLimit || 10
+    });
+  }
+
+  async appendEntry(entry) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        `INSERT INTO ledger_entries (id, entry_key, type, source, reference, description, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [entry.id, entry.entryKey, entry.type, entry.source, entry.reference, entry.description, new Date(entry.timestamp)]
+      );
+      for (const line of entry.lines) {
+        await connection.execute(
+          `INSERT INTO ledger_lines (entry_id, account, user_id, asset, strategy, debit, credit)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [entry.id, line.account, line.userId, line.asset, line.strategy, line.debit, line.credit]
+        );
+      }
+      await connection.commit();
+      return entry;
+    } catch (error) {
+      await connection.rollback();
+      // Lançamento com a mesma chave gravado por outro processo (entry_key é único)
+      if (error.code === 'ER_DUP_ENTRY' && entry.entryKey) {
+        return this.findEntryByKey(entry.entryKey);
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  toEntries(rows) {
+    const entries = new Map();
+    for (const row of rows) {
+      if (!entries.has(row.id)) {
+        entries.set(row.id, {
+          id: row.id,
+          entryKey: row.entry_key,
+          type: row.type,
+          source: row.source,
+          reference: row.reference,
+          description: row.description,
+          timestamp: new Date(row.created_at).toISOString(),
+          lines: []
+        });
+      }
+      entries.get(row.id).lines.push({
+        account: row.account,
+        userId: row.user_id,
+        asset: row.asset,
+        strategy: row.strategy,
+        debit: String(row.debit),
+        credit: String(row.credit)
+      });
+    }
+    return [...entries.values()];
+  }
+
+  async findEntryByKey(entryKey) {
+    const [rows] = await this.pool.execute(
+      `SELECT e.*, l.account, l.user_id, l.asset, l.strategy, l.debit, l.credit
+       FROM ledger_entries e JOIN ledger_lines l ON l.entry_id = e.id WHERE e.entry_key = ?`,
+      [entryKey]
+    );
+    return this.toEntries(rows)[0] || null;
+  }
+
+  async listEntries() {
+    const [rows] = await this.pool.execute(
+      `SELECT e.*, l.account, l.user_id, l.asset, l.strategy, l.debit, l.credit
+       FROM ledger_entries e JOIN ledger_lines l ON l.entry_id = e.id ORDER BY e.created_at, l.id`
+    );
+    return this.toEntries(rows);
+  }
+}
+
+/**
+ * Livro-razão
+ */
+class Ledger {
+  /**
+   * @param {Object} options - Opções do livro-razão
+   * @param {Object} options.store - Armazenamento (FileLedgerStore ou MysqlLedgerStore)
+   * @param {string} options.tolerance - Diferença aceita na verificação de consistência
+   */
+  constructor({ store, tolerance = process.env.LEDGER_DRIFT_TOLERANCE || '0.000001' }) {
+    this.store = store;
+    this.tolerance = toUnits(tolerance);
+    this.reconciliations = new Map();
+  }
+
+  /**
+   * Grava um lançamento; débitos e créditos precisam fechar por ativo
+   * Um lançamento com entryKey já gravada é ignorado (o mesmo evento lançado duas vezes)
+   * @param {Object} entry - { type, source, reference, description, entryKey, lines: [{ account, userId, asset, strategy, debit, credit }] }
+   * @returns {Promise<Object>} - Lançamento gravado
+   */
+  async post({ type, source, reference = null, description = '', entryKey = null, lines }) {
+    if (entryKey) {
+      const existing = await this.store.findEntryByKey(entryKey);
+      if (existing) return existing;
+    }
+
+    const totals = {};
+    const normalizedLines = lines
+      .map(line => {
+        const debit = toUnits(line.debit || 0);
+        const credit = toUnits(line.credit || 0);
+        if (debit < 0n || credit < 0n) throw new Error('Débitos e créditos não podem ser negativos');
+
+        totals[line.asset] = (totals[line.asset] || 0n) + debit - credit;
+        return {
+          account: line.account,
+          userId: line.userId || SYSTEM_USER,
+          asset: line.asset,
+          strategy: line.strategy || null,
+          debit: fromUnits(debit),
+          credit: fromUnits(credit)
+        };
+      })
+      .filter(line => line.debit !== '0' || line.credit !== '0');
+
+    const unbalanced = Object.entries(totals).filter(([, total]) => total !== 0n);
+    if (unbalanced.length > 0) {
+      throw new Error(`Lançamento desbalanceado em ${unbalanced.map(([asset]) => asset).join(', ')}`);
+    }
+    if (normalizedLines.length === 0) return null;
+
+    return this.store.appendEntry({
+      id: crypto.randomUUID(),
+      entryKey: entryKey || null,
+      type,
+      source,
+      reference: reference ? String(reference) : null,
+      description,
+      timestamp: new Date().toISOString(),
+      lines: normalizedLines
+    });
+  }
+
+  /**
+   * Lucro ou prejuízo de uma operação (prejuízo quando amount é negativo)
+   * @param {Object} params - { userId, strategy, asset, amount, source, reference, entryKey }
+   */
+  async recordTradePnl({ userId = SYSTEM_USER, strategy = 'unknown', asset, amount, source, reference, entryKey }) {
+    const units = toUnits(amount);
+    const value = fromUnits(units < 0n ? -units : units);
+    const [walletSide, tradingSide] = units >= 0n ? ['debit', 'credit'] : ['credit', 'debit'];
+
+    return this.post({
+      type: ENTRY_TYPES.TRADE_PNL,
+      source,
+      reference,
+      entryKey,
+      description: `${units >= 0n ? 'Lucro' : 'Prejuízo'} de ${strategy} em ${asset}`,
+      lines: [
+        { account: ACCOUNTS.WALLET, userId, asset, strategy, [walletSide]: value },
+        { account: ACCOUNTS.TRADING, userId, asset, strategy, [tradingSide]: value }
+      ]
+    });
+  }
+
+  /**
+   * Custo de gás de uma transação
+   * @param {Object} params - { userId, asset, amount, source, reference, entryKey }
+   */
+  async recordGas({ userId = SYSTEM_USER, asset = 'ETH', amount, source, reference, entryKey }) {
+    return this.post({
+      type: ENTRY_TYPES.GAS,
+      source,
+      reference,
+      entryKey,
+      description: `Gás em ${asset}`,
+      lines: [
+        { account: ACCOUNTS.GAS, userId, asset, debit: amount },
+        { account: ACCOUNTS.WALLET, userId, asset, credit: amount }
+      ]
+    });
+  }
+
+  /**
+   * Taxa cobrada pela exchange em uma execução de ordem
+   * @param {Object} params - { userId, strategy, asset, amount, source, reference, entryKey }
+   */
+  async recordTradingFee({ userId = SYSTEM_USER, strategy = 'unknown', asset, amount, source, reference, entryKey }) {
+    return this.post({
+      type: ENTRY_TYPES.TRADING_FEE,
+      source,
+      reference,
+      entryKey,
+      description: `Taxa de negociação de ${strategy} em ${asset}`,
+      lines: [
+        { account: ACCOUNTS.TRADING_FEE, userId, asset, strategy, debit: amount },
+        { account: ACCOUNTS.WALLET, userId, asset, strategy, credit: amount }
+      ]
+    });
+  }
+
+  /**
+   * Taxa de 5% da plataforma: sai da carteira do usuário e entra na receita da plataforma
+   * @param {Object} params - { userId, asset, amount, source, reference, entryKey }
+   */
+  async recordPlatformFee({ userId, asset, amount, source, reference, entryKey }) {
+    return this.post({
+      type: ENTRY_TYPES.PLATFORM_FEE,
+      source,
+      reference,
+      entryKey,
+      description: `Taxa da plataforma em ${asset}`,
+      lines: [
+        { account: ACCOUNTS.PLATFORM_FEE, userId, asset, debit: amount },
+        { account: ACCOUNTS.WALLET, userId, asset, credit: amount },
+        { account: ACCOUNTS.WALLET, userId: PLATFORM_USER, asset, debit: amount },
+        { account: ACCOUNTS.PLATFORM_FEE_INCOME, userId: PLATFORM_USER, asset, credit: amount }
+      ]
+    });
+  }
+
+  /**
+   * Saque ou pagamento PIX que deixa o sistema
+   * @param {Object} params - { userId, asset, amount, method: withdrawal|pix, source, reference, entryKey }
+   */
+  async recordPayout({ userId = SYSTEM_USER, asset, amount, method = 'withdrawal', source, reference, entryKey }) {
+    return this.post({
+      type: ENTRY_TYPES.PAYOUT,
+      source,
+      reference,
+      entryKey,
+      description: `${method === 'pix' ? 'Pagamento PIX' : 'Saque'} em ${asset}`,
+      lines: [
+        { account: ACCOUNTS.PAYOUTS, userId, asset, debit: amount },
+        { account: ACCOUNTS.WALLET, userId, asset, credit: amount }
+      ]
+    });
+  }
+
+  /**
+   * Lista os lançamentos (mais antigos primeiro)
+   * @param {Object} filter - { source, userId, since }
+   * @returns {Promise<Array>} - Lançamentos
+   */
+  async getEntries(filter = {}) {
+    const entries = await this.store.listEntries();
+    return entries.filter(entry => entry.lines.some(line => matchesFilter(entry, line, filter)));
+  }
+
+  async sumUnits(filter) {
+    const entries = await this.store.listEntries();
+    let total = 0n;
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        if (!matchesFilter(entry, line, filter)) continue;
+        const movement = toUnits(line.debit) - toUnits(line.credit);
+        total += isDebitNormal(line.account) ? movement : -movement;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Saldo de uma conta no seu lado natural (débito para ativos e despesas, crédito para receitas)
+   * @param {Object} filter - { account, userId, asset, strategy, source, references, since }
+   * @returns {Promise<string>} - Saldo em texto decimal
+   */
+  async getBalance(filter) {
+    return fromUnits(await this.sumUnits(filter));
+  }
+
+  /**
+   * Saldos por conta, usuário e ativo
+   * @param {Object} filter - { userId, asset, source, since }
+   * @returns {Promise<Array>} - [{ account, userId, asset, balance }]
+   */
+  async getBalances(filter = {}) {
+    const entries = await this.store.listEntries();
+    const balances = new Map();
+
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        if (!matchesFilter(entry, line, filter)) continue;
+        const key = `${line.account}|${line.userId}|${line.asset}`;
+        const movement = toUnits(line.debit) - toUnits(line.credit);
+        balances.set(key, (balances.get(key) || 0n) + (isDebitNormal(line.account) ? movement : -movement));
+      }
+    }
+
+    return [...balances.entries()].map(([key, units]) => {
+      const [account, userId, asset] = key.split('|');
+      return { account, userId, asset, balance: fromUnits(units) };
+    });
+  }
+
+  /**
+   * Registra uma verificação de um serviço que mantém totais próprios
+   * @param {string} name - Nome do serviço
+   * @param {Function} check - async (ledger) => [{ description, ledger, actual }] (valores em texto decimal ou número)
+   */
+  registerReconciliation(name, check) {
+    this.reconciliations.set(name, check);
+  }
+
+  /**
+   * Verifica se o livro-razão fecha (débitos = créditos por ativo) e se os totais
+   * mantidos pelos serviços registrados batem com ele
+   * @returns {Promise<Object>} - { consistent, unbalancedAssets, drift: [{ source, description, ledger, actual, difference }] }
+   */
+  async checkConsistency() {
+    const entries = await this.store.listEntries();
+    const totals = {};
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        totals[line.asset] = (totals[line.asset] || 0n) + toUnits(line.debit) - toUnits(line.credit);
+      }
+    }
+    const unbalancedAssets = Object.keys(totals).filter(asset => totals[asset] !== 0n);
+
+    const drift = [];
+    for (const [source, check] of this.reconciliations) {
+      try {
+        for (const item of await check(this)) {
+          const difference = toUnits(item.actual) - toUnits(item.ledger);
+          if ((difference < 0n ? -difference : difference) > this.tolerance) {
+            drift.push({
+              source,
+              description: item.description,
+              ledger: String(item.ledger),
+              actual: String(item.actual),
+              difference: fromUnits(difference)
+            });
+          }
+        }
+      } catch (error) {
+        drift.push({ source, description: `Falha na verificação: ${error.message}`, ledger: null, actual: null, difference: null });
+      }
+    }
+
+    return {
+      consistent: unbalancedAssets.length === 0 && drift.length === 0,
+      checkedAt: new Date().toISOString(),
+      entries: entries.length,
+      unbalancedAssets,
+      drift
+    };
+  }
+}
+
+/**
+ * Cria o armazenamento de acordo com REPOSITORY_DRIVER
+ * @param {Object} options - { driver, file }
+ * @returns {FileLedgerStore|MysqlLedgerStore} - Armazenamento configurado
+ */
+function createLedgerStore({ driver, file }) {
+  return driver === 'mysql' ? new MysqlLedgerStore() : new FileLedgerStore(file);
+}
+
+/**
+ * Define o livro-razão do processo
+ * @param {Ledger} ledger - Livro-razão configurado pelo serviço em segundo plano
+ */
+function setLedger(ledger) {
+  defaultLedger = ledger;
+}
+
+/**
+ * Retorna o livro-razão do processo; sem configuração explícita usa
+ * REPOSITORY_DRIVER / data/ledger.json
+ * @returns {Ledger} - Livro-razão
+ */
+function getLedger() {
+  if (!defaultLedger) {
+    defaultLedger = new Ledger({
+      store: createLedgerStore({
+        driver: process.env.REPOSITORY_DRIVER,
+        file: process.env.LEDGER_FILE || path.join(__dirname, 'data', 'ledger.json')
+      })
+    });
+  }
+  return defaultLedger;
+}
+
+module.exports = {
+  ACCOUNTS,
+  ENTRY_TYPES,
+  PLATFORM_USER,
+  SYSTEM_USER,
+  toUnits,
+  fromUnits,
+  Ledger,
+  FileLedgerStore,
+  MysqlLedgerStore,
+  createLedgerStore,
+  setLedger,
+  getLedger
+};
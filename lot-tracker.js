@@ -0,0 +1,471 @@
+/**
+ * Rastreamento de lotes de aquisição (custo de aquisição) do QuickFundHub
+ * Cada execução (fill) das estratégias entra aqui: compras abrem lotes, vendas consomem
+ * lotes pelo método configurado (FIFO, LIFO, HIFO ou custo médio ponderado) e realizam
+ * o resultado. Vendas sem lotes em carteira abrem lotes vendidos (short), encerrados pelas
+ * compras seguintes. Transferências entre carteiras/exchanges movem os lotes com o custo
+ * original, sem realizar resultado
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withFileLock, writeFileAtomic } = require('./file-lock.cjs');
+
+const LOT_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  HIFO: 'hifo',
+  AVERAGE: 'average'
+};
+
+const DEFAULT_LOCATION = 'wallet';
+
+// Resíduos de ponto flutuante abaixo disto são tratados como zero
+const EPSILON = 1e-12;
+
+// Resultados realizados mantidos no arquivo de estado; os mais antigos vão para o arquivo morto
+// (<arquivo>.archive.jsonl) e o resultado deles continua somado por ativo em archived
+const MAX_REALIZED = 5000;
+
+function lotError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function emptyArchive() {
+  return { count: 0, pnlByAsset: {}, lastClosedAt: null };
+}
+
+/**
+ * Ordena os lotes na ordem de consumo do método
+ * HIFO consome primeiro o lote de maior preço unitário (custo, para lotes comprados;
+ * valor de venda, para lotes vendidos)
+ */
+function orderLots(lots, method) {
+  const ordered = [...lots];
+  if (method === LOT_METHODS.LIFO) {
+    ordered.sort((a, b) => b.acquiredAt - a.acquiredAt);
+  } else if (method === LOT_METHODS.HIFO) {
+    ordered.sort((a, b) => b.unitPrice - a.unitPrice || a.acquiredAt - b.acquiredAt);
+  } else {
+    ordered.sort((a, b) => a.acquiredAt - b.acquiredAt);
+  }
+  return ordered;
+}
+
+class LotTracker {
+  /**
+   * @param {Object} options - Opções do rastreador
+   * @param {string} options.method - fifo, lifo, hifo ou average (padrão: LOT_METHOD ou fifo)
+   * @param {string} options.stateFile - Arquivo onde os lotes são persistidos (relido a cada
+   *   alteração, com a trava de file-lock.cjs, para que os workers e o serviço principal
+   *   compartilhem os mesmos lotes)
+   * @param {boolean} options.allowShort - Vendas sem lotes abrem posição vendida; com false a parte
+   *   descoberta é realizada com custo zero e informada em uncoveredQuantity
+   * @param {number} options.maxRealized - Resultados realizados mantidos no estado antes do arquivo morto
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    method = process.env.LOT_METHOD || LOT_METHODS.FIFO,
+    stateFile = null,
+    allowShort = true,
+    maxRealized = MAX_REALIZED,
+    now = () => Date.now()
+  } = {}) {
+    if (!Object.values(LOT_METHODS).includes(method)) {
+      throw lotError(`Método de custo não suportado: ${method}`);
+    }
+    this.method = method;
+    this.stateFile = stateFile;
+    this.allowShort = allowShort;
+    this.maxRealized = maxRealized;
+    this.now = now;
+    this.lots = [];
+    this.realized = [];
+    this.archived = emptyArchive();
+    // Sem arquivo de estado o arquivo morto fica em memória
+    this.archive = [];
+    this.loadState();
+  }
+
+  get archiveFile() {
+    return this.stateFile ? `${this.stateFile}.archive.jsonl` : null;
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+    const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    this.lots = state.lots || [];
+    this.realized = state.realized || [];
+    this.archived = state.archived || emptyArchive();
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    writeFileAtomic(this.stateFile, JSON.stringify({ lots: this.lots, realized: this.realized, archived: this.archived }, null, 2));
+  }
+
+  // Relê o arquivo, aplica a alteração e grava de novo, com acesso exclusivo ao arquivo
+  update(change) {
+    if (!this.stateFile) return this.applyChange(change);
+    return withFileLock(this.stateFile, () => this.applyChange(change));
+  }
+
+  applyChange(change) {
+    this.loadState();
+    const result = change();
+    if (this.realized.length > this.maxRealized) {
+      this.archiveRealized(this.realized.splice(0, this.realized.length - this.maxRealized));
+    }
+    this.saveState();
+    return result;
+  }
+
+  /**
+   * Move resultados realizados para o arquivo morto, mantendo o total por ativo
+   * @param {Array} entries - Resultados mais antigos
+   */
+  archiveRealized(entries) {
+    if (this.archiveFile) {
+      fs.appendFileSync(this.archiveFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    } else {
+      this.archive.push(...entries);
+    }
+    for (const entry of entries) {
+      this.archived.pnlByAsset[entry.asset] = (this.archived.pnlByAsset[entry.asset] || 0) + entry.pnl;
+      this.archived.count++;
+      this.archived.lastClosedAt = Math.max(this.archived.lastClosedAt || 0, entry.closedAt);
+    }
+  }
+
+  readArchive() {
+    if (!this.archiveFile) return [...this.archive];
+    if (!fs.existsSync(this.archiveFile)) return [];
+    return fs.readFileSync(this.archiveFile, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Resultados realizados a partir de sinceTime, incluindo o arquivo morto só quando
+   * o período alcança os resultados arquivados
+   */
+  realizedSince(sinceTime) {
+    const { count, lastClosedAt } = this.archived;
+    const archived = count > 0 && (!sinceTime || sinceTime <= lastClosedAt) ? this.readArchive() : [];
+    return [...archived, ...this.realized].filter(entry => !sinceTime || entry.closedAt >= sinceTime);
+  }
+
+  openLots(asset, location, direction) {
+    return this.lots.filter(lot =>
+      lot.asset === asset && lot.location === location && lot.direction === direction && lot.remaining > EPSILON);
+  }
+
+  /**
+   * Consome uma quantidade dos lotes abertos pelo método configurado
+   * @returns {Object} - { consumed: [{ lot, quantity }], uncovered }
+   */
+  consumeLots(lots, quantity) {
+    const consumed = [];
+    const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+    if (this.method === LOT_METHODS.AVERAGE) {
+      // Custo médio: cada lote contribui na proporção da sua quantidade
+      const covered = Math.min(quantity, available);
+      if (covered > EPSILON) {
+        for (const lot of lots) {
+          const used = lot.remaining * covered / available;
+          lot.remaining -= used;
+          consumed.push({ lot, quantity: used });
+        }
+      }
+      return { consumed, uncovered: quantity - covered };
+    }
+
+    let remaining = quantity;
+    for (const lot of orderLots(lots, this.method)) {
+      if (remaining <= EPSILON) break;
+      const used = Math.min(lot.remaining, remaining);
+      lot.remaining -= used;
+      remaining -= used;
+      consumed.push({ lot, quantity: used });
+    }
+    return { consumed, uncovered: remaining };
+  }
+
+  addLot({ asset, location, direction, quantity, unitPrice, acquiredAt, strategy, source }) {
+    const lot = {
+      id: crypto.randomUUID(),
+      asset,
+      location,
+      direction,
+      quantity,
+      remaining: quantity,
+      unitPrice,
+      acquiredAt,
+      strategy,
+      source
+    };
+    this.lots.push(lot);
+    return lot;
+  }
+
+  /**
+   * Registra uma execução
+   * A taxa (na moeda de cotação) entra no custo das compras e reduz o valor das vendas
+   * @param {Object} fill - { asset, side: buy|sell, amount, price, fee, location, strategy, timestamp, id }
+   * @returns {Object} - { opened: [lotes], realized: [resultados], uncoveredQuantity }
+   */
+  recordFill({ asset, side, amount, price, fee = 0, location = DEFAULT_LOCATION, strategy = 'manual', timestamp, id = null }) {
+    const quantity = parseFloat(amount);
+    const unitPrice = parseFloat(price);
+    if (!asset || !['buy', 'sell'].includes(side)) {
+      throw lotError('Execução sem ativo ou lado (buy/sell) válidos');
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw lotError(`Execução de ${asset} sem quantidade ou preço válidos`);
+    }
+
+    return this.update(() => {
+      const time = timestamp ? new Date(timestamp).getTime() : this.now();
+      const feePerUnit = parseFloat(fee || 0) / quantity;
+      const effectivePrice = side === 'sell' ? unitPrice - feePerUnit : unitPrice + feePerUnit;
+      // Compra encerra primeiro os lotes vendidos; venda encerra os lotes comprados
+      const closing = side === 'buy' ? 'short' : 'long';
+      const { consumed, uncovered } = this.consumeLots(this.openLots(asset, location, closing), quantity);
+      const result = { opened: [], realized: [], uncoveredQuantity: 0 };
+
+      for (const { lot, quantity: used } of consumed) {
+        if (used <= EPSILON) continue;
+        const proceeds = closing === 'long' ? used * effectivePrice : used * lot.unitPrice;
+        const cost = closing === 'long' ? used * lot.unitPrice : used * effectivePrice;
+        const entry = {
+          id: crypto.randomUUID(),
+          fillId: id,
+          asset,
+          location,
+          direction: closing,
+          lotId: lot.id,
+          quantity: used,
+          proceeds,
+          cost,
+          pnl: proceeds - cost,
+          openedAt: lot.acquiredAt,
+          closedAt: time,
+          strategy
+        };
+        this.realized.push(entry);
+        result.realized.push(entry);
+      }
+      this.lots = this.lots.filter(lot => lot.remaining > EPSILON);
+
+      if (uncovered > EPSILON) {
+        if (side === 'buy' || this.allowShort) {
+          result.opened.push(this.addLot({
+            asset,
+            location,
+            direction: side === 'buy' ? 'long' : 'short',
+            quantity: uncovered,
+            unitPrice: effectivePrice,
+            acquiredAt: time,
+            strategy,
+            source: id
+          }));
+        } else {
+          // Sem posição vendida: a parte descoberta é realizada com custo zero
+          const proceeds = uncovered * effectivePrice;
+          const entry = {
+            id: crypto.randomUUID(),
+            fillId: id,
+            asset,
+            location,
+            direction: 'long',
+            lotId: null,
+            quantity: uncovered,
+            proceeds,
+            cost: 0,
+            pnl: proceeds,
+            openedAt: null,
+            closedAt: time,
+            strategy
+          };
+          this.realized.push(entry);
+          result.realized.push(entry);
+          result.uncoveredQuantity = uncovered;
+        }
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Transfere lotes entre carteiras/exchanges mantendo o custo e a data de aquisição
+   * A taxa de rede (no próprio ativo) sai da quantidade transferida e o custo dela
+   * passa para os lotes que chegam ao destino
+   * @param {Object} transfer - { asset, amount, from, to, fee, timestamp }
+   * @returns {Array} - Lotes criados no destino
+   */
+  transfer({ asset, amount, from = DEFAULT_LOCATION, to, fee = 0 }) {
+    const quantity = parseFloat(amount);
+    const networkFee = parseFloat(fee || 0);
+    if (!to || from === to) {
+      throw lotError('Transferência sem destino ou com origem igual ao destino');
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0 || networkFee < 0 || networkFee >= quantity) {
+      throw lotError(`Transferência de ${asset} sem quantidade válida`);
+    }
+
+    return this.update(() => {
+      const lots = this.openLots(asset, from, 'long');
+      const available = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+      if (available + EPSILON < quantity) {
+        throw lotError(`Quantidade insuficiente de ${asset} em ${from}: ${available} disponível, ${quantity} solicitado`);
+      }
+
+      const { consumed } = this.consumeLots(lots, quantity);
+      this.lots = this.lots.filter(lot => lot.remaining > EPSILON);
+      const received = quantity - networkFee;
+      // O custo total é preservado: cada lote chega com a quantidade reduzida pela taxa
+      const ratio = received / quantity;
+
+      return consumed
+        .filter(({ quantity: used }) => used > EPSILON)
+        .map(({ lot, quantity: used }) => this.addLot({
+          asset,
+          location: to,
+          direction: 'long',
+          quantity: used * ratio,
+          unitPrice: lot.unitPrice / ratio,
+          acquiredAt: lot.acquiredAt,
+          strategy: lot.strategy,
+          source: lot.source
+        }));
+    });
+  }
+
+  /**
+   * Lotes abertos
+   * @param {Object} filter - { asset, location }
+   * @returns {Array} - Lotes
+   */
+  getLots({ asset, location } = {}) {
+    this.loadState();
+    return this.lots.filter(lot => (!asset || lot.asset === asset) && (!location || lot.location === location));
+  }
+
+  /**
+   * Posições abertas por ativo e local (quantidade líquida, custo e preço médio)
+   * @param {Object} filter - { asset, location }
+   * @returns {Array} - [{ asset, location, quantity, costBasis, averagePrice, lots }]
+   */
+  getPositions(filter = {}) {
+    const positions = {};
+    for (const lot of this.getLots(filter)) {
+      const key = `${lot.asset}|${lot.location}`;
+      const position = positions[key] || (positions[key] = {
+        asset: lot.asset, location: lot.location, quantity: 0, costBasis: 0, lots: 0
+      });
+      const sign = lot.direction === 'long' ? 1 : -1;
+      position.quantity += sign * lot.remaining;
+      position.costBasis += sign * lot.remaining * lot.unitPrice;
+      position.lots++;
+    }
+    return Object.values(positions).map(position => ({
+      ...position,
+      averagePrice: position.quantity !== 0 ? position.costBasis / position.quantity : 0
+    }));
+  }
+
+  /**
+   * Resultado realizado e não realizado por ativo
+   * @param {Object} prices - Preço atual por ativo ({ ETH: 3000 }); ativos sem preço ficam sem não realizado
+   * @param {Object} options - { since } (resultado realizado a partir desta data)
+   * @returns {Object} - { method, assets: { ATIVO: { quantity, costBasis, marketValue, realized, unrealized } }, totals }
+   */
+  getPnl(prices = {}, { since = null } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const assets = {};
+    const asset = (symbol) => assets[symbol] || (assets[symbol] = {
+      quantity: 0, costBasis: 0, marketValue: null, realized: 0, unrealized: null
+    });
+
+    for (const position of this.getPositions()) {
+      const entry = asset(position.asset);
+      entry.quantity += position.quantity;
+      entry.costBasis += position.costBasis;
+    }
+    if (sinceTime) {
+      for (const entry of this.realizedSince(sinceTime)) {
+        asset(entry.asset).realized += entry.pnl;
+      }
+    } else {
+      // Resultado total: a soma do arquivo morto mais os resultados mantidos no estado
+      for (const [symbol, pnl] of Object.entries(this.archived.pnlByAsset)) {
+        asset(symbol).realized += pnl;
+      }
+      for (const entry of this.realized) {
+        asset(entry.asset).realized += entry.pnl;
+      }
+    }
+
+    const totals = { realized: 0, unrealized: 0 };
+    for (const [symbol, entry] of Object.entries(assets)) {
+      const price = prices[symbol];
+      if (price !== undefined && price !== null) {
+        // Posição vendida: o custo é o valor recebido na venda e o valor de mercado é negativo
+        entry.marketValue = entry.quantity * price;
+        entry.unrealized = entry.marketValue - entry.costBasis;
+        totals.unrealized += entry.unrealized;
+      }
+      totals.realized += entry.realized;
+    }
+
+    return { method: this.method, assets, totals };
+  }
+
+  /**
+   * Resultados realizados (mais recentes por último)
+   * @param {Object} filter - { asset, since }
+   */
+  getRealized({ asset, since } = {}) {
+    this.loadState();
+    const sinceTime = since ? new Date(since).getTime() : null;
+    return this.realizedSince(sinceTime).filter(entry => !asset || entry.asset === asset);
+  }
+}
+
+let defaultTracker = null;
+
+/**
+ * Retorna o rastreador de lotes do processo (persistido em LOT_TRACKER_FILE ou data/lots.json,
+ * compartilhado com os workers)
+ * @returns {LotTracker} - Rastreador de lotes
+ */
+function getLotTracker() {
+  if (!defaultTracker) {
+    defaultTracker = new LotTracker({
+      stateFile: process.env.LOT_TRACKER_FILE || path.join(__dirname, 'data', 'lots.json')
+    });
+  }
+  return defaultTracker;
+}
+
+/**
+ * Define o rastreador de lotes do processo
+ * @param {LotTracker} tracker - Rastreador configurado
+ */
+function setLotTracker(tracker) {
+  defaultTracker = tracker;
+}
+
+module.exports = {
+  LOT_METHODS,
+  DEFAULT_LOCATION,
+  LotTracker,
+  getLotTracker,
+  setLotTracker
+};
@@ -0,0 +1,144 @@
+/**
+ * Relay de bundles local para testes do envio privado (src/services/privateRelay.js)
+ * Implementa eth_callBundle e eth_sendBundle sobre um nó local com automine (anvil ou hardhat):
+ * - eth_callBundle executa as transações num snapshot do nó e reverte o estado ao final
+ * - eth_sendBundle publica as transações no nó quando o bloco alvo é o próximo (com --drop, nunca inclui)
+ *
+ * Uso:
+ *   anvil --fork-url <rpc>
+ *   node mock-relay.cjs [--port 8547] [--upstream http://127.0.0.1:8545] [--drop]
+ *   PRIVATE_RELAY_URL_MAINNET=http://127.0.0.1:8547 (no .env do serviço)
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Cria um erro JSON-RPC
+ * @param {string} message - Mensagem devolvida ao cliente
+ * @param {number} code - Código JSON-RPC
+ * @returns {Error} - Erro com a propriedade code
+ */
+function rpcError(message, code = -32000) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const bundleHash = txs => ethers.utils.keccak256(ethers.utils.concat(txs.map(tx => ethers.utils.keccak256(tx))));
+
+function validateBundle(params) {
+  const [bundle] = params || [];
+  if (!bundle || !Array.isArray(bundle.txs) || bundle.txs.length === 0 || !bundle.blockNumber) {
+    throw rpcError('bundle deve ter txs e blockNumber', -32602);
+  }
+  return bundle;
+}
+
+/**
+ * Cria o relay sobre o nó informado
+ * @param {Object} options - Opções do relay
+ * @param {string} options.upstreamRpcUrl - RPC do nó local com automine
+ * @param {boolean} options.drop - Descarta todos os bundles (nunca inclui)
+ * @param {Function} options.log - Log dos bundles recebidos
+ * @returns {express.Application} - App JSON-RPC; os bundles recebidos ficam em app.locals.bundles
+ */
+function createMockRelay({ upstreamRpcUrl, drop = false, log = console.log }) {
+  const upstream = new ethers.providers.JsonRpcProvider(upstreamRpcUrl);
+  const bundles = [];
+
+  // Executa as transações no estado atual do nó e desfaz tudo ao final
+  async function callBundle(params) {
+    const { txs } = validateBundle(params);
+    const snapshotId = await upstream.send('evm_snapshot', []);
+    const results = [];
+    let totalGasUsed = ethers.BigNumber.from(0);
+
+    try {
+      for (const raw of txs) {
+        const txHash = ethers.utils.keccak256(raw);
+        try {
+          await upstream.send('eth_sendRawTransaction', [raw]);
+          const receipt = await upstream.waitForTransaction(txHash, 1, 10000);
+          totalGasUsed = totalGasUsed.add(receipt.gasUsed);
+          results.push(receipt.status === 1
+            ? { txHash, gasUsed: receipt.gasUsed.toNumber() }
+            : { txHash, gasUsed: receipt.gasUsed.toNumber(), revert: 'execution reverted' });
+        } catch (error) {
+          results.push({ txHash, error: error.error?.message || error.message });
+        }
+      }
+    } finally {
+      await upstream.send('evm_revert', [snapshotId]);
+    }
+
+    return { bundleHash: bundleHash(txs), results, totalGasUsed: totalGasUsed.toNumber() };
+  }
+
+  // Publica o bundle no nó se o bloco alvo for o próximo; bundles para outros blocos são descartados
+  async function sendBundle(params) {
+    const { txs, blockNumber } = validateBundle(params);
+    const target = ethers.BigNumber.from(blockNumber).toNumber();
+    // eth_blockNumber direto: o provider do ethers não volta o número do bloco após o evm_revert da simulação
+    const current = ethers.BigNumber.from(await upstream.send('eth_blockNumber', [])).toNumber();
+    const entry = { bundleHash: bundleHash(txs), target, txs: txs.length, status: 'dropped', receivedAt: new Date().toISOString() };
+
+    if (!drop && target === current + 1) {
+      for (const raw of txs) {
+        await upstream.send('eth_sendRawTransaction', [raw]);
+      }
+      entry.status = 'sent';
+    }
+
+    bundles.push(entry);
+    log(`eth_sendBundle ${entry.bundleHash} bloco ${target} (atual ${current}): ${entry.status}`);
+    return { bundleHash: entry.bundleHash };
+  }
+
+  const METHODS = {
+    eth_callBundle: callBundle,
+    eth_sendBundle: sendBundle,
+    mock_getBundles: async () => bundles
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.post('/', async (req, res) => {
+    const { id = null, method, params } = req.body || {};
+    if (!req.get('X-Flashbots-Signature')) {
+      return res.json({ jsonrpc: '2.0', id, error: { code: -32600, message: 'X-Flashbots-Signature ausente' } });
+    }
+    const handler = METHODS[method];
+    if (!handler) {
+      return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Método não suportado: ${method}` } });
+    }
+
+    try {
+      res.json({ jsonrpc: '2.0', id, result: await handler(params) });
+    } catch (error) {
+      log(`Erro em ${method}: ${error.message}`);
+      res.json({ jsonrpc: '2.0', id, error: { code: Number.isInteger(error.code) ? error.code : -32000, message: error.message } });
+    }
+  });
+
+  app.locals.bundles = bundles;
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(option('port', process.env.MOCK_RELAY_PORT || '8547'), 10);
+  const upstreamRpcUrl = option('upstream', process.env.MOCK_RELAY_UPSTREAM_RPC || 'http://127.0.0.1:8545');
+  const drop = process.argv.includes('--drop');
+
+  createMockRelay({ upstreamRpcUrl, drop }).listen(port, () => {
+    console.log(`Relay de teste em http://127.0.0.1:${port} (nó ${upstreamRpcUrl}${drop ? ', descartando bundles' : ''})`);
+  });
+}
+
+module.exports = { createMockRelay };
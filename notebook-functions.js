@@ -25,6 +25,35 @@ if (!fs.existsSync(usersDbFile)) {
   fs.writeFileSync(usersDbFile, JSON.stringify([defaultUser], null, 2));
 }
 
+// Serviço de avaliação em USD/BRL (módulo ESM), carregado sob demanda
+let valuationServicePromise = null;
+function getValuationService() {
+  if (!valuationServicePromise) {
+    valuationServicePromise = import('./src/services/valuationService.js').then(module => module.valuationService);
+  }
+  return valuationServicePromise;
+}
+
+// Converte os lucros (cada um no seu ativo) para USD e BRL pela cotação do instante da operação
+async function valueProfits(userProfits) {
+  const valuationService = await getValuationService();
+  const summary = { totalUsd: 0, totalBrl: 0, valued: [], unvalued: 0 };
+  
+  for (const p of userProfits) {
+    try {
+      const { usd, brl } = await valuationService.value(p.profit, p.asset, p.timestamp);
+      summary.totalUsd += usd;
+      summary.totalBrl += brl;
+      summary.valued.push({ ...p, usd, brl });
+    } catch (error) {
+      console.error(`Erro ao avaliar lucro de ${p.profit} ${p.asset}:`, error.message);
+      summary.unvalued++;
+    }
+  }
+  
+  return summary;
+}
+
 // Função para enviar notificação via WhatsApp (Twilio)
 async function sendWhatsAppNotification(userId, profit) {
   try {
@@ -79,23 +108,23 @@ async function sendDailyReport(userId) {
     const profits = JSON.parse(fs.readFileSync(profitsDbFile));
     const userProfits = profits.filter(p => p.userId === userId && p.timestamp >= oneDayAgo);
     
-    // Calcular estatísticas
-    const totalProfit = userProfits.reduce((sum, p) => sum + parseFloat(p.profit), 0);
+    // Calcular estatísticas (valores em USD; os lucros sem cotação ficam de fora)
+    const { totalUsd: totalProfit, totalBrl, valued, unvalued } = await valueProfits(userProfits);
     const profitsByAsset = {};
     const profitsByOperation = {};
     
-    userProfits.forEach(p => {
+    valued.forEach(p => {
       // Agrupar por ativo
       if (!profitsByAsset[p.asset]) {
         profitsByAsset[p.asset] = 0;
       }
-      profitsByAsset[p.asset] += parseFloat(p.profit);
+      profitsByAsset[p.asset] += p.usd;
       
       // Agrupar por operação
       if (!profitsByOperation[p.operation]) {
         profitsByOperation[p.operation] = 0;
       }
-      profitsByOperation[p.operation] += parseFloat(p.profit);
+      profitsByOperation[p.operation] += p.usd;
     });
     
     // Obter informações do usuário
@@ -129,7 +158,8 @@ async function sendDailyReport(userId) {
           <h1>Relatório Diário de Lucros - QuickFundHub</h1>
           <p><strong>Data:</strong> ${date}</p>
           <p><strong>Total de Operações:</strong> ${userProfits.length}</p>
-          <p><strong>Lucro Total:</strong> <span class="highlight">$${totalProfit.toFixed(2)}</span></p>
+          <p><strong>Lucro Total:</strong> <span class="highlight">$${totalProfit.toFixed(2)}</span> (R$ ${totalBrl.toFixed(2)})</p>
+          ${unvalued > 0 ? `<p><strong>Operações sem cotação:</strong> ${unvalued}</p>` : ''}
           
           <h2>Lucros por Ativo</h2>
           <table>
@@ -217,31 +247,31 @@ async function sendWeeklyReport(userId) {
     const profits = JSON.parse(fs.readFileSync(profitsDbFile));
     const userProfits = profits.filter(p => p.userId === userId && p.timestamp >= oneWeekAgo);
     
-    // Calcular estatísticas
-    const totalProfit = userProfits.reduce((sum, p) => sum + parseFloat(p.profit), 0);
+    // Calcular estatísticas (valores em USD; os lucros sem cotação ficam de fora)
+    const { totalUsd: totalProfit, totalBrl, valued, unvalued } = await valueProfits(userProfits);
     const profitsByAsset = {};
     const profitsByOperation = {};
     const profitsByDay = {};
     
-    userProfits.forEach(p => {
+    valued.forEach(p => {
       // Agrupar por ativo
       if (!profitsByAsset[p.asset]) {
         profitsByAsset[p.asset] = 0;
       }
-      profitsByAsset[p.asset] += parseFloat(p.profit);
+      profitsByAsset[p.asset] += p.usd;
       
       // Agrupar por operação
       if (!profitsByOperation[p.operation]) {
         profitsByOperation[p.operation] = 0;
       }
-      profitsByOperation[p.operation] += parseFloat(p.profit);
+      profitsByOperation[p.operation] += p.usd;
       
       // Agrupar por dia
       const day = new Date(p.timestamp).toLocaleDateString('pt-BR');
       if (!profitsByDay[day]) {
         profitsByDay[day] = 0;
       }
-      profitsByDay[day] += parseFloat(p.profit);
+      profitsByDay[day] += p.usd;
     });
     
     // Obter informações do usuário
@@ -276,7 +306,8 @@ async function sendWeeklyReport(userId) {
           <h1>Relatório Semanal de Lucros - QuickFundHub</h1>
           <p><strong>Período:</strong> ${startDate} a ${endDate}</p>
           <p><strong>Total de Operações:</strong> ${userProfits.length}</p>
-          <p><strong>Lucro Total:</strong> <span class="highlight">$${totalProfit.toFixed(2)}</span></p>
+          <p><strong>Lucro Total:</strong> <span class="highlight">$${totalProfit.toFixed(2)}</span> (R$ ${totalBrl.toFixed(2)})</p>
+          ${unvalued > 0 ? `<p><strong>Operações sem cotação:</strong> ${unvalued}</p>` : ''}
           
           <h2>Lucros por Dia</h2>
           <table>
@@ -0,0 +1,694 @@
+/**
+ * Ciclo de vida das ordens do QuickFundHub
+ * Cada ordem enviada pelas estratégias passa por uma máquina de estados
+ * (new → acknowledged → partially_filled → filled/cancelled/rejected/expired), identificada
+ * por um clientOrderId próprio: reenviar o mesmo clientOrderId devolve a ordem já registrada
+ * em vez de criar outra na exchange. As ordens ficam gravadas antes do envio, para que na
+ * reinicialização as ordens abertas sejam conciliadas com as ordens e execuções da exchange.
+ * As mudanças de estado e as execuções são publicadas em orderEvents (profitTracker e livro-razão)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { withFileLock, writeFileAtomic } = require('./file-lock.cjs');
+
+const ORDER_STATES = {
+  NEW: 'new',
+  ACKNOWLEDGED: 'acknowledged',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+// Transições permitidas; os estados finais não têm saída
+const TRANSITIONS = {
+  [ORDER_STATES.NEW]: [
+    ORDER_STATES.ACKNOWLEDGED, ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED,
+    ORDER_STATES.CANCELLED, ORDER_STATES.REJECTED, ORDER_STATES.EXPIRED
+  ],
+  [ORDER_STATES.ACKNOWLEDGED]: [
+    ORDER_STATES.PARTIALLY_FILLED, ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.EXPIRED
+  ],
+  [ORDER_STATES.PARTIALLY_FILLED]: [ORDER_STATES.FILLED, ORDER_STATES.CANCELLED, ORDER_STATES.EXPIRED],
+  [ORDER_STATES.FILLED]: [],
+  [ORDER_STATES.CANCELLED]: [],
+  [ORDER_STATES.REJECTED]: [],
+  [ORDER_STATES.EXPIRED]: []
+};
+
+const FINAL_STATES = Object.keys(TRANSITIONS).filter(state => TRANSITIONS[state].length === 0);
+
+// Status normalizado dos adaptadores (exchangeAdapters.js) → estado da ordem
+const EXCHANGE_STATUS = {
+  new: ORDER_STATES.ACKNOWLEDGED,
+  partially_filled: ORDER_STATES.PARTIALLY_FILLED,
+  filled: ORDER_STATES.FILLED,
+  cancelled: ORDER_STATES.CANCELLED,
+  rejected: ORDER_STATES.REJECTED,
+  expired: ORDER_STATES.EXPIRED
+};
+
+const EVENTS = {
+  UPDATE: 'order:update',
+  FILL: 'order:fill',
+  CLOSED: 'order:closed'
+};
+
+// Resíduos de ponto flutuante abaixo disto são tratados como zero
+const EPSILON = 1e-12;
+
+const MAX_CLOSED_ORDERS = 5000;
+
+// Exchanges simuladas (modo paper e execuções simuladas das estratégias): não movimentam a carteira real
+const SIMULATED_EXCHANGES = ['paper', 'simulated'];
+
+// Canal único do processo: os consumidores assinam uma vez, qualquer que seja a instância
+const orderEvents = new EventEmitter();
+
+// Canal das ordens simuladas, fora do alcance dos consumidores das ordens reais (profitTracker)
+const paperOrderEvents = new EventEmitter();
+
+let defaultManager = null;
+let defaultPaperManager = null;
+
+function orderError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Gera um clientOrderId aceito por todas as exchanges suportadas
+ * (até 26 caracteres alfanuméricos e hífen, o limite mais curto é o da Gate.io)
+ */
+function generateClientOrderId() {
+  return `qfh-${crypto.randomBytes(10).toString('hex')}`;
+}
+
+const isFinal = (status) => FINAL_STATES.includes(status);
+
+// Cópia entregue aos consumidores dos eventos e às estratégias
+const snapshot = (order) => JSON.parse(JSON.stringify(order));
+
+// Falhas em que a exchange respondeu recusando a ordem (4xx); as demais podem ter chegado a ela
+const isExchangeRefusal = (error) => {
+  const status = error.response && error.response.status;
+  return status >= 400 && status < 500;
+};
+
+class OrderManager {
+  /**
+   * @param {Object} options - Opções do gerenciador
+   * @param {string} options.stateFile - Arquivo onde as ordens são persistidas (relido a cada
+   *   alteração, com a trava de file-lock.cjs, para que os workers e o serviço principal
+   *   compartilhem as mesmas ordens)
+   * @param {EventEmitter} options.events - Canal dos eventos (padrão: orderEvents)
+   * @param {Function} options.resolveExchange - async (nome) => adaptador com createOrder, cancelOrder,
+   *   fetchOrder, fetchOrderByClientId e fetchMyTrades (padrão: getExchangeAdapter de src/services/cex.js)
+   * @param {number} options.ttlMs - Validade das ordens abertas; vencida, a ordem é cancelada e expira (0 desativa)
+   * @param {number} options.ackTimeoutMs - Prazo para uma ordem sem confirmação da exchange ser dada como expirada
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    stateFile = null,
+    events = orderEvents,
+    resolveExchange = null,
+    ttlMs = parseInt(process.env.ORDER_TTL_MS || '0', 10),
+    ackTimeoutMs = parseInt(process.env.ORDER_ACK_TIMEOUT_MS || '60000', 10),
+    now = () => Date.now()
+  } = {}) {
+    this.stateFile = stateFile;
+    this.events = events;
+    this.resolveExchange = resolveExchange ||
+      (name => import('./src/services/cex.js').then(module => module.getExchangeAdapter(name)));
+    this.ttlMs = ttlMs;
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.now = now;
+    this.exchanges = new Map();
+    this.inFlight = new Map();
+    this.orders = {};
+    this.loadState();
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+    const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    this.orders = state.orders || {};
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    writeFileAtomic(this.stateFile, JSON.stringify({ orders: this.orders }, null, 2));
+  }
+
+  // Relê o arquivo, aplica a alteração, descarta as ordens encerradas mais antigas e grava de novo,
+  // com acesso exclusivo ao arquivo
+  update(change) {
+    if (!this.stateFile) return this.applyChange(change);
+    return withFileLock(this.stateFile, () => this.applyChange(change));
+  }
+
+  applyChange(change) {
+    this.loadState();
+    const result = change();
+    const closed = Object.values(this.orders)
+      .filter(order => isFinal(order.status))
+      .sort((a, b) => a.updatedAt - b.updatedAt);
+    closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_ORDERS))
+      .forEach(order => delete this.orders[order.clientOrderId]);
+    this.saveState();
+    return result;
+  }
+
+  /**
+   * Registra um adaptador para uma exchange (ex: a exchange simulada do modo paper)
+   * @param {string} name - Nome da exchange nas ordens
+   * @param {Object} adapter - { createOrder, cancelOrder?, fetchOrder?, fetchMyTrades? }
+   */
+  registerExchange(name, adapter) {
+    this.exchanges.set(name, adapter);
+  }
+
+  async getAdapter(name) {
+    if (!this.exchanges.has(name)) {
+      this.exchanges.set(name, await this.resolveExchange(name));
+    }
+    return this.exchanges.get(name);
+  }
+
+  /**
+   * Envia uma ordem à exchange; com um clientOrderId já conhecido devolve a ordem registrada
+   * sem reenviar (também quando o primeiro envio ainda está em andamento)
+   * @param {Object} params - { exchange, symbol, side, type, amount, price, strategy, userId, clientOrderId, ttlMs }
+   * @param {Object} options - { submit: async (order) => ordem no formato dos adaptadores, em vez do adaptador da exchange }
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async submitOrder(params, { submit = null } = {}) {
+    const clientOrderId = params.clientOrderId || generateClientOrderId();
+    if (this.inFlight.has(clientOrderId)) {
+      return this.inFlight.get(clientOrderId);
+    }
+
+    const pending = this._submit({ ...params, clientOrderId }, submit)
+      .finally(() => this.inFlight.delete(clientOrderId));
+    this.inFlight.set(clientOrderId, pending);
+    return pending;
+  }
+
+  async _submit(params, submit) {
+    const { clientOrderId } = params;
+    const existing = this.getOrder(clientOrderId);
+    if (existing) return existing;
+
+    if (!['buy', 'sell'].includes(params.side)) throw orderError(`Lado inválido: ${params.side}`);
+    if (!(params.amount > 0)) throw orderError('A quantidade deve ser maior que zero');
+
+    // Gravada antes do envio: se o processo cair, a reinicialização concilia a ordem
+    const createdAt = this.now();
+    const ttlMs = params.ttlMs !== undefined ? params.ttlMs : this.ttlMs;
+    const order = this.update(() => {
+      this.orders[clientOrderId] = {
+        clientOrderId,
+        exchangeOrderId: null,
+        exchange: params.exchange,
+        symbol: params.symbol,
+        side: params.side,
+        type: params.type || 'market',
+        amount: params.amount,
+        price: params.price || null,
+        strategy: params.strategy || 'manual',
+        userId: params.userId || null,
+        status: ORDER_STATES.NEW,
+        filled: 0,
+        remaining: params.amount,
+        averagePrice: null,
+        fees: {},
+        fills: [],
+        reason: null,
+        history: [{ status: ORDER_STATES.NEW, timestamp: createdAt, reason: null }],
+        createdAt,
+        updatedAt: createdAt,
+        expiresAt: ttlMs > 0 ? createdAt + ttlMs : null
+      };
+      return this.orders[clientOrderId];
+    });
+    this.emit(EVENTS.UPDATE, { order: snapshot(order), previousStatus: null });
+
+    const { side, type, symbol, amount, price } = order;
+    let exchangeOrder;
+    try {
+      exchangeOrder = submit
+        ? await submit(snapshot(order))
+        : await (await this.getAdapter(order.exchange)).createOrder({ symbol, side, type, amount, price, clientOrderId });
+    } catch (error) {
+      if (isExchangeRefusal(error)) {
+        return this.transition(clientOrderId, ORDER_STATES.REJECTED, error.message);
+      }
+      // Sem resposta: a ordem pode ter chegado à exchange; fica em new para a conciliação
+      console.error(`Erro ao enviar a ordem ${clientOrderId}:`, error.message);
+      return this.update(() => {
+        this.orders[clientOrderId].lastError = error.message;
+        return snapshot(this.orders[clientOrderId]);
+      });
+    }
+
+    return this.applyExchangeOrder(clientOrderId, exchangeOrder);
+  }
+
+  /**
+   * Aplica o estado informado pela exchange: confirmação, execuções e encerramento
+   * Execuções novas são buscadas em fetchMyTrades; a parte executada sem execução correspondente
+   * (adaptador sem fetchMyTrades ou exchange simulada) vira uma execução sintética
+   * @param {string} clientOrderId - ID da ordem
+   * @param {Object} exchangeOrder - Ordem no formato dos adaptadores ({ id, status, filled, price, averagePrice, fee, reason })
+   * @param {Array} trades - Execuções já buscadas na exchange (opcional)
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async applyExchangeOrder(clientOrderId, exchangeOrder, trades = null) {
+    let order = this.getOrder(clientOrderId);
+    if (!order) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+
+    if (exchangeOrder.id && !order.exchangeOrderId) {
+      order = this.update(() => {
+        this.orders[clientOrderId].exchangeOrderId = String(exchangeOrder.id);
+        return snapshot(this.orders[clientOrderId]);
+      });
+    }
+
+    let status = EXCHANGE_STATUS[exchangeOrder.status] || ORDER_STATES.ACKNOWLEDGED;
+    if (status === ORDER_STATES.REJECTED) {
+      if (order.status === ORDER_STATES.NEW) {
+        return this.transition(clientOrderId, ORDER_STATES.REJECTED, exchangeOrder.reason || 'Recusada pela exchange');
+      }
+      // Recusa depois da confirmação: a exchange encerrou a ordem
+      status = ORDER_STATES.CANCELLED;
+    }
+    if (order.status === ORDER_STATES.NEW) {
+      order = this.transition(clientOrderId, ORDER_STATES.ACKNOWLEDGED);
+    }
+
+    const exchangeFilled = parseFloat(exchangeOrder.filled) || 0;
+    if (exchangeFilled - order.filled > EPSILON) {
+      const orderTrades = trades || await this.fetchOrderTrades(order);
+      for (const trade of orderTrades) {
+        order = this.recordFill(clientOrderId, {
+          id: trade.id,
+          price: trade.price,
+          amount: trade.amount,
+          fee: trade.fee,
+          feeAsset: trade.feeAsset,
+          timestamp: trade.timestamp
+        });
+      }
+
+      const missing = exchangeFilled - order.filled;
+      if (missing > EPSILON) {
+        const fee = exchangeOrder.fee || {};
+        order = this.recordFill(clientOrderId, {
+          id: `${order.exchangeOrderId || clientOrderId}:${exchangeFilled}`,
+          price: exchangeOrder.averagePrice || exchangeOrder.price || order.price,
+          amount: missing,
+          fee: fee.amount || 0,
+          feeAsset: fee.asset || null,
+          timestamp: exchangeOrder.timestamp || this.now()
+        });
+      }
+    }
+
+    if (!isFinal(order.status) && isFinal(status) && status !== ORDER_STATES.FILLED) {
+      order = this.transition(clientOrderId, status, exchangeOrder.reason || null);
+    }
+    return order;
+  }
+
+  async fetchOrderTrades(order) {
+    if (!order.exchangeOrderId) return [];
+    try {
+      const adapter = await this.getAdapter(order.exchange);
+      if (!adapter.fetchMyTrades) return [];
+      const trades = await adapter.fetchMyTrades(order.symbol, order.createdAt);
+      return trades.filter(trade => String(trade.orderId) === order.exchangeOrderId);
+    } catch (error) {
+      console.error(`Erro ao buscar as execuções da ordem ${order.clientOrderId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Muda o estado de uma ordem; transições fora da máquina de estados são recusadas
+   * @param {string} clientOrderId - ID da ordem
+   * @param {string} status - Novo estado
+   * @param {string} reason - Motivo (rejeição, cancelamento, expiração)
+   * @returns {Object} - Ordem gerenciada
+   */
+  transition(clientOrderId, status, reason = null) {
+    let previousStatus = null;
+    const order = this.update(() => {
+      const current = this.orders[clientOrderId];
+      if (!current) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+      if (current.status === status) return snapshot(current);
+      if (!TRANSITIONS[current.status].includes(status)) {
+        throw orderError(`Transição inválida da ordem ${clientOrderId}: ${current.status} → ${status}`, 409);
+      }
+
+      previousStatus = current.status;
+      const timestamp = this.now();
+      current.status = status;
+      current.reason = reason || current.reason;
+      current.updatedAt = timestamp;
+      current.history.push({ status, timestamp, reason });
+      return snapshot(current);
+    });
+
+    if (previousStatus) this.emitTransition(order, previousStatus);
+    return order;
+  }
+
+  /**
+   * Registra uma execução; a mesma execução (mesmo id) aplicada de novo é ignorada
+   * @param {string} clientOrderId - ID da ordem
+   * @param {Object} fill - { id, price, amount, fee, feeAsset, timestamp }
+   * @returns {Object} - Ordem gerenciada
+   */
+  recordFill(clientOrderId, fill) {
+    let previousStatus = null;
+    let applied = null;
+    const order = this.update(() => {
+      const current = this.orders[clientOrderId];
+      if (!current) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+
+      const id = String(fill.id || `${clientOrderId}:${current.fills.length + 1}`);
+      if (current.fills.some(existing => existing.id === id)) return snapshot(current);
+
+      const amount = Math.min(parseFloat(fill.amount) || 0, current.remaining);
+      if (amount <= EPSILON) return snapshot(current);
+
+      const status = current.remaining - amount > EPSILON ? ORDER_STATES.PARTIALLY_FILLED : ORDER_STATES.FILLED;
+      if (status !== current.status && !TRANSITIONS[current.status].includes(status)) {
+        throw orderError(`Execução recebida para a ordem ${clientOrderId} em ${current.status}`, 409);
+      }
+
+      const price = parseFloat(fill.price) || current.price || 0;
+      const fee = parseFloat(fill.fee) || 0;
+      const feeAsset = fill.feeAsset || current.symbol.split('/')[1] || null;
+      const timestamp = fill.timestamp || this.now();
+      applied = { id, price, amount, fee, feeAsset, timestamp };
+
+      current.averagePrice = ((current.averagePrice || 0) * current.filled + price * amount) / (current.filled + amount);
+      current.filled += amount;
+      current.remaining = Math.max(0, current.amount - current.filled);
+      if (fee > 0 && feeAsset) current.fees[feeAsset] = (current.fees[feeAsset] || 0) + fee;
+      current.fills.push(applied);
+      current.updatedAt = this.now();
+
+      if (status !== current.status) {
+        previousStatus = current.status;
+        current.status = status;
+        current.history.push({ status, timestamp: current.updatedAt, reason: null });
+      }
+      return snapshot(current);
+    });
+
+    if (applied) this.emit(EVENTS.FILL, { order, fill: applied });
+    if (previousStatus) this.emitTransition(order, previousStatus);
+    return order;
+  }
+
+  /**
+   * Cancela uma ordem aberta na exchange; a parte já executada continua registrada
+   * @param {string} clientOrderId - ID da ordem
+   * @param {string} reason - Motivo do cancelamento
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async cancelOrder(clientOrderId, reason = 'Cancelada') {
+    return this.closeOrder(clientOrderId, ORDER_STATES.CANCELLED, reason);
+  }
+
+  /**
+   * Cancela na exchange uma ordem com a validade vencida e a registra como expirada
+   * @param {string} clientOrderId - ID da ordem
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async expireOrder(clientOrderId) {
+    return this.closeOrder(clientOrderId, ORDER_STATES.EXPIRED, 'Validade da ordem vencida');
+  }
+
+  async closeOrder(clientOrderId, status, reason) {
+    const order = this.getOrder(clientOrderId);
+    if (!order) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+    if (isFinal(order.status)) return order;
+
+    if (order.exchangeOrderId) {
+      const adapter = await this.getAdapter(order.exchange);
+      if (adapter.cancelOrder) {
+        const exchangeOrder = await adapter.cancelOrder(order.exchangeOrderId, order.symbol);
+        // A ordem pode ter sido executada antes do cancelamento chegar
+        const updated = await this.applyExchangeOrder(clientOrderId, {
+          ...exchangeOrder,
+          status: exchangeOrder.status === 'cancelled' ? status : exchangeOrder.status,
+          reason
+        });
+        if (isFinal(updated.status)) return updated;
+      }
+    }
+    return this.transition(clientOrderId, status, reason);
+  }
+
+  /**
+   * Atualiza uma ordem aberta com o estado atual na exchange
+   * @param {string} clientOrderId - ID da ordem
+   * @returns {Promise<Object>} - Ordem gerenciada
+   */
+  async syncOrder(clientOrderId) {
+    const order = this.getOrder(clientOrderId);
+    if (!order) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+    if (isFinal(order.status) || !order.exchangeOrderId) return order;
+
+    const adapter = await this.getAdapter(order.exchange);
+    if (!adapter.fetchOrder) return order;
+    const exchangeOrder = await adapter.fetchOrder(order.exchangeOrderId, order.symbol);
+    return this.applyExchangeOrder(clientOrderId, exchangeOrder);
+  }
+
+  /**
+   * Aguarda a ordem chegar a um estado final consultando a exchange; vencido o prazo, cancela o restante
+   * @param {string} clientOrderId - ID da ordem
+   * @param {Object} options - { timeoutMs, pollIntervalMs, reason: motivo do cancelamento }
+   * @returns {Promise<Object>} - Ordem encerrada (ou a última conhecida, se o cancelamento falhar)
+   */
+  async awaitFinal(clientOrderId, { timeoutMs, pollIntervalMs = 250, reason = 'Ordem não executada no prazo' } = {}) {
+    const deadline = this.now() + timeoutMs;
+    let order = this.getOrder(clientOrderId);
+    if (!order) throw orderError(`Ordem não encontrada: ${clientOrderId}`, 404);
+
+    while (!isFinal(order.status)) {
+      if (this.now() >= deadline) {
+        try {
+          return await this.cancelOrder(clientOrderId, reason);
+        } catch (error) {
+          console.error(`Erro ao cancelar a ordem ${clientOrderId}:`, error);
+          return this.getOrder(clientOrderId);
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+      try {
+        order = await this.syncOrder(clientOrderId);
+      } catch (error) {
+        console.warn(`Erro ao consultar a ordem ${clientOrderId}:`, error.message);
+        order = this.getOrder(clientOrderId);
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Procura na exchange, pelo clientOrderId, uma ordem que ficou sem o ID da exchange
+   * As exchanges simuladas sem essa consulta não guardam ordens fora do processo
+   * @param {Object} order - Ordem gerenciada
+   * @returns {Promise<Object|null>} - Ordem da exchange, ou null se a exchange não a conhece
+   */
+  async findExchangeOrder(order) {
+    const simulated = SIMULATED_EXCHANGES.includes(order.exchange);
+    if (simulated && !this.exchanges.has(order.exchange)) return null;
+    const adapter = await this.getAdapter(order.exchange);
+    if (!adapter.fetchOrderByClientId) {
+      if (simulated) return null;
+      throw orderError(`A ${order.exchange} não permite consultar a ordem ${order.clientOrderId} pelo clientOrderId`, 409);
+    }
+    return adapter.fetchOrderByClientId(order.clientOrderId, order.symbol, order.createdAt);
+  }
+
+  /**
+   * Concilia as ordens abertas com a exchange (na inicialização e periodicamente):
+   * aplica execuções e encerramentos ocorridos com o processo parado, procura pelo clientOrderId
+   * as ordens sem confirmação da exchange após ackTimeoutMs (expiradas só se a exchange não as
+   * conhecer; falhas na consulta mantêm a ordem aberta) e cancela as ordens vencidas
+   * @returns {Promise<Object>} - { checked, updated, expired, errors: [{ clientOrderId, error }] }
+   */
+  async reconcile() {
+    this.loadState();
+    const open = Object.values(this.orders).filter(order => !isFinal(order.status));
+    const result = { checked: open.length, updated: 0, expired: 0, errors: [] };
+
+    for (const order of open) {
+      try {
+        let current;
+        if (order.exchangeOrderId) {
+          current = await this.syncOrder(order.clientOrderId);
+        } else {
+          // Sem o ID da exchange (o envio ficou sem resposta): a ordem pode ter chegado a ela
+          if (this.now() - order.createdAt < this.ackTimeoutMs || this.inFlight.has(order.clientOrderId)) continue;
+          const exchangeOrder = await this.findExchangeOrder(order);
+          if (!exchangeOrder) {
+            // A estratégia pode reenviá-la com outro clientOrderId
+            this.transition(order.clientOrderId, ORDER_STATES.EXPIRED, 'Ordem não encontrada na exchange');
+            result.expired++;
+            continue;
+          }
+          current = await this.applyExchangeOrder(order.clientOrderId, exchangeOrder);
+        }
+
+        if (!isFinal(current.status) && current.expiresAt && this.now() >= current.expiresAt) {
+          current = await this.expireOrder(order.clientOrderId);
+          if (current.status === ORDER_STATES.EXPIRED) result.expired++;
+        }
+        if (current.status !== order.status || current.filled !== order.filled) result.updated++;
+      } catch (error) {
+        result.errors.push({ clientOrderId: order.clientOrderId, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} clientOrderId - ID da ordem
+   * @returns {Object|null} - Ordem gerenciada
+   */
+  getOrder(clientOrderId) {
+    this.loadState();
+    const order = this.orders[clientOrderId];
+    return order ? snapshot(order) : null;
+  }
+
+  /**
+   * Lista as ordens, mais recentes primeiro
+   * @param {Object} filter - { status, strategy, exchange, open, limit }
+   * @returns {Array} - Ordens gerenciadas
+   */
+  getOrders({ status, strategy, exchange, open, limit = 50 } = {}) {
+    this.loadState();
+    return Object.values(this.orders)
+      .filter(order =>
+        (!status || order.status === status) &&
+        (!strategy || order.strategy === strategy) &&
+        (!exchange || order.exchange === exchange) &&
+        (open === undefined || isFinal(order.status) !== open))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(snapshot);
+  }
+
+  emitTransition(order, previousStatus) {
+    this.emit(EVENTS.UPDATE, { order, previousStatus });
+    if (isFinal(order.status)) this.emit(EVENTS.CLOSED, { order });
+  }
+
+  // Falhas dos consumidores não interrompem o fluxo da ordem
+  emit(event, payload) {
+    try {
+      this.events.emit(event, payload);
+    } catch (error) {
+      console.error(`Erro em um consumidor de ${event}:`, error);
+    }
+  }
+}
+
+/**
+ * Lança no livro-razão as taxas das execuções das ordens (despesa de negociação)
+ * As ordens das exchanges simuladas ficam de fora
+ * @param {Ledger} ledger - Livro-razão (ledger.cjs)
+ * @param {EventEmitter} events - Canal dos eventos (padrão: orderEvents)
+ * @returns {Function} - Remove a assinatura
+ */
+function attachLedger(ledger, events = orderEvents) {
+  const onFill = ({ order, fill }) => {
+    if (SIMULATED_EXCHANGES.includes(order.exchange) || !(fill.fee > 0) || !fill.feeAsset) return;
+    ledger.recordTradingFee({
+      userId: order.userId || undefined,
+      strategy: order.strategy,
+      asset: fill.feeAsset,
+      amount: String(fill.fee),
+      source: 'orderManager',
+      reference: order.clientOrderId,
+      entryKey: `orderManager:${order.clientOrderId}:${fill.id}:fee`
+    }).catch(error => console.error('Erro ao lançar a taxa da execução no livro-razão:', error));
+  };
+  events.on(EVENTS.FILL, onFill);
+  return () => events.off(EVENTS.FILL, onFill);
+}
+
+/**
+ * Retorna o gerenciador de ordens do processo (persistido em ORDER_MANAGER_FILE ou
+ * data/orders.json, compartilhado com os workers)
+ * @returns {OrderManager} - Gerenciador de ordens
+ */
+function getOrderManager() {
+  if (!defaultManager) {
+    defaultManager = new OrderManager({
+      stateFile: process.env.ORDER_MANAGER_FILE || path.join(__dirname, 'data', 'orders.json')
+    });
+  }
+  return defaultManager;
+}
+
+/**
+ * Define o gerenciador de ordens do processo
+ * @param {OrderManager} manager - Gerenciador configurado
+ */
+function setOrderManager(manager) {
+  defaultManager = manager;
+}
+
+/**
+ * Retorna o gerenciador das ordens simuladas (modo paper e simulações das estratégias),
+ * persistido em PAPER_ORDER_MANAGER_FILE ou data/paper-orders.json e com os eventos em
+ * paperOrderEvents, para não se misturar às ordens reais
+ * @returns {OrderManager} - Gerenciador das ordens simuladas
+ */
+function getPaperOrderManager() {
+  if (!defaultPaperManager) {
+    defaultPaperManager = new OrderManager({
+      stateFile: process.env.PAPER_ORDER_MANAGER_FILE || path.join(__dirname, 'data', 'paper-orders.json'),
+      events: paperOrderEvents
+    });
+  }
+  return defaultPaperManager;
+}
+
+/**
+ * Define o gerenciador das ordens simuladas do processo
+ * @param {OrderManager} manager - Gerenciador configurado
+ */
+function setPaperOrderManager(manager) {
+  defaultPaperManager = manager;
+}
+
+module.exports = {
+  ORDER_STATES,
+  FINAL_STATES,
+  EVENTS,
+  SIMULATED_EXCHANGES,
+  orderEvents,
+  paperOrderEvents,
+  generateClientOrderId,
+  OrderManager,
+  attachLedger,
+  getOrderManager,
+  setOrderManager,
+  getPaperOrderManager,
+  setPaperOrderManager
+};
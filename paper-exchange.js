@@ -0,0 +1,526 @@
+/**
+ * Exchange simulada para o modo paper trading do serviço em segundo plano
+ * Mantém saldos por ativo, executa ordens contra order books gravados,
+ * cobra taxas e permite execuções parciais sem movimentar fundos reais
+ *
+ * Books gravados em subdiretórios (ex: binance/BTC-USDT.json) simulam exchanges distintas (venues),
+ * para as estratégias que compram numa e vendem noutra; os saldos são uma conta única, como se
+ * os fundos já estivessem distribuídos entre as exchanges
+ *
+ * Ordens limitadas não executadas por inteiro ficam abertas no book, com o saldo reservado, e são
+ * executadas quando os snapshots seguintes cruzam o preço limite (matchOpenOrders)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./file-lock.cjs');
+
+// Ordens encerradas mantidas no estado; as mais antigas vão para <arquivo>.orders.jsonl
+const MAX_RECENT_ORDERS = 500;
+
+// Resíduos de ponto flutuante abaixo disto são tratados como zero
+const EPSILON = 1e-12;
+
+/**
+ * Converte "USDT:10000,BTC:0.5" em { USDT: 10000, BTC: 0.5 }
+ * @param {string} value - Lista de saldos no formato ATIVO:QUANTIDADE
+ * @returns {Object} - Saldos por ativo
+ */
+function parseBalances(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((balances, entry) => {
+      const [asset, amount] = entry.split(':');
+      balances[asset.trim().toUpperCase()] = parseFloat(amount);
+      return balances;
+    }, {});
+}
+
+// Chave do book de um par numa exchange simulada (sem venue: book único do par)
+const bookKey = (symbol, venue = null) => (venue ? `${venue}:${symbol}` : symbol);
+
+/**
+ * Classe da exchange simulada
+ */
+class SimulatedExchange {
+  /**
+   * @param {Object} options - Configuração da exchange simulada
+   * @param {Object} options.initialBalances - Saldos iniciais por ativo
+   * @param {number} options.feeRate - Taxa cobrada sobre o valor executado
+   * @param {string} options.orderBooksDir - Diretório com os order books gravados
+   * @param {string} options.stateFile - Arquivo onde saldos e ordens são persistidos
+   * @param {Function} options.onFill - Chamado com (ordem, execução) a cada execução, inclusive das ordens abertas
+   * @param {number} options.maxRecentOrders - Ordens encerradas mantidas no estado antes do arquivo morto
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    initialBalances = {},
+    feeRate = 0.001,
+    orderBooksDir,
+    stateFile,
+    onFill = null,
+    maxRecentOrders = MAX_RECENT_ORDERS,
+    now = () => Date.now()
+  }) {
+    this.feeRate = feeRate;
+    this.orderBooksDir = orderBooksDir;
+    this.stateFile = stateFile;
+    this.onFill = onFill;
+    this.maxRecentOrders = maxRecentOrders;
+    this.now = now;
+    this.orderBooks = {};
+    this.consumedLiquidity = {};
+    this.startedAt = now();
+    this.state = {
+      balances: { ...initialBalances },
+      initialBalances: { ...initialBalances },
+      reserved: {},
+      openOrders: [],
+      recentOrders: [],
+      orderCount: 0,
+      totalFees: {}
+    };
+
+    this.loadState();
+    this.loadOrderBooks();
+  }
+
+  get archiveFile() {
+    return this.stateFile ? `${this.stateFile}.orders.jsonl` : null;
+  }
+
+  /**
+   * Carrega saldos e ordens persistidos anteriormente
+   * Estados gravados antes das ordens abertas (lista única em orders) mantêm as mais recentes
+   */
+  loadState() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      const { orders, ...state } = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      this.state = {
+        reserved: {},
+        openOrders: [],
+        recentOrders: orders ? orders.slice(-this.maxRecentOrders) : [],
+        orderCount: orders ? orders.length : 0,
+        ...state
+      };
+    }
+  }
+
+  /**
+   * Persiste saldos, ordens abertas e as encerradas mais recentes em disco
+   */
+  saveState() {
+    if (this.stateFile) {
+      writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  /**
+   * Carrega os order books gravados ({ symbol, snapshots: [{ timestamp, bids, asks }] })
+   * Cada arquivo JSON do diretório corresponde a um par (ex: BTC-USDT.json); nos subdiretórios,
+   * o nome do subdiretório é a exchange simulada do book (ex: kraken/BTC-USDT.json)
+   */
+  loadOrderBooks() {
+    if (!this.orderBooksDir || !fs.existsSync(this.orderBooksDir)) {
+      return;
+    }
+
+    for (const entry of fs.readdirSync(this.orderBooksDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        const venueDir = path.join(this.orderBooksDir, entry.name);
+        for (const file of fs.readdirSync(venueDir)) {
+          if (file.endsWith('.json')) this._loadOrderBookFile(path.join(venueDir, file), entry.name);
+        }
+      } else if (entry.name.endsWith('.json')) {
+        this._loadOrderBookFile(path.join(this.orderBooksDir, entry.name), null);
+      }
+    }
+  }
+
+  _loadOrderBookFile(file, venue) {
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const symbol = recorded.symbol || path.basename(file).replace('.json', '').replace('-', '/');
+    const snapshots = recorded.snapshots || [{ timestamp: 0, bids: recorded.bids, asks: recorded.asks }];
+
+    this.orderBooks[bookKey(symbol, venue)] = snapshots
+      .map(snapshot => ({
+        timestamp: snapshot.timestamp,
+        bids: snapshot.bids.map(([price, size]) => [parseFloat(price), parseFloat(size)]),
+        asks: snapshot.asks.map(([price, size]) => [parseFloat(price), parseFloat(size)])
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Exchanges simuladas com book gravado para o par
+   * @param {string} symbol - Par negociado (ex: BTC/USDT)
+   * @returns {Array<string>} - Nomes dos subdiretórios com o par
+   */
+  listVenues(symbol) {
+    return Object.keys(this.orderBooks)
+      .filter(key => key.endsWith(`:${symbol}`))
+      .map(key => key.slice(0, -(symbol.length + 1)));
+  }
+
+  /**
+   * Retorna o snapshot do order book correspondente ao instante atual
+   * A gravação é reproduzida em tempo real a partir do início da exchange, em loop
+   * @param {string} symbol - Par negociado (ex: BTC/USDT)
+   * @param {string} venue - Exchange simulada (opcional)
+   * @returns {Object} - { index, snapshot }
+   */
+  _currentSnapshot(symbol, venue = null) {
+    const snapshots = this.orderBooks[bookKey(symbol, venue)];
+    if (!snapshots || snapshots.length === 0) {
+      throw new Error(`Nenhum order book gravado para ${symbol}${venue ? ` em ${venue}` : ''}`);
+    }
+
+    const first = snapshots[0].timestamp;
+    const duration = snapshots[snapshots.length - 1].timestamp - first;
+    const offset = duration > 0 ? (this.now() - this.startedAt) % (duration + 1) : 0;
+
+    let index = 0;
+    while (index + 1 < snapshots.length && snapshots[index + 1].timestamp - first <= offset) {
+      index++;
+    }
+
+    return { index, snapshot: snapshots[index] };
+  }
+
+  /**
+   * Retorna o order book atual descontando a liquidez já consumida por ordens simuladas
+   * @param {string} symbol - Par negociado
+   * @param {string} venue - Exchange simulada (opcional)
+   * @returns {Object} - { symbol, venue, timestamp, bids, asks }
+   */
+  fetchOrderBook(symbol, venue = null) {
+    const { index, snapshot } = this._currentSnapshot(symbol, venue);
+    const key = bookKey(symbol, venue);
+    const available = (side, levels) => levels
+      .map(([price, size]) => [price, size - (this.consumedLiquidity[`${key}:${index}:${side}:${price}`] || 0)])
+      .filter(([, size]) => size > 0);
+
+    return {
+      symbol,
+      venue,
+      timestamp: this.now(),
+      bids: available('bids', snapshot.bids),
+      asks: available('asks', snapshot.asks)
+    };
+  }
+
+  /**
+   * Retorna melhor compra, melhor venda e preço médio do par
+   * @param {string} symbol - Par negociado
+   * @param {string} venue - Exchange simulada (opcional)
+   * @returns {Object} - Ticker simulado
+   */
+  fetchTicker(symbol, venue = null) {
+    const book = this.fetchOrderBook(symbol, venue);
+    const bid = book.bids.length ? book.bids[0][0] : null;
+    const ask = book.asks.length ? book.asks[0][0] : null;
+
+    return {
+      symbol,
+      venue,
+      bid,
+      ask,
+      last: bid !== null && ask !== null ? (bid + ask) / 2 : (bid || ask),
+      timestamp: book.timestamp
+    };
+  }
+
+  fetchBalances() {
+    return { ...this.state.balances };
+  }
+
+  // Saldo livre: o reservado pelas ordens limitadas abertas não entra
+  available(asset) {
+    return (this.state.balances[asset] || 0) - (this.state.reserved[asset] || 0);
+  }
+
+  _reserve(asset, amount) {
+    this.state.reserved[asset] = Math.max(0, (this.state.reserved[asset] || 0) + amount);
+    if (this.state.reserved[asset] <= EPSILON) delete this.state.reserved[asset];
+  }
+
+  /**
+   * Cria uma ordem a mercado ou limitada
+   * A mercado, o que o book não executa na hora é cancelado; limitada, o restante fica aberto com
+   * o saldo reservado (compra: quantidade x preço limite + taxa; venda: quantidade)
+   * @param {Object} order - Dados da ordem
+   * @param {string} order.symbol - Par negociado (ex: BTC/USDT)
+   * @param {string} order.side - buy ou sell
+   * @param {string} order.type - market ou limit
+   * @param {number} order.amount - Quantidade do ativo base
+   * @param {number} order.price - Preço limite (apenas para limit)
+   * @param {string} order.strategy - Estratégia que originou a ordem
+   * @param {string} order.venue - Exchange simulada cujo book executa a ordem (opcional)
+   * @returns {Object} - Ordem com status new (aberta), partially_filled, filled, cancelled ou rejected
+   */
+  createOrder({ symbol, side, type = 'market', amount, price, strategy, clientOrderId, venue = null }) {
+    const [base, quote] = symbol.split('/');
+    const order = {
+      id: `paper-${this.now()}-${this.state.orderCount + 1}`,
+      clientOrderId: clientOrderId || null,
+      symbol,
+      venue,
+      side,
+      type,
+      amount,
+      price: price || null,
+      strategy: strategy || 'manual',
+      filled: 0,
+      remaining: amount,
+      cost: 0,
+      averagePrice: null,
+      fee: { asset: quote, amount: 0 },
+      fills: [],
+      status: 'new',
+      reason: null,
+      timestamp: this.now()
+    };
+    this.state.orderCount++;
+
+    const reject = (reason) => {
+      order.status = 'rejected';
+      order.reason = reason;
+      this._close(order);
+      this.saveState();
+      return order;
+    };
+
+    if (!base || !quote) return reject(`Par inválido: ${symbol}`);
+    if (side !== 'buy' && side !== 'sell') return reject(`Lado inválido: ${side}`);
+    if (!(amount > 0)) return reject('A quantidade deve ser maior que zero');
+    if (type === 'limit' && !(price > 0)) return reject('Ordem limitada exige preço');
+
+    if (type === 'limit') {
+      // A ordem limitada reserva o saldo inteiro no preço limite
+      const required = side === 'buy' ? amount * price * (1 + this.feeRate) : amount;
+      const asset = side === 'buy' ? quote : base;
+      if (this.available(asset) + EPSILON < required) return reject(`Saldo insuficiente de ${asset}`);
+      this._reserve(asset, required);
+    }
+
+    this._matchOrder(order);
+
+    if (order.filled <= 0 && type !== 'limit') {
+      return reject(side === 'sell' && this.available(base) <= 0 ? `Saldo insuficiente de ${base}` :
+        side === 'buy' && this.available(quote) <= 0 ? `Saldo insuficiente de ${quote}` :
+          'Sem liquidez no preço solicitado');
+    }
+
+    if (order.remaining <= EPSILON) {
+      order.status = 'filled';
+      this._close(order);
+    } else if (type === 'limit') {
+      order.status = order.filled > 0 ? 'partially_filled' : 'new';
+      this.state.openOrders.push(order);
+    } else {
+      order.status = 'cancelled';
+      order.reason = 'Restante sem liquidez no book simulado';
+      this._close(order);
+    }
+
+    this.saveState();
+    return { ...order };
+  }
+
+  /**
+   * Executa a ordem contra o book atual, até o preço limite, e registra a liquidez consumida
+   * @private
+   */
+  _matchOrder(order) {
+    const { symbol, side, type, price, venue } = order;
+    const [base, quote] = symbol.split('/');
+    const { index } = this._currentSnapshot(symbol, venue);
+    const book = this.fetchOrderBook(symbol, venue);
+    const levels = side === 'buy' ? book.asks : book.bids;
+    const bookSide = side === 'buy' ? 'asks' : 'bids';
+    order.snapshotIndex = index;
+
+    // A ordem limitada usa o próprio saldo reservado; a mercado, o saldo livre
+    const reservedOwn = type === 'limit'
+      ? (side === 'buy' ? order.remaining * price * (1 + this.feeRate) : order.remaining)
+      : 0;
+    let quoteAvailable = side === 'buy' ? (type === 'limit' ? reservedOwn : this.available(quote)) : 0;
+    let remaining = side === 'sell' && type !== 'limit' ? Math.min(order.remaining, this.available(base)) : order.remaining;
+    const fills = [];
+
+    for (const [levelPrice, levelSize] of levels) {
+      if (remaining <= EPSILON) break;
+      if (type === 'limit' && (side === 'buy' ? levelPrice > price : levelPrice < price)) break;
+
+      let take = Math.min(remaining, levelSize);
+      if (side === 'buy') {
+        // Limitar a compra ao saldo disponível, já considerando a taxa
+        take = Math.min(take, quoteAvailable / (levelPrice * (1 + this.feeRate)));
+        if (take <= 0) break;
+        quoteAvailable -= take * levelPrice * (1 + this.feeRate);
+      }
+
+      fills.push({ price: levelPrice, amount: take });
+      remaining -= take;
+    }
+
+    for (const fill of fills) {
+      // Marcar a liquidez consumida para as próximas ordens no mesmo snapshot
+      const key = `${bookKey(symbol, venue)}:${index}:${bookSide}:${fill.price}`;
+      this.consumedLiquidity[key] = (this.consumedLiquidity[key] || 0) + fill.amount;
+
+      const cost = fill.price * fill.amount;
+      const fee = cost * this.feeRate;
+      if (type === 'limit') {
+        // Libera a reserva da parte executada (a diferença para o preço limite volta ao saldo livre)
+        this._reserve(side === 'buy' ? quote : base, -(side === 'buy' ? fill.amount * price * (1 + this.feeRate) : fill.amount));
+      }
+      if (side === 'buy') {
+        this.state.balances[quote] = (this.state.balances[quote] || 0) - cost - fee;
+        this.state.balances[base] = (this.state.balances[base] || 0) + fill.amount;
+      } else {
+        this.state.balances[base] = (this.state.balances[base] || 0) - fill.amount;
+        this.state.balances[quote] = (this.state.balances[quote] || 0) + cost - fee;
+      }
+      this.state.totalFees[quote] = (this.state.totalFees[quote] || 0) + fee;
+
+      order.filled += fill.amount;
+      order.remaining = Math.max(0, order.amount - order.filled);
+      order.cost += cost;
+      order.averagePrice = order.cost / order.filled;
+      order.fee.amount += fee;
+      const recorded = { id: `${order.id}:${order.fills.length + 1}`, price: fill.price, amount: fill.amount, fee, timestamp: this.now() };
+      order.fills.push(recorded);
+      if (this.onFill) this.onFill({ ...order }, recorded);
+    }
+
+    return fills.length;
+  }
+
+  /**
+   * Executa as ordens limitadas abertas contra os snapshots do book que mudaram desde a última tentativa
+   * @returns {Array<Object>} - Ordens com novas execuções
+   */
+  matchOpenOrders() {
+    const updated = [];
+    for (const order of [...this.state.openOrders]) {
+      const { index } = this._currentSnapshot(order.symbol, order.venue);
+      if (index === order.snapshotIndex) continue;
+      if (this._matchOrder(order) === 0) continue;
+
+      if (order.remaining <= EPSILON) {
+        order.status = 'filled';
+        this.state.openOrders = this.state.openOrders.filter(open => open.id !== order.id);
+        this._close(order);
+      } else {
+        order.status = 'partially_filled';
+      }
+      updated.push({ ...order });
+    }
+
+    if (updated.length > 0) this.saveState();
+    return updated;
+  }
+
+  /**
+   * Consulta uma ordem (aberta ou entre as encerradas mantidas no estado)
+   * @param {string} id - ID da ordem simulada
+   * @returns {Object} - Ordem
+   */
+  fetchOrder(id) {
+    const order = this.state.openOrders.find(item => item.id === id) ||
+      this.state.recentOrders.find(item => item.id === id);
+    if (!order) {
+      throw new Error(`Ordem simulada não encontrada: ${id}`);
+    }
+    return { ...order };
+  }
+
+  /**
+   * Execuções das ordens mantidas no estado, no formato de fetchMyTrades dos adaptadores
+   * @param {string} symbol - Par negociado
+   * @param {number} since - Timestamp inicial em milissegundos
+   * @returns {Array<Object>} - { id, orderId, price, amount, fee, feeAsset, timestamp }
+   */
+  fetchMyTrades(symbol, since = 0) {
+    return [...this.state.recentOrders, ...this.state.openOrders]
+      .filter(order => order.symbol === symbol)
+      .flatMap(order => (order.fills || []).map(fill => ({ ...fill, orderId: order.id, feeAsset: order.fee.asset })))
+      .filter(trade => trade.timestamp >= since);
+  }
+
+  fetchOpenOrders(symbol = null) {
+    return this.state.openOrders.filter(order => !symbol || order.symbol === symbol).map(order => ({ ...order }));
+  }
+
+  /**
+   * Cancela uma ordem limitada aberta e libera o saldo reservado do restante
+   * @param {string} id - ID da ordem simulada
+   * @returns {Object} - Ordem cancelada (ou a ordem já encerrada)
+   */
+  cancelOrder(id) {
+    const order = this.state.openOrders.find(item => item.id === id);
+    if (!order) return this.fetchOrder(id);
+
+    const [base, quote] = order.symbol.split('/');
+    this._reserve(order.side === 'buy' ? quote : base,
+      -(order.side === 'buy' ? order.remaining * order.price * (1 + this.feeRate) : order.remaining));
+    order.status = 'cancelled';
+    order.reason = 'Cancelada';
+    this.state.openOrders = this.state.openOrders.filter(open => open.id !== id);
+    this._close(order);
+    this.saveState();
+    return { ...order };
+  }
+
+  // Encerradas entram nas recentes; o excedente vai para o arquivo morto
+  _close(order) {
+    this.state.recentOrders.push(order);
+    const overflow = this.state.recentOrders.length - this.maxRecentOrders;
+    if (overflow > 0) {
+      const archived = this.state.recentOrders.splice(0, overflow);
+      if (this.archiveFile) {
+        fs.appendFileSync(this.archiveFile, archived.map(item => `${JSON.stringify(item)}\n`).join(''));
+      }
+    }
+  }
+
+  /**
+   * Resume saldos atuais, saldos iniciais e o valor da carteira no ativo de cotação
+   * @param {string} valuationAsset - Ativo usado para avaliar a carteira (ex: USDT)
+   * @returns {Object} - Resumo da conta simulada
+   */
+  getSummary(valuationAsset = 'USDT') {
+    const valueOf = (balances) => Object.entries(balances).reduce((total, [asset, amount]) => {
+      if (asset === valuationAsset) return total + amount;
+      const symbol = `${asset}/${valuationAsset}`;
+      const venue = this.orderBooks[symbol] ? null : this.listVenues(symbol)[0];
+      if (venue === undefined) return total;
+      return total + amount * this.fetchTicker(symbol, venue).last;
+    }, 0);
+
+    return {
+      balances: this.fetchBalances(),
+      initialBalances: { ...this.state.initialBalances },
+      valuationAsset,
+      equity: valueOf(this.state.balances),
+      initialEquity: valueOf(this.state.initialBalances),
+      reserved: { ...this.state.reserved },
+      totalFees: { ...this.state.totalFees },
+      orders: this.state.orderCount,
+      openOrders: this.state.openOrders.length,
+      symbols: [...new Set(Object.keys(this.orderBooks).map(key => key.split(':').pop()))],
+      venues: [...new Set(Object.keys(this.orderBooks).filter(key => key.includes(':')).map(key => key.split(':')[0]))]
+    };
+  }
+
+  getOrders(limit = 50) {
+    return [...this.state.recentOrders, ...this.state.openOrders]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-limit);
+  }
+}
+
+module.exports = { SimulatedExchange, parseBalances };
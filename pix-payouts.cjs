@@ -0,0 +1,714 @@
+/**
+ * Pagamentos PIX do QuickFundHub
+ * Cada usuário cadastra as chaves PIX (CPF, e-mail, telefone ou chave aleatória) que podem
+ * receber pagamentos; os valores em criptomoeda são convertidos para BRL e enviados por um
+ * provedor de pagamentos PIX plugável. Cada pagamento tem uma chave de idempotência, e a
+ * confirmação chega pelo webhook do provedor (ou por consulta de status)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const { STEP_UP_ACTIONS, verifyStepUpToken } = require('./two-factor.cjs');
+
+const PIX_KEY_TYPES = {
+  CPF: 'cpf',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  RANDOM: 'random'
+};
+
+const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+// Estados finais não voltam a ser alterados por webhooks ou consultas atrasadas
+const FINAL_STATUSES = [PAYOUT_STATUS.CONFIRMED, PAYOUT_STATUS.FAILED];
+
+const RATE_CACHE_MS = 60 * 1000;
+
+// IDs da CoinGecko usados na conversão para BRL
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  BTC: 'bitcoin',
+  USDT: 'tether',
+  USDC: 'usd-coin',
+  BNB: 'binancecoin',
+  MATIC: 'matic-network'
+};
+
+const providerFactories = new Map();
+const rateCache = new Map();
+let defaultService = null;
+
+function pixError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Indica se o erro do provedor é uma recusa explícita do pagamento (4xx, exceto timeout e
+ * limite de requisições). Nos demais erros (rede, timeout, 5xx) o provedor pode ter recebido
+ * o pedido, então o pagamento não pode ser dado como falho
+ * @param {Error} error - Erro lançado pelo provedor
+ * @returns {boolean} - Se o pagamento foi recusado
+ */
+function isProviderRefusal(error) {
+  const status = error.status || (error.response && error.response.status);
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+}
+
+function isValidCpf(digits) {
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) return false;
+
+  const checkDigit = (length) => {
+    const sum = digits
+      .slice(0, length)
+      .split('')
+      .reduce((total, digit, index) => total + Number(digit) * (length + 1 - index), 0);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === Number(digits[9]) && checkDigit(10) === Number(digits[10]);
+}
+
+/**
+ * Normaliza uma chave PIX no formato usado pelo DICT
+ * (CPF só com dígitos, e-mail em minúsculas, telefone +55DDNNNNNNNNN, chave aleatória em minúsculas)
+ * @param {string} type - Tipo da chave (PIX_KEY_TYPES)
+ * @param {string} key - Chave informada pelo usuário
+ * @returns {string} - Chave normalizada
+ */
+function normalizePixKey(type, key) {
+  const value = String(key || '').trim();
+  switch (type) {
+    case PIX_KEY_TYPES.CPF:
+      return value.replace(/[.\-\s]/g, '');
+    case PIX_KEY_TYPES.EMAIL:
+    case PIX_KEY_TYPES.RANDOM:
+      return value.toLowerCase();
+    case PIX_KEY_TYPES.PHONE: {
+      const digits = value.replace(/\D/g, '');
+      return `+${digits.startsWith('55') && digits.length > 11 ? digits : `55${digits}`}`;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Valida o formato de uma chave PIX (já normalizada)
+ * @param {string} type - Tipo da chave (PIX_KEY_TYPES)
+ * @param {string} key - Chave normalizada
+ * @returns {boolean} - Se a chave é válida para o tipo
+ */
+function validatePixKey(type, key) {
+  switch (type) {
+    case PIX_KEY_TYPES.CPF:
+      return isValidCpf(key);
+    case PIX_KEY_TYPES.EMAIL:
+      return key.length <= 77 && /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(key);
+    case PIX_KEY_TYPES.PHONE:
+      return /^\+55[1-9]{2}9?\d{8}$/.test(key);
+    case PIX_KEY_TYPES.RANDOM:
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(key);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Oculta parte da chave PIX para exibição e logs
+ * @param {string} type - Tipo da chave
+ * @param {string} key - Chave normalizada
+ * @returns {string} - Chave mascarada
+ */
+function maskPixKey(type, key) {
+  switch (type) {
+    case PIX_KEY_TYPES.CPF:
+      return `***.${key.slice(3, 6)}.${key.slice(6, 9)}-**`;
+    case PIX_KEY_TYPES.EMAIL: {
+      const [user, domain] = key.split('@');
+      return `${user.slice(0, 2)}***@${domain}`;
+    }
+    case PIX_KEY_TYPES.PHONE:
+      return `${key.slice(0, 5)}*****${key.slice(-4)}`;
+    default:
+      return `${key.slice(0, 8)}-****-****-****-${key.slice(-4)}`;
+  }
+}
+
+/**
+ * Cotação de um ativo em BRL
+ * Com PIX_<ATIVO>_BRL_RATE definido usa a cotação fixa (testes offline); caso contrário
+ * consulta a CoinGecko, com cache de um minuto
+ * @param {string} asset - Símbolo do ativo
+ * @returns {Promise<number>} - Preço do ativo em BRL
+ */
+async function fetchBrlRate(asset = 'ETH') {
+  const symbol = asset.toUpperCase();
+  const fixedRate = process.env[`PIX_${symbol}_BRL_RATE`];
+  if (fixedRate) return parseFloat(fixedRate);
+
+  const cached = rateCache.get(symbol);
+  if (cached && Date.now() - cached.timestamp < RATE_CACHE_MS) return cached.rate;
+
+  const id = COINGECKO_IDS[symbol];
+  if (!id) throw pixError(`Cotação em BRL indisponível para ${symbol}`);
+
+  const response = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
+    params: { ids: id, vs_currencies: 'brl' },
+    timeout: 10000
+  });
+  const rate = response.data[id] && response.data[id].brl;
+  if (!rate) throw pixError(`Cotação em BRL indisponível para ${symbol}`, 502);
+
+  rateCache.set(symbol, { rate, timestamp: Date.now() });
+  return rate;
+}
+
+const signWebhook = (secret, rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+/**
+ * Provedor PIX local para testes offline
+ * Os pagamentos ficam em memória e são confirmados depois de settleMs; a confirmação é
+ * entregue como um webhook assinado ao handler registrado pelo serviço
+ *
+ * Interface de um provedor:
+ *   createPayout({ idempotencyKey, amountBrl, pixKey, keyType, description }) => { providerPayoutId, status }
+ *     (recusas lançam um erro com status 4xx; os demais erros deixam o pagamento pendente)
+ *   findPayoutByIdempotencyKey(idempotencyKey) => { providerPayoutId, status, endToEndId, failureReason } ou null
+ *   getPayoutStatus(providerPayoutId) => { status, endToEndId, failureReason }
+ *   parseWebhook({ headers, rawBody }) => { providerPayoutId, idempotencyKey, status, endToEndId, failureReason }
+ */
+class MockPixProvider {
+  /**
+   * @param {Object} options - Opções do provedor
+   * @param {number} options.settleMs - Tempo até o pagamento ser confirmado
+   * @param {string} options.webhookSecret - Segredo da assinatura dos webhooks
+   */
+  constructor({
+    settleMs = parseInt(process.env.PIX_MOCK_SETTLE_MS || '2000', 10),
+    // Sem PIX_WEBHOOK_SECRET o segredo é aleatório: os webhooks simulados são entregues no próprio processo
+    webhookSecret = process.env.PIX_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')
+  } = {}) {
+    this.name = 'mock';
+    this.settleMs = settleMs;
+    this.webhookSecret = webhookSecret;
+    this.payouts = new Map();
+    this.webhookHandler = null;
+  }
+
+  setWebhookHandler(handler) {
+    this.webhookHandler = handler;
+  }
+
+  async createPayout({ idempotencyKey, amountBrl, pixKey, keyType }) {
+    // O provedor também respeita a chave de idempotência
+    const existing = [...this.payouts.values()].find(payout => payout.idempotencyKey === idempotencyKey);
+    if (existing) {
+      return { providerPayoutId: existing.id, status: existing.status };
+    }
+
+    const payout = {
+      id: `mock-${crypto.randomUUID()}`,
+      idempotencyKey,
+      amountBrl,
+      pixKey,
+      keyType,
+      status: PAYOUT_STATUS.PROCESSING,
+      endToEndId: null,
+      createdAt: Date.now()
+    };
+    this.payouts.set(payout.id, payout);
+
+    const timer = setTimeout(() => this.settle(payout.id), this.settleMs);
+    if (timer.unref) timer.unref();
+
+    return { providerPayoutId: payout.id, status: payout.status };
+  }
+
+  async findPayoutByIdempotencyKey(idempotencyKey) {
+    const payout = [...this.payouts.values()].find(existing => existing.idempotencyKey === idempotencyKey);
+    if (!payout) return null;
+    return { providerPayoutId: payout.id, status: payout.status, endToEndId: payout.endToEndId, failureReason: null };
+  }
+
+  settle(providerPayoutId) {
+    const payout = this.payouts.get(providerPayoutId);
+    if (!payout || payout.status !== PAYOUT_STATUS.PROCESSING) return;
+
+    payout.status = PAYOUT_STATUS.CONFIRMED;
+    payout.endToEndId = `E00000000${new Date().toISOString().replace(/\D/g, '').slice(0, 12)}${crypto.randomBytes(6).toString('hex')}`;
+
+    if (this.webhookHandler) {
+      Promise.resolve(this.webhookHandler(this.createWebhookRequest(providerPayoutId)))
+        .catch(error => console.error('Erro ao entregar webhook PIX simulado:', error));
+    }
+  }
+
+  /**
+   * Monta a requisição de webhook assinada de um pagamento (usada também em testes manuais)
+   * @param {string} providerPayoutId - ID do pagamento no provedor
+   * @returns {Object} - { headers, rawBody }
+   */
+  createWebhookRequest(providerPayoutId) {
+    const payout = this.payouts.get(providerPayoutId);
+    const rawBody = Buffer.from(JSON.stringify({
+      payoutId: payout.id,
+      idempotencyKey: payout.idempotencyKey,
+      status: payout.status,
+      endToEndId: payout.endToEndId
+    }));
+    return { headers: { 'x-pix-signature': signWebhook(this.webhookSecret, rawBody) }, rawBody };
+  }
+
+  async getPayoutStatus(providerPayoutId) {
+    const payout = this.payouts.get(providerPayoutId);
+    if (!payout) throw pixError('Pagamento não encontrado no provedor PIX', 404);
+    return { status: payout.status, endToEndId: payout.endToEndId, failureReason: null };
+  }
+
+  parseWebhook({ headers = {}, rawBody }) {
+    const signature = String(headers['x-pix-signature'] || '');
+    const expected = signWebhook(this.webhookSecret, rawBody);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw pixError('Assinatura do webhook PIX inválida', 401);
+    }
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return {
+      providerPayoutId: payload.payoutId,
+      idempotencyKey: payload.idempotencyKey || null,
+      status: payload.status,
+      endToEndId: payload.endToEndId || null,
+      failureReason: payload.failureReason || null
+    };
+  }
+}
+
+/**
+ * Registra um provedor PIX (ex: integração com o PSP contratado)
+ * @param {string} name - Nome usado em PIX_PROVIDER
+ * @param {Function} factory - (options) => provedor com a interface de MockPixProvider
+ */
+function registerPixProvider(name, factory) {
+  providerFactories.set(name, factory);
+}
+
+/**
+ * Cria o provedor configurado em PIX_PROVIDER (padrão: mock)
+ * Fora do provedor mock exige PIX_WEBHOOK_SECRET (ou options.webhookSecret)
+ * @param {string} name - Nome do provedor
+ * @param {Object} options - Opções repassadas à fábrica
+ * @returns {Object} - Provedor PIX
+ */
+function createPixProvider(name = process.env.PIX_PROVIDER || 'mock', options = {}) {
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Provedor PIX não registrado: ${name}`);
+  }
+  // Os webhooks de um provedor real confirmam pagamentos; sem segredo qualquer um poderia forjá-los
+  if (name !== 'mock' && !options.webhookSecret && !process.env.PIX_WEBHOOK_SECRET) {
+    throw new Error(`PIX_WEBHOOK_SECRET é obrigatório para o provedor PIX ${name}`);
+  }
+  return factory(options);
+}
+
+registerPixProvider('mock', options => new MockPixProvider(options));
+
+/**
+ * Serviço de pagamentos PIX
+ */
+class PixPayoutService {
+  /**
+   * @param {Object} options - Opções do serviço
+   * @param {Object} options.store - Armazenamento (FileAuthStore ou MysqlAuthStore)
+   * @param {Object} options.provider - Provedor PIX (padrão: PIX_PROVIDER)
+   * @param {Function} options.rateProvider - Cotação em BRL (asset) => Promise<number>
+   * @param {number} options.minPayoutBrl - Valor mínimo de um pagamento
+   */
+  constructor({
+    store,
+    provider = createPixProvider(),
+    rateProvider = fetchBrlRate,
+    minPayoutBrl = parseFloat(process.env.PIX_MIN_PAYOUT_BRL || '1')
+  }) {
+    this.store = store;
+    this.provider = provider;
+    this.rateProvider = rateProvider;
+    this.minPayoutBrl = minPayoutBrl;
+
+    if (typeof provider.setWebhookHandler === 'function') {
+      provider.setWebhookHandler(request => this.handleWebhook(request));
+    }
+  }
+
+  toPublicKey(entry) {
+    return {
+      id: entry.id,
+      type: entry.type,
+      label: entry.label,
+      key: maskPixKey(entry.type, entry.key),
+      createdAt: entry.createdAt
+    };
+  }
+
+  toPublicPayout(payout) {
+    return {
+      ...payout,
+      key: maskPixKey(payout.keyType, payout.key)
+    };
+  }
+
+  /**
+   * Lista as chaves PIX cadastradas do usuário (mascaradas)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Array>} - Chaves PIX
+   */
+  async listPixKeys(userId) {
+    const entries = await this.store.listPixKeys(userId);
+    return entries.filter(entry => !entry.removedAt).map(entry => this.toPublicKey(entry));
+  }
+
+  /**
+   * Cadastra uma chave PIX de destino
+   * @param {string} userId - ID do usuário
+   * @param {Object} data - { type, key, label }
+   * @returns {Promise<Object>} - Chave cadastrada (mascarada)
+   */
+  async addPixKey(userId, { type, key, label } = {}) {
+    const normalizedType = String(type || '').toLowerCase();
+    if (!Object.values(PIX_KEY_TYPES).includes(normalizedType)) {
+      throw pixError(`Tipo de chave PIX inválido. Use um dos tipos: ${Object.values(PIX_KEY_TYPES).join(', ')}.`);
+    }
+
+    const normalizedKey = normalizePixKey(normalizedType, key);
+    if (!validatePixKey(normalizedType, normalizedKey)) {
+      throw pixError(`Chave PIX inválida para o tipo ${normalizedType}.`);
+    }
+
+    const entries = await this.store.listPixKeys(userId);
+    if (entries.some(entry => !entry.removedAt && entry.type === normalizedType && entry.key === normalizedKey)) {
+      throw pixError('Esta chave PIX já está cadastrada.', 409);
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      type: normalizedType,
+      key: normalizedKey,
+      label: String(label || '').trim() || maskPixKey(normalizedType, normalizedKey),
+      createdAt: new Date().toISOString(),
+      removedAt: null
+    };
+
+    await this.store.createPixKey(entry);
+    return this.toPublicKey(entry);
+  }
+
+  async removePixKey(userId, pixKeyId) {
+    const entries = await this.store.listPixKeys(userId);
+    const entry = entries.find(existing => existing.id === pixKeyId && !existing.removedAt);
+    if (!entry) throw pixError('Chave PIX não encontrada.', 404);
+
+    await this.store.updatePixKey(entry.id, { removedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Envia um pagamento PIX para uma chave cadastrada do usuário
+   * Repetir a chamada com a mesma chave de idempotência devolve o pagamento já criado; se o
+   * envio anterior ficou sem resposta do provedor, o pagamento é consultado no provedor pela
+   * chave de idempotência (e reenviado com a mesma chave se o provedor não o recebeu)
+   * @param {Object} params - Parâmetros do pagamento
+   * @param {string} params.userId - ID do usuário
+   * @param {string} params.pixKeyId - Chave PIX de destino (padrão: a primeira cadastrada)
+   * @param {string|number} params.amount - Valor no ativo de origem (ex: ETH)
+   * @param {string} params.asset - Ativo de origem
+   * @param {string} params.idempotencyKey - Chave de idempotência do pagamento
+   * @param {string} params.description - Descrição enviada ao provedor
+   * @returns {Promise<Object>} - Pagamento registrado
+   */
+  async createPayout({ userId, pixKeyId, amount, asset = 'ETH', idempotencyKey, description = 'QuickFundHub' }) {
+    if (!idempotencyKey) throw pixError('Informe a chave de idempotência do pagamento.');
+
+    const existing = await this.store.findPixPayoutByIdempotencyKey(idempotencyKey);
+    if (existing) {
+      if (existing.userId !== userId) throw pixError('Chave de idempotência já utilizada.', 409);
+      if (existing.status === PAYOUT_STATUS.PENDING && !existing.providerPayoutId) {
+        return this.toPublicPayout(await this.submitPayout(existing, { description, lookup: true }));
+      }
+      return this.toPublicPayout(existing);
+    }
+
+    const keys = (await this.store.listPixKeys(userId)).filter(entry => !entry.removedAt);
+    const pixKey = pixKeyId ? keys.find(entry => entry.id === pixKeyId) : keys[0];
+    if (!pixKey) throw pixError('Nenhuma chave PIX de destino cadastrada.', 404);
+
+    const value = parseFloat(amount);
+    if (!(value > 0)) throw pixError('O valor do pagamento deve ser maior que zero.');
+
+    const rate = await this.rateProvider(asset);
+    const amountBrl = Math.floor(value * rate * 100) / 100;
+    if (amountBrl < this.minPayoutBrl) {
+      throw pixError(`Valor de R$ ${amountBrl.toFixed(2)} abaixo do mínimo de R$ ${this.minPayoutBrl.toFixed(2)}.`);
+    }
+
+    const now = new Date().toISOString();
+    const payout = {
+      id: crypto.randomUUID(),
+      userId,
+      pixKeyId: pixKey.id,
+      keyType: pixKey.type,
+      key: pixKey.key,
+      amount: String(amount),
+      asset,
+      rate,
+      amountBrl,
+      idempotencyKey,
+      provider: this.provider.name,
+      providerPayoutId: null,
+      status: PAYOUT_STATUS.PENDING,
+      endToEndId: null,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.store.createPixPayout(payout);
+
+    const submitted = await this.submitPayout(payout, { description });
+    console.log(`Pagamento PIX de R$ ${amountBrl.toFixed(2)} enviado para ${maskPixKey(pixKey.type, pixKey.key)}`);
+    return this.toPublicPayout(submitted);
+  }
+
+  /**
+   * Envia ao provedor um pagamento registrado
+   * Só uma recusa explícita do provedor marca o pagamento como falho; sem resposta (timeout,
+   * erro de rede) ele continua pendente e o erro é repassado para quem chamou
+   * @param {Object} payout - Pagamento registrado (pendente, sem ID do provedor)
+   * @param {Object} options - { description, lookup: consultar antes pela chave de idempotência }
+   * @returns {Promise<Object>} - Pagamento atualizado
+   */
+  async submitPayout(payout, { description, lookup = false }) {
+    try {
+      const found = lookup && typeof this.provider.findPayoutByIdempotencyKey === 'function'
+        ? await this.provider.findPayoutByIdempotencyKey(payout.idempotencyKey)
+        : null;
+      const result = found || await this.provider.createPayout({
+        idempotencyKey: payout.idempotencyKey,
+        amountBrl: payout.amountBrl,
+        pixKey: payout.key,
+        keyType: payout.keyType,
+        description
+      });
+
+      const changes = {
+        providerPayoutId: result.providerPayoutId,
+        status: result.status,
+        endToEndId: result.endToEndId || null,
+        failureReason: result.failureReason || null
+      };
+      if (result.status === PAYOUT_STATUS.CONFIRMED) changes.confirmedAt = new Date().toISOString();
+      return this.updatePayout(payout.id, changes);
+    } catch (error) {
+      if (isProviderRefusal(error)) {
+        await this.updatePayout(payout.id, { status: PAYOUT_STATUS.FAILED, failureReason: error.message });
+      } else {
+        await this.updatePayout(payout.id, { failureReason: `Sem resposta do provedor PIX: ${error.message}` });
+      }
+      throw error;
+    }
+  }
+
+  async updatePayout(id, changes) {
+    return this.store.updatePixPayout(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  async applyProviderStatus(payout, { status, endToEndId, failureReason }) {
+    if (FINAL_STATUSES.includes(payout.status) || status === payout.status) return payout;
+
+    const changes = { status, endToEndId: endToEndId || payout.endToEndId, failureReason: failureReason || null };
+    if (status === PAYOUT_STATUS.CONFIRMED) changes.confirmedAt = new Date().toISOString();
+    return this.updatePayout(payout.id, changes);
+  }
+
+  /**
+   * Consulta no provedor o status de um pagamento ainda não finalizado
+   * @param {string} userId - ID do usuário
+   * @param {string} payoutId - ID do pagamento
+   * @returns {Promise<Object>} - Pagamento atualizado
+   */
+  async refreshPayoutStatus(userId, payoutId) {
+    const payout = await this.store.findPixPayout(payoutId);
+    if (!payout || payout.userId !== userId) throw pixError('Pagamento não encontrado.', 404);
+    if (!payout.providerPayoutId || FINAL_STATUSES.includes(payout.status)) return this.toPublicPayout(payout);
+
+    const status = await this.provider.getPayoutStatus(payout.providerPayoutId);
+    return this.toPublicPayout(await this.applyProviderStatus(payout, status));
+  }
+
+  /**
+   * Processa o webhook de confirmação do provedor (assinatura verificada pelo provedor)
+   * @param {Object} request - { headers, rawBody }
+   * @returns {Promise<Object>} - Pagamento atualizado
+   */
+  async handleWebhook(request) {
+    const event = this.provider.parseWebhook(request);
+    let payout = await this.store.findPixPayoutByProviderId(this.provider.name, event.providerPayoutId);
+    // Envio que ficou sem resposta do provedor: o pagamento ainda não tem o ID do provedor
+    if (!payout && event.idempotencyKey) {
+      const pending = await this.store.findPixPayoutByIdempotencyKey(event.idempotencyKey);
+      if (pending && pending.provider === this.provider.name && !pending.providerPayoutId) {
+        payout = await this.updatePayout(pending.id, { providerPayoutId: event.providerPayoutId });
+      }
+    }
+    if (!payout) throw pixError('Pagamento não encontrado.', 404);
+
+    const updated = await this.applyProviderStatus(payout, event);
+    console.log(`Webhook PIX: pagamento ${payout.id} ${updated.status}`);
+    return this.toPublicPayout(updated);
+  }
+
+  async listPayouts(userId) {
+    const payouts = await this.store.listPixPayouts(userId);
+    return payouts
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(payout => this.toPublicPayout(payout));
+  }
+}
+
+/**
+ * Define o serviço usado pelos pagamentos automáticos (profitTracker)
+ * @param {PixPayoutService} service - Serviço configurado pelo serviço em segundo plano
+ */
+function setPixPayoutService(service) {
+  defaultService = service;
+}
+
+/**
+ * Retorna o serviço de pagamentos PIX; sem configuração explícita usa o mesmo
+ * armazenamento da autenticação (REPOSITORY_DRIVER / data/auth.json)
+ * @returns {PixPayoutService} - Serviço de pagamentos PIX
+ */
+function getPixPayoutService() {
+  if (!defaultService) {
+    // Carregado sob demanda para não abrir o pool MySQL quando o serviço é injetado
+    const { createAuthStore } = require('./auth-store');
+    defaultService = new PixPayoutService({
+      store: createAuthStore({
+        driver: process.env.REPOSITORY_DRIVER,
+        file: path.join(__dirname, 'data', 'auth.json')
+      })
+    });
+  }
+  return defaultService;
+}
+
+/**
+ * Cria as rotas de chaves e pagamentos PIX (montadas após o middleware authenticate)
+ * Cadastro e remoção de chaves exigem o token de confirmação da ação 'payout-destination'
+ * @param {PixPayoutService} service - Serviço de pagamentos PIX
+ * @param {Object} options - Opções
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Rotas PIX
+ */
+function createPixRouter(service, { logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro nos pagamentos PIX: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  const confirmChange = async (req) => {
+    const { userId } = await verifyStepUpToken((req.body || {}).stepUpToken, STEP_UP_ACTIONS.PAYOUT_DESTINATION);
+    if (userId !== req.auth.userId) {
+      throw pixError('Confirmação em dois fatores emitida para outro usuário.', 403);
+    }
+  };
+
+  router.get('/keys', handle(async (req, res) => {
+    res.json({ keys: await service.listPixKeys(req.auth.userId) });
+  }));
+
+  router.post('/keys', handle(async (req, res) => {
+    await confirmChange(req);
+    const { type, key, label } = req.body || {};
+    const entry = await service.addPixKey(req.auth.userId, { type, key, label });
+    logMessage(`Chave PIX cadastrada para o usuário ${req.auth.userId} (${entry.type})`);
+    res.status(201).json({ key: entry });
+  }));
+
+  router.delete('/keys/:id', handle(async (req, res) => {
+    await confirmChange(req);
+    await service.removePixKey(req.auth.userId, req.params.id);
+    logMessage(`Chave PIX removida para o usuário ${req.auth.userId}`);
+    res.json({ success: true });
+  }));
+
+  router.get('/payouts', handle(async (req, res) => {
+    res.json({ payouts: await service.listPayouts(req.auth.userId) });
+  }));
+
+  router.get('/payouts/:id', handle(async (req, res) => {
+    res.json({ payout: await service.refreshPayoutStatus(req.auth.userId, req.params.id) });
+  }));
+
+  return router;
+}
+
+/**
+ * Cria a rota pública do webhook do provedor PIX (autenticada pela assinatura do provedor)
+ * Exige req.rawBody, preenchido pelo bodyParser.json do serviço
+ * @param {PixPayoutService} service - Serviço de pagamentos PIX
+ * @param {Object} options - Opções
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {Function} - Handler do Express
+ */
+function createPixWebhookHandler(service, { logMessage = console.log } = {}) {
+  return async (req, res) => {
+    try {
+      const payout = await service.handleWebhook({ headers: req.headers, rawBody: req.rawBody || Buffer.from('') });
+      res.json({ received: true, status: payout.status });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro no webhook PIX: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+}
+
+module.exports = {
+  PIX_KEY_TYPES,
+  PAYOUT_STATUS,
+  isValidCpf,
+  normalizePixKey,
+  validatePixKey,
+  maskPixKey,
+  fetchBrlRate,
+  isProviderRefusal,
+  MockPixProvider,
+  registerPixProvider,
+  createPixProvider,
+  PixPayoutService,
+  setPixPayoutService,
+  getPixPayoutService,
+  createPixRouter,
+  createPixWebhookHandler
+};
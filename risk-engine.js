@@ -0,0 +1,303 @@
+/**
+ * Motor de risco central do QuickFundHub
+ * Toda ordem das estratégias passa pelas verificações pré-negociação deste módulo:
+ * kill switch, limite de perda diária, alavancagem máxima, valor máximo por ordem
+ * e limites de exposição por ativo e por estratégia. As rejeições ficam registradas
+ * e aparecem em /api/status
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./file-lock.cjs');
+
+const MAX_REJECTIONS = 200;
+
+/**
+ * Converte "BTC:150000,ETH:100000" em { BTC: 150000, ETH: 100000 }
+ * @param {string} value - Lista de limites no formato CHAVE:VALOR
+ * @returns {Object} - Limites por chave
+ */
+function parseLimits(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((limits, entry) => {
+      const [key, limit] = entry.split(':');
+      limits[key.trim()] = parseFloat(limit);
+      return limits;
+    }, {});
+}
+
+/**
+ * Limites configurados no .env (valores em USD)
+ * @returns {Object} - Limites do motor de risco
+ */
+function loadLimitsFromEnv() {
+  return {
+    maxOrderNotional: parseFloat(process.env.RISK_MAX_ORDER_NOTIONAL || '250000'),
+    maxAssetExposure: parseFloat(process.env.RISK_MAX_ASSET_EXPOSURE || '500000'),
+    assetLimits: parseLimits(process.env.RISK_ASSET_LIMITS),
+    maxStrategyExposure: parseFloat(process.env.RISK_MAX_STRATEGY_EXPOSURE || '1000000'),
+    strategyLimits: parseLimits(process.env.RISK_STRATEGY_LIMITS),
+    dailyLossLimit: parseFloat(process.env.RISK_DAILY_LOSS_LIMIT || '5000'),
+    maxLeverage: parseFloat(process.env.RISK_MAX_LEVERAGE || '5')
+  };
+}
+
+function riskRejection(reasons, order) {
+  const error = new Error(`Ordem rejeitada pelo motor de risco: ${reasons.join('; ')}`);
+  error.status = 403;
+  error.code = 'RISK_REJECTED';
+  error.reasons = reasons;
+  error.order = order;
+  return error;
+}
+
+const today = (now) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * Motor de risco
+ */
+class RiskEngine {
+  /**
+   * @param {Object} options - Opções do motor
+   * @param {Object} options.limits - Limites (padrão: variáveis RISK_* do .env)
+   * @param {string} options.stateFile - Arquivo onde kill switch, perda diária e exposições são persistidos
+   * @param {Function} options.onEvent - Chamado com (tipo, dados) a cada rejeição ('rejection'), execução ('fill')
+   *   e resultado registrado ('pnl'); os workers usam para repassar os eventos ao processo pai
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({ limits = {}, stateFile = null, onEvent = null, now = () => Date.now() } = {}) {
+    this.limits = { ...loadLimitsFromEnv(), ...limits };
+    this.stateFile = stateFile;
+    this.onEvent = onEvent;
+    this.now = now;
+    this.exposures = { byAsset: {}, byStrategy: {} };
+    this.dailyPnl = { date: today(now()), realized: 0, byStrategy: {} };
+    this.killSwitch = {
+      active: process.env.RISK_KILL_SWITCH === 'true',
+      reason: process.env.RISK_KILL_SWITCH === 'true' ? 'Ativado por RISK_KILL_SWITCH' : null,
+      activatedAt: null
+    };
+    this.rejections = [];
+    this.stats = { checked: 0, approved: 0, rejected: 0 };
+
+    this.loadState();
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return;
+    const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    if (state.killSwitch && state.killSwitch.active) this.killSwitch = state.killSwitch;
+    if (state.dailyPnl && state.dailyPnl.date === this.dailyPnl.date) this.dailyPnl = state.dailyPnl;
+    // As posições abertas continuam valendo depois de reiniciar o serviço (não recomeçam a cada dia)
+    if (state.exposures) this.exposures = { byAsset: {}, byStrategy: {}, ...state.exposures };
+  }
+
+  saveState() {
+    if (!this.stateFile) return;
+    writeFileAtomic(this.stateFile, JSON.stringify({ killSwitch: this.killSwitch, dailyPnl: this.dailyPnl, exposures: this.exposures }, null, 2));
+  }
+
+  // A perda diária recomeça a cada dia (UTC)
+  rollDailyPnl() {
+    const date = today(this.now());
+    if (this.dailyPnl.date !== date) {
+      this.dailyPnl = { date, realized: 0, byStrategy: {} };
+    }
+  }
+
+  assetLimit(asset) {
+    return this.limits.assetLimits[asset] !== undefined ? this.limits.assetLimits[asset] : this.limits.maxAssetExposure;
+  }
+
+  strategyLimit(strategy) {
+    return this.limits.strategyLimits[strategy] !== undefined ? this.limits.strategyLimits[strategy] : this.limits.maxStrategyExposure;
+  }
+
+  /**
+   * Valor exposto de uma ordem em USD (positivo para compra/long, negativo para venda/short)
+   */
+  signedNotional({ side, amount, price, notional, leverage = 1 }) {
+    const value = notional !== undefined ? notional : amount * price * leverage;
+    return side === 'sell' ? -Math.abs(value) : Math.abs(value);
+  }
+
+  /**
+   * Executa as verificações pré-negociação de uma ordem
+   * @param {Object} order - { strategy, asset, side: buy|sell, amount, price, notional, leverage }
+   * @returns {Object} - { approved, reasons, notional }
+   */
+  checkOrder(order) {
+    this.rollDailyPnl();
+    const { strategy = 'manual', asset, leverage = 1 } = order;
+    const reasons = [];
+    const signed = this.signedNotional(order);
+    const notional = Math.abs(signed);
+
+    if (this.killSwitch.active) {
+      reasons.push(`Kill switch ativo${this.killSwitch.reason ? ` (${this.killSwitch.reason})` : ''}`);
+    }
+    if (this.dailyPnl.realized <= -this.limits.dailyLossLimit) {
+      reasons.push(`Limite de perda diária atingido (${this.dailyPnl.realized.toFixed(2)} USD)`);
+    }
+    if (!Number.isFinite(notional) || notional <= 0) {
+      reasons.push('Ordem sem quantidade ou preço válidos');
+    }
+    if (leverage > this.limits.maxLeverage) {
+      reasons.push(`Alavancagem ${leverage}x acima do máximo de ${this.limits.maxLeverage}x`);
+    }
+    if (notional > this.limits.maxOrderNotional) {
+      reasons.push(`Valor da ordem ${notional.toFixed(2)} USD acima do máximo de ${this.limits.maxOrderNotional} USD`);
+    }
+
+    const assetExposure = Math.abs((this.exposures.byAsset[asset] || 0) + signed);
+    if (assetExposure > this.assetLimit(asset)) {
+      reasons.push(`Exposição em ${asset} (${assetExposure.toFixed(2)} USD) acima do limite de ${this.assetLimit(asset)} USD`);
+    }
+
+    const strategyExposure = Math.abs((this.exposures.byStrategy[strategy] || 0) + signed);
+    if (strategyExposure > this.strategyLimit(strategy)) {
+      reasons.push(`Exposição da estratégia ${strategy} (${strategyExposure.toFixed(2)} USD) acima do limite de ${this.strategyLimit(strategy)} USD`);
+    }
+
+    this.stats.checked++;
+    if (reasons.length > 0) {
+      this.recordRejection({ strategy, asset, side: order.side, notional, reasons });
+      return { approved: false, reasons, notional };
+    }
+
+    this.stats.approved++;
+    return { approved: true, reasons, notional };
+  }
+
+  /**
+   * Igual a checkOrder, mas lança um erro (status 403, code RISK_REJECTED) se a ordem for rejeitada
+   */
+  assertOrder(order) {
+    const result = this.checkOrder(order);
+    if (!result.approved) throw riskRejection(result.reasons, order);
+    return result;
+  }
+
+  /**
+   * Registra uma rejeição (inclusive as reportadas pelos workers)
+   * @param {Object} rejection - { strategy, asset, side, notional, reasons }
+   */
+  recordRejection(rejection, { notify = true } = {}) {
+    const entry = { ...rejection, timestamp: rejection.timestamp || this.now() };
+    this.stats.rejected++;
+    this.rejections.push(entry);
+    if (this.rejections.length > MAX_REJECTIONS) this.rejections.shift();
+    console.warn(`[RISCO] Ordem rejeitada (${entry.strategy} ${entry.side || ''} ${entry.asset || ''}): ${entry.reasons.join('; ')}`);
+    if (notify && this.onEvent) this.onEvent('rejection', entry);
+  }
+
+  /**
+   * Atualiza a exposição após uma execução
+   * @param {Object} fill - { strategy, asset, side, amount, price, notional, leverage }
+   */
+  recordFill(fill, { notify = true } = {}) {
+    const { strategy = 'manual', asset } = fill;
+    const signed = this.signedNotional(fill);
+    if (notify && this.onEvent) this.onEvent('fill', { ...fill, strategy });
+    this.exposures.byAsset[asset] = (this.exposures.byAsset[asset] || 0) + signed;
+    this.exposures.byStrategy[strategy] = (this.exposures.byStrategy[strategy] || 0) + signed;
+    this.saveState();
+  }
+
+  /**
+   * Registra o resultado realizado de uma operação; ao atingir o limite de perda diária
+   * o kill switch é ativado
+   * @param {Object} result - { strategy, amount } (USD, negativo para prejuízo)
+   */
+  recordPnl({ strategy = 'manual', amount }, { notify = true } = {}) {
+    const value = parseFloat(amount);
+    if (!Number.isFinite(value)) return;
+    if (notify && this.onEvent) this.onEvent('pnl', { strategy, amount: value });
+
+    this.rollDailyPnl();
+    this.dailyPnl.realized += value;
+    this.dailyPnl.byStrategy[strategy] = (this.dailyPnl.byStrategy[strategy] || 0) + value;
+
+    if (this.dailyPnl.realized <= -this.limits.dailyLossLimit && !this.killSwitch.active) {
+      this.activateKillSwitch(`Limite de perda diária de ${this.limits.dailyLossLimit} USD atingido`);
+    } else {
+      this.saveState();
+    }
+  }
+
+  activateKillSwitch(reason = 'Ativado manualmente') {
+    this.killSwitch = { active: true, reason, activatedAt: new Date(this.now()).toISOString() };
+    console.warn(`[RISCO] Kill switch ativado: ${reason}`);
+    this.saveState();
+  }
+
+  deactivateKillSwitch() {
+    this.killSwitch = { active: false, reason: null, activatedAt: null };
+    console.log('[RISCO] Kill switch desativado');
+    this.saveState();
+  }
+
+  isKillSwitchActive() {
+    return this.killSwitch.active;
+  }
+
+  /**
+   * Estado compartilhado com os workers (kill switch e perda diária)
+   */
+  exportState() {
+    return { killSwitch: this.killSwitch, dailyPnl: this.dailyPnl, exposures: this.exposures };
+  }
+
+  importState(state = {}) {
+    if (state.killSwitch) this.killSwitch = state.killSwitch;
+    if (state.dailyPnl) this.dailyPnl = state.dailyPnl;
+    if (state.exposures) this.exposures = state.exposures;
+  }
+
+  /**
+   * Resumo para /api/status
+   * @param {number} limit - Quantidade de rejeições recentes
+   */
+  getStatus(limit = 20) {
+    this.rollDailyPnl();
+    return {
+      killSwitch: this.killSwitch,
+      limits: this.limits,
+      exposures: this.exposures,
+      dailyPnl: this.dailyPnl,
+      stats: this.stats,
+      recentRejections: this.rejections.slice(-limit).reverse()
+    };
+  }
+}
+
+let defaultEngine = null;
+
+/**
+ * Retorna o motor de risco do processo (compartilhado por todas as estratégias)
+ * @returns {RiskEngine} - Motor de risco
+ */
+function getRiskEngine() {
+  if (!defaultEngine) {
+    defaultEngine = new RiskEngine();
+  }
+  return defaultEngine;
+}
+
+/**
+ * Define o motor de risco do processo (o serviço em segundo plano usa um com estado persistido)
+ * @param {RiskEngine} engine - Motor de risco configurado
+ */
+function setRiskEngine(engine) {
+  defaultEngine = engine;
+}
+
+module.exports = {
+  RiskEngine,
+  getRiskEngine,
+  setRiskEngine,
+  parseLimits,
+  loadLimitsFromEnv
+};
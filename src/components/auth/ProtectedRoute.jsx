@@ -1,15 +1,30 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { Box, Spinner, Flex } from '@chakra-ui/react';
 
 // Componente para proteger rotas que requerem autenticação
 const ProtectedRoute = ({ children, requireSubscription = false }) => {
-  const { currentUser, loading, isSubscriptionActive } = useAuth();
+  const { currentUser, loading, isSubscriptionActive, verifySession } = useAuth();
   const location = useLocation();
+  const [verifying, setVerifying] = useState(true);
+
+  // Validar os tokens no servidor a cada navegação para uma rota protegida
+  useEffect(() => {
+    let active = true;
+    setVerifying(true);
+    verifySession()
+      .catch(err => console.error('Erro ao validar sessão:', err))
+      .finally(() => {
+        if (active) setVerifying(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [location.pathname]);
 
   // Exibir spinner enquanto verifica autenticação
-  if (loading) {
+  if (loading || verifying) {
     return (
       <Flex justify="center" align="center" minH="100vh">
         <Spinner size="xl" color="blue.500" />
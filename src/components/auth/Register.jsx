@@ -64,8 +64,8 @@ const Register = () => {
     
     if (!formData.password) {
       newErrors.password = 'Senha é obrigatória';
-    } else if (formData.password.length < 6) {
-      newErrors.password = 'A senha deve ter pelo menos 6 caracteres';
+    } else if (formData.password.length < 8) {
+      newErrors.password = 'A senha deve ter pelo menos 8 caracteres';
     }
     
     if (!formData.confirmPassword) {
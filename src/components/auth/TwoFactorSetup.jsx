@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  FormLabel,
+  Input,
+  VStack,
+  Heading,
+  Text,
+  Code,
+  SimpleGrid,
+  Alert,
+  AlertIcon,
+  useColorModeValue,
+  useToast
+} from '@chakra-ui/react';
+import { QRCodeSVG } from 'qrcode.react';
+import authService from '../../services/authService';
+
+// Componente para ativar e desativar a autenticação em dois fatores (TOTP)
+const TwoFactorSetup = () => {
+  const [user, setUser] = useState(authService.getCurrentUser());
+  const [setupData, setSetupData] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const toast = useToast();
+  const bgColor = useColorModeValue('white', 'gray.700');
+  const borderColor = useColorModeValue('gray.200', 'gray.600');
+
+  const showError = (title, error) => {
+    toast({
+      title,
+      description: error.message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+
+  // Gerar o segredo e o QR code para o aplicativo autenticador
+  const handleStartSetup = async () => {
+    setIsLoading(true);
+    try {
+      setSetupData(await authService.setupTotp());
+    } catch (error) {
+      showError('Erro ao iniciar a autenticação em dois fatores', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Confirmar o cadastro com o primeiro código gerado pelo aplicativo
+  const handleEnable = async () => {
+    setIsLoading(true);
+    try {
+      setBackupCodes(await authService.enableTotp(code));
+      setSetupData(null);
+      setCode('');
+      setUser(authService.getCurrentUser());
+    } catch (error) {
+      showError('Código inválido', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    setIsLoading(true);
+    try {
+      await authService.disableTotp(code);
+      setCode('');
+      setBackupCodes(null);
+      setUser(authService.getCurrentUser());
+      toast({
+        title: 'Autenticação em dois fatores desativada',
+        status: 'info',
+        duration: 3000,
+        isClosable: true,
+      });
+    } catch (error) {
+      showError('Não foi possível desativar', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    setIsLoading(true);
+    try {
+      setBackupCodes(await authService.regenerateBackupCodes(code));
+      setCode('');
+    } catch (error) {
+      showError('Não foi possível gerar novos códigos', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const codeInput = (
+    <FormControl>
+      <FormLabel htmlFor="totp-code">Código de autenticação</FormLabel>
+      <Input
+        id="totp-code"
+        placeholder="000000"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value.trim())}
+      />
+    </FormControl>
+  );
+
+  return (
+    <Box
+      p={8}
+      maxWidth="500px"
+      borderWidth={1}
+      borderRadius={8}
+      boxShadow="lg"
+      bg={bgColor}
+      borderColor={borderColor}
+    >
+      <VStack spacing={6} align="stretch">
+        <Heading size="md">Autenticação em Dois Fatores</Heading>
+
+        {backupCodes && (
+          <Alert status="warning" borderRadius="md">
+            <AlertIcon />
+            <VStack align="start" spacing={2}>
+              <Text>Guarde estes códigos de backup em local seguro. Cada um pode ser usado uma única vez e eles não serão exibidos novamente.</Text>
+              <SimpleGrid columns={2} spacing={2}>
+                {backupCodes.map((backupCode) => (
+                  <Code key={backupCode}>{backupCode}</Code>
+                ))}
+              </SimpleGrid>
+            </VStack>
+          </Alert>
+        )}
+
+        {user?.totpEnabled ? (
+          <>
+            <Text>A autenticação em dois fatores está ativa. O código é exigido no login, nos saques e ao alterar a carteira ou chave PIX de destino.</Text>
+            {codeInput}
+            <Button onClick={handleRegenerate} isLoading={isLoading} isDisabled={!code}>
+              Gerar novos códigos de backup
+            </Button>
+            <Button colorScheme="red" variant="outline" onClick={handleDisable} isLoading={isLoading} isDisabled={!code}>
+              Desativar
+            </Button>
+          </>
+        ) : setupData ? (
+          <>
+            <Text>Escaneie o QR code com seu aplicativo autenticador (Google Authenticator, Authy, etc.) e informe o código gerado.</Text>
+            <Box alignSelf="center" p={4} bg="white" borderRadius="md">
+              <QRCodeSVG value={setupData.otpauthUri} size={180} />
+            </Box>
+            <Text fontSize="sm" color="gray.500">
+              Ou digite a chave manualmente: <Code>{setupData.secret}</Code>
+            </Text>
+            {codeInput}
+            <Button colorScheme="blue" onClick={handleEnable} isLoading={isLoading} isDisabled={!code}>
+              Ativar
+            </Button>
+          </>
+        ) : (
+          <>
+            <Text>Proteja seu login e seus saques com um código gerado pelo seu aplicativo autenticador.</Text>
+            <Button colorScheme="blue" onClick={handleStartSetup} isLoading={isLoading}>
+              Configurar autenticação em dois fatores
+            </Button>
+          </>
+        )}
+      </VStack>
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
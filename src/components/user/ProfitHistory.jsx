@@ -26,15 +26,31 @@ import {
   StatNumber,
   StatHelpText,
   SimpleGrid,
-  Badge
+  Badge,
+  Input,
+  useToast
 } from '@chakra-ui/react';
-import { FaChartLine, FaExchangeAlt, FaPercentage, FaCoins, FaArrowLeft, FaDownload, FaFilter } from 'react-icons/fa';
+import { FaChartLine, FaExchangeAlt, FaPercentage, FaCoins, FaArrowLeft, FaDownload, FaFilter, FaFileImport, FaWallet } from 'react-icons/fa';
 import { Link as RouterLink } from 'react-router-dom';
 import authService from '../../services/authService';
-import userProfitService from '../../services/userProfitService';
+import userApi from '../../services/userApi';
+import { SUPPORTED_EXCHANGES, SUPPORTED_NETWORKS } from '../../services/transactionImporter';
+
+// Rótulos das operações importadas (as registradas pela plataforma são arbitragens)
+const IMPORTED_OPERATION_LABELS = {
+  deposit: 'Depósito',
+  withdrawal: 'Saque',
+  income: 'Rendimento'
+};
+
+const getOperationLabel = (op) => {
+  const details = op.details || {};
+  if (details.source !== 'import') return 'Arbitragem';
+  if (details.type === 'trade') return details.side === 'sell' ? 'Venda' : 'Compra';
+  return IMPORTED_OPERATION_LABELS[details.type] || details.type;
+};
 
 const ProfitHistory = () => {
-  const [user, setUser] = useState(null);
   const [profitHistory, setProfitHistory] = useState(null);
   const [filteredOperations, setFilteredOperations] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -42,30 +58,98 @@ const ProfitHistory = () => {
     period: 'all',
     asset: 'all'
   });
+  const [importForm, setImportForm] = useState({
+    exchange: SUPPORTED_EXCHANGES[0],
+    type: '',
+    network: SUPPORTED_NETWORKS[0],
+    address: '',
+    fromBlock: ''
+  });
+  const [csvFile, setCsvFile] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const toast = useToast();
   
   const bgColor = useColorModeValue('white', 'gray.700');
   const borderColor = useColorModeValue('gray.200', 'gray.600');
   const headingColor = useColorModeValue('blue.600', 'blue.300');
   
+  // Obter histórico de lucros (inclui as operações importadas)
+  const loadHistory = async () => {
+    const history = await userApi.getProfitHistory();
+    setProfitHistory(history);
+    setFilteredOperations(history.operations.reverse()); // Mais recentes primeiro
+  };
+  
+  const notifyImport = (result) => {
+    const skipped = result.skipped.length > 0 ? `, ${result.skipped.length} linhas ignoradas` : '';
+    toast({
+      title: 'Histórico importado',
+      description: `${result.imported} operações importadas, ${result.duplicates} já existentes${skipped}.`,
+      status: result.skipped.length > 0 ? 'warning' : 'success',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+  
+  const notifyImportError = (error) => {
+    toast({
+      title: 'Erro ao importar histórico',
+      description: error.message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true,
+    });
+  };
+  
+  // Importar o CSV exportado pela exchange
+  const handleImportCsv = async () => {
+    setIsImporting(true);
+    try {
+      const result = await userApi.importCsv({
+        exchange: importForm.exchange,
+        content: await csvFile.text(),
+        type: importForm.type || undefined
+      });
+      notifyImport(result);
+      await loadHistory();
+    } catch (error) {
+      notifyImportError(error);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+  
+  // Importar as transferências on-chain de uma carteira
+  const handleImportWallet = async () => {
+    setIsImporting(true);
+    try {
+      const result = await userApi.importOnChain({
+        address: importForm.address,
+        network: importForm.network,
+        fromBlock: parseInt(importForm.fromBlock, 10) || 0
+      });
+      notifyImport(result);
+      await loadHistory();
+    } catch (error) {
+      notifyImportError(error);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+  
   useEffect(() => {
     const loadUserData = async () => {
       try {
         setIsLoading(true);
         
-        // Obter dados do usuário atual
-        const currentUser = authService.getCurrentUser();
-        if (!currentUser) {
+        // Exigir um usuário autenticado
+        if (!authService.getCurrentUser()) {
           // Redirecionar para login se não estiver autenticado
           window.location.href = '/login';
           return;
         }
         
-        setUser(currentUser);
-        
-        // Obter histórico de lucros
-        const history = userProfitService.getUserProfitHistory(currentUser.id);
-        setProfitHistory(history);
-        setFilteredOperations(history.operations.reverse()); // Mais recentes primeiro
+        await loadHistory();
       } catch (error) {
         console.error('Erro ao carregar histórico de lucros:', error);
       } finally {
@@ -263,6 +347,123 @@ const ProfitHistory = () => {
           </VStack>
         </Box>
         
+        {/* Importação de histórico externo */}
+        <Box
+          bg={bgColor}
+          border="1px"
+          borderColor={borderColor}
+          borderRadius="lg"
+          overflow="hidden"
+          boxShadow="md"
+          p={6}
+        >
+          <VStack spacing={4} align="stretch">
+            <Flex align="center">
+              <Icon as={FaFileImport} mr={2} />
+              <Heading size="md">Importar Histórico</Heading>
+            </Flex>
+            
+            <Divider />
+            
+            <Text fontSize="sm">
+              Importe as negociações, depósitos e saques exportados em CSV pelas exchanges ou as transferências
+              de uma carteira. Operações já importadas são ignoradas.
+            </Text>
+            
+            <Flex direction={{ base: 'column', md: 'row' }} gap={4} align={{ md: 'flex-end' }}>
+              <FormControl>
+                <FormLabel>Exchange</FormLabel>
+                <Select
+                  value={importForm.exchange}
+                  onChange={(e) => setImportForm({ ...importForm, exchange: e.target.value })}
+                >
+                  {SUPPORTED_EXCHANGES.map((exchange) => (
+                    <option key={exchange} value={exchange}>{exchange}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>Conteúdo do arquivo</FormLabel>
+                <Select
+                  value={importForm.type}
+                  onChange={(e) => setImportForm({ ...importForm, type: e.target.value })}
+                >
+                  <option value="">Detectar automaticamente</option>
+                  <option value="deposit">Depósitos</option>
+                  <option value="withdrawal">Saques</option>
+                </Select>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>Arquivo CSV</FormLabel>
+                <Input
+                  type="file"
+                  accept=".csv,text/csv"
+                  p={1}
+                  onChange={(e) => setCsvFile(e.target.files[0] || null)}
+                />
+              </FormControl>
+              
+              <Button
+                leftIcon={<FaFileImport />}
+                colorScheme="blue"
+                onClick={handleImportCsv}
+                isLoading={isImporting}
+                isDisabled={!csvFile}
+                flexShrink={0}
+              >
+                Importar CSV
+              </Button>
+            </Flex>
+            
+            <Flex direction={{ base: 'column', md: 'row' }} gap={4} align={{ md: 'flex-end' }}>
+              <FormControl>
+                <FormLabel>Rede</FormLabel>
+                <Select
+                  value={importForm.network}
+                  onChange={(e) => setImportForm({ ...importForm, network: e.target.value })}
+                >
+                  {SUPPORTED_NETWORKS.map((network) => (
+                    <option key={network} value={network}>{network}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>Endereço da carteira</FormLabel>
+                <Input
+                  placeholder="0x..."
+                  value={importForm.address}
+                  onChange={(e) => setImportForm({ ...importForm, address: e.target.value.trim() })}
+                />
+              </FormControl>
+              
+              <FormControl>
+                <FormLabel>A partir do bloco</FormLabel>
+                <Input
+                  placeholder="0"
+                  inputMode="numeric"
+                  value={importForm.fromBlock}
+                  onChange={(e) => setImportForm({ ...importForm, fromBlock: e.target.value.trim() })}
+                />
+              </FormControl>
+              
+              <Button
+                leftIcon={<FaWallet />}
+                colorScheme="blue"
+                variant="outline"
+                onClick={handleImportWallet}
+                isLoading={isImporting}
+                isDisabled={!importForm.address}
+                flexShrink={0}
+              >
+                Importar Carteira
+              </Button>
+            </Flex>
+          </VStack>
+        </Box>
+        
         {/* Resumo das Operações Filtradas */}
         <Box
           bg={bgColor}
@@ -363,7 +564,10 @@ const ProfitHistory = () => {
                           <Td>
                             <HStack>
                               <Icon as={FaExchangeAlt} color="blue.500" />
-                              <Text>Arbitragem</Text>
+                              <Text>{getOperationLabel(op)}</Text>
+                              {op.details && op.details.source === 'import' && (
+                                <Badge colorScheme="gray">{op.details.exchange}</Badge>
+                              )}
                             </HStack>
                           </Td>
                           <Td isNumeric>{op.amount}</Td>
@@ -34,10 +34,23 @@ import {
   TabPanel,
   useToast
 } from '@chakra-ui/react';
-import { FaWallet, FaExchangeAlt, FaCoins, FaArrowRight, FaArrowLeft, FaPercentage, FaChartLine, FaEthereum } from 'react-icons/fa';
+import { FaWallet, FaExchangeAlt, FaCoins, FaArrowRight, FaArrowLeft, FaPercentage, FaChartLine, FaEthereum, FaListUl, FaTrash } from 'react-icons/fa';
 import { Link as RouterLink } from 'react-router-dom';
 import authService from '../../services/authService';
-import userProfitService from '../../services/userProfitService';
+import userApi from '../../services/userApi';
+import withdrawalAddressService, { WITHDRAWAL_CHAINS } from '../../services/withdrawalAddressService';
+import withdrawalService from '../../services/withdrawalService';
+
+// Saque registrado no servidor no formato do histórico
+const toHistoryItem = (withdrawal) => ({
+  id: withdrawal.id,
+  timestamp: withdrawal.createdAt,
+  amount: withdrawal.amount,
+  crypto: withdrawal.asset,
+  wallet: withdrawal.address,
+  status: withdrawal.status,
+  source: 'all'
+});
 
 const ProfitWithdraw = () => {
   const [user, setUser] = useState(null);
@@ -48,6 +61,10 @@ const ProfitWithdraw = () => {
   const [profitSource, setProfitSource] = useState('all');
   const [isLoading, setIsLoading] = useState(false);
   const [withdrawHistory, setWithdrawHistory] = useState([]);
+  const [totpCode, setTotpCode] = useState('');
+  const [withdrawalAddresses, setWithdrawalAddresses] = useState([]);
+  const [newAddress, setNewAddress] = useState({ label: '', chain: 'ethereum', address: '' });
+  const [addressCode, setAddressCode] = useState('');
   
   const toast = useToast();
   const bgColor = useColorModeValue('white', 'gray.700');
@@ -94,31 +111,15 @@ const ProfitWithdraw = () => {
         setUser(currentUser);
         
         // Obter estatísticas de lucro
-        const stats = userProfitService.getUserProfitStats(currentUser.id);
+        const stats = await userApi.getProfitStats();
         setProfitStats(stats);
         
-        // Carregar histórico de saques (simulado por enquanto)
-        // Em uma implementação real, isso viria de um serviço específico
-        setWithdrawHistory([
-          {
-            id: '1',
-            timestamp: new Date(Date.now() - 86400000 * 2).toISOString(), // 2 dias atrás
-            amount: '0.5',
-            crypto: 'ETH',
-            wallet: '0x71C7656EC7ab88b098defB751B7401B5f6d8976F',
-            status: 'completed',
-            source: 'defi'
-          },
-          {
-            id: '2',
-            timestamp: new Date(Date.now() - 86400000 * 5).toISOString(), // 5 dias atrás
-            amount: '0.25',
-            crypto: 'BTC',
-            wallet: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
-            status: 'completed',
-            source: 'staking'
-          }
-        ]);
+        // Obter endereços de saque autorizados
+        setWithdrawalAddresses(await withdrawalAddressService.getAddresses());
+        
+        // Histórico de saques registrado no servidor
+        const withdrawals = await withdrawalService.getWithdrawals();
+        setWithdrawHistory(withdrawals.map(toHistoryItem));
       } catch (error) {
         console.error('Erro ao carregar dados do usuário:', error);
         toast({
@@ -185,7 +186,7 @@ const ProfitWithdraw = () => {
   };
   
   // Processar solicitação de saque
-  const handleWithdraw = () => {
+  const handleWithdraw = async () => {
     setIsLoading(true);
     
     // Validar entrada
@@ -201,10 +202,11 @@ const ProfitWithdraw = () => {
       return;
     }
     
-    if (!targetWallet) {
+    const destination = withdrawalAddresses.find(entry => entry.id === targetWallet);
+    if (!destination || destination.status !== 'active') {
       toast({
         title: 'Erro',
-        description: 'Por favor, insira um endereço de carteira válido.',
+        description: 'Selecione um endereço de saque liberado.',
         status: 'error',
         duration: 5000,
         isClosable: true,
@@ -227,42 +229,87 @@ const ProfitWithdraw = () => {
       return;
     }
     
-    // Simular processamento de saque
-    setTimeout(() => {
-      // Adicionar ao histórico de saques
-      const newWithdraw = {
-        id: Date.now().toString(),
-        timestamp: new Date().toISOString(),
-        amount: withdrawAmount,
-        crypto: selectedCrypto,
-        wallet: targetWallet,
-        status: 'processing',
-        source: profitSource
-      };
-      
-      setWithdrawHistory([newWithdraw, ...withdrawHistory]);
-      
-      // Simular conclusão após 2 segundos
-      setTimeout(() => {
-        setWithdrawHistory(prev => {
-          const updated = [...prev];
-          updated[0] = { ...updated[0], status: 'completed' };
-          return updated;
-        });
-        
-        toast({
-          title: 'Saque realizado com sucesso!',
-          description: `${withdrawAmount} ${selectedCrypto} foi enviado para sua carteira.`,
-          status: 'success',
-          duration: 5000,
-          isClosable: true,
-        });
-      }, 2000);
-      
-      // Limpar campos
+    // O servidor valida e consome a confirmação do aplicativo autenticador antes de enviar o saque
+    try {
+      const withdrawal = await withdrawalService.withdraw({
+        addressId: destination.id,
+        asset: selectedCrypto,
+        amount: withdrawAmount
+      }, totpCode);
+      setWithdrawHistory([toHistoryItem(withdrawal), ...withdrawHistory]);
       setWithdrawAmount('');
+      setTotpCode('');
+      toast({
+        title: 'Saque realizado com sucesso!',
+        description: `${withdrawal.amount} ${withdrawal.asset} foi enviado para sua carteira.`,
+        status: 'success',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Erro no saque',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Cadastrar um novo endereço de saque (fica em carência antes de poder receber fundos)
+  const handleAddAddress = async () => {
+    setIsLoading(true);
+    try {
+      const entry = await withdrawalAddressService.addAddress(newAddress, addressCode);
+      setWithdrawalAddresses([...withdrawalAddresses, entry]);
+      setNewAddress({ label: '', chain: 'ethereum', address: '' });
+      setAddressCode('');
+      toast({
+        title: 'Endereço cadastrado',
+        description: `O endereço poderá receber saques a partir de ${new Date(entry.activatesAt).toLocaleString('pt-BR')}.`,
+        status: 'info',
+        duration: 5000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Erro ao cadastrar endereço',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
       setIsLoading(false);
-    }, 1500);
+    }
+  };
+  
+  const handleRemoveAddress = async (addressId) => {
+    setIsLoading(true);
+    try {
+      await withdrawalAddressService.removeAddress(addressId, addressCode);
+      setWithdrawalAddresses(withdrawalAddresses.filter(entry => entry.id !== addressId));
+      if (targetWallet === addressId) setTargetWallet('');
+      setAddressCode('');
+    } catch (error) {
+      toast({
+        title: 'Erro ao remover endereço',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const getChainName = (chainId) => {
+    const chain = WITHDRAWAL_CHAINS.find(c => c.id === chainId);
+    return chain ? chain.name : chainId;
   };
   
   // Obter o status do saque formatado
@@ -270,7 +317,7 @@ const ProfitWithdraw = () => {
     switch (status) {
       case 'completed':
         return <Badge colorScheme="green">Concluído</Badge>;
-      case 'processing':
+      case 'pending':
         return <Badge colorScheme="yellow">Processando</Badge>;
       case 'failed':
         return <Badge colorScheme="red">Falhou</Badge>;
@@ -370,6 +417,7 @@ const ProfitWithdraw = () => {
             <TabList>
               <Tab><Icon as={FaWallet} mr={2} /> Saque de Lucros</Tab>
               <Tab><Icon as={FaExchangeAlt} mr={2} /> Histórico de Saques</Tab>
+              <Tab><Icon as={FaListUl} mr={2} /> Endereços de Saque</Tab>
             </TabList>
             
             <TabPanels>
@@ -407,11 +455,21 @@ const ProfitWithdraw = () => {
                   
                   <FormControl isRequired>
                     <FormLabel>Endereço da Carteira</FormLabel>
-                    <Input
-                      placeholder="0x..."
+                    <Select
+                      placeholder="Selecione um endereço cadastrado"
                       value={targetWallet}
                       onChange={(e) => setTargetWallet(e.target.value)}
-                    />
+                    >
+                      {withdrawalAddresses.map((entry) => (
+                        <option key={entry.id} value={entry.id} disabled={entry.status !== 'active'}>
+                          {entry.label} ({getChainName(entry.chain)}) - {entry.address}
+                          {entry.status !== 'active' ? ` - liberado em ${new Date(entry.activatesAt).toLocaleString('pt-BR')}` : ''}
+                        </option>
+                      ))}
+                    </Select>
+                    <Text fontSize="sm" color="gray.500" mt={1}>
+                      Saques só podem ser enviados para endereços cadastrados na aba Endereços de Saque
+                    </Text>
                   </FormControl>
                   
                   <FormControl isRequired>
@@ -434,6 +492,32 @@ const ProfitWithdraw = () => {
                     </Text>
                   </FormControl>
                   
+                  {user && !user.totpEnabled ? (
+                    <Alert status="warning" borderRadius="md">
+                      <AlertIcon />
+                      <Text>
+                        Saques exigem autenticação em dois fatores.{' '}
+                        <Button as={RouterLink} to="/security" variant="link" colorScheme="blue">
+                          Ativar agora
+                        </Button>
+                      </Text>
+                    </Alert>
+                  ) : (
+                    <FormControl isRequired>
+                      <FormLabel>Código de Autenticação (2FA)</FormLabel>
+                      <Input
+                        placeholder="000000"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        value={totpCode}
+                        onChange={(e) => setTotpCode(e.target.value.trim())}
+                      />
+                      <Text fontSize="sm" color="gray.500" mt={1}>
+                        Informe o código do aplicativo autenticador ou um código de backup
+                      </Text>
+                    </FormControl>
+                  )}
+                  
                   <Alert status="info" borderRadius="md">
                     <AlertIcon />
                     <VStack align="start" spacing={1}>
@@ -448,7 +532,7 @@ const ProfitWithdraw = () => {
                     rightIcon={<FaArrowRight />}
                     isLoading={isLoading}
                     onClick={handleWithdraw}
-                    isDisabled={!withdrawAmount || parseFloat(withdrawAmount) <= 0 || !targetWallet}
+                    isDisabled={!withdrawAmount || parseFloat(withdrawAmount) <= 0 || !targetWallet || !totpCode}
                   >
                     Sacar Lucros
                   </Button>
@@ -502,6 +586,105 @@ const ProfitWithdraw = () => {
                   )}
                 </VStack>
               </TabPanel>
+              
+              <TabPanel>
+                <VStack spacing={6} align="stretch">
+                  <Alert status="info" borderRadius="md">
+                    <AlertIcon />
+                    <Text>Novos endereços passam por um período de carência antes de poderem receber saques. Cadastrar ou remover endereços exige o código de autenticação em dois fatores.</Text>
+                  </Alert>
+                  
+                  {withdrawalAddresses.length > 0 ? (
+                    withdrawalAddresses.map((entry) => (
+                      <Flex key={entry.id} justify="space-between" align="center" borderWidth={1} borderColor={borderColor} borderRadius="md" p={3}>
+                        <VStack align="start" spacing={0}>
+                          <HStack>
+                            <Text fontWeight="bold">{entry.label}</Text>
+                            <Badge>{getChainName(entry.chain)}</Badge>
+                            {entry.status === 'active' ? (
+                              <Badge colorScheme="green">Liberado</Badge>
+                            ) : (
+                              <Badge colorScheme="yellow">Em carência até {new Date(entry.activatesAt).toLocaleString('pt-BR')}</Badge>
+                            )}
+                          </HStack>
+                          <Text fontSize="sm" color="gray.500" isTruncated maxW="400px">{entry.address}</Text>
+                        </VStack>
+                        <Button
+                          size="sm"
+                          colorScheme="red"
+                          variant="ghost"
+                          leftIcon={<FaTrash />}
+                          onClick={() => handleRemoveAddress(entry.id)}
+                          isDisabled={!addressCode}
+                          isLoading={isLoading}
+                        >
+                          Remover
+                        </Button>
+                      </Flex>
+                    ))
+                  ) : (
+                    <Box textAlign="center" py={4}>
+                      <Text>Nenhum endereço de saque cadastrado.</Text>
+                    </Box>
+                  )}
+                  
+                  <Divider />
+                  
+                  <SimpleGrid columns={{ base: 1, md: 2 }} spacing={6}>
+                    <FormControl isRequired>
+                      <FormLabel>Rótulo</FormLabel>
+                      <Input
+                        placeholder="Ex: Carteira pessoal"
+                        value={newAddress.label}
+                        onChange={(e) => setNewAddress({ ...newAddress, label: e.target.value })}
+                      />
+                    </FormControl>
+                    
+                    <FormControl isRequired>
+                      <FormLabel>Rede</FormLabel>
+                      <Select
+                        value={newAddress.chain}
+                        onChange={(e) => setNewAddress({ ...newAddress, chain: e.target.value })}
+                      >
+                        {WITHDRAWAL_CHAINS.map((chain) => (
+                          <option key={chain.id} value={chain.id}>
+                            {chain.name}
+                          </option>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </SimpleGrid>
+                  
+                  <FormControl isRequired>
+                    <FormLabel>Endereço</FormLabel>
+                    <Input
+                      placeholder="0x..."
+                      value={newAddress.address}
+                      onChange={(e) => setNewAddress({ ...newAddress, address: e.target.value.trim() })}
+                    />
+                  </FormControl>
+                  
+                  <FormControl isRequired>
+                    <FormLabel>Código de Autenticação (2FA)</FormLabel>
+                    <Input
+                      placeholder="000000"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={addressCode}
+                      onChange={(e) => setAddressCode(e.target.value.trim())}
+                    />
+                  </FormControl>
+                  
+                  <Button
+                    colorScheme="blue"
+                    onClick={handleAddAddress}
+                    isLoading={isLoading}
+                    isDisabled={!newAddress.label || !newAddress.address || !addressCode}
+                  >
+                    Cadastrar Endereço
+                  </Button>
+                </VStack>
+              </TabPanel>
             </TabPanels>
           </Tabs>
         </Box>
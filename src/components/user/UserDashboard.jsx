@@ -37,7 +37,7 @@ import { FaCalendarAlt, FaClock, FaCoins, FaPercentage, FaChartLine, FaExchangeA
 import { Link as RouterLink } from 'react-router-dom';
 import authService from '../../services/authService';
 import subscriptionService from '../../services/subscriptionService';
-import userProfitService from '../../services/userProfitService';
+import userApi from '../../services/userApi';
 import MobileAppDownload from './MobileAppDownload';
 
 const UserDashboard = () => {
@@ -77,11 +77,11 @@ const UserDashboard = () => {
         }
         
         // Obter estatísticas de lucro
-        const stats = userProfitService.getUserProfitStats(currentUser.id);
+        const stats = await userApi.getProfitStats();
         setProfitStats(stats);
         
         // Obter operações recentes
-        const profitHistory = userProfitService.getUserProfitHistory(currentUser.id);
+        const profitHistory = await userApi.getProfitHistory();
         setRecentOperations(profitHistory.operations.slice(-5).reverse()); // Últimas 5 operações
       } catch (error) {
         console.error('Erro ao carregar dados do usuário:', error);
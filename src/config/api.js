@@ -33,7 +33,8 @@ export const cexConfig = {
   },
   kucoin: {
     apiKey: process.env.KUCOIN_API_KEY,
-    apiSecret: process.env.KUCOIN_API_SECRET
+    apiSecret: process.env.KUCOIN_API_SECRET,
+    passphrase: process.env.KUCOIN_API_PASSPHRASE
   },
   kraken: {
     apiKey: process.env.KRAKEN_API_KEY,
@@ -53,6 +54,7 @@ export const cexConfig = {
   },
   bitget: {
     apiKey: process.env.BITGET_API_KEY,
-    apiSecret: process.env.BITGET_API_SECRET
+    apiSecret: process.env.BITGET_API_SECRET,
+    passphrase: process.env.BITGET_API_PASSPHRASE
   }
 };
\ No newline at end of file
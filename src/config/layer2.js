@@ -0,0 +1,98 @@
+// Configurações para redes Layer 2
+// Compartilhadas entre a estratégia (src/services/layer2Strategy.js) e o deploy dos contratos
+// de flash loan (deploy-flash-loan-contracts.cjs), que não passa pelo bundler
+//
+// bridge: contratos da bridge canônica com a Ethereum (ver src/services/bridgeAdapters.js) e tempos
+// típicos, em segundos, de um depósito (L1 -> L2) e de um saque até poder ser finalizado na L1
+export const LAYER2_CONFIG = {
+  polygon: {
+    chainId: 137,
+    rpc: 'https://polygon-rpc.com',
+    flashLoanPool: '0x8dFf5E27EA6b7AC08EbFdf9eB090F32ee9a30fcf',
+    aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+    balancerVault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+    bridge: {
+      type: 'polygon',
+      rootChainManager: '0xA0c68C638235ee32657e8f720a23ceC1bFc77C77',
+      erc20Predicate: '0x40ec5B33f54e0E8A33A975908C5BA1c14e5BbbDf',
+      stateSender: '0x28e4F3a7f651294B9564800b2D01f35189A5bFbE',
+      stateReceiver: '0x0000000000000000000000000000000000001001',
+      l2Weth: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', // ETH na Polygon (sacado como ETH pelo EtherPredicate)
+      proofApi: 'https://proof-generator.polygon.technology/api/v1/matic',
+      depositTime: 1800, // Sincronização de estado (~20-30 min)
+      withdrawalTime: 10800 // Checkpoint na Ethereum (~1-3 h)
+    },
+    minProfitMargin: 0.3, // 0.3% margem mínima para Polygon
+    gasMultiplier: 1.0,
+    bridgeAddress: '0x7D1AfA7B718fb893dB30A3aBc0Cfc608AaCfeBB0',
+    averageBlockTime: 2.5, // segundos
+    averageGasPrice: 30 // gwei
+  },
+  optimism: {
+    chainId: 10,
+    rpc: 'https://mainnet.optimism.io',
+    flashLoanPool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+    aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+    balancerVault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+    bridge: {
+      type: 'optimism',
+      l1StandardBridge: '0x99C9fc46f92E8a1c0deC1b1747d010903E884bE1',
+      optimismPortal: '0xbEb5Fc579115071764c7423A4f12eDde41f106Ed',
+      disputeGameFactory: '0xe5965Ab5962eDc7477C8520243A95517CD252fA9',
+      l2StandardBridge: '0x4200000000000000000000000000000000000010',
+      messagePasser: '0x4200000000000000000000000000000000000016',
+      depositTime: 180,
+      challengePeriod: 604800, // Janela de desafio contada a partir da prova
+      withdrawalTime: 608400 // Prova após o jogo de disputa (~1 h) + janela de desafio
+    },
+    minProfitMargin: 0.4, // 0.4% margem mínima para Optimism
+    gasMultiplier: 0.8,
+    bridgeAddress: '0x99C9fc46f92E8a1c0deC1b1747d010903E884bE1',
+    averageBlockTime: 0.5, // segundos
+    averageGasPrice: 0.001 // gwei
+  },
+  arbitrum: {
+    chainId: 42161,
+    rpc: 'https://arb1.arbitrum.io/rpc',
+    flashLoanPool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+    aaveV3Pool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
+    balancerVault: '0xBA12222222228d8Ba445958a75a0704d566BF2C8',
+    bridge: {
+      type: 'arbitrum',
+      l1GatewayRouter: '0x72Ce9c846789fdB6fC1f34aC4AD25Dd9ef7031ef',
+      inbox: '0x4Dbd4fc535Ac27206064B68FfCf827b0A60BAB3f',
+      outbox: '0x0B9857ae2D4A3DBe74ffE1d7DF045bb7F96E4840',
+      rollup: '0x5eF0D09d1E6204141B4d37530808eD19f60FBa35',
+      l2GatewayRouter: '0x5288c571Fd7aD117beA99bF60FE0846C4E84F933',
+      arbSys: '0x0000000000000000000000000000000000000064',
+      nodeInterface: '0x00000000000000000000000000000000000000C8',
+      depositTime: 900, // Ticket retentável (~10-15 min)
+      challengePeriod: 552960, // Janela de desafio das asserções (~6,4 dias)
+      withdrawalTime: 608400 // Postagem da asserção + janela de desafio
+    },
+    minProfitMargin: 0.35, // 0.35% margem mínima para Arbitrum
+    gasMultiplier: 0.7,
+    bridgeAddress: '0x011B6E24FfB0B5f5fCc564cf4183C5BBBc96D515',
+    averageBlockTime: 0.25, // segundos
+    averageGasPrice: 0.1 // gwei
+  },
+  zkSync: {
+    chainId: 324,
+    rpc: 'https://mainnet.era.zksync.io',
+    flashLoanPool: '0x3355df6D4c9C3035724Fd0e3914dE96A5a83aaf4',
+    // zkSync Era exige bytecode do zksolc: os contratos de flash loan não são implantados nela
+    aaveV3Pool: null,
+    balancerVault: null,
+    bridge: {
+      type: 'zksync',
+      bridgehub: '0x303a465B659cBB0ab36eE643eA362c509EEb5213',
+      depositTime: 900,
+      withdrawalTime: 86400 // Prova e execução do lote na Ethereum (até 24 h)
+    },
+    minProfitMargin: 0.25, // 0.25% margem mínima para zkSync
+    gasMultiplier: 0.5,
+    bridgeAddress: '0xaBEA9132b05A70803a4E85094fD0e1800777fBEF',
+    averageBlockTime: 0.2, // segundos
+    averageGasPrice: 0.05 // gwei
+  }
+};
@@ -15,26 +15,34 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  // Carregar usuário atual do localStorage ao iniciar
+  // Atualiza o estado da assinatura a partir do usuário autenticado
+  const applySubscription = () => {
+    const subscriptionDetails = authService.getSubscriptionDetails();
+    if (subscriptionDetails) {
+      const planDetails = subscriptionService.getPlanById(subscriptionDetails.planId);
+      setSubscription({
+        ...subscriptionDetails,
+        planDetails
+      });
+    } else {
+      setSubscription(null);
+    }
+  };
+
+  // Valida os tokens da sessão no servidor (renovando o access token se necessário)
+  const verifySession = async () => {
+    const user = await authService.validateSession();
+    setCurrentUser(user);
+    applySubscription();
+    return user;
+  };
+
+  // Validar a sessão salva ao iniciar
   useEffect(() => {
     const loadUser = async () => {
       try {
         setLoading(true);
-        const user = authService.getCurrentUser();
-        
-        if (user) {
-          setCurrentUser(user);
-          
-          // Carregar detalhes da assinatura
-          const subscriptionDetails = authService.getSubscriptionDetails();
-          if (subscriptionDetails) {
-            const planDetails = subscriptionService.getPlanById(subscriptionDetails.planId);
-            setSubscription({
-              ...subscriptionDetails,
-              planDetails
-            });
-          }
-        }
+        await verifySession();
       } catch (err) {
         setError(err.message);
         console.error('Erro ao carregar usuário:', err);
@@ -51,17 +59,16 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       const user = await authService.login(email, password);
+      
+      // Com 2FA ativo o login só termina em completeLogin
+      if (user.mfaRequired) {
+        return user;
+      }
+      
       setCurrentUser(user);
       
       // Carregar detalhes da assinatura após login
-      const subscriptionDetails = authService.getSubscriptionDetails();
-      if (subscriptionDetails) {
-        const planDetails = subscriptionService.getPlanById(subscriptionDetails.planId);
-        setSubscription({
-          ...subscriptionDetails,
-          planDetails
-        });
-      }
+      applySubscription();
       
       return user;
     } catch (err) {
@@ -72,23 +79,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Função para registro
-  const register = async (userData) => {
+  // Função para concluir o login com o código de autenticação em dois fatores
+  const completeLogin = async (mfaToken, code) => {
     try {
       setLoading(true);
-      const user = await authService.register(userData);
+      const user = await authService.completeLogin(mfaToken, code);
       setCurrentUser(user);
-      
-      // Carregar detalhes da assinatura após registro
-      const subscriptionDetails = authService.getSubscriptionDetails();
-      if (subscriptionDetails) {
-        const planDetails = subscriptionService.getPlanById(subscriptionDetails.planId);
-        setSubscription({
-          ...subscriptionDetails,
-          planDetails
-        });
-      }
-      
+      applySubscription();
       return user;
     } catch (err) {
       setError(err.message);
@@ -98,27 +95,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Função para logout
-  const logout = () => {
-    authService.logout();
-    setCurrentUser(null);
-    setSubscription(null);
-  };
-
-  // Função para atualizar assinatura
-  const updateSubscription = async (planId, durationDays) => {
+  // Função para registro
+  const register = async (userData) => {
     try {
       setLoading(true);
-      const updatedSubscription = await authService.updateSubscription(planId, durationDays);
+      const user = await authService.register(userData);
+      setCurrentUser(user);
       
-      // Atualizar detalhes da assinatura
-      const planDetails = subscriptionService.getPlanById(planId);
-      setSubscription({
-        ...updatedSubscription,
-        planDetails
-      });
+      // Carregar detalhes da assinatura após registro
+      applySubscription();
       
-      return updatedSubscription;
+      return user;
     } catch (err) {
       setError(err.message);
       throw err;
@@ -127,6 +114,13 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Função para logout
+  const logout = async () => {
+    setCurrentUser(null);
+    setSubscription(null);
+    await authService.logout();
+  };
+
   // Verificar se a assinatura está ativa
   const isSubscriptionActive = () => {
     if (!subscription) return false;
@@ -140,10 +134,11 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    completeLogin,
     register,
     logout,
-    updateSubscription,
-    isSubscriptionActive
+    isSubscriptionActive,
+    verifySession
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,37 @@
+// Gerado por deploy-flash-loan-contracts.cjs a partir de contracts/*.sol - não editar à mão
+// Para regenerar: node deploy-flash-loan-contracts.cjs compile
+
+export const FLASH_LOAN_RECEIVER_ABIS = {
+  AaveV3FlashLoanReceiver: [
+    'constructor(address pool_)',
+    'error InsufficientProfit(uint256 balance, uint256 required)',
+    'error InvalidRoute()',
+    'error NotOwner()',
+    'error TransferFailed(address token)',
+    'error UnauthorizedCallback()',
+    'error UnsupportedAssets()',
+    'error UnsupportedSwapKind(uint8 kind)',
+    'event FlashLoanExecuted(address indexed asset, uint256 amount, uint256 fee, uint256 profit)',
+    'function executeOperation(address asset, uint256 amount, uint256 premium, address initiator, bytes params) returns (bool)',
+    'function flashLoan(address[] assets, uint256[] amounts, bytes params)',
+    'function owner() view returns (address)',
+    'function pool() view returns (address)',
+    'function withdraw(address token, address to)'
+  ],
+  BalancerFlashLoanReceiver: [
+    'constructor(address vault_)',
+    'error InsufficientProfit(uint256 balance, uint256 required)',
+    'error InvalidRoute()',
+    'error NotOwner()',
+    'error TransferFailed(address token)',
+    'error UnauthorizedCallback()',
+    'error UnsupportedAssets()',
+    'error UnsupportedSwapKind(uint8 kind)',
+    'event FlashLoanExecuted(address indexed asset, uint256 amount, uint256 fee, uint256 profit)',
+    'function flashLoan(address[] assets, uint256[] amounts, bytes params)',
+    'function owner() view returns (address)',
+    'function receiveFlashLoan(address[] tokens, uint256[] amounts, uint256[] feeAmounts, bytes userData)',
+    'function vault() view returns (address)',
+    'function withdraw(address token, address to)'
+  ]
+};
@@ -0,0 +1,178 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { FLASH_LOAN_RECEIVER_ABIS } from './flashLoanReceiverAbis';
+
+/**
+ * Bindings dos contratos recebedores de flash loan (contracts/*.sol)
+ *
+ * Os dois recebedores expõem o mesmo ponto de entrada, flashLoan(assets, amounts, params), em que
+ * params é a rota de swaps executada com os fundos emprestados:
+ *   abi.encode(SwapStep[] steps, uint256 minProfit)
+ * A rota começa e termina no ativo emprestado; o contrato reverte se o saldo final não cobrir
+ * o empréstimo, a taxa do credor e minProfit.
+ *
+ * Os endereços implantados por deploy-flash-loan-contracts.cjs ficam em
+ * FLASH_LOAN_DEPLOYMENTS_FILE (padrão: deployments/flash-loan-receivers.json), por rede e credor
+ */
+
+// Credores suportados: contrato recebedor, campo do endereço em LAYER2_CONFIG e taxa do empréstimo
+export const FLASH_LOAN_LENDERS = {
+  aaveV3: { contract: 'AaveV3FlashLoanReceiver', lenderField: 'aaveV3Pool', premiumRate: 0.0005 },
+  balancer: { contract: 'BalancerFlashLoanReceiver', lenderField: 'balancerVault', premiumRate: 0 }
+};
+
+// Tipos de swap aceitos pelo contrato (SwapStep.kind)
+export const SWAP_KINDS = {
+  uniswapV2: 0, // Routers no padrão Uniswap V2 (Uniswap V2, SushiSwap, QuickSwap)
+  uniswapV3: 1 // SwapRouter02 da Uniswap V3 (exactInputSingle)
+};
+
+const SWAP_STEP_TYPE = 'tuple(uint8 kind, address router, address tokenIn, address tokenOut, uint24 fee, uint256 minAmountOut)[]';
+
+function routeError(message) {
+  return new Error(`Rota de swaps inválida: ${message}`);
+}
+
+/**
+ * Valida a rota e converte os passos para o formato do contrato
+ * @param {Array} steps - Passos { kind, router, tokenIn, tokenOut, fee, minAmountOut }; kind aceita o nome de SWAP_KINDS
+ * @param {string} asset - Endereço do ativo emprestado (opcional); a rota deve começar e terminar nele
+ * @returns {Array} - Passos normalizados
+ */
+export const normalizeSwapRoute = (steps, asset = null) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw routeError('informe ao menos um passo');
+  }
+
+  const normalized = steps.map((step, index) => {
+    if (!step || typeof step !== 'object') {
+      throw routeError(`passo ${index + 1} deve ser { kind, router, tokenIn, tokenOut }`);
+    }
+    const kind = typeof step.kind === 'string' ? SWAP_KINDS[step.kind] : step.kind;
+    if (!Object.values(SWAP_KINDS).includes(kind)) {
+      throw routeError(`tipo de swap desconhecido no passo ${index + 1}: ${step.kind}`);
+    }
+    for (const field of ['router', 'tokenIn', 'tokenOut']) {
+      if (!ethers.utils.isAddress(step[field])) {
+        throw routeError(`${field} do passo ${index + 1} não é um endereço`);
+      }
+    }
+    return {
+      kind,
+      router: ethers.utils.getAddress(step.router),
+      tokenIn: ethers.utils.getAddress(step.tokenIn),
+      tokenOut: ethers.utils.getAddress(step.tokenOut),
+      fee: step.fee || 0,
+      minAmountOut: ethers.BigNumber.from(step.minAmountOut || 0)
+    };
+  });
+
+  for (let i = 1; i < normalized.length; i++) {
+    if (normalized[i].tokenIn !== normalized[i - 1].tokenOut) {
+      throw routeError(`passo ${i + 1} não começa no token de saída do passo ${i}`);
+    }
+  }
+  const start = normalized[0].tokenIn;
+  if (normalized[normalized.length - 1].tokenOut !== start) {
+    throw routeError('a rota deve terminar no ativo emprestado');
+  }
+  if (asset && ethers.utils.getAddress(asset) !== start) {
+    throw routeError(`a rota começa em ${start}, e não no ativo emprestado ${asset}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Codifica a rota no params de flashLoan
+ * @param {Array} steps - Passos da rota (ver normalizeSwapRoute)
+ * @param {BigNumber|string} minProfit - Lucro mínimo exigido pelo contrato, em unidades do ativo
+ * @returns {string} - params codificado
+ */
+export const encodeSwapRoute = (steps, minProfit = 0) => {
+  return ethers.utils.defaultAbiCoder.encode(
+    [SWAP_STEP_TYPE, 'uint256'],
+    [normalizeSwapRoute(steps), ethers.BigNumber.from(minProfit)]
+  );
+};
+
+export const decodeSwapRoute = (params) => {
+  const [steps, minProfit] = ethers.utils.defaultAbiCoder.decode([SWAP_STEP_TYPE, 'uint256'], params);
+  return {
+    steps: steps.map(({ kind, router, tokenIn, tokenOut, fee, minAmountOut }) => ({ kind, router, tokenIn, tokenOut, fee, minAmountOut })),
+    minProfit
+  };
+};
+
+function getLender(lender) {
+  const config = FLASH_LOAN_LENDERS[lender];
+  if (!config) {
+    throw new Error(`Credor de flash loan desconhecido: ${lender}`);
+  }
+  return config;
+}
+
+export const getDeploymentsFile = () => {
+  return process.env.FLASH_LOAN_DEPLOYMENTS_FILE || path.join(process.cwd(), 'deployments', 'flash-loan-receivers.json');
+};
+
+export const readDeployments = () => {
+  const file = getDeploymentsFile();
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Implantação registrada do recebedor
+ * @param {string} network - Rede de LAYER2_CONFIG
+ * @param {string} lender - aaveV3 ou balancer
+ * @returns {Object|null} - { address, lenderAddress, deployer, transactionHash, blockNumber, deployedAt }
+ */
+export const getReceiverDeployment = (network, lender = 'aaveV3') => {
+  getLender(lender);
+  return readDeployments()[network]?.[lender] || null;
+};
+
+export const getReceiverInterface = (lender = 'aaveV3') => {
+  return new ethers.utils.Interface(FLASH_LOAN_RECEIVER_ABIS[getLender(lender).contract]);
+};
+
+/**
+ * Contrato recebedor conectado à carteira ou ao provider
+ * @param {Object} options - Opções
+ * @param {string} options.network - Rede da implantação registrada
+ * @param {string} options.lender - aaveV3 ou balancer
+ * @param {string} options.address - Endereço explícito (ignora o registro de implantações)
+ * @param {Object} options.signerOrProvider - Signer ou provider do ethers
+ * @returns {ethers.Contract} - Contrato
+ */
+export const getFlashLoanReceiver = ({ network = null, lender = 'aaveV3', address = null, signerOrProvider }) => {
+  const receiverAddress = address || getReceiverDeployment(network, lender)?.address;
+  if (!receiverAddress || !ethers.utils.isAddress(receiverAddress)) {
+    throw new Error(`Recebedor de flash loan ${lender} não implantado em ${network || 'rede principal'}`);
+  }
+  return new ethers.Contract(receiverAddress, getReceiverInterface(lender), signerOrProvider);
+};
+
+/**
+ * Lê o evento FlashLoanExecuted do recibo da transação
+ * @param {Object} receipt - Recibo da transação de flashLoan
+ * @param {ethers.Contract} receiver - Contrato recebedor
+ * @returns {Object|null} - { asset, amount, fee, profit } em unidades do token
+ */
+export const parseFlashLoanExecuted = (receipt, receiver) => {
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== receiver.address.toLowerCase()) continue;
+    try {
+      const event = receiver.interface.parseLog(log);
+      if (event.name === 'FlashLoanExecuted') {
+        const { asset, amount, fee, profit } = event.args;
+        return { asset, amount, fee, profit };
+      }
+    } catch (error) {
+      // Log de outro evento do contrato
+    }
+  }
+  return null;
+};
@@ -0,0 +1,15 @@
+import React from 'react';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
+import { Box, Container, Flex } from '@chakra-ui/react';
+
+const SecurityPage = () => {
+  return (
+    <Container maxW="container.xl">
+      <Flex minH="80vh" align="center" justify="center">
+        <TwoFactorSetup />
+      </Flex>
+    </Container>
+  );
+};
+
+export default SecurityPage;
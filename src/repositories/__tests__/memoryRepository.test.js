@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { MemoryRepository, getRepository, setRepository } from '..';
+
+const user = { id: 'user-1', name: 'Ana', email: 'ana@example.com', passwordHash: 'hash', createdAt: '2025-01-01T00:00:00.000Z' };
+
+describe('MemoryRepository', () => {
+  it('cria, busca e atualiza usuários sem expor a referência interna', async () => {
+    const repository = new MemoryRepository();
+    await repository.createUser(user);
+
+    const found = await repository.findUserByEmail('ana@example.com');
+    found.name = 'Alterado';
+    expect((await repository.findUserById('user-1')).name).toBe('Ana');
+
+    const updated = await repository.updateUser('user-1', { name: 'Ana Maria' });
+    expect(updated.name).toBe('Ana Maria');
+    expect(updated.updatedAt).toBeTruthy();
+  });
+
+  it('recusa email duplicado e atualização de usuário inexistente', async () => {
+    const repository = new MemoryRepository();
+    await repository.createUser(user);
+
+    await expect(repository.createUser({ ...user, id: 'user-2' })).rejects.toThrow('Este email já está em uso.');
+    await expect(repository.updateUser('user-3', { name: 'X' })).rejects.toThrow('Usuário não encontrado');
+  });
+
+  it('separa assinaturas e operações por usuário', async () => {
+    const repository = new MemoryRepository();
+    await repository.createSubscription({ id: 'sub-1', userId: 'user-1', planId: 'basic', isActive: true });
+    await repository.createSubscription({ id: 'sub-2', userId: 'user-2', planId: 'pro', isActive: true });
+    await repository.createOperation('user-1', { id: 'op-1', asset: 'ETH', profit: '1' });
+    await repository.createOperation('user-2', { id: 'op-2', asset: 'BTC', profit: '2' });
+
+    expect((await repository.findSubscriptionsByUserId('user-1')).map(sub => sub.id)).toEqual(['sub-1']);
+    expect(await repository.findOperationsByUserId('user-2')).toEqual([{ id: 'op-2', asset: 'BTC', profit: '2' }]);
+
+    const canceled = await repository.updateSubscription('sub-1', { isActive: false });
+    expect(canceled.isActive).toBe(false);
+    await expect(repository.updateSubscription('sub-9', { isActive: false })).rejects.toThrow('Assinatura não encontrada');
+  });
+
+  it('mescla as configurações do usuário', async () => {
+    const repository = new MemoryRepository();
+    expect(await repository.getUserSettings('user-1')).toBeNull();
+
+    await repository.saveUserSettings('user-1', { notificationEnabled: false });
+    expect(await repository.saveUserSettings('user-1', { mobileDataLimit: 1024 }))
+      .toEqual({ notificationEnabled: false, mobileDataLimit: 1024 });
+  });
+
+  it('persiste o snapshot no armazenamento informado', async () => {
+    const items = {};
+    const storage = { getItem: key => items[key] || null, setItem: (key, value) => { items[key] = value; } };
+    await new MemoryRepository({ storage }).createUser(user);
+
+    expect(await new MemoryRepository({ storage }).findUserById('user-1')).toMatchObject({ email: 'ana@example.com' });
+  });
+});
+
+describe('getRepository', () => {
+  afterEach(() => {
+    setRepository(null);
+    delete globalThis.window;
+  });
+
+  it('usa o repositório em memória no servidor sem REPOSITORY_DRIVER', async () => {
+    setRepository(null);
+    expect(await getRepository()).toBeInstanceOf(MemoryRepository);
+  });
+
+  it('não entrega o repositório ao navegador', async () => {
+    setRepository(null);
+    globalThis.window = {};
+    await expect(getRepository()).rejects.toThrow('O repositório só está disponível no servidor');
+  });
+});
@@ -0,0 +1,39 @@
+import { MemoryRepository } from './memoryRepository';
+
+let repository = null;
+
+/**
+ * Retorna o repositório configurado para o servidor
+ * - REPOSITORY_DRIVER=mysql: tabelas do Aurora/MySQL
+ * - caso contrário: repositório em memória (desenvolvimento e testes)
+ * O navegador não acessa o repositório: usuários, assinaturas e lucros chegam pela API
+ * do serviço em segundo plano (ver src/services/userApi.js e user-data.js)
+ * @returns {Promise<Object>} - Repositório com o contrato de MemoryRepository/MysqlRepository
+ */
+export const getRepository = async () => {
+  if (repository) return repository;
+
+  if (typeof window !== 'undefined') {
+    throw new Error('O repositório só está disponível no servidor; use a API do serviço em segundo plano');
+  }
+
+  if (process.env.REPOSITORY_DRIVER === 'mysql') {
+    // Import dinâmico para não carregar o driver MySQL quando não for usado
+    const { MysqlRepository } = await import('./mysqlRepository');
+    repository = new MysqlRepository();
+  } else {
+    repository = new MemoryRepository();
+  }
+
+  return repository;
+};
+
+/**
+ * Substitui o repositório em uso (testes e execução offline)
+ * @param {Object} customRepository - Implementação do contrato de repositório
+ */
+export const setRepository = (customRepository) => {
+  repository = customRepository;
+};
+
+export { MemoryRepository };
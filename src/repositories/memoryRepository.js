@@ -0,0 +1,117 @@
+/**
+ * Repositório em memória
+ * Implementa o mesmo contrato do repositório MySQL para testes e uso offline.
+ * Opcionalmente persiste um snapshot em um armazenamento chave/valor
+ * (qualquer objeto com getItem/setItem)
+ */
+export class MemoryRepository {
+  /**
+   * @param {Object} options - Opções do repositório
+   * @param {Object} options.storage - Armazenamento para persistir o snapshot (opcional)
+   * @param {string} options.storageKey - Chave do snapshot no armazenamento
+   */
+  constructor({ storage = null, storageKey = 'quickfundhub-repository' } = {}) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.data = {
+      users: [],
+      subscriptions: [],
+      operations: [],
+      userSettings: {}
+    };
+
+    if (this.storage) {
+      const snapshot = this.storage.getItem(this.storageKey);
+      if (snapshot) {
+        this.data = { ...this.data, ...JSON.parse(snapshot) };
+      }
+    }
+  }
+
+  _persist() {
+    if (this.storage) {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+  }
+
+  _copy(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  // Usuários
+
+  async findUserById(id) {
+    return this._copy(this.data.users.find(user => user.id === id));
+  }
+
+  async findUserByEmail(email) {
+    return this._copy(this.data.users.find(user => user.email === email));
+  }
+
+  async createUser(user) {
+    if (this.data.users.some(existing => existing.email === user.email)) {
+      throw new Error('Este email já está em uso.');
+    }
+    this.data.users.push(this._copy(user));
+    this._persist();
+    return this._copy(user);
+  }
+
+  async updateUser(id, changes) {
+    const user = this.data.users.find(existing => existing.id === id);
+    if (!user) throw new Error('Usuário não encontrado');
+
+    Object.assign(user, this._copy(changes), { updatedAt: new Date().toISOString() });
+    this._persist();
+    return this._copy(user);
+  }
+
+  // Assinaturas
+
+  async createSubscription(subscription) {
+    this.data.subscriptions.push(this._copy(subscription));
+    this._persist();
+    return this._copy(subscription);
+  }
+
+  async findSubscriptionsByUserId(userId) {
+    return this.data.subscriptions
+      .filter(subscription => subscription.userId === userId)
+      .map(subscription => this._copy(subscription));
+  }
+
+  async updateSubscription(id, changes) {
+    const subscription = this.data.subscriptions.find(existing => existing.id === id);
+    if (!subscription) throw new Error('Assinatura não encontrada');
+
+    Object.assign(subscription, this._copy(changes));
+    this._persist();
+    return this._copy(subscription);
+  }
+
+  // Operações e lucros
+
+  async createOperation(userId, operation) {
+    this.data.operations.push({ ...this._copy(operation), userId });
+    this._persist();
+    return this._copy(operation);
+  }
+
+  async findOperationsByUserId(userId) {
+    return this.data.operations
+      .filter(operation => operation.userId === userId)
+      .map(({ userId: _, ...operation }) => this._copy(operation));
+  }
+
+  // Configurações do usuário
+
+  async getUserSettings(userId) {
+    return this._copy(this.data.userSettings[userId]) || null;
+  }
+
+  async saveUserSettings(userId, settings) {
+    this.data.userSettings[userId] = { ...(this.data.userSettings[userId] || {}), ...this._copy(settings) };
+    this._persist();
+    return this._copy(this.data.userSettings[userId]);
+  }
+}
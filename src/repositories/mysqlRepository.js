@@ -0,0 +1,259 @@
+import mysql from 'mysql2/promise';
+import { ethers } from 'ethers';
+
+/**
+ * Repositório MySQL/Aurora
+ * Usa as tabelas criadas por aurora-db-setup.js (users, subscriptions, operations,
+ * profits e user_settings). Lucros e taxas chegam em wei e são gravados em unidades
+ * decimais (DECIMAL(36, 18)) para caber nas colunas numéricas
+ */
+export class MysqlRepository {
+  /**
+   * @param {Object} config - Configuração da conexão (host, port, database, user, password)
+   */
+  constructor(config = {}) {
+    this.pool = mysql.createPool({
+      host: config.host || process.env.DB_HOST,
+      port: config.port || process.env.DB_PORT || 3306,
+      database: config.database || process.env.DB_NAME || 'quickfundhub_production',
+      user: config.user || process.env.DB_USERNAME || 'admin',
+      password: config.password || process.env.DB_PASSWORD || '',
+      waitForConnections: true,
+      connectionLimit: config.connectionLimit || 10
+    });
+  }
+
+  async _query(sql, params = []) {
+    try {
+      const [rows] = await this.pool.execute(sql, params);
+      return rows;
+    } catch (error) {
+      console.error('Erro ao executar consulta no banco de dados:', error);
+      throw error;
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // Usuários
+
+  _toUser(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      email: row.email,
+      passwordHash: row.password,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: row.updated_at ? new Date(row.updated_at).toISOString() : null
+    };
+  }
+
+  async findUserById(id) {
+    const [row] = await this._query('SELECT * FROM users WHERE id = ?', [id]);
+    return this._toUser(row);
+  }
+
+  async findUserByEmail(email) {
+    const [row] = await this._query('SELECT * FROM users WHERE email = ?', [email]);
+    return this._toUser(row);
+  }
+
+  async createUser(user) {
+    const existing = await this.findUserByEmail(user.email);
+    if (existing) {
+      throw new Error('Este email já está em uso.');
+    }
+
+    await this._query(
+      'INSERT INTO users (id, email, name, password, created_at) VALUES (?, ?, ?, ?, ?)',
+      [user.id, user.email, user.name, user.passwordHash, new Date(user.createdAt || Date.now())]
+    );
+    return this.findUserById(user.id);
+  }
+
+  async updateUser(id, changes) {
+    const columns = { name: 'name', email: 'email', passwordHash: 'password' };
+    const fields = Object.keys(changes).filter(key => columns[key]);
+
+    if (fields.length > 0) {
+      await this._query(
+        `UPDATE users SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(key => changes[key]), id]
+      );
+    }
+
+    const user = await this.findUserById(id);
+    if (!user) throw new Error('Usuário não encontrado');
+    return user;
+  }
+
+  // Assinaturas
+
+  _toSubscription(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      planId: row.plan_id,
+      startDate: new Date(row.start_date).toISOString(),
+      endDate: new Date(row.end_date).toISOString(),
+      paymentDetails: typeof row.payment_details === 'string' ? JSON.parse(row.payment_details) : row.payment_details,
+      profitFeePercentage: parseFloat(row.profit_fee_percentage),
+      isActive: !!row.is_active,
+      canceledAt: row.canceled_at ? new Date(row.canceled_at).toISOString() : undefined,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  async createSubscription(subscription) {
+    await this._query(
+      `INSERT INTO subscriptions
+        (id, user_id, plan_id, start_date, end_date, payment_details, profit_fee_percentage, is_active, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        subscription.id,
+        subscription.userId,
+        subscription.planId,
+        new Date(subscription.startDate),
+        new Date(subscription.endDate),
+        JSON.stringify(subscription.paymentDetails || null),
+        subscription.profitFeePercentage || 5,
+        subscription.isActive ? 1 : 0,
+        new Date(subscription.createdAt || Date.now())
+      ]
+    );
+    return subscription;
+  }
+
+  async findSubscriptionsByUserId(userId) {
+    const rows = await this._query('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY created_at', [userId]);
+    return rows.map(row => this._toSubscription(row));
+  }
+
+  async updateSubscription(id, changes) {
+    const updates = [];
+    const params = [];
+
+    if (changes.isActive !== undefined) {
+      updates.push('is_active = ?');
+      params.push(changes.isActive ? 1 : 0);
+    }
+    if (changes.canceledAt !== undefined) {
+      updates.push('canceled_at = ?');
+      params.push(new Date(changes.canceledAt));
+    }
+    if (changes.endDate !== undefined) {
+      updates.push('end_date = ?');
+      params.push(new Date(changes.endDate));
+    }
+
+    if (updates.length > 0) {
+      await this._query(`UPDATE subscriptions SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+    }
+
+    const [row] = await this._query('SELECT * FROM subscriptions WHERE id = ?', [id]);
+    if (!row) throw new Error('Assinatura não encontrada');
+    return this._toSubscription(row);
+  }
+
+  // Operações e lucros
+
+  async createOperation(userId, operation) {
+    const details = operation.details || {};
+    const profit = ethers.utils.formatEther(operation.profit || '0');
+    const connection = await this.pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `INSERT INTO operations
+          (id, user_id, type, exchange, asset, amount, buy_price, sell_price, profit, fee, status, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          operation.id,
+          userId,
+          details.type || 'trade',
+          details.exchange || 'unknown',
+          operation.asset,
+          operation.amount || 0,
+          operation.buyPrice || 0,
+          operation.sellPrice || 0,
+          profit,
+          ethers.utils.formatEther(operation.fee || '0'),
+          details.status || 'completed',
+          JSON.stringify(details),
+          new Date(operation.timestamp)
+        ]
+      );
+
+      await connection.execute(
+        'INSERT INTO profits (id, user_id, operation_id, amount, currency, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [`${operation.id}-profit`, userId, operation.id, profit, operation.asset, new Date(operation.timestamp)]
+      );
+
+      await connection.commit();
+      return operation;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Erro ao gravar operação no banco de dados:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async findOperationsByUserId(userId) {
+    const rows = await this._query('SELECT * FROM operations WHERE user_id = ? ORDER BY created_at', [userId]);
+
+    return rows.map(row => {
+      const profit = ethers.utils.parseEther(String(row.profit));
+      const fee = ethers.utils.parseEther(String(row.fee || 0));
+      return {
+        id: row.id,
+        timestamp: new Date(row.created_at).toISOString(),
+        asset: row.asset,
+        amount: String(row.amount),
+        buyPrice: parseFloat(row.buy_price),
+        sellPrice: parseFloat(row.sell_price),
+        profit: profit.toString(),
+        fee: fee.toString(),
+        netProfit: profit.sub(fee).toString(),
+        details: typeof row.details === 'string' ? JSON.parse(row.details) : (row.details || {})
+      };
+    });
+  }
+
+  // Configurações do usuário
+
+  async getUserSettings(userId) {
+    const [row] = await this._query('SELECT * FROM user_settings WHERE user_id = ?', [userId]);
+    if (!row) return null;
+    return {
+      mobileDataLimit: row.mobile_data_limit,
+      notificationEnabled: !!row.notification_enabled,
+      autoOptimizationEnabled: !!row.auto_optimization_enabled
+    };
+  }
+
+  async saveUserSettings(userId, settings) {
+    const current = (await this.getUserSettings(userId)) || {
+      mobileDataLimit: 20480,
+      notificationEnabled: true,
+      autoOptimizationEnabled: true
+    };
+    const merged = { ...current, ...settings };
+
+    await this._query(
+      `INSERT INTO user_settings (user_id, mobile_data_limit, notification_enabled, auto_optimization_enabled)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE mobile_data_limit = VALUES(mobile_data_limit),
+         notification_enabled = VALUES(notification_enabled),
+         auto_optimization_enabled = VALUES(auto_optimization_enabled)`,
+      [userId, merged.mobileDataLimit, merged.notificationEnabled ? 1 : 0, merged.autoOptimizationEnabled ? 1 : 0]
+    );
+    return merged;
+  }
+}
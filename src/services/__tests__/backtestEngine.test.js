@@ -0,0 +1,125 @@
+import { describe, it, expect, vi } from 'vitest';
+import { backtestEngine } from '../backtestEngine';
+import { RiskEngine } from '../../../risk-engine.js';
+import { LotTracker } from '../../../lot-tracker.js';
+
+// O adaptador de mercados tradicionais não é usado aqui (a cadeia de imports dele não carrega nos testes)
+vi.mock('../traditionalMarketService', () => ({ default: {} }));
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Candles horários com tendência de alta e oscilação, para gerar entradas e saídas
+const candles = Array.from({ length: 120 }, (_, i) => {
+  const close = 40000 + i * 40 + Math.sin(i / 3) * 900;
+  return { timestamp: START + i * HOUR, open: close - 50, high: close + 200, low: close - 200, close, volume: 10 };
+});
+const datasets = [{ candles: { BTC: candles }, orderBooks: {} }];
+
+/**
+ * Serviços com o mesmo formato dos pontos de entrada ligados em strategyBindings:
+ * relógio e aleatoriedade vêm de this.now() e this.random(), como em shortSelling e financialLeverage
+ */
+class ShortSellingService {
+  constructor() {
+    this.riskProfiles = { conservative: { stopLoss: 0.05, takeProfit: 0.1 } };
+    this.scans = [];
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  random() {
+    return Math.random();
+  }
+
+  async scanForShortOpportunities() {
+    const priceData = await this.getPriceData('BTC');
+    const prediction = await this.predictPriceMovement('BTC');
+    const technicalScore = this.random() * 10;
+    this.scans.push(this.now());
+    if (technicalScore < 6 || prediction.direction === 'up') return [];
+    return [{ asset: 'BTC', currentPrice: priceData.price, expectedDownside: 0.05 }];
+  }
+}
+
+const liveRiskEngine = new RiskEngine();
+const liveLotTracker = new LotTracker();
+
+class FinancialLeverageService {
+  constructor() {
+    this.activePositions = new Map();
+    this.positionHistory = [];
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  random() {
+    return Math.random();
+  }
+
+  getRiskEngine() {
+    return liveRiskEngine;
+  }
+
+  getLotTracker() {
+    return liveLotTracker;
+  }
+
+  async executeMarketLeverage(asset, amount, leverage, direction) {
+    if (this.random() < 0.5) return { success: false };
+
+    const price = await this.getCurrentPrice(asset);
+    const riskOrder = { strategy: 'leveraged_trading', asset, side: direction === 'long' ? 'buy' : 'sell', amount, price, leverage };
+    this.getRiskEngine().assertOrder(riskOrder);
+    const position = { id: `${direction}-${asset}-${this.now()}`, asset, amount, stopLoss: 0.02, takeProfit: 0.03 };
+    this.activePositions.set(position.id, position);
+    this.positionHistory.push({ action: 'create', position });
+    this.getRiskEngine().recordFill(riskOrder);
+    this.getLotTracker().recordFill({ strategy: 'leveraged_trading', asset, side: riskOrder.side, amount: amount * leverage, price, location: 'margin' });
+    return { success: true, position };
+  }
+}
+
+describe('backtestEngine', () => {
+  it.each([
+    ['shortSelling', () => new ShortSellingService()],
+    ['marketLeverage', () => new FinancialLeverageService()]
+  ])('%s: o mesmo seed produz o mesmo relatório', async (strategy, createService) => {
+    const run = (seed) => backtestEngine.run({ strategy, service: createService(), datasets, seed, params: { orderSize: 0.1 } });
+
+    const first = await run(7);
+    const second = await run(7);
+    const other = await run(8);
+
+    expect(first.totalTrades).toBeGreaterThan(0);
+    expect(second).toEqual(first);
+    expect(other.trades).not.toEqual(first.trades);
+  });
+
+  it('entrega o relógio do replay às estratégias e restaura o serviço ao final', async () => {
+    const service = new ShortSellingService();
+
+    await backtestEngine.run({ strategy: 'shortSelling', service, datasets, seed: 1 });
+
+    expect(service.scans).toEqual(candles.map(candle => candle.timestamp));
+    expect(Object.prototype.hasOwnProperty.call(service, 'now')).toBe(false);
+    expect(Object.prototype.hasOwnProperty.call(service, 'predictPriceMovement')).toBe(false);
+  });
+
+  it('não altera o motor de risco, os lotes nem as posições reais da alavancagem', async () => {
+    const service = new FinancialLeverageService();
+
+    const report = await backtestEngine.run({ strategy: 'marketLeverage', service, datasets, seed: 3, params: { orderSize: 0.1 } });
+
+    expect(report.totalTrades).toBeGreaterThan(0);
+    expect(liveRiskEngine.exposures).toEqual({ byAsset: {}, byStrategy: {} });
+    expect(liveLotTracker.getLots()).toEqual([]);
+    expect(service.activePositions.size).toBe(0);
+    expect(service.positionHistory).toEqual([]);
+    expect(service.getRiskEngine()).toBe(liveRiskEngine);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import {
+  capitalGainsTax,
+  calculateRealizedGains,
+  summarizeMonths,
+  calculateProgressiveTax,
+  darfDueDate,
+  COST_METHODS
+} from '../capitalGainsTax';
+
+// Horários em UTC; o mês da operação segue o fuso de Brasília
+const transactions = [
+  { id: 'op-1-buy', timestamp: '2025-03-10T15:00:00.000Z', asset: 'ETH', side: 'buy', quantity: 2, totalBrl: 20000, feeBrl: 12.5, exchange: 'binance' },
+  { id: 'op-1-sell', timestamp: '2025-03-20T15:00:00.000Z', asset: 'ETH', side: 'sell', quantity: 1.5, totalBrl: 18000.456, feeBrl: 0, exchange: 'binance' },
+  { id: 'op-2-buy', timestamp: '2025-03-21T15:00:00.000Z', asset: 'BTC', side: 'buy', quantity: 0.1, totalBrl: 50000, feeBrl: 0, exchange: 'mercadobitcoin' },
+  { id: 'op-3-buy', timestamp: '2025-04-01T02:00:00.000Z', asset: 'ETH', side: 'buy', quantity: 1, totalBrl: 10000, feeBrl: 0, exchange: 'binance' }
+];
+
+describe('capitalGainsTax.exportIn1888', () => {
+  it('gera os registros 0000, 0110 e 9999 do leiaute da IN 1888', async () => {
+    const { content, required, totalBrl, records } = await capitalGainsTax.exportIn1888('user-1', {
+      year: 2025,
+      month: 3,
+      declarant: { cpf: '529.982.247-25', name: 'Maria Silva' },
+      transactions
+    });
+
+    expect(content.endsWith('\r\n')).toBe(true);
+    expect(content.trimEnd().split('\r\n')).toEqual([
+      '0000|52998224725|Maria Silva|202503',
+      '0110|10032025|op-1-buy|C|20000,00|12,50|ETH|2,0000000000|binance',
+      '0110|20032025|op-1-sell|V|18000,46|0,00|ETH|1,5000000000|binance',
+      // 31/03 às 23h em Brasília: ainda é março
+      '0110|31032025|op-3-buy|C|10000,00|0,00|ETH|1,0000000000|binance',
+      '9999|5'
+    ]);
+    expect(records).toBe(3);
+    expect(totalBrl).toBe(48000.46);
+    expect(required).toBe(true);
+  });
+
+  it('não exige a entrega abaixo de R$ 30 mil no mês', async () => {
+    const { required } = await capitalGainsTax.exportIn1888('user-1', {
+      year: 2025,
+      month: 3,
+      declarant: { cpf: '52998224725', name: 'Maria Silva' },
+      transactions: transactions.slice(0, 1)
+    });
+    expect(required).toBe(false);
+  });
+});
+
+describe('calculateRealizedGains', () => {
+  // Duas compras de ETH a preços diferentes e a venda de uma unidade
+  const lots = [
+    { id: 'buy-1', timestamp: '2025-01-02T15:00:00.000Z', asset: 'ETH', side: 'buy', quantity: 1, totalBrl: 10000, feeBrl: 0 },
+    { id: 'buy-2', timestamp: '2025-01-03T15:00:00.000Z', asset: 'ETH', side: 'buy', quantity: 1, totalBrl: 14000, feeBrl: 0 },
+    { id: 'sell-1', timestamp: '2025-01-04T15:00:00.000Z', asset: 'ETH', side: 'sell', quantity: 1, totalBrl: 15000, feeBrl: 0 }
+  ];
+
+  it('usa o lote mais antigo no FIFO', () => {
+    const [disposal] = calculateRealizedGains(lots, COST_METHODS.FIFO);
+
+    expect(disposal).toMatchObject({ id: 'sell-1', month: '2025-01', proceedsBrl: 15000, costBrl: 10000, gainBrl: 5000, uncoveredQuantity: 0 });
+  });
+
+  it('usa o custo médio ponderado dos lotes no método padrão', () => {
+    const [disposal] = calculateRealizedGains(lots);
+
+    expect(disposal).toMatchObject({ proceedsBrl: 15000, costBrl: 12000, gainBrl: 3000 });
+  });
+
+  it('ordena as transações e dá custo zero à quantidade vendida sem compra importada', () => {
+    const disposals = calculateRealizedGains([
+      { id: 'sell-1', timestamp: '2025-01-04T15:00:00.000Z', asset: 'BTC', side: 'sell', quantity: 0.2, totalBrl: 60000, feeBrl: 0 },
+      { id: 'buy-1', timestamp: '2025-01-02T15:00:00.000Z', asset: 'BTC', side: 'buy', quantity: 0.1, totalBrl: 25000, feeBrl: 0 }
+    ], COST_METHODS.FIFO);
+
+    expect(disposals).toHaveLength(1);
+    expect(disposals[0]).toMatchObject({ costBrl: 25000, gainBrl: 35000 });
+    expect(disposals[0].uncoveredQuantity).toBeCloseTo(0.1);
+  });
+
+  it('recusa método de custo desconhecido', () => {
+    expect(() => calculateRealizedGains(lots, 'lucro')).toThrow('Método de custo não suportado: lucro');
+  });
+});
+
+describe('summarizeMonths', () => {
+  const disposal = (month, totalBrl, gainBrl) => ({ month, totalBrl, gainBrl });
+
+  it('isenta o mês com vendas até R$ 35 mil e tributa acima disso', () => {
+    const [january, february] = summarizeMonths([
+      disposal('2025-01', 35000, 5000),
+      disposal('2025-02', 30000, 5000),
+      disposal('2025-02', 5000.01, -2000)
+    ]);
+
+    expect(january).toMatchObject({ exempt: true, taxableGainBrl: 0, taxBrl: 0, darf: null });
+    // O prejuízo de uma alienação não compensa o ganho de outra
+    expect(february).toMatchObject({ salesBrl: 35000.01, gainBrl: 5000, lossBrl: 2000, exempt: false, taxableGainBrl: 5000, taxBrl: 750 });
+    expect(february.darf).toEqual({ code: '4600', amountBrl: 750, dueDate: '2025-03-31' });
+  });
+
+  it('soma o imposto abaixo de R$ 10 ao do mês seguinte', () => {
+    const months = summarizeMonths([
+      disposal('2025-03', 40000, 60),
+      disposal('2025-04', 40000, 20),
+      disposal('2025-05', 40000, 20)
+    ]);
+
+    expect(months.map(month => [month.taxBrl, month.carriedFromPreviousBrl, month.darf && month.darf.amountBrl])).toEqual([
+      [9, 0, null],
+      [3, 9, 12],
+      [3, 0, null]
+    ]);
+    expect(months[1].darf.dueDate).toBe('2025-05-30');
+  });
+});
+
+describe('calculateProgressiveTax', () => {
+  it('aplica cada alíquota só à parcela do ganho na sua faixa', () => {
+    expect(calculateProgressiveTax(0)).toBe(0);
+    expect(calculateProgressiveTax(-1000)).toBe(0);
+    expect(calculateProgressiveTax(1000.33)).toBe(150.05);
+    expect(calculateProgressiveTax(5000000)).toBe(750000);
+    expect(calculateProgressiveTax(6000000)).toBe(925000);
+    expect(calculateProgressiveTax(10000000)).toBe(1625000);
+    expect(calculateProgressiveTax(30000000)).toBe(5625000);
+    expect(calculateProgressiveTax(40000000)).toBe(7875000);
+  });
+});
+
+describe('darfDueDate', () => {
+  it('vence no último dia útil do mês seguinte', () => {
+    expect(darfDueDate('2025-01')).toBe('2025-02-28');
+    // 31/05/2025 é sábado e 31/08/2025 é domingo
+    expect(darfDueDate('2025-04')).toBe('2025-05-30');
+    expect(darfDueDate('2025-07')).toBe('2025-08-29');
+    // Alienação em dezembro: vence em janeiro do ano seguinte (31/01/2026 é sábado)
+    expect(darfDueDate('2025-12')).toBe('2026-01-30');
+  });
+});
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { CrossChainBridge } from '../crossChainBridge';
+
+const transfer = (id, status = 'pending') => ({ id, type: 'withdraw', network: 'optimism', status, data: {} });
+
+describe('CrossChainBridge', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-'));
+    file = path.join(dir, 'bridge-transfers.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('grava só a transferência alterada, sem apagar as de outro processo', () => {
+    const server = new CrossChainBridge({ file });
+    const worker = new CrossChainBridge({ file });
+    server.loadTransfers();
+    worker.loadTransfers();
+
+    const first = transfer('a');
+    server.loadTransfers().push(first);
+    server.saveTransfers(first);
+    const second = transfer('b');
+    worker.loadTransfers().push(second);
+    worker.saveTransfers(second);
+    first.status = 'completed';
+    server.saveTransfers(first);
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual([transfer('a', 'completed'), transfer('b')]);
+    expect(server.getTransfers().map(item => item.id)).toEqual(['a', 'b']);
+    // Sem trava nem arquivo temporário deixados para trás
+    expect(fs.readdirSync(dir)).toEqual(['bridge-transfers.json']);
+  });
+});
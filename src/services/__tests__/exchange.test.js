@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+// Carteira do cofre, otimizador de gas e registro de lucro controlados pelo teste
+const wallet = { address: ADDRESS, getBalance: async () => ethers.utils.parseEther('10') };
+vi.mock('../keyVault', () => ({ keyVault: { ensureUnlocked: async () => {}, getSigner: () => wallet } }));
+vi.mock('../profitTracker', () => ({ profitTracker: { addOperation: vi.fn(async () => {}) } }));
+vi.mock('../gasOptimizer', () => ({ gasOptimizer: { sendTransaction: vi.fn(), getTransaction: vi.fn() } }));
+
+const { exchange } = await import('../exchange');
+const { gasOptimizer } = await import('../gasOptimizer');
+const { profitTracker } = await import('../profitTracker');
+
+describe('exchange.sendWithdrawal', () => {
+  let wait;
+
+  const sent = { id: `mainnet:${ADDRESS}:7`, hash: '0xaaa', nonce: 7 };
+  const withdraw = () => exchange.sendWithdrawal({ walletName: 'main', toAddress: RECIPIENT, amount: '0.5' });
+
+  beforeEach(() => {
+    exchange.transactions = [];
+    vi.clearAllMocks();
+    wait = vi.fn();
+    gasOptimizer.sendTransaction.mockResolvedValue({ ...sent, wait });
+  });
+
+  it('registra o saque confirmado', async () => {
+    wait.mockResolvedValue({ transactionHash: '0xaaa', gasUsed: ethers.BigNumber.from(21000) });
+
+    const operation = await withdraw();
+
+    expect(wait).toHaveBeenCalledWith(2);
+    expect(operation).toMatchObject({ status: 'confirmed', hash: '0xaaa', gasUsed: '21000', transactionId: sent.id });
+    expect(profitTracker.addOperation).toHaveBeenCalledWith(expect.objectContaining({ asset: 'ETH', amount: '0.5', gasUsed: '21000' }));
+  });
+
+  it('mantém pendente o saque sem confirmação no prazo e o conclui pela consulta ao otimizador', async () => {
+    // Acelerada antes do timeout: o hash atual é o da substituta
+    wait.mockRejectedValue(Object.assign(new Error('Transação não confirmada em 1800s'), {
+      transaction: { id: sent.id, hash: '0xbbb', status: 'pending' }
+    }));
+
+    const operation = await withdraw();
+
+    expect(operation).toMatchObject({ status: 'pending', hash: '0xbbb', gasUsed: null });
+    expect(profitTracker.addOperation).not.toHaveBeenCalled();
+
+    gasOptimizer.getTransaction.mockReturnValue({ id: sent.id, hash: '0xbbb', status: 'pending' });
+    expect(await exchange.getWithdrawalStatus(sent.id)).toMatchObject({ status: 'pending' });
+
+    gasOptimizer.getTransaction.mockReturnValue({ id: sent.id, hash: '0xbbb', status: 'confirmed', gasUsed: '21000' });
+    expect(await exchange.getWithdrawalStatus('0xbbb')).toMatchObject({ status: 'confirmed', gasUsed: '21000' });
+    expect(gasOptimizer.getTransaction).toHaveBeenLastCalledWith(sent.id);
+    expect(profitTracker.addOperation).toHaveBeenCalledTimes(1);
+
+    // Já concluído, não é lançado de novo
+    await exchange.getWithdrawalStatus(sent.id);
+    expect(profitTracker.addOperation).toHaveBeenCalledTimes(1);
+  });
+
+  it('marca como falho o saque pendente que foi descartado', async () => {
+    wait.mockRejectedValue(Object.assign(new Error('timeout'), { transaction: { id: sent.id, hash: '0xaaa', status: 'pending' } }));
+    await withdraw();
+
+    gasOptimizer.getTransaction.mockReturnValue({ id: sent.id, hash: '0xaaa', status: 'dropped', error: 'Nonce usado por outra transação' });
+
+    expect(await exchange.getWithdrawalStatus(sent.id)).toMatchObject({ status: 'failed', error: 'Nonce usado por outra transação' });
+    await expect(exchange.getWithdrawalStatus('0xdesconhecido')).rejects.toThrow('Saque não encontrado');
+  });
+
+  it('propaga a falha da transação revertida', async () => {
+    wait.mockRejectedValue(Object.assign(new Error(`Transação ${sent.id} revertida`), { transaction: { id: sent.id, status: 'failed' } }));
+
+    await expect(withdraw()).rejects.toThrow('revertida');
+    expect(exchange.getTransactionHistory()[0]).toMatchObject({ status: 'failed', error: `Transação ${sent.id} revertida` });
+  });
+});
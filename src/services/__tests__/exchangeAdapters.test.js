@@ -0,0 +1,48 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { describe, it, expect } from 'vitest';
+import { createExchangeAdapter, supportedExchanges } from '../exchangeAdapters';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'exchanges');
+const loadFixture = (exchange) => JSON.parse(fs.readFileSync(path.join(fixturesDir, `${exchange}.json`), 'utf8'));
+
+/**
+ * Cliente HTTP que confere a requisição montada pelo adaptador com a gravada
+ * na fixture (URL, parâmetros, corpo e cabeçalhos de assinatura) e devolve a resposta gravada
+ */
+const replayClient = (recorded) => ({
+  requests: [],
+  async request(config) {
+    this.requests.push(config);
+    expect(config.method).toBe(recorded.request.method);
+    expect(config.url).toBe(recorded.request.url);
+    expect(config.params).toEqual(recorded.request.params);
+    expect(config.data).toEqual(recorded.request.data);
+    expect(config.headers).toEqual(recorded.request.headers);
+    return { data: recorded.response };
+  }
+});
+
+describe.each(supportedExchanges)('adaptador %s', (exchange) => {
+  const fixture = loadFixture(exchange);
+
+  it.each(fixture.cases.map(recorded => [recorded.description, recorded]))('%s', async (description, recorded) => {
+    const httpClient = replayClient(recorded);
+    const now = recorded.now || fixture.now;
+    const adapter = createExchangeAdapter(exchange, {
+      credentials: recorded.credentials || fixture.credentials,
+      httpClient,
+      now: () => now
+    });
+
+    const result = await adapter[recorded.call.method](...recorded.call.args);
+
+    if (recorded.call.method === 'sign') {
+      expect(result).toEqual(recorded.result);
+    } else {
+      expect(httpClient.requests).toHaveLength(1);
+      expect(result).toMatchObject(recorded.result);
+    }
+  });
+});
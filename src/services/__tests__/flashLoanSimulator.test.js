@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from 'vitest';
+import { FlashLoanSimulator } from '../flashLoanSimulator';
+
+const transaction = {
+  from: '0x1111111111111111111111111111111111111111',
+  to: '0x2222222222222222222222222222222222222222',
+  data: '0x5cffe9de'
+};
+
+describe('FlashLoanSimulator', () => {
+  it('estima o gás no mesmo bloco do eth_call', async () => {
+    const provider = {
+      call: vi.fn(async () => '0x'),
+      send: vi.fn(async () => '0x0493e0')
+    };
+    const simulator = new FlashLoanSimulator({ provider, forkRpcUrl: null });
+
+    const execution = await simulator.runCall({ transaction, blockNumber: 18000000 });
+
+    expect(execution.success).toBe(true);
+    expect(execution.gasUsed.toNumber()).toBe(300000);
+    expect(provider.call).toHaveBeenCalledWith(transaction, 18000000);
+    expect(provider.send).toHaveBeenCalledWith('eth_estimateGas', [
+      { from: transaction.from, to: transaction.to, data: transaction.data },
+      '0x112a880'
+    ]);
+  });
+});
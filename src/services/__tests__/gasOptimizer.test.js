@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { GasOptimizer } from '../gasOptimizer';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+const hex = value => gwei(value).toHexString();
+
+// Provider com eth_feeHistory, contagens de nonce e recibos controlados pelo teste
+function createProvider() {
+  const provider = {
+    feeHistory: {
+      // O último item é a baseFee do próximo bloco
+      baseFeePerGas: [hex(20), hex(22), hex(24), hex(26), hex(30)],
+      gasUsedRatio: [0.5, 0, 0.7, 0.9],
+      // Percentis 10, 50 e 90 de cada bloco; o bloco vazio não entra na estimativa
+      reward: [
+        [hex(1), hex(2), hex(5)],
+        [hex(100), hex(100), hex(100)],
+        [hex(2), hex(3), hex(8)],
+        [hex(1), hex(4), hex(6)]
+      ]
+    },
+    pendingCount: 0,
+    confirmedCount: 0,
+    blockNumber: 100,
+    receipts: new Map(),
+    send: vi.fn(async method => {
+      if (method === 'eth_feeHistory') return provider.feeHistory;
+      throw new Error(`Método não suportado: ${method}`);
+    }),
+    getGasPrice: vi.fn(async () => gwei(20)),
+    getTransactionCount: vi.fn(async (address, blockTag) => (blockTag === 'pending' ? provider.pendingCount : provider.confirmedCount)),
+    getTransactionReceipt: vi.fn(async hash => provider.receipts.get(hash) || null),
+    getBlockNumber: vi.fn(async () => provider.blockNumber)
+  };
+  return provider;
+}
+
+function createSigner(provider) {
+  const signer = {
+    address: ADDRESS,
+    provider,
+    sent: [],
+    getAddress: async () => ADDRESS,
+    sendTransaction: vi.fn(async request => {
+      signer.sent.push(request);
+      return { hash: `0x${signer.sent.length.toString(16).padStart(64, '0')}` };
+    })
+  };
+  return signer;
+}
+
+const mine = (provider, hash, { status = 1, blockNumber = provider.blockNumber } = {}) => {
+  provider.receipts.set(hash, { transactionHash: hash, blockNumber, status, gasUsed: ethers.BigNumber.from(21000) });
+};
+
+describe('GasOptimizer', () => {
+  let optimizer;
+  let provider;
+  let signer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.UTC(2024, 0, 1));
+    // Sem providers das redes nem coleta periódica: tudo passa pelo provider do teste
+    vi.spyOn(GasOptimizer.prototype, 'initializeProviders').mockImplementation(() => {});
+    vi.spyOn(GasOptimizer.prototype, 'startHistoricalDataCollection').mockImplementation(async () => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    optimizer = new GasOptimizer();
+    provider = createProvider();
+    signer = createSigner(provider);
+  });
+
+  afterEach(() => {
+    clearInterval(optimizer.monitorTimer);
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('estimativa de taxas', () => {
+    it('usa a mediana de cada percentil das gorjetas dos blocos com transações', async () => {
+      const estimate = await optimizer._estimateFees(provider, 'mainnet');
+
+      expect(provider.send).toHaveBeenCalledWith('eth_feeHistory', ['0x14', 'latest', [10, 50, 90]]);
+      expect(estimate.type).toBe(2);
+      expect(estimate.baseFeePerGas.eq(gwei(30))).toBe(true);
+      const tips = Object.fromEntries(Object.entries(estimate.speeds)
+        .map(([speed, fees]) => [speed, ethers.utils.formatUnits(fees.maxPriorityFeePerGas, 'gwei')]));
+      expect(tips).toEqual({ slow: '1.0', standard: '3.0', fast: '6.0' });
+      // maxFeePerGas = 2 x baseFee do próximo bloco + gorjeta
+      expect(estimate.speeds.fast.maxFeePerGas.eq(gwei(66))).toBe(true);
+      expect(estimate.speeds.fast.estimatedGasPrice.eq(gwei(36))).toBe(true);
+    });
+
+    it('aplica a gorjeta mínima da rede', async () => {
+      const estimate = await optimizer._estimateFees(provider, 'polygon');
+
+      expect(estimate.speeds.slow.maxPriorityFeePerGas.eq(gwei(30))).toBe(true);
+      expect(estimate.speeds.slow.maxFeePerGas.eq(gwei(90))).toBe(true);
+    });
+
+    it('recorre ao gasPrice legado sem eth_feeHistory', async () => {
+      provider.send.mockRejectedValueOnce(new Error('the method eth_feeHistory does not exist'));
+
+      const estimate = await optimizer._estimateFees(provider, 'mainnet');
+
+      expect(estimate).toMatchObject({ type: 0, baseFeePerGas: null });
+      expect(estimate.speeds.standard.gasPrice.eq(gwei(20))).toBe(true);
+      expect(estimate.speeds.fast.gasPrice.eq(gwei(24))).toBe(true);
+    });
+  });
+
+  describe('nonces', () => {
+    it('entrega nonces em sequência e adota a contagem do nó quando ela é maior', async () => {
+      const nonces = optimizer.getNonceManager('mainnet', signer, provider);
+      provider.pendingCount = 5;
+
+      expect(await Promise.all([nonces.next(), nonces.next(), nonces.next()])).toEqual([5, 6, 7]);
+
+      // Transações enviadas por outro processo com a mesma carteira
+      provider.pendingCount = 10;
+      expect(await nonces.next()).toBe(10);
+      expect(optimizer.getNonceManager('mainnet', signer, provider)).toBe(nonces);
+    });
+
+    it('reaproveita o último nonce devolvido e relê a contagem do nó fora de ordem ou em erro de nonce', async () => {
+      const nonces = optimizer.getNonceManager('mainnet', signer, provider);
+      provider.pendingCount = 3;
+      await nonces.next();
+      const last = await nonces.next();
+
+      nonces.release(last, new Error('insufficient funds'));
+      expect(await nonces.next()).toBe(4);
+
+      // Devolução fora de ordem: o nonce 3 volta a valer só pela contagem do nó
+      nonces.release(3);
+      expect(nonces.nonce).toBeNull();
+      provider.pendingCount = 5;
+      expect(await nonces.next()).toBe(5);
+
+      nonces.release(5, new Error('nonce too low'));
+      expect(nonces.nonce).toBeNull();
+      provider.pendingCount = 7;
+      expect(await nonces.next()).toBe(7);
+    });
+
+    it('devolve o nonce quando o envio falha', async () => {
+      signer.sendTransaction.mockRejectedValueOnce(new Error('insufficient funds for gas'));
+
+      await expect(optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 })).rejects.toThrow('insufficient funds');
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 });
+
+      expect(tx.nonce).toBe(0);
+      expect(signer.sendTransaction.mock.calls.map(([request]) => request.nonce)).toEqual([0, 0]);
+    });
+  });
+
+  describe('transações pendentes', () => {
+    it('acelera a transação pendente além do prazo com taxas maiores e aguarda a substituta', async () => {
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1, gasLimit: 21000 }, { deadlineMs: 60000 });
+      const receipt = tx.wait(2);
+      const record = optimizer.pendingTransactions.get(tx.id);
+
+      await optimizer._checkTransaction(record);
+      expect(signer.sent).toHaveLength(1);
+
+      vi.setSystemTime(Date.now() + 60000);
+      await optimizer._checkTransaction(record);
+
+      const [original, replacement] = signer.sent;
+      expect(replacement).toMatchObject({ to: RECIPIENT, value: 1, gasLimit: 21000, nonce: original.nonce });
+      // Pelo menos 15% acima da anterior ou a estimativa "fast" atual, o que for maior
+      expect(replacement.maxPriorityFeePerGas.eq(gwei(6))).toBe(true);
+      expect(replacement.maxFeePerGas.eq(original.maxFeePerGas.mul(115).div(100))).toBe(true);
+      expect(optimizer.getTransaction(tx.hash)).toMatchObject({ status: 'pending', action: 'speedUp', replacements: 1 });
+
+      // Minerada a substituta, com as duas confirmações aguardadas
+      const replacementHash = record.hashes[1];
+      mine(provider, replacementHash, { blockNumber: 99 });
+      await optimizer._checkTransaction(record);
+
+      await expect(receipt).resolves.toMatchObject({ transactionHash: replacementHash });
+      expect(optimizer.getPendingTransactions()).toEqual([]);
+      expect(optimizer.getTransaction(tx.hash)).toMatchObject({ status: 'confirmed', hash: replacementHash, gasUsed: '21000' });
+    });
+
+    it('cancela com uma transferência de valor zero para a própria carteira', async () => {
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 }, { deadlineMs: 60000, autoReplace: 'cancel' });
+      const receipt = tx.wait();
+      const record = optimizer.pendingTransactions.get(tx.id);
+
+      vi.setSystemTime(Date.now() + 60000);
+      await optimizer._checkTransaction(record);
+
+      const cancel = signer.sent[1];
+      expect(cancel).toMatchObject({ to: ADDRESS, value: 0, data: '0x', gasLimit: 21000, nonce: tx.nonce });
+
+      mine(provider, record.hashes[1]);
+      await optimizer._checkTransaction(record);
+
+      await expect(receipt).rejects.toThrow(`Transação ${tx.id} cancelada`);
+      expect(optimizer.getTransaction(tx.id).status).toBe('cancelled');
+    });
+
+    it('para de substituir depois do máximo de substituições', async () => {
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 }, { deadlineMs: 60000 });
+      const record = optimizer.pendingTransactions.get(tx.id);
+
+      for (let attempt = 0; attempt < 4; attempt++) {
+        vi.setSystemTime(Date.now() + 60000);
+        await optimizer._checkTransaction(record);
+      }
+
+      // TX_MAX_REPLACEMENTS (3) substituições e a transação marcada como travada
+      expect(signer.sent).toHaveLength(4);
+      expect(record.stuck).toBe(true);
+      await expect(optimizer.speedUpTransaction('0xdesconhecido')).rejects.toThrow('Transação pendente não encontrada');
+    });
+
+    it('descarta a transação cujo nonce foi usado por outra', async () => {
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 });
+      const receipt = tx.wait();
+
+      provider.confirmedCount = 1;
+      await optimizer._checkTransaction(optimizer.pendingTransactions.get(tx.id));
+
+      await expect(receipt).rejects.toThrow('descartada: nonce usado por outra transação');
+      expect(optimizer.getTransaction(tx.hash)).toMatchObject({ status: 'dropped', error: 'Nonce usado por outra transação' });
+    });
+
+    it('encerra a espera no timeout com a transação ainda pendente e consultável', async () => {
+      const tx = await optimizer.sendTransaction(signer, { to: RECIPIENT, value: 1 });
+      const receipt = tx.wait(2, 1000);
+      const rejection = expect(receipt).rejects.toMatchObject({ transaction: { id: tx.id, status: 'pending' } });
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await rejection;
+      expect(optimizer.getPendingTransactions().map(item => item.id)).toEqual([tx.id]);
+      mine(provider, tx.hash);
+      await vi.advanceTimersByTimeAsync(15000);
+      expect(optimizer.getTransaction(tx.id)).toMatchObject({ status: 'confirmed', confirmations: 1 });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { KeyVault } from '../keyVault';
+
+const PASSPHRASE = 'senha do cofre';
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+describe('KeyVault', () => {
+  let dir;
+  let file;
+
+  const readKeystore = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Cofre com uma carteira e credenciais de API gravadas e bloqueado em seguida
+  const createVault = async () => {
+    const vault = new KeyVault({ file });
+    await vault.unlock(PASSPHRASE);
+    vault.addWallet('main', PRIVATE_KEY);
+    vault.addApiCredentials('binance', { apiKey: 'chave', apiSecret: 'segredo' });
+    vault.lock();
+    return vault;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+    file = path.join(dir, 'keystore.json');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('decifra as entradas gravadas ao desbloquear de novo, sem segredos em texto puro no arquivo', async () => {
+    await createVault();
+    const content = fs.readFileSync(file, 'utf8');
+    expect(content).not.toContain(PRIVATE_KEY.slice(2));
+    expect(content).not.toContain('segredo');
+
+    // Outra instância (ex: depois de reiniciar o serviço) com o mesmo arquivo
+    const vault = new KeyVault({ file });
+    const entries = await vault.unlock(PASSPHRASE);
+
+    const wallet = new ethers.Wallet(PRIVATE_KEY);
+    expect(entries.map(entry => entry.name)).toEqual(['main', 'binance']);
+    const signer = vault.getSigner('main');
+    expect(await signer.getAddress()).toBe(wallet.address);
+    expect(await signer.signMessage('teste')).toBe(await wallet.signMessage('teste'));
+    expect(vault.getApiCredentials('binance').apiSecret).toBe('segredo');
+    expect(JSON.stringify(vault.getApiCredentials('binance'))).toBe('{}');
+
+    vault.lock();
+    await expect(signer.signMessage('teste')).rejects.toThrow('Cofre de chaves bloqueado');
+  });
+
+  it('recusa a senha incorreta sem abrir a sessão', async () => {
+    const vault = await createVault();
+
+    await expect(vault.unlock('outra senha')).rejects.toThrow('Senha do cofre de chaves incorreta');
+    expect(vault.isUnlocked()).toBe(false);
+    expect(() => vault.getSigner('main')).toThrow('Cofre de chaves bloqueado');
+  });
+
+  it('recusa a entrada cifrada movida para outro nome (dado autenticado)', async () => {
+    await createVault();
+    const keystore = readKeystore();
+    keystore.entries.backup = keystore.entries.main;
+    fs.writeFileSync(file, JSON.stringify(keystore));
+
+    const vault = new KeyVault({ file });
+
+    await expect(vault.unlock(PASSPHRASE)).rejects.toThrow(/authenticate/);
+    expect(vault.isUnlocked()).toBe(false);
+  });
+
+  it('recusa o texto cifrado alterado', async () => {
+    await createVault();
+    const keystore = readKeystore();
+    const { ciphertext } = keystore.entries.binance;
+    keystore.entries.binance.ciphertext = `${ciphertext.slice(0, -2)}${ciphertext.endsWith('00') ? '01' : '00'}`;
+    fs.writeFileSync(file, JSON.stringify(keystore));
+
+    await expect(new KeyVault({ file }).unlock(PASSPHRASE)).rejects.toThrow(/authenticate/);
+  });
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MarketData } from '../marketData';
+import { createExchangeAdapter } from '../exchangeAdapters';
+import { streamingExchanges } from '../orderBookStreams';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'streams');
+const loadFixture = (exchange) => JSON.parse(fs.readFileSync(path.join(fixturesDir, `${exchange}.json`), 'utf8'));
+
+// Deixa o stream processar as mensagens, os snapshots REST e as reconexões pendentes
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+};
+
+/**
+ * Cliente HTTP que devolve, em ordem, as respostas REST gravadas na fixture
+ * (snapshots do livro e token de conexão), conferindo a requisição de cada uma
+ */
+const replayClient = (recorded) => ({
+  pending: [...recorded],
+  async request(config) {
+    const next = this.pending.shift();
+    expect(next).toBeDefined();
+    expect(config.method).toBe(next.method || 'GET');
+    expect(config.url).toBe(next.url);
+    expect(config.params).toEqual(next.params);
+    return { data: next.response };
+  }
+});
+
+// WebSocket que registra as mensagens enviadas; as recebidas são injetadas pelo teste
+class ReplaySocket extends EventEmitter {
+  constructor(url, sent) {
+    super();
+    this.url = url;
+    this.sent = sent;
+    setImmediate(() => this.emit('open'));
+  }
+
+  send(message) {
+    this.sent.push(JSON.parse(message));
+  }
+
+  close() {
+    this.emit('close');
+  }
+}
+
+describe.each(streamingExchanges)('stream %s', (exchange) => {
+  const fixture = loadFixture(exchange);
+  let marketData;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(fixture.now);
+  });
+
+  afterEach(() => {
+    marketData.close();
+    vi.useRealTimers();
+  });
+
+  it('reproduz o stream gravado e refaz o livro após a perda de continuidade', async () => {
+    const httpClient = replayClient(fixture.http);
+    const adapter = createExchangeAdapter(exchange, { httpClient, now: () => fixture.now });
+    const sockets = [];
+    const sent = [];
+    const resyncs = [];
+    let bookUpdates = 0;
+    marketData = new MarketData({
+      resolveExchange: () => adapter,
+      createSocket: (url) => {
+        const socket = new ReplaySocket(url, sent);
+        sockets.push(socket);
+        return socket;
+      },
+      now: () => fixture.now
+    });
+    marketData.on('resync', event => resyncs.push(event.reason));
+    marketData.on('book', () => bookUpdates++);
+
+    marketData.subscribe(fixture.symbol, [exchange]);
+    await flush();
+    for (const frame of fixture.frames) {
+      const data = typeof frame === 'string' ? frame : JSON.stringify(frame);
+      sockets[sockets.length - 1].emit('message', Buffer.from(data));
+      await flush();
+    }
+
+    const { expected } = fixture;
+    expect(sockets.map(socket => socket.url)).toEqual(expected.urls);
+    expect(sent).toMatchObject(expected.sent);
+    expect(httpClient.pending).toHaveLength(0);
+    expect(resyncs).toEqual(expected.resyncs);
+    expect(bookUpdates).toBe(expected.bookUpdates);
+    expect(marketData.getStatus()[0]).toMatchObject(expected.status);
+    expect(marketData.getBook(exchange, fixture.symbol, 5)).toMatchObject(expected.book);
+    expect(marketData.getRecentTrades(fixture.symbol)).toMatchObject(expected.trades);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { MultiLegExecutor } from '../multiLegExecutor';
+import { OrderManager, ORDER_STATES, setOrderManager, setPaperOrderManager } from '../../../order-manager.js';
+
+// Ordem no formato dos adaptadores, executada (em parte ou toda) pelo preço informado
+const exchangeOrder = (order, { filled = order.amount, price = order.price, status = 'filled' } = {}) => ({
+  id: `ex-${order.clientOrderId}`,
+  status,
+  filled,
+  price,
+  averagePrice: filled > 0 ? price : null,
+  fee: { asset: 'USDT', amount: 0 }
+});
+
+// Envio simulado de uma perna
+const fills = (options) => async (order) => exchangeOrder(order, options);
+
+// Envio sem resposta da exchange: a ordem fica em new, sem o ID da exchange
+const timeout = async () => {
+  throw new Error('timeout of 10000ms exceeded');
+};
+
+describe('MultiLegExecutor', () => {
+  let orderManager;
+  let paperOrderManager;
+  let executor;
+  let lookup;
+
+  // Compra 1 ETH a 2000 em uma exchange e vende a 2010 em outra
+  const arbitrage = ({ buy = fills(), sell = fills(), exchanges = ['binance', 'kraken'], recovery = {} } = {}) => executor.execute({
+    id: 'op-1',
+    strategy: 'test',
+    profitAsset: 'USDT',
+    expectedProfit: 10,
+    legs: [
+      { exchange: exchanges[0], symbol: 'ETH/USDT', side: 'buy', amount: 1, price: 2000, submit: buy },
+      { exchange: exchanges[1], symbol: 'ETH/USDT', side: 'sell', amount: 1, price: 2010, submit: sell }
+    ],
+    recovery: { submit: fills(), timeoutMs: 50, ...recovery }
+  });
+
+  beforeEach(() => {
+    lookup = vi.fn(async () => null);
+    const createManager = () => new OrderManager({
+      events: new EventEmitter(),
+      resolveExchange: async () => ({ fetchOrderByClientId: (...args) => lookup(...args) })
+    });
+    orderManager = createManager();
+    paperOrderManager = createManager();
+    setOrderManager(orderManager);
+    setPaperOrderManager(paperOrderManager);
+    executor = new MultiLegExecutor();
+    executor.pollIntervalMs = 5;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setOrderManager(null);
+    setPaperOrderManager(null);
+  });
+
+  it('envia as pernas simuladas pelo gerenciador das ordens simuladas', async () => {
+    const report = await arbitrage({ exchanges: ['simulated', 'simulated'] });
+
+    expect(report.status).toBe('completed');
+    expect(report.realized.profit).toBeCloseTo(10);
+    expect(paperOrderManager.getOrder('op-1-1')).toMatchObject({ status: ORDER_STATES.FILLED });
+    expect(orderManager.getOrders()).toEqual([]);
+  });
+
+  it('relata a execução parcial igual nas duas pernas sem ordem de correção', async () => {
+    const partial = fills({ filled: 0.4, status: 'cancelled' });
+
+    const report = await arbitrage({ buy: partial, sell: partial });
+
+    expect(report.status).toBe('partial');
+    expect(report.recovery).toEqual([]);
+    expect(report.legs.map(leg => leg.filled)).toEqual([0.4, 0.4]);
+    expect(report.realized.profit).toBeCloseTo(4);
+  });
+
+  it('desfaz na exchange da compra a quantidade que a venda não executou', async () => {
+    const report = await arbitrage({ sell: fills({ filled: 0.4, status: 'cancelled' }) });
+
+    expect(report.status).toBe('unwound');
+    expect(report.recovery).toHaveLength(1);
+    expect(report.recovery[0]).toMatchObject({ asset: 'ETH', residual: 0.6, mode: 'unwind', exchange: 'binance', referencePrice: 2000 });
+    // Perda máxima de 1% sobre o preço de referência
+    expect(report.recovery[0].limitPrice).toBeCloseTo(1980);
+    expect(orderManager.getOrder('op-1-r1')).toMatchObject({ side: 'sell', amount: 0.6, status: ORDER_STATES.FILLED });
+    expect(report.openExposure).toEqual({});
+  });
+
+  it('protege a exposição repetindo a perna que falhou no modo hedge', async () => {
+    const report = await arbitrage({ sell: fills({ filled: 0, status: 'cancelled' }), recovery: { mode: 'hedge' } });
+
+    expect(report.status).toBe('hedged');
+    expect(report.recovery[0]).toMatchObject({ mode: 'hedge', exchange: 'kraken', residual: 1 });
+    expect(orderManager.getOrder('op-1-r1')).toMatchObject({ exchange: 'kraken', side: 'sell', amount: 1 });
+  });
+
+  it('deixa exposta a quantidade que a correção não executa dentro da perda máxima', async () => {
+    const report = await arbitrage({
+      sell: fills({ filled: 0, status: 'cancelled' }),
+      recovery: { submit: fills({ filled: 0.5, status: 'cancelled' }) }
+    });
+
+    expect(report.status).toBe('exposed');
+    expect(report.openExposure.ETH).toBeCloseTo(0.5);
+  });
+
+  it('procura pelo clientOrderId a perna cujo envio ficou sem resposta antes de corrigir', async () => {
+    lookup.mockImplementation(async () => ({
+      id: 'k-1', status: 'filled', filled: 1, price: 2010, averagePrice: 2010
+    }));
+
+    const report = await arbitrage({ sell: timeout });
+
+    expect(lookup).toHaveBeenCalledWith('op-1-2', 'ETH/USDT', expect.any(Number));
+    expect(report.status).toBe('completed');
+    expect(report.recovery).toEqual([]);
+    expect(orderManager.getOrder('op-1-2')).toMatchObject({ exchangeOrderId: 'k-1', status: ORDER_STATES.FILLED, filled: 1 });
+  });
+
+  it('dá como não executada a perna que a exchange não conhece no prazo e desfaz a outra', async () => {
+    const report = await arbitrage({ sell: timeout });
+
+    expect(lookup.mock.calls.length).toBeGreaterThan(1);
+    expect(orderManager.getOrder('op-1-2')).toMatchObject({ status: ORDER_STATES.EXPIRED, reason: 'Ordem não encontrada na exchange' });
+    expect(report.status).toBe('unwound');
+  });
+
+  it('não corrige nada enquanto a perna sem resposta não puder ser confirmada', async () => {
+    lookup.mockRejectedValue(new Error('ECONNRESET'));
+
+    const report = await arbitrage({ sell: timeout });
+
+    expect(report.status).toBe('unconfirmed');
+    expect(report.recovery).toEqual([]);
+    // A ordem continua aberta para a conciliação do gerenciador de ordens
+    expect(orderManager.getOrder('op-1-2').status).toBe(ORDER_STATES.NEW);
+    expect(orderManager.getOrder('op-1-r1')).toBeNull();
+  });
+});
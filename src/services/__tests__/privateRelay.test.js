@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { PrivateRelay } from '../privateRelay';
+import { gasOptimizer } from '../gasOptimizer';
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const START_BLOCK = 100;
+
+// Provider com a altura da cadeia e os recibos controlados pelo relay de teste
+function createProvider() {
+  const provider = {
+    block: START_BLOCK,
+    pendingCount: 3,
+    receipts: new Map(),
+    getBlockNumber: vi.fn(async () => provider.block),
+    getTransactionReceipt: vi.fn(async hash => provider.receipts.get(hash) || null),
+    getTransactionCount: vi.fn(async () => provider.pendingCount)
+  };
+  return provider;
+}
+
+/**
+ * Relay de teste: cada eth_sendBundle minera o bloco alvo (ou pula até skipTo[alvo]) e inclui
+ * o bundle no bloco includeAt; simulationError faz o eth_callBundle reverter
+ */
+function stubRelay(relay, provider, { includeAt = null, skipTo = {}, simulationError = null } = {}) {
+  const calls = [];
+  vi.spyOn(relay, 'request').mockImplementation(async (network, method, [params]) => {
+    calls.push({ method, blockNumber: parseInt(params.blockNumber, 16) });
+    const hashes = params.txs.map(transaction => ethers.utils.keccak256(transaction));
+
+    if (method === 'eth_callBundle') {
+      return {
+        totalGasUsed: 21000,
+        results: hashes.map(txHash => (simulationError ? { txHash, revert: simulationError } : { txHash, gasUsed: 21000 }))
+      };
+    }
+
+    const target = parseInt(params.blockNumber, 16);
+    provider.block = skipTo[target] || target;
+    if (target === includeAt) {
+      hashes.forEach(hash => provider.receipts.set(hash, { transactionHash: hash, blockNumber: target, status: 1 }));
+    }
+    return { bundleHash: `0xbundle${target}` };
+  });
+  return calls;
+}
+
+describe('PrivateRelay', () => {
+  let relay;
+  let provider;
+  let signer;
+  let wallet;
+
+  beforeEach(() => {
+    relay = new PrivateRelay({ relays: { mainnet: 'http://relay.test' }, maxBlocks: 3 });
+    provider = createProvider();
+    wallet = new ethers.Wallet(PRIVATE_KEY);
+    // Assina com a chave local; o preenchimento dos campos não consulta a rede
+    signer = {
+      address: wallet.address,
+      provider,
+      getAddress: async () => wallet.address,
+      populateTransaction: async transaction => ({ ...transaction, chainId: 1, type: 2 }),
+      signTransaction: transaction => wallet.signTransaction(transaction)
+    };
+    gasOptimizer.nonceManagers.clear();
+    vi.spyOn(gasOptimizer, 'getTransactionFees').mockResolvedValue({
+      maxFeePerGas: ethers.utils.parseUnits('60', 'gwei'),
+      maxPriorityFeePerGas: ethers.utils.parseUnits('3', 'gwei')
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const signed = nonce => wallet.signTransaction({ to: RECIPIENT, value: 1, gasLimit: 21000, nonce, chainId: 1 });
+
+  describe('sendBundle', () => {
+    it('simula e reenvia o bundle bloco a bloco até a inclusão', async () => {
+      const calls = stubRelay(relay, provider, { includeAt: 102 });
+      const transaction = await signed(0);
+
+      const submission = await relay.sendBundle([transaction], { provider });
+
+      expect(calls).toEqual([
+        { method: 'eth_callBundle', blockNumber: 101 },
+        { method: 'eth_sendBundle', blockNumber: 101 },
+        { method: 'eth_sendBundle', blockNumber: 102 }
+      ]);
+      expect(submission).toMatchObject({
+        status: 'included',
+        included: true,
+        blockNumber: 102,
+        targetBlocks: [101, 102],
+        bundleHashes: ['0xbundle101', '0xbundle102'],
+        simulation: { success: true, gasUsed: 21000 }
+      });
+      expect(submission.receipts[0].transactionHash).toBe(ethers.utils.keccak256(transaction));
+    });
+
+    it('pula os blocos alvo que já passaram enquanto o anterior era verificado', async () => {
+      // Depois do envio para o bloco 101 a cadeia já está no 103
+      const calls = stubRelay(relay, provider, { includeAt: 104, skipTo: { 101: 103 } });
+      relay.maxBlocks = 4;
+
+      const submission = await relay.sendBundle([await signed(0)], { provider });
+
+      expect(calls.filter(call => call.method === 'eth_sendBundle').map(call => call.blockNumber)).toEqual([101, 104]);
+      expect(submission).toMatchObject({ status: 'included', targetBlocks: [101, 104], blockNumber: 104 });
+    });
+
+    it('não envia o bundle que reverte na simulação', async () => {
+      const calls = stubRelay(relay, provider, { simulationError: 'execution reverted' });
+      const transaction = await signed(0);
+
+      const error = await relay.sendBundle([transaction], { provider }).catch(rejection => rejection);
+
+      expect(error.message).toBe(`Bundle reverteu na simulação do relay: ${ethers.utils.keccak256(transaction)}: execution reverted`);
+      expect(error.relay).toMatchObject({ status: 'simulation_failed', targetBlocks: [], simulation: { success: false } });
+      expect(calls.map(call => call.method)).toEqual(['eth_callBundle']);
+      expect(relay.getStats()).toMatchObject({ total: 1, simulationFailed: 1 });
+    });
+
+    it('desiste depois de maxBlocks sem inclusão', async () => {
+      stubRelay(relay, provider);
+
+      const submission = await relay.sendBundle([await signed(0)], { provider, simulate: false });
+
+      expect(submission).toMatchObject({ status: 'not_included', included: false, targetBlocks: [101, 102, 103], simulation: null });
+      expect(relay.getStats()).toMatchObject({ notIncluded: 1, pending: 0 });
+    });
+  });
+
+  describe('sendTransaction', () => {
+    const nonceOf = submission => ethers.utils.parseTransaction(submission.signed).nonce;
+
+    // Guarda a transação assinada enviada ao relay para conferir o nonce usado
+    const captureSigned = () => {
+      const sendBundle = relay.sendBundle.bind(relay);
+      const submissions = [];
+      vi.spyOn(relay, 'sendBundle').mockImplementation(async (signedTransactions, options) => {
+        const submission = { signed: signedTransactions[0] };
+        submissions.push(submission);
+        return Object.assign(submission, await sendBundle(signedTransactions, options));
+      });
+      return submissions;
+    };
+
+    it('devolve o nonce do bundle não incluído', async () => {
+      stubRelay(relay, provider, { includeAt: 104 });
+      const submissions = captureSigned();
+
+      const missed = await relay.sendTransaction(signer, { to: RECIPIENT, value: 1, gasLimit: 21000 });
+      const included = await relay.sendTransaction(signer, { to: RECIPIENT, value: 1, gasLimit: 21000 });
+
+      expect(missed.status).toBe('not_included');
+      expect(included.status).toBe('included');
+      // Nada foi publicado: a segunda transação reaproveita o nonce 3
+      expect(submissions.map(nonceOf)).toEqual([3, 3]);
+      expect(gasOptimizer.getNonceManager('mainnet', signer, provider).nonce).toBe(4);
+      expect(ethers.utils.parseTransaction(submissions[0].signed).maxFeePerGas.toString())
+        .toBe(ethers.utils.parseUnits('60', 'gwei').toString());
+    });
+
+    it('devolve o nonce quando a simulação reverte', async () => {
+      stubRelay(relay, provider, { simulationError: 'execution reverted' });
+
+      await expect(relay.sendTransaction(signer, { to: RECIPIENT, data: '0x1234', gasLimit: 50000 }))
+        .rejects.toMatchObject({ relay: { status: 'simulation_failed' } });
+
+      expect(gasOptimizer.getNonceManager('mainnet', signer, provider).nonce).toBe(3);
+    });
+
+    it('marca como falho e devolve o nonce quando o relay não responde', async () => {
+      vi.spyOn(relay, 'request').mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+
+      const error = await relay.sendTransaction(signer, { to: RECIPIENT, value: 1, gasLimit: 21000 }).catch(rejection => rejection);
+
+      expect(error.message).toBe('timeout of 10000ms exceeded');
+      expect(error.relay.status).toBe('failed');
+      expect(gasOptimizer.getNonceManager('mainnet', signer, provider).nonce).toBe(3);
+    });
+  });
+});
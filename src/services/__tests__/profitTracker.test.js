@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { Ledger, FileLedgerStore, setLedger } from '../../../ledger.cjs';
+import { PixPayoutService, MockPixProvider, PIX_KEY_TYPES, setPixPayoutService } from '../../../pix-payouts.cjs';
+import { FileAuthStore } from '../../../auth-store.js';
+import { valuationService } from '../valuationService';
+
+// Gás a 1 gwei: 100000 de gás custam 0.0001 ETH
+vi.mock('../blockchain', () => ({ getGasPrice: async () => '1' }));
+
+const PRICES_USD = { ETH: 2000, USDT: 1 };
+const RATES_BRL = { ETH: 10000, USDT: 5 };
+
+describe('ProfitTracker', () => {
+  let ProfitTracker;
+  let ledger;
+  let pixService;
+  let tracker;
+
+  // Compra e venda de 1 ETH cotadas em USDT
+  const trade = (sellPrice, params = {}) => tracker.addOperation({
+    asset: 'ETH/USDT',
+    amount: '1',
+    buyPrice: '2000',
+    sellPrice: String(sellPrice),
+    gasUsed: 100000,
+    success: true,
+    ...params
+  });
+
+  beforeAll(async () => {
+    // Livro-razão sem arquivo antes de carregar o serviço (ele registra a conciliação ao ser criado)
+    ledger = new Ledger({ store: new FileLedgerStore(null) });
+    setLedger(ledger);
+    ({ ProfitTracker } = await import('../profitTracker'));
+  });
+
+  beforeEach(async () => {
+    ledger.store.entries = [];
+    pixService = new PixPayoutService({
+      store: new FileAuthStore(null),
+      provider: new MockPixProvider({ settleMs: 60 * 60 * 1000, webhookSecret: 'segredo-de-teste' }),
+      rateProvider: async (asset) => RATES_BRL[asset]
+    });
+    setPixPayoutService(pixService);
+    const pixKey = await pixService.addPixKey('user-1', { type: PIX_KEY_TYPES.EMAIL, key: 'ana@example.com' });
+
+    tracker = new ProfitTracker();
+    tracker.setPixPayoutDestination('user-1', pixKey.id);
+    vi.spyOn(valuationService, 'value').mockImplementation(async (amount, asset) => {
+      const usd = parseFloat(amount) * PRICES_USD[asset];
+      return { priceUsd: PRICES_USD[asset], usdBrl: 5, usd, brl: usd * 5 };
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('paga a parcela de PIX de um lucro em USDT no próprio USDT', async () => {
+    for (let i = 0; i < 4; i++) await trade(2100, { reference: `tx-${i}` });
+    const result = await trade(2100, { reference: 'tx-4' });
+
+    expect(result.profitDistribution.asset).toBe('USDT');
+    expect(result.pixPaymentResult.success).toBe(true);
+    // 5% de 100 USDT, convertidos a R$ 5 por USDT
+    expect(result.pixPaymentResult.payment).toMatchObject({ asset: 'USDT', amount: '5.0', rate: 5, amountBrl: 25 });
+    expect(await ledger.getBalance({ account: 'equity:payouts', asset: 'USDT' })).toBe('5');
+    expect(await ledger.getBalance({ account: 'equity:payouts', asset: 'ETH' })).toBe('0');
+
+    expect(tracker.getOperationsSummary()).toMatchObject({ profitByAsset: { USDT: '500.0' }, totalFees: '0.0005' });
+    expect(await ledger.checkConsistency()).toMatchObject({ consistent: true, drift: [] });
+  });
+
+  it('compara lucro e gás avaliados em USD, não as quantidades de ativos diferentes', async () => {
+    // 0.1 USDT (0.10 USD) de lucro por operação contra 0.0001 ETH (0.20 USD) de gás:
+    // não cobre o gás, embora 0.1 > 0.0001
+    for (let i = 0; i < 5; i++) await trade(2000.1, { reference: `tx-${i}` });
+
+    expect(tracker.valuedTotals.profitUsd).toBeCloseTo(0.5);
+    expect(tracker.valuedTotals.gasUsd).toBeCloseTo(1);
+    expect(tracker.canDistributeProfit()).toBe(false);
+    expect((await pixService.listPayouts('user-1'))).toHaveLength(0);
+  });
+
+  it('não paga enquanto alguma operação não puder ser avaliada', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    for (let i = 0; i < 5; i++) await trade(2100, { reference: `tx-${i}` });
+    expect(tracker.canDistributeProfit()).toBe(true);
+
+    valuationService.value.mockRejectedValue(new Error('Sem cotação'));
+    const result = await trade(2100, { reference: 'tx-5' });
+
+    expect(result.pixPaymentResult).toBeNull();
+    expect(tracker.valuedTotals.unvaluedOperations).toBe(1);
+    expect(tracker.canDistributeProfit()).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { SmartOrderRouter } from '../smartOrderRouter';
+import { OrderManager, setOrderManager } from '../../../order-manager.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1, 12);
+
+describe('SmartOrderRouter', () => {
+  let router;
+  let prices;
+  let candleVolume;
+  let submit;
+
+  // Execução integral pelo preço informado (padrão: preço limite), com taxa de 0.1 USDT por ordem
+  const fillAt = (price = null) => async (order) => ({
+    id: `ex-${order.clientOrderId}`,
+    status: 'filled',
+    filled: order.amount,
+    price: price || order.price,
+    averagePrice: price || order.price,
+    fee: { asset: 'USDT', amount: 0.1 }
+  });
+
+  const start = (params) => router.startExecution({
+    asset: 'ETH',
+    side: 'buy',
+    exchanges: ['binance'],
+    submit: (order) => submit(order),
+    ...params
+  });
+
+  const childAmounts = (execution) => execution.childOrders.map(child => Number(child.amount.toFixed(8)));
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(START);
+    prices = { ask: 100, bid: 99 };
+    candleVolume = 20;
+    submit = fillAt(100.5);
+
+    // Adaptador da exchange: ticker e candles de 1 minuto já fechados desde `since`
+    const adapter = {
+      fetchTicker: async () => ({ ...prices, last: prices.ask }),
+      fetchOHLCV: async (symbol, { since = Date.now() } = {}) => {
+        const candles = [];
+        for (let timestamp = since; timestamp + MINUTE <= Date.now(); timestamp += MINUTE) {
+          candles.push([timestamp, 100, 100, 100, 100, candleVolume]);
+        }
+        return candles;
+      }
+    };
+    setOrderManager(new OrderManager({ events: new EventEmitter(), resolveExchange: async () => adapter }));
+
+    router = new SmartOrderRouter();
+    router.findOptimalRoute = vi.fn(async () => ({ route: ['binance'], metrics: {} }));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    setOrderManager(null);
+  });
+
+  it('divide o TWAP em fatias iguais ao longo da janela', async () => {
+    const { id } = await start({ algorithm: 'twap', amount: 10, durationMs: 10000, slices: 5 });
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(childAmounts(router.getExecution(id))).toEqual([2]);
+
+    await vi.advanceTimersByTimeAsync(10000);
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('completed');
+    expect(childAmounts(execution)).toEqual([2, 2, 2, 2, 2]);
+    // Preço limite a no máximo 0.5% do preço atual
+    expect(execution.childOrders[0].limitPrice).toBeCloseTo(100.5);
+  });
+
+  it('pondera as fatias do VWAP pelo perfil de volume', async () => {
+    const { id } = await start({ algorithm: 'vwap', amount: 8, durationMs: 2000, slices: 2, volumeProfile: [1, 3] });
+
+    await vi.advanceTimersByTimeAsync(3000);
+
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('completed');
+    expect(childAmounts(execution)).toEqual([2, 6]);
+  });
+
+  it('acompanha no POV uma fração do volume negociado em cada intervalo', async () => {
+    const { id } = await start({ algorithm: 'pov', amount: 5, durationMs: 10 * MINUTE, participationRate: 0.1, intervalMs: MINUTE });
+
+    // Na largada ainda não há candle fechado
+    await vi.advanceTimersByTimeAsync(100);
+    expect(router.getExecution(id).childOrders).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(3 * MINUTE);
+
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('completed');
+    expect(childAmounts(execution)).toEqual([2, 2, 1]);
+  });
+
+  it('mostra no iceberg no máximo displaySize por ordem', async () => {
+    const { id } = await start({ algorithm: 'iceberg', amount: 7, displaySize: 3 });
+
+    await vi.advanceTimersByTimeAsync(100);
+
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('completed');
+    expect(childAmounts(execution)).toEqual([3, 3, 1]);
+  });
+
+  it('espera antes de repetir a fatia sem rota e falha depois de fatias seguidas sem execução', async () => {
+    router.findOptimalRoute.mockResolvedValue(null);
+    router.sliceRetryDelayMs = 1000;
+    router.maxSliceFailures = 3;
+
+    const { id } = await start({ algorithm: 'iceberg', amount: 7, displaySize: 3 });
+    await vi.advanceTimersByTimeAsync(999);
+    expect(router.getExecution(id).childOrders).toHaveLength(1);
+
+    prices.ask = 102;
+    await vi.advanceTimersByTimeAsync(5000);
+
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('failed');
+    expect(execution.error).toBe('3 fatias seguidas sem execução: Nenhuma rota dentro do slippage máximo');
+    expect(execution.childOrders.map(child => child.status)).toEqual(['skipped', 'skipped', 'skipped']);
+    // Nada executado: só o custo de oportunidade (preço final x chegada)
+    expect(execution.report).toMatchObject({ filled: 0, unfilled: 7, executionCost: 0, opportunityCost: 14, fillRate: 0 });
+  });
+
+  it('volta a zerar as falhas quando a fatia recusada é reenviada e executada', async () => {
+    const refusal = Object.assign(new Error('Saldo insuficiente'), { response: { status: 400 } });
+    submit = vi.fn(fillAt(100.5)).mockRejectedValueOnce(refusal).mockRejectedValueOnce(refusal);
+    router.sliceRetryDelayMs = 1000;
+    router.maxSliceFailures = 3;
+
+    const { id } = await start({ algorithm: 'iceberg', amount: 4, displaySize: 2 });
+    await vi.advanceTimersByTimeAsync(3000);
+
+    const execution = router.getExecution(id);
+    expect(execution.status).toBe('completed');
+    expect(execution.childOrders.map(child => child.status)).toEqual(['rejected', 'rejected', 'filled', 'filled']);
+    expect(execution.consecutiveFailures).toBe(0);
+  });
+
+  it('calcula o implementation shortfall frente ao preço de chegada', async () => {
+    const { id } = await start({ algorithm: 'twap', amount: 10, durationMs: 10000, slices: 5 });
+
+    await vi.advanceTimersByTimeAsync(11000);
+
+    // Chegada a 100, execução média a 100.5 e 5 ordens com 0.1 USDT de taxa cada
+    expect(router.getExecution(id).report).toMatchObject({
+      arrivalPrice: 100,
+      averagePrice: 100.5,
+      fillRate: 1,
+      executionCost: 5,
+      opportunityCost: 0,
+      childOrders: 5
+    });
+    const { fees, totalCost, shortfallBps, executionCostBps } = router.getExecution(id).report;
+    expect(fees).toBeCloseTo(0.5);
+    expect(totalCost).toBeCloseTo(5.5);
+    expect(shortfallBps).toBeCloseTo(55);
+    expect(executionCostBps).toBeCloseTo(50);
+  });
+});
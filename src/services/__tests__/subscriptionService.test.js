@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MemoryRepository, setRepository } from '../../repositories';
+import subscriptionService from '../subscriptionService';
+
+describe('subscriptionService', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new MemoryRepository();
+    setRepository(repository);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    setRepository(null);
+  });
+
+  const subscribe = async (userId, planId) => {
+    const pending = subscriptionService.processSubscription(userId, planId, { cardNumber: '4111111111111111' });
+    await vi.advanceTimersByTimeAsync(1000);
+    return pending;
+  };
+
+  it('grava a assinatura paga no repositório', async () => {
+    vi.setSystemTime(new Date('2025-03-01T00:00:00Z'));
+    // O processamento simulado do pagamento leva 1 segundo
+    const subscription = await subscribe('user-1', 'basic');
+
+    expect(subscription).toMatchObject({ userId: 'user-1', planId: 'basic', isActive: true, startDate: '2025-03-01T00:00:01.000Z', endDate: '2025-03-08T00:00:01.000Z' });
+    expect(subscription.paymentDetails.last4).toBe('1111');
+    expect(await subscriptionService.getActiveSubscription('user-1')).toMatchObject({ id: subscription.id });
+  });
+
+  it('cancela apenas as assinaturas do próprio usuário', async () => {
+    const subscription = await subscribe('user-1', 'premium');
+
+    await expect(subscriptionService.cancelSubscription('user-2', subscription.id))
+      .rejects.toMatchObject({ message: 'Assinatura não encontrada', status: 404 });
+    expect((await repository.findSubscriptionsByUserId('user-1'))[0].isActive).toBe(true);
+
+    const canceled = await subscriptionService.cancelSubscription('user-1', subscription.id);
+    expect(canceled.isActive).toBe(false);
+    expect(canceled.canceledAt).toBeTruthy();
+    expect(await subscriptionService.getActiveSubscription('user-1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MemoryRepository, setRepository } from '../../repositories';
+import { transactionImporter } from '../transactionImporter';
+
+// Depósito on-chain identificado pelo hash da transação
+const deposit = {
+  type: 'deposit',
+  asset: 'ETH',
+  amount: 1.5,
+  timestamp: '2025-03-10T15:00:00.000Z',
+  externalId: '0xabc:0',
+  txHash: '0xabc'
+};
+
+describe('transactionImporter.saveRecords', () => {
+  beforeEach(() => {
+    setRepository(new MemoryRepository());
+  });
+
+  it('gera IDs diferentes para usuários que importam a mesma transação', async () => {
+    const first = await transactionImporter.saveRecords('user-1', [deposit], { exchange: 'wallet', format: 'onchain' });
+    const second = await transactionImporter.saveRecords('user-2', [deposit], { exchange: 'wallet', format: 'onchain' });
+
+    expect(first.imported).toBe(1);
+    expect(second.imported).toBe(1);
+    expect(first.operations[0].id).not.toBe(second.operations[0].id);
+  });
+
+  it('não duplica a reimportação do mesmo usuário', async () => {
+    await transactionImporter.saveRecords('user-1', [deposit], { exchange: 'wallet', format: 'onchain' });
+    const again = await transactionImporter.saveRecords('user-1', [deposit], { exchange: 'wallet', format: 'onchain' });
+
+    expect(again).toMatchObject({ imported: 0, duplicates: 1 });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { MemoryRepository, setRepository } from '../../repositories';
+import { Ledger, FileLedgerStore, setLedger } from '../../../ledger.cjs';
+import { valuationService } from '../valuationService';
+
+describe('userProfitService', () => {
+  let userProfitService;
+  let ledger;
+
+  beforeAll(async () => {
+    // Livro-razão sem arquivo antes de carregar o serviço (ele registra a conciliação ao ser criado)
+    ledger = new Ledger({ store: new FileLedgerStore(null) });
+    setLedger(ledger);
+    userProfitService = (await import('../userProfitService')).default;
+  });
+
+  beforeEach(() => {
+    setRepository(new MemoryRepository());
+    ledger.store.entries = [];
+    vi.spyOn(valuationService, 'value').mockImplementation(async (amount, asset) => {
+      const priceUsd = asset === 'ETH' ? 2000 : 1;
+      return { priceUsd, usdBrl: 5, usd: parseFloat(amount) * priceUsd, brl: parseFloat(amount) * priceUsd * 5 };
+    });
+  });
+
+  it('grava a operação com a taxa de 5% e soma o histórico do usuário', async () => {
+    await userProfitService.recordProfit('user-1', { asset: 'ETH', amount: '1', profit: ethers.utils.parseEther('1').toString() });
+    const result = await userProfitService.recordProfit('user-1', { asset: 'ETH', amount: '1', profit: ethers.utils.parseEther('0.5').toString() });
+    await userProfitService.recordProfit('user-2', { asset: 'ETH', amount: '1', profit: ethers.utils.parseEther('3').toString() });
+
+    expect(result.operation.fee).toBe(ethers.utils.parseEther('0.025').toString());
+    expect(result.totalProfit).toBe(ethers.utils.parseEther('1.5').toString());
+    expect(result.totalFee).toBe(ethers.utils.parseEther('0.075').toString());
+
+    const history = await userProfitService.getUserProfitHistory('user-1');
+    expect(history.operations).toHaveLength(2);
+  });
+
+  it('calcula as estatísticas em USD e BRL e lança lucro e taxa no livro-razão', async () => {
+    await userProfitService.recordProfit('user-1', { asset: 'ETH', amount: '1', profit: ethers.utils.parseEther('1').toString() });
+
+    const stats = await userProfitService.getUserProfitStats('user-1');
+    expect(stats).toMatchObject({ operationsCount: 1, totalProfitUsd: '2000.00', totalProfitBrl: '10000.00', totalFeeUsd: '100.00' });
+    expect(await ledger.getBalance({ userId: 'user-1', account: 'income:trading' })).toBe('1');
+
+    expect(await ledger.checkConsistency()).toMatchObject({ consistent: true, drift: [] });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { ValuationService } from '../valuationService';
+
+const HOUR = 60 * 60 * 1000;
+
+// Exchange de referência com os candles informados
+const fakeExchange = (candles) => ({
+  fetchTicker: async () => ({ last: 5, timestamp: Date.now() }),
+  fetchOHLCV: async () => candles
+});
+
+describe('ValuationService', () => {
+  it('avalia operações antigas pelo fechamento do candle e guarda a cotação', async () => {
+    const now = Date.now();
+    const service = new ValuationService({ cacheFile: null, now: () => now });
+    service.exchange = fakeExchange([[now - HOUR, 5, 5, 5, 5.2, 100]]);
+
+    expect(await service.getUsdBrlRate(now - HOUR)).toBe(5.2);
+    service.exchange = fakeExchange([]);
+    expect(await service.getUsdBrlRate(now - HOUR)).toBe(5.2);
+  });
+
+  it('falha com mensagem clara quando a exchange não tem o candle histórico do USD/BRL', async () => {
+    const now = Date.now();
+    const service = new ValuationService({ cacheFile: null, now: () => now });
+    service.exchange = fakeExchange([]);
+
+    await expect(service.getUsdBrlRate(now - HOUR)).rejects.toThrow(/Sem candles de USDT\/BRL/);
+  });
+});
@@ -6,6 +6,8 @@ import { deepLearningService } from './deepLearningService';
 import { predictiveAnalytics } from './predictiveAnalytics';
 import { flashLoan, executeFlashLoan } from './flashLoan';
 import { defiIntegration } from './defiIntegration';
+import { multiLegExecutor, marketFor } from './multiLegExecutor';
+import { marketData } from './marketData';
 
 /**
  * Classe para arbitragem multi-exchange avançada
@@ -21,14 +23,14 @@ class AdvancedMultiExchangeArbitrage {
     this.activeArbitrages = new Map();
     this.arbitrageResults = [];
     this.exchanges = [
-      { name: 'Binance', fee: 0.001, priority: 1, apiConfig: cexConfig.binance },
-      { name: 'Coinbase', fee: 0.005, priority: 2, apiConfig: cexConfig.coinbase },
-      { name: 'Kraken', fee: 0.0026, priority: 3, apiConfig: cexConfig.kraken },
-      { name: 'KuCoin', fee: 0.001, priority: 4, apiConfig: cexConfig.kucoin },
-      { name: 'Gate.io', fee: 0.002, priority: 5, apiConfig: cexConfig.gateio },
-      { name: 'Bybit', fee: 0.001, priority: 6, apiConfig: cexConfig.bybit },
-      { name: 'MEXC', fee: 0.002, priority: 7, apiConfig: cexConfig.mexc },
-      { name: 'Bitget', fee: 0.0015, priority: 8, apiConfig: cexConfig.bitget }
+      { name: 'Binance', key: 'binance', fee: 0.001, priority: 1, apiConfig: cexConfig.binance },
+      { name: 'Coinbase', key: 'coinbase', fee: 0.005, priority: 2, apiConfig: cexConfig.coinbase },
+      { name: 'Kraken', key: 'kraken', fee: 0.0026, priority: 3, apiConfig: cexConfig.kraken },
+      { name: 'KuCoin', key: 'kucoin', fee: 0.001, priority: 4, apiConfig: cexConfig.kucoin },
+      { name: 'Gate.io', key: 'gateio', fee: 0.002, priority: 5, apiConfig: cexConfig.gateio },
+      { name: 'Bybit', key: 'bybit', fee: 0.001, priority: 6, apiConfig: cexConfig.bybit },
+      { name: 'MEXC', key: 'mexc', fee: 0.002, priority: 7, apiConfig: cexConfig.mexc },
+      { name: 'Bitget', key: 'bitget', fee: 0.0015, priority: 8, apiConfig: cexConfig.bitget }
     ];
     this.monitoredAssets = [
       'BTC', 'ETH', 'USDT', 'USDC', 'BNB', 'XRP', 'ADA', 
@@ -45,6 +47,12 @@ class AdvancedMultiExchangeArbitrage {
       takeProfitPercentage: 0.005, // 0.5% de take profit
       maxSlippageTolerance: 0.002 // 0.2% de tolerância máxima de slippage
     };
+    // Sem ARBITRAGE_LIVE_EXECUTION=true as pernas são executadas de forma simulada (simulateTrade),
+    // passando pelo mesmo fluxo de ordens, tratamento de pernas e relatório
+    this.liveExecution = process.env.ARBITRAGE_LIVE_EXECUTION === 'true';
+    // Com MARKET_DATA_STREAMS=true os preços vêm dos livros L2 em tempo real (marketData)
+    this.marketDataStreams = process.env.MARKET_DATA_STREAMS === 'true';
+    this.quoteAsset = 'USDT';
     this.triangularArbitrageEnabled = true;
     this.crossExchangeArbitrageEnabled = true;
     this.flashLoanArbitrageEnabled = true;
@@ -61,6 +69,10 @@ class AdvancedMultiExchangeArbitrage {
       // Validar configurações das exchanges
       await this.validateExchangeConfigs();
       
+      if (this.marketDataStreams) {
+        this.subscribeMarketData();
+      }
+      
       // Iniciar monitoramento contínuo
       this.startContinuousMonitoring();
       
@@ -104,6 +116,17 @@ class AdvancedMultiExchangeArbitrage {
     }
   }
 
+  /**
+   * Inscreve os ativos monitorados nos streams de livro das exchanges validadas
+   */
+  subscribeMarketData() {
+    const exchangeKeys = this.exchanges.map(exchange => exchange.key);
+    this.monitoredAssets
+      .filter(asset => asset !== this.quoteAsset)
+      .forEach(asset => marketData.subscribe(`${asset}/${this.quoteAsset}`, exchangeKeys));
+    console.log(`Livros em tempo real inscritos para ${this.monitoredAssets.length - 1} ativos em ${exchangeKeys.length} exchanges`);
+  }
+
   /**
    * Inicia monitoramento contínuo de oportunidades de arbitragem
    */
@@ -318,6 +341,13 @@ class AdvancedMultiExchangeArbitrage {
    * @returns {Promise<number>} - Preço do ativo
    */
   async getAssetPrice(exchangeName, asset) {
+    // Preço médio do livro em tempo real, quando sincronizado
+    const exchange = this.exchanges.find(item => item.name === exchangeName);
+    const book = exchange && marketData.getBook(exchange.key, `${asset}/${this.quoteAsset}`, 1);
+    if (book && book.bids.length > 0 && book.asks.length > 0) {
+      return (book.bids[0][0] + book.asks[0][0]) / 2;
+    }
+
     // Simulação de preço para desenvolvimento
     // Em produção, isso seria substituído por chamadas reais às APIs das exchanges
     const basePrice = this.getBasePrice(asset);
@@ -386,8 +416,8 @@ class AdvancedMultiExchangeArbitrage {
    * @returns {Promise<Object>} - Resultado da arbitragem
    */
   async executeArbitrage(asset, opportunity) {
+    const arbitrageId = `arb-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
     try {
-      const arbitrageId = `arb-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
       
       console.log(`Executando arbitragem ${arbitrageId} para ${asset}:`, opportunity);
       
@@ -409,11 +439,12 @@ class AdvancedMultiExchangeArbitrage {
         result = await this.executeTriangularArbitrage(arbitrageId, asset, opportunity);
       }
       
-      // Atualizar status da arbitragem
+      // Atualizar status da arbitragem (exposed: sobrou exposição que não foi desfeita dentro da perda máxima;
+      // unconfirmed: alguma perna ficou sem confirmação da exchange)
       this.activeArbitrages.set(arbitrageId, {
         ...this.activeArbitrages.get(arbitrageId),
         endTime: Date.now(),
-        status: 'completed',
+        status: ['exposed', 'unconfirmed'].includes(result.report.status) ? result.report.status : 'completed',
         result
       });
       
@@ -441,7 +472,7 @@ class AdvancedMultiExchangeArbitrage {
         }
       });
       
-      console.log(`Arbitragem ${arbitrageId} concluída com sucesso. Lucro: ${result.profit} ${asset}`);
+      console.log(`Arbitragem ${arbitrageId} concluída (${result.report.status}). Lucro: ${result.profit} ${result.report.profitAsset}`);
       
       return result;
     } catch (error) {
@@ -463,30 +494,36 @@ class AdvancedMultiExchangeArbitrage {
 
   /**
    * Executa arbitragem direta entre duas exchanges
+   * Compra e venda são enviadas ao mesmo tempo, com preço limite na tolerância de slippage;
+   * a perna que falhar ou for executada em parte é tratada pelo multiLegExecutor
    * @param {string} arbitrageId - ID da arbitragem
    * @param {string} asset - Símbolo do ativo
    * @param {Object} opportunity - Oportunidade de arbitragem
-   * @returns {Promise<Object>} - Resultado da arbitragem
+   * @returns {Promise<Object>} - Resultado da arbitragem, com o relatório pós-operação
    */
   async executeDirectArbitrage(arbitrageId, asset, opportunity) {
     try {
       const { buyExchange, sellExchange, buyPrice, sellPrice, profitPercentage } = opportunity;
+      const symbol = `${asset}/${this.quoteAsset}`;
+      const slippage = this.riskManagement.maxSlippageTolerance;
       
       // Determinar quantidade a ser negociada (simulação)
       const tradeAmount = 1; // 1 unidade do ativo
       
       console.log(`Executando arbitragem direta: Comprar ${tradeAmount} ${asset} em ${buyExchange} a ${buyPrice} e vender em ${sellExchange} a ${sellPrice}`);
       
-      // Simular compra na exchange de menor preço
-      const buyResult = await this.simulateTrade('buy', buyExchange, asset, tradeAmount, buyPrice);
-      
-      // Simular venda na exchange de maior preço
-      const sellResult = await this.simulateTrade('sell', sellExchange, asset, tradeAmount, sellPrice);
-      
-      // Calcular lucro
-      const cost = buyResult.total;
-      const revenue = sellResult.total;
-      const profit = revenue - cost;
+      const report = await multiLegExecutor.execute({
+        id: arbitrageId,
+        strategy: 'advancedMultiExchangeArbitrage',
+        profitAsset: this.quoteAsset,
+        expectedProfit: profitPercentage / 100 * buyPrice * tradeAmount,
+        legs: [
+          this.buildLeg(buyExchange, symbol, 'buy', tradeAmount, buyPrice, buyPrice * (1 + slippage)),
+          this.buildLeg(sellExchange, symbol, 'sell', tradeAmount, sellPrice, sellPrice * (1 - slippage))
+        ],
+        recovery: { submit: this.liveExecution ? null : this.simulatedSubmit(buyExchange) }
+      });
+      const [buyLeg, sellLeg] = report.legs;
       
       return {
         arbitrageId,
@@ -496,10 +533,11 @@ class AdvancedMultiExchangeArbitrage {
         buyPrice,
         sellPrice,
         tradeAmount,
-        cost,
-        revenue,
-        profit,
+        cost: buyLeg.filled * (buyLeg.averagePrice || 0),
+        revenue: sellLeg.filled * (sellLeg.averagePrice || 0),
+        profit: report.realized.profit,
         profitPercentage,
+        report,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -510,14 +548,17 @@ class AdvancedMultiExchangeArbitrage {
 
   /**
    * Executa arbitragem triangular em uma exchange
+   * As três conversões são enviadas ao mesmo tempo, com o saldo já disponível em cada ativo;
+   * o ativo intermediário que não terminar zerado é convertido de volta ao ativo inicial
    * @param {string} arbitrageId - ID da arbitragem
    * @param {string} asset - Símbolo do ativo inicial
    * @param {Object} opportunity - Oportunidade de arbitragem
-   * @returns {Promise<Object>} - Resultado da arbitragem
+   * @returns {Promise<Object>} - Resultado da arbitragem, com o relatório pós-operação
    */
   async executeTriangularArbitrage(arbitrageId, asset, opportunity) {
     try {
       const { exchange, path, rates, profitPercentage } = opportunity;
+      const slippage = this.riskManagement.maxSlippageTolerance;
       
       // Determinar quantidade a ser negociada (simulação)
       const initialAmount = 1; // 1 unidade do ativo inicial
@@ -527,27 +568,39 @@ class AdvancedMultiExchangeArbitrage {
       // Extrair ativos do caminho
       const pathAssets = path.split(' -> ');
       
-      // Simular as três operações
+      // Montar as conversões; o preço de referência de cada ativo é a cotação no ativo inicial
+      const legs = [];
+      const referencePrices = {};
       let currentAmount = initialAmount;
-      const trades = [];
+      let valueInAsset = 1;
       
       for (let i = 0; i < pathAssets.length - 1; i++) {
         const fromAsset = pathAssets[i];
         const toAsset = pathAssets[i + 1];
         const rate = rates[i];
+        if (fromAsset === toAsset) continue;
+        valueInAsset /= rate;
         
-        // Simular trade
-        const tradeResult = await this.simulateTriangularTrade(
-          exchange, fromAsset, toAsset, currentAmount, rate
-        );
+        const market = marketFor(fromAsset, toAsset);
+        const [amount, price] = market.side === 'sell'
+          ? [currentAmount, rate]
+          : [currentAmount * rate, 1 / rate];
+        const limitPrice = market.side === 'buy' ? price * (1 + slippage) : price * (1 - slippage);
+        legs.push(this.buildLeg(exchange, market.symbol, market.side, amount, price, limitPrice));
         
-        trades.push(tradeResult);
-        currentAmount = tradeResult.receivedAmount;
+        currentAmount *= rate;
+        if (toAsset !== asset) referencePrices[toAsset] = valueInAsset;
       }
       
-      // Calcular lucro
-      const finalAmount = currentAmount;
-      const profit = finalAmount - initialAmount;
+      const report = await multiLegExecutor.execute({
+        id: arbitrageId,
+        strategy: 'advancedMultiExchangeArbitrage',
+        profitAsset: asset,
+        expectedProfit: profitPercentage / 100 * initialAmount,
+        legs,
+        referencePrices,
+        recovery: { submit: this.liveExecution ? null : this.simulatedSubmit(exchange) }
+      });
       
       return {
         arbitrageId,
@@ -555,10 +608,11 @@ class AdvancedMultiExchangeArbitrage {
         exchange,
         path,
         initialAmount,
-        finalAmount,
-        profit,
+        finalAmount: initialAmount + report.realized.profit,
+        profit: report.realized.profit,
         profitPercentage,
-        trades,
+        trades: report.legs,
+        report,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -567,6 +621,58 @@ class AdvancedMultiExchangeArbitrage {
     }
   }
 
+  /**
+   * Monta uma perna para o multiLegExecutor
+   * @param {string} exchangeName - Nome da exchange (ex: Binance)
+   * @param {string} symbol - Par (ex: BTC/USDT)
+   * @param {string} side - buy ou sell
+   * @param {number} amount - Quantidade do ativo base
+   * @param {number} expectedPrice - Preço cotado na oportunidade
+   * @param {number} limitPrice - Preço limite da ordem
+   * @returns {Object} - Perna
+   */
+  buildLeg(exchangeName, symbol, side, amount, expectedPrice, limitPrice) {
+    const exchangeInfo = this.exchanges.find(e => e.name === exchangeName);
+    if (!exchangeInfo) {
+      throw new Error(`Exchange ${exchangeName} não encontrada`);
+    }
+    
+    return {
+      exchange: this.liveExecution ? exchangeInfo.key : 'simulated',
+      symbol,
+      side,
+      amount,
+      price: limitPrice,
+      expectedPrice,
+      type: 'limit',
+      submit: this.liveExecution ? null : this.simulatedSubmit(exchangeName, expectedPrice)
+    };
+  }
+
+  /**
+   * Envio simulado das ordens: execução integral pelo preço cotado (ou pelo preço limite,
+   * nas ordens de correção), com a taxa da exchange
+   * @param {string} exchangeName - Nome da exchange
+   * @param {number} fillPrice - Preço de execução (padrão: preço limite da ordem)
+   * @returns {Function} - async (ordem) => ordem no formato dos adaptadores
+   */
+  simulatedSubmit(exchangeName, fillPrice = null) {
+    return async (order) => {
+      const [base, quote] = order.symbol.split('/');
+      const price = fillPrice || order.price;
+      const trade = await this.simulateTrade(order.side, exchangeName, base, order.amount, price);
+      return {
+        id: `sim-${order.clientOrderId}`,
+        status: 'filled',
+        filled: trade.amount,
+        price: trade.price,
+        averagePrice: trade.price,
+        fee: { asset: quote, amount: trade.fee },
+        timestamp: trade.timestamp
+      };
+    };
+  }
+
   /**
    * Simula uma operação de compra ou venda
    * @param {string} type - Tipo de operação ('buy' ou 'sell')
@@ -603,43 +709,6 @@ class AdvancedMultiExchangeArbitrage {
     };
   }
 
-  /**
-   * Simula uma operação de troca em arbitragem triangular
-   * @param {string} exchange - Nome da exchange
-   * @param {string} fromAsset - Ativo de origem
-   * @param {string} toAsset - Ativo de destino
-   * @param {number} amount - Quantidade do ativo de origem
-   * @param {number} rate - Taxa de câmbio
-   * @returns {Promise<Object>} - Resultado da operação
-   */
-  async simulateTriangularTrade(exchange, fromAsset, toAsset, amount, rate) {
-    // Encontrar a exchange na lista
-    const exchangeInfo = this.exchanges.find(e => e.name === exchange);
-    
-    if (!exchangeInfo) {
-      throw new Error(`Exchange ${exchange} não encontrada`);
-    }
-    
-    // Calcular quantidade recebida e taxa
-    const receivedAmount = amount * rate;
-    const fee = receivedAmount * exchangeInfo.fee;
-    const netReceivedAmount = receivedAmount - fee;
-    
-    // Simular latência da API
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return {
-      exchange,
-      fromAsset,
-      toAsset,
-      sentAmount: amount,
-      rate,
-      receivedAmount: netReceivedAmount,
-      fee,
-      timestamp: Date.now()
-    };
-  }
-
   /**
    * Obtém estatísticas de arbitragem
    * @returns {Object} - Estatísticas de arbitragem
@@ -662,6 +731,10 @@ class AdvancedMultiExchangeArbitrage {
       }
     });
     
+    // Spread realizado x esperado (relatórios pós-operação) e operações com exposição aberta
+    const reports = this.arbitrageResults.map(r => r.result && r.result.report).filter(Boolean);
+    const captures = reports.filter(report => report.spreadCapture !== null).map(report => report.spreadCapture);
+    
     return {
       totalArbitrages,
       successfulArbitrages,
@@ -670,6 +743,10 @@ class AdvancedMultiExchangeArbitrage {
       directArbitrages,
       triangularArbitrages,
       profitByAsset,
+      averageSpreadCapture: captures.length > 0 ? captures.reduce((sum, value) => sum + value, 0) / captures.length : null,
+      exposedArbitrages: reports.filter(report => report.status === 'exposed').length,
+      unconfirmedArbitrages: reports.filter(report => report.status === 'unconfirmed').length,
+      recoveredArbitrages: reports.filter(report => ['unwound', 'hedged'].includes(report.status)).length,
       lastUpdate: this.lastUpdate
     };
   }
@@ -1,90 +1,228 @@
+import axios from 'axios';
+
+// Rotas de autenticação do serviço em segundo plano (ver auth-server.js)
+const AUTH_API_URL = '/api/auth';
+
+const readStorage = (key) => {
+  if (typeof localStorage === 'undefined') return null;
+  return JSON.parse(localStorage.getItem(key)) || null;
+};
+
+const writeStorage = (key, value) => {
+  if (typeof localStorage === 'undefined') return;
+  if (value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  } else {
+    localStorage.removeItem(key);
+  }
+};
+
+// Extrai a mensagem de erro devolvida pela API
+const toError = (error) => new Error(error.response?.data?.error || error.message);
+
 // Serviço de autenticação para gerenciar usuários
 class AuthService {
   constructor() {
-    // Inicializa o armazenamento local para usuários se não existir
-    if (!localStorage.getItem('users')) {
-      localStorage.setItem('users', JSON.stringify([]));
-    }
-    
-    // Inicializa o usuário atual do localStorage se existir
-    this.currentUser = JSON.parse(localStorage.getItem('currentUser')) || null;
+    this.http = axios.create({ baseURL: AUTH_API_URL });
+    // Sessão atual do navegador (dados públicos do usuário e tokens emitidos pelo servidor)
+    this.currentUser = readStorage('currentUser');
+    this.tokens = readStorage('authTokens');
+    this.refreshPromise = null;
+  }
+
+  _setSession(session) {
+    this.currentUser = session ? session.user : null;
+    this.tokens = session ? {
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken
+    } : null;
+    writeStorage('currentUser', this.currentUser);
+    writeStorage('authTokens', this.tokens);
+  }
+
+  _setCurrentUser(user) {
+    this.currentUser = user;
+    writeStorage('currentUser', user);
   }
 
   // Registrar um novo usuário
   async register(userData) {
     try {
-      // Simula uma chamada de API
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      const users = JSON.parse(localStorage.getItem('users'));
-      
-      // Verifica se o email já está em uso
-      if (users.some(user => user.email === userData.email)) {
-        throw new Error('Este email já está em uso.');
-      }
-      
-      // Cria um novo usuário com plano gratuito por padrão
-      const newUser = {
-        id: Date.now().toString(),
+      const { data } = await this.http.post('/register', {
         name: userData.name,
         email: userData.email,
-        password: userData.password, // Em um app real, isso seria criptografado
-        subscription: {
-          planId: 'free',
-          startDate: new Date().toISOString(),
-          endDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 1 dia
-          isActive: true
-        },
-        profits: [],
-        totalProfit: 0,
-        createdAt: new Date().toISOString()
-      };
-      
-      // Adiciona o novo usuário à lista
-      users.push(newUser);
-      localStorage.setItem('users', JSON.stringify(users));
-      
-      // Retorna o usuário sem a senha
-      const { password, ...userWithoutPassword } = newUser;
-      return userWithoutPassword;
+        password: userData.password
+      });
+      this._setSession(data);
+      return data.user;
     } catch (error) {
-      throw error;
+      throw toError(error);
     }
   }
 
-  // Login de usuário
+  // Login de usuário (com 2FA ativo devolve { mfaRequired, mfaToken } para completeLogin)
   async login(email, password) {
     try {
-      // Simula uma chamada de API
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      const users = JSON.parse(localStorage.getItem('users'));
-      const user = users.find(u => u.email === email && u.password === password);
-      
-      if (!user) {
-        throw new Error('Email ou senha inválidos.');
+      const { data } = await this.http.post('/login', { email, password });
+      if (data.mfaRequired) {
+        return { mfaRequired: true, mfaToken: data.mfaToken };
       }
-      
-      // Armazena o usuário atual no localStorage (sem a senha)
-      const { password: _, ...userWithoutPassword } = user;
-      localStorage.setItem('currentUser', JSON.stringify(userWithoutPassword));
-      this.currentUser = userWithoutPassword;
-      
-      return userWithoutPassword;
+      this._setSession(data);
+      return data.user;
     } catch (error) {
-      throw error;
+      throw toError(error);
     }
   }
 
-  // Logout de usuário
-  logout() {
-    localStorage.removeItem('currentUser');
-    this.currentUser = null;
+  // Segunda etapa do login com o código do aplicativo autenticador ou um código de backup
+  async completeLogin(mfaToken, code) {
+    try {
+      const { data } = await this.http.post('/login/2fa', { mfaToken, code });
+      this._setSession(data);
+      return data.user;
+    } catch (error) {
+      throw toError(error);
+    }
+  }
+
+  // Logout de usuário (revoga o refresh token no servidor)
+  async logout() {
+    const refreshToken = this.tokens?.refreshToken;
+    this._setSession(null);
+
+    if (refreshToken) {
+      try {
+        await this.http.post('/logout', { refreshToken });
+      } catch (error) {
+        console.error('Erro ao encerrar sessão no servidor:', error);
+      }
+    }
+  }
+
+  // Troca o refresh token por um novo par de tokens (chamadas simultâneas compartilham a mesma troca)
+  async refreshSession() {
+    if (!this.tokens?.refreshToken) {
+      throw new Error('Sessão expirada');
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.http.post('/refresh', { refreshToken: this.tokens.refreshToken })
+        .then(({ data }) => {
+          this._setSession(data);
+          return data;
+        })
+        .catch(error => {
+          this._setSession(null);
+          throw toError(error);
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  // Executa uma requisição autenticada, renovando o access token uma vez se ele tiver expirado
+  async authorizedRequest(config) {
+    if (!this.tokens?.accessToken) {
+      throw new Error('Usuário não autenticado');
+    }
+
+    const send = () => this.http.request({
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${this.tokens.accessToken}` }
+    });
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.response?.status !== 401) throw toError(error);
+      await this.refreshSession();
+      try {
+        return await send();
+      } catch (retryError) {
+        throw toError(retryError);
+      }
+    }
+  }
+
+  // Valida a sessão no servidor e atualiza o usuário atual (null se a sessão não for válida)
+  async validateSession() {
+    if (!this.tokens) {
+      this._setSession(null);
+      return null;
+    }
+
+    try {
+      const { data } = await this.authorizedRequest({ method: 'get', url: '/me' });
+      this._setCurrentUser(data.user);
+      return data.user;
+    } catch (error) {
+      this._setSession(null);
+      return null;
+    }
+  }
+
+  // Solicitar o email de redefinição de senha
+  async requestPasswordReset(email) {
+    try {
+      const { data } = await this.http.post('/password-reset/request', { email });
+      return data;
+    } catch (error) {
+      throw toError(error);
+    }
+  }
+
+  // Definir uma nova senha a partir do token recebido por email
+  async resetPassword(token, password) {
+    try {
+      const { data } = await this.http.post('/password-reset/confirm', { token, password });
+      return data;
+    } catch (error) {
+      throw toError(error);
+    }
+  }
+
+  // Inicia o cadastro do 2FA (segredo e URI otpauth:// para o QR code)
+  async setupTotp() {
+    const { data } = await this.authorizedRequest({ method: 'post', url: '/2fa/setup' });
+    return data;
+  }
+
+  // Confirma o cadastro do 2FA e devolve os códigos de backup (exibidos uma única vez)
+  async enableTotp(code) {
+    const { data } = await this.authorizedRequest({ method: 'post', url: '/2fa/enable', data: { code } });
+    this._setCurrentUser({ ...this.currentUser, totpEnabled: true });
+    return data.backupCodes;
+  }
+
+  async disableTotp(code) {
+    await this.authorizedRequest({ method: 'post', url: '/2fa/disable', data: { code } });
+    this._setCurrentUser({ ...this.currentUser, totpEnabled: false });
+  }
+
+  async regenerateBackupCodes(code) {
+    const { data } = await this.authorizedRequest({ method: 'post', url: '/2fa/backup-codes', data: { code } });
+    return data.backupCodes;
+  }
+
+  // Cadastra o CPF do usuário (declarante do arquivo mensal da IN 1888)
+  async updateCpf(cpf) {
+    const { data } = await this.authorizedRequest({ method: 'put', url: '/me/cpf', data: { cpf } });
+    this._setCurrentUser(data.user);
+    return data.user;
+  }
+
+  // Confirma uma ação sensível ('withdrawal' ou 'payout-destination') e devolve o token de confirmação
+  async confirmAction(code, action) {
+    const { data } = await this.authorizedRequest({ method: 'post', url: '/2fa/confirm', data: { code, action } });
+    return data.stepUpToken;
   }
 
   // Verifica se o usuário está autenticado
   isAuthenticated() {
-    return !!this.currentUser;
+    return !!this.currentUser && !!this.tokens;
   }
 
   // Obtém o usuário atual
@@ -92,13 +230,18 @@ class AuthService {
     return this.currentUser;
   }
 
+  // Obtém o access token atual (para chamadas a outras rotas protegidas)
+  getAccessToken() {
+    return this.tokens?.accessToken || null;
+  }
+
   // Verifica se a assinatura do usuário está ativa
   isSubscriptionActive() {
     if (!this.currentUser) return false;
-    
+
     const { subscription } = this.currentUser;
     if (!subscription) return false;
-    
+
     return subscription.isActive && new Date(subscription.endDate) > new Date();
   }
 
@@ -108,50 +251,20 @@ class AuthService {
     return this.currentUser.subscription;
   }
 
-  // Atualiza a assinatura do usuário
-  async updateSubscription(planId, durationDays) {
-    try {
-      if (!this.currentUser) throw new Error('Usuário não autenticado');
-      
-      // Simula uma chamada de API
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      const users = JSON.parse(localStorage.getItem('users'));
-      const userIndex = users.findIndex(u => u.id === this.currentUser.id);
-      
-      if (userIndex === -1) throw new Error('Usuário não encontrado');
-      
-      // Calcula a nova data de término da assinatura
-      const startDate = new Date().toISOString();
-      let endDate;
-      
-      if (durationDays === 0) { // Plano ilimitado
-        endDate = new Date(9999, 11, 31).toISOString();
-      } else {
-        endDate = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000).toISOString();
-      }
-      
-      // Atualiza a assinatura do usuário
-      users[userIndex].subscription = {
-        planId,
-        startDate,
-        endDate,
-        isActive: true
-      };
-      
-      // Atualiza o localStorage
-      localStorage.setItem('users', JSON.stringify(users));
-      
-      // Atualiza o usuário atual
-      const { password, ...userWithoutPassword } = users[userIndex];
-      localStorage.setItem('currentUser', JSON.stringify(userWithoutPassword));
-      this.currentUser = userWithoutPassword;
-      
-      return userWithoutPassword.subscription;
-    } catch (error) {
-      throw error;
+  // Concede ou altera a assinatura de um usuário (somente administradores)
+  async updateUserSubscription(userId, planId, durationDays) {
+    const { data } = await this.authorizedRequest({
+      method: 'put',
+      url: `/users/${userId}/subscription`,
+      data: { planId, durationDays }
+    });
+
+    if (this.currentUser && this.currentUser.id === userId) {
+      this._setCurrentUser({ ...this.currentUser, subscription: data.subscription });
     }
+
+    return data.subscription;
   }
 }
 
-export default new AuthService();
\ No newline at end of file
+export default new AuthService();
@@ -0,0 +1,646 @@
+import fs from 'fs';
+import traditionalMarketService from './traditionalMarketService';
+import { RiskEngine } from '../../risk-engine.js';
+import { LotTracker } from '../../lot-tracker.js';
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Relógio injetável usado durante o replay dos candles
+ * O tempo só avança quando o motor de backtest manda avançar
+ */
+export class ReplayClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  advanceTo(timestamp) {
+    if (timestamp < this.currentTime) {
+      throw new Error(`O relógio de replay não pode voltar no tempo (${timestamp} < ${this.currentTime})`);
+    }
+    this.currentTime = timestamp;
+  }
+}
+
+/**
+ * Gerador pseudoaleatório determinístico (mulberry32)
+ * Injetado nas ligações das estratégias (context.random) para que o mesmo seed produza o mesmo resultado
+ * @param {number} seed - Semente do gerador
+ * @returns {Function} - Função compatível com Math.random
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Normaliza um candle vindo de qualquer adaptador para { timestamp, open, high, low, close, volume }
+ * @param {Object} candle - Candle bruto
+ * @returns {Object} - Candle normalizado com timestamp em milissegundos
+ */
+const normalizeCandle = (candle) => ({
+  timestamp: typeof candle.timestamp === 'number' ? candle.timestamp : new Date(candle.timestamp).getTime(),
+  open: parseFloat(candle.open),
+  high: parseFloat(candle.high),
+  low: parseFloat(candle.low),
+  close: parseFloat(candle.close),
+  volume: parseFloat(candle.volume || 0)
+});
+
+/**
+ * Fonte de preços históricos consultada pelas estratégias durante o replay
+ * Sempre responde com o último candle/order book conhecido no instante do relógio
+ */
+export class HistoricalPriceSource {
+  constructor(clock) {
+    this.clock = clock;
+    this.candles = new Map();
+    this.orderBooks = new Map();
+  }
+
+  addCandles(asset, candles) {
+    const normalized = candles
+      .map(normalizeCandle)
+      .filter(candle => Number.isFinite(candle.timestamp) && Number.isFinite(candle.close))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    this.candles.set(asset, normalized);
+  }
+
+  addOrderBooks(asset, snapshots) {
+    const sorted = [...snapshots].sort((a, b) => a.timestamp - b.timestamp);
+    this.orderBooks.set(asset, sorted);
+  }
+
+  getAssets() {
+    return Array.from(this.candles.keys());
+  }
+
+  /**
+   * Retorna todos os timestamps distintos de todos os ativos, em ordem
+   * @returns {Array<number>} - Linha do tempo do replay
+   */
+  getTimeline() {
+    const timestamps = new Set();
+    for (const candles of this.candles.values()) {
+      candles.forEach(candle => timestamps.add(candle.timestamp));
+    }
+    return Array.from(timestamps).sort((a, b) => a - b);
+  }
+
+  _lastIndexAtOrBefore(items, timestamp) {
+    let low = 0;
+    let high = items.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (items[mid].timestamp <= timestamp) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  getCandle(asset) {
+    const candles = this.candles.get(asset) || [];
+    const index = this._lastIndexAtOrBefore(candles, this.clock.now());
+    return index >= 0 ? candles[index] : null;
+  }
+
+  getPrice(asset) {
+    const candle = this.getCandle(asset);
+    if (!candle) {
+      throw new Error(`Sem dados históricos para ${asset} em ${new Date(this.clock.now()).toISOString()}`);
+    }
+    return candle.close;
+  }
+
+  /**
+   * Retorna os últimos candles até o instante atual (sem olhar o futuro)
+   * @param {string} asset - Símbolo do ativo
+   * @param {number} lookback - Quantidade de candles
+   * @returns {Array} - Candles em ordem cronológica
+   */
+  getHistory(asset, lookback = 100) {
+    const candles = this.candles.get(asset) || [];
+    const index = this._lastIndexAtOrBefore(candles, this.clock.now());
+    if (index < 0) return [];
+    return candles.slice(Math.max(0, index - lookback + 1), index + 1);
+  }
+
+  getOrderBook(asset) {
+    const snapshots = this.orderBooks.get(asset) || [];
+    const index = this._lastIndexAtOrBefore(snapshots, this.clock.now());
+    return index >= 0 ? snapshots[index] : null;
+  }
+}
+
+/**
+ * Adaptadores de dados históricos para alimentar a HistoricalPriceSource
+ */
+export const backtestDataAdapters = {
+  /**
+   * Carrega um arquivo gravado em JSON ({ candles: { BTC: [...] }, orderBooks: { BTC: [...] } })
+   * ou CSV (timestamp,open,high,low,close,volume) de um único ativo
+   * @param {string} filePath - Caminho do arquivo
+   * @param {string} asset - Ativo do arquivo CSV (ignorado para JSON)
+   * @returns {Object} - { candles, orderBooks } indexados por ativo
+   */
+  loadRecordedFile(filePath, asset) {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (filePath.endsWith('.csv')) {
+      if (!asset) {
+        throw new Error('Informe o ativo ao carregar um arquivo CSV de candles');
+      }
+      const [header, ...lines] = content.trim().split(/\r?\n/);
+      const columns = header.split(',').map(column => column.trim().toLowerCase());
+      const candles = lines.map(line => {
+        const values = line.split(',');
+        return columns.reduce((candle, column, i) => {
+          candle[column] = column === 'timestamp' && /^\d+$/.test(values[i]) ? Number(values[i]) : values[i];
+          return candle;
+        }, {});
+      });
+      return { candles: { [asset]: candles }, orderBooks: {} };
+    }
+
+    const recorded = JSON.parse(content);
+    return {
+      candles: recorded.candles || {},
+      orderBooks: recorded.orderBooks || {}
+    };
+  },
+
+  /**
+   * Usa traditionalMarketService.getHistoricalData como fonte de candles
+   * @param {string} symbol - Símbolo do ativo
+   * @param {string} market - Mercado (forex, stocks, commodities)
+   * @param {string} timeframe - Período (1d, 1h, 15m)
+   * @returns {Promise<Object>} - { candles, orderBooks }
+   */
+  async fromTraditionalMarket(symbol, market, timeframe = '1d') {
+    const candles = await traditionalMarketService.getHistoricalData(symbol, market, timeframe);
+    return { candles: { [symbol]: candles }, orderBooks: {} };
+  },
+
+  /**
+   * Usa fetchHistoricalData do serviço de detecção de padrões como fonte de candles
+   * @param {Object} patternService - Instância do serviço de detecção de padrões
+   * @param {string} asset - Símbolo do ativo
+   * @param {string} timeframe - Timeframe dos dados (5m, 15m, 1h, 4h, daily, weekly)
+   * @returns {Promise<Object>} - { candles, orderBooks }
+   */
+  async fromPatternDetection(patternService, asset, timeframe = '1h') {
+    if (typeof patternService?.fetchHistoricalData !== 'function') {
+      throw new Error('Informe o serviço de detecção de padrões (com fetchHistoricalData)');
+    }
+    const candles = await patternService.fetchHistoricalData(asset, timeframe);
+    return { candles: { [asset]: candles }, orderBooks: {} };
+  }
+};
+
+/**
+ * Ligações entre o motor de backtest e os pontos de entrada das estratégias
+ * overrides(source, context): métodos e estado do serviço substituídos durante o replay (preços da fonte
+ * histórica, motor de risco e lotes em memória); now e random (relógio do replay e gerador com seed, também
+ * recebidos em context) são injetados em todos os serviços, que os usam no lugar de Date.now e Math.random
+ * run: chama o ponto de entrada real e traduz o resultado em ordens
+ */
+export const strategyBindings = {
+  statisticalArbitrage: {
+    overrides: (source) => ({
+      getBasePrice: async (asset) => source.getPrice(asset),
+      getHistoricalPrices: async (asset) => source.getHistory(asset, 100)
+        .map(candle => ({ timestamp: candle.timestamp, price: candle.close }))
+        .reverse()
+    }),
+    async run(service, { asset, params, position }) {
+      const result = await service.executeStatisticalArbitrage(asset);
+      if (!result || result.action === 'hold' || result.success === false) return [];
+
+      const quantity = params.orderSize || 1;
+      if (result.action === 'buy' && position <= 0) {
+        return [{ asset, side: 'buy', quantity: quantity - position }];
+      }
+      if (result.action === 'sell' && position > 0) {
+        return [{ asset, side: 'sell', quantity: position }];
+      }
+      return [];
+    }
+  },
+
+  shortSelling: {
+    overrides: (source) => ({
+      getCurrentPrice: async (asset) => source.getPrice(asset),
+      getPriceData: async (asset) => {
+        const candle = source.getCandle(asset);
+        const history = source.getHistory(asset, 24);
+        const first = history[0] || candle;
+        return {
+          asset,
+          price: candle.close,
+          change24h: (candle.close - first.open) / first.open,
+          volume24h: history.reduce((sum, c) => sum + c.volume, 0),
+          high24h: Math.max(...history.map(c => c.high)),
+          low24h: Math.min(...history.map(c => c.low)),
+          timestamp: candle.timestamp
+        };
+      },
+      // Previsão pelo movimento dos últimos 24 candles, sem olhar o futuro
+      predictPriceMovement: async (asset) => {
+        const history = source.getHistory(asset, 24);
+        const first = history[0];
+        const last = history[history.length - 1];
+        const expectedChange = first ? (last.close - first.open) / first.open : 0;
+        return {
+          direction: expectedChange < -0.01 ? 'down' : expectedChange > 0.01 ? 'up' : 'neutral',
+          confidence: Math.min(Math.abs(expectedChange) * 10, 0.95),
+          expectedChange
+        };
+      }
+    }),
+    async run(service, { asset, params, position }) {
+      const opportunities = await service.scanForShortOpportunities();
+      const opportunity = opportunities.find(opp => opp.asset === asset);
+      if (!opportunity || position < 0) return [];
+
+      return [{
+        asset,
+        side: 'sell',
+        quantity: (params.orderSize || 1) + Math.max(position, 0),
+        stopLoss: params.stopLoss || service.riskProfiles.conservative.stopLoss,
+        takeProfit: params.takeProfit || Math.min(opportunity.expectedDownside || 0.1, service.riskProfiles.conservative.takeProfit)
+      }];
+    }
+  },
+
+  marketLeverage: {
+    // As posições abertas no replay não chegam ao motor de risco, aos lotes nem às posições do serviço real
+    overrides: (source, { now }) => {
+      const riskEngine = new RiskEngine({ now });
+      const lotTracker = new LotTracker({ now });
+      return {
+        getCurrentPrice: async (asset) => source.getPrice(asset),
+        getRiskEngine: () => riskEngine,
+        getLotTracker: () => lotTracker,
+        activePositions: new Map(),
+        positionHistory: []
+      };
+    },
+    async run(service, { asset, params, position }) {
+      if (position !== 0) return [];
+
+      const leverage = params.leverage || 2;
+      const direction = params.direction || 'long';
+      const result = await service.executeMarketLeverage(asset, params.orderSize || 1, leverage, direction, params);
+      if (!result || !result.success) return [];
+
+      return [{
+        asset,
+        side: direction === 'long' ? 'buy' : 'sell',
+        quantity: result.position.amount * leverage,
+        stopLoss: result.position.stopLoss,
+        takeProfit: result.position.takeProfit
+      }];
+    }
+  }
+};
+
+/**
+ * Motor de backtest determinístico
+ * Reproduz candles históricos pelos mesmos pontos de entrada das estratégias,
+ * com relógio e fonte de preços injetados, e gera um relatório de desempenho
+ */
+class BacktestEngine {
+  constructor() {
+    this.defaultFeeRate = 0.001; // 0.1% por execução
+    this.defaultSlippage = 0.0005; // 0.05% quando não há order book gravado
+    this.defaultSeed = 42;
+    this.results = [];
+  }
+
+  /**
+   * Monta a fonte de preços a partir das saídas dos adaptadores
+   * @param {ReplayClock} clock - Relógio do replay
+   * @param {Array<Object>} datasets - Saídas de backtestDataAdapters
+   * @returns {HistoricalPriceSource} - Fonte de preços pronta para o replay
+   */
+  buildPriceSource(clock, datasets) {
+    const source = new HistoricalPriceSource(clock);
+    for (const dataset of datasets) {
+      for (const [asset, candles] of Object.entries(dataset.candles || {})) {
+        source.addCandles(asset, candles);
+      }
+      for (const [asset, snapshots] of Object.entries(dataset.orderBooks || {})) {
+        source.addOrderBooks(asset, snapshots);
+      }
+    }
+    return source;
+  }
+
+  /**
+   * Executa um backtest
+   * @param {Object} config - Configuração do backtest
+   * @param {string} config.strategy - Nome da ligação em strategyBindings
+   * @param {Object} config.service - Instância do serviço de estratégia
+   * @param {Array<Object>} config.datasets - Saídas de backtestDataAdapters
+   * @param {Array<string>} config.assets - Ativos a negociar (padrão: todos da fonte)
+   * @param {number} config.initialCapital - Capital inicial em USD
+   * @param {number} config.feeRate - Taxa por execução
+   * @param {number} config.slippage - Slippage sem order book
+   * @param {number} config.seed - Semente do gerador aleatório injetado nas estratégias
+   * @param {Object} config.params - Parâmetros repassados para a ligação
+   * @returns {Promise<Object>} - Relatório do backtest
+   */
+  async run({
+    strategy,
+    service,
+    datasets,
+    assets,
+    initialCapital = 10000,
+    feeRate = this.defaultFeeRate,
+    slippage = this.defaultSlippage,
+    seed = this.defaultSeed,
+    params = {}
+  }) {
+    const binding = strategyBindings[strategy];
+    if (!binding) {
+      throw new Error(`Estratégia ${strategy} não suportada pelo backtest`);
+    }
+    if (!service) {
+      throw new Error(`Serviço da estratégia ${strategy} não informado`);
+    }
+
+    const clock = new ReplayClock();
+    const source = this.buildPriceSource(clock, datasets);
+    const timeline = source.getTimeline();
+    if (timeline.length === 0) {
+      throw new Error('Nenhum candle disponível para o backtest');
+    }
+
+    const tradedAssets = assets || source.getAssets();
+    const portfolio = {
+      cash: initialCapital,
+      positions: {},
+      exits: {},
+      fees: 0,
+      trades: [],
+      equityCurve: []
+    };
+
+    // Sobrescrever preços, relógio, aleatoriedade e estado no próprio objeto e guardar o estado anterior
+    const random = createSeededRandom(seed);
+    const now = () => clock.now();
+    const overrides = {
+      now,
+      random,
+      ...binding.overrides(source, { now, random })
+    };
+    const restoreMethods = Object.keys(overrides).map(name => {
+      const hadOwn = Object.prototype.hasOwnProperty.call(service, name);
+      const previous = service[name];
+      service[name] = overrides[name];
+      return () => {
+        if (hadOwn) {
+          service[name] = previous;
+        } else {
+          delete service[name];
+        }
+      };
+    });
+
+    try {
+      for (const timestamp of timeline) {
+        clock.advanceTo(timestamp);
+
+        for (const asset of tradedAssets) {
+          if (!source.getCandle(asset)) continue;
+
+          this._checkExits(portfolio, source, asset, feeRate, slippage, strategy);
+
+          const orders = await binding.run(service, {
+            asset,
+            params,
+            position: portfolio.positions[asset] || 0,
+            timestamp,
+            random
+          });
+
+          for (const order of orders) {
+            this._fillOrder(portfolio, source, order, feeRate, slippage, strategy);
+          }
+        }
+
+        portfolio.equityCurve.push({
+          timestamp,
+          equity: this._markToMarket(portfolio, source)
+        });
+      }
+
+      // Encerrar posições abertas no último candle
+      for (const asset of Object.keys(portfolio.positions)) {
+        const quantity = portfolio.positions[asset];
+        if (quantity !== 0) {
+          this._fillOrder(portfolio, source, {
+            asset,
+            side: quantity > 0 ? 'sell' : 'buy',
+            quantity: Math.abs(quantity),
+            reason: 'end_of_backtest'
+          }, feeRate, slippage, strategy);
+        }
+      }
+      portfolio.equityCurve[portfolio.equityCurve.length - 1].equity = this._markToMarket(portfolio, source);
+    } finally {
+      restoreMethods.forEach(restore => restore());
+    }
+
+    const report = this.buildReport({ strategy, initialCapital, seed, portfolio });
+    this.results.push(report);
+    return report;
+  }
+
+  /**
+   * Executa uma ordem contra o order book gravado ou contra o candle atual
+   * @private
+   */
+  _fillOrder(portfolio, source, order, feeRate, slippage, strategy) {
+    const { asset, side, quantity } = order;
+    if (!(quantity > 0)) return null;
+
+    const book = source.getOrderBook(asset);
+    const levels = book ? (side === 'buy' ? book.asks : book.bids) : null;
+    let price;
+
+    if (levels && levels.length > 0) {
+      // Preço médio percorrendo os níveis do book; o que faltar usa o último nível
+      let remaining = quantity;
+      let cost = 0;
+      for (const [levelPrice, levelSize] of levels) {
+        const take = Math.min(remaining, parseFloat(levelSize));
+        cost += take * parseFloat(levelPrice);
+        remaining -= take;
+        if (remaining <= 0) break;
+      }
+      if (remaining > 0) {
+        cost += remaining * parseFloat(levels[levels.length - 1][0]);
+      }
+      price = cost / quantity;
+    } else {
+      const close = source.getPrice(asset);
+      price = side === 'buy' ? close * (1 + slippage) : close * (1 - slippage);
+    }
+
+    const notional = price * quantity;
+    const fee = notional * feeRate;
+    const signedQuantity = side === 'buy' ? quantity : -quantity;
+
+    portfolio.cash -= side === 'buy' ? notional + fee : fee - notional;
+    portfolio.fees += fee;
+    portfolio.positions[asset] = (portfolio.positions[asset] || 0) + signedQuantity;
+
+    if (Math.abs(portfolio.positions[asset]) < 1e-12) {
+      portfolio.positions[asset] = 0;
+      delete portfolio.exits[asset];
+    } else if (order.stopLoss || order.takeProfit) {
+      portfolio.exits[asset] = {
+        entryPrice: price,
+        stopLoss: order.stopLoss,
+        takeProfit: order.takeProfit
+      };
+    }
+
+    const trade = {
+      timestamp: source.clock.now(),
+      strategy,
+      asset,
+      side,
+      quantity,
+      price,
+      notional,
+      fee,
+      reason: order.reason || 'signal'
+    };
+    portfolio.trades.push(trade);
+    return trade;
+  }
+
+  /**
+   * Verifica stop loss / take profit usando máxima e mínima do candle atual
+   * @private
+   */
+  _checkExits(portfolio, source, asset, feeRate, slippage, strategy) {
+    const exit = portfolio.exits[asset];
+    const quantity = portfolio.positions[asset] || 0;
+    if (!exit || quantity === 0) return;
+
+    const candle = source.getCandle(asset);
+    const isLong = quantity > 0;
+    const adverse = isLong
+      ? (exit.entryPrice - candle.low) / exit.entryPrice
+      : (candle.high - exit.entryPrice) / exit.entryPrice;
+    const favorable = isLong
+      ? (candle.high - exit.entryPrice) / exit.entryPrice
+      : (exit.entryPrice - candle.low) / exit.entryPrice;
+
+    // Na dúvida dentro do mesmo candle, o stop loss tem prioridade
+    let reason = null;
+    if (exit.stopLoss && adverse >= exit.stopLoss) {
+      reason = 'stop_loss';
+    } else if (exit.takeProfit && favorable >= exit.takeProfit) {
+      reason = 'take_profit';
+    }
+
+    if (reason) {
+      this._fillOrder(portfolio, source, {
+        asset,
+        side: isLong ? 'sell' : 'buy',
+        quantity: Math.abs(quantity),
+        reason
+      }, feeRate, slippage, strategy);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _markToMarket(portfolio, source) {
+    return Object.entries(portfolio.positions).reduce((equity, [asset, quantity]) => {
+      return quantity === 0 ? equity : equity + quantity * source.getPrice(asset);
+    }, portfolio.cash);
+  }
+
+  /**
+   * Calcula as métricas do relatório a partir da curva de patrimônio
+   * @param {Object} data - Dados do backtest
+   * @returns {Object} - Relatório (curva de PnL, drawdown, Sharpe, taxas, trades)
+   */
+  buildReport({ strategy, initialCapital, seed, portfolio }) {
+    const { equityCurve, trades, fees } = portfolio;
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    const pnlCurve = equityCurve.map(point => {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak > 0 ? (peak - point.equity) / peak : 0;
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+      return {
+        timestamp: point.timestamp,
+        equity: point.equity,
+        pnl: point.equity - initialCapital,
+        drawdown
+      };
+    });
+
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+    }
+    const meanReturn = returns.length ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+    const variance = returns.length > 1
+      ? returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / (returns.length - 1)
+      : 0;
+    const stdDev = Math.sqrt(variance);
+
+    // Anualizar pelo intervalo médio entre candles
+    const elapsed = equityCurve[equityCurve.length - 1].timestamp - equityCurve[0].timestamp;
+    const periodsPerYear = returns.length > 0 && elapsed > 0 ? MS_PER_YEAR / (elapsed / returns.length) : 0;
+    const sharpeRatio = stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(periodsPerYear) : 0;
+
+    return {
+      strategy,
+      seed,
+      startTime: equityCurve[0].timestamp,
+      endTime: equityCurve[equityCurve.length - 1].timestamp,
+      initialCapital,
+      finalEquity,
+      pnl: finalEquity - initialCapital,
+      returnPercentage: ((finalEquity - initialCapital) / initialCapital) * 100,
+      maxDrawdown,
+      sharpeRatio,
+      totalFees: fees,
+      totalTrades: trades.length,
+      pnlCurve,
+      trades
+    };
+  }
+
+  getResults() {
+    return this.results;
+  }
+}
+
+export const backtestEngine = new BacktestEngine();
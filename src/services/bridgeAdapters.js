@@ -0,0 +1,793 @@
+import { ethers } from 'ethers';
+import axios from 'axios';
+import { gasOptimizer } from './gasOptimizer';
+
+/**
+ * Adaptadores das bridges canônicas entre a Ethereum (L1) e as redes de LAYER2_CONFIG
+ *
+ * Todos expõem o mesmo contrato, usado pelo acompanhamento de transferências (src/services/crossChainBridge.js):
+ * - deposit({ signer, token, amount, recipient }): envia o depósito na L1; devolve { receipt, data }
+ * - checkDeposit(transfer): { arrived } quando os fundos chegaram na L2
+ * - withdraw({ signer, token, amount, recipient }): inicia o saque na L2; devolve { receipt, data }
+ * - checkWithdrawal(transfer): { status } entre waiting, provable, proven, finalizable e finalized
+ * - prove(transfer, signer): prova o saque na L1 (somente Optimism)
+ * - finalize(transfer, signer): conclui o saque na L1
+ *
+ * token é 'ETH' ou { l1, l2 } (endereços do token nas duas redes; l2 é calculado pela bridge quando possível).
+ * data guarda o que cada bridge precisa para acompanhar e finalizar a transferência e é persistido em JSON,
+ * por isso os valores numéricos ficam como string.
+ */
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function withdraw(uint256 amount)'
+];
+
+const POLYGON_ABIS = {
+  rootChainManager: [
+    'function depositEtherFor(address user) payable',
+    'function depositFor(address user, address rootToken, bytes depositData)',
+    'function exit(bytes inputData)',
+    'function rootToChildToken(address rootToken) view returns (address)'
+  ],
+  stateSender: ['event StateSynced(uint256 indexed id, address indexed contractAddress, bytes data)'],
+  stateReceiver: ['function lastStateId() view returns (uint256)']
+};
+
+const OPTIMISM_WITHDRAWAL_TYPE = 'tuple(uint256 nonce, address sender, address target, uint256 value, uint256 gasLimit, bytes data)';
+const OPTIMISM_ABIS = {
+  l1StandardBridge: [
+    'function depositETHTo(address _to, uint32 _minGasLimit, bytes _extraData) payable',
+    'function depositERC20To(address _l1Token, address _l2Token, address _to, uint256 _amount, uint32 _minGasLimit, bytes _extraData)'
+  ],
+  l2StandardBridge: [
+    'function withdrawTo(address _l2Token, address _to, uint256 _amount, uint32 _minGasLimit, bytes _extraData) payable'
+  ],
+  messagePasser: [
+    'event MessagePassed(uint256 indexed nonce, address indexed sender, address indexed target, uint256 value, uint256 gasLimit, bytes data, bytes32 withdrawalHash)'
+  ],
+  optimismPortal: [
+    `function proveWithdrawalTransaction(${OPTIMISM_WITHDRAWAL_TYPE} _tx, uint256 _disputeGameIndex, tuple(bytes32 version, bytes32 stateRoot, bytes32 messagePasserStorageRoot, bytes32 latestBlockhash) _outputRootProof, bytes[] _withdrawalProof)`,
+    `function finalizeWithdrawalTransaction(${OPTIMISM_WITHDRAWAL_TYPE} _tx)`,
+    'function finalizedWithdrawals(bytes32 withdrawalHash) view returns (bool)',
+    'function respectedGameType() view returns (uint32)'
+  ],
+  disputeGameFactory: [
+    'function gameCount() view returns (uint256)',
+    'function findLatestGames(uint32 _gameType, uint256 _start, uint256 _n) view returns (tuple(uint256 index, bytes32 metadata, uint64 timestamp, bytes32 rootClaim, bytes extraData)[])'
+  ]
+};
+// Endereço que representa o ETH na L2StandardBridge
+const OPTIMISM_ETH = '0xDeadDeAddeAddEAddeadDEaDDEAdDeaDDeAD0000';
+
+const ARBITRUM_ABIS = {
+  l1GatewayRouter: [
+    'function outboundTransfer(address _token, address _to, uint256 _amount, uint256 _maxGas, uint256 _gasPriceBid, bytes _data) payable returns (bytes)',
+    'function getGateway(address _token) view returns (address)',
+    'function calculateL2TokenAddress(address l1ERC20) view returns (address)'
+  ],
+  inbox: [
+    'function depositEth() payable returns (uint256)',
+    'function calculateRetryableSubmissionFee(uint256 dataLength, uint256 baseFee) view returns (uint256)'
+  ],
+  l2GatewayRouter: ['function outboundTransfer(address _l1Token, address _to, uint256 _amount, bytes _data) payable returns (bytes)'],
+  arbSys: [
+    'function withdrawEth(address destination) payable returns (uint256)',
+    'event L2ToL1Tx(address caller, address indexed destination, uint256 indexed hash, uint256 indexed position, uint256 arbBlockNum, uint256 ethBlockNum, uint256 timestamp, uint256 callvalue, bytes data)'
+  ],
+  nodeInterface: ['function constructOutboxProof(uint64 size, uint64 leaf) view returns (bytes32 send, bytes32 root, bytes32[] proof)'],
+  outbox: [
+    'function executeTransaction(bytes32[] proof, uint256 index, address l2Sender, address to, uint256 l2Block, uint256 l1Block, uint256 l2Timestamp, uint256 value, bytes data)',
+    'function isSpent(uint256 index) view returns (bool)',
+    'function roots(bytes32 sendRoot) view returns (bytes32)'
+  ],
+  rollup: ['event AssertionConfirmed(bytes32 indexed assertionHash, bytes32 blockHash, bytes32 sendRoot)']
+};
+
+const ZKSYNC_ABIS = {
+  bridgehub: [
+    'function requestL2TransactionDirect(tuple(uint256 chainId, uint256 mintValue, address l2Contract, uint256 l2Value, bytes l2Calldata, uint256 l2GasLimit, uint256 l2GasPerPubdataByteLimit, bytes[] factoryDeps, address refundRecipient) _request) payable returns (bytes32)',
+    'function requestL2TransactionTwoBridges(tuple(uint256 chainId, uint256 mintValue, uint256 l2Value, uint256 l2GasLimit, uint256 l2GasPerPubdataByteLimit, address refundRecipient, address secondBridgeAddress, uint256 secondBridgeValue, bytes secondBridgeCalldata) _request) payable returns (bytes32)',
+    'function l2TransactionBaseCost(uint256 _chainId, uint256 _gasPrice, uint256 _l2GasLimit, uint256 _l2GasPerPubdataByteLimit) view returns (uint256)'
+  ],
+  l1SharedBridge: [
+    'function finalizeWithdrawal(uint256 _chainId, uint256 _l2BatchNumber, uint256 _l2MessageIndex, uint16 _l2TxNumberInBatch, bytes _message, bytes32[] _merkleProof)',
+    'function isWithdrawalFinalized(uint256 _chainId, uint256 _l2BatchNumber, uint256 _l2MessageIndex) view returns (bool)'
+  ],
+  l2Bridge: [
+    'function withdraw(address _l1Receiver, address _l2Token, uint256 _amount)',
+    'function l2TokenAddress(address _l1Token) view returns (address)'
+  ],
+  l2BaseToken: ['function withdraw(address _l1Receiver) payable'],
+  l1Messenger: ['event L1MessageSent(address indexed _sender, bytes32 indexed _hash, bytes _message)']
+};
+const ZKSYNC_L2_BASE_TOKEN = '0x000000000000000000000000000000000000800A';
+const ZKSYNC_L1_MESSENGER = '0x0000000000000000000000000000000000008008';
+const ZKSYNC_GAS_PER_PUBDATA = 800; // REQUIRED_L2_GAS_PRICE_PER_PUBDATA das transações L1 -> L2
+const ZKSYNC_L2_GAS_LIMIT = 1000000; // Sobra reembolsada ao refundRecipient na L2
+
+// Gas mínimo da mensagem na L2 (Optimism) e do ticket retentável (Arbitrum)
+const L2_MESSAGE_GAS = 200000;
+const ARBITRUM_RETRYABLE_GAS = 300000;
+const ARBITRUM_RETRYABLE_DATA_LENGTH = 2000; // Tamanho generoso da chamada do gateway na L2; o excedente é reembolsado
+const ARBITRUM_ASSERTION_LOOKBACK_BLOCKS = 50000; // ~7 dias de blocos da Ethereum
+
+const TRANSFER_EVENT_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const isEth = token => token === 'ETH';
+
+function bridgeError(message, network) {
+  const error = new Error(`Bridge ${network}: ${message}`);
+  error.bridge = network;
+  return error;
+}
+
+// Eventos do contrato no recibo, já decodificados
+function parseEvents(receipt, address, iface, name) {
+  return (receipt.logs || [])
+    .filter(log => log.address.toLowerCase() === address.toLowerCase())
+    .map(log => {
+      try {
+        return iface.parseLog(log);
+      } catch (error) {
+        return null; // Outro evento do contrato
+      }
+    })
+    .filter(event => event && event.name === name);
+}
+
+export class BridgeAdapter {
+  /**
+   * @param {string} network - Rede de LAYER2_CONFIG
+   * @param {Object} options - Opções do adaptador
+   * @param {Object} options.config - Configuração da rede em LAYER2_CONFIG (usa config.bridge)
+   * @param {Object} options.l1Provider - Provider da Ethereum
+   * @param {Object} options.l2Provider - Provider da rede
+   */
+  constructor(network, { config, l1Provider, l2Provider }) {
+    this.network = network;
+    this.config = config;
+    this.bridge = config.bridge;
+    this.l1Provider = l1Provider;
+    this.l2Provider = l2Provider;
+  }
+
+  contract(address, abi, signerOrProvider) {
+    return new ethers.Contract(address, abi, signerOrProvider);
+  }
+
+  // Envia pelo gasOptimizer (nonce e substituição de transações presas) e aguarda a confirmação
+  async send(signer, layer, transaction) {
+    const sent = await gasOptimizer.sendTransaction(signer, transaction, {
+      network: layer === 'l1' ? 'mainnet' : this.network
+    });
+    return sent.wait(1);
+  }
+
+  async ensureAllowance(signer, tokenAddress, spender, amount, layer) {
+    const token = this.contract(tokenAddress, ERC20_ABI, signer);
+    const allowance = await token.allowance(await signer.getAddress(), spender);
+    if (allowance.lt(amount)) {
+      await this.send(signer, layer, {
+        to: tokenAddress,
+        data: token.interface.encodeFunctionData('approve', [spender, amount])
+      });
+    }
+  }
+
+  // Endereço do token na L2; as bridges que mapeiam o token on-chain sobrescrevem
+  async resolveL2Token(token) {
+    if (!token.l2) {
+      throw bridgeError(`informe o endereço do token na L2 (token.l2) para ${token.l1}`, this.network);
+    }
+    return token.l2;
+  }
+
+  async l2Balance(token, address) {
+    if (isEth(token)) {
+      return this.l2Provider.getBalance(address);
+    }
+    const l2Token = await this.resolveL2Token(token);
+    return this.contract(l2Token, ERC20_ABI, this.l2Provider).balanceOf(address);
+  }
+
+  /**
+   * Chegada do depósito pelo saldo do destinatário na L2: saldo anterior ao depósito + valor
+   * Movimentações do destinatário na L2 durante o depósito podem atrasar a detecção
+   */
+  async checkDeposit(transfer) {
+    const balance = await this.l2Balance(transfer.token, transfer.recipient);
+    return { arrived: balance.gte(ethers.BigNumber.from(transfer.data.baseline).add(transfer.amount)) };
+  }
+
+  async depositBaseline(token, recipient) {
+    return (await this.l2Balance(token, recipient)).toString();
+  }
+
+  // Transação aceita pelo nó (estimateGas não reverte): usado para saber se o saque já pode ser concluído
+  async canExecute(provider, transaction) {
+    try {
+      await provider.estimateGas(transaction);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async prove() {
+    throw bridgeError('a bridge não tem etapa de prova', this.network);
+  }
+}
+
+/**
+ * Polygon PoS: depósito pelo RootChainManager (sincronização de estado) e saque pela queima do token
+ * na Polygon; após o checkpoint na Ethereum, a prova vem da API de provas e o exit libera os fundos na L1.
+ * O exit paga quem queimou os tokens, por isso o destinatário do saque é sempre a própria carteira.
+ */
+export class PolygonBridgeAdapter extends BridgeAdapter {
+  async resolveL2Token(token) {
+    if (token.l2) return token.l2;
+    const manager = this.contract(this.bridge.rootChainManager, POLYGON_ABIS.rootChainManager, this.l1Provider);
+    const l2Token = await manager.rootToChildToken(token.l1);
+    if (l2Token === ethers.constants.AddressZero) {
+      throw bridgeError(`token ${token.l1} não mapeado na Polygon`, this.network);
+    }
+    return l2Token;
+  }
+
+  async deposit({ signer, token, amount, recipient }) {
+    const manager = this.contract(this.bridge.rootChainManager, POLYGON_ABIS.rootChainManager, signer);
+    let transaction;
+    if (isEth(token)) {
+      transaction = {
+        to: manager.address,
+        data: manager.interface.encodeFunctionData('depositEtherFor', [recipient]),
+        value: amount
+      };
+    } else {
+      await this.ensureAllowance(signer, token.l1, this.bridge.erc20Predicate, amount, 'l1');
+      transaction = {
+        to: manager.address,
+        data: manager.interface.encodeFunctionData('depositFor', [
+          recipient,
+          token.l1,
+          ethers.utils.defaultAbiCoder.encode(['uint256'], [amount])
+        ])
+      };
+    }
+
+    const receipt = await this.send(signer, 'l1', transaction);
+    const [stateSync] = parseEvents(receipt, this.bridge.stateSender, new ethers.utils.Interface(POLYGON_ABIS.stateSender), 'StateSynced');
+    if (!stateSync) {
+      throw bridgeError(`StateSynced não encontrado no depósito ${receipt.transactionHash}`, this.network);
+    }
+    return { receipt, data: { stateId: stateSync.args.id.toString() } };
+  }
+
+  // O depósito chega quando a Polygon processa a sincronização de estado emitida na L1
+  async checkDeposit(transfer) {
+    const receiver = this.contract(this.bridge.stateReceiver, POLYGON_ABIS.stateReceiver, this.l2Provider);
+    return { arrived: (await receiver.lastStateId()).gte(transfer.data.stateId) };
+  }
+
+  async withdraw({ signer, token, amount, recipient }) {
+    if (recipient.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+      throw bridgeError('o saque da Polygon só pode ser recebido pela própria carteira', this.network);
+    }
+    const childToken = isEth(token) ? this.bridge.l2Weth : await this.resolveL2Token(token);
+    const iface = new ethers.utils.Interface(ERC20_ABI);
+    const receipt = await this.send(signer, 'l2', {
+      to: childToken,
+      data: iface.encodeFunctionData('withdraw', [amount])
+    });
+    return { receipt, data: { childToken } };
+  }
+
+  // Payload do exit; a API responde com erro até o bloco da queima entrar num checkpoint
+  async getExitPayload(transfer) {
+    try {
+      const response = await axios.get(`${this.bridge.proofApi}/exit-payload/${transfer.initiatedHash}`, {
+        params: { eventSignature: TRANSFER_EVENT_TOPIC },
+        timeout: 15000
+      });
+      return response.data?.result || null;
+    } catch (error) {
+      if (error.response) return null;
+      throw error;
+    }
+  }
+
+  async checkWithdrawal(transfer) {
+    const payload = await this.getExitPayload(transfer);
+    if (!payload) return { status: 'waiting' };
+
+    const manager = this.contract(this.bridge.rootChainManager, POLYGON_ABIS.rootChainManager, this.l1Provider);
+    try {
+      await this.l1Provider.estimateGas({
+        from: transfer.from,
+        to: manager.address,
+        data: manager.interface.encodeFunctionData('exit', [payload])
+      });
+    } catch (error) {
+      if (/EXIT_ALREADY_PROCESSED/.test(error.error?.message || error.message)) {
+        return { status: 'finalized' };
+      }
+      // Outras reversões aparecem no envio do exit
+    }
+    return { status: 'finalizable', data: { exitPayload: payload } };
+  }
+
+  async finalize(transfer, signer) {
+    const payload = transfer.data.exitPayload || await this.getExitPayload(transfer);
+    if (!payload) {
+      throw bridgeError('bloco do saque ainda não entrou num checkpoint', this.network);
+    }
+    const manager = this.contract(this.bridge.rootChainManager, POLYGON_ABIS.rootChainManager, signer);
+    return this.send(signer, 'l1', { to: manager.address, data: manager.interface.encodeFunctionData('exit', [payload]) });
+  }
+}
+
+/**
+ * Optimism (OP Stack com provas de falha): depósito pela L1StandardBridge e saque em três etapas:
+ * withdrawTo na L2, prova no OptimismPortal quando um jogo de disputa cobre o bloco do saque e
+ * finalização após a janela de desafio (7 dias a partir da prova)
+ */
+export class OptimismBridgeAdapter extends BridgeAdapter {
+  async deposit({ signer, token, amount, recipient }) {
+    const bridge = this.contract(this.bridge.l1StandardBridge, OPTIMISM_ABIS.l1StandardBridge, signer);
+    const baseline = await this.depositBaseline(token, recipient);
+    let transaction;
+    if (isEth(token)) {
+      transaction = {
+        to: bridge.address,
+        data: bridge.interface.encodeFunctionData('depositETHTo', [recipient, L2_MESSAGE_GAS, '0x']),
+        value: amount
+      };
+    } else {
+      const l2Token = await this.resolveL2Token(token);
+      await this.ensureAllowance(signer, token.l1, bridge.address, amount, 'l1');
+      transaction = {
+        to: bridge.address,
+        data: bridge.interface.encodeFunctionData('depositERC20To', [token.l1, l2Token, recipient, amount, L2_MESSAGE_GAS, '0x'])
+      };
+    }
+    const receipt = await this.send(signer, 'l1', transaction);
+    return { receipt, data: { baseline } };
+  }
+
+  async withdraw({ signer, token, amount, recipient }) {
+    const bridge = this.contract(this.bridge.l2StandardBridge, OPTIMISM_ABIS.l2StandardBridge, signer);
+    const l2Token = isEth(token) ? OPTIMISM_ETH : await this.resolveL2Token(token);
+    const receipt = await this.send(signer, 'l2', {
+      to: bridge.address,
+      data: bridge.interface.encodeFunctionData('withdrawTo', [l2Token, recipient, amount, L2_MESSAGE_GAS, '0x']),
+      value: isEth(token) ? amount : 0
+    });
+
+    const [message] = parseEvents(receipt, this.bridge.messagePasser, new ethers.utils.Interface(OPTIMISM_ABIS.messagePasser), 'MessagePassed');
+    if (!message) {
+      throw bridgeError(`MessagePassed não encontrado no saque ${receipt.transactionHash}`, this.network);
+    }
+    const { nonce, sender, target, value, gasLimit, data, withdrawalHash } = message.args;
+    return {
+      receipt,
+      data: {
+        withdrawal: { nonce: nonce.toString(), sender, target, value: value.toString(), gasLimit: gasLimit.toString(), data },
+        withdrawalHash,
+        l2BlockNumber: receipt.blockNumber
+      }
+    };
+  }
+
+  portal(signerOrProvider = this.l1Provider) {
+    return this.contract(this.bridge.optimismPortal, OPTIMISM_ABIS.optimismPortal, signerOrProvider);
+  }
+
+  // Jogo de disputa mais recente do tipo aceito pelo portal: { index, l2BlockNumber }
+  async getLatestGame() {
+    const gameType = await this.portal().respectedGameType();
+    const factory = this.contract(this.bridge.disputeGameFactory, OPTIMISM_ABIS.disputeGameFactory, this.l1Provider);
+    const count = await factory.gameCount();
+    if (count.isZero()) return null;
+
+    const [game] = await factory.findLatestGames(gameType, count.sub(1), 1);
+    if (!game) return null;
+    const [l2BlockNumber] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(game.extraData, 0, 32));
+    return { index: game.index, l2BlockNumber: l2BlockNumber.toNumber() };
+  }
+
+  async checkWithdrawal(transfer) {
+    const { withdrawal, withdrawalHash, l2BlockNumber } = transfer.data;
+    const portal = this.portal();
+    if (await portal.finalizedWithdrawals(withdrawalHash)) {
+      return { status: 'finalized' };
+    }
+
+    if (!transfer.data.provenAt) {
+      const game = await this.getLatestGame();
+      return { status: game && game.l2BlockNumber >= l2BlockNumber ? 'provable' : 'waiting' };
+    }
+
+    const executable = await this.canExecute(this.l1Provider, {
+      from: transfer.from,
+      to: portal.address,
+      data: portal.interface.encodeFunctionData('finalizeWithdrawalTransaction', [withdrawal])
+    });
+    return { status: executable ? 'finalizable' : 'proven' };
+  }
+
+  /**
+   * Prova o saque contra o output root do jogo de disputa mais recente:
+   * o hash do saque está no storage do L2ToL1MessagePasser no bloco L2 do jogo
+   */
+  async prove(transfer, signer) {
+    const { withdrawal, withdrawalHash, l2BlockNumber } = transfer.data;
+    const game = await this.getLatestGame();
+    if (!game || game.l2BlockNumber < l2BlockNumber) {
+      throw bridgeError('nenhum jogo de disputa cobre o bloco do saque ainda', this.network);
+    }
+
+    const blockTag = ethers.utils.hexValue(game.l2BlockNumber);
+    const slot = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['bytes32', 'uint256'], [withdrawalHash, 0]));
+    const [block, proof] = await Promise.all([
+      this.l2Provider.send('eth_getBlockByNumber', [blockTag, false]),
+      this.l2Provider.send('eth_getProof', [this.bridge.messagePasser, [slot], blockTag])
+    ]);
+    const outputRootProof = {
+      version: ethers.constants.HashZero,
+      stateRoot: block.stateRoot,
+      messagePasserStorageRoot: proof.storageHash,
+      latestBlockhash: block.hash
+    };
+
+    const portal = this.portal(signer);
+    const receipt = await this.send(signer, 'l1', {
+      to: portal.address,
+      data: portal.interface.encodeFunctionData('proveWithdrawalTransaction', [
+        withdrawal,
+        game.index,
+        outputRootProof,
+        proof.storageProof[0].proof
+      ])
+    });
+    return { receipt, data: { provenAt: Date.now(), proveHash: receipt.transactionHash, disputeGameIndex: game.index.toString() } };
+  }
+
+  async finalize(transfer, signer) {
+    const portal = this.portal(signer);
+    return this.send(signer, 'l1', {
+      to: portal.address,
+      data: portal.interface.encodeFunctionData('finalizeWithdrawalTransaction', [transfer.data.withdrawal])
+    });
+  }
+}
+
+/**
+ * Arbitrum One: depósito pelo Inbox (ETH) ou pelo gateway router (ERC-20, via ticket retentável) e saque
+ * pela ArbSys ou pelo gateway na L2; após a confirmação da asserção que inclui o saque (janela de desafio),
+ * executeTransaction no Outbox, com a prova montada pelo NodeInterface, libera os fundos na L1
+ */
+export class ArbitrumBridgeAdapter extends BridgeAdapter {
+  async resolveL2Token(token) {
+    if (token.l2) return token.l2;
+    const router = this.contract(this.bridge.l1GatewayRouter, ARBITRUM_ABIS.l1GatewayRouter, this.l1Provider);
+    return router.calculateL2TokenAddress(token.l1);
+  }
+
+  async deposit({ signer, token, amount, recipient }) {
+    const sender = await signer.getAddress();
+    const baseline = await this.depositBaseline(token, recipient);
+    let transaction;
+
+    if (isEth(token)) {
+      // depositEth credita o próprio remetente na L2
+      if (recipient.toLowerCase() !== sender.toLowerCase()) {
+        throw bridgeError('depósito de ETH na Arbitrum só pode ser recebido pela própria carteira', this.network);
+      }
+      const inbox = this.contract(this.bridge.inbox, ARBITRUM_ABIS.inbox, signer);
+      transaction = { to: inbox.address, data: inbox.interface.encodeFunctionData('depositEth'), value: amount };
+    } else {
+      const router = this.contract(this.bridge.l1GatewayRouter, ARBITRUM_ABIS.l1GatewayRouter, signer);
+      const inbox = this.contract(this.bridge.inbox, ARBITRUM_ABIS.inbox, this.l1Provider);
+      const gateway = await router.getGateway(token.l1);
+      await this.ensureAllowance(signer, token.l1, gateway, amount, 'l1');
+
+      // Custo do ticket: submissão (cobrada pela baseFee da L1) + execução na L2; o excedente é reembolsado
+      const [l1Block, l2GasPrice] = await Promise.all([this.l1Provider.getBlock('latest'), this.l2Provider.getGasPrice()]);
+      const maxSubmissionCost = (await inbox.calculateRetryableSubmissionFee(ARBITRUM_RETRYABLE_DATA_LENGTH, l1Block.baseFeePerGas)).mul(2);
+      const gasPriceBid = l2GasPrice.mul(2);
+      transaction = {
+        to: router.address,
+        data: router.interface.encodeFunctionData('outboundTransfer', [
+          token.l1,
+          recipient,
+          amount,
+          ARBITRUM_RETRYABLE_GAS,
+          gasPriceBid,
+          ethers.utils.defaultAbiCoder.encode(['uint256', 'bytes'], [maxSubmissionCost, '0x'])
+        ]),
+        value: maxSubmissionCost.add(gasPriceBid.mul(ARBITRUM_RETRYABLE_GAS))
+      };
+    }
+
+    const receipt = await this.send(signer, 'l1', transaction);
+    return { receipt, data: { baseline } };
+  }
+
+  async withdraw({ signer, token, amount, recipient }) {
+    let transaction;
+    if (isEth(token)) {
+      const arbSys = this.contract(this.bridge.arbSys, ARBITRUM_ABIS.arbSys, signer);
+      transaction = { to: arbSys.address, data: arbSys.interface.encodeFunctionData('withdrawEth', [recipient]), value: amount };
+    } else {
+      const router = this.contract(this.bridge.l2GatewayRouter, ARBITRUM_ABIS.l2GatewayRouter, signer);
+      transaction = { to: router.address, data: router.interface.encodeFunctionData('outboundTransfer', [token.l1, recipient, amount, '0x']) };
+    }
+
+    const receipt = await this.send(signer, 'l2', transaction);
+    const [message] = parseEvents(receipt, this.bridge.arbSys, new ethers.utils.Interface(ARBITRUM_ABIS.arbSys), 'L2ToL1Tx');
+    if (!message) {
+      throw bridgeError(`L2ToL1Tx não encontrado no saque ${receipt.transactionHash}`, this.network);
+    }
+    const { caller, destination, position, arbBlockNum, ethBlockNum, timestamp, callvalue, data } = message.args;
+    return {
+      receipt,
+      data: {
+        message: {
+          caller,
+          destination,
+          position: position.toString(),
+          arbBlockNum: arbBlockNum.toString(),
+          ethBlockNum: ethBlockNum.toString(),
+          timestamp: timestamp.toString(),
+          callvalue: callvalue.toString(),
+          data
+        }
+      }
+    };
+  }
+
+  outbox(signerOrProvider = this.l1Provider) {
+    return this.contract(this.bridge.outbox, ARBITRUM_ABIS.outbox, signerOrProvider);
+  }
+
+  /**
+   * Quantidade de mensagens L2 -> L1 na última asserção confirmada (evento AssertionConfirmed do rollup);
+   * o sendCount vem do bloco L2 da asserção, que o nó da Arbitrum devolve junto com o bloco
+   */
+  async getConfirmedSendCount() {
+    const rollup = this.contract(this.bridge.rollup, ARBITRUM_ABIS.rollup, this.l1Provider);
+    const latest = await this.l1Provider.getBlockNumber();
+    const events = await rollup.queryFilter(rollup.filters.AssertionConfirmed(), latest - ARBITRUM_ASSERTION_LOOKBACK_BLOCKS, latest);
+    if (events.length === 0) return null;
+
+    const { blockHash } = events[events.length - 1].args;
+    const block = await this.l2Provider.send('eth_getBlockByHash', [blockHash, false]);
+    return block?.sendCount ? ethers.BigNumber.from(block.sendCount) : null;
+  }
+
+  async checkWithdrawal(transfer) {
+    const { position } = transfer.data.message;
+    if (await this.outbox().isSpent(position)) {
+      return { status: 'finalized' };
+    }
+    const sendCount = await this.getConfirmedSendCount();
+    // A asserção confirmada precisa incluir a mensagem do saque (posição < sendCount)
+    return sendCount && sendCount.gt(position)
+      ? { status: 'finalizable', data: { sendCount: sendCount.toString() } }
+      : { status: 'waiting' };
+  }
+
+  async finalize(transfer, signer) {
+    const { message } = transfer.data;
+    const sendCount = transfer.data.sendCount || (await this.getConfirmedSendCount())?.toString();
+    if (!sendCount) {
+      throw bridgeError('nenhuma asserção confirmada inclui o saque ainda', this.network);
+    }
+
+    const nodeInterface = this.contract(this.bridge.nodeInterface, ARBITRUM_ABIS.nodeInterface, this.l2Provider);
+    const { proof } = await nodeInterface.constructOutboxProof(sendCount, message.position);
+    const outbox = this.outbox(signer);
+    return this.send(signer, 'l1', {
+      to: outbox.address,
+      data: outbox.interface.encodeFunctionData('executeTransaction', [
+        proof,
+        message.position,
+        message.caller,
+        message.destination,
+        message.arbBlockNum,
+        message.ethBlockNum,
+        message.timestamp,
+        message.callvalue,
+        message.data
+      ])
+    });
+  }
+}
+
+/**
+ * zkSync Era: depósito pelo Bridgehub (ETH direto; ERC-20 pela shared bridge) e saque pela L2BaseToken (ETH)
+ * ou pela bridge na L2; sem janela de desafio, o saque pode ser finalizado na shared bridge da L1 assim
+ * que o lote que o contém é executado na Ethereum (prova de validade + atraso de execução)
+ */
+export class ZkSyncBridgeAdapter extends BridgeAdapter {
+  // Endereços das bridges informados pelo próprio nó (zks_getBridgeContracts)
+  async getBridgeContracts() {
+    if (!this.bridgeContracts) {
+      this.bridgeContracts = await this.l2Provider.send('zks_getBridgeContracts', []);
+    }
+    return this.bridgeContracts;
+  }
+
+  async getL2Bridge() {
+    const contracts = await this.getBridgeContracts();
+    return contracts.l2SharedDefaultBridge || contracts.l2Erc20DefaultBridge;
+  }
+
+  async resolveL2Token(token) {
+    if (token.l2) return token.l2;
+    const bridge = this.contract(await this.getL2Bridge(), ZKSYNC_ABIS.l2Bridge, this.l2Provider);
+    return bridge.l2TokenAddress(token.l1);
+  }
+
+  async deposit({ signer, token, amount, recipient }) {
+    const sender = await signer.getAddress();
+    const bridgehub = this.contract(this.bridge.bridgehub, ZKSYNC_ABIS.bridgehub, signer);
+    const baseline = await this.depositBaseline(token, recipient);
+
+    // O custo base é cobrado pelo gasPrice da transação na L1; maxFeePerGas cobre o pior caso
+    const fees = await gasOptimizer.getFeeEstimate('mainnet', 'standard');
+    const baseCost = await bridgehub.l2TransactionBaseCost(
+      this.config.chainId,
+      fees.maxFeePerGas || fees.gasPrice,
+      ZKSYNC_L2_GAS_LIMIT,
+      ZKSYNC_GAS_PER_PUBDATA
+    );
+
+    let transaction;
+    if (isEth(token)) {
+      const mintValue = baseCost.add(amount);
+      transaction = {
+        to: bridgehub.address,
+        data: bridgehub.interface.encodeFunctionData('requestL2TransactionDirect', [{
+          chainId: this.config.chainId,
+          mintValue,
+          l2Contract: recipient,
+          l2Value: amount,
+          l2Calldata: '0x',
+          l2GasLimit: ZKSYNC_L2_GAS_LIMIT,
+          l2GasPerPubdataByteLimit: ZKSYNC_GAS_PER_PUBDATA,
+          factoryDeps: [],
+          refundRecipient: sender
+        }]),
+        value: mintValue
+      };
+    } else {
+      const { l1SharedDefaultBridge } = await this.getBridgeContracts();
+      await this.ensureAllowance(signer, token.l1, l1SharedDefaultBridge, amount, 'l1');
+      transaction = {
+        to: bridgehub.address,
+        data: bridgehub.interface.encodeFunctionData('requestL2TransactionTwoBridges', [{
+          chainId: this.config.chainId,
+          mintValue: baseCost,
+          l2Value: 0,
+          l2GasLimit: ZKSYNC_L2_GAS_LIMIT,
+          l2GasPerPubdataByteLimit: ZKSYNC_GAS_PER_PUBDATA,
+          refundRecipient: sender,
+          secondBridgeAddress: l1SharedDefaultBridge,
+          secondBridgeValue: 0,
+          secondBridgeCalldata: ethers.utils.defaultAbiCoder.encode(['address', 'uint256', 'address'], [token.l1, amount, recipient])
+        }]),
+        value: baseCost
+      };
+    }
+
+    const receipt = await this.send(signer, 'l1', transaction);
+    return { receipt, data: { baseline } };
+  }
+
+  async withdraw({ signer, token, amount, recipient }) {
+    let transaction;
+    if (isEth(token)) {
+      const baseToken = this.contract(ZKSYNC_L2_BASE_TOKEN, ZKSYNC_ABIS.l2BaseToken, signer);
+      transaction = { to: baseToken.address, data: baseToken.interface.encodeFunctionData('withdraw', [recipient]), value: amount };
+    } else {
+      const bridge = this.contract(await this.getL2Bridge(), ZKSYNC_ABIS.l2Bridge, signer);
+      const l2Token = await this.resolveL2Token(token);
+      transaction = { to: bridge.address, data: bridge.interface.encodeFunctionData('withdraw', [recipient, l2Token, amount]) };
+    }
+    const receipt = await this.send(signer, 'l2', transaction);
+    return { receipt, data: {} };
+  }
+
+  /**
+   * Parâmetros de finalizeWithdrawal: lote e posição do saque (recibo da zkSync) e prova de inclusão
+   * da mensagem L2 -> L1 (zks_getL2ToL1LogProof); null enquanto o lote não foi enviado à L1
+   */
+  async getFinalizeParams(transfer) {
+    const receipt = await this.l2Provider.send('eth_getTransactionReceipt', [transfer.initiatedHash]);
+    if (!receipt || receipt.l1BatchNumber === null || receipt.l1BatchNumber === undefined) return null;
+
+    const logIndex = (receipt.l2ToL1Logs || []).findIndex(log => log.sender.toLowerCase() === ZKSYNC_L1_MESSENGER.toLowerCase());
+    if (logIndex < 0) {
+      throw bridgeError(`mensagem L2 -> L1 não encontrada no saque ${transfer.initiatedHash}`, this.network);
+    }
+    const proof = await this.l2Provider.send('zks_getL2ToL1LogProof', [transfer.initiatedHash, logIndex]);
+    if (!proof) return null;
+
+    const [message] = parseEvents(receipt, ZKSYNC_L1_MESSENGER, new ethers.utils.Interface(ZKSYNC_ABIS.l1Messenger), 'L1MessageSent');
+    return {
+      chainId: this.config.chainId,
+      l2BatchNumber: ethers.BigNumber.from(receipt.l1BatchNumber).toString(),
+      l2MessageIndex: proof.id.toString(),
+      l2TxNumberInBatch: ethers.BigNumber.from(receipt.l1BatchTxIndex).toNumber(),
+      message: message.args._message,
+      merkleProof: proof.proof
+    };
+  }
+
+  async sharedBridge(signerOrProvider = this.l1Provider) {
+    const { l1SharedDefaultBridge } = await this.getBridgeContracts();
+    return this.contract(l1SharedDefaultBridge, ZKSYNC_ABIS.l1SharedBridge, signerOrProvider);
+  }
+
+  encodeFinalize(bridge, params) {
+    return bridge.interface.encodeFunctionData('finalizeWithdrawal', [
+      params.chainId,
+      params.l2BatchNumber,
+      params.l2MessageIndex,
+      params.l2TxNumberInBatch,
+      params.message,
+      params.merkleProof
+    ]);
+  }
+
+  async checkWithdrawal(transfer) {
+    const params = await this.getFinalizeParams(transfer);
+    if (!params) return { status: 'waiting' };
+
+    const bridge = await this.sharedBridge();
+    if (await bridge.isWithdrawalFinalized(params.chainId, params.l2BatchNumber, params.l2MessageIndex)) {
+      return { status: 'finalized' };
+    }
+    // A prova existe assim que o lote é enviado à L1, mas a finalização espera a execução do lote
+    const executable = await this.canExecute(this.l1Provider, {
+      from: transfer.from,
+      to: bridge.address,
+      data: this.encodeFinalize(bridge, params)
+    });
+    return { status: executable ? 'finalizable' : 'waiting', data: { finalizeParams: params } };
+  }
+
+  async finalize(transfer, signer) {
+    const params = transfer.data.finalizeParams || await this.getFinalizeParams(transfer);
+    if (!params) {
+      throw bridgeError('lote do saque ainda não foi enviado à Ethereum', this.network);
+    }
+    const bridge = await this.sharedBridge(signer);
+    return this.send(signer, 'l1', { to: bridge.address, data: this.encodeFinalize(bridge, params) });
+  }
+}
+
+const ADAPTERS = {
+  polygon: PolygonBridgeAdapter,
+  optimism: OptimismBridgeAdapter,
+  arbitrum: ArbitrumBridgeAdapter,
+  zksync: ZkSyncBridgeAdapter
+};
+
+/**
+ * Cria o adaptador da bridge canônica de uma rede de LAYER2_CONFIG
+ * @param {string} network - Rede de LAYER2_CONFIG
+ * @param {Object} options - { config, l1Provider, l2Provider }
+ * @returns {BridgeAdapter} - Adaptador da bridge
+ */
+export const createBridgeAdapter = (network, options) => {
+  const Adapter = ADAPTERS[options.config?.bridge?.type];
+  if (!Adapter) {
+    throw new Error(`Bridge canônica não suportada: ${network}`);
+  }
+  return new Adapter(network, options);
+};
@@ -4,7 +4,7 @@
  * Este serviço implementa a integração com o BTG Pactual Trader para monitoramento
  * e notificações em tempo real de operações financeiras em ambiente de produção.
  * 
- * Acesso exclusivo para: Tiago José Mendes
+ * Acesso restrito a usuários com a permissão btgPactual:monitor (ver access-control.cjs)
  * 
  * AVISO: Este código contém informações confidenciais e está protegido por NDA.
  * Não compartilhe ou distribua este código sem autorização expressa.
@@ -16,13 +16,10 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import { sendWhatsAppNotification } from '../../notebook-functions.js';
+import { PERMISSIONS, hasPermission } from '../../access-control.cjs';
 
 dotenv.config();
 
-// Configuração de segurança - acesso restrito
-const AUTHORIZED_USER = 'Tiago José Mendes';
-const AUTHORIZED_USER_ID = 'user1'; // ID do usuário no sistema
-
 /**
  * Classe para integração com BTG Pactual Trader
  * Implementa monitoramento de mercado e notificações em tempo real
@@ -37,23 +34,24 @@ class BTGPactualService {
       global: []
     };
     this.lastNotifications = [];
+    this.currentUser = null;
   }
 
   /**
-   * Inicializa o serviço com verificação de segurança
-   * @param {string} userId - ID do usuário que está tentando acessar o serviço
-   * @param {string} userName - Nome do usuário que está tentando acessar o serviço
+   * Inicializa o serviço com verificação de permissão
+   * @param {Object} user - Usuário que está tentando acessar o serviço ({ id, name, role, permissions })
    * @returns {boolean} - Retorna true se o acesso for autorizado
    */
-  initialize(userId, userName) {
-    // Verificação de segurança - apenas o usuário autorizado pode acessar
-    if (userId !== AUTHORIZED_USER_ID || userName !== AUTHORIZED_USER) {
+  initialize(user) {
+    // Verificação de segurança - apenas usuários com permissão de monitoramento do BTG podem acessar
+    if (!hasPermission(user, PERMISSIONS.BTG_PACTUAL_MONITOR)) {
       console.error('Acesso não autorizado ao BTGPactualService');
       return false;
     }
 
+    this.currentUser = user;
     this.isInitialized = true;
-    console.log(`BTG Pactual Trader Service inicializado para ${userName}`);
+    console.log(`BTG Pactual Trader Service inicializado para ${user.name}`);
     return true;
   }
 
@@ -316,7 +314,7 @@ class BTGPactualService {
     message += `*Confiança:* ${opportunity.score}/100\n\n`;
     message += `*Motivo:* ${opportunity.reason}\n\n`;
     message += `*PASSO A PASSO DA OPERAÇÃO:*\n${opportunity.steps.join('\n')}\n\n`;
-    message += `_Análise gerada por QuickFundHub exclusivamente para ${AUTHORIZED_USER}_`;
+    message += `_Análise gerada por QuickFundHub exclusivamente para ${this.currentUser.name}_`;
     
     return message;
   }
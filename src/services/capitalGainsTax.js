@@ -0,0 +1,379 @@
+import userProfitService from './userProfitService';
+import { valuationService } from './valuationService';
+import { LotTracker, LOT_METHODS } from '../../lot-tracker.js';
+
+/**
+ * Apuração do ganho de capital em criptoativos para a Receita Federal
+ *
+ * Calcula o ganho realizado em cada alienação (custo médio, FIFO, LIFO ou HIFO por ativo),
+ * aplica a isenção mensal de R$ 35 mil em vendas, calcula o imposto pelas alíquotas
+ * progressivas e o valor do DARF (código 4600) e exporta os dados no leiaute mensal
+ * da IN RFB 1888/2019 e em CSV para conferência e digitação no GCAP
+ *
+ * Transação fiscal: { id, timestamp, asset, side: buy|sell, quantity, totalBrl, feeBrl, exchange }
+ */
+
+// Métodos de custo de aquisição (os mesmos do rastreador de lotes)
+export const COST_METHODS = LOT_METHODS;
+
+// Vendas mensais até este valor são isentas
+export const MONTHLY_EXEMPTION_BRL = 35000;
+
+// Operações fora de exchanges brasileiras acima deste valor mensal devem ser informadas (IN 1888, art. 6º)
+export const IN1888_REPORTING_THRESHOLD_BRL = 30000;
+
+// Alíquotas progressivas do ganho de capital (Lei 13.259/2016)
+const TAX_BRACKETS = [
+  { upTo: 5000000, rate: 0.15 },
+  { upTo: 10000000, rate: 0.175 },
+  { upTo: 30000000, rate: 0.2 },
+  { upTo: Infinity, rate: 0.225 }
+];
+
+const DARF_CODE = '4600';
+
+// DARF abaixo deste valor não é emitido; o imposto é somado ao do mês seguinte
+const DARF_MINIMUM_BRL = 10;
+
+// Exchanges domiciliadas no Brasil (as operações nelas são informadas pela própria exchange)
+const BRAZILIAN_EXCHANGES = ['mercadobitcoin', 'foxbit', 'novadax', 'bitpreco', 'brasilbitcoin'];
+
+// Fuso de Brasília (sem horário de verão desde 2019), usado para definir o mês da operação
+const BRT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const toBrt = (timestamp) => new Date(new Date(timestamp).getTime() - BRT_OFFSET_MS);
+const monthOf = (timestamp) => toBrt(timestamp).toISOString().slice(0, 7);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Imposto pelas alíquotas progressivas
+ * @param {number} gain - Ganho tributável em R$
+ * @returns {number} - Imposto em R$
+ */
+export function calculateProgressiveTax(gain) {
+  let tax = 0;
+  let lowerBound = 0;
+  for (const { upTo, rate } of TAX_BRACKETS) {
+    if (gain <= lowerBound) break;
+    tax += (Math.min(gain, upTo) - lowerBound) * rate;
+    lowerBound = upTo;
+  }
+  return round2(tax);
+}
+
+/**
+ * Vencimento do DARF: último dia útil do mês seguinte ao da alienação
+ * (feriados nacionais não são considerados)
+ * @param {string} month - Mês da alienação (AAAA-MM)
+ * @returns {string} - Data de vencimento (AAAA-MM-DD)
+ */
+export function darfDueDate(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  // Dia 0 do mês seguinte ao seguinte = último dia do mês seguinte
+  const date = new Date(Date.UTC(year, monthIndex + 1, 0));
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Calcula o ganho de cada alienação com o rastreador de lotes
+ * Vendas acima da quantidade em carteira têm custo zero para a parte descoberta
+ * (uncoveredQuantity), o que costuma indicar compras que não foram importadas
+ * @param {Array} transactions - Transações fiscais
+ * @param {string} method - average (custo médio ponderado), fifo, lifo ou hifo
+ * @returns {Array} - Alienações: { ...venda, proceedsBrl, costBrl, gainBrl, uncoveredQuantity }
+ */
+export function calculateRealizedGains(transactions, method = COST_METHODS.AVERAGE) {
+  if (!Object.values(COST_METHODS).includes(method)) {
+    throw new Error(`Método de custo não suportado: ${method}`);
+  }
+
+  // Compras antes das vendas do mesmo instante
+  const ordered = [...transactions].sort((a, b) =>
+    new Date(a.timestamp) - new Date(b.timestamp) || (a.side === 'buy' ? -1 : 1) - (b.side === 'buy' ? -1 : 1));
+  const tracker = new LotTracker({ method, allowShort: false });
+  const disposals = [];
+
+  for (const tx of ordered) {
+    const quantity = parseFloat(tx.quantity);
+    const { realized, uncoveredQuantity } = tracker.recordFill({
+      asset: tx.asset,
+      side: tx.side,
+      amount: quantity,
+      price: parseFloat(tx.totalBrl) / quantity,
+      fee: tx.feeBrl || 0,
+      timestamp: tx.timestamp,
+      id: tx.id
+    });
+    if (tx.side !== 'sell') continue;
+
+    const proceedsBrl = realized.reduce((sum, entry) => sum + entry.proceeds, 0);
+    const costBrl = realized.reduce((sum, entry) => sum + entry.cost, 0);
+    disposals.push({
+      ...tx,
+      month: monthOf(tx.timestamp),
+      proceedsBrl: round2(proceedsBrl),
+      costBrl: round2(costBrl),
+      gainBrl: round2(proceedsBrl - costBrl),
+      uncoveredQuantity
+    });
+  }
+
+  return disposals;
+}
+
+/**
+ * Resumo mensal: isenção, ganho tributável, imposto e DARF
+ * Prejuízos de uma alienação não compensam ganhos de outras
+ * @param {Array} disposals - Alienações de calculateRealizedGains
+ * @returns {Array} - Meses em ordem cronológica
+ */
+export function summarizeMonths(disposals) {
+  const months = {};
+  for (const disposal of disposals) {
+    const month = months[disposal.month] || (months[disposal.month] = {
+      month: disposal.month, salesBrl: 0, gainBrl: 0, lossBrl: 0, disposals: 0
+    });
+    month.salesBrl += parseFloat(disposal.totalBrl);
+    if (disposal.gainBrl > 0) month.gainBrl += disposal.gainBrl;
+    else month.lossBrl += -disposal.gainBrl;
+    month.disposals++;
+  }
+
+  let carriedTax = 0;
+  return Object.values(months)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(month => {
+      const exempt = month.salesBrl <= MONTHLY_EXEMPTION_BRL;
+      const taxableGainBrl = exempt ? 0 : round2(month.gainBrl);
+      const taxBrl = calculateProgressiveTax(taxableGainBrl);
+      const payable = round2(taxBrl + carriedTax);
+      const darf = payable >= DARF_MINIMUM_BRL
+        ? { code: DARF_CODE, amountBrl: payable, dueDate: darfDueDate(month.month) }
+        : null;
+      const summary = {
+        ...month,
+        salesBrl: round2(month.salesBrl),
+        gainBrl: round2(month.gainBrl),
+        lossBrl: round2(month.lossBrl),
+        exempt,
+        taxableGainBrl,
+        taxBrl,
+        carriedFromPreviousBrl: carriedTax,
+        darf
+      };
+      carriedTax = darf ? 0 : payable;
+      return summary;
+    });
+}
+
+const formatBrl = (value) => round2(value).toFixed(2).replace('.', ',');
+const formatQuantity = (value) => parseFloat(value).toFixed(10).replace('.', ',');
+const formatDate = (timestamp) => {
+  const [year, month, day] = toBrt(timestamp).toISOString().slice(0, 10).split('-');
+  return `${day}${month}${year}`;
+};
+const csvDate = (timestamp) => {
+  const [year, month, day] = toBrt(timestamp).toISOString().slice(0, 10).split('-');
+  return `${day}/${month}/${year}`;
+};
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+class CapitalGainsTaxService {
+  /**
+   * Transações fiscais de um usuário a partir das operações do userProfitService
+   * Cada operação com preços de compra e venda vira uma compra e uma venda da quantidade
+   * operada, convertidas para R$ pela cotação do dólar no instante da operação.
+   * Operações importadas (transactionImporter) entram pelo lado negociado; depósitos e
+   * saques só movem o ativo e ficam de fora
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Object>} - { transactions, unpriced }
+   */
+  async collectTransactions(userId) {
+    const { operations } = await userProfitService.getUserProfitHistory(userId);
+    const transactions = [];
+    const unpriced = [];
+
+    for (const op of operations) {
+      if (op.details && op.details.source === 'import') {
+        if (!['trade', 'income'].includes(op.details.type)) continue;
+        try {
+          transactions.push(await this._importedTransaction(op));
+        } catch (error) {
+          console.error(`Erro ao avaliar operação importada ${op.id}:`, error.message);
+          unpriced.push(op.id);
+        }
+        continue;
+      }
+
+      const quantity = parseFloat(op.amount);
+      const buyPrice = parseFloat(op.buyPrice);
+      const sellPrice = parseFloat(op.sellPrice);
+      if (!(quantity > 0) || !(buyPrice > 0) || !(sellPrice > 0)) {
+        unpriced.push(op.id);
+        continue;
+      }
+
+      const usdBrl = await valuationService.getUsdBrlRate(new Date(op.timestamp).getTime());
+      const exchange = (op.details && op.details.exchange) || 'unknown';
+      transactions.push(
+        { id: `${op.id}-buy`, timestamp: op.timestamp, asset: op.asset, side: 'buy', quantity, totalBrl: quantity * buyPrice * usdBrl, feeBrl: 0, exchange },
+        { id: `${op.id}-sell`, timestamp: op.timestamp, asset: op.asset, side: 'sell', quantity, totalBrl: quantity * sellPrice * usdBrl, feeBrl: 0, exchange }
+      );
+    }
+
+    return { transactions, unpriced };
+  }
+
+  /**
+   * Transação fiscal de uma negociação ou rendimento importado
+   * O preço vem na moeda de cotação do par; rendimentos sem preço usam a cotação do recebimento
+   * @param {Object} op - Operação importada
+   * @returns {Promise<Object>} - Transação fiscal
+   */
+  async _importedTransaction(op) {
+    const { type, side, quoteAsset, price, fee, feeAsset, exchange } = op.details;
+    const time = new Date(op.timestamp).getTime();
+    const quantity = parseFloat(op.amount);
+    const usdBrl = await valuationService.getUsdBrlRate(time);
+    const quoteUsd = quoteAsset && price ? await valuationService.getUsdPrice(quoteAsset, time) : null;
+    const unitUsd = quoteUsd !== null ? price * quoteUsd : await valuationService.getUsdPrice(op.asset, time);
+
+    let feeUsd = 0;
+    if (type === 'trade' && fee > 0) {
+      feeUsd = feeAsset === quoteAsset ? fee * quoteUsd
+        : feeAsset === op.asset ? fee * unitUsd
+        : fee * await valuationService.getUsdPrice(feeAsset, time);
+    }
+
+    return {
+      id: op.id,
+      timestamp: op.timestamp,
+      asset: op.asset,
+      side: type === 'income' ? 'buy' : side,
+      quantity,
+      totalBrl: quantity * unitUsd * usdBrl,
+      feeBrl: feeUsd * usdBrl,
+      exchange: exchange || 'unknown'
+    };
+  }
+
+  async _transactions(userId, transactions) {
+    return transactions ? { transactions, unpriced: [] } : this.collectTransactions(userId);
+  }
+
+  /**
+   * Relatório anual de ganho de capital
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { year, method: average|fifo|lifo|hifo, transactions (padrão: operações do usuário) }
+   * @returns {Promise<Object>} - { year, method, months, disposals, totals, unpricedOperations }
+   */
+  async generateReport(userId, { year = new Date().getFullYear(), method = COST_METHODS.AVERAGE, transactions } = {}) {
+    const collected = await this._transactions(userId, transactions);
+    // O custo depende das compras de anos anteriores; só as alienações do ano entram no relatório
+    const disposals = calculateRealizedGains(collected.transactions, method)
+      .filter(disposal => disposal.month.startsWith(`${year}-`));
+    const months = summarizeMonths(disposals);
+
+    return {
+      userId,
+      year: Number(year),
+      method,
+      months,
+      disposals,
+      totals: {
+        salesBrl: round2(months.reduce((sum, month) => sum + month.salesBrl, 0)),
+        gainBrl: round2(months.reduce((sum, month) => sum + month.gainBrl, 0)),
+        taxBrl: round2(months.reduce((sum, month) => sum + month.taxBrl, 0)),
+        darfBrl: round2(months.reduce((sum, month) => sum + (month.darf ? month.darf.amountBrl : 0), 0))
+      },
+      unpricedOperations: collected.unpriced
+    };
+  }
+
+  /**
+   * Arquivo mensal no leiaute da IN RFB 1888/2019 (registros separados por |, linhas em CRLF)
+   * Campos de cada registro, na ordem:
+   *   0000 (declarante): tipo | CPF (11 dígitos) | nome | período (AAAAMM)
+   *   0110 (compra e venda): tipo | data (DDMMAAAA) | identificador | C (compra) ou V (venda) |
+   *     valor da operação em R$ sem as taxas | taxas em R$ | criptoativo | quantidade (10 casas) | exchange
+   *   9999 (encerramento): tipo | total de linhas do arquivo
+   * O 0110 traz as informações do art. 7º da IN: data, tipo, criptoativo, quantidade até a
+   * décima casa decimal, valor em reais excluídas as taxas e valor das taxas.
+   * Só as operações fora de exchanges brasileiras entram (art. 6º, II); required indica se o
+   * total do mês ultrapassou o limite de obrigatoriedade
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { year, month (1-12), declarant: { cpf, name } do cadastro do usuário, transactions }
+   * @returns {Promise<Object>} - { content, required, totalBrl, records }
+   */
+  async exportIn1888(userId, { year, month, declarant = {}, transactions } = {}) {
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    const collected = await this._transactions(userId, transactions);
+    const operations = collected.transactions
+      .filter(tx => monthOf(tx.timestamp) === period)
+      .filter(tx => !BRAZILIAN_EXCHANGES.includes(String(tx.exchange).toLowerCase()))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const totalBrl = operations.reduce((sum, tx) => sum + parseFloat(tx.totalBrl), 0);
+
+    const lines = [
+      ['0000', onlyDigits(declarant.cpf), declarant.name || '', period.replace('-', '')].join('|'),
+      ...operations.map(tx => [
+        '0110',
+        formatDate(tx.timestamp),
+        tx.id,
+        tx.side === 'buy' ? 'C' : 'V',
+        formatBrl(tx.totalBrl),
+        formatBrl(tx.feeBrl || 0),
+        tx.asset,
+        formatQuantity(tx.quantity),
+        tx.exchange
+      ].join('|'))
+    ];
+    lines.push(['9999', lines.length + 1].join('|'));
+
+    return {
+      content: `${lines.join('\r\n')}\r\n`,
+      required: totalBrl > IN1888_REPORTING_THRESHOLD_BRL,
+      totalBrl: round2(totalBrl),
+      records: operations.length
+    };
+  }
+
+  /**
+   * CSV das alienações do ano para o GCAP (separador ; e vírgula decimal)
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { year, method, transactions }
+   * @returns {Promise<string>} - Conteúdo do CSV
+   */
+  async exportGcapCsv(userId, options = {}) {
+    const report = await this.generateReport(userId, options);
+    const monthsByKey = Object.fromEntries(report.months.map(month => [month.month, month]));
+    const header = [
+      'Data da alienação', 'Criptoativo', 'Quantidade', 'Valor de alienação (R$)', 'Custo de aquisição (R$)',
+      'Custos da alienação (R$)', 'Ganho de capital (R$)', 'Mês isento', 'Imposto do mês (R$)'
+    ];
+
+    const rows = report.disposals.map(disposal => {
+      const month = monthsByKey[disposal.month];
+      return [
+        csvDate(disposal.timestamp),
+        disposal.asset,
+        formatQuantity(disposal.quantity),
+        formatBrl(disposal.totalBrl),
+        formatBrl(disposal.costBrl),
+        formatBrl(disposal.feeBrl || 0),
+        formatBrl(disposal.gainBrl),
+        month.exempt ? 'Sim' : 'Não',
+        formatBrl(month.taxBrl)
+      ];
+    });
+
+    return [header, ...rows].map(row => row.join(';')).join('\r\n') + '\r\n';
+  }
+}
+
+export const capitalGainsTax = new CapitalGainsTaxService();
+
+export { CapitalGainsTaxService };
@@ -1,5 +1,7 @@
 import axios from 'axios';
 import { cexConfig } from '../config/api';
+import { createExchangeAdapter, supportedExchanges } from './exchangeAdapters';
+import { keyVault, ENTRY_TYPES } from './keyVault';
 
 const { binance, coinbase, kucoin, kraken, mexc, gateio, bybit, bitget } = cexConfig;
 
@@ -15,9 +17,7 @@ const binanceClient = axios.create({
 const coinbaseClient = axios.create({
   baseURL: 'https://api.coinbase.com/v2',
   headers: {
-    'CB-ACCESS-KEY': coinbase.apiKey,
-    'CB-ACCESS-SIGN': '', // Será preenchido em cada requisição
-    'CB-ACCESS-TIMESTAMP': ''
+    'CB-ACCESS-KEY': coinbase.apiKey
   }
 });
 
@@ -67,22 +67,21 @@ export const getCoinbaseOrderBook = async (symbol) => {
   }
 };
 
+// Os clientes abaixo atendem apenas endpoints públicos; requisições assinadas
+// (saldos e ordens) passam pelos adaptadores de exchangeAdapters.js
+
 // Configuração dos clientes das novas exchanges
 const kucoinClient = axios.create({
   baseURL: 'https://api.kucoin.com',
   headers: {
-    'KC-API-KEY': kucoin.apiKey,
-    'KC-API-SIGN': '', // Será preenchido em cada requisição
-    'KC-API-TIMESTAMP': '',
-    'KC-API-PASSPHRASE': ''
+    'KC-API-KEY': kucoin.apiKey
   }
 });
 
 const krakenClient = axios.create({
   baseURL: 'https://api.kraken.com/0',
   headers: {
-    'API-Key': kraken.apiKey,
-    'API-Sign': '' // Será preenchido em cada requisição
+    'API-Key': kraken.apiKey
   }
 });
 
@@ -96,26 +95,21 @@ const mexcClient = axios.create({
 const gateioClient = axios.create({
   baseURL: 'https://api.gateio.ws/api/v4',
   headers: {
-    'KEY': gateio.apiKey,
-    'SIGN': '' // Será preenchido em cada requisição
+    'KEY': gateio.apiKey
   }
 });
 
 const bybitClient = axios.create({
   baseURL: 'https://api.bybit.com',
   headers: {
-    'X-BAPI-API-KEY': bybit.apiKey,
-    'X-BAPI-SIGN': '', // Será preenchido em cada requisição
-    'X-BAPI-TIMESTAMP': ''
+    'X-BAPI-API-KEY': bybit.apiKey
   }
 });
 
 const bitgetClient = axios.create({
   baseURL: 'https://api.bitget.com',
   headers: {
-    'ACCESS-KEY': bitget.apiKey,
-    'ACCESS-SIGN': '', // Será preenchido em cada requisição
-    'ACCESS-TIMESTAMP': ''
+    'ACCESS-KEY': bitget.apiKey
   }
 });
 
@@ -234,4 +228,32 @@ export const comparePrices = async (symbol) => {
     console.error('Erro ao comparar preços:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Adaptadores com o contrato unificado, criados sob demanda com as credenciais do cofre de chaves
+// (ou de cexConfig, para exchanges ainda não migradas para o keystore)
+const exchangeAdapters = {};
+
+/**
+ * Retorna o adaptador unificado de uma exchange (fetchTicker, fetchOrderBook, fetchBalances,
+ * createOrder, cancelOrder, fetchOrder, fetchMyTrades)
+ * @param {string} name - Nome da exchange em cexConfig
+ * @returns {ExchangeAdapter} - Adaptador com requisições assinadas
+ */
+export const getExchangeAdapter = (name) => {
+  if (!exchangeAdapters[name]) {
+    let credentials;
+    if (keyVault.hasEntry(name, ENTRY_TYPES.API_CREDENTIALS)) {
+      credentials = keyVault.getApiCredentials(name);
+    } else if (cexConfig[name]) {
+      console.warn(`Credenciais de ${name} lidas de variáveis de ambiente; importe-as para o cofre de chaves`);
+      credentials = cexConfig[name];
+    } else {
+      throw new Error(`Exchange ${name} não configurada em cexConfig`);
+    }
+    exchangeAdapters[name] = createExchangeAdapter(name, { credentials });
+  }
+  return exchangeAdapters[name];
+};
+
+export { supportedExchanges };
@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { sentimentAnalysis } from './sentimentAnalysis';
+import { valuationService } from './valuationService';
 
 /**
  * Classe para garantir conformidade regulatória e compliance
@@ -249,7 +250,7 @@ class ComplianceService {
   async checkAMLCompliance(transaction) {
     try {
       // Converter valor da transação para USD
-      const amountUSD = await this.convertToUSD(transaction.amount, transaction.asset);
+      const amountUSD = await this.convertToUSD(transaction.amount, transaction.asset, transaction.timestamp);
       
       // Verificar limites AML
       const thresholds = this.complianceRules.aml.thresholds;
@@ -302,25 +303,15 @@ class ComplianceService {
   }
 
   /**
-   * Converte valor de um ativo para USD
+   * Converte valor de um ativo para USD pela cotação do instante da transação
    * @param {number} amount - Quantidade do ativo
    * @param {string} asset - Símbolo do ativo
+   * @param {number} timestamp - Instante da transação (padrão: agora)
    * @returns {Promise<number>} - Valor em USD
    */
-  async convertToUSD(amount, asset) {
-    // Em produção, isso seria substituído pela conversão real usando uma API de preços
-    const rates = {
-      'BTC': 60000,
-      'ETH': 3000,
-      'USDC': 1,
-      'USDT': 1,
-      'BNB': 400,
-      'SOL': 100,
-      'ADA': 0.5,
-      'DOT': 20
-    };
-    
-    return amount * (rates[asset] || 1);
+  async convertToUSD(amount, asset, timestamp = Date.now()) {
+    const { usd } = await valuationService.value(amount, asset, timestamp);
+    return usd;
   }
 
   /**
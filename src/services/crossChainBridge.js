@@ -0,0 +1,482 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { LAYER2_CONFIG } from '../config/layer2';
+import { gasOptimizer } from './gasOptimizer';
+import { keyVault } from './keyVault';
+import { createBridgeAdapter } from './bridgeAdapters';
+import { withFileLock, writeFileAtomic } from '../../file-lock.cjs';
+
+/**
+ * Transferências entre redes pelas bridges canônicas (adaptadores em src/services/bridgeAdapters.js)
+ *
+ * As bridges canônicas ligam cada rede de LAYER2_CONFIG à Ethereum; entre duas L2 a rota passa pela L1:
+ * saque na origem (checkpoint, prova de validade ou janela de desafio) e depósito no destino,
+ * iniciado automaticamente quando o saque é finalizado.
+ *
+ * Cada transferência (uma perna da rota) é acompanhada até a conclusão e persistida em
+ * BRIDGE_TRANSFERS_FILE (padrão: data/bridge-transfers.json), pois os saques de Optimism e Arbitrum
+ * levam cerca de 7 dias. Status:
+ * - pending: enviada na origem, aguardando a chegada (depósito) ou o checkpoint/prova/janela (saque)
+ * - provable / proven: saque da Optimism pronto para a prova / provado, aguardando a janela de desafio
+ * - finalizable: saque pronto para ser concluído na L1
+ * - completed: fundos disponíveis no destino
+ * - failed: erro ao enviar a prova ou a finalização (ver error)
+ *
+ * Com BRIDGE_AUTO_FINALIZE (padrão), provas e finalizações são enviadas pela carteira que iniciou a transferência.
+ */
+
+export const L1_NETWORK = 'ethereum';
+
+const BRIDGE_CONFIG = {
+  pollIntervalMs: parseInt(process.env.BRIDGE_POLL_INTERVAL_MS || '60000', 10),
+  autoFinalize: process.env.BRIDGE_AUTO_FINALIZE !== 'false',
+  // Gas típico de cada etapa, para estimar o custo das rotas
+  gasLimits: { deposit: 150000, withdraw: 150000, prove: 400000, finalize: 300000 }
+};
+
+const ACTIVE_STATUSES = ['pending', 'provable', 'proven', 'finalizable'];
+
+class CrossChainBridge {
+  /**
+   * @param {Object} options - Opções do serviço
+   * @param {string} options.file - Arquivo das transferências
+   * @param {boolean} options.autoFinalize - Enviar provas e finalizações automaticamente
+   * @param {number} options.pollIntervalMs - Intervalo do acompanhamento
+   * @param {Object} options.l1Provider - Provider da Ethereum (padrão: o do gasOptimizer)
+   */
+  constructor({
+    file = process.env.BRIDGE_TRANSFERS_FILE || path.join(process.cwd(), 'data', 'bridge-transfers.json'),
+    autoFinalize = BRIDGE_CONFIG.autoFinalize,
+    pollIntervalMs = BRIDGE_CONFIG.pollIntervalMs,
+    l1Provider = null
+  } = {}) {
+    this.file = file;
+    this.autoFinalize = autoFinalize;
+    this.pollIntervalMs = pollIntervalMs;
+    this.l1Provider = l1Provider;
+    this.l2Providers = {};
+    this.adapters = {};
+    this.transfers = null;
+    this.trackingTimer = null;
+    this.checking = false;
+  }
+
+  loadTransfers() {
+    if (!this.transfers) {
+      this.transfers = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+    }
+    return this.transfers;
+  }
+
+  /**
+   * Grava a transferência alterada: com a trava de file-lock.cjs, relê o arquivo, substitui só o registro
+   * dela e troca o arquivo inteiro, sem apagar as transferências gravadas por outros processos
+   * (servidor, workers); as que este processo ainda não conhecia entram na lista em memória
+   * @param {Object} transfer - Transferência alterada
+   */
+  saveTransfers(transfer) {
+    withFileLock(this.file, () => {
+      const saved = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : [];
+      const index = saved.findIndex(item => item.id === transfer.id);
+      if (index >= 0) {
+        saved[index] = transfer;
+      } else {
+        saved.push(transfer);
+      }
+      writeFileAtomic(this.file, JSON.stringify(saved, null, 2));
+
+      const known = new Set(this.loadTransfers().map(item => item.id));
+      this.transfers.push(...saved.filter(item => !known.has(item.id)));
+    });
+  }
+
+  getL1Provider() {
+    return this.l1Provider || gasOptimizer.providers.mainnet;
+  }
+
+  getL2Provider(network) {
+    if (!this.l2Providers[network]) {
+      this.l2Providers[network] = new ethers.providers.JsonRpcProvider(this.getNetworkConfig(network).rpc);
+    }
+    return this.l2Providers[network];
+  }
+
+  getNetworkConfig(network) {
+    const config = LAYER2_CONFIG[network];
+    if (!config?.bridge) {
+      throw new Error(`Rede sem bridge canônica configurada: ${network}`);
+    }
+    return config;
+  }
+
+  getAdapter(network) {
+    if (!this.adapters[network]) {
+      this.adapters[network] = createBridgeAdapter(network, {
+        config: this.getNetworkConfig(network),
+        l1Provider: this.getL1Provider(),
+        l2Provider: this.getL2Provider(network)
+      });
+    }
+    return this.adapters[network];
+  }
+
+  async getSigner(walletName, provider) {
+    await keyVault.ensureUnlocked();
+    return keyVault.getSigner(walletName || undefined, provider);
+  }
+
+  /**
+   * Pernas da rota pelas bridges canônicas e o tempo esperado de cada uma, em segundos
+   * @param {string} sourceNetwork - Rede de LAYER2_CONFIG ou 'ethereum'
+   * @param {string} targetNetwork - Rede de LAYER2_CONFIG ou 'ethereum'
+   * @returns {Array} - [{ type: 'withdraw'|'deposit', network, from, to, estimatedTime }]
+   */
+  getRouteLegs(sourceNetwork, targetNetwork) {
+    if (sourceNetwork === targetNetwork) {
+      throw new Error('Origem e destino da transferência são a mesma rede');
+    }
+    const legs = [];
+    if (sourceNetwork !== L1_NETWORK) {
+      legs.push({
+        type: 'withdraw',
+        network: sourceNetwork,
+        from: sourceNetwork,
+        to: L1_NETWORK,
+        estimatedTime: this.getNetworkConfig(sourceNetwork).bridge.withdrawalTime
+      });
+    }
+    if (targetNetwork !== L1_NETWORK) {
+      legs.push({
+        type: 'deposit',
+        network: targetNetwork,
+        from: L1_NETWORK,
+        to: targetNetwork,
+        estimatedTime: this.getNetworkConfig(targetNetwork).bridge.depositTime
+      });
+    }
+    return legs;
+  }
+
+  /**
+   * Custo de gas e tempo esperado da transferência pelas bridges canônicas
+   * O saque paga o envio na L2 e a finalização (e a prova, na Optimism) na L1; o depósito, o envio na L1
+   * @returns {Promise<Object>} - { sourceNetwork, targetNetwork, legs, estimatedTime, expectedArrival, gasCost }
+   */
+  async estimateRoute(sourceNetwork, targetNetwork) {
+    const legs = this.getRouteLegs(sourceNetwork, targetNetwork);
+    const { gasLimits } = BRIDGE_CONFIG;
+    const l1GasPrice = await gasOptimizer.getOptimalGasPrice('mainnet');
+    const toEth = (gasPrice, gas) => parseFloat(ethers.utils.formatEther(gasPrice.mul(gas)));
+
+    for (const leg of legs) {
+      if (leg.type === 'deposit') {
+        leg.gasCost = toEth(l1GasPrice, gasLimits.deposit);
+      } else {
+        const l2GasPrice = await this.getL2Provider(leg.network).getGasPrice();
+        const l1Gas = gasLimits.finalize + (leg.network === 'optimism' ? gasLimits.prove : 0);
+        leg.gasCost = toEth(l2GasPrice, gasLimits.withdraw) + toEth(l1GasPrice, l1Gas);
+      }
+    }
+
+    const estimatedTime = legs.reduce((total, leg) => total + leg.estimatedTime, 0);
+    return {
+      sourceNetwork,
+      targetNetwork,
+      legs,
+      estimatedTime,
+      expectedArrival: Date.now() + estimatedTime * 1000,
+      gasCost: legs.reduce((total, leg) => total + leg.gasCost, 0)
+    };
+  }
+
+  /**
+   * Inicia a transferência entre duas redes; entre duas L2, o depósito no destino é enviado
+   * quando o saque da origem é finalizado
+   * @param {Object} options - Opções da transferência
+   * @param {string} options.sourceNetwork - Rede de origem (LAYER2_CONFIG ou 'ethereum')
+   * @param {string} options.targetNetwork - Rede de destino (LAYER2_CONFIG ou 'ethereum')
+   * @param {string|Object} options.token - 'ETH' ou { l1, l2 } (l2 na rede de origem)
+   * @param {Object} options.targetToken - Endereço do token na rede de destino, quando a bridge não o calcula (Optimism)
+   * @param {BigNumber|string} options.amount - Quantidade em unidades do token
+   * @param {string} options.recipient - Destinatário (padrão: a própria carteira)
+   * @param {string} options.walletName - Carteira do cofre de chaves
+   * @returns {Promise<Object>} - Primeira transferência da rota
+   */
+  async startTransfer({ sourceNetwork, targetNetwork, token, targetToken = null, amount, recipient = null, walletName = null }) {
+    const legs = this.getRouteLegs(sourceNetwork, targetNetwork);
+    const routeId = `route-${sourceNetwork}-${targetNetwork}-${Date.now()}`;
+    const routeExpectedArrival = Date.now() + legs.reduce((total, leg) => total + leg.estimatedTime, 0) * 1000;
+
+    if (legs[0].type === 'deposit') {
+      return this.deposit(targetNetwork, { token: withL2Token(token, targetToken), amount, recipient, walletName, routeId, routeExpectedArrival });
+    }
+    const next = legs[1] ? { network: targetNetwork, l2Token: targetToken } : null;
+    return this.withdraw(sourceNetwork, { token, amount, recipient, walletName, routeId, routeExpectedArrival, next });
+  }
+
+  // Depósito da Ethereum para a rede
+  async deposit(network, options) {
+    return this._initiate('deposit', network, options);
+  }
+
+  // Saque da rede para a Ethereum
+  async withdraw(network, options) {
+    return this._initiate('withdraw', network, options);
+  }
+
+  async _initiate(type, network, {
+    token,
+    amount,
+    recipient = null,
+    walletName = null,
+    routeId = null,
+    routeExpectedArrival = null,
+    next = null,
+    previousTransferId = null
+  }) {
+    const adapter = this.getAdapter(network);
+    const { bridge } = this.getNetworkConfig(network);
+    const provider = type === 'deposit' ? this.getL1Provider() : this.getL2Provider(network);
+    const signer = await this.getSigner(walletName, provider);
+    const from = await signer.getAddress();
+    const value = ethers.BigNumber.from(amount);
+    const to = recipient || from;
+
+    try {
+      const { receipt, data } = await adapter[type]({ signer, token, amount: value, recipient: to });
+      const now = Date.now();
+      const estimatedTime = type === 'deposit' ? bridge.depositTime : bridge.withdrawalTime;
+      const transfer = {
+        id: `${type}-${network}-${receipt.transactionHash.slice(2, 10)}-${now}`,
+        type,
+        network,
+        sourceNetwork: type === 'deposit' ? L1_NETWORK : network,
+        targetNetwork: type === 'deposit' ? network : L1_NETWORK,
+        token,
+        amount: value.toString(),
+        from,
+        recipient: to,
+        walletName,
+        status: 'pending',
+        initiatedHash: receipt.transactionHash,
+        initiatedAt: now,
+        expectedArrival: now + estimatedTime * 1000,
+        routeId,
+        routeExpectedArrival: routeExpectedArrival || now + estimatedTime * 1000,
+        previousTransferId,
+        next,
+        nextTransferId: null,
+        proveHash: null,
+        finalizeHash: null,
+        completedAt: null,
+        error: null,
+        data
+      };
+
+      this.loadTransfers().push(transfer);
+      this.saveTransfers(transfer);
+      this._ensureTracking();
+      return { ...transfer };
+    } catch (error) {
+      console.error(`Erro ao iniciar ${type === 'deposit' ? 'depósito' : 'saque'} em ${network}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consulta a bridge e avança a transferência; com autoFinalize, envia a prova e a finalização do saque
+   * @param {string} id - ID da transferência
+   * @returns {Promise<Object>} - Transferência atualizada
+   */
+  async checkTransfer(id) {
+    const transfer = this._getTransfer(id);
+    if (!ACTIVE_STATUSES.includes(transfer.status)) return { ...transfer };
+
+    const adapter = this.getAdapter(transfer.network);
+    if (transfer.type === 'deposit') {
+      const { arrived } = await adapter.checkDeposit(transfer);
+      if (arrived) this._complete(transfer);
+    } else {
+      const result = await adapter.checkWithdrawal(transfer);
+      Object.assign(transfer.data, result.data);
+      if (result.status === 'finalized') {
+        this._complete(transfer);
+      } else if (result.status !== 'waiting') {
+        transfer.status = result.status;
+      }
+
+      if (this.autoFinalize && transfer.status === 'provable') {
+        await this.proveTransfer(id);
+      } else if (this.autoFinalize && transfer.status === 'finalizable') {
+        await this.finalizeTransfer(id);
+      }
+    }
+
+    if (transfer.status === 'completed' && transfer.next && !transfer.nextTransferId) {
+      await this._continueRoute(transfer);
+    }
+    this.saveTransfers(transfer);
+    return { ...transfer };
+  }
+
+  // Envia a prova do saque (Optimism); a janela de desafio começa a contar na prova
+  async proveTransfer(id) {
+    const transfer = this._getTransfer(id);
+    const adapter = this.getAdapter(transfer.network);
+    const signer = await this.getSigner(transfer.walletName, this.getL1Provider());
+
+    try {
+      const { receipt, data } = await adapter.prove(transfer, signer);
+      Object.assign(transfer.data, data);
+      transfer.status = 'proven';
+      transfer.proveHash = receipt.transactionHash;
+      transfer.error = null;
+
+      const { challengePeriod } = this.getNetworkConfig(transfer.network).bridge;
+      const finalizableAt = Date.now() + challengePeriod * 1000;
+      if (finalizableAt > transfer.expectedArrival) {
+        transfer.routeExpectedArrival += finalizableAt - transfer.expectedArrival;
+        transfer.expectedArrival = finalizableAt;
+      }
+    } catch (error) {
+      console.error(`Erro ao provar o saque ${transfer.id}:`, error);
+      transfer.status = 'failed';
+      transfer.error = error.message;
+    }
+
+    this.saveTransfers(transfer);
+    return { ...transfer };
+  }
+
+  // Conclui o saque na L1
+  async finalizeTransfer(id) {
+    const transfer = this._getTransfer(id);
+    const adapter = this.getAdapter(transfer.network);
+    const signer = await this.getSigner(transfer.walletName, this.getL1Provider());
+
+    try {
+      const receipt = await adapter.finalize(transfer, signer);
+      transfer.finalizeHash = receipt.transactionHash;
+      this._complete(transfer);
+    } catch (error) {
+      console.error(`Erro ao finalizar o saque ${transfer.id}:`, error);
+      transfer.status = 'failed';
+      transfer.error = error.message;
+    }
+
+    this.saveTransfers(transfer);
+    return { ...transfer };
+  }
+
+  /**
+   * Reenvia para o acompanhamento uma transferência que falhou na prova ou na finalização
+   * (ex.: carteira sem ETH para o gas na L1)
+   */
+  async retryTransfer(id) {
+    const transfer = this._getTransfer(id);
+    if (transfer.status !== 'failed') {
+      throw new Error(`Transferência ${id} não falhou (status ${transfer.status})`);
+    }
+    transfer.status = transfer.type === 'withdraw' && transfer.proveHash ? 'proven' : 'pending';
+    transfer.error = null;
+    this.saveTransfers(transfer);
+    this._ensureTracking();
+    return this.checkTransfer(id);
+  }
+
+  // Segunda perna da rota entre duas L2: depósito no destino com os fundos sacados para a L1
+  async _continueRoute(transfer) {
+    try {
+      const next = await this.deposit(transfer.next.network, {
+        token: withL2Token(transfer.token, transfer.next.l2Token),
+        amount: transfer.amount,
+        recipient: transfer.recipient,
+        walletName: transfer.walletName,
+        routeId: transfer.routeId,
+        routeExpectedArrival: transfer.routeExpectedArrival,
+        previousTransferId: transfer.id
+      });
+      transfer.nextTransferId = next.id;
+    } catch (error) {
+      transfer.error = `Depósito em ${transfer.next.network} não enviado: ${error.message}`;
+    }
+  }
+
+  _complete(transfer) {
+    transfer.status = 'completed';
+    transfer.completedAt = Date.now();
+    transfer.error = null;
+  }
+
+  _getTransfer(id) {
+    const transfer = this.loadTransfers().find(item => item.id === id);
+    if (!transfer) {
+      throw new Error(`Transferência não encontrada: ${id}`);
+    }
+    return transfer;
+  }
+
+  getTransfer(id) {
+    return { ...this._getTransfer(id) };
+  }
+
+  getTransfers({ status = null, network = null, routeId = null } = {}) {
+    return this.loadTransfers()
+      .filter(transfer => !status || transfer.status === status)
+      .filter(transfer => !network || transfer.network === network)
+      .filter(transfer => !routeId || transfer.routeId === routeId)
+      .map(transfer => ({ ...transfer }));
+  }
+
+  getActiveTransfers() {
+    return this.loadTransfers().filter(transfer => ACTIVE_STATUSES.includes(transfer.status)).map(transfer => ({ ...transfer }));
+  }
+
+  // Retoma o acompanhamento das transferências persistidas (ex.: após reiniciar o serviço)
+  resumeTracking() {
+    this.loadTransfers();
+    this._ensureTracking();
+    return this.getActiveTransfers().length;
+  }
+
+  stopTracking() {
+    if (this.trackingTimer) {
+      clearInterval(this.trackingTimer);
+      this.trackingTimer = null;
+    }
+  }
+
+  _ensureTracking() {
+    if (!this.trackingTimer && this.getActiveTransfers().length > 0) {
+      this.trackingTimer = setInterval(() => this._checkActive(), this.pollIntervalMs);
+    }
+  }
+
+  async _checkActive() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const transfer of this.getActiveTransfers()) {
+        try {
+          await this.checkTransfer(transfer.id);
+        } catch (error) {
+          console.error(`Erro ao acompanhar a transferência ${transfer.id}:`, error);
+        }
+      }
+    } finally {
+      this.checking = false;
+      if (this.getActiveTransfers().length === 0) this.stopTracking();
+    }
+  }
+}
+
+// Token na rede da próxima perna: o ERC-20 é identificado pelo endereço na L1
+function withL2Token(token, l2Token) {
+  if (token === 'ETH') return token;
+  return { l1: token.l1, ...(l2Token ? { l2: l2Token } : {}) };
+}
+
+export const crossChainBridge = new CrossChainBridge();
+export { CrossChainBridge };
@@ -4,6 +4,9 @@ import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
 import { sentimentAnalysis } from './sentimentAnalysis';
 import { predictiveAnalytics } from './predictiveAnalytics';
+import { getRiskEngine } from '../../risk-engine.js';
+import { getLotTracker } from '../../lot-tracker.js';
+import { getPaperOrderManager } from '../../order-manager.js';
 
 /**
  * Classe para estratégias avançadas de arbitragem de criptomoedas
@@ -231,6 +234,11 @@ class CryptoArbitrage {
       console.log(`- Venda: ${opportunity.sellExchange} a ${opportunity.sellPrice}`);
       console.log(`- Lucro esperado: ${opportunity.netProfit} (${opportunity.profitPercentage * 100}%)`);
       
+      // Verificações pré-negociação do motor de risco (a perna de compra abre a exposição)
+      const riskEngine = getRiskEngine();
+      const amount = opportunity.amount || 1;
+      riskEngine.assertOrder({ strategy: 'crypto_arbitrage', asset, side: 'buy', amount, price: opportunity.buyPrice });
+      
       // Registrar arbitragem como ativa
       this.activeArbitrages.set(asset, {
         id: arbitrageId,
@@ -242,6 +250,19 @@ class CryptoArbitrage {
       // Em produção, isso seria substituído por chamadas reais às APIs das exchanges
       const executionResult = await this.simulateArbitrageExecution(asset, opportunity);
       
+      riskEngine.recordFill({ strategy: 'crypto_arbitrage', asset, side: 'buy', amount, price: executionResult.actualBuyPrice });
+      riskEngine.recordFill({ strategy: 'crypto_arbitrage', asset, side: 'sell', amount, price: executionResult.actualSellPrice });
+      riskEngine.recordPnl({ strategy: 'crypto_arbitrage', amount: executionResult.actualProfit * amount });
+      
+      // Registrar as duas pernas no rastreador de lotes (custo de aquisição e resultado realizado)
+      try {
+        const lotTracker = getLotTracker();
+        lotTracker.recordFill({ strategy: 'crypto_arbitrage', asset, side: 'buy', amount, price: executionResult.actualBuyPrice, id: `${arbitrageId}-buy` });
+        lotTracker.recordFill({ strategy: 'crypto_arbitrage', asset, side: 'sell', amount, price: executionResult.actualSellPrice, id: `${arbitrageId}-sell` });
+      } catch (error) {
+        console.error('Erro ao registrar lotes da arbitragem:', error);
+      }
+      
       // Registrar resultado
       this.arbitrageResults.push({
         id: arbitrageId,
@@ -457,34 +478,56 @@ class CryptoArbitrage {
 
   /**
    * Simula a colocação de uma ordem
+   * A ordem passa pelo gerenciador das ordens simuladas (estado, execuções e eventos), separado das
+   * ordens reais; a simulação faz o papel da exchange
    * @param {string} asset - Símbolo do ativo
    * @param {string} side - Lado da ordem (buy/sell)
    * @param {number} price - Preço da ordem
+   * @param {string} clientOrderId - ID da ordem para reenvio idempotente (opcional)
    * @returns {Promise<Object>} - Resultado da simulação
    */
-  async simulatePlaceOrder(asset, side, price) {
-    // Simular um pequeno atraso na colocação da ordem (50-200ms)
-    const orderDelay = Math.floor(Math.random() * 150) + 50;
-    await new Promise(resolve => setTimeout(resolve, orderDelay));
-    
+  async simulatePlaceOrder(asset, side, price, clientOrderId = null) {
     // Simular uma quantidade baseada no preço do ativo
     // Quanto maior o preço, menor a quantidade
     const baseAmount = 10000 / price;
     const amount = baseAmount * (0.8 + (Math.random() * 0.4)); // Variação de 80-120%
     
-    // Simular uma chance de 98% de sucesso na colocação da ordem
-    const orderSuccess = Math.random() < 0.98;
+    const order = await getPaperOrderManager().submitOrder({
+      exchange: 'simulated',
+      symbol: `${asset}/USDT`,
+      side,
+      type: 'limit',
+      amount,
+      price,
+      strategy: 'cryptoArbitrage',
+      clientOrderId
+    }, {
+      submit: async () => {
+        // Simular um pequeno atraso na colocação da ordem (50-200ms)
+        const orderDelay = Math.floor(Math.random() * 150) + 50;
+        await new Promise(resolve => setTimeout(resolve, orderDelay));
+        
+        // Simular uma chance de 98% de sucesso na colocação da ordem
+        if (Math.random() >= 0.98) {
+          return { id: null, status: 'rejected', reason: 'Falha na colocação da ordem' };
+        }
+        return { id: `order-${asset}-${side}-${Date.now()}`, status: 'filled', filled: amount, price, timestamp: Date.now() };
+      }
+    });
+    const orderSuccess = order.status !== 'rejected';
     
     return {
       success: orderSuccess,
       asset,
       side,
       price,
-      amount,
-      timestamp: Date.now(),
-      orderId: orderSuccess ? `order-${asset}-${side}-${Date.now()}` : null,
+      amount: order.amount,
+      timestamp: order.createdAt,
+      orderId: order.exchangeOrderId,
+      clientOrderId: order.clientOrderId,
+      orderStatus: order.status,
       status: orderSuccess ? 'placed' : 'failed',
-      reason: orderSuccess ? 'Sucesso' : 'Falha na colocação da ordem'
+      reason: orderSuccess ? 'Sucesso' : order.reason
     };
   }
 
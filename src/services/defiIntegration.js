@@ -3,6 +3,7 @@ import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { getBestLendingRates } from './defiLending';
 import { gasOptimizer } from './gasOptimizer';
+import { keyVault } from './keyVault';
 
 // Configurações para protocolos DeFi
 const DEFI_PROTOCOLS = {
@@ -88,7 +89,7 @@ class DefiIntegration {
    * @param {string} network - Nome da rede (mainnet, polygon, optimism)
    * @param {string} asset - Símbolo do ativo (USDC, USDT, DAI)
    * @param {string} amount - Quantidade a ser emprestada
-   * @param {Object} options - Opções adicionais
+   * @param {Object} options - Opções adicionais (walletName: carteira do cofre de chaves que assina)
    * @returns {Promise<Object>} - Resultado do empréstimo
    */
   async borrowFromProtocol(protocol, network, asset, amount, options = {}) {
@@ -106,7 +107,8 @@ class DefiIntegration {
       }
       
       const provider = this.providers[network];
-      const signer = provider.getSigner();
+      await keyVault.ensureUnlocked();
+      const signer = keyVault.getSigner(options.walletName, provider);
       const assetAddress = STABLECOIN_ADDRESSES[asset][network];
       const protocolAddress = DEFI_PROTOCOLS[protocol].v3[network];
       
@@ -154,6 +156,7 @@ class DefiIntegration {
         network,
         asset,
         amount,
+        walletName: signer.keyName,
         timestamp: Date.now(),
         txHash: receipt.transactionHash,
         status: 'active',
@@ -203,13 +206,15 @@ class DefiIntegration {
       }
       
       const loan = this.activeLoans.get(loanId);
-      const { protocol, network, asset, amount } = loan;
+      const { protocol, network, asset, amount, walletName } = loan;
       
       // Usar o valor total se não for especificado
       const amountToRepay = repayAmount || amount;
       
       const provider = this.providers[network];
-      const signer = provider.getSigner();
+      // O pagamento é assinado pela mesma carteira que tomou o empréstimo
+      await keyVault.ensureUnlocked();
+      const signer = keyVault.getSigner(walletName, provider);
       const assetAddress = STABLECOIN_ADDRESSES[asset][network];
       const protocolAddress = DEFI_PROTOCOLS[protocol].v3[network];
       
@@ -1,7 +1,17 @@
 import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { gasOptimizer } from './gasOptimizer';
+import { keyVault } from './keyVault';
 import { profitTracker } from './profitTracker';
+import { STEP_UP_ACTIONS, verifyStepUpToken } from '../../two-factor.cjs';
+import { EVM_CHAINS, getWithdrawalAllowlist } from '../../withdrawal-allowlist.js';
+
+// Formato dos endereços das redes não-EVM aceitas para saque
+const ADDRESS_PATTERNS = {
+  bitcoin: /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/,
+  solana: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/,
+  tron: /^T[1-9A-HJ-NP-Za-km-z]{33}$/
+};
 
 class Exchange {
   constructor() {
@@ -9,14 +19,57 @@ class Exchange {
     this.transactions = [];
   }
 
+  /**
+   * Saque manual de tokens ERC-20
+   * @param {Object} params - Parâmetros do saque
+   * @param {string} params.walletName - Carteira do cofre de chaves que assina o saque
+   * @param {string} params.stepUpToken - Confirmação TOTP emitida por /api/auth/2fa/confirm (ação 'withdrawal')
+   * @param {string} params.chain - Rede do saque; toAddress precisa estar liberado na lista de endereços do usuário
+   * @returns {Promise<Object>} - Resultado do saque
+   */
   async manualWithdrawal({
-    privateKey,
+    walletName,
     toAddress,
     amount,
-    tokenContract
+    tokenContract,
+    stepUpToken,
+    chain = 'ethereum'
   }) {
     try {
-      const wallet = new ethers.Wallet(privateKey, this.provider);
+      // Saques exigem confirmação em dois fatores
+      const { userId } = await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.WITHDRAWAL);
+
+      // O destino precisa estar cadastrado e fora do período de carência
+      await getWithdrawalAllowlist().assertWithdrawalAllowed(userId, toAddress, chain);
+
+      const operation = await this.sendWithdrawal({ walletName, toAddress, amount, tokenContract });
+
+      // Enviado mas sem confirmação no prazo: acompanhar por getWithdrawalStatus(operation.transactionId)
+      return {
+        success: true,
+        pending: operation.status === 'pending',
+        transaction: operation
+      };
+    } catch (error) {
+      console.error('Erro no saque manual:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Envia um saque já confirmado e autorizado (manualWithdrawal ou withdrawals.js no servidor)
+   * @param {Object} params - { walletName, toAddress, amount, tokenContract }; sem tokenContract envia ETH
+   * @returns {Promise<Object>} - Operação registrada (hash, valor, gas); status 'pending' se a confirmação passar do prazo
+   */
+  async sendWithdrawal({ walletName, toAddress, amount, tokenContract = null }) {
+    await keyVault.ensureUnlocked();
+    const wallet = keyVault.getSigner(walletName, this.provider);
+    let request;
+
+    if (tokenContract) {
       const contract = new ethers.Contract(
         tokenContract,
         [
@@ -36,60 +89,114 @@ class Exchange {
         throw new Error('Saldo insuficiente para saque');
       }
 
-      // Otimizar gas
-      const gasPrice = await gasOptimizer.getOptimalGasPrice();
       const gasLimit = await contract.estimateGas.transfer(toAddress, amountInWei);
-
-      // Executar transação
-      const tx = await contract.transfer(toAddress, amountInWei, {
-        gasPrice,
+      request = {
+        to: tokenContract,
+        data: contract.interface.encodeFunctionData('transfer', [toAddress, amountInWei]),
         gasLimit: gasLimit.mul(12).div(10) // 20% buffer
-      });
-
-      // Aguardar confirmações
-      const receipt = await tx.wait(2);
-
-      // Registrar operação
-      const operation = {
-        type: 'withdrawal',
-        hash: receipt.transactionHash,
-        amount: amount.toString(),
-        from: wallet.address,
-        to: toAddress,
-        gasUsed: receipt.gasUsed.toString(),
-        timestamp: Date.now()
       };
+    } else {
+      const amountInWei = ethers.utils.parseEther(amount.toString());
+      if ((await wallet.getBalance()).lt(amountInWei)) {
+        throw new Error('Saldo insuficiente para saque');
+      }
+      request = { to: toAddress, value: amountInWei };
+    }
 
-      this.transactions.push(operation);
-      await profitTracker.addOperation({
-        asset: tokenContract,
-        amount: amount.toString(),
-        buyPrice: 0,
-        sellPrice: 0,
-        gasUsed: receipt.gasUsed.toString(),
-        success: true
-      });
+    // Executar transação (taxas EIP-1559 e nonce pelo otimizador de gas)
+    const tx = await gasOptimizer.sendTransaction(wallet, request);
 
-      return {
-        success: true,
-        transaction: operation
-      };
+    // Registrar operação
+    const operation = {
+      type: 'withdrawal',
+      transactionId: tx.id,
+      hash: tx.hash,
+      amount: amount.toString(),
+      asset: tokenContract || 'ETH',
+      from: wallet.address,
+      to: toAddress,
+      gasUsed: null,
+      status: 'pending',
+      error: null,
+      timestamp: Date.now()
+    };
+    this.transactions.push(operation);
+
+    // Aguardar confirmações; pendente além de TX_PENDING_DEADLINE_MS, a transação é reenviada com taxas maiores
+    let receipt;
+    try {
+      receipt = await tx.wait(2);
     } catch (error) {
-      console.error('Erro no saque manual:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      // Sem confirmação até TX_CONFIRMATION_TIMEOUT_MS a transação continua no mempool e ainda pode ser
+      // minerada: o saque fica pendente e é consultado depois por getWithdrawalStatus
+      if (error.transaction?.status === 'pending') {
+        operation.hash = error.transaction.hash;
+        return operation;
+      }
+      operation.status = 'failed';
+      operation.error = error.message;
+      throw error;
     }
+
+    await this._completeWithdrawal(operation, receipt.transactionHash, receipt.gasUsed.toString());
+    return operation;
+  }
+
+  /**
+   * Situação de um saque ainda pendente, consultada no otimizador de gas
+   * @param {string} hashOrId - Id da transação no gasOptimizer ou hash de uma das suas versões
+   * @returns {Promise<Object>} - Operação atualizada (pending, confirmed ou failed)
+   */
+  async getWithdrawalStatus(hashOrId) {
+    const operation = this.transactions.find(item =>
+      item.type === 'withdrawal' && (item.transactionId === hashOrId || item.hash === hashOrId));
+    if (!operation) {
+      throw new Error(`Saque não encontrado: ${hashOrId}`);
+    }
+    if (operation.status !== 'pending') return operation;
+
+    const transaction = gasOptimizer.getTransaction(operation.transactionId);
+    if (!transaction) return operation;
+    operation.hash = transaction.hash;
+
+    if (transaction.status === 'confirmed') {
+      await this._completeWithdrawal(operation, transaction.hash, transaction.gasUsed);
+    } else if (transaction.status !== 'pending') {
+      operation.status = 'failed';
+      operation.error = transaction.error || `Transação ${transaction.status === 'failed' ? 'revertida' : 'cancelada'}`;
+    }
+    return operation;
+  }
+
+  async _completeWithdrawal(operation, hash, gasUsed) {
+    Object.assign(operation, { hash, gasUsed, status: 'confirmed' });
+    await profitTracker.addOperation({
+      asset: operation.asset,
+      amount: operation.amount,
+      buyPrice: 0,
+      sellPrice: 0,
+      gasUsed,
+      success: true
+    });
   }
 
   getTransactionHistory() {
     return this.transactions;
   }
 
-  async validateAddress(address) {
+  /**
+   * Valida um endereço de acordo com o formato da rede
+   * @param {string} address - Endereço a validar
+   * @param {string} chain - Rede do endereço (padrão: ethereum)
+   * @returns {Promise<boolean>} - true se o endereço for válido para a rede
+   */
+  async validateAddress(address, chain = 'ethereum') {
     try {
-      return ethers.utils.isAddress(address);
+      if (EVM_CHAINS.includes(chain)) {
+        return ethers.utils.isAddress(address);
+      }
+      const pattern = ADDRESS_PATTERNS[chain];
+      return !!pattern && pattern.test(address);
     } catch {
       return false;
     }
@@ -0,0 +1,1521 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+/**
+ * Contrato comum para as exchanges centralizadas
+ *
+ * Todos os adaptadores recebem símbolos unificados (ex: BTC/USDT) e devolvem
+ * estruturas normalizadas:
+ * - ticker: { exchange, symbol, bid, ask, last, timestamp }
+ * - order book: { exchange, symbol, bids: [[preço, quantidade]], asks, timestamp, sequence }
+ *   (sequence: ID de atualização do snapshot, nas exchanges cujo stream de profundidade depende dele)
+ * - saldos: { ATIVO: { free, used, total } }
+ * - ordem: { id, clientOrderId, exchange, symbol, side, type, amount, price, filled, status, timestamp, raw }
+ * - trade: { id, orderId, exchange, symbol, side, price, amount, fee, feeAsset, timestamp }
+ * - candle: [timestamp, open, high, low, close, volume]
+ *
+ * Status de ordem normalizados: new, partially_filled, filled, cancelled, rejected, expired
+ *
+ * O cliente HTTP e o relógio são injetáveis para que as requisições assinadas possam
+ * ser reproduzidas contra fixtures HTTP gravadas
+ */
+export class ExchangeAdapter {
+  /**
+   * @param {string} name - Nome da exchange (chave em cexConfig)
+   * @param {Object} options - Opções do adaptador
+   * @param {string} options.baseURL - URL base da API
+   * @param {Object} options.credentials - { apiKey, apiSecret, passphrase }
+   * @param {Object} options.httpClient - Cliente compatível com axios (precisa de request)
+   * @param {Function} options.now - Relógio em milissegundos usado nas assinaturas
+   */
+  constructor(name, { baseURL, credentials = {}, httpClient, now = () => Date.now() } = {}) {
+    this.name = name;
+    this.credentials = credentials;
+    this.http = httpClient || axios.create({ baseURL });
+    this.now = now;
+  }
+
+  async fetchTicker(symbol) {
+    throw new Error(`fetchTicker não implementado para ${this.name}`);
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    throw new Error(`fetchOrderBook não implementado para ${this.name}`);
+  }
+
+  /**
+   * @param {string} symbol - Símbolo unificado
+   * @param {Object} options - { interval, since (ms), limit }
+   */
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    throw new Error(`fetchOHLCV não implementado para ${this.name}`);
+  }
+
+  async fetchBalances() {
+    throw new Error(`fetchBalances não implementado para ${this.name}`);
+  }
+
+  /**
+   * @param {Object} order - { symbol, side: buy|sell, type: market|limit, amount, price, clientOrderId }
+   */
+  async createOrder(order) {
+    throw new Error(`createOrder não implementado para ${this.name}`);
+  }
+
+  async cancelOrder(orderId, symbol) {
+    throw new Error(`cancelOrder não implementado para ${this.name}`);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    throw new Error(`fetchOrder não implementado para ${this.name}`);
+  }
+
+  /**
+   * Procura uma ordem pelo clientOrderId enviado na criação (conciliação de ordens sem o ID da exchange)
+   * @param {string} clientOrderId - ID da ordem no cliente
+   * @param {string} symbol - Símbolo unificado
+   * @param {number} since - Criação da ordem em ms (exchanges que só listam ordens por período)
+   * @returns {Promise<Object|null>} - Ordem, ou null quando a exchange confirma que ela não existe
+   */
+  async fetchOrderByClientId(clientOrderId, symbol, since) {
+    throw new Error(`fetchOrderByClientId não implementado para ${this.name}`);
+  }
+
+  async fetchMyTrades(symbol, since) {
+    throw new Error(`fetchMyTrades não implementado para ${this.name}`);
+  }
+
+  /**
+   * Converte o símbolo unificado (BTC/USDT) para o formato da exchange
+   * @param {string} symbol - Símbolo unificado
+   * @returns {string} - Identificador do mercado na exchange
+   */
+  marketId(symbol) {
+    return symbol.replace('/', '');
+  }
+
+  /**
+   * Monta a requisição assinada; cada exchange implementa seu esquema HMAC
+   * @param {Object} request - { method, path, params, body }
+   * @returns {Object} - Configuração de requisição do axios
+   */
+  sign(request) {
+    throw new Error(`Assinatura não implementada para ${this.name}`);
+  }
+
+  /**
+   * Valida o envelope de resposta da exchange e devolve o conteúdo útil
+   * @param {*} data - Corpo da resposta
+   * @returns {*} - Conteúdo da resposta
+   */
+  parseResponse(data) {
+    return data;
+  }
+
+  async request({ method = 'GET', path, params, body, signed = false }) {
+    const config = signed
+      ? this.sign({ method, path, params, body })
+      : { method, url: path, params, data: body };
+
+    if (signed && !this.credentials.apiKey) {
+      throw new Error(`Credenciais da ${this.name} não configuradas`);
+    }
+
+    try {
+      const response = await this.http.request(config);
+      return this.parseResponse(response.data);
+    } catch (error) {
+      console.error(`Erro na requisição ${method} ${path} da ${this.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  _order(fields) {
+    return { exchange: this.name, ...fields };
+  }
+}
+
+const hmac = (algorithm, secret, payload, encoding = 'hex') =>
+  crypto.createHmac(algorithm, secret).update(payload).digest(encoding);
+
+const toQueryString = (params = {}) => new URLSearchParams(
+  Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+).toString();
+
+const toLevels = (levels = []) => levels.map(level => Array.isArray(level)
+  ? [parseFloat(level[0]), parseFloat(level[1])]
+  : [parseFloat(level.price), parseFloat(level.size)]);
+
+// Duração de cada intervalo de candle aceito pelo fetchOHLCV
+const OHLCV_INTERVAL_MS = {
+  '1m': 60000,
+  '5m': 5 * 60000,
+  '15m': 15 * 60000,
+  '1h': 60 * 60000,
+  '4h': 4 * 60 * 60000,
+  '1d': 24 * 60 * 60000
+};
+
+/**
+ * Janela dos candles pedidos: limit intervalos a partir de since ou, sem since, até agora
+ * @returns {Object} - { code (intervalo no formato da exchange), start, end } em ms
+ */
+function ohlcvWindow(adapter, intervals, { interval, since, limit }) {
+  if (!intervals[interval]) {
+    throw new Error(`Intervalo de candle ${interval} não suportado pela ${adapter.name}`);
+  }
+  const duration = OHLCV_INTERVAL_MS[interval];
+  const start = since !== undefined && since !== null ? since : adapter.now() - limit * duration;
+  return { code: intervals[interval], start, end: start + limit * duration };
+}
+
+// Candles [timestamp, open, high, low, close, volume] em ordem crescente, no máximo limit
+const toCandles = (candles, { since, limit }) => {
+  const sorted = candles
+    .map(([timestamp, ...values]) => [Number(timestamp), ...values.map(value => parseFloat(value))])
+    .sort((a, b) => a[0] - b[0]);
+  return since !== undefined && since !== null ? sorted.slice(0, limit) : sorted.slice(-limit);
+};
+
+const BINANCE_STATUS = {
+  NEW: 'new',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELED: 'cancelled',
+  PARTIALLY_CANCELED: 'cancelled',
+  PENDING_CANCEL: 'new',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Binance Spot (assinatura HMAC-SHA256 da query string)
+ */
+export class BinanceAdapter extends ExchangeAdapter {
+  constructor(options = {}, name = 'binance', baseURL = 'https://api.binance.com', apiKeyHeader = 'X-MBX-APIKEY') {
+    super(name, { baseURL, ...options });
+    this.apiKeyHeader = apiKeyHeader;
+    this.recvWindow = 5000;
+  }
+
+  sign({ method, path, params = {}, body = {} }) {
+    const query = toQueryString({ ...params, ...body, recvWindow: this.recvWindow, timestamp: this.now() });
+    const signature = hmac('sha256', this.credentials.apiSecret || '', query);
+
+    return {
+      method,
+      url: `${path}?${query}&signature=${signature}`,
+      headers: { [this.apiKeyHeader]: this.credentials.apiKey }
+    };
+  }
+
+  async fetchTicker(symbol) {
+    const data = await this.request({ path: '/api/v3/ticker/24hr', params: { symbol: this.marketId(symbol) } });
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(data.bidPrice),
+      ask: parseFloat(data.askPrice),
+      last: parseFloat(data.lastPrice),
+      timestamp: data.closeTime || this.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const data = await this.request({ path: '/api/v3/depth', params: { symbol: this.marketId(symbol), limit } });
+    return {
+      exchange: this.name,
+      symbol,
+      bids: toLevels(data.bids),
+      asks: toLevels(data.asks),
+      timestamp: this.now(),
+      sequence: data.lastUpdateId
+    };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const data = await this.request({
+      path: '/api/v3/klines',
+      params: { symbol: this.marketId(symbol), interval, startTime: since, limit }
+    });
+    return data.map(([timestamp, open, high, low, close, volume]) => [
+      timestamp, parseFloat(open), parseFloat(high), parseFloat(low), parseFloat(close), parseFloat(volume)
+    ]);
+  }
+
+  async fetchBalances() {
+    const data = await this.request({ path: '/api/v3/account', signed: true });
+    return data.balances.reduce((balances, { asset, free, locked }) => {
+      balances[asset] = { free: parseFloat(free), used: parseFloat(locked), total: parseFloat(free) + parseFloat(locked) };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      symbol: this.marketId(symbol),
+      side: side.toUpperCase(),
+      type: type.toUpperCase(),
+      quantity: amount,
+      newClientOrderId: clientOrderId
+    };
+    if (type === 'limit') {
+      body.price = price;
+      body.timeInForce = 'GTC';
+    }
+
+    const data = await this.request({ method: 'POST', path: '/api/v3/order', body, signed: true });
+    return this._parseOrder(data, symbol);
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const data = await this.request({
+      method: 'DELETE',
+      path: '/api/v3/order',
+      params: { symbol: this.marketId(symbol), orderId },
+      signed: true
+    });
+    return this._parseOrder(data, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const data = await this.request({
+      path: '/api/v3/order',
+      params: { symbol: this.marketId(symbol), orderId },
+      signed: true
+    });
+    return this._parseOrder(data, symbol);
+  }
+
+  async fetchOrderByClientId(clientOrderId, symbol) {
+    try {
+      const data = await this.request({
+        path: '/api/v3/order',
+        params: { symbol: this.marketId(symbol), origClientOrderId: clientOrderId },
+        signed: true
+      });
+      return this._parseOrder(data, symbol);
+    } catch (error) {
+      // -2013: Order does not exist
+      if (error.response && error.response.data && error.response.data.code === -2013) return null;
+      throw error;
+    }
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const data = await this.request({
+      path: '/api/v3/myTrades',
+      params: { symbol: this.marketId(symbol), startTime: since },
+      signed: true
+    });
+    return data.map(trade => ({
+      id: String(trade.id),
+      orderId: String(trade.orderId),
+      exchange: this.name,
+      symbol,
+      side: trade.isBuyer ? 'buy' : 'sell',
+      price: parseFloat(trade.price),
+      amount: parseFloat(trade.qty),
+      fee: parseFloat(trade.commission),
+      feeAsset: trade.commissionAsset,
+      timestamp: trade.time
+    }));
+  }
+
+  _parseOrder(data, symbol) {
+    return this._order({
+      id: String(data.orderId),
+      clientOrderId: data.clientOrderId || data.origClientOrderId || null,
+      symbol,
+      side: (data.side || '').toLowerCase(),
+      type: (data.type || '').toLowerCase(),
+      amount: parseFloat(data.origQty),
+      price: parseFloat(data.price) || null,
+      filled: parseFloat(data.executedQty || 0),
+      status: BINANCE_STATUS[data.status] || 'new',
+      timestamp: data.transactTime || data.time || this.now(),
+      raw: data
+    });
+  }
+}
+
+/**
+ * MEXC Spot v3 (mesmo esquema de assinatura e endpoints da Binance)
+ */
+export class MexcAdapter extends BinanceAdapter {
+  constructor(options = {}) {
+    super(options, 'mexc', 'https://api.mexc.com', 'X-MEXC-APIKEY');
+  }
+
+  // Nos klines da MEXC o intervalo de uma hora é 60m
+  async fetchOHLCV(symbol, options = {}) {
+    return super.fetchOHLCV(symbol, { ...options, interval: options.interval === '1h' ? '60m' : options.interval });
+  }
+}
+
+const COINBASE_GRANULARITIES = { '1m': 'ONE_MINUTE', '5m': 'FIVE_MINUTE', '15m': 'FIFTEEN_MINUTE', '1h': 'ONE_HOUR', '1d': 'ONE_DAY' };
+
+const COINBASE_STATUS = {
+  PENDING: 'new',
+  OPEN: 'new',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'rejected'
+};
+
+/**
+ * Coinbase Advanced Trade (CB-ACCESS-SIGN = HMAC-SHA256 de timestamp + método + caminho + corpo)
+ */
+export class CoinbaseAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('coinbase', { baseURL: 'https://api.coinbase.com', ...options });
+  }
+
+  marketId(symbol) {
+    return symbol.replace('/', '-');
+  }
+
+  sign({ method, path, params, body }) {
+    const timestamp = Math.floor(this.now() / 1000).toString();
+    const payload = body ? JSON.stringify(body) : '';
+    const signature = hmac('sha256', this.credentials.apiSecret || '', `${timestamp}${method}${path}${payload}`);
+    const query = toQueryString(params);
+
+    return {
+      method,
+      url: query ? `${path}?${query}` : path,
+      data: payload || undefined,
+      headers: {
+        'CB-ACCESS-KEY': this.credentials.apiKey,
+        'CB-ACCESS-SIGN': signature,
+        'CB-ACCESS-TIMESTAMP': timestamp,
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  async fetchTicker(symbol) {
+    const data = await this.request({
+      path: `/api/v3/brokerage/products/${this.marketId(symbol)}/ticker`,
+      params: { limit: 1 },
+      signed: true
+    });
+    const lastTrade = (data.trades || [])[0];
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(data.best_bid),
+      ask: parseFloat(data.best_ask),
+      last: lastTrade ? parseFloat(lastTrade.price) : null,
+      timestamp: lastTrade ? new Date(lastTrade.time).getTime() : this.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const data = await this.request({
+      path: '/api/v3/brokerage/product_book',
+      params: { product_id: this.marketId(symbol), limit },
+      signed: true
+    });
+    return {
+      exchange: this.name,
+      symbol,
+      bids: toLevels(data.pricebook.bids),
+      asks: toLevels(data.pricebook.asks),
+      timestamp: new Date(data.pricebook.time).getTime() || this.now()
+    };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start, end } = ohlcvWindow(this, COINBASE_GRANULARITIES, { interval, since, limit });
+    const data = await this.request({
+      path: `/api/v3/brokerage/market/products/${this.marketId(symbol)}/candles`,
+      params: { start: Math.floor(start / 1000), end: Math.floor(end / 1000), granularity: code, limit }
+    });
+    return toCandles(data.candles.map(candle =>
+      [candle.start * 1000, candle.open, candle.high, candle.low, candle.close, candle.volume]), { since, limit });
+  }
+
+  async fetchBalances() {
+    const data = await this.request({ path: '/api/v3/brokerage/accounts', signed: true });
+    return data.accounts.reduce((balances, account) => {
+      const free = parseFloat(account.available_balance.value);
+      const used = parseFloat((account.hold || {}).value || 0);
+      balances[account.currency] = { free, used, total: free + used };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const orderConfiguration = type === 'limit'
+      ? { limit_limit_gtc: { base_size: String(amount), limit_price: String(price) } }
+      : { market_market_ioc: { base_size: String(amount) } };
+
+    const data = await this.request({
+      method: 'POST',
+      path: '/api/v3/brokerage/orders',
+      body: {
+        client_order_id: clientOrderId || crypto.randomUUID(),
+        product_id: this.marketId(symbol),
+        side: side.toUpperCase(),
+        order_configuration: orderConfiguration
+      },
+      signed: true
+    });
+
+    if (!data.success) {
+      const reason = (data.error_response || {}).message || data.failure_reason || 'Ordem rejeitada';
+      throw new Error(`Coinbase rejeitou a ordem: ${reason}`);
+    }
+
+    return this._order({
+      id: data.success_response.order_id,
+      clientOrderId: data.success_response.client_order_id,
+      symbol,
+      side,
+      type,
+      amount,
+      price: price || null,
+      filled: 0,
+      status: 'new',
+      timestamp: this.now(),
+      raw: data
+    });
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const data = await this.request({
+      method: 'POST',
+      path: '/api/v3/brokerage/orders/batch_cancel',
+      body: { order_ids: [orderId] },
+      signed: true
+    });
+    const result = (data.results || [])[0] || {};
+    if (!result.success) {
+      throw new Error(`Coinbase não cancelou a ordem ${orderId}: ${result.failure_reason || 'motivo desconhecido'}`);
+    }
+    return this.fetchOrder(orderId, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const { order } = await this.request({ path: `/api/v3/brokerage/orders/historical/${orderId}`, signed: true });
+    return this._parseOrder(order, symbol);
+  }
+
+  // Lista as ordens do produto desde a criação e procura o client_order_id
+  async fetchOrderByClientId(clientOrderId, symbol, since) {
+    let cursor;
+    do {
+      const data = await this.request({
+        path: '/api/v3/brokerage/orders/historical/batch',
+        params: {
+          product_ids: this.marketId(symbol),
+          start_date: since ? new Date(since).toISOString() : undefined,
+          cursor
+        },
+        signed: true
+      });
+      const order = (data.orders || []).find(entry => entry.client_order_id === clientOrderId);
+      if (order) return this._parseOrder(order, symbol);
+      cursor = data.has_next ? data.cursor : null;
+    } while (cursor);
+    return null;
+  }
+
+  _parseOrder(order, symbol) {
+    const configuration = Object.values(order.order_configuration || {})[0] || {};
+    const amount = parseFloat(configuration.base_size);
+    const filled = parseFloat(order.filled_size || 0);
+    let status = COINBASE_STATUS[order.status] || 'new';
+    if (status === 'new' && filled > 0) status = 'partially_filled';
+
+    return this._order({
+      id: order.order_id,
+      clientOrderId: order.client_order_id,
+      symbol: symbol || order.product_id.replace('-', '/'),
+      side: order.side.toLowerCase(),
+      type: (order.order_type || '').toLowerCase(),
+      amount,
+      price: parseFloat(configuration.limit_price) || null,
+      filled,
+      status,
+      timestamp: new Date(order.created_time).getTime(),
+      raw: order
+    });
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const data = await this.request({
+      path: '/api/v3/brokerage/orders/historical/fills',
+      params: {
+        product_id: this.marketId(symbol),
+        start_sequence_timestamp: since ? new Date(since).toISOString() : undefined
+      },
+      signed: true
+    });
+    return data.fills.map(fill => ({
+      id: fill.trade_id,
+      orderId: fill.order_id,
+      exchange: this.name,
+      symbol,
+      side: fill.side.toLowerCase(),
+      price: parseFloat(fill.price),
+      amount: parseFloat(fill.size),
+      fee: parseFloat(fill.commission),
+      feeAsset: symbol.split('/')[1],
+      timestamp: new Date(fill.trade_time).getTime()
+    }));
+  }
+}
+
+const KUCOIN_CANDLE_TYPES = { '1m': '1min', '5m': '5min', '15m': '15min', '1h': '1hour', '4h': '4hour', '1d': '1day' };
+
+/**
+ * KuCoin (KC-API-SIGN = base64 HMAC-SHA256; passphrase também assinada na versão 2 da chave)
+ */
+export class KucoinAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('kucoin', { baseURL: 'https://api.kucoin.com', ...options });
+  }
+
+  marketId(symbol) {
+    return symbol.replace('/', '-');
+  }
+
+  sign({ method, path, params, body }) {
+    const timestamp = String(this.now());
+    const query = toQueryString(params);
+    const endpoint = query ? `${path}?${query}` : path;
+    const payload = body ? JSON.stringify(body) : '';
+    const secret = this.credentials.apiSecret || '';
+
+    return {
+      method,
+      url: endpoint,
+      data: payload || undefined,
+      headers: {
+        'KC-API-KEY': this.credentials.apiKey,
+        'KC-API-SIGN': hmac('sha256', secret, `${timestamp}${method}${endpoint}${payload}`, 'base64'),
+        'KC-API-TIMESTAMP': timestamp,
+        'KC-API-PASSPHRASE': hmac('sha256', secret, this.credentials.passphrase || '', 'base64'),
+        'KC-API-KEY-VERSION': '2',
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (data.code !== '200000') {
+      throw new Error(`KuCoin retornou erro ${data.code}: ${data.msg}`);
+    }
+    return data.data;
+  }
+
+  async fetchTicker(symbol) {
+    const data = await this.request({ path: '/api/v1/market/orderbook/level1', params: { symbol: this.marketId(symbol) } });
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(data.bestBid),
+      ask: parseFloat(data.bestAsk),
+      last: parseFloat(data.price),
+      timestamp: data.time
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const depth = limit <= 20 ? 20 : 100;
+    const data = await this.request({ path: `/api/v1/market/orderbook/level2_${depth}`, params: { symbol: this.marketId(symbol) } });
+    return {
+      exchange: this.name,
+      symbol,
+      bids: toLevels(data.bids).slice(0, limit),
+      asks: toLevels(data.asks).slice(0, limit),
+      timestamp: data.time,
+      sequence: parseInt(data.sequence, 10)
+    };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start, end } = ohlcvWindow(this, KUCOIN_CANDLE_TYPES, { interval, since, limit });
+    const data = await this.request({
+      path: '/api/v1/market/candles',
+      params: { symbol: this.marketId(symbol), type: code, startAt: Math.floor(start / 1000), endAt: Math.floor(end / 1000) }
+    });
+    // [time, open, close, high, low, volume, turnover]
+    return toCandles(data.map(([time, open, close, high, low, volume]) =>
+      [time * 1000, open, high, low, close, volume]), { since, limit });
+  }
+
+  async fetchBalances() {
+    const accounts = await this.request({ path: '/api/v1/accounts', params: { type: 'trade' }, signed: true });
+    return accounts.reduce((balances, account) => {
+      balances[account.currency] = {
+        free: parseFloat(account.available),
+        used: parseFloat(account.holds),
+        total: parseFloat(account.balance)
+      };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      clientOid: clientOrderId || crypto.randomUUID(),
+      side,
+      symbol: this.marketId(symbol),
+      type,
+      size: String(amount)
+    };
+    if (type === 'limit') body.price = String(price);
+
+    const data = await this.request({ method: 'POST', path: '/api/v1/orders', body, signed: true });
+    return this._order({
+      id: data.orderId,
+      clientOrderId: body.clientOid,
+      symbol,
+      side,
+      type,
+      amount,
+      price: price || null,
+      filled: 0,
+      status: 'new',
+      timestamp: this.now(),
+      raw: data
+    });
+  }
+
+  async cancelOrder(orderId, symbol) {
+    await this.request({ method: 'DELETE', path: `/api/v1/orders/${orderId}`, signed: true });
+    return this.fetchOrder(orderId, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const data = await this.request({ path: `/api/v1/orders/${orderId}`, signed: true });
+    return this._parseOrder(data, symbol);
+  }
+
+  async fetchOrderByClientId(clientOrderId, symbol) {
+    try {
+      const data = await this.request({ path: `/api/v1/order/client-order/${clientOrderId}`, signed: true });
+      return data ? this._parseOrder(data, symbol) : null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  _parseOrder(data, symbol) {
+    const amount = parseFloat(data.size);
+    const filled = parseFloat(data.dealSize || 0);
+    let status;
+    if (data.isActive) {
+      status = filled > 0 ? 'partially_filled' : 'new';
+    } else if (data.cancelExist) {
+      status = 'cancelled';
+    } else {
+      status = 'filled';
+    }
+
+    return this._order({
+      id: data.id,
+      clientOrderId: data.clientOid,
+      symbol: symbol || data.symbol.replace('-', '/'),
+      side: data.side,
+      type: data.type,
+      amount,
+      price: parseFloat(data.price) || null,
+      filled,
+      status,
+      timestamp: data.createdAt,
+      raw: data
+    });
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const data = await this.request({
+      path: '/api/v1/fills',
+      params: { symbol: this.marketId(symbol), startAt: since },
+      signed: true
+    });
+    return data.items.map(fill => ({
+      id: fill.tradeId,
+      orderId: fill.orderId,
+      exchange: this.name,
+      symbol,
+      side: fill.side,
+      price: parseFloat(fill.price),
+      amount: parseFloat(fill.size),
+      fee: parseFloat(fill.fee),
+      feeAsset: fill.feeCurrency,
+      timestamp: fill.createdAt
+    }));
+  }
+}
+
+// Códigos de ativo da Kraken que diferem do padrão
+export const KRAKEN_ASSETS = { BTC: 'XBT' };
+
+// Intervalos de candle em minutos
+const KRAKEN_INTERVALS = { '1m': 1, '5m': 5, '15m': 15, '1h': 60, '4h': 240, '1d': 1440 };
+
+const KRAKEN_STATUS = {
+  pending: 'new',
+  open: 'new',
+  closed: 'filled',
+  canceled: 'cancelled',
+  expired: 'expired'
+};
+
+const fromKrakenAsset = (asset) => {
+  const code = asset.length === 4 && (asset[0] === 'X' || asset[0] === 'Z') ? asset.slice(1) : asset;
+  return code === 'XBT' ? 'BTC' : code;
+};
+
+/**
+ * Kraken (API-Sign = base64 HMAC-SHA512 de caminho + SHA256(nonce + corpo), com segredo em base64)
+ */
+export class KrakenAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('kraken', { baseURL: 'https://api.kraken.com', ...options });
+  }
+
+  marketId(symbol) {
+    return symbol.split('/').map(asset => KRAKEN_ASSETS[asset] || asset).join('');
+  }
+
+  sign({ method, path, params = {}, body = {} }) {
+    const nonce = String(this.now() * 1000);
+    const postData = toQueryString({ nonce, ...params, ...body });
+    const hash = crypto.createHash('sha256').update(nonce + postData).digest();
+    const secret = Buffer.from(this.credentials.apiSecret || '', 'base64');
+    const signature = crypto.createHmac('sha512', secret).update(Buffer.concat([Buffer.from(path), hash])).digest('base64');
+
+    return {
+      method: 'POST',
+      url: path,
+      data: postData,
+      headers: {
+        'API-Key': this.credentials.apiKey,
+        'API-Sign': signature,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (data.error && data.error.length > 0) {
+      throw new Error(`Kraken retornou erro: ${data.error.join(', ')}`);
+    }
+    return data.result;
+  }
+
+  async fetchTicker(symbol) {
+    const result = await this.request({ path: '/0/public/Ticker', params: { pair: this.marketId(symbol) } });
+    const ticker = Object.values(result)[0];
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(ticker.b[0]),
+      ask: parseFloat(ticker.a[0]),
+      last: parseFloat(ticker.c[0]),
+      timestamp: this.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const result = await this.request({ path: '/0/public/Depth', params: { pair: this.marketId(symbol), count: limit } });
+    const book = Object.values(result)[0];
+    return { exchange: this.name, symbol, bids: toLevels(book.bids), asks: toLevels(book.asks), timestamp: this.now() };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start } = ohlcvWindow(this, KRAKEN_INTERVALS, { interval, since, limit });
+    const result = await this.request({
+      path: '/0/public/OHLC',
+      params: { pair: this.marketId(symbol), interval: code, since: Math.floor(start / 1000) }
+    });
+    const [candles] = Object.entries(result).filter(([key]) => key !== 'last').map(([, value]) => value);
+    // [time, open, high, low, close, vwap, volume, count]
+    return toCandles(candles.map(([time, open, high, low, close, , volume]) =>
+      [time * 1000, open, high, low, close, volume]), { since, limit });
+  }
+
+  async fetchBalances() {
+    const result = await this.request({ method: 'POST', path: '/0/private/Balance', signed: true });
+    return Object.entries(result).reduce((balances, [asset, amount]) => {
+      const total = parseFloat(amount);
+      balances[fromKrakenAsset(asset)] = { free: total, used: 0, total };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      pair: this.marketId(symbol),
+      type: side,
+      ordertype: type,
+      volume: String(amount),
+      cl_ord_id: clientOrderId
+    };
+    if (type === 'limit') body.price = String(price);
+
+    const result = await this.request({ method: 'POST', path: '/0/private/AddOrder', body, signed: true });
+    return this._order({
+      id: result.txid[0],
+      clientOrderId: clientOrderId || null,
+      symbol,
+      side,
+      type,
+      amount,
+      price: price || null,
+      filled: 0,
+      status: 'new',
+      timestamp: this.now(),
+      raw: result
+    });
+  }
+
+  async cancelOrder(orderId, symbol) {
+    await this.request({ method: 'POST', path: '/0/private/CancelOrder', body: { txid: orderId }, signed: true });
+    return this.fetchOrder(orderId, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const result = await this.request({ method: 'POST', path: '/0/private/QueryOrders', body: { txid: orderId }, signed: true });
+    return this._parseOrder(orderId, result[orderId], symbol);
+  }
+
+  // Procura o cl_ord_id nas ordens abertas e nas encerradas desde a criação
+  async fetchOrderByClientId(clientOrderId, symbol, since) {
+    const open = await this.request({ method: 'POST', path: '/0/private/OpenOrders', body: { cl_ord_id: clientOrderId }, signed: true });
+    const closed = await this.request({
+      method: 'POST',
+      path: '/0/private/ClosedOrders',
+      body: { cl_ord_id: clientOrderId, start: since ? Math.floor(since / 1000) : undefined },
+      signed: true
+    });
+    const found = Object.entries({ ...open.open, ...closed.closed })
+      .find(([, order]) => order.cl_ord_id === clientOrderId);
+    return found ? this._parseOrder(found[0], found[1], symbol) : null;
+  }
+
+  _parseOrder(orderId, order, symbol) {
+    const amount = parseFloat(order.vol);
+    const filled = parseFloat(order.vol_exec || 0);
+    let status = KRAKEN_STATUS[order.status] || 'new';
+    if (status === 'new' && filled > 0) status = 'partially_filled';
+
+    return this._order({
+      id: orderId,
+      clientOrderId: order.cl_ord_id || null,
+      symbol,
+      side: order.descr.type,
+      type: order.descr.ordertype,
+      amount,
+      price: parseFloat(order.descr.price) || null,
+      filled,
+      status,
+      timestamp: Math.round(order.opentm * 1000),
+      raw: order
+    });
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const result = await this.request({
+      method: 'POST',
+      path: '/0/private/TradesHistory',
+      body: { start: since ? Math.floor(since / 1000) : undefined },
+      signed: true
+    });
+    const pair = this.marketId(symbol);
+    return Object.entries(result.trades)
+      .filter(([, trade]) => trade.pair === pair || trade.pair.replace(/^[XZ](\w{3})[XZ](\w{3})$/, '$1$2') === pair)
+      .map(([id, trade]) => ({
+        id,
+        orderId: trade.ordertxid,
+        exchange: this.name,
+        symbol,
+        side: trade.type,
+        price: parseFloat(trade.price),
+        amount: parseFloat(trade.vol),
+        fee: parseFloat(trade.fee),
+        feeAsset: symbol.split('/')[1],
+        timestamp: Math.round(trade.time * 1000)
+      }));
+  }
+}
+
+const GATEIO_INTERVALS = { '1m': '1m', '5m': '5m', '15m': '15m', '1h': '1h', '4h': '4h', '1d': '1d' };
+
+const GATEIO_STATUS = {
+  open: 'new',
+  closed: 'filled',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Gate.io v4 (SIGN = HMAC-SHA512 de método, caminho, query, SHA512 do corpo e timestamp)
+ */
+export class GateioAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('gateio', { baseURL: 'https://api.gateio.ws', ...options });
+    this.prefix = '/api/v4';
+  }
+
+  marketId(symbol) {
+    return symbol.replace('/', '_');
+  }
+
+  sign({ method, path, params, body }) {
+    const timestamp = String(Math.floor(this.now() / 1000));
+    const query = toQueryString(params);
+    const payload = body ? JSON.stringify(body) : '';
+    const payloadHash = crypto.createHash('sha512').update(payload).digest('hex');
+    const message = [method, `${this.prefix}${path}`, query, payloadHash, timestamp].join('\n');
+
+    return {
+      method,
+      url: `${this.prefix}${path}${query ? `?${query}` : ''}`,
+      data: payload || undefined,
+      headers: {
+        KEY: this.credentials.apiKey,
+        SIGN: hmac('sha512', this.credentials.apiSecret || '', message),
+        Timestamp: timestamp,
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  async request(options) {
+    return super.request(options.signed ? options : { ...options, path: `${this.prefix}${options.path}` });
+  }
+
+  async fetchTicker(symbol) {
+    const [ticker] = await this.request({ path: '/spot/tickers', params: { currency_pair: this.marketId(symbol) } });
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(ticker.highest_bid),
+      ask: parseFloat(ticker.lowest_ask),
+      last: parseFloat(ticker.last),
+      timestamp: this.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const data = await this.request({
+      path: '/spot/order_book',
+      params: { currency_pair: this.marketId(symbol), limit, with_id: true }
+    });
+    return {
+      exchange: this.name,
+      symbol,
+      bids: toLevels(data.bids),
+      asks: toLevels(data.asks),
+      timestamp: data.current || this.now(),
+      sequence: data.id
+    };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start, end } = ohlcvWindow(this, GATEIO_INTERVALS, { interval, since, limit });
+    const data = await this.request({
+      path: '/spot/candlesticks',
+      params: { currency_pair: this.marketId(symbol), interval: code, from: Math.floor(start / 1000), to: Math.floor(end / 1000) }
+    });
+    // [time, volume na cotação, close, high, low, open, volume na base, fechado]
+    return toCandles(data.map(([time, , close, high, low, open, volume]) =>
+      [time * 1000, open, high, low, close, volume]), { since, limit });
+  }
+
+  async fetchBalances() {
+    const accounts = await this.request({ path: '/spot/accounts', signed: true });
+    return accounts.reduce((balances, account) => {
+      const free = parseFloat(account.available);
+      const used = parseFloat(account.locked);
+      balances[account.currency] = { free, used, total: free + used };
+      return balances;
+    }, {});
+  }
+
+  /**
+   * Em ordens a mercado de compra a Gate.io interpreta amount no ativo de cotação
+   */
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      text: clientOrderId ? `t-${clientOrderId}` : undefined,
+      currency_pair: this.marketId(symbol),
+      side,
+      type,
+      amount: String(amount),
+      time_in_force: type === 'market' ? 'ioc' : 'gtc'
+    };
+    if (type === 'limit') body.price = String(price);
+
+    const data = await this.request({ method: 'POST', path: '/spot/orders', body, signed: true });
+    return this._parseOrder(data, symbol);
+  }
+
+  async cancelOrder(orderId, symbol) {
+    const data = await this.request({
+      method: 'DELETE',
+      path: `/spot/orders/${orderId}`,
+      params: { currency_pair: this.marketId(symbol) },
+      signed: true
+    });
+    return this._parseOrder(data, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const data = await this.request({
+      path: `/spot/orders/${orderId}`,
+      params: { currency_pair: this.marketId(symbol) },
+      signed: true
+    });
+    return this._parseOrder(data, symbol);
+  }
+
+  // A Gate.io aceita o texto personalizado (t-<clientOrderId>) no lugar do ID da ordem
+  async fetchOrderByClientId(clientOrderId, symbol) {
+    try {
+      return await this.fetchOrder(`t-${clientOrderId}`, symbol);
+    } catch (error) {
+      if (error.response && error.response.data && error.response.data.label === 'ORDER_NOT_FOUND') return null;
+      throw error;
+    }
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const data = await this.request({
+      path: '/spot/my_trades',
+      params: { currency_pair: this.marketId(symbol), from: since ? Math.floor(since / 1000) : undefined },
+      signed: true
+    });
+    return data.map(trade => ({
+      id: trade.id,
+      orderId: trade.order_id,
+      exchange: this.name,
+      symbol,
+      side: trade.side,
+      price: parseFloat(trade.price),
+      amount: parseFloat(trade.amount),
+      fee: parseFloat(trade.fee),
+      feeAsset: trade.fee_currency,
+      timestamp: parseInt(trade.create_time_ms, 10)
+    }));
+  }
+
+  _parseOrder(data, symbol) {
+    const amount = parseFloat(data.amount);
+    const filled = amount - parseFloat(data.left || 0);
+    let status = GATEIO_STATUS[data.status] || 'new';
+    if (status === 'new' && filled > 0) status = 'partially_filled';
+    if (status === 'filled' && data.finish_as && data.finish_as !== 'filled') status = 'cancelled';
+
+    return this._order({
+      id: data.id,
+      clientOrderId: data.text && data.text.startsWith('t-') ? data.text.slice(2) : null,
+      symbol,
+      side: data.side,
+      type: data.type,
+      amount,
+      price: parseFloat(data.price) || null,
+      filled,
+      status,
+      timestamp: parseInt(data.create_time_ms, 10) || this.now(),
+      raw: data
+    });
+  }
+}
+
+const BYBIT_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '1h': '60', '4h': '240', '1d': 'D' };
+
+const BYBIT_STATUS = {
+  Created: 'new',
+  New: 'new',
+  Untriggered: 'new',
+  PartiallyFilled: 'partially_filled',
+  Filled: 'filled',
+  Cancelled: 'cancelled',
+  PartiallyFilledCanceled: 'cancelled',
+  Deactivated: 'cancelled',
+  Rejected: 'rejected'
+};
+
+/**
+ * Bybit v5 (X-BAPI-SIGN = HMAC-SHA256 de timestamp + chave + recvWindow + query/corpo)
+ */
+export class BybitAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('bybit', { baseURL: 'https://api.bybit.com', ...options });
+    this.recvWindow = '5000';
+  }
+
+  sign({ method, path, params, body }) {
+    const timestamp = String(this.now());
+    const query = toQueryString(params);
+    const payload = method === 'GET' ? query : JSON.stringify(body || {});
+    const signature = hmac('sha256', this.credentials.apiSecret || '',
+      `${timestamp}${this.credentials.apiKey}${this.recvWindow}${payload}`);
+
+    return {
+      method,
+      url: query ? `${path}?${query}` : path,
+      data: method === 'GET' ? undefined : payload,
+      headers: {
+        'X-BAPI-API-KEY': this.credentials.apiKey,
+        'X-BAPI-SIGN': signature,
+        'X-BAPI-TIMESTAMP': timestamp,
+        'X-BAPI-RECV-WINDOW': this.recvWindow,
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (data.retCode !== 0) {
+      throw new Error(`Bybit retornou erro ${data.retCode}: ${data.retMsg}`);
+    }
+    return data.result;
+  }
+
+  async fetchTicker(symbol) {
+    const result = await this.request({ path: '/v5/market/tickers', params: { category: 'spot', symbol: this.marketId(symbol) } });
+    const [ticker] = result.list;
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(ticker.bid1Price),
+      ask: parseFloat(ticker.ask1Price),
+      last: parseFloat(ticker.lastPrice),
+      timestamp: this.now()
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const result = await this.request({
+      path: '/v5/market/orderbook',
+      params: { category: 'spot', symbol: this.marketId(symbol), limit }
+    });
+    return { exchange: this.name, symbol, bids: toLevels(result.b), asks: toLevels(result.a), timestamp: result.ts };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start, end } = ohlcvWindow(this, BYBIT_INTERVALS, { interval, since, limit });
+    const result = await this.request({
+      path: '/v5/market/kline',
+      params: { category: 'spot', symbol: this.marketId(symbol), interval: code, start, end, limit }
+    });
+    // [startTime, open, high, low, close, volume, turnover]
+    return toCandles(result.list.map(candle => candle.slice(0, 6)), { since, limit });
+  }
+
+  async fetchBalances() {
+    const result = await this.request({ path: '/v5/account/wallet-balance', params: { accountType: 'UNIFIED' }, signed: true });
+    const [account] = result.list;
+    return account.coin.reduce((balances, coin) => {
+      const total = parseFloat(coin.walletBalance);
+      const used = parseFloat(coin.locked || 0);
+      balances[coin.coin] = { free: total - used, used, total };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      category: 'spot',
+      symbol: this.marketId(symbol),
+      side: side === 'buy' ? 'Buy' : 'Sell',
+      orderType: type === 'limit' ? 'Limit' : 'Market',
+      qty: String(amount),
+      marketUnit: type === 'market' ? 'baseCoin' : undefined,
+      orderLinkId: clientOrderId
+    };
+    if (type === 'limit') body.price = String(price);
+
+    const result = await this.request({ method: 'POST', path: '/v5/order/create', body, signed: true });
+    return this._order({
+      id: result.orderId,
+      clientOrderId: result.orderLinkId || null,
+      symbol,
+      side,
+      type,
+      amount,
+      price: price || null,
+      filled: 0,
+      status: 'new',
+      timestamp: this.now(),
+      raw: result
+    });
+  }
+
+  async cancelOrder(orderId, symbol) {
+    await this.request({
+      method: 'POST',
+      path: '/v5/order/cancel',
+      body: { category: 'spot', symbol: this.marketId(symbol), orderId },
+      signed: true
+    });
+    return this.fetchOrder(orderId, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const result = await this.request({
+      path: '/v5/order/history',
+      params: { category: 'spot', orderId },
+      signed: true
+    });
+    const [order] = result.list;
+    if (!order) {
+      throw new Error(`Ordem ${orderId} não encontrada na Bybit`);
+    }
+    return this._parseOrder(order, symbol);
+  }
+
+  // Ordens abertas e recentes ficam em /order/realtime; as demais, no histórico
+  async fetchOrderByClientId(clientOrderId, symbol) {
+    for (const path of ['/v5/order/realtime', '/v5/order/history']) {
+      const result = await this.request({
+        path,
+        params: { category: 'spot', symbol: this.marketId(symbol), orderLinkId: clientOrderId },
+        signed: true
+      });
+      const [order] = result.list;
+      if (order) return this._parseOrder(order, symbol);
+    }
+    return null;
+  }
+
+  _parseOrder(order, symbol) {
+    return this._order({
+      id: order.orderId,
+      clientOrderId: order.orderLinkId || null,
+      symbol,
+      side: order.side.toLowerCase(),
+      type: order.orderType.toLowerCase(),
+      amount: parseFloat(order.qty),
+      price: parseFloat(order.price) || null,
+      filled: parseFloat(order.cumExecQty || 0),
+      status: BYBIT_STATUS[order.orderStatus] || 'new',
+      timestamp: parseInt(order.createdTime, 10),
+      raw: order
+    });
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const result = await this.request({
+      path: '/v5/execution/list',
+      params: { category: 'spot', symbol: this.marketId(symbol), startTime: since },
+      signed: true
+    });
+    return result.list.map(execution => ({
+      id: execution.execId,
+      orderId: execution.orderId,
+      exchange: this.name,
+      symbol,
+      side: execution.side.toLowerCase(),
+      price: parseFloat(execution.execPrice),
+      amount: parseFloat(execution.execQty),
+      fee: parseFloat(execution.execFee),
+      feeAsset: execution.feeCurrency || null,
+      timestamp: parseInt(execution.execTime, 10)
+    }));
+  }
+}
+
+const BITGET_GRANULARITIES = { '1m': '1min', '5m': '5min', '15m': '15min', '1h': '1h', '4h': '4h', '1d': '1day' };
+
+const BITGET_STATUS = {
+  init: 'new',
+  new: 'new',
+  live: 'new',
+  partially_filled: 'partially_filled',
+  filled: 'filled',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Bitget Spot v2 (ACCESS-SIGN = base64 HMAC-SHA256 de timestamp + método + caminho + corpo)
+ */
+export class BitgetAdapter extends ExchangeAdapter {
+  constructor(options = {}) {
+    super('bitget', { baseURL: 'https://api.bitget.com', ...options });
+  }
+
+  sign({ method, path, params, body }) {
+    const timestamp = String(this.now());
+    const query = toQueryString(params);
+    const endpoint = query ? `${path}?${query}` : path;
+    const payload = body ? JSON.stringify(body) : '';
+
+    return {
+      method,
+      url: endpoint,
+      data: payload || undefined,
+      headers: {
+        'ACCESS-KEY': this.credentials.apiKey,
+        'ACCESS-SIGN': hmac('sha256', this.credentials.apiSecret || '', `${timestamp}${method}${endpoint}${payload}`, 'base64'),
+        'ACCESS-TIMESTAMP': timestamp,
+        'ACCESS-PASSPHRASE': this.credentials.passphrase,
+        locale: 'en-US',
+        'Content-Type': 'application/json'
+      }
+    };
+  }
+
+  parseResponse(data) {
+    if (data.code !== '00000') {
+      throw new Error(`Bitget retornou erro ${data.code}: ${data.msg}`);
+    }
+    return data.data;
+  }
+
+  async fetchTicker(symbol) {
+    const [ticker] = await this.request({ path: '/api/v2/spot/market/tickers', params: { symbol: this.marketId(symbol) } });
+    return {
+      exchange: this.name,
+      symbol,
+      bid: parseFloat(ticker.bidPr),
+      ask: parseFloat(ticker.askPr),
+      last: parseFloat(ticker.lastPr),
+      timestamp: parseInt(ticker.ts, 10)
+    };
+  }
+
+  async fetchOrderBook(symbol, limit = 20) {
+    const data = await this.request({ path: '/api/v2/spot/market/orderbook', params: { symbol: this.marketId(symbol), limit } });
+    return { exchange: this.name, symbol, bids: toLevels(data.bids), asks: toLevels(data.asks), timestamp: parseInt(data.ts, 10) };
+  }
+
+  async fetchOHLCV(symbol, { interval = '1m', since, limit = 1 } = {}) {
+    const { code, start, end } = ohlcvWindow(this, BITGET_GRANULARITIES, { interval, since, limit });
+    const data = await this.request({
+      path: '/api/v2/spot/market/candles',
+      params: { symbol: this.marketId(symbol), granularity: code, startTime: start, endTime: end, limit }
+    });
+    // [ts, open, high, low, close, volume na base, volume em USDT, volume na cotação]
+    return toCandles(data.map(candle => candle.slice(0, 6)), { since, limit });
+  }
+
+  async fetchBalances() {
+    const assets = await this.request({ path: '/api/v2/spot/account/assets', signed: true });
+    return assets.reduce((balances, asset) => {
+      const free = parseFloat(asset.available);
+      const used = parseFloat(asset.frozen || 0) + parseFloat(asset.locked || 0);
+      balances[asset.coin] = { free, used, total: free + used };
+      return balances;
+    }, {});
+  }
+
+  async createOrder({ symbol, side, type = 'market', amount, price, clientOrderId }) {
+    const body = {
+      symbol: this.marketId(symbol),
+      side,
+      orderType: type,
+      force: type === 'limit' ? 'gtc' : 'ioc',
+      size: String(amount),
+      clientOid: clientOrderId
+    };
+    if (type === 'limit') body.price = String(price);
+
+    const data = await this.request({ method: 'POST', path: '/api/v2/spot/trade/place-order', body, signed: true });
+    return this._order({
+      id: data.orderId,
+      clientOrderId: data.clientOid || null,
+      symbol,
+      side,
+      type,
+      amount,
+      price: price || null,
+      filled: 0,
+      status: 'new',
+      timestamp: this.now(),
+      raw: data
+    });
+  }
+
+  async cancelOrder(orderId, symbol) {
+    await this.request({
+      method: 'POST',
+      path: '/api/v2/spot/trade/cancel-order',
+      body: { symbol: this.marketId(symbol), orderId },
+      signed: true
+    });
+    return this.fetchOrder(orderId, symbol);
+  }
+
+  async fetchOrder(orderId, symbol) {
+    const [order] = await this.request({ path: '/api/v2/spot/trade/orderInfo', params: { orderId }, signed: true });
+    return this._parseOrder(order, symbol);
+  }
+
+  async fetchOrderByClientId(clientOrderId, symbol) {
+    const [order] = await this.request({ path: '/api/v2/spot/trade/orderInfo', params: { clientOid: clientOrderId }, signed: true });
+    return order ? this._parseOrder(order, symbol) : null;
+  }
+
+  _parseOrder(order, symbol) {
+    return this._order({
+      id: order.orderId,
+      clientOrderId: order.clientOid || null,
+      symbol,
+      side: order.side,
+      type: order.orderType,
+      amount: parseFloat(order.size),
+      price: parseFloat(order.price) || null,
+      filled: parseFloat(order.baseVolume || 0),
+      status: BITGET_STATUS[order.status] || 'new',
+      timestamp: parseInt(order.cTime, 10),
+      raw: order
+    });
+  }
+
+  async fetchMyTrades(symbol, since) {
+    const data = await this.request({
+      path: '/api/v2/spot/trade/fills',
+      params: { symbol: this.marketId(symbol), startTime: since },
+      signed: true
+    });
+    return data.map(fill => ({
+      id: fill.tradeId,
+      orderId: fill.orderId,
+      exchange: this.name,
+      symbol,
+      side: fill.side,
+      price: parseFloat(fill.priceAvg),
+      amount: parseFloat(fill.size),
+      fee: Math.abs(parseFloat((fill.feeDetail || {}).totalFee || 0)),
+      feeAsset: (fill.feeDetail || {}).feeCoin || null,
+      timestamp: parseInt(fill.cTime, 10)
+    }));
+  }
+}
+
+const ADAPTERS = {
+  binance: BinanceAdapter,
+  coinbase: CoinbaseAdapter,
+  kucoin: KucoinAdapter,
+  kraken: KrakenAdapter,
+  mexc: MexcAdapter,
+  gateio: GateioAdapter,
+  bybit: BybitAdapter,
+  bitget: BitgetAdapter
+};
+
+/**
+ * Cria o adaptador de uma exchange listada em cexConfig
+ * @param {string} name - Nome da exchange (binance, coinbase, kucoin, kraken, mexc, gateio, bybit, bitget)
+ * @param {Object} options - { credentials, httpClient, now }
+ * @returns {ExchangeAdapter} - Adaptador da exchange
+ */
+export const createExchangeAdapter = (name, options = {}) => {
+  const Adapter = ADAPTERS[name];
+  if (!Adapter) {
+    throw new Error(`Exchange não suportada: ${name}`);
+  }
+  return new Adapter(options);
+};
+
+export const supportedExchanges = Object.keys(ADAPTERS);
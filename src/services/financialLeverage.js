@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
+import { getRiskEngine } from '../../risk-engine.js';
+import { getLotTracker } from '../../lot-tracker.js';
 
 /**
  * Classe para estratégias de alavancagem financeira avançada
@@ -54,7 +56,25 @@ class FinancialLeverage {
       }
     };
     this.updateInterval = 60000; // 1 minuto
-    this.lastUpdate = Date.now();
+    this.lastUpdate = this.now();
+  }
+
+  // Relógio e aleatoriedade da estratégia (o motor de backtest injeta o relógio do replay e o gerador com seed)
+  now() {
+    return Date.now();
+  }
+
+  random() {
+    return Math.random();
+  }
+
+  // Motor de risco e rastreador de lotes das posições (o backtest usa instâncias próprias, em memória)
+  getRiskEngine() {
+    return getRiskEngine();
+  }
+
+  getLotTracker() {
+    return getLotTracker();
   }
 
   /**
@@ -91,7 +111,7 @@ class FinancialLeverage {
         // Verificar condições de stop loss e take profit
         await this.checkStopLossAndTakeProfit();
         
-        this.lastUpdate = Date.now();
+        this.lastUpdate = this.now();
       } catch (error) {
         console.error('Erro no monitoramento contínuo de alavancagem:', error);
       }
@@ -134,7 +154,7 @@ class FinancialLeverage {
         position.leveragedPnL = leveragedPnL;
         position.leveragedPnLPercentage = leveragedPnLPercentage;
         position.liquidationPrice = liquidationPrice;
-        position.lastUpdate = Date.now();
+        position.lastUpdate = this.now();
         
         // Calcular risco atual
         position.riskLevel = this.calculatePositionRisk(position);
@@ -257,7 +277,7 @@ class FinancialLeverage {
     const basePrice = basePrices[asset] || 1;
     
     // Adicionar variação aleatória de -2% a +2%
-    const variation = (Math.random() * 0.04) - 0.02;
+    const variation = (this.random() * 0.04) - 0.02;
     return basePrice * (1 + variation);
   }
 
@@ -290,6 +310,17 @@ class FinancialLeverage {
       // Obter preço atual do ativo
       const currentPrice = await this.getCurrentPrice(asset);
       
+      // Verificações pré-negociação do motor de risco (alavancagem, valor e exposição)
+      const riskOrder = {
+        strategy: 'leveraged_trading',
+        asset,
+        side: direction === 'long' ? 'buy' : 'sell',
+        amount,
+        price: currentPrice,
+        leverage
+      };
+      this.getRiskEngine().assertOrder(riskOrder);
+      
       // Determinar perfil de risco com base na alavancagem
       let riskProfile;
       if (leverage <= 2) {
@@ -305,7 +336,7 @@ class FinancialLeverage {
       const takeProfit = options.takeProfit || riskProfile.takeProfit;
       
       // Gerar ID único para a posição
-      const positionId = `${direction}-${asset}-${leverage}x-${Date.now()}`;
+      const positionId = `${direction}-${asset}-${leverage}x-${this.now()}`;
       
       // Criar objeto da posição
       const position = {
@@ -330,19 +361,21 @@ class FinancialLeverage {
         leveragedPnL: 0,
         leveragedPnLPercentage: 0,
         riskLevel: 'low',
-        startDate: Date.now(),
-        lastUpdate: Date.now(),
+        startDate: this.now(),
+        lastUpdate: this.now(),
         status: 'active',
         options
       };
       
       // Adicionar à lista de posições ativas
       this.activePositions.set(positionId, position);
+      this.getRiskEngine().recordFill(riskOrder);
+      this.recordLotFill(position, riskOrder.side, currentPrice);
       
       // Adicionar ao histórico
       this.positionHistory.push({
         action: 'create',
-        timestamp: Date.now(),
+        timestamp: this.now(),
         position: { ...position }
       });
       
@@ -354,6 +387,29 @@ class FinancialLeverage {
     }
   }
 
+  /**
+   * Registra a abertura/fechamento da posição no rastreador de lotes (conta de margem)
+   * A quantidade é a exposição alavancada, para que o resultado realizado acompanhe o P&L alavancado
+   * @param {Object} position - Posição alavancada
+   * @param {string} side - Lado da execução (buy/sell)
+   * @param {number} price - Preço da execução
+   */
+  recordLotFill(position, side, price) {
+    try {
+      this.getLotTracker().recordFill({
+        strategy: 'leveraged_trading',
+        asset: position.asset,
+        side,
+        amount: position.amount * position.leverage,
+        price,
+        location: 'margin',
+        id: `${position.id}-${side}`
+      });
+    } catch (error) {
+      console.error('Erro ao registrar lote da posição alavancada:', error);
+    }
+  }
+
   /**
    * Fecha uma posição alavancada existente
    * @param {string} positionId - ID da posição a ser fechada
@@ -387,15 +443,15 @@ class FinancialLeverage {
         pnlPercentage: position.unrealizedPnLPercentage,
         leveragedPnl: position.leveragedPnL,
         leveragedPnlPercentage: position.leveragedPnLPercentage,
-        duration: (Date.now() - position.startDate) / (1000 * 60 * 60), // em horas
-        closedAt: Date.now(),
+        duration: (this.now() - position.startDate) / (1000 * 60 * 60), // em horas
+        closedAt: this.now(),
         reason
       };
       
       // Adicionar ao histórico
       this.positionHistory.push({
         action: 'close',
-        timestamp: Date.now(),
+        timestamp: this.now(),
         position: { ...position },
         result
       });
@@ -403,13 +459,26 @@ class FinancialLeverage {
       // Remover da lista de posições ativas
       this.activePositions.delete(positionId);
       
+      // Encerrar a exposição no motor de risco com o mesmo valor registrado na abertura
+      const riskEngine = this.getRiskEngine();
+      riskEngine.recordFill({
+        strategy: 'leveraged_trading',
+        asset: position.asset,
+        side: position.direction === 'long' ? 'sell' : 'buy',
+        amount: position.amount,
+        price: position.entryPrice,
+        leverage: position.leverage
+      });
+      riskEngine.recordPnl({ strategy: 'leveraged_trading', amount: result.leveragedPnl });
+      this.recordLotFill(position, position.direction === 'long' ? 'sell' : 'buy', result.exitPrice);
+      
       // Registrar lucro/prejuízo no rastreador de lucros
       if (result.leveragedPnl !== 0) {
         profitTracker.addProfit({
           source: 'leveraged_trading',
           asset: position.asset,
           amount: result.leveragedPnl,
-          timestamp: Date.now()
+          timestamp: this.now()
         });
       }
       
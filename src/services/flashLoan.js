@@ -3,6 +3,18 @@ import { blockchainConfig } from '../config/api';
 import { getUniswapPoolData, getSushiswapPairData } from './dex';
 import { comparePrices } from './cex';
 import { profitTracker } from './profitTracker';
+import { keyVault } from './keyVault';
+import { gasOptimizer } from './gasOptimizer';
+import { privateRelay } from './privateRelay';
+import { flashLoanSimulator, FlashLoanSimulator } from './flashLoanSimulator';
+import { LAYER2_CONFIG } from '../config/layer2';
+import {
+  FLASH_LOAN_LENDERS,
+  normalizeSwapRoute,
+  encodeSwapRoute,
+  getFlashLoanReceiver,
+  parseFlashLoanExecuted
+} from '../contracts/flashLoanReceivers';
 
 // Configuração do provedor Ethereum
 const provider = new ethers.providers.AlchemyProvider(
@@ -10,47 +22,139 @@ const provider = new ethers.providers.AlchemyProvider(
   blockchainConfig.alchemy.apiKey
 );
 
-// Interface ABI simplificada para flash loans
-const FLASH_LOAN_ABI = [
-  'function flashLoan(address[] calldata assets, uint256[] calldata amounts, bytes calldata params)'
-];
+// Recebedor na rede principal (implantações nas redes Layer 2 vêm de deploy-flash-loan-contracts.cjs)
+const FLASH_LOAN_CONTRACT = process.env.FLASH_LOAN_CONTRACT;
 
-// Endereços dos contratos (exemplo)
-const AAVE_LENDING_POOL = '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9';
-const FLASH_LOAN_CONTRACT = '0x...'; // Endereço do seu contrato de flash loan
+// Provider e simulador por rede Layer 2 (fork local em FORK_RPC_URL_<REDE>, ex.: FORK_RPC_URL_ARBITRUM)
+const networkContexts = new Map();
+
+const getNetworkContext = (network) => {
+  if (!network) {
+    return { provider, simulator: flashLoanSimulator, receiverAddress: FLASH_LOAN_CONTRACT || null };
+  }
+  const config = LAYER2_CONFIG[network];
+  if (!config) {
+    throw new Error(`Configuração não encontrada para rede ${network}`);
+  }
+  if (!networkContexts.has(network)) {
+    const networkProvider = new ethers.providers.JsonRpcProvider(config.rpc);
+    networkContexts.set(network, {
+      provider: networkProvider,
+      simulator: new FlashLoanSimulator({
+        provider: networkProvider,
+        forkRpcUrl: process.env[`FORK_RPC_URL_${network.toUpperCase()}`] || null,
+        upstreamRpcUrl: config.rpc
+      }),
+      receiverAddress: null
+    });
+  }
+  return networkContexts.get(network);
+};
+
+// Lucro no token do empréstimo, já descontado o prêmio: o do evento FlashLoanExecuted da transação
+// executada ou, sem o evento, a variação de saldo medida no fork; a estimativa do chamador não conta
+const measuredProfit = (execution, simulation) => {
+  if (execution) return ethers.utils.formatUnits(execution.profit, simulation.decimals);
+  if (simulation.profitSource === 'fork') return String(simulation.grossProfit - simulation.premium);
+  return null;
+};
+
+// Função para executar flash loan (assinada pela carteira walletName do cofre de chaves)
+// route: passos de swap executados pelo contrato recebedor (ver src/contracts/flashLoanReceivers.js)
+// options: { network, lender, minProfit, privateRelay } - sem network, usa a rede principal e FLASH_LOAN_CONTRACT;
+// privateRelay (padrão: relay configurado para a rede) envia pelo relay de bundles, fora do mempool público
+// A transação é simulada antes do envio e só é enviada com lucro líquido (ver flashLoanSimulator)
+export const executeFlashLoan = async (asset, amount, route, buyPrice, sellPrice, walletName, options = {}) => {
+  const { network = null, lender = process.env.FLASH_LOAN_LENDER || 'aaveV3', minProfit = 0 } = options;
+  const chain = network || 'mainnet';
+  const usePrivateRelay = options.privateRelay ?? privateRelay.isEnabled(chain);
 
-// Função para executar flash loan
-export const executeFlashLoan = async (asset, amount, path, buyPrice, sellPrice) => {
   try {
-    const flashLoanContract = new ethers.Contract(
-      FLASH_LOAN_CONTRACT,
-      FLASH_LOAN_ABI,
-      provider
-    );
+    const steps = normalizeSwapRoute(route, ethers.utils.isAddress(asset) ? asset : null);
+    const loanAsset = steps[0].tokenIn;
+    const context = getNetworkContext(network);
+
+    await keyVault.ensureUnlocked();
+    const signer = keyVault.getSigner(walletName, context.provider);
+    const receiver = getFlashLoanReceiver({
+      network,
+      lender,
+      address: context.receiverAddress,
+      signerOrProvider: signer
+    });
 
-    const tx = await flashLoanContract.flashLoan(
-      [asset],
+    const transaction = await receiver.populateTransaction.flashLoan(
+      [loanAsset],
       [amount],
-      ethers.utils.defaultAbiCoder.encode(['address[]'], [path])
+      encodeSwapRoute(steps, minProfit)
     );
+    transaction.from = await signer.getAddress();
+
+    const simulation = await context.simulator.assertProfitable({
+      transaction,
+      asset: loanAsset,
+      loanAmount: amount,
+      profitHolders: [receiver.address, transaction.from],
+      expectedProfitRate: (sellPrice - buyPrice) / buyPrice,
+      premiumRate: FLASH_LOAN_LENDERS[lender].premiumRate,
+      errorInterface: receiver.interface
+    });
 
-    const receipt = await tx.wait();
+    const { from, ...request } = transaction;
+    let receipt;
+    let relay = null;
+
+    if (usePrivateRelay) {
+      // Relay privado: a transação não passa pelo mempool público; sem inclusão, nada é publicado
+      relay = await privateRelay.sendTransaction(signer, { ...request, gasLimit: simulation.gasLimit }, { network: chain });
+      if (!relay.included) {
+        const error = new Error(`Flash loan não incluído pelo relay privado em ${relay.targetBlocks.length} blocos`);
+        error.relay = relay;
+        throw error;
+      }
+      receipt = relay.receipts[0];
+    } else {
+      // Oportunidade vencida não deve ser acelerada: pendente além do prazo, a transação é cancelada
+      const tx = await gasOptimizer.sendTransaction(
+        signer,
+        { ...request, gasLimit: simulation.gasLimit },
+        { network: chain, speed: 'fast', autoReplace: 'cancel' }
+      );
+      receipt = await tx.wait();
+    }
+    const execution = parseFlashLoanExecuted(receipt, receiver);
+    const profit = measuredProfit(execution, simulation);
+    if (profit === null) {
+      console.warn(`Lucro do flash loan ${receipt.transactionHash} não medido (sem evento FlashLoanExecuted); registrado como zero`);
+    }
     
-    // Registrar a operação no rastreador de lucros
+    // Registrar a operação no rastreador de lucros, com o lucro medido no token do empréstimo
     const operationResult = await profitTracker.addOperation({
       asset,
-      amount: ethers.utils.formatEther(amount),
+      amount: ethers.utils.formatUnits(amount, simulation.decimals),
       buyPrice,
       sellPrice,
+      quoteAsset: simulation.asset,
+      profit: profit === null ? '0' : profit,
       gasUsed: receipt.gasUsed.toString(),
-      success: true
+      success: true,
+      reference: receipt.transactionHash
     });
 
     return {
       receipt,
+      simulation,
+      relay,
+      execution,
       operationResult
     };
   } catch (error) {
+    // Bloqueado na simulação ou não incluído pelo relay privado: nada foi minerado
+    if (error.simulation || error.relay) {
+      console.warn('Flash loan não enviado:', error.message);
+      throw error;
+    }
+
     console.error('Erro ao executar flash loan:', error);
     
     // Registrar operação falha
@@ -115,9 +219,11 @@ export const executeMultipleFlashLoans = async (opportunities) => {
       const result = await executeFlashLoan(
         opportunity.asset,
         opportunity.amount,
-        [opportunity.buyExchange, opportunity.sellExchange],
+        opportunity.route,
         opportunity.buyPrice,
-        opportunity.sellPrice
+        opportunity.sellPrice,
+        opportunity.walletName,
+        { network: opportunity.network, lender: opportunity.lender }
       );
       
       results.push(result);
@@ -0,0 +1,322 @@
+import { ethers } from 'ethers';
+import { blockchainConfig } from '../config/api';
+import { valuationService } from './valuationService';
+
+/**
+ * Simulação de transações de flash loan antes do envio
+ *
+ * A calldata exata da transação é executada no bloco alvo:
+ * - com FORK_RPC_URL (nó local anvil ou hardhat), a transação é enviada no fork em nome da
+ *   carteira (impersonate), e o lucro realizado é a variação de saldo do token nos endereços
+ *   que recebem o lucro; o estado do fork é revertido ao final (evm_snapshot/evm_revert)
+ * - sem fork, apenas eth_call e estimateGas no nó principal: o revert é detectado, mas o lucro
+ *   é a estimativa do chamador menos o prêmio do empréstimo
+ *
+ * O gás é convertido para o token do empréstimo pelos preços em USD do valuationService;
+ * transações com revert ou lucro líquido abaixo de FLASH_LOAN_MIN_PROFIT_USD não são enviadas
+ */
+
+const SIMULATION_CONFIG = {
+  forkRpcUrl: process.env.FORK_RPC_URL || null,
+  // Prefixo dos métodos do nó local: anvil_impersonateAccount ou hardhat_impersonateAccount
+  forkNode: process.env.FORK_NODE || 'anvil',
+  // Com o RPC de origem, o fork é reposicionado no bloco alvo antes de cada simulação
+  upstreamRpcUrl: process.env.FORK_UPSTREAM_RPC_URL || null,
+  minProfitUsd: parseFloat(process.env.FLASH_LOAN_MIN_PROFIT_USD || '0'),
+  premiumRate: 0.0009, // Prêmio do flash loan da Aave (0,09%)
+  gasLimitMargin: 1.2
+};
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+const PANIC_CODES = {
+  0x01: 'assert falhou',
+  0x11: 'overflow/underflow aritmético',
+  0x12: 'divisão ou módulo por zero',
+  0x21: 'conversão para enum inválida',
+  0x22: 'storage codificado incorretamente',
+  0x31: 'pop em array vazio',
+  0x32: 'índice fora do array',
+  0x41: 'memória excessiva',
+  0x51: 'chamada a função interna inválida'
+};
+
+/**
+ * Traduz os dados de revert de uma chamada
+ * @param {string} data - Dados de retorno do revert (hex)
+ * @param {ethers.utils.Interface} errorInterface - ABI com os erros personalizados do contrato (opcional)
+ * @returns {string} - Motivo legível
+ */
+export const decodeRevertReason = (data, errorInterface = null) => {
+  if (!data || data === '0x') return 'revert sem motivo';
+  const selector = data.slice(0, 10);
+  try {
+    if (selector === ERROR_SELECTOR) {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+    }
+    if (selector === PANIC_SELECTOR) {
+      const code = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`)[0].toNumber();
+      return `Panic(0x${code.toString(16)}): ${PANIC_CODES[code] || 'código desconhecido'}`;
+    }
+    if (errorInterface) {
+      const parsed = errorInterface.parseError(data);
+      return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+    }
+  } catch (error) {
+    console.warn(`Erro ao decodificar revert ${selector}:`, error.message);
+  }
+  return `erro personalizado ${selector}`;
+};
+
+// Os dados do revert ficam em níveis diferentes do erro conforme o provider e o nó
+const extractRevertData = (error) => {
+  for (let current = error; current; current = current.error) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+    if (current.data && typeof current.data.data === 'string') return current.data.data;
+    if (typeof current.body === 'string') {
+      try {
+        const { error: rpcError } = JSON.parse(current.body);
+        if (rpcError && rpcError.data) return typeof rpcError.data === 'string' ? rpcError.data : rpcError.data.data;
+      } catch (parseError) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+function simulationError(message, simulation) {
+  const error = new Error(message);
+  error.status = 422;
+  error.simulation = simulation;
+  return error;
+}
+
+class FlashLoanSimulator {
+  /**
+   * @param {Object} options - Opções do simulador
+   * @param {Object} options.provider - Provider da rede principal (bloco alvo, preço do gás, eth_call)
+   * @param {string} options.forkRpcUrl - RPC do nó local com fork (anvil/hardhat)
+   * @param {string} options.forkNode - anvil ou hardhat
+   * @param {string} options.upstreamRpcUrl - RPC de origem para reposicionar o fork no bloco alvo
+   * @param {number} options.minProfitUsd - Lucro líquido mínimo para liberar o envio
+   * @param {Object} options.valuation - Serviço de preços em USD
+   */
+  constructor({
+    provider = null,
+    forkRpcUrl = SIMULATION_CONFIG.forkRpcUrl,
+    forkNode = SIMULATION_CONFIG.forkNode,
+    upstreamRpcUrl = SIMULATION_CONFIG.upstreamRpcUrl,
+    minProfitUsd = SIMULATION_CONFIG.minProfitUsd,
+    valuation = valuationService
+  } = {}) {
+    this.provider = provider;
+    this.forkRpcUrl = forkRpcUrl;
+    this.forkNode = forkNode;
+    this.upstreamRpcUrl = upstreamRpcUrl;
+    this.minProfitUsd = minProfitUsd;
+    this.valuation = valuation;
+    this.fork = null;
+    this.history = [];
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = new ethers.providers.AlchemyProvider(blockchainConfig.alchemy.network, blockchainConfig.alchemy.apiKey);
+    }
+    return this.provider;
+  }
+
+  getFork() {
+    if (!this.fork && this.forkRpcUrl) {
+      this.fork = new ethers.providers.JsonRpcProvider(this.forkRpcUrl);
+    }
+    return this.fork;
+  }
+
+  /**
+   * Simula a transação de flash loan no bloco alvo
+   * @param {Object} params - Parâmetros da simulação
+   * @param {Object} params.transaction - { from, to, data, value } exatamente como será enviada
+   * @param {string} params.asset - Endereço do token emprestado (o lucro é medido nele)
+   * @param {BigNumber} params.loanAmount - Valor emprestado, em unidades do token
+   * @param {Array} params.profitHolders - Endereços cujo saldo do token recebe o lucro
+   * @param {number} params.expectedProfitRate - Lucro bruto estimado sobre o empréstimo (usado sem fork)
+   * @param {number} params.premiumRate - Prêmio do empréstimo (padrão: 0,09% da Aave)
+   * @param {number|string} params.blockTag - Bloco alvo (padrão: último bloco da rede principal)
+   * @param {ethers.utils.Interface} params.errorInterface - ABI dos erros personalizados do contrato
+   * @returns {Promise<Object>} - Resultado da simulação
+   */
+  async simulate({
+    transaction,
+    asset,
+    loanAmount,
+    profitHolders = [],
+    expectedProfitRate = null,
+    premiumRate = SIMULATION_CONFIG.premiumRate,
+    blockTag = 'latest',
+    errorInterface = null
+  }) {
+    const provider = this.getProvider();
+    const token = new ethers.Contract(asset, ERC20_ABI, provider);
+    const [blockNumber, gasPrice, decimals, symbol] = await Promise.all([
+      blockTag === 'latest' ? provider.getBlockNumber() : Promise.resolve(blockTag),
+      provider.getGasPrice(),
+      token.decimals(),
+      token.symbol()
+    ]);
+    const amount = ethers.BigNumber.from(loanAmount);
+    const premium = amount.mul(Math.round(premiumRate * 1e6)).div(1e6);
+
+    const execution = this.getFork()
+      ? await this.runOnFork({ transaction, asset, profitHolders, blockNumber, errorInterface })
+      : await this.runCall({ transaction, blockNumber, errorInterface });
+
+    const toToken = value => parseFloat(ethers.utils.formatUnits(value, decimals));
+    const result = {
+      mode: this.getFork() ? 'fork' : 'call',
+      blockNumber,
+      asset: symbol,
+      decimals,
+      loanAmount: toToken(amount),
+      premium: toToken(premium),
+      success: execution.success,
+      revertReason: execution.revertReason || null,
+      gasUsed: execution.gasUsed ? execution.gasUsed.toString() : null,
+      gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei'),
+      gasCost: null,
+      grossProfit: null,
+      netProfit: null,
+      netProfitUsd: null,
+      profitSource: null,
+      profitable: false,
+      timestamp: Date.now()
+    };
+
+    if (execution.success) {
+      const gasCostEth = parseFloat(ethers.utils.formatEther(execution.gasUsed.mul(gasPrice)));
+      const [ethUsd, tokenUsd] = await Promise.all([
+        this.valuation.getUsdPrice('ETH'),
+        this.valuation.getUsdPrice(symbol)
+      ]);
+      const gasCost = gasCostEth * ethUsd / tokenUsd;
+
+      // No fork a variação de saldo já é líquida do prêmio pago ao protocolo
+      if (execution.balanceDelta) {
+        result.netProfit = toToken(execution.balanceDelta) - gasCost;
+        result.grossProfit = toToken(execution.balanceDelta.add(premium));
+        result.profitSource = 'fork';
+      } else if (expectedProfitRate !== null) {
+        result.grossProfit = result.loanAmount * expectedProfitRate;
+        result.netProfit = result.grossProfit - result.premium - gasCost;
+        result.profitSource = 'estimate';
+      }
+
+      result.gasCost = gasCost;
+      result.gasLimit = execution.gasUsed.mul(Math.round(SIMULATION_CONFIG.gasLimitMargin * 100)).div(100).toString();
+      if (result.netProfit !== null) {
+        result.netProfitUsd = result.netProfit * tokenUsd;
+        result.profitable = result.netProfitUsd > this.minProfitUsd;
+      }
+    }
+
+    this.history.push(result);
+    if (this.history.length > 500) this.history.shift();
+    return result;
+  }
+
+  /**
+   * Simula e só libera a transação com execução bem-sucedida e lucro líquido acima do mínimo
+   * @param {Object} params - Mesmos parâmetros de simulate
+   * @returns {Promise<Object>} - Resultado da simulação (com gasLimit para o envio)
+   */
+  async assertProfitable(params) {
+    const simulation = await this.simulate(params);
+    if (!simulation.success) {
+      throw simulationError(`Simulação do flash loan reverteu: ${simulation.revertReason}`, simulation);
+    }
+    if (simulation.netProfit === null) {
+      throw simulationError('Lucro do flash loan não verificável: sem fork local e sem estimativa de lucro', simulation);
+    }
+    if (!simulation.profitable) {
+      throw simulationError(
+        `Flash loan não lucrativo na simulação: ${simulation.netProfit.toFixed(6)} ${simulation.asset} ` +
+        `(US$ ${simulation.netProfitUsd.toFixed(2)}) após prêmio e gás`,
+        simulation
+      );
+    }
+    return simulation;
+  }
+
+  async runCall({ transaction, blockNumber, errorInterface }) {
+    const provider = this.getProvider();
+    try {
+      await provider.call(transaction, blockNumber);
+      // O estimateGas do ethers não repassa o bloco; o gás é estimado no mesmo bloco do eth_call
+      const gasUsed = ethers.BigNumber.from(await provider.send('eth_estimateGas', [
+        ethers.providers.JsonRpcProvider.hexlifyTransaction(transaction, { from: true }),
+        typeof blockNumber === 'number' ? ethers.utils.hexValue(blockNumber) : blockNumber
+      ]));
+      return { success: true, gasUsed };
+    } catch (error) {
+      return { success: false, revertReason: decodeRevertReason(extractRevertData(error), errorInterface) };
+    }
+  }
+
+  async runOnFork({ transaction, asset, profitHolders, blockNumber, errorInterface }) {
+    const fork = this.getFork();
+    const method = name => `${this.forkNode}_${name}`;
+
+    if (this.upstreamRpcUrl) {
+      await fork.send(method('reset'), [{ forking: { jsonRpcUrl: this.upstreamRpcUrl, blockNumber } }]);
+    }
+    const snapshotId = await fork.send('evm_snapshot', []);
+    const token = new ethers.Contract(asset, ERC20_ABI, fork);
+    const balanceOf = async () => (await Promise.all(profitHolders.map(holder => token.balanceOf(holder))))
+      .reduce((total, balance) => total.add(balance), ethers.BigNumber.from(0));
+
+    try {
+      await fork.send(method('impersonateAccount'), [transaction.from]);
+      await fork.send(method('setBalance'), [transaction.from, ethers.utils.hexValue(ethers.utils.parseEther('100'))]);
+
+      // O eth_call no mesmo estado traz o motivo do revert, que o recibo não informa
+      try {
+        await fork.call(transaction);
+      } catch (error) {
+        return { success: false, revertReason: decodeRevertReason(extractRevertData(error), errorInterface) };
+      }
+
+      const before = await balanceOf();
+      const hash = await fork.send('eth_sendTransaction', [{
+        from: transaction.from,
+        to: transaction.to,
+        data: transaction.data,
+        value: ethers.utils.hexValue(ethers.BigNumber.from(transaction.value || 0))
+      }]);
+      const receipt = await fork.waitForTransaction(hash);
+      if (receipt.status !== 1) {
+        return { success: false, revertReason: 'transação revertida no fork', gasUsed: receipt.gasUsed };
+      }
+
+      const after = await balanceOf();
+      return { success: true, gasUsed: receipt.gasUsed, balanceDelta: after.sub(before) };
+    } finally {
+      await fork.send('evm_revert', [snapshotId]);
+      await fork.send(method('stopImpersonatingAccount'), [transaction.from]).catch(error =>
+        console.warn('Erro ao encerrar o impersonate no fork:', error.message));
+    }
+  }
+
+  getHistory(limit = 50) {
+    return this.history.slice(-limit);
+  }
+}
+
+export const flashLoanSimulator = new FlashLoanSimulator();
+export { FlashLoanSimulator };
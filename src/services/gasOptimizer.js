@@ -1,19 +1,18 @@
 import { ethers } from 'ethers';
-import { blockchainConfig } from '../config/api';
+import { blockchainConfig } from '../config/api.js';
 
 // Configurações para diferentes redes
 const NETWORKS = {
   mainnet: {
     name: 'Ethereum Mainnet',
     rpc: `https://eth-mainnet.alchemyapi.io/v2/${blockchainConfig.alchemy.apiKey}`,
-    chainId: 1,
-    gasStationApi: 'https://ethgasstation.info/api/ethgasAPI.json'
+    chainId: 1
   },
   polygon: {
     name: 'Polygon',
     rpc: 'https://polygon-rpc.com',
     chainId: 137,
-    gasStationApi: 'https://gasstation-mainnet.matic.network/v2'
+    minPriorityFeeGwei: 30 // Gorjeta mínima aceita pelos validadores da Polygon
   },
   optimism: {
     name: 'Optimism',
@@ -32,11 +31,115 @@ const NETWORKS = {
   }
 };
 
+// Estimativa de taxas (EIP-1559) e acompanhamento das transações enviadas
+const GAS_CONFIG = {
+  feeHistoryBlocks: 20, // Blocos consultados no eth_feeHistory
+  // Percentil das gorjetas pagas nos blocos recentes para cada velocidade
+  rewardPercentiles: { slow: 10, standard: 50, fast: 90 },
+  // maxFeePerGas = baseFee do próximo bloco x multiplicador + gorjeta (absorve altas seguidas da baseFee)
+  baseFeeMultiplier: 2,
+  feeCacheMs: 12000,
+  // Teto opcional para maxFeePerGas (e gasPrice nas redes sem EIP-1559)
+  maxFeeGwei: process.env.GAS_MAX_FEE_GWEI ? parseFloat(process.env.GAS_MAX_FEE_GWEI) : null,
+  // Transações pendentes há mais que o prazo são substituídas com taxas maiores
+  pendingDeadlineMs: parseInt(process.env.TX_PENDING_DEADLINE_MS || '180000', 10),
+  maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10),
+  // Os nós exigem ao menos 10% a mais em maxFeePerGas e maxPriorityFeePerGas para aceitar a substituição
+  replacementBumpPercent: 15,
+  confirmationTimeoutMs: parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS || '1800000', 10),
+  monitorIntervalMs: 15000,
+  flashLoanGasLimit: 450000 // Gas estimado de um flash loan com duas trocas
+};
+
+const compareBigNumbers = (a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0);
+const maxBigNumber = (...values) => values.filter(Boolean).reduce((max, value) => (value.gt(max) ? value : max));
+const bumpFee = value => value.mul(100 + GAS_CONFIG.replacementBumpPercent).div(100);
+const formatGwei = value => (value ? ethers.utils.formatUnits(value, 'gwei') : null);
+
+// Campos de taxa da requisição: EIP-1559 ou gasPrice legado, nunca os dois
+const withFees = (transaction, fees) => {
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...request } = transaction;
+  return { ...request, ...fees };
+};
+
+const summarizeTransaction = (record) => ({
+  id: record.id,
+  network: record.network,
+  from: record.address,
+  nonce: record.nonce,
+  hash: record.receipt?.transactionHash || record.hashes[record.hashes.length - 1],
+  hashes: [...record.hashes],
+  status: record.status,
+  action: record.action,
+  replacements: record.replacements,
+  maxFeePerGas: formatGwei(record.fees.maxFeePerGas),
+  maxPriorityFeePerGas: formatGwei(record.fees.maxPriorityFeePerGas),
+  gasPrice: formatGwei(record.fees.gasPrice),
+  confirmations: record.confirmations,
+  blockNumber: record.receipt?.blockNumber || null,
+  gasUsed: record.receipt?.gasUsed?.toString() || null,
+  sentAt: record.sentAt,
+  lastSentAt: record.lastSentAt,
+  error: record.error
+});
+
+function transactionError(message, record) {
+  const error = new Error(message);
+  error.transaction = summarizeTransaction(record);
+  error.receipt = record.receipt;
+  return error;
+}
+
+/**
+ * Nonces de um signer numa rede
+ * A cada envio a contagem 'pending' é relida do nó, e o nonce entregue é o maior entre ela e o
+ * próximo da sequência local: transações enviadas por outros processos com a mesma carteira (servidor,
+ * workers, scripts) entram pela contagem do nó, e as ainda fora do mempool (bundles do relay privado,
+ * envios em andamento) pela sequência local
+ */
+class NonceManager {
+  constructor(signer, provider) {
+    this.signer = signer;
+    this.provider = provider;
+    this.nonce = null;
+    this.queue = Promise.resolve();
+  }
+
+  next() {
+    const result = this.queue.then(async () => {
+      const pending = await this.provider.getTransactionCount(await this.signer.getAddress(), 'pending');
+      this.nonce = this.nonce === null ? pending : Math.max(this.nonce, pending);
+      return this.nonce++;
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Devolve o nonce de um envio que falhou; fora de ordem, a contagem é relida do nó
+  release(nonce, error = null) {
+    if (this.nonce === nonce + 1 && !/nonce/i.test(error?.message || '')) {
+      this.nonce = nonce;
+    } else {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.nonce = null;
+  }
+}
+
 // Classe para otimização de gas
 export class GasOptimizer {
   constructor() {
     this.providers = {};
     this.historicalData = {};
+    this.feeCache = new Map();
+    this.nonceManagers = new Map();
+    this.pendingTransactions = new Map();
+    this.transactionHistory = [];
+    this.monitorTimer = null;
+    this.checkingPending = false;
     this.initializeProviders();
     this.startHistoricalDataCollection();
   }
@@ -48,18 +151,126 @@ export class GasOptimizer {
     }
   }
 
+  /**
+   * Estima as taxas EIP-1559 pelos percentis das gorjetas dos últimos blocos (eth_feeHistory)
+   * Redes sem EIP-1559 (ou sem eth_feeHistory) recebem o gasPrice legado
+   * @param {string} network - Rede de NETWORKS
+   * @param {string} speed - slow, standard ou fast
+   * @param {Object} provider - Provider a consultar (padrão: o da rede)
+   * @returns {Promise<Object>} - { type, baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas, gasPrice, estimatedGasPrice }
+   */
+  async getFeeEstimate(network = 'mainnet', speed = 'standard', provider = null) {
+    if (!GAS_CONFIG.rewardPercentiles[speed]) {
+      throw new Error(`Velocidade desconhecida: ${speed}`);
+    }
+    const cached = this.feeCache.get(network);
+    let estimate = cached && Date.now() - cached.timestamp < GAS_CONFIG.feeCacheMs ? cached : null;
+
+    if (!estimate) {
+      const networkProvider = provider || this.providers[network];
+      if (!networkProvider) {
+        throw new Error(`Rede desconhecida: ${network}`);
+      }
+      estimate = await this._estimateFees(networkProvider, network);
+      this.feeCache.set(network, estimate);
+    }
+
+    return {
+      network,
+      speed,
+      type: estimate.type,
+      baseFeePerGas: estimate.baseFeePerGas,
+      ...estimate.speeds[speed],
+      timestamp: estimate.timestamp
+    };
+  }
+
+  async _estimateFees(provider, network) {
+    const speeds = {};
+    const cap = GAS_CONFIG.maxFeeGwei ? ethers.utils.parseUnits(GAS_CONFIG.maxFeeGwei.toString(), 'gwei') : null;
+
+    try {
+      const percentiles = Object.values(GAS_CONFIG.rewardPercentiles);
+      const history = await provider.send('eth_feeHistory', [
+        ethers.utils.hexValue(GAS_CONFIG.feeHistoryBlocks),
+        'latest',
+        percentiles
+      ]);
+      const baseFees = (history.baseFeePerGas || []).map(value => ethers.BigNumber.from(value));
+      if (baseFees.length === 0) {
+        throw new Error('eth_feeHistory sem baseFeePerGas');
+      }
+
+      // O último item é a baseFee do próximo bloco; blocos vazios não indicam gorjeta
+      const baseFeePerGas = baseFees[baseFees.length - 1];
+      const rewards = (history.reward || []).filter((_, index) => history.gasUsedRatio[index] > 0);
+      const minPriorityFee = ethers.utils.parseUnits((NETWORKS[network]?.minPriorityFeeGwei || 0).toString(), 'gwei');
+
+      Object.keys(GAS_CONFIG.rewardPercentiles).forEach((speed, index) => {
+        const tips = rewards.map(reward => ethers.BigNumber.from(reward[index])).sort(compareBigNumbers);
+        const median = tips.length > 0 ? tips[Math.floor(tips.length / 2)] : ethers.constants.Zero;
+        let maxPriorityFeePerGas = maxBigNumber(median, minPriorityFee);
+        let maxFeePerGas = baseFeePerGas.mul(GAS_CONFIG.baseFeeMultiplier).add(maxPriorityFeePerGas);
+        if (cap && maxFeePerGas.gt(cap)) {
+          maxFeePerGas = cap;
+          if (maxPriorityFeePerGas.gt(cap)) maxPriorityFeePerGas = cap;
+        }
+        speeds[speed] = {
+          maxFeePerGas,
+          maxPriorityFeePerGas,
+          estimatedGasPrice: baseFeePerGas.add(maxPriorityFeePerGas)
+        };
+      });
+
+      return { type: 2, baseFeePerGas, speeds, timestamp: Date.now() };
+    } catch (error) {
+      const gasPrice = await provider.getGasPrice();
+      const legacy = { slow: gasPrice, standard: gasPrice, fast: gasPrice.mul(12).div(10) };
+      for (const [speed, price] of Object.entries(legacy)) {
+        const capped = cap && price.gt(cap) ? cap : price;
+        speeds[speed] = { gasPrice: capped, estimatedGasPrice: capped };
+      }
+      return { type: 0, baseFeePerGas: null, speeds, timestamp: Date.now() };
+    }
+  }
+
+  /**
+   * Campos de taxa para a transação: { maxFeePerGas, maxPriorityFeePerGas } ou { gasPrice }
+   */
+  async getTransactionFees(network = 'mainnet', speed = 'standard', provider = null) {
+    const estimate = await this.getFeeEstimate(network, speed, provider);
+    return estimate.type === 2
+      ? { maxFeePerGas: estimate.maxFeePerGas, maxPriorityFeePerGas: estimate.maxPriorityFeePerGas }
+      : { gasPrice: estimate.gasPrice };
+  }
+
+  // Preço efetivo esperado por unidade de gas (baseFee + gorjeta), para estimar custos
+  async getOptimalGasPrice(network = 'mainnet', speed = 'standard') {
+    const estimate = await this.getFeeEstimate(network, speed);
+    return estimate.estimatedGasPrice;
+  }
+
+  // Custo estimado, em wei, de um flash loan com duas trocas
+  async estimateFlashLoanGas({ network = 'mainnet' } = {}) {
+    const gasPrice = await this.getOptimalGasPrice(network);
+    return gasPrice.mul(GAS_CONFIG.flashLoanGasLimit);
+  }
+
   // Obter preços de gas em todas as redes
   async getGasPrices() {
     const gasPrices = {};
 
-    for (const [network, provider] of Object.entries(this.providers)) {
+    for (const network of Object.keys(this.providers)) {
       try {
-        const gasPrice = await provider.getGasPrice();
-        const gasPriceGwei = ethers.utils.formatUnits(gasPrice, 'gwei');
+        const estimate = await this.getFeeEstimate(network);
 
         gasPrices[network] = {
           network: NETWORKS[network].name,
-          gasPrice: gasPriceGwei,
+          gasPrice: formatGwei(estimate.estimatedGasPrice),
+          baseFee: formatGwei(estimate.baseFeePerGas),
+          maxFeePerGas: formatGwei(estimate.maxFeePerGas),
+          maxPriorityFeePerGas: formatGwei(estimate.maxPriorityFeePerGas),
+          eip1559: estimate.type === 2,
           timestamp: Date.now()
         };
       } catch (error) {
@@ -76,7 +287,7 @@ export class GasOptimizer {
 
     for (const [network, provider] of Object.entries(this.providers)) {
       try {
-        const gasPrice = await provider.getGasPrice();
+        const gasPrice = await this.getOptimalGasPrice(network);
         const gasLimit = await provider.estimateGas({
           to,
           data,
@@ -122,8 +333,7 @@ export class GasOptimizer {
   // Verificar congestionamento da rede
   async checkNetworkCongestion(network) {
     try {
-      const provider = this.providers[network];
-      const gasPrice = await provider.getGasPrice();
+      const gasPrice = await this.getOptimalGasPrice(network);
       const gasPriceGwei = parseFloat(ethers.utils.formatUnits(gasPrice, 'gwei'));
 
       // Definir níveis de congestionamento
@@ -145,7 +355,7 @@ export class GasOptimizer {
     setInterval(async () => {
       for (const network of Object.keys(this.providers)) {
         try {
-          const gasPrice = await this.providers[network].getGasPrice();
+          const gasPrice = await this.getOptimalGasPrice(network);
           if (!this.historicalData[network]) {
             this.historicalData[network] = [];
           }
@@ -230,6 +440,293 @@ export class GasOptimizer {
       throw error;
     }
   }
+
+  getNonceManager(network, signer, provider) {
+    const key = `${network}:${signer.address || signer.keyName}`;
+    if (!this.nonceManagers.has(key)) {
+      this.nonceManagers.set(key, new NonceManager(signer, provider));
+    }
+    return this.nonceManagers.get(key);
+  }
+
+  /**
+   * Envia a transação com nonce do gerenciador e taxas EIP-1559 estimadas
+   * Transações pendentes além de deadlineMs são substituídas (mesmo nonce, taxas maiores):
+   * speedUp reenvia a mesma transação e cancel envia uma transferência de valor zero para a própria carteira
+   * @param {ethers.Signer} signer - Signer conectado ao provider da rede
+   * @param {Object} transaction - { to, data, value, gasLimit }
+   * @param {Object} options - Opções de envio
+   * @param {string} options.network - Rede de NETWORKS (também separa nonces e cache de taxas)
+   * @param {string} options.speed - slow, standard ou fast
+   * @param {number} options.deadlineMs - Tempo pendente até a substituição automática
+   * @param {string|boolean} options.autoReplace - speedUp, cancel ou false
+   * @returns {Promise<Object>} - { id, hash, nonce, wait(confirmations, timeoutMs) }
+   */
+  async sendTransaction(signer, transaction, {
+    network = 'mainnet',
+    speed = 'standard',
+    deadlineMs = GAS_CONFIG.pendingDeadlineMs,
+    autoReplace = 'speedUp'
+  } = {}) {
+    const provider = signer.provider || this.providers[network];
+    if (!provider) {
+      throw new Error(`Signer sem provider para a rede ${network}`);
+    }
+    const address = await signer.getAddress();
+    const nonceManager = this.getNonceManager(network, signer, provider);
+    const fees = await this.getTransactionFees(network, speed, provider);
+    const request = { ...withFees(transaction, fees), nonce: await nonceManager.next() };
+
+    let response;
+    try {
+      response = await signer.sendTransaction(request);
+    } catch (error) {
+      nonceManager.release(request.nonce, error);
+      throw error;
+    }
+
+    const now = Date.now();
+    const record = {
+      id: `${network}:${address}:${request.nonce}`,
+      network,
+      address,
+      nonce: request.nonce,
+      signer,
+      provider,
+      request,
+      fees,
+      hashes: [response.hash],
+      cancelHashes: [],
+      status: 'pending',
+      action: 'send',
+      replacements: 0,
+      deadlineMs,
+      autoReplace,
+      confirmations: 0,
+      receipt: null,
+      error: null,
+      stuck: false,
+      waiters: [],
+      sentAt: now,
+      lastSentAt: now
+    };
+    this.pendingTransactions.set(record.id, record);
+    this._ensureMonitor();
+
+    return {
+      id: record.id,
+      hash: response.hash,
+      nonce: record.nonce,
+      wait: (confirmations = 1, timeoutMs = GAS_CONFIG.confirmationTimeoutMs) =>
+        this.waitForTransaction(record.id, confirmations, timeoutMs)
+    };
+  }
+
+  /**
+   * Aguarda a confirmação da transação ou de uma das suas substitutas
+   * Rejeita se a transação reverter, for cancelada, tiver o nonce usado por outra ou passar do timeout
+   * @returns {Promise<Object>} - Recibo da transação minerada
+   */
+  waitForTransaction(id, confirmations = 1, timeoutMs = GAS_CONFIG.confirmationTimeoutMs) {
+    const record = this.pendingTransactions.get(id) || this.transactionHistory.find(item => item.id === id);
+    if (!record) {
+      return Promise.reject(new Error(`Transação ${id} não encontrada`));
+    }
+    if (!this.pendingTransactions.has(id) && record.status === 'confirmed') {
+      return Promise.resolve(record.receipt);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { confirmations, resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        record.waiters = record.waiters.filter(item => item !== waiter);
+        reject(transactionError(`Transação ${id} não confirmada em ${Math.round(timeoutMs / 1000)}s`, record));
+      }, timeoutMs);
+      record.waiters.push(waiter);
+      this._settleWaiters(record);
+    });
+  }
+
+  async speedUpTransaction(hashOrId) {
+    return this._replace(this._findPending(hashOrId), 'speedUp');
+  }
+
+  async cancelTransaction(hashOrId) {
+    return this._replace(this._findPending(hashOrId), 'cancel');
+  }
+
+  getPendingTransactions() {
+    return [...this.pendingTransactions.values()].map(summarizeTransaction);
+  }
+
+  // Situação atual da transação (pendente ou já no histórico), pelo id ou por um dos hashes
+  getTransaction(hashOrId) {
+    const matches = item => item.id === hashOrId || item.hashes.includes(hashOrId);
+    const record = [...this.pendingTransactions.values()].find(matches)
+      || [...this.transactionHistory].reverse().find(matches);
+    return record ? summarizeTransaction(record) : null;
+  }
+
+  getTransactionHistory(limit = 100) {
+    return this.transactionHistory.slice(-limit).map(summarizeTransaction);
+  }
+
+  _findPending(hashOrId) {
+    const record = this.pendingTransactions.get(hashOrId)
+      || [...this.pendingTransactions.values()].find(item => item.hashes.includes(hashOrId));
+    if (!record) {
+      throw new Error(`Transação pendente não encontrada: ${hashOrId}`);
+    }
+    return record;
+  }
+
+  // Substitui a transação pendente pelo mesmo nonce com taxas maiores
+  async _replace(record, mode) {
+    const fees = await this._bumpFees(record);
+    if (!fees) {
+      record.lastSentAt = Date.now();
+      throw transactionError(`Substituição da transação ${record.id} excede o teto de taxas (GAS_MAX_FEE_GWEI)`, record);
+    }
+
+    const base = mode === 'cancel'
+      ? { to: record.address, value: 0, data: '0x', gasLimit: 21000 }
+      : record.request;
+    const request = { ...withFees(base, fees), nonce: record.nonce };
+
+    try {
+      const response = await record.signer.sendTransaction(request);
+      record.hashes.push(response.hash);
+      if (mode === 'cancel') record.cancelHashes.push(response.hash);
+      record.fees = fees;
+      record.action = mode;
+      record.replacements++;
+      record.lastSentAt = Date.now();
+      console.warn(`Transação ${record.id} ${mode === 'cancel' ? 'cancelada' : 'acelerada'}: ${response.hash}`);
+      return summarizeTransaction(record);
+    } catch (error) {
+      // "nonce too low": a transação anterior já foi minerada e a próxima verificação encontra o recibo
+      record.lastSentAt = Date.now();
+      throw error;
+    }
+  }
+
+  // Taxas da substituição: as anteriores com o acréscimo mínimo ou a estimativa "fast" atual, o que for maior
+  async _bumpFees(record) {
+    this.feeCache.delete(record.network);
+    const current = await this.getFeeEstimate(record.network, 'fast', record.provider);
+    const cap = GAS_CONFIG.maxFeeGwei ? ethers.utils.parseUnits(GAS_CONFIG.maxFeeGwei.toString(), 'gwei') : null;
+
+    if (record.fees.maxFeePerGas) {
+      const maxPriorityFeePerGas = maxBigNumber(bumpFee(record.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+      const maxFeePerGas = maxBigNumber(bumpFee(record.fees.maxFeePerGas), current.maxFeePerGas, maxPriorityFeePerGas);
+      return cap && maxFeePerGas.gt(cap) ? null : { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    const gasPrice = maxBigNumber(bumpFee(record.fees.gasPrice), current.gasPrice || current.estimatedGasPrice);
+    return cap && gasPrice.gt(cap) ? null : { gasPrice };
+  }
+
+  _ensureMonitor() {
+    if (!this.monitorTimer && this.pendingTransactions.size > 0) {
+      this.monitorTimer = setInterval(() => this._checkPending(), GAS_CONFIG.monitorIntervalMs);
+    }
+  }
+
+  async _checkPending() {
+    if (this.checkingPending) return;
+    this.checkingPending = true;
+
+    try {
+      for (const record of [...this.pendingTransactions.values()]) {
+        try {
+          await this._checkTransaction(record);
+        } catch (error) {
+          console.error(`Erro ao acompanhar a transação ${record.id}:`, error);
+        }
+      }
+    } finally {
+      this.checkingPending = false;
+      if (this.pendingTransactions.size === 0 && this.monitorTimer) {
+        clearInterval(this.monitorTimer);
+        this.monitorTimer = null;
+      }
+    }
+  }
+
+  async _findReceipt(record) {
+    for (const hash of [...record.hashes].reverse()) {
+      const receipt = await record.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  async _checkTransaction(record) {
+    let receipt = await this._findReceipt(record);
+
+    if (!receipt) {
+      // Nonce consumido sem recibo das nossas transações: outra transação usou o nonce
+      const confirmedNonce = await record.provider.getTransactionCount(record.address, 'latest');
+      if (confirmedNonce > record.nonce) {
+        receipt = await this._findReceipt(record);
+        if (!receipt) {
+          record.status = 'dropped';
+          record.error = 'Nonce usado por outra transação';
+          this._settleWaiters(record);
+          this._finish(record);
+          return;
+        }
+      }
+    }
+
+    if (receipt) {
+      const blockNumber = await record.provider.getBlockNumber();
+      record.receipt = receipt;
+      record.confirmations = blockNumber - receipt.blockNumber + 1;
+      record.status = record.cancelHashes.includes(receipt.transactionHash)
+        ? 'cancelled'
+        : receipt.status === 1 ? 'confirmed' : 'failed';
+      this._settleWaiters(record);
+      if (record.waiters.length === 0) this._finish(record);
+      return;
+    }
+
+    if (!record.autoReplace || Date.now() - record.lastSentAt < record.deadlineMs) return;
+
+    if (record.replacements < GAS_CONFIG.maxReplacements) {
+      await this._replace(record, record.autoReplace);
+    } else if (!record.stuck) {
+      record.stuck = true;
+      console.warn(`Transação ${record.id} ainda pendente após ${record.replacements} substituições`);
+    }
+  }
+
+  // Resolve ou rejeita as esperas conforme o estado atual da transação
+  _settleWaiters(record) {
+    const errors = {
+      failed: 'revertida',
+      cancelled: 'cancelada',
+      dropped: 'descartada: nonce usado por outra transação'
+    };
+
+    record.waiters = record.waiters.filter(waiter => {
+      if (record.status === 'confirmed' && record.confirmations >= waiter.confirmations) {
+        waiter.resolve(record.receipt);
+      } else if (errors[record.status]) {
+        waiter.reject(transactionError(`Transação ${record.id} ${errors[record.status]}`, record));
+      } else {
+        return true;
+      }
+      clearTimeout(waiter.timer);
+      return false;
+    });
+  }
+
+  _finish(record) {
+    this.pendingTransactions.delete(record.id);
+    this.transactionHistory.push(record);
+    if (this.transactionHistory.length > 500) this.transactionHistory.shift();
+  }
 }
 
 // Instância global do otimizador
@@ -0,0 +1,317 @@
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Cofre de chaves do QuickFundHub
+ *
+ * Chaves privadas de carteiras e segredos de API das exchanges ficam gravados
+ * cifrados em um keystore JSON (AES-256-GCM com chave derivada por scrypt da senha
+ * do cofre). Ao desbloquear, os segredos são decifrados apenas em memória durante
+ * a sessão; os serviços recebem signers e credenciais que leem o segredo da sessão
+ * no momento do uso, sem expor a chave privada
+ */
+
+const KEYSTORE_VERSION = 1;
+const VERIFIER_PLAINTEXT = 'quickfundhub-keystore';
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1, dklen: 32 };
+const ENTRY_TYPES = {
+  WALLET: 'wallet',
+  API_CREDENTIALS: 'apiCredentials'
+};
+
+// Sessões desbloqueadas (cofre -> { key, secrets, timer }), fora das propriedades do cofre
+const sessions = new WeakMap();
+
+// Cofre de origem de cada signer, também fora das propriedades públicas
+const signerVaults = new WeakMap();
+
+const getSession = (vault) => {
+  const session = sessions.get(vault);
+  if (!session) {
+    throw new Error('Cofre de chaves bloqueado. Desbloqueie o keystore para continuar.');
+  }
+  return session;
+};
+
+const getSecret = (vault, name, type) => {
+  const secret = getSession(vault).secrets.get(name);
+  if (!secret || secret.type !== type) {
+    throw new Error(`Entrada ${name} não encontrada no cofre de chaves`);
+  }
+  return secret;
+};
+
+// Executa uma operação com a carteira decifrada da sessão
+const withWallet = (vault, name, operation) => {
+  const { value } = getSecret(vault, name, ENTRY_TYPES.WALLET);
+  return operation(new ethers.Wallet(value.privateKey));
+};
+
+const deriveKey = (passphrase, salt, { N, r, p, dklen }) => new Promise((resolve, reject) => {
+  crypto.scrypt(passphrase, salt, dklen, { N, r, p, maxmem: 128 * N * r * 2 }, (error, key) => {
+    if (error) reject(error);
+    else resolve(key);
+  });
+});
+
+// O nome da entrada entra como dado autenticado para impedir a troca de ciphertexts entre entradas
+const encrypt = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  };
+};
+
+const decrypt = (key, payload, aad) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'hex'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'hex'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.ciphertext, 'hex')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * Signer do ethers que assina com uma carteira do cofre desbloqueado
+ * A chave privada nunca fica acessível pelo objeto do signer
+ */
+class VaultSigner extends ethers.Signer {
+  constructor(vault, name, address, provider = null) {
+    super();
+    ethers.utils.defineReadOnly(this, 'address', address);
+    ethers.utils.defineReadOnly(this, 'provider', provider);
+    ethers.utils.defineReadOnly(this, 'keyName', name);
+    signerVaults.set(this, vault);
+  }
+
+  getAddress() {
+    return Promise.resolve(this.address);
+  }
+
+  async signMessage(message) {
+    return withWallet(signerVaults.get(this), this.keyName, wallet => wallet.signMessage(message));
+  }
+
+  async signTransaction(transaction) {
+    return withWallet(signerVaults.get(this), this.keyName, wallet => wallet.signTransaction(transaction));
+  }
+
+  async _signTypedData(domain, types, value) {
+    return withWallet(signerVaults.get(this), this.keyName, wallet => wallet._signTypedData(domain, types, value));
+  }
+
+  connect(provider) {
+    return new VaultSigner(signerVaults.get(this), this.keyName, this.address, provider);
+  }
+}
+
+class KeyVault {
+  /**
+   * @param {Object} options - Opções do cofre
+   * @param {string} options.file - Arquivo do keystore cifrado
+   * @param {number} options.sessionMinutes - Tempo até o cofre ser bloqueado novamente
+   */
+  constructor({
+    file = process.env.KEYSTORE_FILE || path.join(process.cwd(), 'data', 'keystore.json'),
+    sessionMinutes = parseFloat(process.env.KEYSTORE_SESSION_MINUTES || '60')
+  } = {}) {
+    this.file = file;
+    this.sessionMinutes = sessionMinutes;
+  }
+
+  readKeystore() {
+    if (!fs.existsSync(this.file)) return null;
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  writeKeystore(keystore) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+  }
+
+  isUnlocked() {
+    return sessions.has(this);
+  }
+
+  /**
+   * Desbloqueia o cofre (cria o keystore na primeira execução)
+   * @param {string} passphrase - Senha do cofre
+   * @returns {Promise<Array>} - Entradas disponíveis na sessão
+   */
+  async unlock(passphrase) {
+    if (!passphrase) throw new Error('Senha do cofre de chaves não informada');
+
+    let keystore = this.readKeystore();
+    let key;
+
+    if (!keystore) {
+      const kdfparams = { ...DEFAULT_KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+      key = await deriveKey(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams);
+      keystore = {
+        version: KEYSTORE_VERSION,
+        kdf: 'scrypt',
+        kdfparams,
+        verifier: encrypt(key, VERIFIER_PLAINTEXT, 'verifier'),
+        entries: {}
+      };
+      this.writeKeystore(keystore);
+      console.log(`Keystore criado em ${this.file}`);
+    } else {
+      key = await deriveKey(passphrase, Buffer.from(keystore.kdfparams.salt, 'hex'), keystore.kdfparams);
+      try {
+        decrypt(key, keystore.verifier, 'verifier');
+      } catch (error) {
+        throw new Error('Senha do cofre de chaves incorreta');
+      }
+    }
+
+    this.lock();
+
+    const secrets = new Map();
+    for (const [name, entry] of Object.entries(keystore.entries)) {
+      secrets.set(name, { type: entry.type, address: entry.address, value: JSON.parse(decrypt(key, entry, name)) });
+    }
+
+    const timer = setTimeout(() => this.lock(), this.sessionMinutes * 60 * 1000);
+    if (timer.unref) timer.unref();
+
+    sessions.set(this, { key, secrets, timer });
+    console.log(`Cofre de chaves desbloqueado por ${this.sessionMinutes} minutos`);
+    return this.listEntries();
+  }
+
+  /**
+   * Garante uma sessão aberta; em execuções sem operador usa KEYSTORE_PASSPHRASE
+   */
+  async ensureUnlocked() {
+    if (this.isUnlocked()) return;
+    if (!process.env.KEYSTORE_PASSPHRASE) {
+      throw new Error('Cofre de chaves bloqueado. Desbloqueie o keystore para continuar.');
+    }
+    await this.unlock(process.env.KEYSTORE_PASSPHRASE);
+  }
+
+  /**
+   * Bloqueia o cofre e descarta os segredos decifrados da memória
+   */
+  lock() {
+    const session = sessions.get(this);
+    if (!session) return;
+
+    clearTimeout(session.timer);
+    session.key.fill(0);
+    session.secrets.clear();
+    sessions.delete(this);
+    console.log('Cofre de chaves bloqueado');
+  }
+
+  /**
+   * Lista as entradas do keystore sem revelar segredos
+   * @returns {Array} - [{ name, type, address, createdAt }]
+   */
+  listEntries() {
+    const keystore = this.readKeystore();
+    if (!keystore) return [];
+    return Object.entries(keystore.entries).map(([name, entry]) => ({
+      name,
+      type: entry.type,
+      address: entry.address || null,
+      createdAt: entry.createdAt
+    }));
+  }
+
+  hasEntry(name, type) {
+    const keystore = this.readKeystore();
+    const entry = keystore && keystore.entries[name];
+    return !!entry && (!type || entry.type === type);
+  }
+
+  saveEntry(name, type, value, metadata = {}) {
+    const { key, secrets } = getSession(this);
+    const keystore = this.readKeystore();
+
+    keystore.entries[name] = {
+      type,
+      ...metadata,
+      ...encrypt(key, JSON.stringify(value), name),
+      createdAt: new Date().toISOString()
+    };
+    this.writeKeystore(keystore);
+    secrets.set(name, { type, address: metadata.address, value });
+  }
+
+  /**
+   * Grava uma chave privada de carteira no cofre (exige cofre desbloqueado)
+   * @param {string} name - Nome da carteira no cofre
+   * @param {string} privateKey - Chave privada em hexadecimal
+   * @returns {Object} - { name, address }
+   */
+  addWallet(name, privateKey) {
+    const wallet = new ethers.Wallet(privateKey);
+    this.saveEntry(name, ENTRY_TYPES.WALLET, { privateKey: wallet.privateKey }, { address: wallet.address });
+    return { name, address: wallet.address };
+  }
+
+  /**
+   * Grava as credenciais de API de uma exchange no cofre (exige cofre desbloqueado)
+   * @param {string} name - Nome da exchange (chave em cexConfig)
+   * @param {Object} credentials - { apiKey, apiSecret, passphrase }
+   */
+  addApiCredentials(name, { apiKey, apiSecret, passphrase } = {}) {
+    if (!apiKey || !apiSecret) {
+      throw new Error(`Credenciais incompletas para ${name}`);
+    }
+    this.saveEntry(name, ENTRY_TYPES.API_CREDENTIALS, { apiKey, apiSecret, passphrase: passphrase || null });
+    return { name };
+  }
+
+  removeEntry(name) {
+    const { secrets } = getSession(this);
+    const keystore = this.readKeystore();
+    delete keystore.entries[name];
+    this.writeKeystore(keystore);
+    secrets.delete(name);
+  }
+
+  /**
+   * Retorna um signer para uma carteira do cofre
+   * @param {string} name - Nome da carteira no cofre
+   * @param {Object} provider - Provider do ethers ao qual o signer é conectado
+   * @returns {VaultSigner} - Signer que assina enquanto o cofre estiver desbloqueado
+   */
+  getSigner(name = process.env.KEYSTORE_DEFAULT_WALLET || 'main', provider = null) {
+    const { address } = getSecret(this, name, ENTRY_TYPES.WALLET);
+    return new VaultSigner(this, name, address, provider);
+  }
+
+  /**
+   * Retorna as credenciais de API de uma exchange para os adaptadores
+   * Os campos são lidos da sessão a cada acesso (falham com o cofre bloqueado)
+   * e não aparecem em logs ou JSON
+   * @param {string} name - Nome da exchange no cofre
+   * @returns {Object} - { apiKey, apiSecret, passphrase }
+   */
+  getApiCredentials(name) {
+    const credentials = {};
+    for (const field of ['apiKey', 'apiSecret', 'passphrase']) {
+      Object.defineProperty(credentials, field, {
+        enumerable: false,
+        get: () => getSecret(this, name, ENTRY_TYPES.API_CREDENTIALS).value[field]
+      });
+    }
+    return credentials;
+  }
+}
+
+export const keyVault = new KeyVault();
+
+export { KeyVault, VaultSigner, ENTRY_TYPES };
@@ -5,46 +5,14 @@ import { getUniswapPoolData, getSushiswapPairData } from './dex';
 import { comparePrices } from './cex';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
+import { crossChainBridge } from './crossChainBridge';
+import { LAYER2_CONFIG } from '../config/layer2';
 
-// Configurações para redes Layer 2
-const LAYER2_CONFIG = {
-  polygon: {
-    rpc: 'https://polygon-rpc.com',
-    flashLoanPool: '0x8dFf5E27EA6b7AC08EbFdf9eB090F32ee9a30fcf',
-    minProfitMargin: 0.3, // 0.3% margem mínima para Polygon
-    gasMultiplier: 1.0,
-    bridgeAddress: '0x7D1AfA7B718fb893dB30A3aBc0Cfc608AaCfeBB0',
-    averageBlockTime: 2.5, // segundos
-    averageGasPrice: 30 // gwei
-  },
-  optimism: {
-    rpc: 'https://mainnet.optimism.io',
-    flashLoanPool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-    minProfitMargin: 0.4, // 0.4% margem mínima para Optimism
-    gasMultiplier: 0.8,
-    bridgeAddress: '0x99C9fc46f92E8a1c0deC1b1747d010903E884bE1',
-    averageBlockTime: 0.5, // segundos
-    averageGasPrice: 0.001 // gwei
-  },
-  arbitrum: {
-    rpc: 'https://arb1.arbitrum.io/rpc',
-    flashLoanPool: '0x794a61358D6845594F94dc1DB02A252b5b4814aD',
-    minProfitMargin: 0.35, // 0.35% margem mínima para Arbitrum
-    gasMultiplier: 0.7,
-    bridgeAddress: '0x011B6E24FfB0B5f5fCc564cf4183C5BBBc96D515',
-    averageBlockTime: 0.25, // segundos
-    averageGasPrice: 0.1 // gwei
-  },
-  zkSync: {
-    rpc: 'https://mainnet.era.zksync.io',
-    flashLoanPool: '0x3355df6D4c9C3035724Fd0e3914dE96A5a83aaf4',
-    minProfitMargin: 0.25, // 0.25% margem mínima para zkSync
-    gasMultiplier: 0.5,
-    bridgeAddress: '0xaBEA9132b05A70803a4E85094fD0e1800777fBEF',
-    averageBlockTime: 0.2, // segundos
-    averageGasPrice: 0.05 // gwei
-  }
-};
+export { LAYER2_CONFIG };
+
+// Custo anual do capital parado durante a transferência entre redes
+const CAPITAL_COST_RATE = parseFloat(process.env.BRIDGE_CAPITAL_COST_RATE || '0.1');
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
 
 // Classe para estratégias em Layer 2
 export class Layer2Strategy {
@@ -252,7 +220,16 @@ export class Layer2Strategy {
     }
   }
   
-  // Calcular melhor rota para transação entre redes
+  /**
+   * Calcula a rota pelas bridges canônicas entre duas redes (entre L2, via Ethereum)
+   * O tempo esperado de chegada entra no lucro como custo do capital parado durante a transferência:
+   * rotas que dependem de saque com janela de desafio (Optimism, Arbitrum) ficam ~7 dias em trânsito
+   * @param {string} asset - Ativo
+   * @param {string|number} amount - Quantidade do ativo
+   * @param {string} sourceNetwork - Rede de origem
+   * @param {string} targetNetwork - Rede de destino
+   * @returns {Promise<Object|null>} - Rota com custos, tempo esperado (estimatedTime, em segundos) e pernas da bridge
+   */
   async calculateBestCrossChainRoute(asset, amount, sourceNetwork, targetNetwork) {
     try {
       const sourceConfig = LAYER2_CONFIG[sourceNetwork];
@@ -262,16 +239,11 @@ export class Layer2Strategy {
         throw new Error('Configuração de rede não encontrada');
       }
       
-      // Obter preços de gas em ambas as redes
-      const [sourceGasPrice, targetGasPrice] = await Promise.all([
-        this.lastGasPrices[sourceNetwork] || this.providers[sourceNetwork].getGasPrice(),
-        this.lastGasPrices[targetNetwork] || this.providers[targetNetwork].getGasPrice()
-      ]);
-      
-      // Calcular custos de bridge
-      const sourceBridgeCost = parseFloat(ethers.utils.formatEther(sourceGasPrice.mul(300000))); // Estimativa
-      const targetBridgeCost = parseFloat(ethers.utils.formatEther(targetGasPrice.mul(100000))); // Estimativa
-      const totalBridgeCost = sourceBridgeCost + targetBridgeCost;
+      // Custos de gas e tempo de cada perna da bridge
+      const transfer = await crossChainBridge.estimateRoute(sourceNetwork, targetNetwork);
+      const targetGasPrice = this.lastGasPrices[targetNetwork] || await this.providers[targetNetwork].getGasPrice();
+      const swapCost = parseFloat(ethers.utils.formatEther(targetGasPrice.mul(100000))); // Estimativa
+      const totalBridgeCost = transfer.gasCost + swapCost;
       
       // Obter preços do ativo em ambas as redes
       const sourcePrice = await this.getAssetPrice(asset, sourceNetwork);
@@ -280,7 +252,8 @@ export class Layer2Strategy {
       // Calcular potencial lucro
       const priceDiff = Math.abs(sourcePrice - targetPrice);
       const potentialProfit = priceDiff * parseFloat(amount);
-      const netProfit = potentialProfit - totalBridgeCost;
+      const capitalCost = sourcePrice * parseFloat(amount) * CAPITAL_COST_RATE * transfer.estimatedTime / SECONDS_PER_YEAR;
+      const netProfit = potentialProfit - totalBridgeCost - capitalCost;
       
       return {
         sourceNetwork,
@@ -289,14 +262,23 @@ export class Layer2Strategy {
         targetPrice,
         priceDiff,
         bridgeCost: totalBridgeCost,
+        capitalCost,
         potentialProfit,
         netProfit,
         isProfit: netProfit > 0,
-        estimatedTime: sourceConfig.averageBlockTime + targetConfig.averageBlockTime + 60, // segundos
+        estimatedTime: transfer.estimatedTime, // segundos
+        expectedArrival: transfer.expectedArrival,
         route: {
           steps: [
-            { type: 'bridge', from: sourceNetwork, to: targetNetwork, fee: sourceBridgeCost },
-            { type: 'swap', network: targetNetwork, fee: targetBridgeCost }
+            ...transfer.legs.map(leg => ({
+              type: 'bridge',
+              action: leg.type,
+              from: leg.from,
+              to: leg.to,
+              fee: leg.gasCost,
+              estimatedTime: leg.estimatedTime
+            })),
+            { type: 'swap', network: targetNetwork, fee: swapCost }
           ]
         }
       };
@@ -305,6 +287,48 @@ export class Layer2Strategy {
       return null;
     }
   }
+
+  /**
+   * Avalia as rotas entre todos os pares de redes e ordena pelas mais lucrativas
+   * @param {string} asset - Ativo
+   * @param {string|number} amount - Quantidade do ativo
+   * @param {Object} options - { maxTime: tempo máximo de chegada, em segundos }
+   * @returns {Promise<Array>} - Rotas lucrativas dentro do prazo; no empate, a que chega antes
+   */
+  async findBestCrossChainRoutes(asset, amount, { maxTime = null } = {}) {
+    const networks = Object.keys(LAYER2_CONFIG);
+    const routes = [];
+    
+    for (const sourceNetwork of networks) {
+      for (const targetNetwork of networks) {
+        if (sourceNetwork === targetNetwork) continue;
+        const route = await this.calculateBestCrossChainRoute(asset, amount, sourceNetwork, targetNetwork);
+        if (route && route.isProfit && (!maxTime || route.estimatedTime <= maxTime)) {
+          routes.push(route);
+        }
+      }
+    }
+    
+    return routes.sort((a, b) => b.netProfit - a.netProfit || a.estimatedTime - b.estimatedTime);
+  }
+
+  /**
+   * Move os fundos pela rota calculada; o acompanhamento até a chegada fica com o crossChainBridge
+   * @param {Object} route - Rota de calculateBestCrossChainRoute
+   * @param {Object} options - { token ('ETH' ou { l1, l2 }), targetToken, amount (unidades do token), recipient, walletName }
+   * @returns {Promise<Object>} - Primeira transferência da rota
+   */
+  async executeCrossChainRoute(route, { token, targetToken = null, amount, recipient = null, walletName = null }) {
+    return crossChainBridge.startTransfer({
+      sourceNetwork: route.sourceNetwork,
+      targetNetwork: route.targetNetwork,
+      token,
+      targetToken,
+      amount,
+      recipient,
+      walletName
+    });
+  }
   
   // Obter preço de um ativo em uma rede específica
   async getAssetPrice(asset, network) {
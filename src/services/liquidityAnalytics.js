@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { predictiveAnalytics } from './predictiveAnalytics';
 import { profitTracker } from './profitTracker';
+import { marketData } from './marketData';
 
 // Configurações para análise de liquidez avançada
 const LIQUIDITY_CONFIG = {
@@ -9,6 +10,7 @@ const LIQUIDITY_CONFIG = {
     minLiquidity: ethers.utils.parseEther('100.0'),
     minConfidence: 0.90,
     anomalyThreshold: 3.0,
+    cexDepthPercentage: 0.01, // Profundidade das CEXs medida até 1% do preço médio
     networkConfigs: {
         ethereum: {
             rpc: blockchainConfig.ethereum.rpc,
@@ -214,11 +216,44 @@ export class LiquidityAnalytics {
             .filter(opp => Date.now() - opp.timestamp < LIQUIDITY_CONFIG.updateInterval);
     }
 
+    // Liquidez de um par nas CEXs a partir do livro consolidado em tempo real
+    getCexLiquidity(symbol, depthPercentage = LIQUIDITY_CONFIG.cexDepthPercentage) {
+        const book = marketData.getConsolidatedBook(symbol, { depth: 1000 });
+        if (!book || !book.bestBid || !book.bestAsk) {
+            return null;
+        }
+
+        const mid = (book.bestBid.price + book.bestAsk.price) / 2;
+        const byExchange = {};
+        const sumDepth = (levels, withinRange) => levels
+            .filter(([price]) => withinRange(price))
+            .reduce((total, [price, amount, exchange]) => {
+                byExchange[exchange] = (byExchange[exchange] || 0) + price * amount;
+                return total + price * amount;
+            }, 0);
+
+        return {
+            symbol,
+            mid,
+            spread: book.spread,
+            spreadPercentage: book.spread / mid,
+            bidDepth: sumDepth(book.bids, price => price >= mid * (1 - depthPercentage)),
+            askDepth: sumDepth(book.asks, price => price <= mid * (1 + depthPercentage)),
+            depthByExchange: byExchange,
+            bestBid: book.bestBid,
+            bestAsk: book.bestAsk,
+            timestamp: book.timestamp
+        };
+    }
+
     // Obter relatório de análise de liquidez
     getLiquidityAnalysisReport() {
         return {
             networks: Array.from(this.liquidityData.keys()),
             opportunities: this.getFlashLoanOpportunities(),
+            cex: marketData.getSymbols()
+                .map(symbol => this.getCexLiquidity(symbol))
+                .filter(Boolean),
             lastUpdate: this.lastUpdate
         };
     }
@@ -0,0 +1,593 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { getExchangeAdapter } from './cex';
+import { createStreamProtocol } from './orderBookStreams';
+
+const MARKET_DATA_CONFIG = {
+  staleAfterMs: parseInt(process.env.MARKET_DATA_STALE_MS || '5000', 10),
+  pollIntervalMs: parseInt(process.env.MARKET_DATA_POLL_MS || '2000', 10),
+  resyncDelayMs: 1000,
+  maxReconnectDelayMs: 30000,
+  maxTrades: 500
+};
+
+/**
+ * Livro L2 local de um símbolo em uma exchange, mantido a partir de snapshot + deltas
+ */
+export class LocalOrderBook {
+  constructor(exchange, symbol, { maxDepth = null } = {}) {
+    this.exchange = exchange;
+    this.symbol = symbol;
+    this.maxDepth = maxDepth;
+    this.bids = new Map();
+    this.asks = new Map();
+    this.sequence = null;
+    this.synced = false;
+    this.timestamp = null;
+    this.sorted = {};
+  }
+
+  /**
+   * Substitui o livro por um snapshot
+   * @param {Object} snapshot - { bids, asks, sequence, timestamp }
+   */
+  reset({ bids = [], asks = [], sequence = null, timestamp = Date.now() }) {
+    this.bids.clear();
+    this.asks.clear();
+    this._applyLevels('bids', bids);
+    this._applyLevels('asks', asks);
+    this.sequence = sequence;
+    this.timestamp = timestamp;
+    this.synced = true;
+  }
+
+  /**
+   * Aplica um delta conferindo a continuidade da sequência
+   * @param {Object} delta - { bids, asks, first, last, timestamp }
+   * @returns {string} - applied, stale (já contido no livro) ou gap (atualizações perdidas)
+   */
+  applyDelta({ bids = [], asks = [], first = null, last = null, timestamp = Date.now() }) {
+    if (last !== null && this.sequence !== null) {
+      if (last <= this.sequence) return 'stale';
+      if (first > this.sequence + 1) return 'gap';
+    }
+    this._applyLevels('bids', bids);
+    this._applyLevels('asks', asks);
+    if (last !== null) this.sequence = last;
+    this.timestamp = timestamp;
+    return 'applied';
+  }
+
+  _applyLevels(sideName, levels) {
+    const book = this[sideName];
+    levels.forEach(([price, amount]) => {
+      const key = parseFloat(price);
+      const size = parseFloat(amount);
+      if (size === 0) {
+        book.delete(key);
+      } else {
+        book.set(key, { price: key, amount: size, raw: [String(price), String(amount)] });
+      }
+    });
+    this.sorted[sideName] = null;
+
+    if (this.maxDepth && book.size > this.maxDepth) {
+      this.levels(sideName).slice(this.maxDepth).forEach(level => book.delete(level.price));
+      this.sorted[sideName] = null;
+    }
+  }
+
+  /**
+   * Níveis ordenados do melhor para o pior
+   * @param {string} sideName - bids ou asks
+   * @param {number} depth - Quantidade de níveis (opcional)
+   * @returns {Array} - [{ price, amount, raw }]
+   */
+  levels(sideName, depth) {
+    if (!this.sorted[sideName]) {
+      const direction = sideName === 'bids' ? -1 : 1;
+      this.sorted[sideName] = [...this[sideName].values()].sort((a, b) => direction * (a.price - b.price));
+    }
+    return depth ? this.sorted[sideName].slice(0, depth) : this.sorted[sideName];
+  }
+
+  /**
+   * @param {number} depth - Quantidade de níveis por lado
+   * @returns {Object} - Order book no formato dos adaptadores ({ exchange, symbol, bids, asks, timestamp, sequence })
+   */
+  toJSON(depth = 20) {
+    const toPairs = (sideName) => this.levels(sideName, depth).map(level => [level.price, level.amount]);
+    return {
+      exchange: this.exchange,
+      symbol: this.symbol,
+      bids: toPairs('bids'),
+      asks: toPairs('asks'),
+      timestamp: this.timestamp,
+      sequence: this.sequence,
+      synced: this.synced
+    };
+  }
+}
+
+/**
+ * Conexão WebSocket de uma exchange: mantém os livros dos símbolos inscritos, detecta saltos
+ * de sequência e checksums divergentes e refaz o snapshot (REST ou reinscrição)
+ */
+class ExchangeStream extends EventEmitter {
+  constructor(protocol, { createSocket, staleAfterMs, now }) {
+    super();
+    this.exchange = protocol.exchange;
+    this.protocol = protocol;
+    this.createSocket = createSocket;
+    this.staleAfterMs = staleAfterMs;
+    this.now = now;
+    this.lastMessageAt = null;
+    this.books = new Map();
+    this.buffers = new Map();
+    this.resyncing = new Set();
+    this.socket = null;
+    this.connecting = false;
+    this.connected = false;
+    this.closed = false;
+    this.reconnectAttempts = 0;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.stats = { messages: 0, gaps: 0, resyncs: 0, reconnects: 0 };
+  }
+
+  addSymbols(symbols) {
+    const added = symbols.filter(symbol => !this.books.has(symbol));
+    added.forEach(symbol => this.books.set(symbol, new LocalOrderBook(this.exchange, symbol, { maxDepth: this.protocol.maxDepth })));
+    if (added.length === 0) return;
+
+    if (!this.socket && !this.connecting) {
+      this.connect();
+    } else if (this.connected) {
+      this._subscribe(added);
+    }
+  }
+
+  async connect() {
+    this.closed = false;
+    this.connecting = true;
+    let url;
+    try {
+      url = await this.protocol.url();
+    } catch (error) {
+      console.error(`Erro ao obter a URL do stream da ${this.exchange}:`, error.message);
+      this.connecting = false;
+      this._scheduleReconnect();
+      return;
+    }
+
+    this.connecting = false;
+    const socket = this.createSocket(url);
+    this.socket = socket;
+    socket.on('open', () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.protocol.onOpen();
+      this._subscribe([...this.books.keys()]);
+      if (this.protocol.heartbeatMs > 0) {
+        this.heartbeatTimer = setInterval(() => {
+          const message = this.protocol.heartbeat();
+          if (message) this._send(message);
+        }, this.protocol.heartbeatMs);
+      }
+    });
+    socket.on('message', data => this.handleMessage(data.toString()));
+    socket.on('error', error => console.error(`Erro no stream da ${this.exchange}:`, error.message));
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      this._teardown();
+      if (!this.closed) this._scheduleReconnect();
+    });
+  }
+
+  _subscribe(symbols) {
+    this.protocol.subscribe(symbols).forEach(message => this._send(message));
+    if (this.protocol.restSnapshot) {
+      symbols.forEach(symbol => this.resync(symbol, 'inscrição'));
+    }
+  }
+
+  _send(message) {
+    this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  _teardown() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.connected = false;
+    this.socket = null;
+    this.buffers.clear();
+    this.resyncing.clear();
+    this.books.forEach(book => { book.synced = false; });
+  }
+
+  _scheduleReconnect() {
+    const delay = Math.min(MARKET_DATA_CONFIG.maxReconnectDelayMs, 1000 * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.stats.reconnects++;
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleMessage(data) {
+    this.stats.messages++;
+    this.lastMessageAt = this.now();
+    let events;
+    try {
+      events = this.protocol.parse(data);
+    } catch (error) {
+      console.error(`Erro ao interpretar mensagem do stream da ${this.exchange}:`, error.message);
+      return;
+    }
+    events.forEach(event => this._handleEvent(event));
+  }
+
+  _handleEvent(event) {
+    if (event.type === 'resync') {
+      if (event.symbol) return this.resync(event.symbol, event.reason);
+      // Sem símbolo, a continuidade da conexão inteira foi perdida
+      console.warn(`Stream da ${this.exchange} perdeu mensagens (${event.reason}); reconectando`);
+      this.stats.gaps++;
+      return this.reconnect();
+    }
+    if (event.type === 'trade') {
+      return this.emit('trade', { exchange: this.exchange, symbol: event.symbol, ...event.trade });
+    }
+
+    const book = this.books.get(event.symbol);
+    if (!book) return;
+
+    if (event.type === 'snapshot') {
+      book.reset(event);
+      this.resyncing.delete(event.symbol);
+      return this.emit('book', book);
+    }
+
+    if (!book.synced) {
+      // Deltas que chegam enquanto o snapshot REST é obtido são aplicados sobre ele
+      if (this.buffers.has(event.symbol)) this.buffers.get(event.symbol).push(event);
+      return;
+    }
+
+    const result = book.applyDelta(event);
+    if (result === 'gap') {
+      this.stats.gaps++;
+      return this.resync(event.symbol, `salto de sequência (${book.sequence} → ${event.first})`);
+    }
+    if (result === 'applied' && event.checksum !== undefined && event.checksum !== null) {
+      const checksum = this.protocol.checksum(book);
+      if (checksum !== null && checksum !== event.checksum) {
+        this.stats.gaps++;
+        return this.resync(event.symbol, 'checksum divergente');
+      }
+    }
+    if (result === 'applied') this.emit('book', book);
+  }
+
+  /**
+   * Descarta o livro e refaz o snapshot: pelo REST (com os deltas acumulados no intervalo)
+   * ou reinscrevendo o símbolo, conforme o protocolo
+   */
+  async resync(symbol, reason) {
+    const book = this.books.get(symbol);
+    // Desconectado, o livro é refeito nas inscrições da reconexão
+    if (!book || !this.connected || this.resyncing.has(symbol)) return;
+    book.synced = false;
+    this.resyncing.add(symbol);
+    this.stats.resyncs++;
+    if (reason !== 'inscrição') console.warn(`Refazendo o livro ${symbol} da ${this.exchange}: ${reason}`);
+    this.emit('resync', { exchange: this.exchange, symbol, reason });
+
+    if (!this.protocol.restSnapshot) {
+      this.protocol.unsubscribe([symbol]).forEach(message => this._send(message));
+      this.protocol.subscribe([symbol]).forEach(message => this._send(message));
+      return;
+    }
+
+    this.buffers.set(symbol, []);
+    try {
+      const snapshot = await this.protocol.adapter.fetchOrderBook(symbol, this.protocol.snapshotDepth);
+      if (!this.buffers.has(symbol)) return; // conexão reiniciada durante o snapshot
+      book.reset(snapshot);
+
+      const buffered = this.buffers.get(symbol);
+      this.buffers.delete(symbol);
+      this.resyncing.delete(symbol);
+      for (const event of buffered) {
+        if (book.applyDelta(event) === 'gap') {
+          // O snapshot é mais antigo que os deltas recebidos; tenta de novo em seguida
+          book.synced = false;
+          setTimeout(() => this.resync(symbol, 'snapshot anterior aos deltas'), MARKET_DATA_CONFIG.resyncDelayMs);
+          return;
+        }
+      }
+      this.emit('book', book);
+    } catch (error) {
+      console.error(`Erro ao obter o snapshot de ${symbol} da ${this.exchange}:`, error.message);
+      this.buffers.delete(symbol);
+      this.resyncing.delete(symbol);
+      setTimeout(() => this.resync(symbol, 'nova tentativa de snapshot'), MARKET_DATA_CONFIG.resyncDelayMs);
+    }
+  }
+
+  // Livro sincronizado em uma conexão que continua recebendo mensagens (inclusive heartbeats)
+  isFresh(book) {
+    return this.connected && book.synced && this.now() - this.lastMessageAt <= this.staleAfterMs;
+  }
+
+  reconnect() {
+    const socket = this.socket;
+    this._teardown();
+    if (socket) socket.close();
+    this.connect();
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    const socket = this.socket;
+    this._teardown();
+    if (socket) socket.close();
+  }
+
+  getStatus() {
+    return {
+      exchange: this.exchange,
+      mode: 'websocket',
+      connected: this.connected,
+      symbols: [...this.books.values()].map(book => ({ symbol: book.symbol, synced: book.synced, sequence: book.sequence, timestamp: book.timestamp })),
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Exchanges sem stream suportado: o livro é substituído pelo snapshot REST a cada intervalo
+ */
+class PollingStream extends EventEmitter {
+  constructor(adapter, { intervalMs, staleAfterMs, now }) {
+    super();
+    this.exchange = adapter.name;
+    this.adapter = adapter;
+    this.intervalMs = intervalMs;
+    this.staleAfterMs = staleAfterMs;
+    this.now = now;
+    this.updatedAt = new Map();
+    this.books = new Map();
+    this.timer = null;
+    this.stats = { polls: 0, errors: 0 };
+  }
+
+  addSymbols(symbols) {
+    symbols.filter(symbol => !this.books.has(symbol))
+      .forEach(symbol => this.books.set(symbol, new LocalOrderBook(this.exchange, symbol)));
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+      this.poll();
+    }
+  }
+
+  async poll() {
+    await Promise.all([...this.books.values()].map(async book => {
+      try {
+        book.reset(await this.adapter.fetchOrderBook(book.symbol, 100));
+        this.updatedAt.set(book.symbol, this.now());
+        this.stats.polls++;
+        this.emit('book', book);
+      } catch (error) {
+        this.stats.errors++;
+        book.synced = false;
+        console.error(`Erro ao consultar o livro ${book.symbol} da ${this.exchange}:`, error.message);
+      }
+    }));
+  }
+
+  isFresh(book) {
+    return book.synced && this.now() - this.updatedAt.get(book.symbol) <= this.staleAfterMs;
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStatus() {
+    return {
+      exchange: this.exchange,
+      mode: 'polling',
+      connected: Boolean(this.timer),
+      symbols: [...this.books.values()].map(book => ({ symbol: book.symbol, synced: book.synced, sequence: book.sequence, timestamp: book.timestamp })),
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Dados de mercado em tempo real: livros L2 por exchange, livro consolidado por símbolo e
+ * negociações recentes, com leitura síncrona para roteamento e arbitragem
+ *
+ * Eventos: book ({ exchange, symbol }), trade ({ exchange, symbol, id, price, amount, side, timestamp })
+ * e resync ({ exchange, symbol, reason })
+ */
+class MarketData extends EventEmitter {
+  /**
+   * @param {Object} options - Opções
+   * @param {Function} options.resolveExchange - Adaptador REST por nome (padrão: getExchangeAdapter)
+   * @param {Function} options.createSocket - Cria o WebSocket de uma URL (injetável para reproduzir streams gravados)
+   * @param {number} options.staleAfterMs - Tempo sem mensagens do stream (ou sem consulta bem-sucedida) após o qual os livros deixam de entrar nas leituras
+   * @param {number} options.pollIntervalMs - Intervalo de consulta das exchanges sem stream
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    resolveExchange = getExchangeAdapter,
+    createSocket = url => new WebSocket(url),
+    staleAfterMs = MARKET_DATA_CONFIG.staleAfterMs,
+    pollIntervalMs = MARKET_DATA_CONFIG.pollIntervalMs,
+    now = () => Date.now()
+  } = {}) {
+    super();
+    this.resolveExchange = resolveExchange;
+    this.createSocket = createSocket;
+    this.staleAfterMs = staleAfterMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.now = now;
+    this.streams = new Map();
+    this.trades = new Map();
+  }
+
+  /**
+   * Inscreve um símbolo nas exchanges informadas
+   * @param {string} symbol - Símbolo unificado (ex: BTC/USDT)
+   * @param {Array} exchanges - Nomes dos adaptadores
+   */
+  subscribe(symbol, exchanges) {
+    exchanges.forEach(exchange => {
+      try {
+        this._getStream(exchange).addSymbols([symbol]);
+      } catch (error) {
+        console.error(`Erro ao inscrever ${symbol} na ${exchange}:`, error.message);
+      }
+    });
+  }
+
+  _getStream(exchange) {
+    if (!this.streams.has(exchange)) {
+      const adapter = this.resolveExchange(exchange);
+      const protocol = createStreamProtocol(exchange, adapter);
+      const stream = protocol
+        ? new ExchangeStream(protocol, { createSocket: this.createSocket, staleAfterMs: this.staleAfterMs, now: this.now })
+        : new PollingStream(adapter, { intervalMs: this.pollIntervalMs, staleAfterMs: this.staleAfterMs, now: this.now });
+
+      stream.on('book', book => this.emit('book', { exchange: book.exchange, symbol: book.symbol }));
+      stream.on('resync', event => this.emit('resync', event));
+      stream.on('trade', trade => {
+        const key = `${trade.exchange}:${trade.symbol}`;
+        const trades = this.trades.get(key) || [];
+        trades.push(trade);
+        if (trades.length > MARKET_DATA_CONFIG.maxTrades) trades.shift();
+        this.trades.set(key, trades);
+        this.emit('trade', trade);
+      });
+      this.streams.set(exchange, stream);
+    }
+    return this.streams.get(exchange);
+  }
+
+  _freshBook(exchange, symbol) {
+    const stream = this.streams.get(exchange);
+    const book = stream && stream.books.get(symbol);
+    return book && stream.isFresh(book) ? book : null;
+  }
+
+  /**
+   * Livro de uma exchange, se sincronizado e recente
+   * @returns {Object|null} - Order book no formato dos adaptadores
+   */
+  getBook(exchange, symbol, depth = 20) {
+    const book = this._freshBook(exchange, symbol);
+    return book ? book.toJSON(depth) : null;
+  }
+
+  /**
+   * Livro consolidado das exchanges com livro sincronizado e recente
+   * @param {string} symbol - Símbolo unificado
+   * @param {Object} options - { depth (níveis por exchange), exchanges }
+   * @returns {Object|null} - { symbol, bids: [[preço, quantidade, exchange]], asks, bestBid, bestAsk, spread, exchanges, timestamp }
+   */
+  getConsolidatedBook(symbol, { depth = 20, exchanges } = {}) {
+    const books = (exchanges || [...this.streams.keys()])
+      .map(exchange => this._freshBook(exchange, symbol))
+      .filter(Boolean);
+    if (books.length === 0) return null;
+
+    const merge = (sideName, direction) => books
+      .flatMap(book => book.levels(sideName, depth).map(level => [level.price, level.amount, book.exchange]))
+      .sort((a, b) => direction * (a[0] - b[0]));
+    const bids = merge('bids', -1);
+    const asks = merge('asks', 1);
+    const best = (levels) => levels[0] ? { price: levels[0][0], exchange: levels[0][2] } : null;
+
+    return {
+      symbol,
+      bids,
+      asks,
+      bestBid: best(bids),
+      bestAsk: best(asks),
+      spread: bids[0] && asks[0] ? asks[0][0] - bids[0][0] : null,
+      exchanges: books.reduce((summary, book) => {
+        const [bid] = book.levels('bids', 1);
+        const [ask] = book.levels('asks', 1);
+        summary[book.exchange] = { bid: bid ? bid.price : null, ask: ask ? ask.price : null, timestamp: book.timestamp, sequence: book.sequence };
+        return summary;
+      }, {}),
+      timestamp: Math.min(...books.map(book => book.timestamp))
+    };
+  }
+
+  /**
+   * Preço médio para executar uma quantidade consumindo o livro (consolidado ou das exchanges informadas)
+   * @param {string} symbol - Símbolo unificado
+   * @param {string} side - buy (consome asks) ou sell (consome bids)
+   * @param {number} amount - Quantidade do ativo base
+   * @param {Object} options - { exchanges }
+   * @returns {Object|null} - { averagePrice, filled, bestPrice, slippage (fração), byExchange }
+   */
+  estimateFill(symbol, side, amount, { exchanges } = {}) {
+    const book = this.getConsolidatedBook(symbol, { depth: 1000, exchanges });
+    const levels = book && (side === 'buy' ? book.asks : book.bids);
+    if (!levels || levels.length === 0) return null;
+
+    let filled = 0;
+    let cost = 0;
+    const byExchange = {};
+    for (const [price, size, exchange] of levels) {
+      if (filled >= amount) break;
+      const take = Math.min(size, amount - filled);
+      filled += take;
+      cost += take * price;
+      byExchange[exchange] = (byExchange[exchange] || 0) + take;
+    }
+    const averagePrice = cost / filled;
+    const bestPrice = levels[0][0];
+    return {
+      averagePrice,
+      filled,
+      bestPrice,
+      slippage: Math.abs(averagePrice - bestPrice) / bestPrice,
+      byExchange
+    };
+  }
+
+  /**
+   * @returns {Array} - Negociações recentes, mais recentes por último
+   */
+  getRecentTrades(symbol, { exchange, limit = 100 } = {}) {
+    const exchanges = exchange ? [exchange] : [...this.streams.keys()];
+    return exchanges
+      .flatMap(name => this.trades.get(`${name}:${symbol}`) || [])
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-limit);
+  }
+
+  getSymbols() {
+    const symbols = new Set();
+    this.streams.forEach(stream => stream.books.forEach((book, symbol) => symbols.add(symbol)));
+    return [...symbols];
+  }
+
+  getStatus() {
+    return [...this.streams.values()].map(stream => stream.getStatus());
+  }
+
+  close() {
+    this.streams.forEach(stream => stream.close());
+    this.streams.clear();
+  }
+}
+
+// Instância global dos dados de mercado
+export const marketData = new MarketData();
+export { MarketData };
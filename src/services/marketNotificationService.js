@@ -4,7 +4,7 @@
  * Este serviço implementa notificações em tempo real para operações financeiras,
  * incluindo integrações com BTG Pactual Trader e outros mercados financeiros.
  * 
- * Acesso exclusivo para: Tiago José Mendes
+ * Acesso restrito a usuários com a permissão marketNotifications:read (ver access-control.cjs)
  * 
  * AVISO: Este código contém informações confidenciais e está protegido por NDA.
  * Não compartilhe ou distribua este código sem autorização expressa.
@@ -14,13 +14,10 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import btgPactualService from './btgPactualService.js';
 import traditionalMarketService from './traditionalMarketService.js';
+import { PERMISSIONS, hasPermission, assertPermission } from '../../access-control.cjs';
 
 dotenv.config();
 
-// Configuração de segurança - acesso restrito
-const AUTHORIZED_USER = 'Tiago José Mendes';
-const AUTHORIZED_USER_ID = 'user1'; // ID do usuário no sistema
-
 /**
  * Classe para gerenciamento de notificações de mercado
  * Implementa notificações em tempo real para operações financeiras
@@ -31,6 +28,7 @@ class MarketNotificationService {
     this.btgPactualService = btgPactualService;
     this.traditionalMarketService = traditionalMarketService;
     this.notificationHistory = [];
+    this.currentUser = null;
     this.notificationSettings = {
       email: true,
       whatsapp: true,
@@ -40,24 +38,24 @@ class MarketNotificationService {
   }
 
   /**
-   * Inicializa o serviço com verificação de segurança
-   * @param {string} userId - ID do usuário que está tentando acessar o serviço
-   * @param {string} userName - Nome do usuário que está tentando acessar o serviço
+   * Inicializa o serviço com verificação de permissão
+   * @param {Object} user - Usuário que está tentando acessar o serviço ({ id, name, role, permissions })
    * @returns {boolean} - Retorna true se o acesso for autorizado
    */
-  initialize(userId, userName) {
-    // Verificação de segurança - apenas o usuário autorizado pode acessar
-    if (userId !== AUTHORIZED_USER_ID || userName !== AUTHORIZED_USER) {
+  initialize(user) {
+    // Verificação de segurança - apenas usuários com permissão de leitura das notificações podem acessar
+    if (!hasPermission(user, PERMISSIONS.MARKET_NOTIFICATIONS_READ)) {
       console.error('Acesso não autorizado ao MarketNotificationService');
       return false;
     }
 
-    // Inicializa os serviços dependentes
-    this.btgPactualService.initialize(userId, userName);
-    this.traditionalMarketService.initialize(userId, userName);
+    // Inicializa os serviços dependentes (cada um verifica a própria permissão)
+    this.btgPactualService.initialize(user);
+    this.traditionalMarketService.initialize(user);
 
+    this.currentUser = user;
     this.isInitialized = true;
-    console.log(`Market Notification Service inicializado para ${userName}`);
+    console.log(`Market Notification Service inicializado para ${user.name}`);
     return true;
   }
 
@@ -69,6 +67,7 @@ class MarketNotificationService {
     if (!this.isInitialized) {
       throw new Error('Serviço não inicializado ou acesso não autorizado');
     }
+    assertPermission(this.currentUser, PERMISSIONS.MARKET_NOTIFICATIONS_MANAGE);
 
     this.notificationSettings = {
       ...this.notificationSettings,
@@ -86,12 +85,15 @@ class MarketNotificationService {
     if (!this.isInitialized) {
       throw new Error('Serviço não inicializado ou acesso não autorizado');
     }
+    assertPermission(this.currentUser, PERMISSIONS.MARKET_NOTIFICATIONS_MANAGE);
 
     try {
       console.log('Iniciando monitoramento de mercado...');
       
-      // Monitora operações no BTG Pactual Trader
-      const btgOperations = await this.btgPactualService.monitorOperations();
+      // Monitora operações no BTG Pactual Trader (somente se o usuário tiver acesso ao BTG)
+      const btgOperations = this.btgPactualService.isInitialized
+        ? await this.btgPactualService.monitorOperations()
+        : [];
       
       // Envia notificações para operações relevantes
       if (btgOperations && btgOperations.length > 0) {
@@ -99,7 +101,9 @@ class MarketNotificationService {
       }
       
       // Monitora outros mercados financeiros tradicionais
-      const marketData = await this.traditionalMarketService.monitorMarkets();
+      const marketData = this.traditionalMarketService.isInitialized
+        ? await this.traditionalMarketService.monitorMarkets()
+        : null;
       
       console.log('Monitoramento de mercado concluído com sucesso');
       return true;
@@ -126,26 +130,26 @@ class MarketNotificationService {
         // Envia notificações de acordo com as configurações
         if (this.notificationSettings.whatsapp) {
           // Em produção, isso chamaria a API real de WhatsApp
-          console.log(`[WhatsApp] Enviando notificação para ${AUTHORIZED_USER}:`, message);
-          // await sendWhatsAppNotification(AUTHORIZED_USER_PHONE, message);
+          console.log(`[WhatsApp] Enviando notificação para ${this.currentUser.name}:`, message);
+          // await sendWhatsAppNotification(this.currentUser.whatsappNumber, message);
         }
         
         if (this.notificationSettings.email) {
           // Em produção, isso enviaria um email real
-          console.log(`[Email] Enviando notificação para ${AUTHORIZED_USER}:`, message);
-          // await sendEmailNotification(AUTHORIZED_USER_EMAIL, 'Alerta de Operação - QuickFundHub', message);
+          console.log(`[Email] Enviando notificação para ${this.currentUser.name}:`, message);
+          // await sendEmailNotification(this.currentUser.email, 'Alerta de Operação - QuickFundHub', message);
         }
         
         if (this.notificationSettings.push) {
           // Em produção, isso enviaria uma notificação push real
-          console.log(`[Push] Enviando notificação para ${AUTHORIZED_USER}:`, message);
-          // await sendPushNotification(AUTHORIZED_USER_ID, 'Alerta de Operação', message);
+          console.log(`[Push] Enviando notificação para ${this.currentUser.name}:`, message);
+          // await sendPushNotification(this.currentUser.id, 'Alerta de Operação', message);
         }
         
         if (this.notificationSettings.sms) {
           // Em produção, isso enviaria um SMS real
-          console.log(`[SMS] Enviando notificação para ${AUTHORIZED_USER}:`, message);
-          // await sendSMSNotification(AUTHORIZED_USER_PHONE, message);
+          console.log(`[SMS] Enviando notificação para ${this.currentUser.name}:`, message);
+          // await sendSMSNotification(this.currentUser.whatsappNumber, message);
         }
         
         // Registra a notificação enviada
@@ -182,14 +186,14 @@ class MarketNotificationService {
       message += `*Confiança:* ${operation.score}/100\n\n`;
       message += `*Motivo:* ${operation.reason}\n\n`;
       message += `*PASSO A PASSO DA OPERAÇÃO:*\n${operation.steps.join('\n')}\n\n`;
-      message += `_Análise gerada por QuickFundHub exclusivamente para ${AUTHORIZED_USER}_`;
+      message += `_Análise gerada por QuickFundHub exclusivamente para ${this.currentUser.name}_`;
     } else {
       // Formato para outras fontes de operação
       message = `*ALERTA DE MERCADO - ${source}*\n\n`;
       message += `*Ativo:* ${operation.asset}\n`;
       message += `*Ação Recomendada:* ${operation.action}\n`;
       message += `*Detalhes:* ${operation.details}\n\n`;
-      message += `_Análise gerada por QuickFundHub exclusivamente para ${AUTHORIZED_USER}_`;
+      message += `_Análise gerada por QuickFundHub exclusivamente para ${this.currentUser.name}_`;
     }
     
     return message;
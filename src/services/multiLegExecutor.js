@@ -0,0 +1,393 @@
+import {
+  getOrderManager,
+  getPaperOrderManager,
+  ORDER_STATES,
+  FINAL_STATES,
+  SIMULATED_EXCHANGES
+} from '../../order-manager.js';
+
+// Resíduos de ponto flutuante abaixo disto são tratados como zero
+const EPSILON = 1e-12;
+
+// Ordem de preferência da moeda de cotação ao montar o par entre dois ativos
+const QUOTE_PRIORITY = ['USDT', 'USDC', 'BUSD', 'BTC', 'ETH', 'BNB'];
+
+const splitSymbol = (symbol) => symbol.split('/');
+
+// As pernas simuladas ficam no gerenciador das ordens simuladas, separadas das ordens reais
+const orderManagerFor = (exchange) => (SIMULATED_EXCHANGES.includes(exchange) ? getPaperOrderManager() : getOrderManager());
+
+/**
+ * Par e lado para converter fromAsset em toAsset
+ * @returns {Object} - { symbol, side, base, quote }
+ */
+export const marketFor = (fromAsset, toAsset) => {
+  const rank = (asset) => {
+    const index = QUOTE_PRIORITY.indexOf(asset);
+    return index === -1 ? QUOTE_PRIORITY.length : index;
+  };
+  const [base, quote] = rank(fromAsset) <= rank(toAsset) ? [toAsset, fromAsset] : [fromAsset, toAsset];
+  return { symbol: `${base}/${quote}`, side: fromAsset === base ? 'sell' : 'buy', base, quote };
+};
+
+/**
+ * Variação de cada ativo provocada pelas execuções de uma ordem (sem as taxas)
+ */
+const fillDeltas = (order) => {
+  const [base, quote] = splitSymbol(order.symbol);
+  const sign = order.side === 'buy' ? 1 : -1;
+  return order.fills.reduce((deltas, fill) => {
+    deltas[base] = (deltas[base] || 0) + sign * fill.amount;
+    deltas[quote] = (deltas[quote] || 0) - sign * fill.amount * fill.price;
+    return deltas;
+  }, {});
+};
+
+const addDeltas = (total, deltas) => {
+  Object.entries(deltas).forEach(([asset, value]) => {
+    total[asset] = (total[asset] || 0) + value;
+  });
+  return total;
+};
+
+// Quanto do ativo de resultado sai da carteira nas pernas (base do spread)
+const profitAssetOutflow = (legs, profitAsset) => legs.reduce((sum, { symbol, side, amount, price }) => {
+  const [base, quote] = splitSymbol(symbol);
+  if (side === 'sell' && base === profitAsset) return sum + amount;
+  if (side === 'buy' && quote === profitAsset) return sum + amount * price;
+  return sum;
+}, 0);
+
+// Preço médio das execuções que abriram a exposição, quando o par é ativo/ativo de resultado
+const fillReference = (legOrders, asset, residual, profitAsset) => {
+  const side = residual > 0 ? 'buy' : 'sell';
+  const orders = legOrders.filter(order => order.symbol === `${asset}/${profitAsset}` && order.side === side && order.filled > 0);
+  const filled = orders.reduce((sum, order) => sum + order.filled, 0);
+  return filled > 0 ? orders.reduce((sum, order) => sum + order.averagePrice * order.filled, 0) / filled : null;
+};
+
+/**
+ * Execução de operações com várias pernas (arbitragem entre exchanges e triangular)
+ * As pernas são enviadas ao mesmo tempo pelo gerenciador de ordens; a perna que falha ou é
+ * executada em parte deixa uma exposição em algum ativo, que é desfeita (unwind, na exchange
+ * da perna executada) ou protegida (hedge, repetindo a perna que falhou) com uma perda máxima
+ * configurável. O relatório pós-operação compara o spread esperado com o realizado.
+ * Uma perna cujo envio ficou sem resposta é procurada na exchange pelo clientOrderId antes
+ * de ser tratada como não executada; se não for possível confirmá-la, nada é corrigido e a
+ * operação fica como 'unconfirmed' até a conciliação do gerenciador de ordens
+ */
+class MultiLegExecutor {
+  constructor() {
+    this.legTimeoutMs = parseInt(process.env.LEG_TIMEOUT_MS || '5000', 10);
+    this.pollIntervalMs = 250;
+    this.recoveryMode = process.env.LEG_RECOVERY_MODE === 'hedge' ? 'hedge' : 'unwind';
+    this.maxLossPercentage = parseFloat(process.env.LEG_MAX_LOSS_PERCENTAGE || '0.01');
+    // Exposição residual abaixo desta fração do volume do ativo é tratada como resíduo (dust)
+    this.dustTolerance = 0.0001;
+    this.reports = [];
+    this.maxReports = 500;
+  }
+
+  /**
+   * Executa as pernas de uma operação e trata a exposição que sobrar
+   * @param {Object} params - Parâmetros da execução
+   * @param {string} params.id - ID da operação (base dos clientOrderIds; reenviar o mesmo ID não duplica ordens)
+   * @param {string} params.strategy - Estratégia que originou a operação
+   * @param {Array} params.legs - [{ exchange, symbol, side, amount, price, expectedPrice, type, submit }]
+   *   (price: preço limite; expectedPrice: preço cotado, padrão price; submit: envio simulado, opcional)
+   * @param {string} params.profitAsset - Ativo em que o resultado é apurado; os demais precisam terminar zerados
+   * @param {number} params.expectedProfit - Resultado esperado, no ativo de resultado
+   * @param {Object} params.referencePrices - Preço de referência de cada ativo no ativo de resultado (padrão: preço médio
+   *   das execuções que abriram a exposição ou o ticker da exchange)
+   * @param {Object} params.recovery - { mode: unwind|hedge, maxLossPercentage, timeoutMs, submit }
+   * @returns {Promise<Object>} - Relatório pós-operação
+   */
+  async execute({ id, strategy, legs, profitAsset, expectedProfit, referencePrices = {}, recovery = {} }) {
+    const startedAt = Date.now();
+
+    // Envio simultâneo das pernas; uma perna que falha no envio não impede as demais
+    const submitted = await Promise.allSettled(legs.map((leg, index) => orderManagerFor(leg.exchange).submitOrder({
+      exchange: leg.exchange,
+      symbol: leg.symbol,
+      side: leg.side,
+      type: leg.type || 'limit',
+      amount: leg.amount,
+      price: leg.price,
+      strategy,
+      clientOrderId: `${id}-${index + 1}`
+    }, { submit: leg.submit || null })));
+
+    const legOrders = await Promise.all(submitted.map((result, index) => result.status === 'fulfilled'
+      ? this.awaitFinal(orderManagerFor(legs[index].exchange), result.value.clientOrderId, recovery.timeoutMs)
+      : {
+        clientOrderId: `${id}-${index + 1}`,
+        symbol: legs[index].symbol,
+        side: legs[index].side,
+        status: 'rejected',
+        reason: result.reason.message,
+        filled: 0,
+        averagePrice: null,
+        fees: {},
+        fills: []
+      }));
+
+    const positions = legOrders.reduce((total, order) => addDeltas(total, fillDeltas(order)), {});
+    // Com uma perna de resultado desconhecido, corrigir a exposição poderia dobrá-la
+    const unconfirmed = legOrders.some(order => !FINAL_STATES.includes(order.status));
+    const recoveryOrders = unconfirmed ? [] : await this.recover({
+      id, strategy, legs, legOrders, positions, profitAsset, referencePrices, recovery
+    });
+    recoveryOrders.forEach(({ order }) => order && addDeltas(positions, fillDeltas(order)));
+
+    const report = this.buildReport({
+      id, strategy, legs, legOrders, recoveryOrders, positions, profitAsset, expectedProfit, referencePrices, startedAt
+    });
+    this.reports.push(report);
+    if (this.reports.length > this.maxReports) this.reports.shift();
+
+    if (report.status === 'exposed') {
+      console.error(`Operação ${id} terminou com exposição aberta:`, report.openExposure);
+    } else if (report.status === 'unconfirmed') {
+      console.error(`Operação ${id} com pernas não confirmadas pela exchange:`,
+        report.legs.filter(leg => !FINAL_STATES.includes(leg.status)).map(leg => leg.clientOrderId));
+    }
+    return report;
+  }
+
+  /**
+   * Aguarda a ordem chegar a um estado final; vencido o prazo, cancela o restante
+   * A ordem cujo envio ficou sem resposta (sem o ID da exchange) é procurada pelo clientOrderId
+   * até o prazo; só expira se a exchange não a conhecer, e continua aberta se a consulta falhar
+   * @param {OrderManager} orderManager - Gerenciador da ordem
+   * @param {string} clientOrderId - ID da ordem
+   * @param {number} timeoutMs - Prazo em milissegundos
+   * @returns {Promise<Object>} - Ordem encerrada (ou aberta, se não foi possível confirmá-la)
+   */
+  async awaitFinal(orderManager, clientOrderId, timeoutMs = this.legTimeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let order = orderManager.getOrder(clientOrderId);
+
+    while (order.status === ORDER_STATES.NEW && !order.exchangeOrderId) {
+      let exchangeOrder;
+      try {
+        exchangeOrder = await orderManager.findExchangeOrder(order);
+      } catch (error) {
+        console.error(`Erro ao procurar a ordem ${clientOrderId} na exchange:`, error.message);
+        return order;
+      }
+      if (exchangeOrder) {
+        order = await orderManager.applyExchangeOrder(clientOrderId, exchangeOrder);
+      } else if (Date.now() >= deadline) {
+        return orderManager.transition(clientOrderId, ORDER_STATES.EXPIRED, 'Ordem não encontrada na exchange');
+      } else {
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        order = orderManager.getOrder(clientOrderId);
+      }
+    }
+
+    return orderManager.awaitFinal(clientOrderId, {
+      timeoutMs: Math.max(0, deadline - Date.now()),
+      pollIntervalMs: this.pollIntervalMs,
+      reason: 'Perna não executada no prazo'
+    });
+  }
+
+  /**
+   * Desfaz ou protege a exposição de cada ativo que não terminou zerado
+   * O preço limite da ordem de correção garante que a perda, frente ao preço de referência,
+   * não passe de maxLossPercentage; o que não for executado dentro desse limite fica exposto
+   * @returns {Promise<Array>} - [{ asset, residual, mode, exchange, referencePrice, order }]
+   */
+  async recover({ id, strategy, legs, legOrders, positions, profitAsset, referencePrices, recovery }) {
+    const mode = recovery.mode || this.recoveryMode;
+    const maxLossPercentage = recovery.maxLossPercentage !== undefined ? recovery.maxLossPercentage : this.maxLossPercentage;
+    const results = [];
+
+    for (const [asset, residual] of Object.entries(this.openExposure(positions, legOrders, profitAsset))) {
+      const exchange = this.recoveryExchange({ asset, residual, mode, legs, legOrders });
+      const orderManager = orderManagerFor(exchange);
+      const market = marketFor(residual > 0 ? asset : profitAsset, residual > 0 ? profitAsset : asset);
+      try {
+        const referencePrice = referencePrices[asset] || fillReference(legOrders, asset, residual, profitAsset) ||
+          await this.fetchReferencePrice(exchange, asset, profitAsset);
+        // Preço do par (cotação por unidade da base) equivalente à referência do ativo exposto
+        const marketPrice = market.base === asset ? referencePrice : 1 / referencePrice;
+        const amount = market.base === asset ? Math.abs(residual) : Math.abs(residual) / marketPrice;
+        const limitPrice = market.side === 'sell'
+          ? marketPrice * (1 - maxLossPercentage)
+          : marketPrice * (1 + maxLossPercentage);
+
+        const placed = await orderManager.submitOrder({
+          exchange,
+          symbol: market.symbol,
+          side: market.side,
+          type: 'limit',
+          amount,
+          price: limitPrice,
+          strategy,
+          clientOrderId: `${id}-r${results.length + 1}`
+        }, { submit: recovery.submit || null });
+        const order = await this.awaitFinal(orderManager, placed.clientOrderId, recovery.timeoutMs);
+        results.push({ asset, residual, mode, exchange, referencePrice, limitPrice, order });
+      } catch (error) {
+        console.error(`Erro ao corrigir a exposição de ${residual} ${asset} da operação ${id}:`, error);
+        results.push({ asset, residual, mode, exchange, referencePrice: null, limitPrice: null, order: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Ativos (exceto o de resultado) que não terminaram zerados; resíduos abaixo de dustTolerance
+   * do volume executado do ativo são ignorados
+   * @returns {Object} - { ativo: exposição (positiva comprada, negativa vendida) }
+   */
+  openExposure(positions, legOrders, profitAsset) {
+    return Object.entries(positions).reduce((exposure, [asset, residual]) => {
+      if (asset === profitAsset) return exposure;
+      const volume = legOrders.reduce((sum, order) => {
+        const [base, quote] = splitSymbol(order.symbol);
+        if (base === asset) return sum + order.filled;
+        if (quote === asset) return sum + order.filled * (order.averagePrice || 0);
+        return sum;
+      }, 0);
+      if (Math.abs(residual) > Math.max(EPSILON, volume * this.dustTolerance)) exposure[asset] = residual;
+      return exposure;
+    }, {});
+  }
+
+  /**
+   * Exchange da ordem de correção: unwind desfaz na exchange da perna que criou a exposição;
+   * hedge repete a perna que deveria ter compensado (ou desfaz, quando não há essa perna)
+   */
+  recoveryExchange({ asset, residual, mode, legs, legOrders }) {
+    const moves = legOrders.map((order, index) => ({
+      exchange: legs[index].exchange,
+      delta: fillDeltas(order)[asset] || 0,
+      expected: legs[index].symbol.startsWith(`${asset}/`)
+        ? (legs[index].side === 'buy' ? 1 : -1) * legs[index].amount
+        : 0
+    }));
+    const direction = Math.sign(residual);
+
+    if (mode === 'hedge') {
+      const failed = moves
+        .filter(move => Math.sign(move.expected) === -direction)
+        .sort((a, b) => Math.abs(b.expected - b.delta) - Math.abs(a.expected - a.delta))[0];
+      if (failed) return failed.exchange;
+    }
+    const source = moves
+      .filter(move => Math.sign(move.delta) === direction)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))[0];
+    return (source || moves[0]).exchange;
+  }
+
+  async fetchReferencePrice(exchange, asset, profitAsset) {
+    const market = marketFor(asset, profitAsset);
+    const adapter = await orderManagerFor(exchange).getAdapter(exchange);
+    const ticker = await adapter.fetchTicker(market.symbol);
+    return market.base === asset ? ticker.last : 1 / ticker.last;
+  }
+
+  /**
+   * Relatório pós-operação: pernas (preço esperado x executado; slippageBps positivo é execução
+   * pior que a cotada), correções, exposição aberta e spread esperado x realizado no ativo de resultado
+   */
+  buildReport({ id, strategy, legs, legOrders, recoveryOrders, positions, profitAsset, expectedProfit, referencePrices, startedAt }) {
+    const fees = {};
+    const collectFees = (order) => Object.entries(order.fees || {}).forEach(([asset, amount]) => {
+      fees[asset] = (fees[asset] || 0) + amount;
+    });
+    legOrders.forEach(collectFees);
+    recoveryOrders.forEach(({ order }) => order && collectFees(order));
+
+    const legReports = legs.map((leg, index) => {
+      const order = legOrders[index];
+      const expectedPrice = leg.expectedPrice || leg.price;
+      const slippage = order.averagePrice
+        ? (leg.side === 'buy' ? order.averagePrice - expectedPrice : expectedPrice - order.averagePrice) / expectedPrice
+        : null;
+      return {
+        clientOrderId: order.clientOrderId,
+        exchange: leg.exchange,
+        symbol: leg.symbol,
+        side: leg.side,
+        amount: leg.amount,
+        expectedPrice,
+        filled: order.filled,
+        averagePrice: order.averagePrice,
+        slippageBps: slippage === null ? null : slippage * 10000,
+        status: order.status,
+        reason: order.reason || null
+      };
+    });
+
+    const openExposure = this.openExposure(positions, legOrders, profitAsset);
+
+    const expectedNotional = profitAssetOutflow(legs.map(leg => ({ ...leg, price: leg.expectedPrice || leg.price })), profitAsset);
+    const realizedNotional = profitAssetOutflow(legOrders
+      .filter(order => order.filled > 0)
+      .map(order => ({ symbol: order.symbol, side: order.side, amount: order.filled, price: order.averagePrice })), profitAsset);
+    const openExposureValue = Object.entries(openExposure).reduce((sum, [asset, residual]) => {
+      const recovered = recoveryOrders.find(item => item.asset === asset);
+      return sum + residual * (referencePrices[asset] || (recovered && recovered.referencePrice) || 0);
+    }, 0);
+    // A exposição que ficou aberta entra no resultado pelo preço de referência
+    const realizedProfit = (positions[profitAsset] || 0) - (fees[profitAsset] || 0) + openExposureValue;
+    const expectedSpread = expectedNotional > 0 ? expectedProfit / expectedNotional : null;
+    const realizedSpread = realizedNotional > 0 ? realizedProfit / realizedNotional : null;
+
+    const allFilled = legOrders.every(order => order.status === 'filled');
+    const nothingFilled = legOrders.every(order => !(order.filled > 0));
+    let status = 'completed';
+    if (legOrders.some(order => !FINAL_STATES.includes(order.status))) status = 'unconfirmed';
+    else if (Object.keys(openExposure).length > 0) status = 'exposed';
+    else if (recoveryOrders.length > 0) status = recoveryOrders[0].mode === 'hedge' ? 'hedged' : 'unwound';
+    else if (nothingFilled) status = 'failed';
+    else if (!allFilled) status = 'partial';
+
+    return {
+      id,
+      strategy,
+      status,
+      profitAsset,
+      legs: legReports,
+      recovery: recoveryOrders.map(({ asset, residual, mode, exchange, referencePrice, limitPrice, order, error }) => ({
+        asset,
+        residual,
+        mode,
+        exchange,
+        referencePrice,
+        limitPrice,
+        clientOrderId: order ? order.clientOrderId : null,
+        filled: order ? order.filled : 0,
+        averagePrice: order ? order.averagePrice : null,
+        status: order ? order.status : 'failed',
+        error: error || null
+      })),
+      fees,
+      openExposure,
+      openExposureValue,
+      expected: { profit: expectedProfit, notional: expectedNotional, spread: expectedSpread },
+      realized: { profit: realizedProfit, notional: realizedNotional, spread: realizedSpread },
+      spreadCapture: expectedSpread && realizedSpread !== null ? realizedSpread / expectedSpread : null,
+      durationMs: Date.now() - startedAt,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Relatórios das últimas operações, mais recentes primeiro
+   * @param {Object} filter - { strategy, status, limit }
+   * @returns {Array} - Relatórios pós-operação
+   */
+  getReports({ strategy, status, limit = 50 } = {}) {
+    return this.reports
+      .filter(report => (!strategy || report.strategy === strategy) && (!status || report.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+export const multiLegExecutor = new MultiLegExecutor();
+export { MultiLegExecutor };
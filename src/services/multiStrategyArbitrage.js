@@ -7,6 +7,9 @@ import { sequentialFlashLoan, executeStablecoinSequence, executeCryptoSequence }
 import { defiIntegration, executeStablecoinArbitrage, executeLendingAndReinvestment } from './defiIntegration';
 import { sentimentAnalysis } from './sentimentAnalysis';
 import { whaleTracker } from './whaleTracker';
+import { valuationService } from './valuationService';
+import { getRiskEngine } from '../../risk-engine.js';
+import { getLotTracker } from '../../lot-tracker.js';
 
 /**
  * Classe para estratégias avançadas de arbitragem multi-modal
@@ -34,6 +37,68 @@ class MultiStrategyArbitrage {
     };
   }
 
+  /**
+   * Cotação atual de um ativo em USD (stablecoins valem 1)
+   * Sem cotação devolve NaN, e o motor de risco rejeita a ordem por falta de preço válido
+   * @param {string} asset - Símbolo do ativo
+   * @returns {Promise<number>} - Preço em USD
+   */
+  async getLivePrice(asset) {
+    try {
+      return await valuationService.getUsdPrice(asset);
+    } catch (error) {
+      console.error(`Cotação de ${asset} indisponível:`, error.message);
+      return NaN;
+    }
+  }
+
+  /**
+   * Passa uma operação pelo motor de risco antes de executá-la
+   * A exposição é aberta na aprovação e encerrada quando a operação termina;
+   * o resultado (em unidades do ativo) entra na perda/lucro diário
+   * @param {string} strategy - Estratégia que originou a operação
+   * @param {string} asset - Ativo operado
+   * @param {string} amount - Quantidade do ativo
+   * @param {Function} operation - Função que executa a operação
+   * @returns {Promise<Object>} - Resultado da operação (rejeitada se o risco for recusado)
+   */
+  async guardOperation(strategy, asset, amount, operation) {
+    const riskEngine = getRiskEngine();
+    const order = { strategy, asset, side: 'buy', amount: parseFloat(amount), price: await this.getLivePrice(asset) };
+
+    riskEngine.assertOrder(order);
+    riskEngine.recordFill(order);
+    this.recordLotFill(order);
+
+    let result;
+    try {
+      result = await operation();
+      const profit = parseFloat((result && (result.netProfit !== undefined ? result.netProfit : result.profit)) || 0);
+      riskEngine.recordPnl({ strategy, amount: profit * order.price });
+      return result;
+    } finally {
+      riskEngine.recordFill({ ...order, side: 'sell' });
+      // O lote é encerrado pelo preço de saída executado: o sellPrice informado pela operação
+      // ou, sem ele, a cotação no encerramento
+      const exitPrice = result && parseFloat(result.sellPrice) > 0
+        ? parseFloat(result.sellPrice)
+        : await this.getLivePrice(asset);
+      this.recordLotFill({ ...order, side: 'sell', price: exitPrice });
+    }
+  }
+
+  /**
+   * Registra uma execução no rastreador de lotes sem interromper a operação em caso de falha
+   * @param {Object} fill - Execução (strategy, asset, side, amount, price)
+   */
+  recordLotFill(fill) {
+    try {
+      getLotTracker().recordFill(fill);
+    } catch (error) {
+      console.error('Erro ao registrar lote da operação:', error);
+    }
+  }
+
   /**
    * Inicializa o sistema de arbitragem multi-estratégia
    * @returns {Promise<boolean>} - Status da inicialização
@@ -248,13 +313,13 @@ class MultiStrategyArbitrage {
       // Operações com stablecoins
       for (let i = 0; i < stablecoinOps; i++) {
         const stablecoin = stablecoins[i % stablecoins.length];
-        operations.push(executeStablecoinSequence(stablecoin, '10000'));
+        operations.push(this.guardOperation('sequential_flash_loans', stablecoin, '10000', () => executeStablecoinSequence(stablecoin, '10000')));
       }
       
       // Operações com criptomoedas
       for (let i = 0; i < cryptoOps; i++) {
         const crypto = cryptos[i % cryptos.length];
-        operations.push(executeCryptoSequence(crypto, '1.0'));
+        operations.push(this.guardOperation('sequential_flash_loans', crypto, '1.0', () => executeCryptoSequence(crypto, '1.0')));
       }
       
       // Aguardar conclusão de todas as operações
@@ -294,7 +359,7 @@ class MultiStrategyArbitrage {
       const operations = [];
       
       for (let i = 0; i < assets.length; i++) {
-        operations.push(executeLendingAndReinvestment(assets[i], amounts[i], durations[i]));
+        operations.push(this.guardOperation('defi_lending', assets[i], amounts[i], () => executeLendingAndReinvestment(assets[i], amounts[i], durations[i])));
       }
       
       // Aguardar conclusão de todas as operações
@@ -333,7 +398,7 @@ class MultiStrategyArbitrage {
       const operations = [];
       
       for (let i = 0; i < stablecoins.length; i++) {
-        operations.push(executeStablecoinArbitrage(stablecoins[i], amounts[i]));
+        operations.push(this.guardOperation('stablecoin_arbitrage', stablecoins[i], amounts[i], () => executeStablecoinArbitrage(stablecoins[i], amounts[i])));
       }
       
       // Aguardar conclusão de todas as operações
@@ -373,7 +438,7 @@ class MultiStrategyArbitrage {
       
       for (let i = 0; i < cryptos.length; i++) {
         // Usar flash loans sequenciais para criptomoedas
-        operations.push(executeCryptoSequence(cryptos[i], amounts[i]));
+        operations.push(this.guardOperation('crypto_arbitrage', cryptos[i], amounts[i], () => executeCryptoSequence(cryptos[i], amounts[i])));
       }
       
       // Aguardar conclusão de todas as operações
@@ -407,15 +472,15 @@ class MultiStrategyArbitrage {
       // Executar uma combinação de estratégias
       const operations = [
         // 40% em stablecoins
-        executeStablecoinArbitrage('USDC', '50000'),
-        executeStablecoinSequence('USDT', '50000'),
+        this.guardOperation('balanced_strategy', 'USDC', '50000', () => executeStablecoinArbitrage('USDC', '50000')),
+        this.guardOperation('balanced_strategy', 'USDT', '50000', () => executeStablecoinSequence('USDT', '50000')),
         
         // 30% em empréstimos DeFi
-        executeLendingAndReinvestment('DAI', '30000', 14),
+        this.guardOperation('balanced_strategy', 'DAI', '30000', () => executeLendingAndReinvestment('DAI', '30000', 14)),
         
         // 30% em criptomoedas
-        executeCryptoSequence('ETH', '5.0'),
-        executeCryptoSequence('WBTC', '0.25')
+        this.guardOperation('balanced_strategy', 'ETH', '5.0', () => executeCryptoSequence('ETH', '5.0')),
+        this.guardOperation('balanced_strategy', 'WBTC', '0.25', () => executeCryptoSequence('WBTC', '0.25'))
       ];
       
       // Aguardar conclusão de todas as operações
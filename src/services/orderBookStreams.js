@@ -0,0 +1,632 @@
+import { KRAKEN_ASSETS } from './exchangeAdapters';
+
+/**
+ * Protocolos dos streams WebSocket de profundidade (L2) e negociações das exchanges
+ *
+ * Cada protocolo monta as mensagens de inscrição e traduz as mensagens recebidas para
+ * eventos normalizados, consumidos pelo marketData:
+ * - { type: 'snapshot', symbol, bids: [[preço, quantidade]], asks, sequence, timestamp }
+ * - { type: 'delta', symbol, bids, asks, first, last, checksum, timestamp }
+ *   (first/last: faixa de IDs de atualização coberta pela mensagem; quantidade 0 remove o nível)
+ * - { type: 'trade', symbol, trade: { id, price, amount, side, timestamp } }
+ * - { type: 'resync', symbol, reason } (symbol null: todos os livros da conexão)
+ *
+ * Preços e quantidades são mantidos como recebidos (strings) para que os checksums possam
+ * ser calculados sobre o texto original. Os protocolos com restSnapshot montam o livro a partir
+ * do snapshot REST do adaptador (fetchOrderBook com sequence) e dos deltas acumulados; os demais
+ * recebem o snapshot pelo próprio stream e se reinscrevem para obter um novo
+ */
+export class StreamProtocol {
+  /**
+   * @param {ExchangeAdapter} adapter - Adaptador REST da exchange (snapshots e tokens de conexão)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.exchange = adapter.name;
+    this.restSnapshot = false;
+    this.snapshotDepth = 100;
+    this.maxDepth = null;
+    this.heartbeatMs = 20000;
+    this.markets = new Map();
+  }
+
+  /**
+   * @returns {Promise<string>} - URL do WebSocket
+   */
+  async url() {
+    throw new Error(`Stream não implementado para ${this.exchange}`);
+  }
+
+  /**
+   * @param {Array} symbols - Símbolos unificados
+   * @returns {Array} - Mensagens de inscrição
+   */
+  subscribe(symbols) {
+    return [];
+  }
+
+  unsubscribe(symbols) {
+    return [];
+  }
+
+  /**
+   * @returns {*} - Mensagem de keepalive enviada a cada heartbeatMs (null: nenhuma)
+   */
+  heartbeat() {
+    return null;
+  }
+
+  // Chamado a cada nova conexão, antes das inscrições
+  onOpen() {}
+
+  /**
+   * @param {string} data - Mensagem recebida
+   * @returns {Array} - Eventos normalizados
+   */
+  parse(data) {
+    return [];
+  }
+
+  /**
+   * Checksum do livro local no formato da exchange (null: a exchange não publica checksum)
+   * @param {LocalOrderBook} book - Livro local
+   * @returns {number|null}
+   */
+  checksum(book) {
+    return null;
+  }
+
+  /**
+   * Registra o ID de mercado do símbolo, para traduzir as mensagens de volta ao símbolo unificado
+   */
+  marketId(symbol) {
+    const id = this.adapter.marketId(symbol);
+    this.markets.set(id, symbol);
+    return id;
+  }
+
+  symbolOf(marketId) {
+    return this.markets.get(marketId) || null;
+  }
+}
+
+const json = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+};
+
+const side = (value) => String(value).toLowerCase().startsWith('b') ? 'buy' : 'sell';
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+export const crc32 = (text) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of Buffer.from(text)) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Binance Spot: <símbolo>@depth@100ms com U/u e snapshot de /api/v3/depth (lastUpdateId)
+ */
+export class BinanceStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.restSnapshot = true;
+    this.snapshotDepth = 1000;
+    this.heartbeatMs = 0; // o servidor envia ping e o cliente ws responde automaticamente
+    this.requestId = 0;
+  }
+
+  async url() {
+    return 'wss://stream.binance.com:9443/stream';
+  }
+
+  _streams(symbols) {
+    return symbols.flatMap(symbol => {
+      const id = this.marketId(symbol).toLowerCase();
+      return [`${id}@depth@100ms`, `${id}@trade`];
+    });
+  }
+
+  subscribe(symbols) {
+    return [{ method: 'SUBSCRIBE', params: this._streams(symbols), id: ++this.requestId }];
+  }
+
+  unsubscribe(symbols) {
+    return [{ method: 'UNSUBSCRIBE', params: this._streams(symbols), id: ++this.requestId }];
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || !message.data) return [];
+    const event = message.data;
+    const symbol = this.symbolOf(event.s);
+    if (!symbol) return [];
+
+    if (event.e === 'depthUpdate') {
+      return [{ type: 'delta', symbol, bids: event.b, asks: event.a, first: event.U, last: event.u, timestamp: event.E }];
+    }
+    if (event.e === 'trade') {
+      return [{
+        type: 'trade',
+        symbol,
+        trade: { id: String(event.t), price: parseFloat(event.p), amount: parseFloat(event.q), side: event.m ? 'sell' : 'buy', timestamp: event.T }
+      }];
+    }
+    return [];
+  }
+}
+
+/**
+ * Coinbase Advanced Trade: canais level2 e market_trades; sequence_num é contínuo por conexão,
+ * então um salto reinicia a conexão inteira (o level2 volta com snapshot)
+ */
+export class CoinbaseStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.heartbeatMs = 0;
+    this.lastSequence = null;
+  }
+
+  async url() {
+    return 'wss://advanced-trade-ws.coinbase.com';
+  }
+
+  onOpen() {
+    this.lastSequence = null;
+  }
+
+  subscribe(symbols) {
+    const productIds = symbols.map(symbol => this.marketId(symbol));
+    return [
+      { type: 'subscribe', product_ids: productIds, channel: 'level2' },
+      { type: 'subscribe', product_ids: productIds, channel: 'market_trades' },
+      { type: 'subscribe', channel: 'heartbeats' }
+    ];
+  }
+
+  unsubscribe(symbols) {
+    const productIds = symbols.map(symbol => this.marketId(symbol));
+    return [
+      { type: 'unsubscribe', product_ids: productIds, channel: 'level2' },
+      { type: 'unsubscribe', product_ids: productIds, channel: 'market_trades' }
+    ];
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || message.sequence_num === undefined) return [];
+
+    const expected = this.lastSequence === null ? message.sequence_num : this.lastSequence + 1;
+    this.lastSequence = message.sequence_num;
+    if (message.sequence_num !== expected) {
+      return [{ type: 'resync', symbol: null, reason: `sequence_num ${message.sequence_num}, esperado ${expected}` }];
+    }
+
+    const timestamp = new Date(message.timestamp).getTime();
+    if (message.channel === 'l2_data') {
+      return message.events.map(event => {
+        const symbol = this.symbolOf(event.product_id);
+        const levels = (sideName) => event.updates
+          .filter(update => update.side === sideName)
+          .map(update => [update.price_level, update.new_quantity]);
+        return symbol && {
+          type: event.type === 'snapshot' ? 'snapshot' : 'delta',
+          symbol,
+          bids: levels('bid'),
+          asks: levels('offer'),
+          sequence: null,
+          first: null,
+          last: null,
+          timestamp
+        };
+      }).filter(Boolean);
+    }
+    if (message.channel === 'market_trades') {
+      return message.events.flatMap(event => event.trades.map(trade => ({
+        type: 'trade',
+        symbol: this.symbolOf(trade.product_id),
+        trade: {
+          id: String(trade.trade_id),
+          price: parseFloat(trade.price),
+          amount: parseFloat(trade.size),
+          side: side(trade.side),
+          timestamp: new Date(trade.time).getTime()
+        }
+      }))).filter(event => event.symbol);
+    }
+    return [];
+  }
+}
+
+/**
+ * Kraken (WebSocket v1): book-25 sem número de sequência; a integridade é conferida pelo
+ * CRC32 dos 10 melhores níveis de cada lado enviado em cada atualização
+ */
+export class KrakenStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.maxDepth = 25;
+    this.heartbeatMs = 30000;
+  }
+
+  async url() {
+    return 'wss://ws.kraken.com';
+  }
+
+  marketId(symbol) {
+    const pair = symbol.split('/').map(asset => KRAKEN_ASSETS[asset] || asset).join('/');
+    this.markets.set(pair, symbol);
+    return pair;
+  }
+
+  subscribe(symbols) {
+    const pair = symbols.map(symbol => this.marketId(symbol));
+    return [
+      { event: 'subscribe', pair, subscription: { name: 'book', depth: this.maxDepth } },
+      { event: 'subscribe', pair, subscription: { name: 'trade' } }
+    ];
+  }
+
+  unsubscribe(symbols) {
+    const pair = symbols.map(symbol => this.marketId(symbol));
+    return [
+      { event: 'unsubscribe', pair, subscription: { name: 'book', depth: this.maxDepth } },
+      { event: 'unsubscribe', pair, subscription: { name: 'trade' } }
+    ];
+  }
+
+  heartbeat() {
+    return { event: 'ping' };
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!Array.isArray(message)) {
+      if (message && message.event === 'subscriptionStatus' && message.status === 'error') {
+        console.warn(`Inscrição recusada pela Kraken (${message.pair}):`, message.errorMessage);
+      }
+      return [];
+    }
+
+    const channel = message[message.length - 2];
+    const symbol = this.symbolOf(message[message.length - 1]);
+    if (!symbol) return [];
+    const levels = (entries = []) => entries.map(([price, volume]) => [price, volume]);
+
+    if (channel.startsWith('book')) {
+      const payloads = message.slice(1, -2);
+      if (payloads[0].as || payloads[0].bs) {
+        return [{ type: 'snapshot', symbol, bids: levels(payloads[0].bs), asks: levels(payloads[0].as), sequence: null, timestamp: Date.now() }];
+      }
+      const update = Object.assign({}, ...payloads);
+      return [{
+        type: 'delta',
+        symbol,
+        bids: levels(update.b),
+        asks: levels(update.a),
+        first: null,
+        last: null,
+        checksum: update.c !== undefined ? parseInt(update.c, 10) : null,
+        timestamp: Date.now()
+      }];
+    }
+    if (channel === 'trade') {
+      return message[1].map(([price, volume, time, tradeSide]) => ({
+        type: 'trade',
+        symbol,
+        trade: {
+          id: `${time}-${price}-${volume}`,
+          price: parseFloat(price),
+          amount: parseFloat(volume),
+          side: side(tradeSide),
+          timestamp: Math.round(parseFloat(time) * 1000)
+        }
+      }));
+    }
+    return [];
+  }
+
+  // Preço e quantidade sem o ponto decimal e sem zeros à esquerda, 10 asks crescentes e depois 10 bids decrescentes
+  checksum(book) {
+    const digits = (value) => value.replace('.', '').replace(/^0+/, '');
+    const text = [...book.levels('asks', 10), ...book.levels('bids', 10)]
+      .map(level => digits(level.raw[0]) + digits(level.raw[1]))
+      .join('');
+    return crc32(text);
+  }
+}
+
+/**
+ * KuCoin: conexão com token de /api/v1/bullet-public; /market/level2 com sequenceStart/sequenceEnd
+ * e snapshot de level2_100 (sequence)
+ */
+export class KucoinStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.restSnapshot = true;
+    this.snapshotDepth = 100;
+    this.requestId = 0;
+  }
+
+  async url() {
+    const { token, instanceServers } = await this.adapter.request({ method: 'POST', path: '/api/v1/bullet-public' });
+    const [server] = instanceServers;
+    this.heartbeatMs = server.pingInterval || this.heartbeatMs;
+    return `${server.endpoint}?token=${token}&connectId=${Date.now()}`;
+  }
+
+  _topics(symbols) {
+    const ids = symbols.map(symbol => this.marketId(symbol)).join(',');
+    return [`/market/level2:${ids}`, `/market/match:${ids}`];
+  }
+
+  subscribe(symbols) {
+    return this._topics(symbols).map(topic => ({ id: String(++this.requestId), type: 'subscribe', topic, privateChannel: false, response: true }));
+  }
+
+  unsubscribe(symbols) {
+    return this._topics(symbols).map(topic => ({ id: String(++this.requestId), type: 'unsubscribe', topic, privateChannel: false, response: true }));
+  }
+
+  heartbeat() {
+    return { id: String(++this.requestId), type: 'ping' };
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || message.type !== 'message') return [];
+    const event = message.data;
+    const symbol = this.symbolOf(event.symbol);
+    if (!symbol) return [];
+
+    if (message.subject === 'trade.l2update') {
+      // Preço 0 marca apenas o avanço da sequência, sem alteração de nível
+      const levels = (changes = []) => changes.filter(([price]) => parseFloat(price) > 0).map(([price, size]) => [price, size]);
+      return [{
+        type: 'delta',
+        symbol,
+        bids: levels(event.changes.bids),
+        asks: levels(event.changes.asks),
+        first: event.sequenceStart,
+        last: event.sequenceEnd,
+        timestamp: event.time
+      }];
+    }
+    if (message.subject === 'trade.l3match') {
+      return [{
+        type: 'trade',
+        symbol,
+        trade: {
+          id: String(event.tradeId),
+          price: parseFloat(event.price),
+          amount: parseFloat(event.size),
+          side: side(event.side),
+          timestamp: Math.floor(parseInt(event.time, 10) / 1e6)
+        }
+      }];
+    }
+    return [];
+  }
+}
+
+/**
+ * Gate.io (WebSocket v4): spot.order_book_update com U/u e snapshot de /spot/order_book (with_id)
+ */
+export class GateioStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.restSnapshot = true;
+    this.snapshotDepth = 100;
+  }
+
+  async url() {
+    return 'wss://api.gateio.ws/ws/v4/';
+  }
+
+  _messages(event, symbols) {
+    const time = Math.floor(Date.now() / 1000);
+    const ids = symbols.map(symbol => this.marketId(symbol));
+    return [
+      ...ids.map(id => ({ time, channel: 'spot.order_book_update', event, payload: [id, '100ms'] })),
+      { time, channel: 'spot.trades', event, payload: ids }
+    ];
+  }
+
+  subscribe(symbols) {
+    return this._messages('subscribe', symbols);
+  }
+
+  unsubscribe(symbols) {
+    return this._messages('unsubscribe', symbols);
+  }
+
+  heartbeat() {
+    return { time: Math.floor(Date.now() / 1000), channel: 'spot.ping' };
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || message.event !== 'update') return [];
+    const { result } = message;
+
+    if (message.channel === 'spot.order_book_update') {
+      const symbol = this.symbolOf(result.s);
+      return symbol
+        ? [{ type: 'delta', symbol, bids: result.b || [], asks: result.a || [], first: result.U, last: result.u, timestamp: result.t }]
+        : [];
+    }
+    if (message.channel === 'spot.trades') {
+      const symbol = this.symbolOf(result.currency_pair);
+      return symbol
+        ? [{
+          type: 'trade',
+          symbol,
+          trade: {
+            id: String(result.id),
+            price: parseFloat(result.price),
+            amount: parseFloat(result.amount),
+            side: side(result.side),
+            timestamp: parseInt(result.create_time_ms, 10)
+          }
+        }]
+        : [];
+    }
+    return [];
+  }
+}
+
+/**
+ * Bybit (v5 spot): orderbook.50 com snapshot pelo próprio stream e u contínuo nos deltas
+ */
+export class BybitStream extends StreamProtocol {
+  async url() {
+    return 'wss://stream.bybit.com/v5/public/spot';
+  }
+
+  _messages(op, symbols) {
+    const args = symbols.flatMap(symbol => {
+      const id = this.marketId(symbol);
+      return [`orderbook.50.${id}`, `publicTrade.${id}`];
+    });
+    // A Bybit aceita até 10 tópicos por mensagem no spot
+    const messages = [];
+    for (let i = 0; i < args.length; i += 10) {
+      messages.push({ op, args: args.slice(i, i + 10) });
+    }
+    return messages;
+  }
+
+  subscribe(symbols) {
+    return this._messages('subscribe', symbols);
+  }
+
+  unsubscribe(symbols) {
+    return this._messages('unsubscribe', symbols);
+  }
+
+  heartbeat() {
+    return { op: 'ping' };
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || !message.topic) return [];
+
+    if (message.topic.startsWith('orderbook.')) {
+      const book = message.data;
+      const symbol = this.symbolOf(book.s);
+      if (!symbol) return [];
+      // u = 1 indica reinício do serviço da Bybit: o delta deve ser tratado como snapshot
+      if (message.type === 'snapshot' || book.u === 1) {
+        return [{ type: 'snapshot', symbol, bids: book.b, asks: book.a, sequence: book.u, timestamp: message.ts }];
+      }
+      return [{ type: 'delta', symbol, bids: book.b, asks: book.a, first: book.u, last: book.u, timestamp: message.ts }];
+    }
+    if (message.topic.startsWith('publicTrade.')) {
+      return message.data.map(trade => ({
+        type: 'trade',
+        symbol: this.symbolOf(trade.s),
+        trade: { id: String(trade.i), price: parseFloat(trade.p), amount: parseFloat(trade.v), side: side(trade.S), timestamp: trade.T }
+      })).filter(event => event.symbol);
+    }
+    return [];
+  }
+}
+
+/**
+ * Bitget (v2 spot): canal books com snapshot pelo próprio stream; cada atualização informa a
+ * sequência anterior (pseq), que deve ser a última aplicada
+ */
+export class BitgetStream extends StreamProtocol {
+  constructor(adapter) {
+    super(adapter);
+    this.heartbeatMs = 30000;
+  }
+
+  async url() {
+    return 'wss://ws.bitget.com/v2/ws/public';
+  }
+
+  _messages(op, symbols) {
+    const args = symbols.flatMap(symbol => {
+      const instId = this.marketId(symbol);
+      return [{ instType: 'SPOT', channel: 'books', instId }, { instType: 'SPOT', channel: 'trade', instId }];
+    });
+    return [{ op, args }];
+  }
+
+  subscribe(symbols) {
+    return this._messages('subscribe', symbols);
+  }
+
+  unsubscribe(symbols) {
+    return this._messages('unsubscribe', symbols);
+  }
+
+  heartbeat() {
+    return 'ping';
+  }
+
+  parse(data) {
+    const message = json(data);
+    if (!message || !message.arg || !message.data) return [];
+    const symbol = this.symbolOf(message.arg.instId);
+    if (!symbol) return [];
+
+    if (message.arg.channel === 'books') {
+      return message.data.map(book => message.action === 'snapshot'
+        ? { type: 'snapshot', symbol, bids: book.bids, asks: book.asks, sequence: book.seq, timestamp: parseInt(book.ts, 10) }
+        : { type: 'delta', symbol, bids: book.bids, asks: book.asks, first: book.pseq + 1, last: book.seq, timestamp: parseInt(book.ts, 10) });
+    }
+    if (message.arg.channel === 'trade') {
+      return message.data.map(trade => ({
+        type: 'trade',
+        symbol,
+        trade: {
+          id: String(trade.tradeId),
+          price: parseFloat(trade.price),
+          amount: parseFloat(trade.size),
+          side: side(trade.side),
+          timestamp: parseInt(trade.ts, 10)
+        }
+      }));
+    }
+    return [];
+  }
+}
+
+// A MEXC publica o stream spot apenas em protobuf; seus livros são atualizados por polling REST
+const STREAMS = {
+  binance: BinanceStream,
+  coinbase: CoinbaseStream,
+  kraken: KrakenStream,
+  kucoin: KucoinStream,
+  gateio: GateioStream,
+  bybit: BybitStream,
+  bitget: BitgetStream
+};
+
+/**
+ * Cria o protocolo de stream de uma exchange
+ * @param {string} name - Nome da exchange
+ * @param {ExchangeAdapter} adapter - Adaptador REST da exchange
+ * @returns {StreamProtocol|null} - Protocolo, ou null se a exchange não tiver stream suportado
+ */
+export const createStreamProtocol = (name, adapter) => {
+  const Stream = STREAMS[name];
+  return Stream ? new Stream(adapter) : null;
+};
+
+export const streamingExchanges = Object.keys(STREAMS);
@@ -0,0 +1,240 @@
+import { ethers } from 'ethers';
+import axios from 'axios';
+import { gasOptimizer } from './gasOptimizer';
+import { keyVault } from './keyVault';
+
+/**
+ * Envio privado de transações por relay de bundles (eth_callBundle / eth_sendBundle, padrão Flashbots)
+ *
+ * As transações assinadas vão direto ao relay, sem passar pelo mempool público: o bundle é simulado
+ * pelo relay no próximo bloco e reenviado bloco a bloco até ser incluído ou esgotar maxBlocks.
+ * Bundle não incluído não é publicado no mempool e o nonce volta para o gerenciador do gasOptimizer.
+ *
+ * O relay de cada rede vem de PRIVATE_RELAY_URL_<REDE> (ex.: PRIVATE_RELAY_URL_MAINNET=https://relay.flashbots.net);
+ * para testes, mock-relay.cjs implementa os mesmos métodos sobre um nó local (anvil).
+ * As requisições são assinadas (X-Flashbots-Signature) pela carteira PRIVATE_RELAY_AUTH_WALLET do cofre de chaves,
+ * que identifica o remetente no relay e não precisa ter fundos; sem ela, uma chave efêmera é usada.
+ */
+
+const RELAY_CONFIG = {
+  maxBlocks: parseInt(process.env.PRIVATE_RELAY_MAX_BLOCKS || '25', 10), // Blocos alvo antes de desistir
+  authWallet: process.env.PRIVATE_RELAY_AUTH_WALLET || null,
+  requestTimeoutMs: 10000,
+  pollIntervalMs: 1000,
+  blockTimeoutMs: 60000 // Espera máxima por cada bloco alvo
+};
+
+function relayError(message, submission = null) {
+  const error = new Error(message);
+  error.relay = submission;
+  return error;
+}
+
+class PrivateRelay {
+  constructor({ relays = null, maxBlocks = RELAY_CONFIG.maxBlocks } = {}) {
+    this.relays = relays;
+    this.maxBlocks = maxBlocks;
+    this.authSigner = null;
+    this.requestId = 0;
+    this.history = [];
+  }
+
+  // URL do relay da rede (relays explícitos no construtor ou PRIVATE_RELAY_URL_<REDE>)
+  getRelayUrl(network = 'mainnet') {
+    if (this.relays) return this.relays[network] || null;
+    return process.env[`PRIVATE_RELAY_URL_${network.toUpperCase()}`] || null;
+  }
+
+  isEnabled(network = 'mainnet') {
+    return !!this.getRelayUrl(network);
+  }
+
+  async getAuthSigner() {
+    if (!this.authSigner) {
+      if (RELAY_CONFIG.authWallet) {
+        await keyVault.ensureUnlocked();
+        this.authSigner = keyVault.getSigner(RELAY_CONFIG.authWallet);
+      } else {
+        this.authSigner = ethers.Wallet.createRandom();
+      }
+    }
+    return this.authSigner;
+  }
+
+  // Requisição JSON-RPC assinada ao relay
+  async request(network, method, params) {
+    const url = this.getRelayUrl(network);
+    if (!url) {
+      throw relayError(`Relay privado não configurado para ${network} (PRIVATE_RELAY_URL_${network.toUpperCase()})`);
+    }
+
+    const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+    const authSigner = await this.getAuthSigner();
+    const signature = `${await authSigner.getAddress()}:${await authSigner.signMessage(ethers.utils.id(body))}`;
+
+    const response = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', 'X-Flashbots-Signature': signature },
+      timeout: RELAY_CONFIG.requestTimeoutMs
+    });
+    if (response.data.error) {
+      throw relayError(`Relay ${method}: ${response.data.error.message || JSON.stringify(response.data.error)}`);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Simula o bundle no bloco alvo (eth_callBundle)
+   * @returns {Promise<Object>} - { success, error, gasUsed, results }
+   */
+  async simulateBundle(signedTransactions, blockNumber, network = 'mainnet') {
+    const result = await this.request(network, 'eth_callBundle', [{
+      txs: signedTransactions,
+      blockNumber: ethers.utils.hexValue(blockNumber),
+      stateBlockNumber: 'latest'
+    }]);
+    const failed = (result.results || []).find(item => item.error || item.revert);
+    return {
+      success: !failed,
+      error: failed ? `${failed.txHash}: ${failed.revert || failed.error}` : null,
+      gasUsed: result.totalGasUsed || null,
+      results: result.results || []
+    };
+  }
+
+  /**
+   * Envia um bundle de transações assinadas e acompanha a inclusão
+   * @param {Array<string>} signedTransactions - Transações assinadas, na ordem de execução
+   * @param {Object} options - Opções de envio
+   * @param {string} options.network - Rede do relay
+   * @param {Object} options.provider - Provider da rede (blocos e recibos)
+   * @param {number} options.maxBlocks - Blocos alvo antes de desistir
+   * @param {boolean} options.simulate - Simular no relay antes do envio
+   * @returns {Promise<Object>} - { id, status, included, blockNumber, receipts, bundleHashes, targetBlocks, simulation }
+   */
+  async sendBundle(signedTransactions, {
+    network = 'mainnet',
+    provider = gasOptimizer.providers[network],
+    maxBlocks = this.maxBlocks,
+    simulate = true
+  } = {}) {
+    const transactionHashes = signedTransactions.map(transaction => ethers.utils.keccak256(transaction));
+    const submission = {
+      id: `bundle-${network}-${Date.now()}`,
+      network,
+      transactionHashes,
+      status: 'pending',
+      included: false,
+      blockNumber: null,
+      receipts: [],
+      bundleHashes: [],
+      targetBlocks: [],
+      simulation: null,
+      submittedAt: Date.now()
+    };
+    this.history.push(submission);
+    if (this.history.length > 500) this.history.shift();
+
+    try {
+      const startBlock = await provider.getBlockNumber();
+
+      if (simulate) {
+        submission.simulation = await this.simulateBundle(signedTransactions, startBlock + 1, network);
+        if (!submission.simulation.success) {
+          submission.status = 'simulation_failed';
+          throw relayError(`Bundle reverteu na simulação do relay: ${submission.simulation.error}`, submission);
+        }
+      }
+
+      for (let target = startBlock + 1; target <= startBlock + maxBlocks; target++) {
+        const current = await provider.getBlockNumber();
+        if (current >= target) continue; // Bloco alvo já passou enquanto o anterior era verificado
+
+        const result = await this.request(network, 'eth_sendBundle', [{
+          txs: signedTransactions,
+          blockNumber: ethers.utils.hexValue(target)
+        }]);
+        submission.targetBlocks.push(target);
+        if (result?.bundleHash && !submission.bundleHashes.includes(result.bundleHash)) {
+          submission.bundleHashes.push(result.bundleHash);
+        }
+
+        await this.waitForBlock(provider, target);
+        const receipts = await Promise.all(transactionHashes.map(hash => provider.getTransactionReceipt(hash)));
+        if (receipts.every(Boolean)) {
+          submission.status = 'included';
+          submission.included = true;
+          submission.blockNumber = receipts[0].blockNumber;
+          submission.receipts = receipts;
+          return submission;
+        }
+      }
+
+      submission.status = 'not_included';
+      return submission;
+    } catch (error) {
+      if (submission.status === 'pending') submission.status = 'failed';
+      if (!error.relay) error.relay = submission;
+      throw error;
+    }
+  }
+
+  /**
+   * Assina e envia uma transação pelo relay privado, com nonce e taxas do gasOptimizer
+   * Sem inclusão, o nonce é devolvido e nada é publicado no mempool
+   * @param {ethers.Signer} signer - Signer conectado ao provider da rede
+   * @param {Object} transaction - { to, data, value, gasLimit }
+   * @param {Object} options - { network, speed, maxBlocks, simulate }
+   * @returns {Promise<Object>} - Resultado de sendBundle
+   */
+  async sendTransaction(signer, transaction, { network = 'mainnet', speed = 'fast', maxBlocks, simulate = true } = {}) {
+    const provider = signer.provider || gasOptimizer.providers[network];
+    const nonceManager = gasOptimizer.getNonceManager(network, signer, provider);
+    const fees = await gasOptimizer.getTransactionFees(network, speed, provider);
+    const { from, gasPrice, maxFeePerGas, maxPriorityFeePerGas, type, ...request } = transaction;
+    const nonce = await nonceManager.next();
+
+    let submission;
+    try {
+      const populated = await signer.populateTransaction({ ...request, ...fees, nonce });
+      const signed = await signer.signTransaction(populated);
+      submission = await this.sendBundle([signed], { network, provider, maxBlocks, simulate });
+    } catch (error) {
+      nonceManager.release(nonce, error);
+      throw error;
+    }
+
+    if (!submission.included) {
+      nonceManager.release(nonce);
+    }
+    return submission;
+  }
+
+  async waitForBlock(provider, blockNumber) {
+    const deadline = Date.now() + RELAY_CONFIG.blockTimeoutMs;
+    while (await provider.getBlockNumber() < blockNumber) {
+      if (Date.now() > deadline) {
+        throw relayError(`Bloco ${blockNumber} não minerado em ${RELAY_CONFIG.blockTimeoutMs / 1000}s`);
+      }
+      await new Promise(resolve => setTimeout(resolve, RELAY_CONFIG.pollIntervalMs));
+    }
+  }
+
+  getHistory(limit = 50) {
+    return this.history.slice(-limit);
+  }
+
+  getStats() {
+    const count = status => this.history.filter(item => item.status === status).length;
+    return {
+      total: this.history.length,
+      included: count('included'),
+      notIncluded: count('not_included'),
+      simulationFailed: count('simulation_failed'),
+      failed: count('failed'),
+      pending: count('pending')
+    };
+  }
+}
+
+export const privateRelay = new PrivateRelay();
+export { PrivateRelay };
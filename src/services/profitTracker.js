@@ -1,11 +1,25 @@
+import crypto from 'crypto';
 import { ethers } from 'ethers';
 import { getGasPrice } from './blockchain';
+import { getPixPayoutService } from '../../pix-payouts.cjs';
+import { getLedger } from '../../ledger.cjs';
+import { orderEvents, EVENTS as ORDER_EVENTS } from '../../order-manager.js';
+import { valuationService } from './valuationService';
+
+// Ativo em que buyPrice e sellPrice são cotados quando a operação não informa (par sem '/')
+const DEFAULT_QUOTE_ASSET = 'USDT';
+
+const quoteOf = (asset) => (String(asset).includes('/') ? String(asset).split('/')[1] : DEFAULT_QUOTE_ASSET);
 
 class ProfitTracker {
   constructor() {
     this.operations = [];
     this.totalProfit = ethers.BigNumber.from(0);
     this.totalFees = ethers.BigNumber.from(0);
+    // Lucro por ativo de cotação (o gás, em totalFees, é sempre em ETH)
+    this.profitByAsset = {};
+    // Lucro e gás em USD: só são comparados depois de avaliados (ver _updateValuedTotals)
+    this.valuedTotals = { profitUsd: 0, gasUsd: 0, unvaluedOperations: 0 };
     this.initialOperationsCount = 5;
     this.feesPaid = false;
     this.metrics = {
@@ -16,26 +30,112 @@ class ProfitTracker {
       successRate: 0,
       averageProfit: ethers.BigNumber.from(0)
     };
+    // Destino dos pagamentos PIX automáticos (usuário e chave cadastrada em /api/pix/keys)
+    this.pixPayoutDestination = {
+      userId: process.env.PIX_PAYOUT_USER_ID || null,
+      pixKeyId: process.env.PIX_PAYOUT_KEY_ID || null
+    };
+    this.pixPayments = [];
+    this.withdrawals = [];
+    this.startedAt = new Date().toISOString();
+    // Ordens das estratégias (eventos do gerenciador de ordens): estados finais, volume e taxas por ativo
+    this.orderActivity = {
+      submitted: 0,
+      byStatus: {},
+      volume: {},
+      fees: {}
+    };
+    this._subscribeOrderEvents();
+
+    // Os totais em memória (desde o início do processo) precisam bater com o livro-razão
+    getLedger().registerReconciliation('profitTracker', async (ledger) => {
+      // Cada ativo é conferido separadamente: lucros em USDT e gás em ETH não se somam
+      const filter = { source: 'profitTracker', since: this.startedAt };
+      const pixByAsset = this.pixPayments.reduce((totals, payment) => {
+        totals[payment.asset] = (totals[payment.asset] || 0) + parseFloat(payment.amount);
+        return totals;
+      }, {});
+      const profits = await Promise.all(Object.entries(this.profitByAsset).map(async ([asset, profit]) => ({
+        description: `lucros em ${asset} x lucros lançados`,
+        ledger: await ledger.getBalance({ ...filter, account: 'income:trading', asset }),
+        actual: ethers.utils.formatEther(profit)
+      })));
+      const payouts = await Promise.all(Object.entries(pixByAsset).map(async ([asset, total]) => ({
+        description: `pagamentos PIX em ${asset} x pagamentos lançados`,
+        ledger: await ledger.getBalance({ ...filter, account: 'equity:payouts', asset }),
+        actual: total
+      })));
+      return [
+        ...profits,
+        {
+          description: 'totalFees x gás lançado',
+          ledger: await ledger.getBalance({ ...filter, account: 'expenses:gas', asset: 'ETH' }),
+          actual: ethers.utils.formatEther(this.totalFees)
+        },
+        ...payouts
+      ];
+    });
+  }
+
+  _subscribeOrderEvents() {
+    orderEvents.on(ORDER_EVENTS.UPDATE, ({ previousStatus }) => {
+      if (previousStatus === null) this.orderActivity.submitted++;
+    });
+    orderEvents.on(ORDER_EVENTS.FILL, ({ order, fill }) => {
+      const quote = order.symbol.split('/')[1] || order.symbol;
+      this.orderActivity.volume[quote] = (this.orderActivity.volume[quote] || 0) + fill.price * fill.amount;
+      if (fill.fee > 0 && fill.feeAsset) {
+        this.orderActivity.fees[fill.feeAsset] = (this.orderActivity.fees[fill.feeAsset] || 0) + fill.fee;
+      }
+    });
+    orderEvents.on(ORDER_EVENTS.CLOSED, ({ order }) => {
+      this.orderActivity.byStatus[order.status] = (this.orderActivity.byStatus[order.status] || 0) + 1;
+    });
+  }
+
+  /**
+   * Define o usuário e a chave PIX que recebem os pagamentos automáticos
+   * @param {string} userId - ID do usuário
+   * @param {string} pixKeyId - ID da chave PIX (padrão: a primeira cadastrada)
+   */
+  setPixPayoutDestination(userId, pixKeyId = null) {
+    this.pixPayoutDestination = { userId, pixKeyId };
   }
 
+  /**
+   * Registra uma operação; o lucro é (sellPrice - buyPrice) * amount, no ativo de cotação,
+   * ou o lucro medido informado em profit (ex: evento do contrato na transação executada)
+   * @param {Object} params - { asset, amount, buyPrice, sellPrice, quoteAsset, profit, gasUsed, success, type, reference }
+   *   (quoteAsset padrão: a cotação do par em asset, como 'ETH/USDC', ou USDT)
+   */
   async addOperation({
     asset,
     amount,
     buyPrice,
     sellPrice,
+    quoteAsset = quoteOf(asset),
+    profit: measuredProfit = null,
     gasUsed,
-    success
+    success,
+    type = 'flash_loan',
+    reference = null
   }) {
     const gasPrice = await getGasPrice();
     const gasCost = ethers.BigNumber.from(gasUsed).mul(ethers.utils.parseUnits(gasPrice, 'gwei'));
     
-    const profit = success ? 
-      ethers.utils.parseEther(String(sellPrice - buyPrice)) : 
+    const profitValue = measuredProfit !== null
+      ? parseFloat(measuredProfit)
+      : (parseFloat(sellPrice) - parseFloat(buyPrice)) * parseFloat(amount);
+    const profit = success && Number.isFinite(profitValue) ?
+      ethers.utils.parseEther(profitValue.toFixed(18)) :
       ethers.BigNumber.from(0);
 
     const operation = {
+      // A referência da operação (ex: hash da transação) identifica repetições da mesma operação
+      id: reference || crypto.randomUUID(),
       timestamp: Date.now(),
       asset,
+      quoteAsset,
       amount,
       buyPrice,
       sellPrice,
@@ -47,25 +147,36 @@ class ProfitTracker {
       roi: this._calculateROI(profit, gasCost)
     };
 
+    // Avaliar lucro e gás em USD e BRL no instante da operação
+    operation.valuation = await this._valueOperation(operation);
+
     this.operations.push(operation);
     this.totalProfit = this.totalProfit.add(profit);
     this.totalFees = this.totalFees.add(gasCost);
+    this.profitByAsset[quoteAsset] = (this.profitByAsset[quoteAsset] || ethers.BigNumber.from(0)).add(profit);
+    await this._updateValuedTotals();
 
     // Atualizar métricas
     this._updateMetrics(operation);
 
+    // Lançar o resultado e o gás no livro-razão
+    await this._postOperationToLedger(operation, { type, reference });
+
     // Verifica se já pode começar a pagar as taxas
     if (!this.feesPaid && this.operations.length >= this.initialOperationsCount) {
-      this.feesPaid = this.totalProfit.gt(this.totalFees);
+      this.feesPaid = this._profitCoversFees();
     }
     
-    // Calcular distribuição de lucros
-    const profitDistribution = this.calculateProfitDistribution(profit);
+    // Calcular distribuição de lucros (no ativo de cotação da operação)
+    const profitDistribution = this.calculateProfitDistribution(profit, quoteAsset);
     
     // Processar pagamento PIX se a operação for bem-sucedida e puder distribuir lucro
     let pixPaymentResult = null;
     if (success && this.canDistributeProfit() && profitDistribution.forPixPayment.gt(0)) {
-      pixPaymentResult = await this.processPixPayment(profitDistribution.forPixPayment);
+      pixPaymentResult = await this.processPixPayment(profitDistribution.forPixPayment, {
+        asset: profitDistribution.asset,
+        idempotencyKey: `operation-${operation.id}`
+      });
       operation.pixPayment = pixPaymentResult;
     }
 
@@ -79,12 +190,45 @@ class ProfitTracker {
   }
 
   canDistributeProfit() {
-    return this.feesPaid && this.totalProfit.gt(this.totalFees);
+    return this.feesPaid && this._profitCoversFees();
+  }
+
+  // O lucro (em vários ativos de cotação) só cobre o gás (em ETH) se ambos puderem ser avaliados em USD
+  _profitCoversFees() {
+    const { profitUsd, gasUsd, unvaluedOperations } = this.valuedTotals;
+    return unvaluedOperations === 0 && profitUsd > gasUsd;
   }
 
-  calculateProfitDistribution(operationProfit) {
+  /**
+   * Soma o lucro e o gás das operações avaliados em USD; as operações sem cotação no momento
+   * do registro são avaliadas de novo
+   */
+  async _updateValuedTotals() {
+    const totals = { profitUsd: 0, gasUsd: 0, unvaluedOperations: 0 };
+    for (const operation of this.operations) {
+      if (!operation.valuation) {
+        operation.valuation = await this._valueOperation(operation);
+      }
+      if (!operation.valuation) {
+        totals.unvaluedOperations++;
+        continue;
+      }
+      totals.profitUsd += operation.valuation.profitUsd;
+      totals.gasUsd += operation.valuation.gasUsd;
+    }
+    this.valuedTotals = totals;
+  }
+
+  /**
+   * Divide o lucro de uma operação entre taxas, PIX e distribuição
+   * @param {ethers.BigNumber} operationProfit - Lucro da operação (18 casas decimais)
+   * @param {string} asset - Ativo de cotação em que o lucro foi apurado
+   * @returns {Object} - { asset, forFees, forDistribution, forPixPayment }
+   */
+  calculateProfitDistribution(operationProfit, asset = DEFAULT_QUOTE_ASSET) {
     if (!this.canDistributeProfit()) {
       return {
+        asset,
         forFees: operationProfit,
         forDistribution: ethers.BigNumber.from(0),
         forPixPayment: ethers.BigNumber.from(0)
@@ -98,28 +242,48 @@ class ProfitTracker {
     // O restante para distribuição
     const forDistribution = operationProfit.sub(forFees).sub(forPixPayment);
 
-    return { forFees, forDistribution, forPixPayment };
+    return { asset, forFees, forDistribution, forPixPayment };
   }
   
-  async processPixPayment(amount) {
+  /**
+   * Envia a parcela de PIX de uma operação pelo serviço de pagamentos PIX
+   * O valor no ativo de cotação do lucro é convertido para BRL; a chave de idempotência evita
+   * pagar duas vezes a mesma operação
+   * @param {ethers.BigNumber} amount - Valor no ativo (18 casas decimais)
+   * @param {Object} options - { asset: ativo de cotação do lucro, idempotencyKey }
+   * @returns {Promise<Object>} - { success, payment } ou { success: false, error }
+   */
+  async processPixPayment(amount, { asset = DEFAULT_QUOTE_ASSET, idempotencyKey } = {}) {
     try {
-      console.log(`Processando pagamento PIX de ${ethers.utils.formatEther(amount)} ETH para CPF: 08806839616`);
-      
-      // Aqui seria implementada a integração com a API de pagamentos PIX
-      // Por enquanto, apenas registramos o pagamento
-      const pixPayment = {
-        timestamp: Date.now(),
-        amount: amount,
-        cpf: "08806839616",
-        status: "processed"
-      };
-      
-      // Registrar o pagamento no histórico
-      if (!this.pixPayments) {
-        this.pixPayments = [];
+      const { userId, pixKeyId } = this.pixPayoutDestination;
+      if (!userId) {
+        throw new Error('Nenhum destinatário configurado para os pagamentos PIX');
+      }
+
+      console.log(`Processando pagamento PIX de ${ethers.utils.formatEther(amount)} ${asset}`);
+
+      const pixPayment = await getPixPayoutService().createPayout({
+        userId,
+        pixKeyId,
+        amount: ethers.utils.formatEther(amount),
+        asset,
+        idempotencyKey: idempotencyKey || `pix-${Date.now()}`,
+        description: 'QuickFundHub - distribuição de lucros'
+      });
+
+      // Registrar o pagamento no histórico e no livro-razão (uma repetição idempotente devolve o mesmo pagamento)
+      if (!this.pixPayments.some(payment => payment.id === pixPayment.id)) {
+        this.pixPayments.push(pixPayment);
       }
-      this.pixPayments.push(pixPayment);
-      
+      await getLedger().recordPayout({
+        asset: pixPayment.asset,
+        amount: pixPayment.amount,
+        method: 'pix',
+        source: 'profitTracker',
+        reference: pixPayment.id,
+        entryKey: `pix:${pixPayment.idempotencyKey}`
+      });
+
       return {
         success: true,
         payment: pixPayment
@@ -133,6 +297,129 @@ class ProfitTracker {
     }
   }
 
+  async _postOperationToLedger(operation, { type, reference }) {
+    const ledger = getLedger();
+    const entryKey = reference ? `profitTracker:${reference}` : null;
+    try {
+      await ledger.recordTradePnl({
+        strategy: type,
+        asset: operation.quoteAsset,
+        amount: ethers.utils.formatEther(operation.profit),
+        source: 'profitTracker',
+        reference,
+        entryKey: entryKey && `${entryKey}:pnl`
+      });
+      await ledger.recordGas({
+        asset: 'ETH',
+        amount: ethers.utils.formatEther(operation.gasCost),
+        source: 'profitTracker',
+        reference,
+        entryKey: entryKey && `${entryKey}:gas`
+      });
+    } catch (error) {
+      console.error('Erro ao lançar operação no livro-razão:', error);
+    }
+  }
+
+  /**
+   * Registra um saque do lucro e o lança no livro-razão
+   * @param {Object} withdrawal - { id, timestamp, amount, asset, destination, source }; o id identifica
+   *   o saque (ex: última transação incluída), e repetições com o mesmo id não lançam de novo
+   */
+  async addWithdrawal({ id = crypto.randomUUID(), timestamp = Date.now(), amount, asset, destination, source = 'profitTracker' }) {
+    const withdrawal = { id, timestamp, amount, asset, destination };
+    this.withdrawals.push(withdrawal);
+
+    await getLedger().recordPayout({
+      asset,
+      amount,
+      method: 'withdrawal',
+      source,
+      reference: destination,
+      entryKey: `${source}:withdrawal:${id}`
+    });
+    return withdrawal;
+  }
+
+  /**
+   * Avalia o lucro (no ativo de cotação da operação) e o gás (em ETH) em USD e BRL
+   * @returns {Promise<Object|null>} - { profitUsd, profitBrl, gasUsd, gasBrl, netUsd, netBrl } ou null sem cotação
+   */
+  async _valueOperation(operation) {
+    try {
+      const [profit, gas] = await Promise.all([
+        valuationService.value(ethers.utils.formatEther(operation.profit), operation.quoteAsset, operation.timestamp),
+        valuationService.value(ethers.utils.formatEther(operation.gasCost), 'ETH', operation.timestamp)
+      ]);
+      return {
+        profitUsd: profit.usd,
+        profitBrl: profit.brl,
+        gasUsd: gas.usd,
+        gasBrl: gas.brl,
+        netUsd: profit.usd - gas.usd,
+        netBrl: profit.brl - gas.brl
+      };
+    } catch (error) {
+      console.error('Erro ao avaliar operação em USD/BRL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Relatório de resultado em USD e BRL, com as operações avaliadas no instante em que ocorreram
+   * @param {Object} period - { startDate, endDate } (padrão: todas as operações)
+   * @returns {Promise<Object>} - Totais em USD e BRL, por ativo, e operações sem cotação
+   */
+  async getPnlReport({ startDate = null, endDate = null } = {}) {
+    const operations = this.operations.filter(op =>
+      (!startDate || op.timestamp >= new Date(startDate).getTime()) &&
+      (!endDate || op.timestamp <= new Date(endDate).getTime()));
+    const report = {
+      period: {
+        start: startDate ? new Date(startDate).toISOString() : null,
+        end: endDate ? new Date(endDate).toISOString() : null
+      },
+      operationsCount: operations.length,
+      profit: { usd: 0, brl: 0 },
+      gas: { usd: 0, brl: 0 },
+      net: { usd: 0, brl: 0 },
+      byAsset: {},
+      unvaluedOperations: 0
+    };
+
+    for (const operation of operations) {
+      // Operações sem cotação no momento do registro são avaliadas de novo
+      if (!operation.valuation) {
+        operation.valuation = await this._valueOperation(operation);
+      }
+      if (!operation.valuation) {
+        report.unvaluedOperations++;
+        continue;
+      }
+
+      const { profitUsd, profitBrl, gasUsd, gasBrl } = operation.valuation;
+      // Agrupado pelo ativo em que o lucro foi apurado
+      const asset = report.byAsset[operation.quoteAsset] || (report.byAsset[operation.quoteAsset] = {
+        profit: ethers.BigNumber.from(0), usd: 0, brl: 0, operationsCount: 0
+      });
+      asset.profit = asset.profit.add(operation.profit);
+      asset.usd += profitUsd;
+      asset.brl += profitBrl;
+      asset.operationsCount++;
+
+      report.profit.usd += profitUsd;
+      report.profit.brl += profitBrl;
+      report.gas.usd += gasUsd;
+      report.gas.brl += gasBrl;
+    }
+
+    report.net = { usd: report.profit.usd - report.gas.usd, brl: report.profit.brl - report.gas.brl };
+    Object.values(report.byAsset).forEach(asset => {
+      asset.profit = ethers.utils.formatEther(asset.profit);
+    });
+    return report;
+  }
+
   _calculateROI(profit, gasCost) {
     if (gasCost.isZero()) return 0;
     return parseFloat(ethers.utils.formatEther(profit)) / 
@@ -220,11 +507,22 @@ class ProfitTracker {
       successfulOperations: this.operations.filter(op => op.success).length,
       totalProfit: ethers.utils.formatEther(this.totalProfit),
       totalFees: ethers.utils.formatEther(this.totalFees),
+      profitByAsset: Object.fromEntries(Object.entries(this.profitByAsset)
+        .map(([asset, profit]) => [asset, ethers.utils.formatEther(profit)])),
+      valuedTotals: { ...this.valuedTotals },
       feesPaid: this.feesPaid,
       canDistributeProfit: this.canDistributeProfit(),
-      metrics: this._getMetricsSummary()
+      metrics: this._getMetricsSummary(),
+      orders: {
+        submitted: this.orderActivity.submitted,
+        byStatus: { ...this.orderActivity.byStatus },
+        volume: { ...this.orderActivity.volume },
+        fees: { ...this.orderActivity.fees }
+      }
     };
   }
 }
 
-export const profitTracker = new ProfitTracker();
\ No newline at end of file
+export const profitTracker = new ProfitTracker();
+
+export { ProfitTracker };
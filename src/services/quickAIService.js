@@ -12,6 +12,10 @@ import { eliteWhaleTracker } from './eliteWhaleTracker';
 import { complianceService } from './complianceService';
 import { mobileOptimizationService } from './mobileOptimizationService';
 import { auroraOptimizationService } from './auroraOptimizationService';
+import { STEP_UP_ACTIONS, verifyStepUpToken } from '../../two-factor.cjs';
+import { getWithdrawalAllowlist } from '../../withdrawal-allowlist.js';
+import { PIX_KEY_TYPES, normalizePixKey, validatePixKey } from '../../pix-payouts.cjs';
+import { getLedger } from '../../ledger.cjs';
 
 class QuickAIService {
   constructor() {
@@ -153,6 +157,18 @@ class QuickAIService {
     
     this.lastWithdrawal = Date.now();
     this.accumulatedProfit = 0;
+    this.accumulatedReferences = []; // Transações que compõem o lucro acumulado (zeradas a cada saque)
+    this.withdrawalTimer = null; // Saques automáticos só rodam após confirmação em dois fatores
+    
+    // O lucro acumulado precisa bater com os lucros que o profitTracker lançou no livro-razão
+    // para as mesmas transações (accumulatedProfit soma todos os ativos, então a comparação também soma)
+    getLedger().registerReconciliation('quickAIService', async (ledger) => [{
+      description: 'accumulatedProfit x lucros lançados das transações desde o último saque',
+      ledger: this.accumulatedReferences.length > 0
+        ? await ledger.getBalance({ account: 'income:trading', references: this.accumulatedReferences })
+        : '0',
+      actual: this.accumulatedProfit
+    }]);
   }
   
   // Inicializar o serviço QuickAI
@@ -175,8 +191,8 @@ class QuickAIService {
       console.log('Iniciando otimização contínua de código e recursos...');
       this.startContinuousOptimization();
       
-      // Iniciar saques automáticos
-      this.startAutomaticWithdrawals();
+      // Saques automáticos dependem de confirmação em dois fatores (startAutomaticWithdrawals)
+      console.log('Saques automáticos aguardando confirmação em dois fatores...');
       
       // Iniciar estratégias de DeFi
       this.startDefiStrategies();
@@ -276,12 +292,13 @@ class QuickAIService {
         opportunity.sellPrice
       );
       
-      // Calcular lucro
-      const profit = parseFloat(ethers.utils.formatEther(result.operationResult.profit || '0'));
+      // Calcular lucro (o lançamento no livro-razão é feito pelo profitTracker)
+      const profit = parseFloat(ethers.utils.formatEther(result.operationResult.operation.profit || '0'));
       console.log(`Arbitragem concluída. Lucro: ${profit} ${asset}`);
       
       // Atualizar lucro acumulado
       this.accumulatedProfit += profit;
+      this.accumulatedReferences.push(result.receipt.transactionHash);
       
       // Distribuir lucro conforme as regras
       this.distributeProfits(profit);
@@ -373,19 +390,24 @@ class QuickAIService {
     }
   }
   
-  // Iniciar saques automáticos
-  startAutomaticWithdrawals() {
-    console.log('Iniciando sistema de saques automáticos...');
+  // Iniciar saques automáticos para a carteira atual (exige confirmação TOTP da ação 'withdrawal')
+  async startAutomaticWithdrawals(stepUpToken) {
+    await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.WITHDRAWAL);
+    if (this.withdrawalTimer) {
+      clearInterval(this.withdrawalTimer);
+    }
+    
+    console.log(`Iniciando sistema de saques automáticos para ${this.walletAddress}...`);
     
     // Verificar a cada hora
-    setInterval(async () => {
+    this.withdrawalTimer = setInterval(async () => {
       try {
         const currentTime = Date.now();
         const timeSinceLastWithdrawal = currentTime - this.lastWithdrawal;
         
         // Verificar se já passou 1 hora desde o último saque
         if (timeSinceLastWithdrawal >= this.withdrawalInterval) {
-          await this.executeWithdrawal();
+          await this._processWithdrawal();
           this.lastWithdrawal = currentTime;
         }
       } catch (error) {
@@ -394,8 +416,50 @@ class QuickAIService {
     }, 60000); // Verificar a cada minuto
   }
   
-  // Executar saque automático
-  async executeWithdrawal() {
+  // Interromper saques automáticos
+  stopAutomaticWithdrawals() {
+    if (this.withdrawalTimer) {
+      clearInterval(this.withdrawalTimer);
+      this.withdrawalTimer = null;
+      console.log('Saques automáticos interrompidos');
+    }
+  }
+  
+  // Alterar a carteira de destino dos saques (exige confirmação TOTP da ação 'payout-destination'
+  // e um endereço liberado na lista de endereços de saque do usuário)
+  async setWalletAddress(address, stepUpToken) {
+    const { userId } = await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.PAYOUT_DESTINATION);
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error('Endereço de carteira inválido');
+    }
+    await getWithdrawalAllowlist().assertWithdrawalAllowed(userId, address, 'ethereum');
+    
+    // A autorização de saques automáticos vale apenas para a carteira confirmada anteriormente
+    this.stopAutomaticWithdrawals();
+    this.walletAddress = address;
+    console.log(`Carteira de destino dos saques alterada para ${address}`);
+  }
+  
+  // Alterar a chave PIX (CPF) dos pagamentos (exige confirmação TOTP da ação 'payout-destination')
+  async setPixKey(cpf, stepUpToken) {
+    await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.PAYOUT_DESTINATION);
+    const normalizedCpf = normalizePixKey(PIX_KEY_TYPES.CPF, cpf);
+    if (!validatePixKey(PIX_KEY_TYPES.CPF, normalizedCpf)) {
+      throw new Error('CPF inválido para chave PIX');
+    }
+    
+    this.pixPaymentInfo.cpf = normalizedCpf;
+    console.log('Chave PIX dos pagamentos alterada');
+  }
+  
+  // Executar saque manual (exige confirmação TOTP da ação 'withdrawal')
+  async executeWithdrawal(stepUpToken) {
+    await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.WITHDRAWAL);
+    return this._processWithdrawal();
+  }
+  
+  // Processar o saque do lucro acumulado para a carteira configurada
+  async _processWithdrawal() {
     try {
       console.log('Executando saque automático...');
       
@@ -415,15 +479,19 @@ class QuickAIService {
       console.log(`Transferindo ${withdrawalAmount} USDC para ${this.walletAddress}...`);
       
       // Registrar saque
-      profitTracker.addWithdrawal({
+      // A última transação do lucro acumulado identifica o saque
+      await profitTracker.addWithdrawal({
+        id: this.accumulatedReferences[this.accumulatedReferences.length - 1],
         timestamp: Date.now(),
         amount: withdrawalAmount,
         asset: 'USDC',
-        destination: this.walletAddress
+        destination: this.walletAddress,
+        source: 'quickAIService'
       });
       
       // Resetar lucro acumulado após o saque
       this.accumulatedProfit = 0;
+      this.accumulatedReferences = [];
       
       console.log('Saque automático concluído com sucesso');
       return true;
@@ -5,6 +5,7 @@ import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
 import { predictiveAnalytics } from './predictiveAnalytics';
 import { getBestLendingRates } from './defiLending';
+import { normalizeSwapRoute } from '../contracts/flashLoanReceivers';
 
 // Configurações para flash loans sequenciais
 const SEQUENTIAL_CONFIG = {
@@ -50,7 +51,7 @@ class SequentialFlashLoan {
    * Inicia uma sequência de flash loans
    * @param {string} initialAsset - Ativo inicial para o primeiro flash loan
    * @param {string} initialAmount - Quantidade inicial para o primeiro flash loan
-   * @param {Array} opportunities - Lista de oportunidades identificadas
+   * @param {Array} opportunities - Lista de oportunidades identificadas ({ asset, route, buyPrice, sellPrice, network, lender })
    * @returns {Promise<Object>} - Resultado da sequência de flash loans
    */
   async startSequence(initialAsset, initialAmount, opportunities) {
@@ -60,6 +61,15 @@ class SequentialFlashLoan {
       // Gerar ID único para esta sequência
       const sequenceId = `seq-${initialAsset}-${Date.now()}`;
       
+      // Cada oportunidade traz a rota de swaps executada pelo contrato recebedor
+      try {
+        for (const opportunity of opportunities.slice(0, SEQUENTIAL_CONFIG.maxSequentialLoans)) {
+          normalizeSwapRoute(opportunity.route);
+        }
+      } catch (error) {
+        return { success: false, reason: 'invalid_route', error: error.message };
+      }
+      
       // Verificar se o gas está em um nível aceitável
       await this.checkGasPrice();
       
@@ -142,16 +152,15 @@ class SequentialFlashLoan {
         const result = await executeFlashLoan(
           currentAsset,
           currentAmount,
-          [
-            opportunity.buyExchange,
-            opportunity.sellExchange
-          ],
+          opportunity.route,
           opportunity.buyPrice,
-          opportunity.sellPrice
+          opportunity.sellPrice,
+          opportunity.walletName,
+          { network: opportunity.network, lender: opportunity.lender }
         );
         
-        // Calcular lucro e gas usado
-        const profit = result.operationResult?.profit || ethers.constants.Zero;
+        // Calcular lucro (evento FlashLoanExecuted do recebedor) e gas usado
+        const profit = result.execution?.profit || ethers.constants.Zero;
         const gasUsed = result.receipt?.gasUsed || ethers.constants.Zero;
         
         // Atualizar totais
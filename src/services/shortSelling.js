@@ -3,6 +3,7 @@ import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
 import { predictiveAnalytics } from './predictiveAnalytics';
+import { getLotTracker } from '../../lot-tracker.js';
 
 /**
  * Classe para estratégias de venda a descoberto (short selling)
@@ -53,7 +54,25 @@ class ShortSelling {
       'MATIC': 0.03 // 3% ao ano
     };
     this.updateInterval = 60000; // 1 minuto
-    this.lastUpdate = Date.now();
+    this.lastUpdate = this.now();
+  }
+
+  // Relógio e aleatoriedade da estratégia (o motor de backtest injeta o relógio do replay e o gerador com seed)
+  now() {
+    return Date.now();
+  }
+
+  random() {
+    return Math.random();
+  }
+
+  /**
+   * Previsão de movimento de preço usada na pontuação das oportunidades
+   * @param {string} asset - Símbolo do ativo
+   * @returns {Promise<Object>} - { direction, confidence, expectedChange }
+   */
+  async predictPriceMovement(asset) {
+    return predictiveAnalytics.predictPriceMovement(asset);
   }
 
   /**
@@ -93,7 +112,7 @@ class ShortSelling {
         // Verificar oportunidades de venda a descoberto
         await this.scanForShortOpportunities();
         
-        this.lastUpdate = Date.now();
+        this.lastUpdate = this.now();
       } catch (error) {
         console.error('Erro no monitoramento contínuo de venda a descoberto:', error);
       }
@@ -123,7 +142,7 @@ class ShortSelling {
         const leveragedPnLPercentage = unrealizedPnLPercentage * position.leverage;
         
         // Calcular custos de empréstimo acumulados
-        const daysSinceEntry = (Date.now() - position.startDate) / (1000 * 60 * 60 * 24);
+        const daysSinceEntry = (this.now() - position.startDate) / (1000 * 60 * 60 * 24);
         const borrowingCost = position.entryPrice * position.amount * position.borrowingFee * (daysSinceEntry / 365);
         
         // Calcular lucro/prejuízo líquido
@@ -139,7 +158,7 @@ class ShortSelling {
         position.borrowingCost = borrowingCost;
         position.netPnL = netPnL;
         position.netPnLPercentage = netPnLPercentage;
-        position.lastUpdate = Date.now();
+        position.lastUpdate = this.now();
         
         // Atualizar posição no mapa
         this.activePositions.set(positionId, position);
@@ -204,7 +223,7 @@ class ShortSelling {
         const sentimentAnalysis = await this.getSentimentAnalysis(asset);
         
         // Obter previsão de preço
-        const pricePrediction = await predictiveAnalytics.predictPriceMovement(asset);
+        const pricePrediction = await this.predictPriceMovement(asset);
         
         // Verificar sinais de venda a descoberto
         const shortSignals = this.analyzeShortSignals(asset, priceData, technicalAnalysis, sentimentAnalysis, pricePrediction);
@@ -266,18 +285,18 @@ class ShortSelling {
     const basePrice = basePrices[asset] || 1;
     
     // Adicionar variação aleatória de -2% a +2%
-    const variation = (Math.random() * 0.04) - 0.02;
+    const variation = (this.random() * 0.04) - 0.02;
     const currentPrice = basePrice * (1 + variation);
     
     // Gerar dados de preço simulados
     return {
       asset,
       price: currentPrice,
-      change24h: (Math.random() * 0.1) - 0.05, // -5% a +5%
-      volume24h: basePrice * 1000000 * (Math.random() + 0.5), // Volume proporcional ao preço
-      high24h: currentPrice * (1 + (Math.random() * 0.03)), // +0% a +3%
-      low24h: currentPrice * (1 - (Math.random() * 0.03)), // -0% a -3%
-      timestamp: Date.now()
+      change24h: (this.random() * 0.1) - 0.05, // -5% a +5%
+      volume24h: basePrice * 1000000 * (this.random() + 0.5), // Volume proporcional ao preço
+      high24h: currentPrice * (1 + (this.random() * 0.03)), // +0% a +3%
+      low24h: currentPrice * (1 - (this.random() * 0.03)), // -0% a -3%
+      timestamp: this.now()
     };
   }
 
@@ -291,11 +310,11 @@ class ShortSelling {
     // Simulação de análise técnica
     
     // Gerar indicadores técnicos aleatórios
-    const rsi = Math.random() * 100; // 0-100
-    const macd = (Math.random() * 2) - 1; // -1 a +1
-    const ema20 = await this.getCurrentPrice(asset) * (1 + ((Math.random() * 0.1) - 0.05)); // ±5% do preço atual
-    const ema50 = await this.getCurrentPrice(asset) * (1 + ((Math.random() * 0.15) - 0.075)); // ±7.5% do preço atual
-    const ema200 = await this.getCurrentPrice(asset) * (1 + ((Math.random() * 0.2) - 0.1)); // ±10% do preço atual
+    const rsi = this.random() * 100; // 0-100
+    const macd = (this.random() * 2) - 1; // -1 a +1
+    const ema20 = await this.getCurrentPrice(asset) * (1 + ((this.random() * 0.1) - 0.05)); // ±5% do preço atual
+    const ema50 = await this.getCurrentPrice(asset) * (1 + ((this.random() * 0.15) - 0.075)); // ±7.5% do preço atual
+    const ema200 = await this.getCurrentPrice(asset) * (1 + ((this.random() * 0.2) - 0.1)); // ±10% do preço atual
     const bollingerUpper = await this.getCurrentPrice(asset) * 1.05; // +5% do preço atual
     const bollingerLower = await this.getCurrentPrice(asset) * 0.95; // -5% do preço atual
     
@@ -320,7 +339,7 @@ class ShortSelling {
         priceAboveEma200: await this.getCurrentPrice(asset) > ema200,
         priceAboveBollingerUpper: await this.getCurrentPrice(asset) > bollingerUpper
       },
-      timestamp: Date.now()
+      timestamp: this.now()
     };
   }
 
@@ -334,19 +353,19 @@ class ShortSelling {
     // Simulação de análise de sentimento
     
     // Gerar sentimento aleatório (-1 a +1)
-    const sentiment = (Math.random() * 2) - 1;
+    const sentiment = (this.random() * 2) - 1;
     
     return {
       asset,
       sentiment,
       sentimentCategory: sentiment < -0.3 ? 'bearish' : sentiment > 0.3 ? 'bullish' : 'neutral',
-      confidence: 0.7 + (Math.random() * 0.3), // 0.7-1.0
+      confidence: 0.7 + (this.random() * 0.3), // 0.7-1.0
       sources: {
-        twitter: (Math.random() * 2) - 1,
-        reddit: (Math.random() * 2) - 1,
-        news: (Math.random() * 2) - 1
+        twitter: (this.random() * 2) - 1,
+        reddit: (this.random() * 2) - 1,
+        news: (this.random() * 2) - 1
       },
-      timestamp: Date.now()
+      timestamp: this.now()
     };
   }
 
@@ -449,13 +468,13 @@ class ShortSelling {
       // Caso contrário, estimar com base na análise técnica
       if (technicalAnalysis.signals.rsiOverbought && technicalAnalysis.signals.priceAboveBollingerUpper) {
         // Condições extremas de sobrecompra
-        downsidePercentage = 0.1 + (Math.random() * 0.1); // 10-20%
+        downsidePercentage = 0.1 + (this.random() * 0.1); // 10-20%
       } else if (technicalAnalysis.signals.priceAboveEma200) {
         // Acima da tendência de longo prazo
-        downsidePercentage = 0.05 + (Math.random() * 0.05); // 5-10%
+        downsidePercentage = 0.05 + (this.random() * 0.05); // 5-10%
       } else {
         // Condições moderadas
-        downsidePercentage = 0.02 + (Math.random() * 0.03); // 2-5%
+        downsidePercentage = 0.02 + (this.random() * 0.03); // 2-5%
       }
     }
     
@@ -517,10 +536,34 @@ class ShortSelling {
     const basePrice = basePrices[asset] || 1;
     
     // Adicionar variação aleatória de -2% a +2%
-    const variation = (Math.random() * 0.04) - 0.02;
+    const variation = (this.random() * 0.04) - 0.02;
     return basePrice * (1 + variation);
   }
 
+  /**
+   * Registra a abertura/recompra da posição no rastreador de lotes (conta de margem)
+   * @param {Object} position - Posição vendida
+   * @param {string} side - sell na abertura, buy na recompra
+   * @param {number} price - Preço da execução
+   * @param {number} fee - Custo de empréstimo (na moeda de cotação), somado à recompra
+   */
+  recordLotFill(position, side, price, fee = 0) {
+    try {
+      getLotTracker().recordFill({
+        strategy: 'short_selling',
+        asset: position.asset,
+        side,
+        amount: position.amount * position.leverage,
+        price,
+        fee,
+        location: 'margin',
+        id: `${position.id}-${side}`
+      });
+    } catch (error) {
+      console.error('Erro ao registrar lote da posição vendida:', error);
+    }
+  }
+
   /**
    * Cria uma nova posição vendida (short)
    * @param {string} asset - Símbolo do ativo
@@ -567,7 +610,7 @@ class ShortSelling {
       const borrowingFee = this.borrowingFees[asset] || 0.02; // 2% ao ano por padrão
       
       // Gerar ID único para a posição
-      const positionId = `short-${asset}-${leverage}x-${Date.now()}`;
+      const positionId = `short-${asset}-${leverage}x-${this.now()}`;
       
       // Criar objeto da posição
       const position = {
@@ -589,19 +632,20 @@ class ShortSelling {
         borrowingCost: 0,
         netPnL: 0,
         netPnLPercentage: 0,
-        startDate: Date.now(),
-        lastUpdate: Date.now(),
+        startDate: this.now(),
+        lastUpdate: this.now(),
         status: 'active',
         options
       };
       
       // Adicionar à lista de posições ativas
       this.activePositions.set(positionId, position);
+      this.recordLotFill(position, 'sell', currentPrice);
       
       // Adicionar ao histórico
       this.positionHistory.push({
         action: 'create',
-        timestamp: Date.now(),
+        timestamp: this.now(),
         position: { ...position }
       });
       
@@ -630,6 +674,7 @@ class ShortSelling {
       
       // Obter posição
       const position = this.activePositions.get(positionId);
+      this.recordLotFill(position, 'buy', position.currentPrice, position.borrowingCost);
       
       // Calcular resultado final
       const result = {
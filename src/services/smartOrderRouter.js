@@ -3,6 +3,15 @@ import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
 import { sentimentAnalysis } from './sentimentAnalysis';
+import { marketData } from './marketData';
+import { getOrderManager } from '../../order-manager.js';
+
+// Algoritmos de execução: fatias no tempo (TWAP), pelo perfil de volume (VWAP),
+// por participação no volume negociado (POV) e ordens com quantidade visível limitada (iceberg)
+const EXECUTION_ALGORITHMS = ['twap', 'vwap', 'pov', 'iceberg'];
+
+// Resíduos de ponto flutuante abaixo disto são tratados como zero
+const EPSILON = 1e-12;
 
 class SmartOrderRouter {
   constructor() {
@@ -11,13 +20,22 @@ class SmartOrderRouter {
     this.provider = new ethers.providers.JsonRpcProvider(blockchainConfig.infura.url);
     this.minLiquidity = ethers.utils.parseEther('1.0');
     this.maxSlippage = 0.5; // 0.5% slippage máximo
+    this.executions = new Map();
+    // Temporizadores, envio simulado e ordem ativa de cada execução (fora do estado consultável)
+    this.executionRuntime = new Map();
+    this.maxExecutions = 200;
+    // Fatia sem rota ou recusada: espera antes da próxima e, depois de tantas seguidas, a execução falha
+    this.sliceRetryDelayMs = parseInt(process.env.SOR_SLICE_RETRY_MS || '5000', 10);
+    this.maxSliceFailures = parseInt(process.env.SOR_MAX_SLICE_FAILURES || '5', 10);
   }
 
   async findOptimalRoute({
     asset,
     amount,
     exchanges,
-    maxHops = 2
+    maxHops = 2,
+    side = 'buy',
+    quote = 'USDT'
   }) {
     try {
       // Análise de mercado e sentimento
@@ -33,6 +51,8 @@ class SmartOrderRouter {
           route,
           amount,
           asset,
+          side,
+          quote,
           sentiment,
           marketConditions
         });
@@ -61,6 +81,8 @@ class SmartOrderRouter {
     route,
     amount,
     asset,
+    side,
+    quote,
     sentiment,
     marketConditions
   }) {
@@ -72,10 +94,11 @@ class SmartOrderRouter {
       efficiency: 0
     };
     
-    // Calcular métricas para cada hop
-    for (let i = 0; i < route.length - 1; i++) {
-      const fromExchange = route[i];
-      const toExchange = route[i + 1];
+    // Calcular métricas para cada hop; uma rota de uma só exchange é avaliada na própria exchange
+    const hops = route.length === 1
+      ? [[route[0], route[0]]]
+      : route.slice(0, -1).map((exchange, i) => [exchange, route[i + 1]]);
+    for (const [fromExchange, toExchange] of hops) {
       
       // Latência
       metrics.latency += await this._getExchangeLatency(fromExchange, toExchange);
@@ -89,7 +112,7 @@ class SmartOrderRouter {
       metrics.liquidity = metrics.liquidity.add(hopLiquidity);
       
       // Slippage
-      metrics.slippage += await this._calculateSlippage(fromExchange, toExchange, amount);
+      metrics.slippage += await this._calculateSlippage(fromExchange, toExchange, amount, { symbol: `${asset}/${quote}`, side });
     }
     
     // Calcular eficiência geral
@@ -118,8 +141,12 @@ class SmartOrderRouter {
     return ethers.utils.parseEther('100.0');
   }
 
-  async _calculateSlippage(fromExchange, toExchange, amount) {
-    // Simulação - Em produção, calcular baseado em order books
+  async _calculateSlippage(fromExchange, toExchange, amount, { symbol, side } = {}) {
+    // Com o livro em tempo real da exchange de destino, slippage de consumir o livro até a quantidade
+    const fill = symbol ? marketData.estimateFill(symbol, side, amount, { exchanges: [toExchange] }) : null;
+    if (fill && fill.filled >= amount) {
+      return fill.slippage * 100;
+    }
     return 0.1; // 0.1% slippage estimado
   }
 
@@ -196,6 +223,487 @@ class SmartOrderRouter {
     this.latencyMetrics.set(key, latency);
   }
 
+  /**
+   * Inicia uma execução algorítmica; cada fatia é roteada pelo findOptimalRoute (uma exchange por fatia)
+   * e enviada como ordem limitada a no máximo maxSlippage do preço atual, pelo gerenciador de ordens
+   * @param {Object} params - Parâmetros da execução
+   * @param {string} params.algorithm - twap, vwap, pov ou iceberg
+   * @param {string} params.asset - Ativo negociado
+   * @param {string} params.quote - Moeda de cotação (padrão: USDT)
+   * @param {string} params.side - buy ou sell
+   * @param {number} params.amount - Quantidade total
+   * @param {Array} params.exchanges - Exchanges candidatas (nomes dos adaptadores)
+   * @param {number} params.durationMs - Janela da execução (iceberg: opcional)
+   * @param {number} params.slices - Número de fatias (twap e vwap)
+   * @param {Array} params.volumeProfile - Peso de cada fatia no vwap (padrão: volume por hora dos últimos 7 dias)
+   * @param {number} params.participationRate - Fração do volume negociado no pov (ex: 0.1)
+   * @param {number} params.intervalMs - Intervalo entre as medições do pov (padrão: 60s)
+   * @param {number} params.displaySize - Quantidade visível de cada ordem do iceberg
+   * @param {number} params.limitPrice - Preço limite da execução inteira (opcional)
+   * @param {string} params.strategy - Estratégia que originou a execução
+   * @param {Function} params.submit - Envio simulado das ordens (opcional, ver OrderManager.submitOrder)
+   * @returns {Promise<Object>} - Execução
+   */
+  async startExecution({
+    algorithm,
+    asset,
+    quote = 'USDT',
+    side,
+    amount,
+    exchanges,
+    durationMs = null,
+    slices = 10,
+    volumeProfile = null,
+    participationRate = 0.1,
+    intervalMs = 60000,
+    displaySize = null,
+    limitPrice = null,
+    strategy = 'smartOrderRouter',
+    submit = null
+  }) {
+    if (!EXECUTION_ALGORITHMS.includes(algorithm)) {
+      throw new Error(`Algoritmo de execução não suportado: ${algorithm}`);
+    }
+    if (!['buy', 'sell'].includes(side)) throw new Error(`Lado inválido: ${side}`);
+    if (!(amount > 0)) throw new Error('A quantidade deve ser maior que zero');
+    if (!exchanges || exchanges.length === 0) throw new Error('Informe as exchanges da execução');
+    if (algorithm !== 'iceberg' && !(durationMs > 0)) throw new Error(`O ${algorithm.toUpperCase()} exige durationMs`);
+    if (algorithm === 'iceberg' && !(displaySize > 0)) throw new Error('O iceberg exige displaySize');
+    if (algorithm === 'pov' && !(participationRate > 0 && participationRate <= 1)) {
+      throw new Error('participationRate deve estar entre 0 e 1');
+    }
+
+    // POV e VWAP (sem perfil informado) dependem dos candles de volume da primeira exchange
+    if (algorithm === 'pov' || (algorithm === 'vwap' && !(volumeProfile && volumeProfile.length === slices))) {
+      await this._assertVolumeData(exchanges[0], `${asset}/${quote}`, algorithm);
+    }
+
+    const id = `${algorithm}-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+    const symbol = `${asset}/${quote}`;
+    const startedAt = Date.now();
+    const execution = {
+      id,
+      algorithm,
+      asset,
+      quote,
+      symbol,
+      side,
+      amount,
+      exchanges,
+      strategy,
+      limitPrice,
+      params: {
+        durationMs,
+        slices: algorithm === 'twap' || algorithm === 'vwap' ? slices : null,
+        participationRate: algorithm === 'pov' ? participationRate : null,
+        intervalMs: algorithm === 'pov' ? intervalMs : (durationMs ? durationMs / slices : null),
+        displaySize: algorithm === 'iceberg' ? displaySize : null
+      },
+      status: 'running',
+      filled: 0,
+      remaining: amount,
+      averagePrice: null,
+      fees: {},
+      arrivalPrice: await this._getReferencePrice(exchanges[0], symbol, side),
+      weights: null,
+      childOrders: [],
+      consecutiveFailures: 0,
+      startedAt,
+      endAt: durationMs ? startedAt + durationMs : null,
+      lastVolumeCheck: startedAt,
+      pausedAt: null,
+      finishedAt: null,
+      report: null,
+      error: null
+    };
+
+    if (algorithm === 'vwap') {
+      execution.weights = volumeProfile && volumeProfile.length === slices
+        ? volumeProfile
+        : await this._loadVolumeProfile(execution);
+    }
+
+    this.executions.set(id, execution);
+    this.executionRuntime.set(id, { timer: null, submit, activeOrder: null });
+    if (this.executions.size > this.maxExecutions) {
+      const oldest = [...this.executions.values()].find(item => item.finishedAt);
+      if (oldest) this._forgetExecution(oldest.id);
+    }
+
+    console.log(`Execução ${id} iniciada: ${algorithm.toUpperCase()} ${side} ${amount} ${symbol}`);
+    this._scheduleSlice(execution, 0);
+    return this.getExecution(id);
+  }
+
+  /**
+   * Pausa uma execução: nenhuma fatia nova é enviada e a ordem ativa é cancelada
+   * @param {string} id - ID da execução
+   * @returns {Promise<Object>} - Execução
+   */
+  async pauseExecution(id) {
+    const execution = this._requireExecution(id);
+    if (execution.status !== 'running') return this.getExecution(id);
+
+    execution.status = 'paused';
+    execution.pausedAt = Date.now();
+    await this._stopRuntime(id, 'Execução pausada');
+    return this.getExecution(id);
+  }
+
+  /**
+   * Retoma uma execução pausada; a janela é estendida pelo tempo em pausa
+   * @param {string} id - ID da execução
+   * @returns {Object} - Execução
+   */
+  resumeExecution(id) {
+    const execution = this._requireExecution(id);
+    if (execution.status !== 'paused') return this.getExecution(id);
+
+    const pausedFor = Date.now() - execution.pausedAt;
+    if (execution.endAt) execution.endAt += pausedFor;
+    execution.lastVolumeCheck = Date.now();
+    execution.pausedAt = null;
+    execution.status = 'running';
+    this._scheduleSlice(execution, 0);
+    return this.getExecution(id);
+  }
+
+  /**
+   * Cancela uma execução e a ordem ativa; o relatório considera a parte não executada
+   * @param {string} id - ID da execução
+   * @returns {Promise<Object>} - Execução
+   */
+  async cancelExecution(id) {
+    const execution = this._requireExecution(id);
+    if (!['running', 'paused'].includes(execution.status)) return this.getExecution(id);
+
+    execution.status = 'cancelled';
+    await this._stopRuntime(id, 'Execução cancelada');
+    await this._finishExecution(execution, 'cancelled');
+    return this.getExecution(id);
+  }
+
+  /**
+   * @param {string} id - ID da execução
+   * @returns {Object|null} - Execução (fatias, ordens e relatório de implementation shortfall)
+   */
+  getExecution(id) {
+    const execution = this.executions.get(id);
+    return execution ? JSON.parse(JSON.stringify(execution)) : null;
+  }
+
+  /**
+   * Lista as execuções, mais recentes primeiro
+   * @param {Object} filter - { status, algorithm }
+   * @returns {Array} - Execuções
+   */
+  getExecutions({ status, algorithm } = {}) {
+    return [...this.executions.values()]
+      .filter(execution => (!status || execution.status === status) && (!algorithm || execution.algorithm === algorithm))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(execution => this.getExecution(execution.id));
+  }
+
+  _requireExecution(id) {
+    const execution = this.executions.get(id);
+    if (!execution) throw new Error(`Execução não encontrada: ${id}`);
+    return execution;
+  }
+
+  _forgetExecution(id) {
+    this.executions.delete(id);
+    this.executionRuntime.delete(id);
+  }
+
+  async _stopRuntime(id, reason) {
+    const runtime = this.executionRuntime.get(id);
+    clearTimeout(runtime.timer);
+    runtime.timer = null;
+    if (runtime.activeOrder) {
+      try {
+        await getOrderManager().cancelOrder(runtime.activeOrder, reason);
+      } catch (error) {
+        console.error(`Erro ao cancelar a ordem ${runtime.activeOrder} da execução ${id}:`, error);
+      }
+    }
+  }
+
+  _scheduleSlice(execution, delayMs) {
+    const runtime = this.executionRuntime.get(execution.id);
+    runtime.timer = setTimeout(() => {
+      runtime.timer = null;
+      this._runSlice(execution).catch(async (error) => {
+        console.error(`Erro na execução ${execution.id}:`, error);
+        execution.error = error.message;
+        await this._finishExecution(execution, 'failed');
+      });
+    }, Math.max(0, delayMs));
+  }
+
+  /**
+   * Envia a próxima fatia e agenda a seguinte
+   */
+  async _runSlice(execution) {
+    if (execution.status !== 'running') return;
+
+    const now = Date.now();
+    if (execution.remaining <= EPSILON) return this._finishExecution(execution, 'completed');
+    if (execution.endAt && now >= execution.endAt) return this._finishExecution(execution, 'expired');
+
+    const { amount, nextDelayMs, timeoutMs } = await this._nextSlice(execution, now);
+    let delayMs = nextDelayMs;
+    if (amount > EPSILON) {
+      const child = await this._sendChildOrder(execution, amount, timeoutMs);
+      if (execution.status !== 'running') return;
+
+      // Sem rota ou recusada pela exchange: reenviar na hora repetiria a falha
+      if (['skipped', 'rejected'].includes(child.status)) {
+        execution.consecutiveFailures++;
+        if (execution.consecutiveFailures >= this.maxSliceFailures) {
+          execution.error = `${execution.consecutiveFailures} fatias seguidas sem execução: ${child.reason}`;
+          return this._finishExecution(execution, 'failed');
+        }
+        delayMs = Math.max(delayMs, this.sliceRetryDelayMs);
+      } else {
+        execution.consecutiveFailures = 0;
+      }
+    }
+
+    if (execution.remaining <= EPSILON) return this._finishExecution(execution, 'completed');
+    this._scheduleSlice(execution, delayMs);
+  }
+
+  /**
+   * Tamanho da fatia atual de acordo com o algoritmo
+   * @returns {Promise<Object>} - { amount, nextDelayMs, timeoutMs }
+   */
+  async _nextSlice(execution, now) {
+    const { algorithm, params, remaining } = execution;
+
+    if (algorithm === 'iceberg') {
+      const timeLeft = execution.endAt ? execution.endAt - now : Infinity;
+      return {
+        amount: Math.min(params.displaySize, remaining),
+        nextDelayMs: 0,
+        timeoutMs: Math.min(60000, timeLeft)
+      };
+    }
+
+    if (algorithm === 'pov') {
+      const marketVolume = await this._getTradedVolume(execution, now);
+      return {
+        amount: Math.min(remaining, marketVolume * params.participationRate),
+        nextDelayMs: params.intervalMs,
+        timeoutMs: params.intervalMs * 0.8
+      };
+    }
+
+    // TWAP e VWAP: fatias nos intervalos restantes da janela; o que não foi executado é redistribuído
+    const interval = params.durationMs / params.slices;
+    const index = Math.min(params.slices - 1, Math.floor((now - execution.startedAt - this._pausedTime(execution)) / interval));
+    const weights = execution.weights || Array(params.slices).fill(1);
+    const remainingWeight = weights.slice(index).reduce((sum, weight) => sum + weight, 0);
+    const share = remainingWeight > 0 ? weights[index] / remainingWeight : 1;
+    const nextSliceAt = execution.endAt - (params.slices - index - 1) * interval;
+
+    return {
+      amount: remaining * share,
+      nextDelayMs: Math.max(0, nextSliceAt - Date.now()),
+      timeoutMs: interval * 0.8
+    };
+  }
+
+  // Tempo em pausa já incorporado ao fim da janela
+  _pausedTime(execution) {
+    return execution.endAt - execution.startedAt - execution.params.durationMs;
+  }
+
+  /**
+   * Roteia e envia uma ordem filha e aguarda o encerramento (o restante é cancelado no prazo)
+   */
+  async _sendChildOrder(execution, amount, timeoutMs) {
+    const runtime = this.executionRuntime.get(execution.id);
+    const route = await this.findOptimalRoute({
+      asset: execution.asset,
+      amount,
+      exchanges: execution.exchanges,
+      maxHops: 1,
+      side: execution.side,
+      quote: execution.quote
+    });
+    const child = {
+      index: execution.childOrders.length + 1,
+      exchange: route ? route.route[0] : null,
+      amount,
+      limitPrice: null,
+      clientOrderId: null,
+      filled: 0,
+      averagePrice: null,
+      status: 'skipped',
+      reason: null,
+      timestamp: Date.now()
+    };
+    execution.childOrders.push(child);
+
+    if (!route) {
+      child.reason = 'Nenhuma rota dentro do slippage máximo';
+      return child;
+    }
+
+    // Preço limite a no máximo maxSlippage (%) do preço atual da exchange
+    const reference = await this._getReferencePrice(child.exchange, execution.symbol, execution.side);
+    const tolerance = this.maxSlippage / 100;
+    let limitPrice = execution.side === 'buy' ? reference * (1 + tolerance) : reference * (1 - tolerance);
+    if (execution.limitPrice) {
+      limitPrice = execution.side === 'buy' ? Math.min(limitPrice, execution.limitPrice) : Math.max(limitPrice, execution.limitPrice);
+    }
+    child.limitPrice = limitPrice;
+
+    const orderManager = getOrderManager();
+    const order = await orderManager.submitOrder({
+      exchange: child.exchange,
+      symbol: execution.symbol,
+      side: execution.side,
+      type: 'limit',
+      amount,
+      price: limitPrice,
+      strategy: execution.strategy,
+      clientOrderId: `${execution.id}-${child.index}`
+    }, { submit: runtime.submit });
+    child.clientOrderId = order.clientOrderId;
+    child.status = order.status;
+    runtime.activeOrder = order.clientOrderId;
+
+    const final = await orderManager.awaitFinal(order.clientOrderId, { timeoutMs, reason: 'Fatia não executada no prazo' });
+    runtime.activeOrder = null;
+    Object.assign(child, { filled: final.filled, averagePrice: final.averagePrice, status: final.status, reason: final.reason });
+
+    if (final.filled > 0) {
+      const cost = (execution.averagePrice || 0) * execution.filled + final.averagePrice * final.filled;
+      execution.filled += final.filled;
+      execution.remaining = Math.max(0, execution.amount - execution.filled);
+      execution.averagePrice = cost / execution.filled;
+      Object.entries(final.fees).forEach(([asset, fee]) => {
+        execution.fees[asset] = (execution.fees[asset] || 0) + fee;
+      });
+    }
+    return child;
+  }
+
+  async _getReferencePrice(exchange, symbol, side) {
+    const book = marketData.getBook(exchange, symbol, 1);
+    const [best] = book ? (side === 'buy' ? book.asks : book.bids) : [];
+    if (best) return best[0];
+
+    const adapter = await getOrderManager().getAdapter(exchange);
+    const ticker = await adapter.fetchTicker(symbol);
+    return (side === 'buy' ? ticker.ask : ticker.bid) || ticker.last;
+  }
+
+  /**
+   * Volume negociado no mercado desde a última medição (candles de 1 minuto da primeira exchange)
+   * Só entram os candles já fechados que começam a partir da última medição, e a próxima medição
+   * parte do fim do último candle contado: nenhum minuto é contado duas vezes
+   */
+  async _getTradedVolume(execution, now) {
+    const since = execution.lastVolumeCheck;
+    try {
+      const adapter = await getOrderManager().getAdapter(execution.exchanges[0]);
+      const candles = await adapter.fetchOHLCV(execution.symbol, {
+        interval: '1m',
+        since,
+        limit: Math.min(1000, Math.ceil((now - since) / 60000) + 1)
+      });
+      const closed = candles.filter(([timestamp]) => timestamp >= since && timestamp + 60000 <= now);
+      if (closed.length > 0) execution.lastVolumeCheck = closed[closed.length - 1][0] + 60000;
+      return closed.reduce((sum, candle) => sum + candle[5], 0);
+    } catch (error) {
+      console.warn(`Erro ao obter o volume negociado de ${execution.symbol}:`, error.message);
+      return 0;
+    }
+  }
+
+  async _assertVolumeData(exchange, symbol, algorithm) {
+    try {
+      const adapter = await getOrderManager().getAdapter(exchange);
+      await adapter.fetchOHLCV(symbol, { interval: '1m', limit: 1 });
+    } catch (error) {
+      throw new Error(`O ${algorithm.toUpperCase()} precisa dos candles de volume de ${symbol} na ${exchange}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Perfil de volume do VWAP: peso de cada fatia pelo volume médio da hora (UTC) em que ela cai,
+   * nos candles de 1 hora dos últimos 7 dias; sem os candles, as fatias ficam iguais (TWAP)
+   */
+  async _loadVolumeProfile(execution) {
+    const { slices, durationMs } = execution.params;
+    try {
+      const adapter = await getOrderManager().getAdapter(execution.exchanges[0]);
+      const candles = await adapter.fetchOHLCV(execution.symbol, { interval: '1h', limit: 168 });
+      const byHour = Array(24).fill(0);
+      candles.forEach(([timestamp, , , , , volume]) => {
+        byHour[new Date(timestamp).getUTCHours()] += volume;
+      });
+
+      const interval = durationMs / slices;
+      const weights = Array.from({ length: slices }, (_, index) =>
+        byHour[new Date(execution.startedAt + index * interval + interval / 2).getUTCHours()]);
+      if (weights.some(weight => weight > 0)) return weights;
+    } catch (error) {
+      console.warn(`Erro ao carregar o perfil de volume de ${execution.symbol}; usando fatias iguais:`, error.message);
+    }
+    return Array(slices).fill(1);
+  }
+
+  async _finishExecution(execution, status) {
+    if (execution.finishedAt) return;
+    execution.status = status;
+    execution.finishedAt = Date.now();
+    clearTimeout(this.executionRuntime.get(execution.id).timer);
+
+    let finalPrice = null;
+    try {
+      finalPrice = await this._getReferencePrice(execution.exchanges[0], execution.symbol, execution.side);
+    } catch (error) {
+      console.warn(`Erro ao obter o preço final de ${execution.symbol}:`, error.message);
+    }
+    execution.report = this._shortfallReport(execution, finalPrice);
+    console.log(`Execução ${execution.id} encerrada (${execution.status}): ${execution.filled}/${execution.amount} ${execution.asset}, shortfall ${execution.report.shortfallBps.toFixed(2)} bps`);
+  }
+
+  /**
+   * Implementation shortfall (Perold) frente ao preço de chegada, na moeda de cotação:
+   * custo de execução da parte executada, custo de oportunidade da parte não executada
+   * (preço final x chegada) e taxas; valores positivos são custo
+   */
+  _shortfallReport(execution, finalPrice) {
+    const direction = execution.side === 'buy' ? 1 : -1;
+    const { arrivalPrice, filled, remaining, averagePrice } = execution;
+    const executionCost = filled > 0 ? direction * (averagePrice - arrivalPrice) * filled : 0;
+    const opportunityCost = remaining > EPSILON && finalPrice ? direction * (finalPrice - arrivalPrice) * remaining : 0;
+    const fees = execution.fees[execution.quote] || 0;
+    const totalCost = executionCost + opportunityCost + fees;
+    const paperValue = arrivalPrice * execution.amount;
+
+    return {
+      arrivalPrice,
+      averagePrice,
+      finalPrice,
+      filled,
+      unfilled: remaining,
+      fillRate: filled / execution.amount,
+      executionCost,
+      opportunityCost,
+      fees,
+      totalCost,
+      shortfallBps: paperValue > 0 ? totalCost / paperValue * 10000 : 0,
+      executionCostBps: filled > 0 ? executionCost / (arrivalPrice * filled) * 10000 : 0,
+      childOrders: execution.childOrders.length,
+      durationMs: execution.finishedAt - execution.startedAt
+    };
+  }
+
   getRouteStatistics() {
     return {
       totalRoutes: this.routes.size,
@@ -209,4 +717,6 @@ class SmartOrderRouter {
   }
 }
 
-export const smartOrderRouter = new SmartOrderRouter();
\ No newline at end of file
+export const smartOrderRouter = new SmartOrderRouter();
+
+export { SmartOrderRouter };
\ No newline at end of file
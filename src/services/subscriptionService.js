@@ -1,12 +1,7 @@
 // Serviço para gerenciar assinaturas e pagamentos
-class SubscriptionService {
-  constructor() {
-    // Inicializa o armazenamento local para assinaturas se não existir
-    if (!localStorage.getItem('subscriptions')) {
-      localStorage.setItem('subscriptions', JSON.stringify([]));
-    }
-  }
+import { getRepository } from '../repositories';
 
+class SubscriptionService {
   // Planos de assinatura disponíveis
   getSubscriptionPlans() {
     return [
@@ -113,12 +108,9 @@ class SubscriptionService {
         createdAt: new Date().toISOString()
       };
       
-      // Salva a assinatura no armazenamento local
-      const subscriptions = JSON.parse(localStorage.getItem('subscriptions'));
-      subscriptions.push(subscription);
-      localStorage.setItem('subscriptions', JSON.stringify(subscriptions));
-      
-      return subscription;
+      // Salva a assinatura no repositório
+      const repository = await getRepository();
+      return await repository.createSubscription(subscription);
     } catch (error) {
       throw error;
     }
@@ -140,38 +132,32 @@ class SubscriptionService {
   }
 
   // Obter assinaturas de um usuário
-  getUserSubscriptions(userId) {
-    const subscriptions = JSON.parse(localStorage.getItem('subscriptions'));
-    return subscriptions.filter(sub => sub.userId === userId);
+  async getUserSubscriptions(userId) {
+    const repository = await getRepository();
+    return repository.findSubscriptionsByUserId(userId);
   }
 
   // Obter a assinatura ativa de um usuário
-  getActiveSubscription(userId) {
-    const userSubscriptions = this.getUserSubscriptions(userId);
+  async getActiveSubscription(userId) {
+    const userSubscriptions = await this.getUserSubscriptions(userId);
     return userSubscriptions.find(sub => this.isSubscriptionActive(sub));
   }
 
-  // Cancelar uma assinatura
-  async cancelSubscription(subscriptionId) {
-    try {
-      // Simula uma chamada de API
-      await new Promise(resolve => setTimeout(resolve, 800));
-      
-      const subscriptions = JSON.parse(localStorage.getItem('subscriptions'));
-      const index = subscriptions.findIndex(sub => sub.id === subscriptionId);
-      
-      if (index === -1) throw new Error('Assinatura não encontrada');
-      
-      // Atualiza o status da assinatura
-      subscriptions[index].isActive = false;
-      subscriptions[index].canceledAt = new Date().toISOString();
-      
-      localStorage.setItem('subscriptions', JSON.stringify(subscriptions));
-      
-      return subscriptions[index];
-    } catch (error) {
+  // Cancelar uma assinatura do usuário
+  async cancelSubscription(userId, subscriptionId) {
+    const userSubscriptions = await this.getUserSubscriptions(userId);
+    if (!userSubscriptions.some(sub => sub.id === subscriptionId)) {
+      const error = new Error('Assinatura não encontrada');
+      error.status = 404;
       throw error;
     }
+
+    // Atualiza o status da assinatura
+    const repository = await getRepository();
+    return repository.updateSubscription(subscriptionId, {
+      isActive: false,
+      canceledAt: new Date().toISOString()
+    });
   }
 }
 
@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
+import { capitalGainsTax } from './capitalGainsTax';
 
 class TaxOptimizer {
   constructor() {
@@ -117,7 +118,18 @@ class TaxOptimizer {
     return ethers.utils.formatEther(mainnetCost.sub(optimizedCost));
   }
 
-  async generateTaxReport(startDate, endDate) {
+  /**
+   * Relatório de ganho de capital do usuário para a Receita Federal (ver capitalGainsTax)
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { year, method: average|fifo|lifo|hifo }
+   * @returns {Promise<Object>} - Apuração mensal, imposto e DARF
+   */
+  async generateTaxReport(userId, options = {}) {
+    return capitalGainsTax.generateReport(userId, options);
+  }
+
+  // Economia de gás obtida com as transações enviadas pelas redes layer 2
+  async generateGasSavingsReport(startDate, endDate) {
     const relevantTransactions = this.transactions.filter(
       tx => tx.timestamp >= startDate && tx.timestamp <= endDate
     );
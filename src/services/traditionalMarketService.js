@@ -4,7 +4,7 @@
  * Este serviço implementa a integração com mercados financeiros tradicionais,
  * incluindo forex, bolsas de valores, commodities e o BTG Pactual Trader.
  * 
- * Acesso exclusivo para: Tiago José Mendes
+ * Acesso restrito a usuários com a permissão traditionalMarket:monitor (ver access-control.cjs)
  * 
  * AVISO: Este código contém informações confidenciais e está protegido por NDA.
  * Não compartilhe ou distribua este código sem autorização expressa.
@@ -13,13 +13,10 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import btgPactualService from './btgPactualService.js';
+import { PERMISSIONS, hasPermission, assertPermission } from '../../access-control.cjs';
 
 dotenv.config();
 
-// Configuração de segurança - acesso restrito
-const AUTHORIZED_USER = 'Tiago José Mendes';
-const AUTHORIZED_USER_ID = 'user1'; // ID do usuário no sistema
-
 /**
  * Classe para integração com mercados financeiros tradicionais
  * Implementa monitoramento de mercado e notificações em tempo real
@@ -28,6 +25,7 @@ class TraditionalMarketService {
   constructor() {
     this.isInitialized = false;
     this.btgPactualService = btgPactualService;
+    this.currentUser = null;
     this.markets = {
       forex: [],
       stocks: [],
@@ -37,23 +35,23 @@ class TraditionalMarketService {
   }
 
   /**
-   * Inicializa o serviço com verificação de segurança
-   * @param {string} userId - ID do usuário que está tentando acessar o serviço
-   * @param {string} userName - Nome do usuário que está tentando acessar o serviço
+   * Inicializa o serviço com verificação de permissão
+   * @param {Object} user - Usuário que está tentando acessar o serviço ({ id, name, role, permissions })
    * @returns {boolean} - Retorna true se o acesso for autorizado
    */
-  initialize(userId, userName) {
-    // Verificação de segurança - apenas o usuário autorizado pode acessar
-    if (userId !== AUTHORIZED_USER_ID || userName !== AUTHORIZED_USER) {
+  initialize(user) {
+    // Verificação de segurança - apenas usuários com permissão de monitoramento podem acessar
+    if (!hasPermission(user, PERMISSIONS.TRADITIONAL_MARKET_MONITOR)) {
       console.error('Acesso não autorizado ao TraditionalMarketService');
       return false;
     }
 
     // Inicializa o serviço BTG Pactual
-    this.btgPactualService.initialize(userId, userName);
+    this.btgPactualService.initialize(user);
 
+    this.currentUser = user;
     this.isInitialized = true;
-    console.log(`Traditional Market Service inicializado para ${userName}`);
+    console.log(`Traditional Market Service inicializado para ${user.name}`);
     return true;
   }
 
@@ -67,8 +65,10 @@ class TraditionalMarketService {
     }
 
     try {
-      // Monitora operações no BTG Pactual Trader
-      const btgOperations = await this.btgPactualService.monitorOperations();
+      // Monitora operações no BTG Pactual Trader (somente se o usuário tiver acesso ao BTG)
+      const btgOperations = this.btgPactualService.isInitialized
+        ? await this.btgPactualService.monitorOperations()
+        : [];
       
       // Aqui seriam implementadas outras integrações com mercados financeiros
       // Por enquanto, estamos focando apenas no BTG Pactual Trader
@@ -94,6 +94,7 @@ class TraditionalMarketService {
     if (!this.isInitialized) {
       throw new Error('Serviço não inicializado ou acesso não autorizado');
     }
+    assertPermission(this.currentUser, PERMISSIONS.TRADITIONAL_MARKET_ANALYZE);
 
     try {
       // Aqui seria implementada a integração real com APIs de dados financeiros
@@ -0,0 +1,840 @@
+import { ethers } from 'ethers';
+import { blockchainConfig } from '../config/api';
+import { getRepository } from '../repositories';
+
+/**
+ * Importação de histórico externo para a tabela de operações
+ *
+ * Lê os CSVs de negociações, depósitos e saques exportados pelas exchanges de cexConfig
+ * e o histórico on-chain de uma carteira (transferências nativas e de tokens ERC-20),
+ * normaliza cada linha em uma operação do repositório (mesmo contrato de
+ * userProfitService) e descarta as linhas já importadas.
+ *
+ * O ID de cada operação importada é derivado do identificador da exchange/transação
+ * (ou, sem identificador, dos campos da linha), então importar o mesmo arquivo ou
+ * exportações sobrepostas não duplica operações. Operações importadas não têm lucro
+ * nem taxa da plataforma; a taxa cobrada pela exchange/rede fica em details.fee
+ */
+
+// Moedas de cotação reconhecidas em pares sem separador (BTCUSDT), das mais longas às mais curtas
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'DAI', 'BRL', 'EUR', 'USD', 'GBP', 'TRY', 'BTC', 'ETH', 'BNB'];
+
+// Situações de depósito/saque consideradas concluídas (quando o arquivo tem a coluna de status)
+const COMPLETED_STATUSES = ['completed', 'complete', 'success', 'successful', 'succeeded', 'finished', 'done', 'credited', 'confirmed', '1'];
+
+// Códigos de ativos da Kraken que não seguem o padrão X/Z + símbolo
+const KRAKEN_ASSETS = {
+  XBT: 'BTC',
+  XDG: 'DOGE'
+};
+
+// Moedas de cotação da Kraken (pares sem separador como XBTUSD e USDTUSD)
+const KRAKEN_QUOTE_ASSETS = ['USDT', 'USDC', 'USD', 'EUR', 'GBP', 'CAD', 'JPY', 'CHF', 'AUD', 'XBT', 'ETH', 'DAI'];
+
+// Redes para o histórico on-chain (nomes do EtherscanProvider do ethers)
+const ONCHAIN_NETWORKS = {
+  mainnet: {
+    rpc: `https://eth-mainnet.alchemyapi.io/v2/${blockchainConfig.alchemy.apiKey}`,
+    etherscan: 'homestead',
+    nativeAsset: 'ETH'
+  },
+  polygon: {
+    rpc: 'https://polygon-rpc.com',
+    etherscan: 'matic',
+    nativeAsset: 'MATIC'
+  },
+  optimism: {
+    rpc: 'https://mainnet.optimism.io',
+    etherscan: 'optimism',
+    nativeAsset: 'ETH'
+  },
+  arbitrum: {
+    rpc: 'https://arb1.arbitrum.io/rpc',
+    etherscan: 'arbitrum',
+    nativeAsset: 'ETH'
+  }
+};
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+function importError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Separa um CSV em linhas e campos (aspas duplas, "" escapado, quebras de linha dentro de aspas)
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {Array<Array<string>>} - Linhas com os campos
+ */
+export function parseCsvRows(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map(fields => fields.map(value => value.trim()));
+}
+
+// "$1,234.56", "-$5.00", "1234.56 USD" -> número
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).replace(/,/g, '').trim();
+  const match = text.match(/\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|\.\d+/);
+  if (!match) return null;
+  const number = parseFloat(match[0]);
+  return text.startsWith('-') ? -number : number;
+};
+
+// "0.00100000BTC" -> { value: 0.001, asset: 'BTC' } (formato das colunas da Binance)
+const parseAmountWithAsset = (value) => {
+  const match = String(value || '').replace(/,/g, '').match(/^(-?[\d.]+(?:[eE][-+]?\d+)?)\s*([A-Za-z][A-Za-z0-9]*)?$/);
+  if (!match) return { value: null, asset: null };
+  return { value: parseFloat(match[1]), asset: match[2] ? match[2].toUpperCase() : null };
+};
+
+/**
+ * Converte a data de uma linha em milissegundos
+ * Datas sem fuso usam o deslocamento do cabeçalho (ex.: "Time(UTC+08:00)"), ou UTC
+ * @param {string} value - Data (ISO, "AAAA-MM-DD HH:MM:SS", "AA-MM-DD HH:MM:SS" ou epoch)
+ * @param {number} offsetMinutes - Deslocamento do fuso em minutos
+ * @returns {number|null} - Timestamp em milissegundos
+ */
+export function parseTimestamp(value, offsetMinutes = 0) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    return number > 1e12 ? Math.round(number) : Math.round(number * 1000);
+  }
+
+  const local = text.match(/^(\d{2}|\d{4})[-/](\d{2})[-/](\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?$/);
+  if (local) {
+    const [, year, month, day, hour, minute, second = '0', fraction = '0'] = local;
+    const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+    const ms = Number(fraction.padEnd(3, '0').slice(0, 3));
+    return Date.UTC(fullYear, Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), ms)
+      - offsetMinutes * 60000;
+  }
+
+  const parsed = Date.parse(text.replace(/ UTC$/, 'Z').replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T'));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Fuso declarado no nome da coluna de data ("Date(UTC+0)", "Filled Time(UTC+08:00)")
+const headerOffsetMinutes = (header) => {
+  const match = String(header || '').match(/UTC\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const normalizeSide = (value) => {
+  const side = String(value || '').trim().toLowerCase();
+  if (['buy', 'b', 'bid'].includes(side) || side.endsWith(' buy')) return 'buy';
+  if (['sell', 's', 'ask'].includes(side) || side.endsWith(' sell')) return 'sell';
+  return null;
+};
+
+const normalizeTransferType = (value) => {
+  const type = String(value || '').toLowerCase();
+  if (type.includes('deposit') || type.includes('receive')) return 'deposit';
+  if (type.includes('withdraw') || type.includes('send')) return 'withdrawal';
+  return null;
+};
+
+/**
+ * Separa um par em ativo base e moeda de cotação (BTC/USDT, BTC-USDT, BTC_USDT ou BTCUSDT)
+ * @param {string} pair - Par negociado
+ * @param {Array<string>} quoteAssets - Moedas de cotação aceitas em pares sem separador
+ * @returns {Object|null} - { base, quote }
+ */
+export function splitPair(pair, quoteAssets = QUOTE_ASSETS) {
+  const symbol = String(pair || '').trim().toUpperCase();
+  const separated = symbol.split(/[/\-_ ]/).filter(Boolean);
+  if (separated.length === 2) return { base: separated[0], quote: separated[1] };
+
+  const quote = quoteAssets.find(candidate => symbol.length > candidate.length && symbol.endsWith(candidate));
+  return quote ? { base: symbol.slice(0, -quote.length), quote } : null;
+}
+
+// XXBT -> BTC, ZUSD -> USD, ETH2.S -> ETH2
+const normalizeKrakenAsset = (asset) => {
+  let symbol = String(asset || '').toUpperCase().replace(/\.[SMFBP]$/, '');
+  if (symbol.length === 4 && /^[XZ]/.test(symbol)) symbol = symbol.slice(1);
+  return KRAKEN_ASSETS[symbol] || symbol;
+};
+
+const splitKrakenPair = (pair) => {
+  const symbol = String(pair || '').toUpperCase();
+  if (symbol.includes('/')) {
+    const [base, quote] = symbol.split('/');
+    return { base: normalizeKrakenAsset(base), quote: normalizeKrakenAsset(quote) };
+  }
+  if (symbol.length === 8 && /^[XZ]/.test(symbol) && /^[XZ]/.test(symbol.slice(4))) {
+    return { base: normalizeKrakenAsset(symbol.slice(0, 4)), quote: normalizeKrakenAsset(symbol.slice(4)) };
+  }
+  const split = splitPair(symbol, KRAKEN_QUOTE_ASSETS);
+  return split && { base: normalizeKrakenAsset(split.base), quote: normalizeKrakenAsset(split.quote) };
+};
+
+function lineError(message) {
+  const error = new Error(message);
+  error.skip = true;
+  return error;
+}
+
+// Valida e completa um registro normalizado
+function checkRecord(record) {
+  if (!record.timestamp) throw lineError('data inválida');
+  if (!record.asset) throw lineError('ativo ausente');
+  if (!(record.amount > 0)) throw lineError('quantidade inválida');
+  if (record.type === 'trade' && !record.side) throw lineError('lado da negociação (compra/venda) inválido');
+  if (record.type === 'trade' && !record.quoteAsset) throw lineError('par negociado não reconhecido');
+  if (record.type === 'trade' && !(record.price > 0) && record.total > 0) {
+    record.price = record.total / record.amount;
+  }
+  return record;
+}
+
+const checkStatus = (status) => {
+  if (status && !COMPLETED_STATUSES.includes(String(status).trim().toLowerCase())) {
+    throw lineError(`situação "${status}" não concluída`);
+  }
+};
+
+const transferTypeOf = (value, context) => {
+  const type = context.type || normalizeTransferType(value);
+  if (!type) throw lineError('informe se o arquivo é de depósitos (deposit) ou saques (withdrawal)');
+  return type;
+};
+
+// Binance: histórico de negociações (Executed/Amount/Fee trazem o ativo junto do valor)
+function parseBinanceTrade(row, context) {
+  const pair = splitPair(row.get('Pair'));
+  const executed = parseAmountWithAsset(row.get('Executed'));
+  const total = parseAmountWithAsset(row.get('Amount'));
+  const fee = parseAmountWithAsset(row.get('Fee'));
+  return [{
+    timestamp: parseTimestamp(row.get(['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)']), context.offsetMinutes),
+    type: 'trade',
+    side: normalizeSide(row.get('Side')),
+    asset: executed.asset || (pair && pair.base),
+    quoteAsset: total.asset || (pair && pair.quote),
+    amount: executed.value,
+    price: parseNumber(row.get('Price')),
+    total: total.value,
+    fee: fee.value || 0,
+    feeAsset: fee.asset
+  }];
+}
+
+// Binance: histórico de depósitos ou de saques (o tipo vem da opção de importação)
+function parseBinanceTransfer(row, context) {
+  checkStatus(row.get('Status'));
+  const txHash = row.get(['TXID', 'TxID']);
+  return [{
+    externalId: txHash || null,
+    timestamp: parseTimestamp(row.get(['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)']), context.offsetMinutes),
+    type: transferTypeOf(row.get('Type'), context),
+    asset: String(row.get('Coin') || '').toUpperCase(),
+    amount: Math.abs(parseNumber(row.get('Amount'))),
+    fee: parseNumber(row.get(['TransactionFee', 'Fee'])) || 0,
+    feeAsset: String(row.get('Coin') || '').toUpperCase(),
+    txHash,
+    address: row.get('Address'),
+    network: row.get('Network')
+  }];
+}
+
+// Coinbase: relatório de transações (compras, vendas, conversões, envios, recebimentos e rendimentos)
+function parseCoinbaseTransaction(row, context) {
+  const kind = String(row.get('Transaction Type') || '').toLowerCase();
+  const asset = String(row.get('Asset') || '').toUpperCase();
+  const quoteAsset = String(row.get(['Price Currency', 'Spot Price Currency']) || '').toUpperCase();
+  const base = {
+    externalId: row.get('ID') || null,
+    timestamp: parseTimestamp(row.get('Timestamp'), context.offsetMinutes),
+    asset,
+    amount: Math.abs(parseNumber(row.get('Quantity Transacted'))),
+    price: parseNumber(row.get(['Price at Transaction', 'Spot Price at Transaction'])),
+    quoteAsset,
+    total: Math.abs(parseNumber(row.get('Subtotal')) || 0) || null,
+    fee: Math.abs(parseNumber(row.get(['Fees and/or Spread', 'Fees'])) || 0),
+    feeAsset: quoteAsset
+  };
+
+  if (kind === 'convert') {
+    // "Converted 0.5 ETH to 1,000.00 USDC": venda do ativo de origem e compra do de destino
+    const match = String(row.get('Notes') || '').match(/Converted ([\d.,]+) (\w+) to ([\d.,]+) (\w+)/i);
+    if (!match) throw lineError('conversão sem descrição "Converted X to Y" nas notas');
+    const targetAmount = parseNumber(match[3]);
+    const value = base.total || base.amount * base.price;
+    return [
+      { ...base, externalId: base.externalId && `${base.externalId}:sell`, type: 'trade', side: 'sell' },
+      {
+        ...base,
+        externalId: base.externalId && `${base.externalId}:buy`,
+        type: 'trade',
+        side: 'buy',
+        asset: match[4].toUpperCase(),
+        amount: targetAmount,
+        price: targetAmount > 0 ? value / targetAmount : null,
+        total: value,
+        fee: 0
+      }
+    ];
+  }
+  if (kind.includes('buy') || kind.includes('sell')) {
+    return [{ ...base, type: 'trade', side: normalizeSide(kind) }];
+  }
+  if (kind.includes('income') || kind.includes('reward') || kind === 'coinbase earn') {
+    return [{ ...base, type: 'income' }];
+  }
+  const transferType = normalizeTransferType(kind);
+  if (transferType) {
+    return [{ ...base, type: transferType }];
+  }
+  throw lineError(`tipo de transação "${row.get('Transaction Type')}" não suportado`);
+}
+
+// Kraken: trades.csv (taxa na moeda de cotação)
+function parseKrakenTrade(row, context) {
+  const pair = splitKrakenPair(row.get('pair'));
+  return [{
+    externalId: row.get('txid') || null,
+    timestamp: parseTimestamp(row.get('time'), context.offsetMinutes),
+    type: 'trade',
+    side: normalizeSide(row.get('type')),
+    asset: pair && pair.base,
+    quoteAsset: pair && pair.quote,
+    amount: parseNumber(row.get('vol')),
+    price: parseNumber(row.get('price')),
+    total: parseNumber(row.get('cost')),
+    fee: parseNumber(row.get('fee')) || 0,
+    feeAsset: pair && pair.quote
+  }];
+}
+
+// Kraken: ledgers.csv (somente depósitos, saques e recompensas; os trades vêm de trades.csv)
+function parseKrakenLedger(row, context) {
+  const kind = String(row.get('type') || '').toLowerCase();
+  const type = kind === 'deposit' ? 'deposit'
+    : kind === 'withdrawal' ? 'withdrawal'
+    : ['staking', 'earn', 'reward'].includes(kind) ? 'income'
+    : null;
+  if (!type) {
+    throw lineError(kind === 'trade' ? 'lançamento de trade (importe o trades.csv)' : `lançamento "${kind}" não importado`);
+  }
+  // Lançamentos sem txid ainda não foram confirmados pela Kraken
+  if (!row.get('txid')) throw lineError('lançamento sem txid (não confirmado)');
+  const asset = normalizeKrakenAsset(row.get('asset'));
+  return [{
+    externalId: row.get('txid'),
+    timestamp: parseTimestamp(row.get('time'), context.offsetMinutes),
+    type,
+    asset,
+    amount: Math.abs(parseNumber(row.get('amount'))),
+    fee: parseNumber(row.get('fee')) || 0,
+    feeAsset: asset
+  }];
+}
+
+// Colunas comuns às exportações das demais exchanges (KuCoin, MEXC, Gate.io, Bybit, Bitget)
+const GENERIC_COLUMNS = {
+  time: ['Time', 'Date', 'Date(UTC)', 'Time(UTC)', 'Trade Time', 'Filled Time', 'Created Time', 'Order Time', 'Timestamp', 'tradeCreatedAt', 'createdAt'],
+  pair: ['Pair', 'Symbol', 'Market', 'Trading Pair', 'Contracts', 'symbol'],
+  side: ['Side', 'Direction', 'Order Side', 'side'],
+  price: ['Price', 'Avg. Filled Price', 'Filled Price', 'Exec Price', 'Average Price', 'Avg Price', 'price'],
+  amount: ['Amount', 'Quantity', 'Filled Amount', 'Filled', 'Filled Qty', 'Exec Qty', 'Executed', 'Qty', 'size'],
+  total: ['Total', 'Filled Volume', 'Funds', 'Exec Value', 'Volume', 'Trading Total', 'Order Value', 'funds'],
+  fee: ['Fee', 'Fees', 'Trading Fee', 'Trading Fees', 'Exec Fee', 'fee'],
+  feeAsset: ['Fee Currency', 'Fee Coin', 'Fee Asset', 'Fee Token', 'feeCurrency'],
+  id: ['Trade ID', 'TradeId', 'Order ID', 'Order No.', 'orderId', 'ID'],
+  asset: ['Coin', 'Currency', 'Asset', 'Token', 'coin', 'currency'],
+  txHash: ['TxID', 'TXID', 'Txid', 'TxHash', 'Transaction Hash', 'Hash', 'Transaction ID'],
+  address: ['Address', 'Deposit Address', 'Withdrawal Address', 'To Address'],
+  network: ['Network', 'Chain', 'Transfer Network'],
+  status: ['Status'],
+  transferType: ['Type', 'Remarks', 'Direction']
+};
+
+function parseGenericTrade(row, context) {
+  const pair = splitPair(row.get(GENERIC_COLUMNS.pair));
+  const amount = parseAmountWithAsset(row.get(GENERIC_COLUMNS.amount));
+  const total = parseAmountWithAsset(row.get(GENERIC_COLUMNS.total));
+  const fee = parseAmountWithAsset(row.get(GENERIC_COLUMNS.fee));
+  return [{
+    externalId: row.get(GENERIC_COLUMNS.id) || null,
+    timestamp: parseTimestamp(row.get(GENERIC_COLUMNS.time), context.offsetMinutes),
+    type: 'trade',
+    side: normalizeSide(row.get(GENERIC_COLUMNS.side)),
+    asset: pair && pair.base,
+    quoteAsset: pair && pair.quote,
+    amount: amount.value,
+    price: parseNumber(row.get(GENERIC_COLUMNS.price)),
+    total: total.value,
+    fee: fee.value || 0,
+    feeAsset: String(row.get(GENERIC_COLUMNS.feeAsset) || fee.asset || (pair && pair.quote) || '').toUpperCase()
+  }];
+}
+
+function parseGenericTransfer(row, context) {
+  checkStatus(row.get(GENERIC_COLUMNS.status));
+  const asset = String(row.get(GENERIC_COLUMNS.asset) || '').toUpperCase();
+  const txHash = row.get(GENERIC_COLUMNS.txHash);
+  return [{
+    externalId: txHash || null,
+    timestamp: parseTimestamp(row.get(GENERIC_COLUMNS.time), context.offsetMinutes),
+    type: transferTypeOf(row.get(GENERIC_COLUMNS.transferType), context),
+    asset,
+    amount: Math.abs(parseAmountWithAsset(row.get(GENERIC_COLUMNS.amount)).value),
+    fee: parseNumber(row.get(GENERIC_COLUMNS.fee)) || 0,
+    feeAsset: asset,
+    txHash,
+    address: row.get(GENERIC_COLUMNS.address),
+    network: row.get(GENERIC_COLUMNS.network)
+  }];
+}
+
+const GENERIC_FORMATS = [
+  {
+    name: 'trades',
+    columns: [GENERIC_COLUMNS.time, GENERIC_COLUMNS.pair, GENERIC_COLUMNS.side, GENERIC_COLUMNS.amount],
+    timeColumn: GENERIC_COLUMNS.time,
+    parse: parseGenericTrade
+  },
+  {
+    name: 'transfers',
+    columns: [GENERIC_COLUMNS.time, GENERIC_COLUMNS.asset, GENERIC_COLUMNS.amount],
+    timeColumn: GENERIC_COLUMNS.time,
+    parse: parseGenericTransfer
+  }
+];
+
+/**
+ * Formatos de CSV por exchange (chaves de cexConfig), na ordem de detecção
+ * columns: colunas obrigatórias do cabeçalho (lista = nomes alternativos)
+ */
+const CSV_FORMATS = {
+  binance: [
+    {
+      name: 'trades',
+      columns: [['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)'], 'Pair', 'Side', 'Price', 'Executed', 'Amount', 'Fee'],
+      timeColumn: ['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)'],
+      parse: parseBinanceTrade
+    },
+    {
+      name: 'transfers',
+      columns: [['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)'], 'Coin', 'Amount', ['TXID', 'TxID']],
+      timeColumn: ['Date(UTC)', 'Date(UTC+0)', 'Date (UTC)'],
+      parse: parseBinanceTransfer
+    }
+  ],
+  coinbase: [
+    {
+      name: 'transactions',
+      columns: ['Timestamp', 'Transaction Type', 'Asset', 'Quantity Transacted'],
+      timeColumn: ['Timestamp'],
+      parse: parseCoinbaseTransaction
+    }
+  ],
+  kraken: [
+    {
+      name: 'trades',
+      columns: ['txid', 'pair', 'time', 'type', 'price', 'cost', 'fee', 'vol'],
+      timeColumn: ['time'],
+      parse: parseKrakenTrade
+    },
+    {
+      name: 'ledgers',
+      columns: ['txid', 'refid', 'time', 'type', 'asset', 'amount', 'fee'],
+      timeColumn: ['time'],
+      parse: parseKrakenLedger
+    }
+  ],
+  kucoin: GENERIC_FORMATS,
+  mexc: GENERIC_FORMATS,
+  gateio: GENERIC_FORMATS,
+  bybit: GENERIC_FORMATS,
+  bitget: GENERIC_FORMATS
+};
+
+export const SUPPORTED_EXCHANGES = Object.keys(CSV_FORMATS);
+export const SUPPORTED_NETWORKS = Object.keys(ONCHAIN_NETWORKS);
+
+// Índice das colunas do cabeçalho; os nomes são comparados sem diferenciar maiúsculas
+// e ignorando o fuso entre parênteses ("Filled Time(UTC+08:00)" == "Filled Time")
+const columnKey = (name) => String(name).trim().toLowerCase().replace(/\s*\(utc[^)]*\)$/, '');
+
+function createRowReader(header) {
+  const index = new Map();
+  header.forEach((name, i) => {
+    for (const key of [String(name).trim().toLowerCase(), columnKey(name)]) {
+      if (!index.has(key)) index.set(key, i);
+    }
+  });
+  const find = (names) => {
+    for (const name of [].concat(names)) {
+      const key = String(name).trim().toLowerCase();
+      if (index.has(key)) return index.get(key);
+      if (index.has(columnKey(key))) return index.get(columnKey(key));
+    }
+    return -1;
+  };
+
+  return {
+    has: (names) => find(names) !== -1,
+    header: (names) => header[find(names)],
+    bind: (fields) => ({
+      get: (names) => {
+        const i = find(names);
+        return i === -1 || fields[i] === undefined || fields[i] === '' ? null : fields[i];
+      }
+    })
+  };
+}
+
+// Localiza o cabeçalho (a Coinbase inclui linhas de apresentação antes dele) e o formato
+function detectFormat(rows, formats) {
+  const limit = Math.min(rows.length, 20);
+  for (let line = 0; line < limit; line++) {
+    const reader = createRowReader(rows[line]);
+    const format = formats.find(candidate => candidate.columns.every(column => reader.has(column)));
+    if (format) return { format, reader, headerLine: line };
+  }
+  return null;
+}
+
+class TransactionImporter {
+  constructor() {
+    this.providers = {};
+    this.tokenMetadata = {};
+  }
+
+  /**
+   * Lê um CSV exportado por uma exchange
+   * @param {string} exchange - Exchange (chave de cexConfig)
+   * @param {string} content - Conteúdo do arquivo
+   * @param {Object} options - { type: deposit|withdrawal para arquivos de depósitos/saques sem coluna de tipo }
+   * @returns {Object} - { format, records, skipped: [{ line, reason }] }
+   */
+  parseCsv(exchange, content, { type } = {}) {
+    const formats = CSV_FORMATS[String(exchange || '').toLowerCase()];
+    if (!formats) {
+      throw importError(`Exchange não suportada. Use ${SUPPORTED_EXCHANGES.join(', ')}.`);
+    }
+    if (type && !['deposit', 'withdrawal'].includes(type)) {
+      throw importError('Tipo inválido. Use deposit ou withdrawal.');
+    }
+
+    const rows = parseCsvRows(content);
+    const detected = detectFormat(rows, formats);
+    if (!detected) {
+      throw importError(`Arquivo não reconhecido como exportação da ${exchange}.`);
+    }
+
+    const { format, reader, headerLine } = detected;
+    const context = { type, offsetMinutes: headerOffsetMinutes(reader.header(format.timeColumn)) };
+    const records = [];
+    const skipped = [];
+
+    for (let i = headerLine + 1; i < rows.length; i++) {
+      const fields = rows[i];
+      if (fields.every(value => value === '')) continue;
+      try {
+        for (const record of format.parse(reader.bind(fields), context)) {
+          records.push({ ...checkRecord(record), line: i + 1 });
+        }
+      } catch (error) {
+        if (!error.skip) throw error;
+        skipped.push({ line: i + 1, reason: error.message });
+      }
+    }
+
+    return { format: `${exchange}-${format.name}`, records, skipped };
+  }
+
+  /**
+   * Importa um CSV exportado por uma exchange para as operações do usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { exchange, content, type }
+   * @returns {Promise<Object>} - { format, imported, duplicates, skipped, operations }
+   */
+  async importCsv(userId, { exchange, content, type } = {}) {
+    try {
+      const { format, records, skipped } = this.parseCsv(exchange, content, { type });
+      const result = await this.saveRecords(userId, records, { exchange: exchange.toLowerCase(), format });
+      return { ...result, skipped };
+    } catch (error) {
+      console.error('Erro ao importar CSV:', error);
+      throw error;
+    }
+  }
+
+  getProvider(network) {
+    if (!this.providers[network]) {
+      this.providers[network] = new ethers.providers.JsonRpcProvider(ONCHAIN_NETWORKS[network].rpc);
+    }
+    return this.providers[network];
+  }
+
+  async getTokenMetadata(network, address) {
+    const key = `${network}:${address.toLowerCase()}`;
+    if (!this.tokenMetadata[key]) {
+      const token = new ethers.Contract(address, ERC20_METADATA_ABI, this.getProvider(network));
+      const decimals = await token.decimals();
+      // Tokens antigos devolvem o símbolo como bytes32; nesse caso fica o endereço do contrato
+      const symbol = await token.symbol().catch(() => address);
+      this.tokenMetadata[key] = { symbol: symbol.toUpperCase(), decimals };
+    }
+    return this.tokenMetadata[key];
+  }
+
+  /**
+   * Lê o histórico on-chain de uma carteira: transferências do ativo nativo (via Etherscan)
+   * e de tokens ERC-20 (eventos Transfer), como depósitos e saques da carteira
+   * Transações sem valor (chamadas de contrato) e transações revertidas ficam de fora
+   * @param {Object} options - { address, network, fromBlock, toBlock, blockRange }
+   * @returns {Promise<Object>} - { format, records, skipped }
+   */
+  async fetchOnChainHistory({
+    address,
+    network = 'mainnet',
+    fromBlock = 0,
+    toBlock = 'latest',
+    blockRange = parseInt(process.env.ONCHAIN_LOG_BLOCK_RANGE || '100000', 10)
+  } = {}) {
+    if (!ethers.utils.isAddress(address || '')) {
+      throw importError('Endereço de carteira inválido.');
+    }
+    const config = ONCHAIN_NETWORKS[network];
+    if (!config) {
+      throw importError(`Rede não suportada. Use ${SUPPORTED_NETWORKS.join(', ')}.`);
+    }
+
+    const wallet = ethers.utils.getAddress(address);
+    const provider = this.getProvider(network);
+    const lastBlock = toBlock === 'latest' ? await provider.getBlockNumber() : Number(toBlock);
+    const records = [];
+    const skipped = [];
+    const blockTimes = {};
+    const blockTime = async (blockNumber) => {
+      if (!blockTimes[blockNumber]) {
+        blockTimes[blockNumber] = (await provider.getBlock(blockNumber)).timestamp * 1000;
+      }
+      return blockTimes[blockNumber];
+    };
+
+    // Ativo nativo: o nó JSON-RPC não indexa transações por endereço, então o histórico vem do Etherscan
+    const etherscan = new ethers.providers.EtherscanProvider(config.etherscan, process.env.ETHERSCAN_API_KEY);
+    const history = await etherscan.getHistory(wallet, Number(fromBlock), lastBlock);
+    for (const tx of history) {
+      const outgoing = tx.from === wallet;
+      if (tx.value.isZero() || (outgoing && tx.to === wallet)) continue;
+
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (!receipt || receipt.status === 0) {
+        skipped.push({ line: tx.hash, reason: 'transação revertida ou não encontrada' });
+        continue;
+      }
+      const fee = outgoing ? receipt.gasUsed.mul(receipt.effectiveGasPrice || tx.gasPrice) : ethers.constants.Zero;
+      records.push({
+        externalId: tx.hash,
+        timestamp: tx.timestamp ? tx.timestamp * 1000 : await blockTime(tx.blockNumber),
+        type: outgoing ? 'withdrawal' : 'deposit',
+        asset: config.nativeAsset,
+        amount: parseFloat(ethers.utils.formatEther(tx.value)),
+        fee: parseFloat(ethers.utils.formatEther(fee)),
+        feeAsset: config.nativeAsset,
+        txHash: tx.hash,
+        address: outgoing ? tx.to : tx.from,
+        network
+      });
+    }
+
+    // Tokens ERC-20: eventos Transfer com a carteira como origem ou destino, em faixas de blocos
+    const walletTopic = ethers.utils.hexZeroPad(wallet, 32);
+    for (let start = Number(fromBlock); start <= lastBlock; start += blockRange) {
+      const end = Math.min(start + blockRange - 1, lastBlock);
+      const [sent, received] = await Promise.all([
+        provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, walletTopic] }),
+        provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, null, walletTopic] })
+      ]);
+
+      for (const log of [...sent, ...received]) {
+        // Transfer do ERC-721 tem o tokenId indexado (4 tópicos); só os tokens fungíveis entram
+        if (log.topics.length !== 3) continue;
+        const from = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12));
+        const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12));
+        if (from === to) continue;
+
+        let token;
+        try {
+          token = await this.getTokenMetadata(network, log.address);
+        } catch (error) {
+          skipped.push({ line: `${log.transactionHash}:${log.logIndex}`, reason: `token ${log.address} sem decimals()` });
+          continue;
+        }
+        const outgoing = from === wallet;
+        records.push({
+          externalId: `${log.transactionHash}:${log.logIndex}`,
+          timestamp: await blockTime(log.blockNumber),
+          type: outgoing ? 'withdrawal' : 'deposit',
+          asset: token.symbol,
+          amount: parseFloat(ethers.utils.formatUnits(log.data, token.decimals)),
+          fee: 0,
+          txHash: log.transactionHash,
+          address: outgoing ? to : from,
+          network,
+          contract: log.address
+        });
+      }
+    }
+
+    return { format: `onchain-${network}`, records: records.filter(record => record.amount > 0), skipped };
+  }
+
+  /**
+   * Importa o histórico on-chain de uma carteira para as operações do usuário
+   * @param {string} userId - ID do usuário
+   * @param {Object} options - { address, network, fromBlock, toBlock, blockRange }
+   * @returns {Promise<Object>} - { format, imported, duplicates, skipped, operations }
+   */
+  async importOnChain(userId, options = {}) {
+    try {
+      const { format, records, skipped } = await this.fetchOnChainHistory(options);
+      const result = await this.saveRecords(userId, records, { exchange: 'wallet', format });
+      return { ...result, skipped };
+    } catch (error) {
+      console.error('Erro ao importar histórico on-chain:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * ID determinístico da operação importada (36 caracteres, como os IDs da tabela operations)
+   * O usuário entra no hash: dois usuários que importam a mesma transação (a mesma carteira
+   * on-chain, por exemplo) recebem IDs diferentes. Sem identificador externo, linhas idênticas
+   * do mesmo arquivo são diferenciadas pela ordem
+   * @param {string} userId - ID do usuário
+   * @param {Object} record - Registro normalizado
+   * @param {string} exchange - Origem do registro
+   * @param {number} occurrence - Ocorrência da mesma linha no arquivo
+   * @returns {string} - ID da operação
+   */
+  operationId(userId, record, exchange, occurrence) {
+    const key = record.externalId
+      ? [userId, exchange, record.type, record.externalId]
+      : [userId, exchange, record.type, record.side, record.asset, record.quoteAsset, record.timestamp, record.amount, record.price, record.fee, occurrence];
+    return `imp-${ethers.utils.id(key.map(value => value === undefined || value === null ? '' : value).join('|')).slice(2, 34)}`;
+  }
+
+  toOperation(record, { id, exchange, format }) {
+    return {
+      id,
+      timestamp: new Date(record.timestamp).toISOString(),
+      asset: record.asset,
+      amount: String(record.amount),
+      buyPrice: record.side === 'buy' || record.type === 'income' ? record.price || 0 : 0,
+      sellPrice: record.side === 'sell' ? record.price || 0 : 0,
+      profit: '0',
+      fee: '0',
+      netProfit: '0',
+      details: {
+        type: record.type,
+        exchange,
+        status: 'completed',
+        source: 'import',
+        format,
+        side: record.side || null,
+        quoteAsset: record.quoteAsset || null,
+        price: record.price || null,
+        total: record.total || null,
+        fee: record.fee || 0,
+        feeAsset: record.feeAsset || null,
+        externalId: record.externalId || null,
+        txHash: record.txHash || null,
+        address: record.address || null,
+        network: record.network || null,
+        contract: record.contract || null,
+        importedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Grava os registros normalizados como operações, descartando os já importados
+   * @param {string} userId - ID do usuário
+   * @param {Array} records - Registros normalizados
+   * @param {Object} options - { exchange, format }
+   * @returns {Promise<Object>} - { format, imported, duplicates, operations }
+   */
+  async saveRecords(userId, records, { exchange, format }) {
+    const repository = await getRepository();
+    const existing = new Set((await repository.findOperationsByUserId(userId)).map(operation => operation.id));
+    const occurrences = {};
+    const operations = [];
+    let duplicates = 0;
+
+    for (const record of records) {
+      const fingerprint = this.operationId(userId, record, exchange, 0);
+      occurrences[fingerprint] = (occurrences[fingerprint] || 0) + 1;
+      const id = record.externalId ? fingerprint : this.operationId(userId, record, exchange, occurrences[fingerprint]);
+
+      if (existing.has(id)) {
+        duplicates++;
+        continue;
+      }
+      const operation = this.toOperation(record, { id, exchange, format });
+      await repository.createOperation(userId, operation);
+      existing.add(id);
+      operations.push(operation);
+    }
+
+    return { format, imported: operations.length, duplicates, operations };
+  }
+}
+
+export const transactionImporter = new TransactionImporter();
+
+export { TransactionImporter };
@@ -0,0 +1,52 @@
+import authService from './authService';
+
+// Rotas dos dados do usuário do serviço em segundo plano (ver user-data.js)
+const USER_API_URL = '/api/user';
+
+// Lucros, assinaturas e importação de histórico do usuário autenticado, gravados no servidor
+class UserApi {
+  async _request(config) {
+    const { data } = await authService.authorizedRequest({ ...config, baseURL: USER_API_URL });
+    return data;
+  }
+
+  // Operações, lucro total e taxa total (valores em wei)
+  async getProfitHistory() {
+    return this._request({ method: 'get', url: '/profits' });
+  }
+
+  // Estatísticas de lucro com os totais em USD e BRL
+  async getProfitStats() {
+    return this._request({ method: 'get', url: '/profits/stats' });
+  }
+
+  async getProfitReport(startDate, endDate) {
+    return this._request({
+      method: 'get',
+      url: '/profits/report',
+      params: { start: startDate.toISOString(), end: endDate.toISOString() }
+    });
+  }
+
+  async getSubscriptions() {
+    const { subscriptions } = await this._request({ method: 'get', url: '/subscriptions' });
+    return subscriptions;
+  }
+
+  async cancelSubscription(subscriptionId) {
+    const { subscription } = await this._request({ method: 'post', url: `/subscriptions/${subscriptionId}/cancel` });
+    return subscription;
+  }
+
+  // Importa o CSV exportado pela exchange ({ exchange, content, type })
+  async importCsv(options) {
+    return this._request({ method: 'post', url: '/imports/csv', data: options });
+  }
+
+  // Importa as transferências on-chain de uma carteira ({ address, network, fromBlock })
+  async importOnChain(options) {
+    return this._request({ method: 'post', url: '/imports/onchain', data: options });
+  }
+}
+
+export default new UserApi();
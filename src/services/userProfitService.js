@@ -1,27 +1,100 @@
 // Serviço para rastrear os lucros dos usuários e calcular a taxa de 5%
 import { ethers } from 'ethers';
+import { getRepository } from '../repositories';
+import { getLedger } from '../../ledger.cjs';
+import { valuationService } from './valuationService';
 
 class UserProfitService {
   constructor() {
-    // Inicializa o armazenamento local para lucros dos usuários se não existir
-    if (!localStorage.getItem('userProfits')) {
-      localStorage.setItem('userProfits', JSON.stringify({}));
+    // Lucros e taxas gravados no repositório precisam bater com os lançamentos de cada usuário
+    getLedger().registerReconciliation('userProfitService', async (ledger) => {
+      const entries = await ledger.getEntries({ source: 'userProfitService' });
+      const userIds = [...new Set(entries.flatMap(entry => entry.lines.map(line => line.userId)))]
+        .filter(userId => userId !== 'platform');
+      const checks = [];
+
+      for (const userId of userIds) {
+        const { totalProfit, totalFee } = await this.getUserProfitHistory(userId);
+        const filter = { source: 'userProfitService', userId };
+        checks.push(
+          {
+            description: `lucro total do usuário ${userId}`,
+            ledger: await ledger.getBalance({ ...filter, account: 'income:trading' }),
+            actual: ethers.utils.formatEther(totalProfit)
+          },
+          {
+            description: `taxa de 5% do usuário ${userId}`,
+            ledger: await ledger.getBalance({ ...filter, account: 'expenses:platform-fee' }),
+            actual: ethers.utils.formatEther(totalFee)
+          }
+        );
+      }
+      return checks;
+    });
+  }
+
+  // Soma lucros e taxas de uma lista de operações
+  _sumOperations(operations) {
+    let totalProfit = ethers.BigNumber.from('0');
+    let totalFee = ethers.BigNumber.from('0');
+
+    operations.forEach(op => {
+      totalProfit = totalProfit.add(ethers.BigNumber.from(op.profit));
+      totalFee = totalFee.add(ethers.BigNumber.from(op.fee));
+    });
+
+    return { totalProfit, totalFee };
+  }
+
+  // Avalia lucros e taxas em USD e BRL, cada operação pelo preço do instante em que ocorreu
+  // (somar quantidades de ativos diferentes só faz sentido depois da conversão)
+  async _valueOperations(operations) {
+    const totals = {
+      profitUsd: 0, profitBrl: 0, feeUsd: 0, feeBrl: 0, netProfitUsd: 0, netProfitBrl: 0,
+      byAsset: {},
+      unvaluedOperations: 0
+    };
+
+    for (const op of operations) {
+      try {
+        const valuation = await valuationService.value(ethers.utils.formatEther(op.profit), op.asset, op.timestamp);
+        const feeUsd = parseFloat(ethers.utils.formatEther(op.fee)) * valuation.priceUsd;
+        const asset = totals.byAsset[op.asset] || (totals.byAsset[op.asset] = { usd: 0, brl: 0 });
+
+        totals.profitUsd += valuation.usd;
+        totals.profitBrl += valuation.brl;
+        totals.feeUsd += feeUsd;
+        totals.feeBrl += feeUsd * valuation.usdBrl;
+        asset.usd += valuation.usd;
+        asset.brl += valuation.brl;
+      } catch (error) {
+        console.error(`Erro ao avaliar a operação ${op.id} em USD/BRL:`, error.message);
+        totals.unvaluedOperations++;
+      }
     }
+
+    totals.netProfitUsd = totals.profitUsd - totals.feeUsd;
+    totals.netProfitBrl = totals.profitBrl - totals.feeBrl;
+    return totals;
+  }
+
+  // Campos em USD e BRL dos relatórios
+  _valuationFields({ profitUsd, profitBrl, feeUsd, feeBrl, netProfitUsd, netProfitBrl, unvaluedOperations }) {
+    return {
+      totalProfitUsd: profitUsd.toFixed(2),
+      totalProfitBrl: profitBrl.toFixed(2),
+      totalFeeUsd: feeUsd.toFixed(2),
+      totalFeeBrl: feeBrl.toFixed(2),
+      netProfitUsd: netProfitUsd.toFixed(2),
+      netProfitBrl: netProfitBrl.toFixed(2),
+      unvaluedOperations
+    };
   }
 
   // Registrar um novo lucro para um usuário
   async recordProfit(userId, operationData) {
     try {
-      const userProfits = JSON.parse(localStorage.getItem('userProfits'));
-      
-      // Inicializa o registro do usuário se não existir
-      if (!userProfits[userId]) {
-        userProfits[userId] = {
-          totalProfit: '0',
-          totalFee: '0',
-          operations: []
-        };
-      }
+      const repository = await getRepository();
       
       // Calcula a taxa de 5% sobre o lucro
       const profitAmount = ethers.BigNumber.from(operationData.profit || '0');
@@ -41,23 +114,26 @@ class UserProfitService {
         details: operationData.details || {}
       };
       
-      // Adiciona a operação ao registro do usuário
-      userProfits[userId].operations.push(operation);
+      // Grava a operação no repositório e lança o lucro e a taxa no livro-razão
+      await repository.createOperation(userId, operation);
+      await this._postToLedger(userId, operation);
       
-      // Atualiza o lucro total e a taxa total
-      const totalProfit = ethers.BigNumber.from(userProfits[userId].totalProfit);
-      const totalFee = ethers.BigNumber.from(userProfits[userId].totalFee);
+      // Avalia o lucro em USD e BRL no instante da operação (a cotação fica no cache de preços)
+      const valuation = await valuationService
+        .value(ethers.utils.formatEther(operation.profit), operation.asset, operation.timestamp)
+        .catch(error => {
+          console.error('Erro ao avaliar lucro em USD/BRL:', error.message);
+          return null;
+        });
       
-      userProfits[userId].totalProfit = totalProfit.add(profitAmount).toString();
-      userProfits[userId].totalFee = totalFee.add(feeAmount).toString();
-      
-      // Salva as alterações
-      localStorage.setItem('userProfits', JSON.stringify(userProfits));
+      // Recalcula o lucro total e a taxa total a partir das operações gravadas
+      const { totalProfit, totalFee } = this._sumOperations(await repository.findOperationsByUserId(userId));
       
       return {
         operation,
-        totalProfit: userProfits[userId].totalProfit,
-        totalFee: userProfits[userId].totalFee
+        valuation,
+        totalProfit: totalProfit.toString(),
+        totalFee: totalFee.toString()
       };
     } catch (error) {
       console.error('Erro ao registrar lucro:', error);
@@ -65,11 +141,44 @@ class UserProfitService {
     }
   }
 
+  async _postToLedger(userId, operation) {
+    const ledger = getLedger();
+    const entryKey = `userProfitService:${userId}:${operation.id}`;
+    try {
+      await ledger.recordTradePnl({
+        userId,
+        strategy: operation.details.type || 'trade',
+        asset: operation.asset,
+        amount: ethers.utils.formatEther(operation.profit),
+        source: 'userProfitService',
+        reference: operation.id,
+        entryKey: `${entryKey}:pnl`
+      });
+      await ledger.recordPlatformFee({
+        userId,
+        asset: operation.asset,
+        amount: ethers.utils.formatEther(operation.fee),
+        source: 'userProfitService',
+        reference: operation.id,
+        entryKey: `${entryKey}:fee`
+      });
+    } catch (error) {
+      console.error('Erro ao lançar lucro no livro-razão:', error);
+    }
+  }
+
   // Obter o histórico de lucros de um usuário
-  getUserProfitHistory(userId) {
+  async getUserProfitHistory(userId) {
     try {
-      const userProfits = JSON.parse(localStorage.getItem('userProfits'));
-      return userProfits[userId] || { totalProfit: '0', totalFee: '0', operations: [] };
+      const repository = await getRepository();
+      const operations = await repository.findOperationsByUserId(userId);
+      const { totalProfit, totalFee } = this._sumOperations(operations);
+      
+      return {
+        totalProfit: totalProfit.toString(),
+        totalFee: totalFee.toString(),
+        operations
+      };
     } catch (error) {
       console.error('Erro ao obter histórico de lucros:', error);
       return { totalProfit: '0', totalFee: '0', operations: [] };
@@ -77,9 +186,9 @@ class UserProfitService {
   }
 
   // Obter estatísticas de lucro de um usuário
-  getUserProfitStats(userId) {
+  async getUserProfitStats(userId) {
     try {
-      const userProfitHistory = this.getUserProfitHistory(userId);
+      const userProfitHistory = await this.getUserProfitHistory(userId);
       const operations = userProfitHistory.operations;
       
       if (operations.length === 0) {
@@ -91,7 +200,8 @@ class UserProfitService {
           averageProfit: '0',
           highestProfit: '0',
           lowestProfit: '0',
-          profitsByAsset: {}
+          profitsByAsset: {},
+          ...this._valuationFields(await this._valueOperations([]))
         };
       }
       
@@ -134,6 +244,13 @@ class UserProfitService {
       const totalFee = ethers.BigNumber.from(userProfitHistory.totalFee);
       const netProfit = totalProfit.sub(totalFee).toString();
       
+      // Totais em USD e BRL (profitsByAsset recebe o lucro convertido de cada ativo)
+      const valuation = await this._valueOperations(operations);
+      Object.entries(valuation.byAsset).forEach(([asset, { usd, brl }]) => {
+        profitsByAsset[asset].totalProfitUsd = usd.toFixed(2);
+        profitsByAsset[asset].totalProfitBrl = brl.toFixed(2);
+      });
+      
       return {
         totalProfit: userProfitHistory.totalProfit,
         totalFee: userProfitHistory.totalFee,
@@ -142,7 +259,8 @@ class UserProfitService {
         averageProfit,
         highestProfit: highestProfit.toString(),
         lowestProfit: lowestProfit.toString(),
-        profitsByAsset
+        profitsByAsset,
+        ...this._valuationFields(valuation)
       };
     } catch (error) {
       console.error('Erro ao calcular estatísticas de lucro:', error);
@@ -160,9 +278,9 @@ class UserProfitService {
   }
 
   // Gerar relatório de lucros para um período específico
-  generateProfitReport(userId, startDate, endDate) {
+  async generateProfitReport(userId, startDate, endDate) {
     try {
-      const userProfitHistory = this.getUserProfitHistory(userId);
+      const userProfitHistory = await this.getUserProfitHistory(userId);
       const operations = userProfitHistory.operations;
       
       // Filtra operações pelo período especificado
@@ -181,18 +299,13 @@ class UserProfitService {
           totalFee: '0',
           netProfit: '0',
           operationsCount: 0,
+          ...this._valuationFields(await this._valueOperations([])),
           operations: []
         };
       }
       
       // Calcula totais para o período
-      let periodTotalProfit = ethers.BigNumber.from('0');
-      let periodTotalFee = ethers.BigNumber.from('0');
-      
-      filteredOperations.forEach(op => {
-        periodTotalProfit = periodTotalProfit.add(ethers.BigNumber.from(op.profit));
-        periodTotalFee = periodTotalFee.add(ethers.BigNumber.from(op.fee));
-      });
+      const { totalProfit: periodTotalProfit, totalFee: periodTotalFee } = this._sumOperations(filteredOperations);
       
       const periodNetProfit = periodTotalProfit.sub(periodTotalFee);
       
@@ -205,6 +318,7 @@ class UserProfitService {
         totalFee: periodTotalFee.toString(),
         netProfit: periodNetProfit.toString(),
         operationsCount: filteredOperations.length,
+        ...this._valuationFields(await this._valueOperations(filteredOperations)),
         operations: filteredOperations
       };
     } catch (error) {
@@ -0,0 +1,243 @@
+import { oracleService } from './oracleService';
+import { createExchangeAdapter } from './exchangeAdapters';
+
+/**
+ * Serviço de avaliação em USD e BRL
+ *
+ * Converte qualquer quantidade de ativo para USD e BRL no instante da operação.
+ * As cotações vêm dos feeds do Chainlink (oracleService) e dos tickers/candles da
+ * exchange de referência; cada cotação obtida é gravada em um cache local de preços,
+ * de modo que a mesma operação é sempre avaliada pelo mesmo preço. Com
+ * VALUATION_OFFLINE=true apenas o cache é consultado (útil em testes e sem rede).
+ * No navegador o cache fica só em memória; o módulo fs é carregado sob demanda no servidor
+ *
+ * Formato do cache: { "ETH/USD": [[timestamp, preço], ...], "USD/BRL": [...] }
+ */
+
+// Stablecoins avaliadas pela paridade com o dólar
+const USD_PEGGED = ['USD', 'USDT', 'USDC', 'DAI', 'BUSD'];
+
+// Tokens embrulhados avaliados pelo ativo de origem
+const WRAPPED_ASSETS = {
+  WETH: 'ETH',
+  WBTC: 'BTC'
+};
+
+const isBrowser = typeof window !== 'undefined';
+
+const normalizeAsset = (asset) => {
+  const symbol = String(asset || '').toUpperCase();
+  return WRAPPED_ASSETS[symbol] || symbol;
+};
+
+class ValuationService {
+  /**
+   * @param {Object} options - Opções do serviço
+   * @param {string|null} options.cacheFile - Arquivo do cache de preços (null mantém o cache em memória)
+   * @param {boolean} options.offline - Usar somente o cache de preços
+   * @param {number} options.toleranceMinutes - Distância máxima entre a operação e a cotação do cache
+   * @param {number} options.liveWindowMinutes - Até quantos minutos atrás o preço atual vale para a operação
+   * @param {string} options.exchange - Exchange de referência para tickers e candles
+   * @param {string} options.network - Rede dos feeds do Chainlink
+   * @param {Function} options.now - Relógio em milissegundos
+   */
+  constructor({
+    cacheFile = isBrowser ? null : process.env.PRICE_CACHE_FILE || `${process.cwd()}/data/price-cache.json`,
+    offline = process.env.VALUATION_OFFLINE === 'true',
+    toleranceMinutes = parseFloat(process.env.PRICE_CACHE_TOLERANCE_MINUTES || '5'),
+    liveWindowMinutes = 5,
+    exchange = process.env.VALUATION_EXCHANGE || 'binance',
+    network = 'mainnet',
+    now = () => Date.now()
+  } = {}) {
+    this.cacheFile = cacheFile;
+    this.offline = offline;
+    this.tolerance = toleranceMinutes * 60 * 1000;
+    this.liveWindow = liveWindowMinutes * 60 * 1000;
+    this.exchangeName = exchange;
+    this.network = network;
+    this.now = now;
+    this.cache = null;
+    this.cacheLoading = null;
+    this.exchange = null;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+    if (!this.cacheLoading) {
+      this.cacheLoading = (async () => {
+        let cache = {};
+        if (this.cacheFile) {
+          const { default: fs } = await import('fs');
+          if (fs.existsSync(this.cacheFile)) {
+            cache = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+          }
+        }
+        this.cache = cache;
+        return cache;
+      })();
+    }
+    return this.cacheLoading;
+  }
+
+  async saveCache() {
+    if (!this.cacheFile) return;
+    const [{ default: fs }, { default: path }] = await Promise.all([import('fs'), import('path')]);
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2));
+  }
+
+  /**
+   * Cotação do cache mais próxima do instante pedido (dentro da tolerância)
+   * @param {string} pair - Par no formato BASE/QUOTE
+   * @param {number} timestamp - Instante em milissegundos
+   * @returns {Promise<number|null>} - Preço ou null
+   */
+  async getCachedPrice(pair, timestamp) {
+    const quotes = (await this.loadCache())[pair] || [];
+    let best = null;
+    for (const [quoteTime, price] of quotes) {
+      const distance = Math.abs(quoteTime - timestamp);
+      if (distance <= this.tolerance && (!best || distance < best.distance)) {
+        best = { distance, price };
+      }
+    }
+    return best ? best.price : null;
+  }
+
+  /**
+   * Grava uma cotação no cache (também usado para abastecer o cache em testes)
+   * @param {string} pair - Par no formato BASE/QUOTE
+   * @param {number} timestamp - Instante da cotação em milissegundos
+   * @param {number} price - Preço
+   */
+  async cachePrice(pair, timestamp, price) {
+    const cache = await this.loadCache();
+    const quotes = cache[pair] || (cache[pair] = []);
+    if (!quotes.some(([quoteTime]) => quoteTime === timestamp)) {
+      quotes.push([timestamp, price]);
+      quotes.sort((a, b) => a[0] - b[0]);
+      await this.saveCache();
+    }
+  }
+
+  getExchange() {
+    if (!this.exchange) {
+      this.exchange = createExchangeAdapter(this.exchangeName);
+    }
+    return this.exchange;
+  }
+
+  /**
+   * Busca a cotação nas fontes externas: Chainlink e ticker da exchange para operações
+   * recentes, candle de 1 minuto da exchange para operações antigas
+   * @param {string} base - Ativo
+   * @param {string} symbol - Mercado na exchange (ex: ETH/USDT)
+   * @param {number} timestamp - Instante da operação
+   * @returns {Promise<Object>} - { price, timestamp, source }
+   */
+  async fetchQuote(base, symbol, timestamp) {
+    if (Math.abs(this.now() - timestamp) <= this.liveWindow) {
+      try {
+        const { price, timestamp: updatedAt } = await oracleService.getAssetPrice(this.network, `${base}_USD`);
+        return { price, timestamp: updatedAt * 1000, source: 'chainlink' };
+      } catch (error) {
+        // Sem feed do Chainlink para o ativo: usa o ticker da exchange
+      }
+      const ticker = await this.getExchange().fetchTicker(symbol);
+      return { price: ticker.last, timestamp: ticker.timestamp, source: this.exchangeName };
+    }
+
+    const [candle] = await this.getExchange().fetchOHLCV(symbol, { interval: '1m', since: timestamp, limit: 1 });
+    if (!candle) {
+      throw new Error(`Sem candles de ${symbol} em ${new Date(timestamp).toISOString()}`);
+    }
+    return { price: candle[4], timestamp: candle[0], source: this.exchangeName };
+  }
+
+  async getPairPrice(pair, base, symbol, timestamp) {
+    const cached = await this.getCachedPrice(pair, timestamp);
+    if (cached !== null) return cached;
+
+    if (this.offline) {
+      throw new Error(`Cotação de ${pair} em ${new Date(timestamp).toISOString()} não encontrada no cache de preços`);
+    }
+
+    const quote = await this.fetchQuote(base, symbol, timestamp);
+    // Grava no instante da operação para que a mesma operação seja reavaliada pelo mesmo preço
+    await this.cachePrice(pair, timestamp, quote.price);
+    return quote.price;
+  }
+
+  /**
+   * Preço de um ativo em USD
+   * @param {string} asset - Símbolo do ativo
+   * @param {number} timestamp - Instante da operação (padrão: agora)
+   * @returns {Promise<number>} - Preço em USD
+   */
+  async getUsdPrice(asset, timestamp = this.now()) {
+    const base = normalizeAsset(asset);
+    if (USD_PEGGED.includes(base)) return 1;
+    if (base === 'BRL') return 1 / await this.getUsdBrlRate(timestamp);
+    return this.getPairPrice(`${base}/USD`, base, `${base}/USDT`, timestamp);
+  }
+
+  /**
+   * Cotação do dólar em reais (via USDT/BRL na exchange de referência)
+   * @param {number} timestamp - Instante da operação (padrão: agora)
+   * @returns {Promise<number>} - BRL por USD
+   */
+  async getUsdBrlRate(timestamp = this.now()) {
+    const cached = await this.getCachedPrice('USD/BRL', timestamp);
+    if (cached !== null) return cached;
+
+    if (this.offline) {
+      throw new Error(`Cotação de USD/BRL em ${new Date(timestamp).toISOString()} não encontrada no cache de preços`);
+    }
+
+    // O Chainlink não tem feed USDT/BRL; a cotação vem sempre da exchange
+    const exchange = this.getExchange();
+    let price;
+    if (Math.abs(this.now() - timestamp) <= this.liveWindow) {
+      price = (await exchange.fetchTicker('USDT/BRL')).last;
+    } else {
+      const [candle] = await exchange.fetchOHLCV('USDT/BRL', { interval: '1m', since: timestamp, limit: 1 });
+      if (!candle) {
+        throw new Error(`Sem candles de USDT/BRL em ${new Date(timestamp).toISOString()}`);
+      }
+      price = candle[4];
+    }
+    await this.cachePrice('USD/BRL', timestamp, price);
+    return price;
+  }
+
+  /**
+   * Avalia uma quantidade de ativo em USD e BRL no instante da operação
+   * @param {number|string} amount - Quantidade do ativo
+   * @param {string} asset - Símbolo do ativo
+   * @param {number|string|Date} timestamp - Instante da operação (padrão: agora)
+   * @returns {Promise<Object>} - { amount, asset, timestamp, priceUsd, usdBrl, usd, brl }
+   */
+  async value(amount, asset, timestamp = this.now()) {
+    const time = new Date(timestamp).getTime();
+    const quantity = parseFloat(amount);
+    const [priceUsd, usdBrl] = await Promise.all([
+      this.getUsdPrice(asset, time),
+      this.getUsdBrlRate(time)
+    ]);
+
+    return {
+      amount: quantity,
+      asset,
+      timestamp: time,
+      priceUsd,
+      usdBrl,
+      usd: quantity * priceUsd,
+      brl: quantity * priceUsd * usdBrl
+    };
+  }
+}
+
+export const valuationService = new ValuationService();
+
+export { ValuationService, normalizeAsset };
@@ -0,0 +1,54 @@
+import authService from './authService';
+
+// Rotas da lista de endereços de saque do serviço em segundo plano (ver withdrawal-allowlist.js)
+const WITHDRAWAL_ADDRESSES_URL = '/api/withdrawal-addresses';
+
+// Redes aceitas pelo servidor para saque
+export const WITHDRAWAL_CHAINS = [
+  { id: 'ethereum', name: 'Ethereum' },
+  { id: 'polygon', name: 'Polygon' },
+  { id: 'bsc', name: 'BNB Smart Chain' },
+  { id: 'arbitrum', name: 'Arbitrum' },
+  { id: 'optimism', name: 'Optimism' },
+  { id: 'avalanche', name: 'Avalanche' },
+  { id: 'bitcoin', name: 'Bitcoin' },
+  { id: 'solana', name: 'Solana' },
+  { id: 'tron', name: 'Tron' }
+];
+
+// Serviço para gerenciar os endereços de saque autorizados do usuário
+class WithdrawalAddressService {
+  request(config) {
+    return authService.authorizedRequest({ ...config, baseURL: WITHDRAWAL_ADDRESSES_URL });
+  }
+
+  // Lista os endereços cadastrados ('active' ou 'pending' durante o período de carência)
+  async getAddresses() {
+    const { data } = await this.request({ method: 'get', url: '/' });
+    return data.addresses;
+  }
+
+  // Cadastra um endereço (o código 2FA confirma a alteração do destino dos saques)
+  async addAddress({ address, chain, label }, code) {
+    const stepUpToken = await authService.confirmAction(code, 'payout-destination');
+    const { data } = await this.request({
+      method: 'post',
+      url: '/',
+      data: { address, chain, label, stepUpToken }
+    });
+    return data.address;
+  }
+
+  async removeAddress(addressId, code) {
+    const stepUpToken = await authService.confirmAction(code, 'payout-destination');
+    await this.request({ method: 'delete', url: `/${addressId}`, data: { stepUpToken } });
+  }
+
+  // Histórico de alterações e saques bloqueados
+  async getAuditTrail() {
+    const { data } = await this.request({ method: 'get', url: '/audit' });
+    return data.audit;
+  }
+}
+
+export default new WithdrawalAddressService();
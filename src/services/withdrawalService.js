@@ -0,0 +1,30 @@
+import authService from './authService';
+
+// Rotas de saque do serviço em segundo plano (ver withdrawals.js)
+const WITHDRAWALS_URL = '/api/withdrawals';
+
+// Serviço para solicitar e acompanhar os saques do usuário
+class WithdrawalService {
+  request(config) {
+    return authService.authorizedRequest({ ...config, baseURL: WITHDRAWALS_URL });
+  }
+
+  // Saques do usuário, mais recentes primeiro ('pending', 'completed' ou 'failed')
+  async getWithdrawals() {
+    const { data } = await this.request({ method: 'get', url: '/' });
+    return data.withdrawals;
+  }
+
+  // Solicita um saque para um endereço liberado (o código 2FA confirma o saque no servidor)
+  async withdraw({ addressId, asset, amount }, code) {
+    const stepUpToken = await authService.confirmAction(code, 'withdrawal');
+    const { data } = await this.request({
+      method: 'post',
+      url: '/',
+      data: { addressId, asset, amount, stepUpToken }
+    });
+    return data.withdrawal;
+  }
+}
+
+export default new WithdrawalService();
@@ -2,6 +2,8 @@ import { ethers } from 'ethers';
 import { blockchainConfig } from '../config/api';
 import { profitTracker } from './profitTracker';
 import { gasOptimizer } from './gasOptimizer';
+import { valuationService } from './valuationService';
+import { getLotTracker, DEFAULT_LOCATION } from '../../lot-tracker.js';
 
 /**
  * Classe para estratégias de Yield Farming e Staking
@@ -258,6 +260,51 @@ class YieldFarmingStaking {
     }
   }
 
+  /**
+   * Move os lotes do ativo entre a carteira e o protocolo (depósito/saque não realizam resultado)
+   * @param {Object} position - Posição de farming/staking
+   * @param {string} direction - deposit ou withdraw
+   */
+  transferLots(position, direction) {
+    const protocolLocation = `protocol:${position.protocolName}`;
+    try {
+      getLotTracker().transfer({
+        asset: position.asset,
+        amount: position.initialAmount,
+        from: direction === 'deposit' ? DEFAULT_LOCATION : protocolLocation,
+        to: direction === 'deposit' ? protocolLocation : DEFAULT_LOCATION
+      });
+    } catch (error) {
+      // Depósitos de saldo que não passou pelas estratégias não têm lotes para mover
+      console.warn(`Lotes de ${position.asset} não transferidos (${direction}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra o rendimento recebido como um novo lote, com custo igual ao valor de mercado no recebimento
+   * @param {Object} position - Posição encerrada
+   * @returns {Promise<void>}
+   */
+  async recordYieldLot(position) {
+    if (!(position.accumulatedYield > 0)) return;
+    try {
+      const price = await valuationService.getUsdPrice(position.asset).catch(error => {
+        console.warn(`Cotação de ${position.asset} indisponível; rendimento registrado com custo zero: ${error.message}`);
+        return 0;
+      });
+      getLotTracker().recordFill({
+        strategy: `${position.type}_${position.protocolName}`,
+        asset: position.asset,
+        side: 'buy',
+        amount: position.accumulatedYield,
+        price,
+        id: `${position.id}-yield`
+      });
+    } catch (error) {
+      console.error('Erro ao registrar lote do rendimento:', error);
+    }
+  }
+
   /**
    * Encontra um protocolo pelo nome e tipo
    * @param {string} name - Nome do protocolo
@@ -417,6 +464,7 @@ class YieldFarmingStaking {
       
       // Adicionar à lista de posições ativas
       this.activePositions.set(positionId, position);
+      this.transferLots(position, 'deposit');
       
       // Adicionar ao histórico
       this.positionHistory.push({
@@ -494,6 +542,7 @@ class YieldFarmingStaking {
       
       // Adicionar à lista de posições ativas
       this.activePositions.set(positionId, position);
+      this.transferLots(position, 'deposit');
       
       // Adicionar ao histórico
       this.positionHistory.push({
@@ -561,6 +610,10 @@ class YieldFarmingStaking {
       // Remover da lista de posições ativas
       this.activePositions.delete(positionId);
       
+      // Devolver os lotes à carteira e registrar o rendimento recebido
+      this.transferLots(updatedPosition, 'withdraw');
+      await this.recordYieldLot(updatedPosition);
+      
       // Registrar lucro no rastreador de lucros
       profitTracker.addProfit({
         source: `${updatedPosition.type}_${updatedPosition.protocolName}`,
@@ -7,10 +7,123 @@
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { getRiskEngine } = require('./risk-engine');
+const { getLedger } = require('./ledger.cjs');
+const { attachLedger } = require('./order-manager');
 
 // Carregar variáveis de ambiente
 dotenv.config();
 
+// Rejeições e resultados do motor de risco do worker vão para o motor central do processo pai
+getRiskEngine().onEvent = (type, data) => process.send({ riskEvent: { type, data } });
+
+// Taxas das execuções das ordens enviadas pelo worker vão para o livro-razão compartilhado
+attachLedger(getLedger());
+
+// Requisições pendentes para a exchange simulada do processo pai (modo paper)
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+/**
+ * Cliente da exchange simulada: encaminha as chamadas para o processo pai,
+ * que mantém o livro-razão único de saldos do modo paper trading
+ */
+const paperExchange = ['createOrder', 'fetchBalances', 'fetchTicker', 'fetchOrderBook', 'listVenues'].reduce((client, method) => {
+  client[method] = (...args) => new Promise((resolve, reject) => {
+    const requestId = nextRequestId++;
+    pendingRequests.set(requestId, { resolve, reject });
+    process.send({ paperRequest: { requestId, method, args } });
+  });
+  return client;
+}, {});
+
+/**
+ * Execuções em modo paper: chamam os serviços reais das estratégias
+ * e enviam as ordens resultantes para a exchange simulada
+ */
+const paperHandlers = {
+  async cryptoArbitrage(module, strategyName) {
+    const { cryptoArbitrage } = module;
+    const symbol = process.env.PAPER_SYMBOL || 'BTC/USDT';
+    const [asset] = symbol.split('/');
+
+    // Arbitragem entre exchanges: cada subdiretório de books gravados é uma exchange simulada
+    const venues = await paperExchange.listVenues(symbol);
+    if (venues.length < 2) {
+      throw new Error(`Arbitragem em modo paper exige books de ${symbol} gravados em ao menos duas exchanges`);
+    }
+    const tickers = {};
+    for (const venue of venues) {
+      tickers[venue] = await paperExchange.fetchTicker(symbol, venue);
+    }
+
+    // A estratégia compara as exchanges simuladas pelos preços dos books gravados
+    const feeRate = parseFloat(process.env.PAPER_FEE_RATE || '0.001');
+    cryptoArbitrage.exchanges = venues.map(name => ({ name, fee: feeRate }));
+    cryptoArbitrage.fetchAssetPrices = async () => venues.reduce((prices, venue) => {
+      prices[venue] = tickers[venue].last;
+      return prices;
+    }, {});
+
+    const opportunities = await cryptoArbitrage.findArbitrageOpportunities(asset);
+    if (opportunities.length === 0) return [];
+
+    const best = opportunities.sort((a, b) => b.profitPercentage - a.profitPercentage)[0];
+    // O preço médio pode esconder um spread que não cobre ask de um lado e bid do outro
+    if (!(tickers[best.sellExchange].bid > tickers[best.buyExchange].ask)) return [];
+
+    const amount = parseFloat(process.env.PAPER_ORDER_SIZE || '0.01');
+    const buyOrder = await paperExchange.createOrder({
+      symbol, side: 'buy', type: 'market', amount, strategy: strategyName, venue: best.buyExchange
+    });
+    if (buyOrder.filled <= 0) return [buyOrder];
+
+    const sellOrder = await paperExchange.createOrder({
+      symbol, side: 'sell', type: 'market', amount: buyOrder.filled, strategy: strategyName, venue: best.sellExchange
+    });
+    return [buyOrder, sellOrder];
+  },
+
+  async marketMaking(module, strategyName) {
+    const symbol = process.env.PAPER_SYMBOL || 'BTC/USDT';
+    const amount = parseFloat(process.env.PAPER_ORDER_SIZE || '0.01');
+
+    // createMarketMakingOrders recebe o tamanho em wei (18 casas decimais)
+    const amountInWei = (BigInt(Math.round(amount * 1e6)) * 10n ** 12n).toString();
+    const { bidOrder, askOrder } = await module.createMarketMakingOrders(symbol.replace('/', ''), amountInWei);
+
+    return Promise.all([
+      paperExchange.createOrder({
+        symbol, side: 'buy', type: 'limit', amount, price: bidOrder.price, strategy: strategyName
+      }),
+      paperExchange.createOrder({
+        symbol, side: 'sell', type: 'limit', amount, price: askOrder.price, strategy: strategyName
+      })
+    ]);
+  }
+};
+
+// Executar uma estratégia em modo paper trading
+async function executePaperStrategy(strategyName, strategyFile) {
+  try {
+    console.log(`Worker: Executando estratégia ${strategyName} em modo paper`);
+
+    const handler = paperHandlers[strategyName];
+    if (!handler) {
+      process.send({ status: 'completed', message: `Estratégia ${strategyName} sem suporte a paper trading` });
+      return;
+    }
+
+    const module = await import(path.resolve(__dirname, strategyFile));
+    const orders = await handler(module, strategyName);
+
+    process.send({ paperResult: { strategy: strategyName, orders } });
+  } catch (error) {
+    console.error(`Worker: Erro ao executar estratégia ${strategyName} em modo paper:`, error);
+    process.send({ error: error.message });
+  }
+}
+
 // Função para simular a execução de uma estratégia
 async function executeStrategy(strategyName, strategyFile) {
   try {
@@ -61,7 +174,22 @@ async function executeStrategy(strategyName, strategyFile) {
 // Receber mensagem do processo pai
 process.on('message', async (data) => {
   try {
-    if (data.strategy && data.file) {
+    if (data.riskState) {
+      // Kill switch, perda diária e exposições atuais do motor central
+      getRiskEngine().importState(data.riskState);
+    }
+
+    if (data.paperResponse) {
+      // Resposta da exchange simulada do processo pai
+      const { requestId, result, error } = data.paperResponse;
+      const pending = pendingRequests.get(requestId);
+      if (pending) {
+        pendingRequests.delete(requestId);
+        error ? pending.reject(new Error(error)) : pending.resolve(result);
+      }
+    } else if (data.strategy && data.file && data.mode === 'paper') {
+      await executePaperStrategy(data.strategy, data.file);
+    } else if (data.strategy && data.file) {
       await executeStrategy(data.strategy, data.file);
     } else {
       process.send({ error: 'Dados incompletos recebidos pelo worker' });
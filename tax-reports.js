@@ -0,0 +1,110 @@
+/**
+ * Rotas dos relatórios fiscais do QuickFundHub
+ * Expõe ao usuário autenticado a apuração do ganho de capital (src/services/capitalGainsTax.js),
+ * o arquivo mensal da IN RFB 1888/2019 e o CSV das alienações para o GCAP
+ */
+
+const express = require('express');
+const { LOT_METHODS } = require('./lot-tracker');
+
+const COST_METHODS = Object.values(LOT_METHODS);
+
+function taxError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// O serviço de apuração é um módulo ESM; carregado sob demanda
+const loadCapitalGainsTax = () => import('./src/services/capitalGainsTax.js').then(module => module.capitalGainsTax);
+
+function parseYear(value) {
+  const year = value === undefined ? new Date().getFullYear() : Number(value);
+  if (!Number.isInteger(year) || year < 2019 || year > 9999) {
+    throw taxError('Ano inválido.');
+  }
+  return year;
+}
+
+function parseMethod(value = 'average') {
+  if (!COST_METHODS.includes(value)) {
+    throw taxError(`Método de custo inválido. Use ${COST_METHODS.join(' ou ')}.`);
+  }
+  return value;
+}
+
+function parseMonth(value) {
+  const month = Number(value);
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw taxError('Mês inválido (1 a 12).');
+  }
+  return month;
+}
+
+/**
+ * Cria o router dos relatórios fiscais (montado em /api/tax, após a autenticação)
+ * @param {Object} options - Opções
+ * @param {Function} options.loadService - Retorna o serviço de apuração (padrão: capitalGainsTax)
+ * @param {Function} options.loadDeclarant - (userId) => Promise<{ cpf, name }> do cadastro do usuário
+ *   (AuthManager.getTaxDeclarant)
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Router do Express
+ */
+function createTaxReportRouter({ loadService = loadCapitalGainsTax, loadDeclarant, logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res, await loadService());
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro nos relatórios fiscais: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  // Apuração anual: alienações, resumo mensal, isenção, imposto e DARF
+  router.get('/report', handle(async (req, res, service) => {
+    const report = await service.generateReport(req.auth.userId, {
+      year: parseYear(req.query.year),
+      method: parseMethod(req.query.method)
+    });
+    res.json({ report });
+  }));
+
+  router.get('/gcap.csv', handle(async (req, res, service) => {
+    const year = parseYear(req.query.year);
+    const csv = await service.exportGcapCsv(req.auth.userId, { year, method: parseMethod(req.query.method) });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="gcap-${year}.csv"`);
+    res.send(csv);
+  }));
+
+  // Arquivo mensal da IN 1888; X-IN1888-Required indica se o mês é de entrega obrigatória.
+  // O declarante (CPF e nome) vem sempre do cadastro do usuário autenticado
+  router.get('/in1888', handle(async (req, res, service) => {
+    const year = parseYear(req.query.year);
+    const month = parseMonth(req.query.month);
+    if (!loadDeclarant) {
+      throw taxError('Cadastro do declarante indisponível.', 503);
+    }
+    const { content, required, totalBrl } = await service.exportIn1888(req.auth.userId, {
+      year,
+      month,
+      declarant: await loadDeclarant(req.auth.userId)
+    });
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="in1888-${year}${String(month).padStart(2, '0')}.txt"`);
+    res.set('X-IN1888-Required', String(required));
+    res.set('X-IN1888-Total-BRL', totalBrl.toFixed(2));
+    res.send(content);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createTaxReportRouter
+};
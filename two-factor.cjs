@@ -0,0 +1,214 @@
+/**
+ * Autenticação em dois fatores (TOTP, RFC 6238) do QuickFundHub
+ * Gera segredos e códigos de backup, valida códigos dos aplicativos autenticadores
+ * e emite/valida os tokens de confirmação (step-up) exigidos por saques e por
+ * alterações da carteira ou chave PIX de destino
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30; // segundos
+const TOTP_DIGITS = 6;
+const STEP_UP_TTL = '5m';
+const STEP_UP_TOKEN_AUDIENCE = 'quickfundhub:step-up';
+
+// Ações que exigem confirmação por TOTP
+const STEP_UP_ACTIONS = {
+  WITHDRAWAL: 'withdrawal',
+  PAYOUT_DESTINATION: 'payout-destination'
+};
+
+// Armazenamento dos tokens de confirmação já utilizados (o serviço em segundo plano usa o da autenticação)
+let stepUpTokenStore = null;
+
+function setStepUpTokenStore(store) {
+  stepUpTokenStore = store;
+}
+
+function getStepUpTokenStore() {
+  if (!stepUpTokenStore) {
+    // Carregado sob demanda para não abrir o pool MySQL quando o armazenamento é injetado
+    const { createAuthStore } = require('./auth-store');
+    stepUpTokenStore = createAuthStore({
+      driver: process.env.REPOSITORY_DRIVER,
+      file: path.join(__dirname, 'data', 'step-up-tokens.json')
+    });
+  }
+  return stepUpTokenStore;
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  const bits = value
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map(char => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Segredo TOTP inválido');
+      return index.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera um segredo TOTP aleatório (160 bits, base32)
+ * @returns {string} - Segredo em base32
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Monta a URI otpauth:// usada no QR code de cadastro do aplicativo autenticador
+ * @param {Object} options - { secret, label, issuer }
+ * @returns {string} - URI de provisionamento
+ */
+function buildOtpauthUri({ secret, label, issuer = 'QuickFundHub' }) {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`;
+}
+
+/**
+ * Calcula o código TOTP de um contador
+ * @param {string} secret - Segredo em base32
+ * @param {number} counter - Janela de tempo (timestamp / período)
+ * @returns {string} - Código de 6 dígitos
+ */
+function generateTotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Valida um código TOTP aceitando uma janela antes e depois do horário atual
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {Object} options - { window, now }
+ * @returns {number|null} - Contador aceito (para impedir reuso) ou null se inválido
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / TOTP_PERIOD);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateTotp(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Gera códigos de backup de uso único (exibidos uma única vez ao usuário)
+ * @param {number} count - Quantidade de códigos
+ * @returns {{ codes: Array<string>, hashes: Array<string> }}
+ */
+function generateBackupCodes(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Emite um token de confirmação para uma ação sensível
+ * @param {Object} options - { userId, action, secret }
+ * @returns {string} - Token JWT de uso único
+ */
+function issueStepUpToken({ userId, action, secret = process.env.JWT_SECRET }) {
+  return jwt.sign({ purpose: 'step-up', action }, secret, {
+    subject: userId,
+    audience: STEP_UP_TOKEN_AUDIENCE,
+    expiresIn: STEP_UP_TTL,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+/**
+ * Valida e consome um token de confirmação
+ * O jti consumido é gravado no armazenamento, valendo entre reinícios e processos
+ * @param {string} token - Token emitido por issueStepUpToken
+ * @param {string} action - Ação que está sendo confirmada
+ * @param {Object} options - { secret, store }
+ * @returns {Promise<Object>} - { userId, action, tokenId }
+ */
+async function verifyStepUpToken(token, action, { secret = process.env.JWT_SECRET, store = getStepUpTokenStore() } = {}) {
+  const denied = (message) => {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+  };
+
+  if (!token || !secret) {
+    throw denied('Confirmação por autenticação em dois fatores obrigatória');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { audience: STEP_UP_TOKEN_AUDIENCE });
+  } catch (error) {
+    throw denied('Confirmação em dois fatores inválida ou expirada');
+  }
+
+  if (payload.purpose !== 'step-up' || payload.action !== action) {
+    throw denied('Confirmação em dois fatores emitida para outra ação');
+  }
+
+  const consumed = await store.consumeStepUpToken(payload.jti, new Date(payload.exp * 1000).toISOString());
+  if (!consumed) {
+    throw denied('Confirmação em dois fatores já utilizada');
+  }
+
+  return { userId: payload.sub, action, tokenId: payload.jti };
+}
+
+module.exports = {
+  STEP_UP_ACTIONS,
+  generateSecret,
+  buildOtpauthUri,
+  generateTotp,
+  verifyTotp,
+  generateBackupCodes,
+  hashBackupCode,
+  issueStepUpToken,
+  verifyStepUpToken,
+  setStepUpTokenStore,
+  getStepUpTokenStore
+};
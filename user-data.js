@@ -0,0 +1,111 @@
+/**
+ * Rotas dos dados do usuário do QuickFundHub
+ * Expõe ao usuário autenticado os lucros e taxas (src/services/userProfitService.js),
+ * as assinaturas (src/services/subscriptionService.js) e a importação de histórico
+ * (src/services/transactionImporter.js), gravados no repositório do servidor
+ * (MysqlRepository com REPOSITORY_DRIVER=mysql)
+ */
+
+const express = require('express');
+
+function userDataError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Os serviços são módulos ESM; carregados sob demanda
+const loadUserDataServices = async () => {
+  const [profits, subscriptions, importer] = await Promise.all([
+    import('./src/services/userProfitService.js'),
+    import('./src/services/subscriptionService.js'),
+    import('./src/services/transactionImporter.js')
+  ]);
+  return {
+    userProfitService: profits.default,
+    subscriptionService: subscriptions.default,
+    transactionImporter: importer.transactionImporter
+  };
+};
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw userDataError(`Data inválida em ${name}.`);
+  }
+  return date;
+}
+
+/**
+ * Cria o router dos dados do usuário (montado em /api/user, após a autenticação)
+ * @param {Object} options - Opções
+ * @param {Function} options.loadServices - Retorna { userProfitService, subscriptionService, transactionImporter }
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Router do Express
+ */
+function createUserDataRouter({ loadServices = loadUserDataServices, logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res, await loadServices());
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro nos dados do usuário: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  // Operações, lucro total e taxa total
+  router.get('/profits', handle(async (req, res, { userProfitService }) => {
+    res.json(await userProfitService.getUserProfitHistory(req.auth.userId));
+  }));
+
+  router.get('/profits/stats', handle(async (req, res, { userProfitService }) => {
+    res.json(await userProfitService.getUserProfitStats(req.auth.userId));
+  }));
+
+  router.get('/profits/report', handle(async (req, res, { userProfitService }) => {
+    const start = parseDate(req.query.start, 'start');
+    const end = parseDate(req.query.end, 'end');
+    res.json(await userProfitService.generateProfitReport(req.auth.userId, start, end));
+  }));
+
+  router.get('/subscriptions', handle(async (req, res, { subscriptionService }) => {
+    res.json({ subscriptions: await subscriptionService.getUserSubscriptions(req.auth.userId) });
+  }));
+
+  router.post('/subscriptions/:id/cancel', handle(async (req, res, { subscriptionService }) => {
+    const subscription = await subscriptionService.cancelSubscription(req.auth.userId, req.params.id);
+    logMessage(`Assinatura ${subscription.id} cancelada pelo usuário ${req.auth.userId}`);
+    res.json({ subscription });
+  }));
+
+  // Importação do CSV exportado pela exchange ({ exchange, content, type })
+  router.post('/imports/csv', handle(async (req, res, { transactionImporter }) => {
+    const { exchange, content, type } = req.body || {};
+    if (!exchange || !content) {
+      throw userDataError('Informe a exchange e o conteúdo do CSV.');
+    }
+    const result = await transactionImporter.importCsv(req.auth.userId, { exchange, content, type });
+    res.status(201).json(result);
+  }));
+
+  // Importação das transferências on-chain de uma carteira ({ address, network, fromBlock })
+  router.post('/imports/onchain', handle(async (req, res, { transactionImporter }) => {
+    const { address, network, fromBlock } = req.body || {};
+    if (!address || !network) {
+      throw userDataError('Informe o endereço e a rede.');
+    }
+    const result = await transactionImporter.importOnChain(req.auth.userId, { address, network, fromBlock });
+    res.status(201).json(result);
+  }));
+
+  return router;
+}
+
+module.exports = {
+  createUserDataRouter
+};
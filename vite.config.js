@@ -45,6 +45,10 @@ Pexport default defineConfig({
     strictPort: true,
     watch: {
       usePolling: true
+    },
+    proxy: {
+      // API do serviço em segundo plano (autenticação, status, etc.)
+      '/api': `http://localhost:${process.env.BACKGROUND_SERVICE_PORT || 3001}`
     }
   },
   build: {
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Configuração dos testes (separada do vite.config.js para não carregar os plugins do app)
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['src/**/__tests__/**/*.test.js', '__tests__/**/*.test.js']
+  }
+});
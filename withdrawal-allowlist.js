@@ -0,0 +1,297 @@
+/**
+ * Lista de endereços de saque autorizados do QuickFundHub
+ * Cada usuário cadastra os endereços (com rótulo e rede) que podem receber saques;
+ * um endereço novo só recebe fundos depois do período de carência e toda alteração
+ * fica registrada na trilha de auditoria
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { STEP_UP_ACTIONS, verifyStepUpToken } = require('./two-factor.cjs');
+
+// Redes aceitas para saque
+const SUPPORTED_CHAINS = ['ethereum', 'polygon', 'bsc', 'arbitrum', 'optimism', 'avalanche', 'bitcoin', 'solana', 'tron'];
+
+// Redes compatíveis com EVM (endereços comparados sem diferenciar maiúsculas)
+const EVM_CHAINS = ['ethereum', 'polygon', 'bsc', 'arbitrum', 'optimism', 'avalanche'];
+
+const AUDIT_ACTIONS = {
+  ADDRESS_ADDED: 'address_added',
+  ADDRESS_REMOVED: 'address_removed',
+  WITHDRAWAL_BLOCKED: 'withdrawal_blocked'
+};
+
+let defaultAllowlist = null;
+
+function allowlistError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeAddress(address, chain) {
+  const value = String(address || '').trim();
+  return EVM_CHAINS.includes(chain) ? value.toLowerCase() : value;
+}
+
+// Validação padrão: exchange.validateAddress (serviço ESM, carregado sob demanda)
+async function validateWithExchange(address, chain) {
+  const { exchange } = await import('./src/services/exchange.js');
+  return exchange.validateAddress(address, chain);
+}
+
+/**
+ * Gerenciador da lista de endereços de saque
+ */
+class WithdrawalAllowlist {
+  /**
+   * @param {Object} options - Opções da lista
+   * @param {Object} options.store - Armazenamento (FileAuthStore ou MysqlAuthStore)
+   * @param {number} options.coolingOffHours - Carência, em horas, até um endereço novo poder receber fundos
+   * @param {Function} options.validateAddress - Validação do endereço por rede (address, chain) => Promise<boolean>
+   */
+  constructor({
+    store,
+    coolingOffHours = parseFloat(process.env.WITHDRAWAL_ADDRESS_COOLING_OFF_HOURS || '24'),
+    validateAddress = validateWithExchange
+  }) {
+    this.store = store;
+    this.coolingOffMs = coolingOffHours * 60 * 60 * 1000;
+    this.validateAddress = validateAddress;
+  }
+
+  toPublicAddress(entry, now = Date.now()) {
+    return {
+      id: entry.id,
+      label: entry.label,
+      chain: entry.chain,
+      address: entry.address,
+      createdAt: entry.createdAt,
+      activatesAt: entry.activatesAt,
+      status: new Date(entry.activatesAt).getTime() <= now ? 'active' : 'pending'
+    };
+  }
+
+  async audit(userId, action, entry, context = {}) {
+    await this.store.appendWithdrawalAudit({
+      id: crypto.randomUUID(),
+      userId,
+      action,
+      addressId: entry ? entry.id : null,
+      chain: entry ? entry.chain : context.chain || null,
+      address: entry ? entry.address : context.address || null,
+      label: entry ? entry.label : null,
+      ip: context.ip || null,
+      details: context.details || null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async findEntry(userId, address, chain) {
+    const normalized = normalizeAddress(address, chain);
+    const entries = await this.store.listWithdrawalAddresses(userId);
+    return entries.find(entry =>
+      !entry.removedAt && entry.chain === chain && normalizeAddress(entry.address, chain) === normalized
+    ) || null;
+  }
+
+  /**
+   * Lista os endereços cadastrados do usuário (removidos não aparecem)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Array>} - Endereços com status 'active' ou 'pending'
+   */
+  async listAddresses(userId) {
+    const now = Date.now();
+    const entries = await this.store.listWithdrawalAddresses(userId);
+    return entries
+      .filter(entry => !entry.removedAt)
+      .map(entry => this.toPublicAddress(entry, now));
+  }
+
+  /**
+   * Cadastra um endereço de saque; ele só recebe fundos depois do período de carência
+   * @param {string} userId - ID do usuário
+   * @param {Object} data - { address, chain, label }
+   * @param {Object} context - Origem da alteração ({ ip })
+   * @returns {Promise<Object>} - Endereço cadastrado
+   */
+  async addAddress(userId, { address, chain, label } = {}, context = {}) {
+    const normalizedChain = String(chain || '').toLowerCase();
+    const trimmedAddress = String(address || '').trim();
+    const trimmedLabel = String(label || '').trim();
+
+    if (!SUPPORTED_CHAINS.includes(normalizedChain)) {
+      throw allowlistError(`Rede não suportada. Use uma das redes: ${SUPPORTED_CHAINS.join(', ')}.`);
+    }
+    if (!trimmedLabel) {
+      throw allowlistError('Informe um rótulo para o endereço.');
+    }
+    if (!await this.validateAddress(trimmedAddress, normalizedChain)) {
+      throw allowlistError(`Endereço inválido para a rede ${normalizedChain}.`);
+    }
+    if (await this.findEntry(userId, trimmedAddress, normalizedChain)) {
+      throw allowlistError('Este endereço já está cadastrado.', 409);
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      label: trimmedLabel,
+      chain: normalizedChain,
+      address: trimmedAddress,
+      createdAt: new Date(now).toISOString(),
+      activatesAt: new Date(now + this.coolingOffMs).toISOString(),
+      removedAt: null
+    };
+
+    await this.store.createWithdrawalAddress(entry);
+    await this.audit(userId, AUDIT_ACTIONS.ADDRESS_ADDED, entry, context);
+    return this.toPublicAddress(entry, now);
+  }
+
+  /**
+   * Remove um endereço de saque (com efeito imediato)
+   * @param {string} userId - ID do usuário
+   * @param {string} addressId - ID do endereço
+   * @param {Object} context - Origem da alteração ({ ip })
+   */
+  async removeAddress(userId, addressId, context = {}) {
+    const entries = await this.store.listWithdrawalAddresses(userId);
+    const entry = entries.find(existing => existing.id === addressId && !existing.removedAt);
+    if (!entry) throw allowlistError('Endereço não encontrado.', 404);
+
+    await this.store.updateWithdrawalAddress(entry.id, { removedAt: new Date().toISOString() });
+    await this.audit(userId, AUDIT_ACTIONS.ADDRESS_REMOVED, entry, context);
+  }
+
+  /**
+   * Garante que o destino de um saque está cadastrado e fora do período de carência
+   * Saques bloqueados são registrados na trilha de auditoria
+   * @param {string} userId - ID do usuário que confirmou o saque
+   * @param {string} address - Endereço de destino
+   * @param {string} chain - Rede do saque
+   * @returns {Promise<Object>} - Endereço autorizado
+   */
+  async assertWithdrawalAllowed(userId, address, chain = 'ethereum') {
+    const entry = await this.findEntry(userId, address, chain);
+
+    if (!entry) {
+      await this.audit(userId, AUDIT_ACTIONS.WITHDRAWAL_BLOCKED, null, {
+        address, chain, details: 'Endereço não cadastrado'
+      });
+      throw allowlistError('Endereço de saque não cadastrado na lista de endereços autorizados.', 403);
+    }
+
+    if (new Date(entry.activatesAt).getTime() > Date.now()) {
+      await this.audit(userId, AUDIT_ACTIONS.WITHDRAWAL_BLOCKED, entry, { details: 'Período de carência' });
+      throw allowlistError(`Endereço em período de carência até ${entry.activatesAt}.`, 403);
+    }
+
+    return this.toPublicAddress(entry);
+  }
+
+  /**
+   * Trilha de auditoria das alterações da lista do usuário (mais recentes primeiro)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Array>} - Registros de auditoria
+   */
+  async getAuditTrail(userId) {
+    const entries = await this.store.listWithdrawalAudit(userId);
+    return entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+/**
+ * Define a lista usada pelos serviços de saque (exchange, quickAIService)
+ * @param {WithdrawalAllowlist} allowlist - Lista configurada pelo serviço em segundo plano
+ */
+function setWithdrawalAllowlist(allowlist) {
+  defaultAllowlist = allowlist;
+}
+
+/**
+ * Retorna a lista usada pelos serviços de saque; sem configuração explícita usa o
+ * mesmo armazenamento da autenticação (REPOSITORY_DRIVER / data/auth.json)
+ * @returns {WithdrawalAllowlist} - Lista de endereços de saque
+ */
+function getWithdrawalAllowlist() {
+  if (!defaultAllowlist) {
+    // Carregado sob demanda para não abrir o pool MySQL quando a lista é injetada
+    const { createAuthStore } = require('./auth-store');
+    defaultAllowlist = new WithdrawalAllowlist({
+      store: createAuthStore({
+        driver: process.env.REPOSITORY_DRIVER,
+        file: path.join(__dirname, 'data', 'auth.json')
+      })
+    });
+  }
+  return defaultAllowlist;
+}
+
+/**
+ * Cria as rotas da lista de endereços de saque (montadas após o middleware authenticate)
+ * Cadastro e remoção exigem o token de confirmação da ação 'payout-destination'
+ * @param {WithdrawalAllowlist} allowlist - Lista de endereços
+ * @param {Object} options - Opções
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Rotas da lista
+ */
+function createWithdrawalAddressRouter(allowlist, { logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro na lista de endereços de saque: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  const confirmChange = async (req) => {
+    const { userId } = await verifyStepUpToken((req.body || {}).stepUpToken, STEP_UP_ACTIONS.PAYOUT_DESTINATION);
+    if (userId !== req.auth.userId) {
+      throw allowlistError('Confirmação em dois fatores emitida para outro usuário.', 403);
+    }
+  };
+
+  router.get('/', handle(async (req, res) => {
+    res.json({ addresses: await allowlist.listAddresses(req.auth.userId) });
+  }));
+
+  router.get('/audit', handle(async (req, res) => {
+    res.json({ audit: await allowlist.getAuditTrail(req.auth.userId) });
+  }));
+
+  router.post('/', handle(async (req, res) => {
+    await confirmChange(req);
+    const { address, chain, label } = req.body || {};
+    const entry = await allowlist.addAddress(req.auth.userId, { address, chain, label }, { ip: req.ip });
+    logMessage(`Endereço de saque cadastrado para o usuário ${req.auth.userId} (${entry.chain})`);
+    res.status(201).json({ address: entry });
+  }));
+
+  router.delete('/:id', handle(async (req, res) => {
+    await confirmChange(req);
+    await allowlist.removeAddress(req.auth.userId, req.params.id, { ip: req.ip });
+    logMessage(`Endereço de saque removido para o usuário ${req.auth.userId}`);
+    res.json({ success: true });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  SUPPORTED_CHAINS,
+  EVM_CHAINS,
+  AUDIT_ACTIONS,
+  WithdrawalAllowlist,
+  setWithdrawalAllowlist,
+  getWithdrawalAllowlist,
+  createWithdrawalAddressRouter
+};
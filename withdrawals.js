@@ -0,0 +1,328 @@
+/**
+ * Saques dos lucros do QuickFundHub para os endereços autorizados
+ * O cliente envia o token de confirmação em dois fatores (ação 'withdrawal'); o
+ * servidor valida e consome o token, confere o destino na lista de endereços e o
+ * saldo do usuário no livro-razão, envia a transação e registra a retirada
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+const { STEP_UP_ACTIONS, verifyStepUpToken } = require('./two-factor.cjs');
+const { ACCOUNTS, toUnits, fromUnits, getLedger } = require('./ledger.cjs');
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 value) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+// Estados de um saque (pendente com txHash: transação enviada, ainda sem o lançamento no livro-razão)
+const WITHDRAWAL_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+function withdrawalError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Lê os contratos ERC-20 liberados para saque ("USDT:0x...,USDC:0x..."); ETH é enviado direto
+ * @param {string} value - Valor de WITHDRAWAL_TOKEN_CONTRACTS
+ * @returns {Object} - Ativo -> contrato
+ */
+function parseTokenContracts(value = '') {
+  return value.split(',').reduce((contracts, pair) => {
+    const [asset, contract] = pair.split(':').map(part => part.trim());
+    if (asset && contract) contracts[asset.toUpperCase()] = contract;
+    return contracts;
+  }, {});
+}
+
+/**
+ * Cria o envio dos saques pela carteira de saques do cofre de chaves, com taxas e nonce do
+ * otimizador de gas; por enquanto só há provider para a rede Ethereum
+ * O envio devolve o hash assim que a transação é transmitida: a confirmação (e o reenvio com
+ * taxas maiores) fica com o monitor do otimizador de gas
+ * @param {Object} options - Opções do envio
+ * @param {string} options.walletName - Carteira do cofre que envia os saques
+ * @param {Object} options.tokenContracts - Ativo -> contrato ERC-20 (ETH é enviado direto)
+ * @param {Function} options.loadServices - Carrega { keyVault, gasOptimizer, provider } (módulos ESM, sob demanda)
+ * @returns {Function} - ({ asset, amount, address, chain }) => Promise<{ txHash }>
+ */
+function createOnChainSender({
+  walletName = process.env.WITHDRAWAL_WALLET_NAME || 'withdrawals',
+  tokenContracts = parseTokenContracts(process.env.WITHDRAWAL_TOKEN_CONTRACTS),
+  loadServices = loadChainServices
+} = {}) {
+  return async ({ asset, amount, address, chain }) => {
+    if (chain !== 'ethereum') {
+      throw withdrawalError(`Saques na rede ${chain} ainda não são suportados.`);
+    }
+    if (asset !== 'ETH' && !tokenContracts[asset]) {
+      throw withdrawalError(`Ativo ${asset} sem contrato configurado para saque.`);
+    }
+
+    const { keyVault, gasOptimizer, provider } = await loadServices();
+    await keyVault.ensureUnlocked();
+    const wallet = keyVault.getSigner(walletName, provider);
+    let request;
+
+    if (asset === 'ETH') {
+      const value = ethers.utils.parseEther(String(amount));
+      if ((await wallet.getBalance()).lt(value)) {
+        throw withdrawalError('Saldo insuficiente na carteira de saques.', 409);
+      }
+      request = { to: address, value };
+    } else {
+      const contract = new ethers.Contract(tokenContracts[asset], ERC20_ABI, wallet);
+      const value = ethers.utils.parseUnits(String(amount), await contract.decimals());
+      if ((await contract.balanceOf(wallet.address)).lt(value)) {
+        throw withdrawalError('Saldo insuficiente na carteira de saques.', 409);
+      }
+      const gasLimit = await contract.estimateGas.transfer(address, value);
+      request = {
+        to: tokenContracts[asset],
+        data: contract.interface.encodeFunctionData('transfer', [address, value]),
+        gasLimit: gasLimit.mul(12).div(10) // 20% de margem
+      };
+    }
+
+    const tx = await gasOptimizer.sendTransaction(wallet, request);
+    return { txHash: tx.hash };
+  };
+}
+
+// Cofre de chaves e otimizador de gas (ESM) com o provider da rede Ethereum
+async function loadChainServices() {
+  const [{ keyVault }, { gasOptimizer }, { blockchainConfig }] = await Promise.all([
+    import('./src/services/keyVault.js'),
+    import('./src/services/gasOptimizer.js'),
+    import('./src/config/api.js')
+  ]);
+  return { keyVault, gasOptimizer, provider: new ethers.providers.JsonRpcProvider(blockchainConfig.infura.url) };
+}
+
+/**
+ * Serviço de saques
+ */
+class WithdrawalService {
+  /**
+   * @param {Object} options - Opções do serviço
+   * @param {Object} options.store - Armazenamento (FileAuthStore ou MysqlAuthStore)
+   * @param {WithdrawalAllowlist} options.allowlist - Lista de endereços de saque
+   * @param {Ledger} options.ledger - Livro-razão com o saldo dos usuários
+   * @param {Function} options.send - Envio da transação ({ asset, amount, address, chain }) => Promise<{ txHash }>
+   *   (ex: createOnChainSender())
+   * @param {Function} options.logMessage - Função de log do serviço
+   */
+  constructor({ store, allowlist, ledger = getLedger(), send, logMessage = console.log }) {
+    if (!send) {
+      throw new Error('Envio dos saques não configurado');
+    }
+    this.store = store;
+    this.allowlist = allowlist;
+    this.ledger = ledger;
+    this.send = send;
+    this.logMessage = logMessage;
+    // Saques do mesmo usuário são processados em fila para a conferência de saldo valer
+    this.queues = new Map();
+  }
+
+  /**
+   * Lista os saques do usuário (mais recentes primeiro)
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<Array>} - Saques
+   */
+  async listWithdrawals(userId) {
+    const withdrawals = await this.store.listWithdrawals(userId);
+    return withdrawals.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Executa um saque confirmado em dois fatores
+   * @param {Object} params - Parâmetros do saque
+   * @param {string} params.userId - Usuário autenticado
+   * @param {string} params.addressId - Endereço de destino na lista de endereços do usuário
+   * @param {string} params.asset - Ativo sacado (ex: ETH, USDT)
+   * @param {string} params.amount - Valor no ativo
+   * @param {string} params.stepUpToken - Confirmação emitida por /api/auth/2fa/confirm (ação 'withdrawal')
+   * @returns {Promise<Object>} - Saque registrado
+   */
+  async requestWithdrawal({ userId, addressId, asset, amount, stepUpToken }) {
+    // O token é consumido aqui: cada confirmação vale para um único saque
+    const confirmation = await verifyStepUpToken(stepUpToken, STEP_UP_ACTIONS.WITHDRAWAL);
+    if (confirmation.userId !== userId) {
+      throw withdrawalError('Confirmação em dois fatores emitida para outro usuário.', 403);
+    }
+
+    const normalizedAsset = String(asset || '').toUpperCase();
+    let units;
+    try {
+      units = toUnits(amount);
+    } catch (error) {
+      units = 0n;
+    }
+    if (!normalizedAsset || units <= 0n) {
+      throw withdrawalError('Informe o ativo e um valor de saque maior que zero.');
+    }
+
+    const destination = (await this.allowlist.listAddresses(userId)).find(entry => entry.id === addressId);
+    if (!destination) {
+      throw withdrawalError('Endereço de saque não encontrado.', 404);
+    }
+    await this.allowlist.assertWithdrawalAllowed(userId, destination.address, destination.chain);
+
+    const previous = this.queues.get(userId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.execute({
+      id: confirmation.tokenId,
+      userId,
+      destination,
+      asset: normalizedAsset,
+      amount: String(amount),
+      units
+    }));
+    this.queues.set(userId, run);
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(userId) === run) this.queues.delete(userId);
+    }
+  }
+
+  async execute({ id, userId, destination, asset, amount, units }) {
+    // Saques enviados e ainda sem lançamento no livro-razão já comprometem o saldo
+    const balance = await this.ledger.getBalance({ account: ACCOUNTS.WALLET, userId, asset });
+    const committed = (await this.store.listWithdrawals(userId))
+      .filter(withdrawal => withdrawal.status === WITHDRAWAL_STATUS.PENDING && withdrawal.asset === asset)
+      .reduce((total, withdrawal) => total + toUnits(withdrawal.amount), 0n);
+    if (toUnits(balance) - committed < units) {
+      const available = fromUnits(toUnits(balance) - committed);
+      throw withdrawalError(`Saldo insuficiente: ${available} ${asset} disponível para saque.`);
+    }
+
+    const now = new Date().toISOString();
+    const withdrawal = await this.store.createWithdrawal({
+      id,
+      userId,
+      addressId: destination.id,
+      chain: destination.chain,
+      address: destination.address,
+      asset,
+      amount,
+      status: WITHDRAWAL_STATUS.PENDING,
+      txHash: null,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    let txHash;
+    try {
+      ({ txHash } = await this.send({ asset, amount, address: destination.address, chain: destination.chain }));
+    } catch (error) {
+      await this.update(withdrawal.id, { status: WITHDRAWAL_STATUS.FAILED, failureReason: error.message });
+      throw error;
+    }
+
+    // O hash é gravado antes do lançamento: se o livro-razão falhar, completeSentWithdrawals conclui o saque
+    const sent = await this.update(withdrawal.id, { txHash });
+    try {
+      return await this.complete(sent);
+    } catch (error) {
+      this.logMessage(`Saque ${withdrawal.id} enviado (${txHash}) sem lançamento no livro-razão: ${error.message}`, 'error');
+      return sent;
+    }
+  }
+
+  // Lança o saque enviado no livro-razão (uma única vez por saque) e o conclui
+  async complete(withdrawal) {
+    await this.ledger.recordPayout({
+      userId: withdrawal.userId,
+      asset: withdrawal.asset,
+      amount: withdrawal.amount,
+      method: 'withdrawal',
+      source: 'withdrawals',
+      reference: withdrawal.txHash,
+      entryKey: `withdrawal:${withdrawal.id}`
+    });
+    return this.update(withdrawal.id, { status: WITHDRAWAL_STATUS.COMPLETED });
+  }
+
+  /**
+   * Conclui os saques enviados (com txHash) que ficaram sem o lançamento no livro-razão
+   * @returns {Promise<Object>} - { completed, errors: [{ id, error }] }
+   */
+  async completeSentWithdrawals() {
+    const sent = (await this.store.listWithdrawalsByStatus(WITHDRAWAL_STATUS.PENDING))
+      .filter(withdrawal => withdrawal.txHash);
+    const result = { completed: 0, errors: [] };
+    for (const withdrawal of sent) {
+      try {
+        await this.complete(withdrawal);
+        result.completed++;
+      } catch (error) {
+        result.errors.push({ id: withdrawal.id, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async update(id, changes) {
+    return this.store.updateWithdrawal(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+}
+
+/**
+ * Cria as rotas de saque (montadas após o middleware authenticate)
+ * @param {WithdrawalService} service - Serviço de saques
+ * @param {Object} options - Opções
+ * @param {Function} options.logMessage - Função de log do serviço
+ * @returns {express.Router} - Rotas de saque
+ */
+function createWithdrawalRouter(service, { logMessage = console.log } = {}) {
+  const router = express.Router();
+
+  const handle = (action) => async (req, res) => {
+    try {
+      await action(req, res);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logMessage(`Erro no saque: ${error.message}`, 'error');
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+
+  router.get('/', handle(async (req, res) => {
+    res.json({ withdrawals: await service.listWithdrawals(req.auth.userId) });
+  }));
+
+  // { addressId, asset, amount, stepUpToken }
+  router.post('/', handle(async (req, res) => {
+    const { addressId, asset, amount, stepUpToken } = req.body || {};
+    const withdrawal = await service.requestWithdrawal({
+      userId: req.auth.userId,
+      addressId,
+      asset,
+      amount,
+      stepUpToken
+    });
+    logMessage(`Saque de ${withdrawal.amount} ${withdrawal.asset} enviado para o usuário ${req.auth.userId} (${withdrawal.txHash}, ${withdrawal.status})`);
+    res.status(201).json({ withdrawal });
+  }));
+
+  return router;
+}
+
+module.exports = {
+  WITHDRAWAL_STATUS,
+  parseTokenContracts,
+  createOnChainSender,
+  WithdrawalService,
+  createWithdrawalRouter
+};